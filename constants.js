@@ -1,6 +1,6 @@
 const DEFAULT_ADMIN_PASSWORD = "scriptfall";
-const HOST_VERSION = "0.2.16";
-const MINIMUM_RUNNER_VERSION = "0.2.15";
+const HOST_VERSION = "0.2.17";
+const MINIMUM_RUNNER_VERSION = "0.2.17";
 
 module.exports = {
   DEFAULT_ADMIN_PASSWORD,
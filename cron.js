@@ -0,0 +1,354 @@
+const {
+  findOffsetChange,
+  getTimeZoneOffsetMs,
+  getZonedParts,
+  resolveTimeZone,
+  resolveZonedTimes,
+} = require("./timezone");
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const WEEKDAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELD_DEFINITIONS = {
+  second: { label: "second", min: 0, max: 59 },
+  minute: { label: "minute", min: 0, max: 59 },
+  hour: { label: "hour", min: 0, max: 23 },
+  dayOfMonth: { label: "day of month", min: 1, max: 31 },
+  month: { label: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  dayOfWeek: { label: "day of week", min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 },
+};
+
+// Searching further ahead than this means the expression can never fire
+// (for example "0 0 30 2 *").
+const MAX_SEARCH_YEARS = 8;
+const MAX_SEARCH_ITERATIONS = 100000;
+
+function createCronError(message) {
+  const err = new Error(message);
+  err.code = "invalid_cron";
+  return err;
+}
+
+function parseFieldValue(raw, definition) {
+  const upper = raw.toUpperCase();
+  if (definition.names) {
+    const nameIndex = definition.names.indexOf(upper);
+    if (nameIndex !== -1) {
+      return nameIndex + definition.nameOffset;
+    }
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw createCronError(`Invalid ${definition.label} value "${raw}"`);
+  }
+  const value = Number.parseInt(raw, 10);
+  if (value < definition.min || value > definition.max) {
+    throw createCronError(
+      `Invalid ${definition.label} value ${value} (expected ${definition.min}-${definition.max})`,
+    );
+  }
+  return value;
+}
+
+function expandFieldPart(part, definition, values) {
+  const [rangePart, stepPart, ...rest] = part.split("/");
+  if (rest.length) {
+    throw createCronError(`Invalid ${definition.label} step "${part}"`);
+  }
+
+  let step = 1;
+  if (stepPart !== undefined) {
+    if (!/^\d+$/.test(stepPart) || Number.parseInt(stepPart, 10) < 1) {
+      throw createCronError(`Invalid ${definition.label} step "${part}"`);
+    }
+    step = Number.parseInt(stepPart, 10);
+  }
+
+  let start;
+  let end;
+  if (rangePart === "*" || rangePart === "?") {
+    start = definition.min;
+    end = definition.max;
+  } else if (rangePart.includes("-")) {
+    const [startRaw, endRaw] = rangePart.split("-");
+    start = parseFieldValue(startRaw, definition);
+    end = parseFieldValue(endRaw, definition);
+    if (start > end) {
+      throw createCronError(`Invalid ${definition.label} range "${rangePart}"`);
+    }
+  } else {
+    start = parseFieldValue(rangePart, definition);
+    end = stepPart !== undefined ? definition.max : start;
+  }
+
+  for (let value = start; value <= end; value += step) {
+    values.add(value);
+  }
+}
+
+function parseStandardField(source, definition) {
+  const values = new Set();
+  for (const part of source.split(",")) {
+    if (!part) {
+      throw createCronError(`Empty ${definition.label} entry`);
+    }
+    expandFieldPart(part, definition, values);
+  }
+  return values;
+}
+
+function parseDayOfMonthField(source) {
+  const definition = FIELD_DEFINITIONS.dayOfMonth;
+  const values = new Set();
+  const lastDayOffsets = [];
+  for (const part of source.split(",")) {
+    const upper = part.toUpperCase();
+    const lastMatch = upper.match(/^L(?:-(\d+))?$/);
+    if (lastMatch) {
+      const offset = lastMatch[1] ? Number.parseInt(lastMatch[1], 10) : 0;
+      if (offset > 30) {
+        throw createCronError(`Invalid ${definition.label} offset "${part}"`);
+      }
+      lastDayOffsets.push(offset);
+      continue;
+    }
+    if (!part) {
+      throw createCronError(`Empty ${definition.label} entry`);
+    }
+    expandFieldPart(part, definition, values);
+  }
+  return { values, lastDayOffsets };
+}
+
+function parseDayOfWeekField(source) {
+  const definition = FIELD_DEFINITIONS.dayOfWeek;
+  const values = new Set();
+  const lastWeekdays = new Set();
+  const nthWeekdays = [];
+  for (const part of source.split(",")) {
+    const upper = part.toUpperCase();
+    const lastMatch = upper.match(/^([A-Z]{3}|\d)L$/);
+    if (lastMatch) {
+      lastWeekdays.add(parseFieldValue(lastMatch[1], definition) % 7);
+      continue;
+    }
+    const nthMatch = upper.match(/^([A-Z]{3}|\d)#(\d)$/);
+    if (nthMatch) {
+      const nth = Number.parseInt(nthMatch[2], 10);
+      if (nth < 1 || nth > 5) {
+        throw createCronError(`Invalid ${definition.label} occurrence "${part}"`);
+      }
+      nthWeekdays.push({ day: parseFieldValue(nthMatch[1], definition) % 7, nth });
+      continue;
+    }
+    if (!part) {
+      throw createCronError(`Empty ${definition.label} entry`);
+    }
+    const expanded = new Set();
+    expandFieldPart(part, definition, expanded);
+    for (const value of expanded) {
+      values.add(value % 7);
+    }
+  }
+  return { values, lastWeekdays, nthWeekdays };
+}
+
+function isUnrestricted(source) {
+  return source === "*" || source === "?";
+}
+
+function isIntervalField(source) {
+  return source.split(",").some((part) => part.startsWith("*") || part.includes("/"));
+}
+
+function parseCronExpression(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw createCronError("Cron expression is required");
+  }
+
+  const trimmed = expression.trim();
+  const expanded = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+  const fields = expanded.split(/\s+/);
+  if (fields.length !== 5 && fields.length !== 6) {
+    throw createCronError("Cron expressions must have 5 or 6 fields");
+  }
+
+  const [secondSource, minuteSource, hourSource, domSource, monthSource, dowSource] =
+    fields.length === 6 ? fields : ["0", ...fields];
+
+  const dayOfMonth = parseDayOfMonthField(domSource);
+  const dayOfWeek = parseDayOfWeekField(dowSource);
+
+  const sorted = (values) => [...values].sort((a, b) => a - b);
+
+  return {
+    expression: trimmed,
+    hasSeconds: fields.length === 6,
+    seconds: sorted(parseStandardField(secondSource, FIELD_DEFINITIONS.second)),
+    minutes: sorted(parseStandardField(minuteSource, FIELD_DEFINITIONS.minute)),
+    hours: sorted(parseStandardField(hourSource, FIELD_DEFINITIONS.hour)),
+    months: sorted(parseStandardField(monthSource, FIELD_DEFINITIONS.month)),
+    daysOfMonth: dayOfMonth.values,
+    lastDayOffsets: dayOfMonth.lastDayOffsets,
+    daysOfWeek: dayOfWeek.values,
+    lastWeekdays: dayOfWeek.lastWeekdays,
+    nthWeekdays: dayOfWeek.nthWeekdays,
+    dayOfMonthRestricted: !isUnrestricted(domSource),
+    dayOfWeekRestricted: !isUnrestricted(dowSource),
+    // Schedules with a wildcard or step in the time fields run on elapsed
+    // time and fire again in an hour repeated by a fall-back change; fixed
+    // times fire only once.
+    repeatsInFoldedTime: [secondSource, minuteSource, hourSource].some(isIntervalField),
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function matchesDay(parsed, year, month, day) {
+  const monthLength = daysInMonth(year, month);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  const dayOfMonthMatch =
+    parsed.daysOfMonth.has(day) ||
+    parsed.lastDayOffsets.some((offset) => day === monthLength - offset);
+  const dayOfWeekMatch =
+    parsed.daysOfWeek.has(weekday) ||
+    (parsed.lastWeekdays.has(weekday) && day + 7 > monthLength) ||
+    parsed.nthWeekdays.some((entry) => entry.day === weekday && Math.ceil(day / 7) === entry.nth);
+
+  // Standard cron semantics: when both day fields are restricted either may match.
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  if (parsed.dayOfMonthRestricted) return dayOfMonthMatch;
+  if (parsed.dayOfWeekRestricted) return dayOfWeekMatch;
+  return true;
+}
+
+function normalizeParts(parts) {
+  const date = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second),
+  );
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+  };
+}
+
+function findNextMatchingParts(parsed, startParts) {
+  const limitYear = startParts.year + MAX_SEARCH_YEARS;
+  const nextAllowed = (values, current) => values.find((value) => value >= current);
+  let parts = normalizeParts(startParts);
+
+  for (let iteration = 0; iteration < MAX_SEARCH_ITERATIONS; iteration += 1) {
+    if (parts.year > limitYear) {
+      return null;
+    }
+
+    const month = nextAllowed(parsed.months, parts.month);
+    if (month === undefined) {
+      parts = { year: parts.year + 1, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+      continue;
+    }
+    if (month !== parts.month) {
+      parts = { ...parts, month, day: 1, hour: 0, minute: 0, second: 0 };
+    }
+
+    if (!matchesDay(parsed, parts.year, parts.month, parts.day)) {
+      parts = normalizeParts({ ...parts, day: parts.day + 1, hour: 0, minute: 0, second: 0 });
+      continue;
+    }
+
+    const hour = nextAllowed(parsed.hours, parts.hour);
+    if (hour === undefined) {
+      parts = normalizeParts({ ...parts, day: parts.day + 1, hour: 0, minute: 0, second: 0 });
+      continue;
+    }
+    if (hour !== parts.hour) {
+      parts = { ...parts, hour, minute: 0, second: 0 };
+    }
+
+    const minute = nextAllowed(parsed.minutes, parts.minute);
+    if (minute === undefined) {
+      parts = normalizeParts({ ...parts, hour: parts.hour + 1, minute: 0, second: 0 });
+      continue;
+    }
+    if (minute !== parts.minute) {
+      parts = { ...parts, minute, second: 0 };
+    }
+
+    const second = nextAllowed(parsed.seconds, parts.second);
+    if (second === undefined) {
+      parts = normalizeParts({ ...parts, minute: parts.minute + 1, second: 0 });
+      continue;
+    }
+
+    return { ...parts, second };
+  }
+
+  return null;
+}
+
+function findNextWallClockOccurrence(parsed, base, zone) {
+  const wallClock = getZonedParts(base, zone);
+  let searchFrom = normalizeParts({ ...wallClock, second: wallClock.second + 1 });
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    const match = findNextMatchingParts(parsed, searchFrom);
+    if (!match) return null;
+    const candidate = resolveZonedTimes(match, zone).find((instant) => instant > base);
+    if (candidate) {
+      return candidate;
+    }
+    searchFrom = normalizeParts({ ...match, second: match.second + 1 });
+  }
+  return null;
+}
+
+function computeNextCronOccurrence(parsed, fromDate = new Date(), timeZone) {
+  if (!parsed) return null;
+  const base = fromDate instanceof Date ? fromDate : new Date(fromDate);
+  if (Number.isNaN(base.getTime())) return null;
+  const zone = resolveTimeZone(timeZone);
+
+  const candidate = findNextWallClockOccurrence(parsed, base, zone);
+  if (!candidate || !parsed.repeatsInFoldedTime) {
+    return candidate;
+  }
+
+  // Searching forward in wall-clock time skips an hour that is repeated when
+  // clocks fall back, so look again from the moment the clock was set back.
+  const offsetChange = findOffsetChange(base, candidate, zone);
+  if (
+    !offsetChange ||
+    getTimeZoneOffsetMs(offsetChange.getTime(), zone) > getTimeZoneOffsetMs(base.getTime(), zone)
+  ) {
+    return candidate;
+  }
+  const repeatedWallClock = getZonedParts(offsetChange, zone);
+  const match = findNextMatchingParts(parsed, repeatedWallClock);
+  if (!match) return candidate;
+  const repeated = resolveZonedTimes(match, zone)
+    .filter((instant) => instant >= offsetChange)
+    .find((instant) => instant > base);
+  return repeated && repeated < candidate ? repeated : candidate;
+}
+
+module.exports = {
+  parseCronExpression,
+  computeNextCronOccurrence,
+};
@@ -5,10 +5,38 @@ const sqlite3 = require("sqlite3").verbose();
 const { v4: uuidv4 } = require("uuid");
 const { hashPassword, verifyPassword } = require("./security");
 const { DEFAULT_ADMIN_PASSWORD } = require("./constants");
+const { parseRunnerLabels, serializeRunnerLabels } = require("./runner-labels");
 
 const DEFAULT_CATEGORY_ID = "category-general";
 const SCHEDULER_USERNAME = "scheduler";
 
+// Built-in roles. They are seeded on start-up and cannot be edited, so custom
+// permission sets are created as additional roles.
+const DEFAULT_ROLES = [
+  {
+    id: "role-operator",
+    name: "Operator",
+    description: "Run scripts and clear their logs",
+    canRead: true,
+    canRun: true,
+    canClearLogs: true,
+  },
+  {
+    id: "role-author",
+    name: "Author",
+    description: "Edit and run scripts",
+    canRead: true,
+    canWrite: true,
+    canRun: true,
+  },
+  {
+    id: "role-auditor",
+    name: "Auditor",
+    description: "View scripts and their run history",
+    canRead: true,
+  },
+];
+
 const DB_FILE = path.join(__dirname, "data", "automn.db");
 
 fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
@@ -388,6 +416,84 @@ function backfillScriptCategories(database, defaultCategoryId = DEFAULT_CATEGORY
   );
 }
 
+// Jobs target either a script or a workflow, so script_id is nullable.
+function schedulerJobsTableSql(tableName) {
+  return `
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        script_id TEXT,
+        workflow_id TEXT,
+        http_method TEXT DEFAULT 'POST',
+        payload TEXT,
+        schedule_config TEXT,
+        time_zone TEXT,
+        misfire_policy TEXT DEFAULT 'fire_once',
+        misfire_limit INTEGER,
+        missed_run_count INTEGER DEFAULT 0,
+        last_missed_at TEXT,
+        overlap_policy TEXT DEFAULT 'allow',
+        overlap_pending_at TEXT,
+        retry_policy_json TEXT,
+        is_enabled INTEGER DEFAULT 1,
+        last_run_at TEXT,
+        next_run_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        created_by_user_id TEXT,
+        FOREIGN KEY(script_id) REFERENCES scripts(id) ON DELETE CASCADE,
+        FOREIGN KEY(workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+        FOREIGN KEY(created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `;
+}
+
+const SCHEDULER_JOB_COLUMNS = [
+  "id",
+  "name",
+  "script_id",
+  "workflow_id",
+  "http_method",
+  "payload",
+  "schedule_config",
+  "time_zone",
+  "misfire_policy",
+  "misfire_limit",
+  "missed_run_count",
+  "last_missed_at",
+  "overlap_policy",
+  "overlap_pending_at",
+  "retry_policy_json",
+  "is_enabled",
+  "last_run_at",
+  "next_run_at",
+  "created_at",
+  "updated_at",
+  "created_by_user_id",
+];
+
+// Older databases declare scheduler_jobs.script_id NOT NULL, which SQLite
+// cannot relax in place. Copy the jobs into a table with the current layout
+// and swap it in, all in one transaction.
+function rebuildSchedulerJobsTable(database, existingColumns) {
+  const columns = SCHEDULER_JOB_COLUMNS.filter((name) => existingColumns.includes(name)).join(", ");
+  database.exec(
+    `BEGIN;
+     ${schedulerJobsTableSql("scheduler_jobs_rebuild")};
+     INSERT INTO scheduler_jobs_rebuild (${columns}) SELECT ${columns} FROM scheduler_jobs;
+     DROP TABLE scheduler_jobs;
+     ALTER TABLE scheduler_jobs_rebuild RENAME TO scheduler_jobs;
+     CREATE INDEX IF NOT EXISTS idx_scheduler_jobs_next_run ON scheduler_jobs(next_run_at);
+     COMMIT;`,
+    (err) => {
+      if (err) {
+        console.error("Failed to migrate scheduler_jobs table", err);
+        database.run("ROLLBACK", () => {});
+      }
+    },
+  );
+}
+
 function initializeSchema(database) {
   database.serialize(() => {
     database.run(`
@@ -405,6 +511,8 @@ function initializeSchema(database) {
         description TEXT,
         default_language TEXT,
         default_runner_host_id TEXT,
+        default_runner_selector TEXT,
+        default_fallback_runner_host_ids TEXT,
         is_system INTEGER DEFAULT 0,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
         updated_at TEXT DEFAULT CURRENT_TIMESTAMP
@@ -431,12 +539,115 @@ function initializeSchema(database) {
           },
         );
       }
+      if (!columnNames.includes("default_runner_selector")) {
+        database.run(
+          "ALTER TABLE categories ADD COLUMN default_runner_selector TEXT",
+          (alterErr) => {
+            if (alterErr) {
+              console.error(
+                "Failed to add default_runner_selector column",
+                alterErr,
+              );
+            }
+          },
+        );
+      }
+      if (!columnNames.includes("default_fallback_runner_host_ids")) {
+        database.run(
+          "ALTER TABLE categories ADD COLUMN default_fallback_runner_host_ids TEXT",
+          (alterErr) => {
+            if (alterErr) {
+              console.error(
+                "Failed to add default_fallback_runner_host_ids column",
+                alterErr,
+              );
+            }
+          },
+        );
+      }
     });
 
     database.run(
       `CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name ON categories(name)`,
     );
 
+    database.run(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        can_read INTEGER DEFAULT 0,
+        can_write INTEGER DEFAULT 0,
+        can_delete INTEGER DEFAULT 0,
+        can_run INTEGER DEFAULT 0,
+        can_clear_logs INTEGER DEFAULT 0,
+        is_system INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const role of DEFAULT_ROLES) {
+      database.run(
+        `INSERT OR IGNORE INTO roles (id, name, description, can_read, can_write, can_delete, can_run, can_clear_logs, is_system)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+        [
+          role.id,
+          role.name,
+          role.description,
+          role.canRead ? 1 : 0,
+          role.canWrite ? 1 : 0,
+          role.canDelete ? 1 : 0,
+          role.canRun ? 1 : 0,
+          role.canClearLogs ? 1 : 0,
+        ],
+      );
+    }
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_group_members (
+        group_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(group_id, user_id),
+        FOREIGN KEY(group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(
+      "CREATE INDEX IF NOT EXISTS idx_user_group_members_user ON user_group_members(user_id)",
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS group_category_permissions (
+        id TEXT PRIMARY KEY,
+        category_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        role_id TEXT,
+        can_read INTEGER DEFAULT 0,
+        can_write INTEGER DEFAULT 0,
+        can_delete INTEGER DEFAULT 0,
+        can_run INTEGER DEFAULT 0,
+        can_clear_logs INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(category_id, group_id),
+        FOREIGN KEY(category_id) REFERENCES categories(id) ON DELETE CASCADE,
+        FOREIGN KEY(group_id) REFERENCES user_groups(id) ON DELETE CASCADE
+      )
+    `);
+
     database.run(`
       CREATE TABLE IF NOT EXISTS category_permissions (
         id TEXT PRIMARY KEY,
@@ -455,6 +666,22 @@ function initializeSchema(database) {
       )
     `);
 
+    database.all("PRAGMA table_info(category_permissions)", (err, columns) => {
+      if (err) {
+        console.error("Failed to inspect category_permissions table", err);
+        return;
+      }
+
+      const hasRoleId = columns.some((col) => col.name === "role_id");
+      if (!hasRoleId) {
+        database.run("ALTER TABLE category_permissions ADD COLUMN role_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add category_permissions role_id column", alterErr);
+          }
+        });
+      }
+    });
+
     database.run(`
       CREATE TABLE IF NOT EXISTS scripts (
         id TEXT PRIMARY KEY,
@@ -468,6 +695,8 @@ function initializeSchema(database) {
         owner_id TEXT,
         last_version_user_id TEXT,
         runner_host_id TEXT,
+        runner_selector TEXT,
+        fallback_runner_host_ids TEXT,
         inherit_category_runner INTEGER DEFAULT 1,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
         is_draft INTEGER DEFAULT 0,
@@ -677,6 +906,32 @@ function initializeSchema(database) {
         );
       }
 
+      const hasRunnerSelector = columns.some((col) => col.name === "runner_selector");
+      if (!hasRunnerSelector) {
+        database.run(
+          "ALTER TABLE scripts ADD COLUMN runner_selector TEXT",
+          (alterErr) => {
+            if (alterErr) {
+              console.error("Failed to add runner_selector column", alterErr);
+            }
+          },
+        );
+      }
+
+      const hasFallbackRunnerHostIds = columns.some(
+        (col) => col.name === "fallback_runner_host_ids",
+      );
+      if (!hasFallbackRunnerHostIds) {
+        database.run(
+          "ALTER TABLE scripts ADD COLUMN fallback_runner_host_ids TEXT",
+          (alterErr) => {
+            if (alterErr) {
+              console.error("Failed to add fallback_runner_host_ids column", alterErr);
+            }
+          },
+        );
+      }
+
       const hasInheritCategoryRunner = columns.some(
         (col) => col.name === "inherit_category_runner",
       );
@@ -766,6 +1021,24 @@ function initializeSchema(database) {
         );
       }
 
+      const hasRetryPolicy = columns.some((col) => col.name === "retry_policy_json");
+      if (!hasRetryPolicy) {
+        database.run("ALTER TABLE scripts ADD COLUMN retry_policy_json TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add retry_policy_json column", alterErr);
+          }
+        });
+      }
+
+      const hasWebhookAuth = columns.some((col) => col.name === "webhook_auth_json");
+      if (!hasWebhookAuth) {
+        database.run("ALTER TABLE scripts ADD COLUMN webhook_auth_json TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add webhook_auth_json column", alterErr);
+          }
+        });
+      }
+
       ensureDefaultCategory(database, (err, defaultCategoryId) => {
         if (err) {
           return;
@@ -809,8 +1082,36 @@ function initializeSchema(database) {
           },
         );
       }
+
+      const hasRoleId = columns.some((col) => col.name === "role_id");
+      if (!hasRoleId) {
+        database.run("ALTER TABLE script_permissions ADD COLUMN role_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add script_permissions role_id column", alterErr);
+          }
+        });
+      }
     });
 
+    database.run(`
+      CREATE TABLE IF NOT EXISTS group_script_permissions (
+        id TEXT PRIMARY KEY,
+        script_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        role_id TEXT,
+        can_read INTEGER DEFAULT 0,
+        can_write INTEGER DEFAULT 0,
+        can_delete INTEGER DEFAULT 0,
+        can_run INTEGER DEFAULT 0,
+        can_clear_logs INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(script_id, group_id),
+        FOREIGN KEY(script_id) REFERENCES scripts(id) ON DELETE CASCADE,
+        FOREIGN KEY(group_id) REFERENCES user_groups(id) ON DELETE CASCADE
+      )
+    `);
+
     database.run(`
       CREATE TABLE IF NOT EXISTS script_variables (
         id TEXT PRIMARY KEY,
@@ -1068,33 +1369,290 @@ function initializeSchema(database) {
       triggered_by TEXT,
       triggered_by_user_id TEXT,
       http_method TEXT,
+      attempt INTEGER DEFAULT 1,
+      retry_of_run_id TEXT,
+      next_retry_at TEXT,
+      failure_type TEXT,
+      runner_host_id TEXT,
       FOREIGN KEY(script_id) REFERENCES scripts(id)
     )
   `);
 
+    database.run(schedulerJobsTableSql("scheduler_jobs"));
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_scheduler_jobs_next_run ON scheduler_jobs(next_run_at)`,
+    );
+
+    database.all("PRAGMA table_info(scheduler_jobs)", (err, columns) => {
+      if (err) {
+        console.error("Failed to inspect scheduler_jobs table", err);
+        return;
+      }
+
+      const columnNames = columns.map((col) => col.name);
+      if (columns.some((col) => col.name === "script_id" && col.notnull)) {
+        rebuildSchedulerJobsTable(database, columnNames);
+        return;
+      }
+
+      if (!columnNames.includes("time_zone")) {
+        database.run("ALTER TABLE scheduler_jobs ADD COLUMN time_zone TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add time_zone column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("misfire_policy")) {
+        database.run(
+          "ALTER TABLE scheduler_jobs ADD COLUMN misfire_policy TEXT DEFAULT 'fire_once'",
+          (alterErr) => {
+            if (alterErr) {
+              console.error("Failed to add misfire_policy column", alterErr);
+            }
+          },
+        );
+      }
+
+      if (!columnNames.includes("misfire_limit")) {
+        database.run("ALTER TABLE scheduler_jobs ADD COLUMN misfire_limit INTEGER", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add misfire_limit column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("missed_run_count")) {
+        database.run(
+          "ALTER TABLE scheduler_jobs ADD COLUMN missed_run_count INTEGER DEFAULT 0",
+          (alterErr) => {
+            if (alterErr) {
+              console.error("Failed to add missed_run_count column", alterErr);
+            }
+          },
+        );
+      }
+
+      if (!columnNames.includes("last_missed_at")) {
+        database.run("ALTER TABLE scheduler_jobs ADD COLUMN last_missed_at TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add last_missed_at column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("overlap_policy")) {
+        database.run(
+          "ALTER TABLE scheduler_jobs ADD COLUMN overlap_policy TEXT DEFAULT 'allow'",
+          (alterErr) => {
+            if (alterErr) {
+              console.error("Failed to add overlap_policy column", alterErr);
+            }
+          },
+        );
+      }
+
+      if (!columnNames.includes("overlap_pending_at")) {
+        database.run("ALTER TABLE scheduler_jobs ADD COLUMN overlap_pending_at TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add overlap_pending_at column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("retry_policy_json")) {
+        database.run("ALTER TABLE scheduler_jobs ADD COLUMN retry_policy_json TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add retry_policy_json column", alterErr);
+          }
+        });
+      }
+    });
+
     database.run(`
-      CREATE TABLE IF NOT EXISTS scheduler_jobs (
+      CREATE TABLE IF NOT EXISTS scheduler_job_misfires (
+        id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        scheduled_at TEXT NOT NULL,
+        action TEXT NOT NULL,
+        run_id TEXT,
+        detected_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(job_id) REFERENCES scheduler_jobs(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_scheduler_job_misfires_job ON scheduler_job_misfires(job_id, scheduled_at)`,
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS workflows (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        endpoint TEXT NOT NULL UNIQUE,
+        description TEXT,
+        definition_json TEXT NOT NULL,
+        run_token TEXT,
+        is_enabled INTEGER DEFAULT 1,
+        created_by_user_id TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS workflow_runs (
+        id TEXT PRIMARY KEY,
+        workflow_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        triggered_by TEXT,
+        triggered_by_user_id TEXT,
+        input_json TEXT,
+        output_json TEXT,
+        error TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        FOREIGN KEY(workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow ON workflow_runs(workflow_id, start_time)`,
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS workflow_run_steps (
+        id TEXT PRIMARY KEY,
+        workflow_run_id TEXT NOT NULL,
+        step_id TEXT NOT NULL,
+        script_id TEXT,
+        run_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        exit_code INTEGER,
+        output_json TEXT,
+        error TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        UNIQUE(workflow_run_id, step_id),
+        FOREIGN KEY(workflow_run_id) REFERENCES workflow_runs(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS script_triggers (
         id TEXT PRIMARY KEY,
         name TEXT,
-        script_id TEXT NOT NULL,
-        http_method TEXT DEFAULT 'POST',
-        payload TEXT,
-        schedule_config TEXT,
+        source_script_id TEXT NOT NULL,
+        target_script_id TEXT NOT NULL,
+        on_status TEXT NOT NULL DEFAULT 'success',
+        condition_json TEXT,
         is_enabled INTEGER DEFAULT 1,
-        last_run_at TEXT,
-        next_run_at TEXT,
+        last_fired_at TEXT,
+        last_run_id TEXT,
+        created_by_user_id TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
         updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(source_script_id) REFERENCES scripts(id) ON DELETE CASCADE,
+        FOREIGN KEY(target_script_id) REFERENCES scripts(id) ON DELETE CASCADE,
+        FOREIGN KEY(created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_script_triggers_source ON script_triggers(source_script_id)`,
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS script_tokens (
+        id TEXT PRIMARY KEY,
+        script_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        token_preview TEXT,
+        allowed_methods_json TEXT,
+        ip_allowlist_json TEXT,
+        expires_at TEXT,
+        last_used_at TEXT,
+        last_used_ip TEXT,
         created_by_user_id TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY(script_id) REFERENCES scripts(id) ON DELETE CASCADE,
         FOREIGN KEY(created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
       )
     `);
 
     database.run(
-      `CREATE INDEX IF NOT EXISTS idx_scheduler_jobs_next_run ON scheduler_jobs(next_run_at)`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_script_tokens_hash ON script_tokens(token_hash)`,
     );
 
+    database.run(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        token_preview TEXT,
+        scopes_json TEXT,
+        expires_at TEXT,
+        revoked_at TEXT,
+        last_used_at TEXT,
+        last_used_ip TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_personal_access_tokens_hash ON personal_access_tokens(token_hash)`,
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT PRIMARY KEY,
+        action TEXT NOT NULL,
+        actor_user_id TEXT,
+        actor_label TEXT,
+        ip_address TEXT,
+        target_type TEXT,
+        target_id TEXT,
+        target_label TEXT,
+        details_json TEXT,
+        changes_json TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at)`,
+    );
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id)`,
+    );
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_user_id)`,
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS queued_jobs (
+        run_id TEXT PRIMARY KEY,
+        script_id TEXT,
+        state TEXT NOT NULL DEFAULT 'queued',
+        replayable INTEGER DEFAULT 1,
+        req_body_json TEXT,
+        job_context_json TEXT,
+        target_runner_id TEXT,
+        runner_host_id TEXT,
+        enqueued_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        dispatched_at TEXT,
+        FOREIGN KEY(script_id) REFERENCES scripts(id) ON DELETE CASCADE
+      )
+    `);
+
     database.all("PRAGMA table_info(runs)", (err, columns) => {
       if (err) {
         console.error("Failed to inspect runs table", err);
@@ -1136,6 +1694,46 @@ function initializeSchema(database) {
           }
         });
       }
+
+      if (!columnNames.includes("attempt")) {
+        database.run("ALTER TABLE runs ADD COLUMN attempt INTEGER DEFAULT 1", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add attempt column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("retry_of_run_id")) {
+        database.run("ALTER TABLE runs ADD COLUMN retry_of_run_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add retry_of_run_id column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("next_retry_at")) {
+        database.run("ALTER TABLE runs ADD COLUMN next_retry_at TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add next_retry_at column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("failure_type")) {
+        database.run("ALTER TABLE runs ADD COLUMN failure_type TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add failure_type column", alterErr);
+          }
+        });
+      }
+
+      if (!columnNames.includes("runner_host_id")) {
+        database.run("ALTER TABLE runs ADD COLUMN runner_host_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add runner_host_id column", alterErr);
+          }
+        });
+      }
     });
 
     database.run(`
@@ -1143,9 +1741,11 @@ function initializeSchema(database) {
       id TEXT PRIMARY KEY,
       name TEXT NOT NULL UNIQUE,
       secret_hash TEXT NOT NULL,
+      signing_key TEXT,
       status TEXT NOT NULL DEFAULT 'pending',
       status_message TEXT,
       endpoint TEXT,
+      connection_mode TEXT DEFAULT 'push',
       last_seen_at TEXT,
       max_concurrency INTEGER,
       timeout_ms INTEGER,
@@ -1155,7 +1755,11 @@ function initializeSchema(database) {
       runner_arch TEXT,
       runner_uptime INTEGER,
       runner_runtimes TEXT,
+      runner_certificate TEXT,
       minimum_host_version TEXT,
+      tls_ca TEXT,
+      tls_fingerprint TEXT,
+      labels TEXT,
       admin_only INTEGER DEFAULT 0,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
@@ -1180,9 +1784,11 @@ function initializeSchema(database) {
         });
       };
 
+      ensureColumn("signing_key", "TEXT");
       ensureColumn("status", "TEXT NOT NULL DEFAULT 'pending'");
       ensureColumn("status_message", "TEXT");
       ensureColumn("endpoint", "TEXT");
+      ensureColumn("connection_mode", "TEXT DEFAULT 'push'");
       ensureColumn("last_seen_at", "TEXT");
       ensureColumn("max_concurrency", "INTEGER");
       ensureColumn("timeout_ms", "INTEGER");
@@ -1192,7 +1798,11 @@ function initializeSchema(database) {
       ensureColumn("runner_arch", "TEXT");
       ensureColumn("runner_uptime", "INTEGER");
       ensureColumn("runner_runtimes", "TEXT");
+      ensureColumn("runner_certificate", "TEXT");
       ensureColumn("minimum_host_version", "TEXT");
+      ensureColumn("tls_ca", "TEXT");
+      ensureColumn("tls_fingerprint", "TEXT");
+      ensureColumn("labels", "TEXT");
       ensureColumn("admin_only", "INTEGER DEFAULT 0");
       ensureColumn("created_at", "TEXT DEFAULT CURRENT_TIMESTAMP");
       ensureColumn("updated_at", "TEXT DEFAULT CURRENT_TIMESTAMP");
@@ -1290,8 +1900,102 @@ function initializeSchema(database) {
           }
         });
       }
+      if (!columnNames.includes("role_id")) {
+        database.run("ALTER TABLE users ADD COLUMN role_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add users role_id column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("auth_provider")) {
+        database.run("ALTER TABLE users ADD COLUMN auth_provider TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add auth_provider column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("external_id")) {
+        database.run("ALTER TABLE users ADD COLUMN external_id TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add external_id column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("totp_secret")) {
+        database.run("ALTER TABLE users ADD COLUMN totp_secret TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add totp_secret column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("totp_pending_secret")) {
+        database.run("ALTER TABLE users ADD COLUMN totp_pending_secret TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add totp_pending_secret column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("totp_enabled")) {
+        database.run("ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add totp_enabled column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("totp_last_counter")) {
+        database.run("ALTER TABLE users ADD COLUMN totp_last_counter INTEGER", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add totp_last_counter column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("totp_enrolled_at")) {
+        database.run("ALTER TABLE users ADD COLUMN totp_enrolled_at TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add totp_enrolled_at column", alterErr);
+          }
+        });
+      }
+    });
+
+    database.all("PRAGMA table_info(sessions)", (err, columns) => {
+      if (err) {
+        console.error("Failed to inspect sessions table", err);
+        return;
+      }
+
+      const columnNames = columns.map((col) => col.name);
+      if (!columnNames.includes("ip_address")) {
+        database.run("ALTER TABLE sessions ADD COLUMN ip_address TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add sessions ip_address column", alterErr);
+          }
+        });
+      }
+      if (!columnNames.includes("user_agent")) {
+        database.run("ALTER TABLE sessions ADD COLUMN user_agent TEXT", (alterErr) => {
+          if (alterErr) {
+            console.error("Failed to add sessions user_agent column", alterErr);
+          }
+        });
+      }
     });
 
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        used_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    database.run(
+      `CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id)`,
+    );
+
     backfillScriptVersions(database);
   });
 }
@@ -1352,6 +2056,18 @@ function serializeRunnerRuntimes(value) {
   }
 }
 
+function parseRunnerCertificate(value) {
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
 function mapRunnerHostRow(row, { includeSecret = false } = {}) {
   if (!row) return null;
   const mapped = {
@@ -1360,6 +2076,7 @@ function mapRunnerHostRow(row, { includeSecret = false } = {}) {
     status: row.status || "pending",
     statusMessage: row.status_message || null,
     endpoint: row.endpoint || null,
+    connectionMode: row.connection_mode === "pull" ? "pull" : "push",
     lastSeenAt: row.last_seen_at || null,
     maxConcurrency:
       row.max_concurrency === null || row.max_concurrency === undefined
@@ -1378,7 +2095,11 @@ function mapRunnerHostRow(row, { includeSecret = false } = {}) {
         ? null
         : Number(row.runner_uptime),
     runnerRuntimes: parseRunnerRuntimes(row.runner_runtimes),
+    runnerCertificate: parseRunnerCertificate(row.runner_certificate),
     minimumHostVersion: row.minimum_host_version || null,
+    tlsCa: row.tls_ca || null,
+    tlsFingerprint: row.tls_fingerprint || null,
+    labels: parseRunnerLabels(row.labels),
     adminOnly: normalizeDbBoolean(row.admin_only),
     createdAt: row.created_at || null,
     updatedAt: row.updated_at || null,
@@ -1387,6 +2108,7 @@ function mapRunnerHostRow(row, { includeSecret = false } = {}) {
 
   if (includeSecret) {
     mapped.secretHash = row.secret_hash || null;
+    mapped.signingKey = row.signing_key || null;
   }
 
   return mapped;
@@ -1400,7 +2122,7 @@ function getRunnerHostById(database, id, { includeSecret = false } = {}) {
     }
 
     database.get(
-      `SELECT id, name, secret_hash, status, status_message, endpoint, last_seen_at, max_concurrency, timeout_ms, runner_version, runner_os, runner_platform, runner_arch, runner_uptime, runner_runtimes, minimum_host_version, admin_only, created_at, updated_at, disabled_at
+      `SELECT id, name, secret_hash, signing_key, status, status_message, endpoint, connection_mode, last_seen_at, max_concurrency, timeout_ms, runner_version, runner_os, runner_platform, runner_arch, runner_uptime, runner_runtimes, runner_certificate, minimum_host_version, tls_ca, tls_fingerprint, labels, admin_only, created_at, updated_at, disabled_at
          FROM runner_hosts
         WHERE id=?`,
       [id],
@@ -1418,7 +2140,7 @@ function getRunnerHostById(database, id, { includeSecret = false } = {}) {
 function listRunnerHosts(database) {
   return new Promise((resolve, reject) => {
     database.all(
-      `SELECT id, name, status, status_message, endpoint, last_seen_at, max_concurrency, timeout_ms, runner_version, runner_os, runner_platform, runner_arch, runner_uptime, runner_runtimes, minimum_host_version, admin_only, created_at, updated_at, disabled_at
+      `SELECT id, name, status, status_message, endpoint, connection_mode, last_seen_at, max_concurrency, timeout_ms, runner_version, runner_os, runner_platform, runner_arch, runner_uptime, runner_runtimes, runner_certificate, minimum_host_version, tls_ca, tls_fingerprint, labels, admin_only, created_at, updated_at, disabled_at
          FROM runner_hosts
         ORDER BY name COLLATE NOCASE ASC`,
       [],
@@ -1435,7 +2157,7 @@ function listRunnerHosts(database) {
 
 function createRunnerHostRecord(
   database,
-  { id, name, secretHash, status = "pending", adminOnly = false },
+  { id, name, secretHash, signingKey = null, status = "pending", adminOnly = false },
 ) {
   const trimmedId = typeof id === "string" ? id.trim() : id;
   const hostId = trimmedId || uuidv4();
@@ -1454,9 +2176,9 @@ function createRunnerHostRecord(
 
   return new Promise((resolve, reject) => {
     database.run(
-      `INSERT INTO runner_hosts (id, name, secret_hash, status, admin_only)
-       VALUES (?, ?, ?, ?, ?)`,
-      [finalId, trimmedName, secretHash, status, adminOnly ? 1 : 0],
+      `INSERT INTO runner_hosts (id, name, secret_hash, signing_key, status, admin_only)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [finalId, trimmedName, secretHash, signingKey || null, status, adminOnly ? 1 : 0],
       (err) => {
         if (err) {
           reject(err);
@@ -1494,6 +2216,11 @@ function updateRunnerHostStatus(database, id, updates = {}) {
     values.push(updates.endpoint || null);
   }
 
+  if (Object.prototype.hasOwnProperty.call(updates, "connectionMode")) {
+    fields.push("connection_mode=?");
+    values.push(updates.connectionMode === "pull" ? "pull" : "push");
+  }
+
   if (Object.prototype.hasOwnProperty.call(updates, "lastSeenAt")) {
     fields.push("last_seen_at=?");
     values.push(updates.lastSeenAt || null);
@@ -1542,11 +2269,31 @@ function updateRunnerHostStatus(database, id, updates = {}) {
     values.push(serializeRunnerRuntimes(updates.runnerRuntimes));
   }
 
+  if (Object.prototype.hasOwnProperty.call(updates, "runnerCertificate")) {
+    fields.push("runner_certificate=?");
+    values.push(updates.runnerCertificate ? JSON.stringify(updates.runnerCertificate) : null);
+  }
+
   if (Object.prototype.hasOwnProperty.call(updates, "minimumHostVersion")) {
     fields.push("minimum_host_version=?");
     values.push(updates.minimumHostVersion || null);
   }
 
+  if (Object.prototype.hasOwnProperty.call(updates, "tlsCa")) {
+    fields.push("tls_ca=?");
+    values.push(updates.tlsCa || null);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(updates, "tlsFingerprint")) {
+    fields.push("tls_fingerprint=?");
+    values.push(updates.tlsFingerprint || null);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(updates, "labels")) {
+    fields.push("labels=?");
+    values.push(serializeRunnerLabels(updates.labels));
+  }
+
   if (Object.prototype.hasOwnProperty.call(updates, "adminOnly")) {
     fields.push("admin_only=?");
     values.push(normalizeDbBoolean(updates.adminOnly) ? 1 : 0);
@@ -1570,6 +2317,11 @@ function updateRunnerHostStatus(database, id, updates = {}) {
     values.push(hashed);
   }
 
+  if (Object.prototype.hasOwnProperty.call(updates, "signingKey")) {
+    fields.push("signing_key=?");
+    values.push(updates.signingKey || null);
+  }
+
   if (updates.clearDisabledAt) {
     fields.push("disabled_at=NULL");
   }
@@ -1678,6 +2430,134 @@ function hasHealthyRunnerHost(database, staleThresholdMs = 5 * 60 * 1000) {
   });
 }
 
+function serializeQueuedJson(value) {
+  if (value === undefined) return null;
+  try {
+    return JSON.stringify(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseQueuedJson(value) {
+  if (typeof value !== "string" || !value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function mapQueuedJobRow(row) {
+  if (!row) return null;
+  return {
+    runId: row.run_id,
+    scriptId: row.script_id || null,
+    state: row.state || "queued",
+    replayable: normalizeDbBoolean(row.replayable),
+    reqBody: parseQueuedJson(row.req_body_json),
+    jobContext: parseQueuedJson(row.job_context_json) || {},
+    targetRunnerId: row.target_runner_id || null,
+    runnerHostId: row.runner_host_id || null,
+    enqueuedAt: row.enqueued_at || null,
+    dispatchedAt: row.dispatched_at || null,
+  };
+}
+
+function insertQueuedJob(
+  database,
+  { runId, scriptId, replayable = true, reqBody, jobContext, targetRunnerId },
+) {
+  if (!runId) {
+    return Promise.reject(new Error("Queued job run id is required"));
+  }
+
+  return new Promise((resolve, reject) => {
+    database.run(
+      `INSERT OR REPLACE INTO queued_jobs (run_id, script_id, state, replayable, req_body_json, job_context_json, target_runner_id, enqueued_at)
+       VALUES (?, ?, 'queued', ?, ?, ?, ?, ?)`,
+      [
+        runId,
+        scriptId || null,
+        replayable ? 1 : 0,
+        serializeQueuedJson(reqBody),
+        serializeQueuedJson(jobContext),
+        targetRunnerId || null,
+        new Date().toISOString(),
+      ],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      },
+    );
+  });
+}
+
+function markQueuedJobDispatched(database, runId, runnerHostId = null) {
+  if (!runId) {
+    return Promise.reject(new Error("Queued job run id is required"));
+  }
+
+  return new Promise((resolve, reject) => {
+    database.run(
+      `UPDATE queued_jobs
+          SET state='dispatched',
+              runner_host_id=?,
+              dispatched_at=?
+        WHERE run_id=?`,
+      [runnerHostId || null, new Date().toISOString(), runId],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      },
+    );
+  });
+}
+
+function deleteQueuedJob(database, runId) {
+  if (!runId) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve, reject) => {
+    database.run(
+      `DELETE FROM queued_jobs WHERE run_id=?`,
+      [runId],
+      function handleResult(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this?.changes > 0);
+      },
+    );
+  });
+}
+
+function listQueuedJobs(database) {
+  return new Promise((resolve, reject) => {
+    database.all(
+      `SELECT run_id, script_id, state, replayable, req_body_json, job_context_json, target_runner_id, runner_host_id, enqueued_at, dispatched_at
+         FROM queued_jobs
+        ORDER BY enqueued_at ASC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(mapQueuedJobRow).filter(Boolean));
+      },
+    );
+  });
+}
+
 function ensureAdminAccount(database = db) {
   const computeDefaultHash = () => {
     try {
@@ -1923,3 +2803,8 @@ module.exports.disableRunnerHost = (id, options) => disableRunnerHost(db, id, op
 module.exports.deleteRunnerHost = (id) => deleteRunnerHost(db, id);
 module.exports.hasHealthyRunnerHost = (staleThresholdMs) =>
   hasHealthyRunnerHost(db, staleThresholdMs);
+module.exports.insertQueuedJob = (options) => insertQueuedJob(db, options);
+module.exports.markQueuedJobDispatched = (runId, runnerHostId) =>
+  markQueuedJobDispatched(db, runId, runnerHostId);
+module.exports.deleteQueuedJob = (runId) => deleteQueuedJob(db, runId);
+module.exports.listQueuedJobs = () => listQueuedJobs(db);
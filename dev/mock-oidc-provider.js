@@ -0,0 +1,227 @@
+// Minimal OpenID Connect provider for trying single sign-on locally. It
+// implements discovery, the authorization code flow with PKCE, RS256-signed
+// ID tokens, JWKS and userinfo, and signs in whoever is typed into its login
+// form. Never expose it outside a development machine.
+//
+//   node dev/mock-oidc-provider.js
+//
+// Then point Settings → Authentication → Single sign-on at it:
+//   Issuer        http://localhost:9400
+//   Client ID     automn
+//   Client secret automn-secret
+const crypto = require("crypto");
+const http = require("http");
+
+const PORT = Number.parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "automn";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "automn-secret";
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 10 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+function sendOAuthError(res, status, error, description) {
+  sendJson(res, status, { error, error_description: description });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(new URLSearchParams(Buffer.concat(chunks).toString("utf8"))));
+    req.on("error", reject);
+  });
+}
+
+function signJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const signingInput = `${encode({ alg: "RS256", typ: "JWT", kid: KEY_ID })}.${encode(claims)}`;
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+function readClientCredentials(req, params) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+    };
+  }
+  return { clientId: params.get("client_id"), clientSecret: params.get("client_secret") };
+}
+
+function renderLoginForm(res, query) {
+  const hidden = [...query.entries()]
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("");
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(`<!doctype html>
+<title>Mock OIDC provider</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 20rem">
+  <h1>Mock OIDC sign-in</h1>
+  ${hidden}
+  <p><label>Username<br><input name="username" value="alice" required></label></p>
+  <p><label>Email<br><input name="email" value="alice@example.test"></label></p>
+  <p><label>Groups (comma separated)<br><input name="groups" value="automn-admins"></label></p>
+  <p><button type="submit">Sign in</button></p>
+</form>`);
+}
+
+async function handleAuthorize(req, res, url) {
+  const params = req.method === "POST" ? await readBody(req) : url.searchParams;
+  if (params.get("client_id") !== CLIENT_ID) {
+    sendOAuthError(res, 400, "unauthorized_client", "Unknown client_id");
+    return;
+  }
+  if (params.get("response_type") !== "code") {
+    sendOAuthError(res, 400, "unsupported_response_type", "Only the code flow is supported");
+    return;
+  }
+  if (!params.get("code_challenge") || params.get("code_challenge_method") !== "S256") {
+    sendOAuthError(res, 400, "invalid_request", "PKCE with S256 is required");
+    return;
+  }
+  if (req.method !== "POST" || !params.get("username")) {
+    renderLoginForm(res, params);
+    return;
+  }
+
+  const username = params.get("username").trim();
+  const groups = (params.get("groups") || "")
+    .split(",")
+    .map((group) => group.trim())
+    .filter(Boolean);
+  const code = crypto.randomBytes(24).toString("base64url");
+  authorizationCodes.set(code, {
+    redirectUri: params.get("redirect_uri"),
+    codeChallenge: params.get("code_challenge"),
+    nonce: params.get("nonce") || undefined,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: `mock|${username}`,
+      preferred_username: username,
+      name: username,
+      email: params.get("email") || undefined,
+      groups,
+    },
+  });
+
+  const redirect = new URL(params.get("redirect_uri"));
+  redirect.searchParams.set("code", code);
+  if (params.get("state")) {
+    redirect.searchParams.set("state", params.get("state"));
+  }
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+async function handleToken(req, res) {
+  const params = await readBody(req);
+  const { clientId, clientSecret } = readClientCredentials(req, params);
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    sendOAuthError(res, 401, "invalid_client", "Client authentication failed");
+    return;
+  }
+  if (params.get("grant_type") !== "authorization_code") {
+    sendOAuthError(res, 400, "unsupported_grant_type", "Only authorization_code is supported");
+    return;
+  }
+
+  const entry = authorizationCodes.get(params.get("code"));
+  authorizationCodes.delete(params.get("code"));
+  if (!entry || entry.expiresAt <= Date.now() || entry.redirectUri !== params.get("redirect_uri")) {
+    sendOAuthError(res, 400, "invalid_grant", "Authorization code is invalid or expired");
+    return;
+  }
+  const verifier = params.get("code_verifier") || "";
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  if (challenge !== entry.codeChallenge) {
+    sendOAuthError(res, 400, "invalid_grant", "PKCE verification failed");
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, entry.claims);
+  sendJson(res, 200, {
+    token_type: "Bearer",
+    access_token: accessToken,
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: signJwt({
+      ...entry.claims,
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+      nonce: entry.nonce,
+    }),
+  });
+}
+
+function handleUserInfo(req, res) {
+  const header = req.headers.authorization || "";
+  const claims = header.startsWith("Bearer ") ? accessTokens.get(header.slice(7)) : null;
+  if (!claims) {
+    sendOAuthError(res, 401, "invalid_token", "Access token is invalid");
+    return;
+  }
+  sendJson(res, 200, claims);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const route = `${req.method} ${url.pathname}`;
+  const handle = async () => {
+    if (route === "GET /.well-known/openid-configuration") {
+      sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+        scopes_supported: ["openid", "profile", "email", "groups"],
+      });
+    } else if (route === "GET /jwks") {
+      sendJson(res, 200, { keys: [jwk] });
+    } else if (route === "GET /authorize" || route === "POST /authorize") {
+      await handleAuthorize(req, res, url);
+    } else if (route === "POST /token") {
+      await handleToken(req, res);
+    } else if (route === "GET /userinfo") {
+      handleUserInfo(req, res);
+    } else {
+      sendJson(res, 404, { error: "not_found" });
+    }
+  };
+  handle().catch((err) => {
+    console.error("[mock-oidc] Request failed", err);
+    sendOAuthError(res, 500, "server_error", err.message);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-oidc] Issuer ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
@@ -1,6 +1,12 @@
 const crypto = require("crypto");
-const { dispatchRemoteRun } = require("./worker");
+const { dispatchRemoteRun, requestRemoteCancel } = require("./worker");
 const { buildJobVariables } = require("./variable-definitions");
+const {
+  normalizeRunnerLabels,
+  parseRunnerLabels,
+  matchesRunnerSelector,
+  formatRunnerSelector,
+} = require("./runner-labels");
 
 const subscribers = new Map();
 const logHistory = new Map();
@@ -67,11 +73,20 @@ let queueProcessingScheduled = false;
 
 const DEFAULT_MAX_WORKERS = 4;
 const DEFAULT_RUNNER_REQUEST_TIMEOUT_MS = 60_000;
+const RUNNER_CANCEL_TIMEOUT_MS = 10_000;
 const envMax = Number.parseInt(process.env.AUTOMN_MAX_WORKERS ?? "", 10);
 const MAX_WORKERS =
   Number.isFinite(envMax) && envMax > 0 ? envMax : DEFAULT_MAX_WORKERS;
 
 const runnerHosts = new Map();
+const activeJobs = new Map();
+
+let queueStore = null;
+let queueStoreChain = Promise.resolve();
+// Hosts not seen within this window are skipped by label-selector routing and
+// passed over for the next fallback runner. Label-routed jobs that match no
+// healthy runner for this long are failed. Zero disables the freshness check.
+let runnerHealthWindowMs = 0;
 
 class RunnerUnavailableError extends Error {
   constructor(message = "No runner available") {
@@ -125,6 +140,26 @@ function broadcastLog(runId, line) {
   }
 }
 
+function setQueueStore(store) {
+  queueStore = store && typeof store === "object" ? store : null;
+}
+
+function persistQueueChange(action, ...args) {
+  const handler = queueStore?.[action];
+  if (typeof handler !== "function") return;
+  // Chain store writes so a job's removal can never overtake its insertion.
+  queueStoreChain = queueStoreChain
+    .then(() => handler(...args))
+    .catch((err) => {
+      console.error(`[engine] Failed to ${action} persisted job`, err);
+    });
+}
+
+function setRunnerHealthWindow(windowMs) {
+  const numeric = Number(windowMs);
+  runnerHealthWindowMs = Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
 function scheduleQueueProcessing() {
   if (queueProcessingScheduled) return;
   queueProcessingScheduled = true;
@@ -159,6 +194,7 @@ function normalizeResultPayload(job, result) {
 
 function finalizeJob(job, result) {
   activeWorkers = Math.max(0, activeWorkers - 1);
+  persistQueueChange("remove", job.id);
   job.resolve(normalizeResultPayload(job, result));
   scheduleLogHistoryCleanup(job.id);
   scheduleQueueProcessing();
@@ -166,6 +202,7 @@ function finalizeJob(job, result) {
 
 function rejectJob(job, error) {
   const err = error instanceof Error ? error : new Error(String(error || ""));
+  persistQueueChange("remove", job.id);
   if (typeof job.reject === "function") {
     job.reject(err);
     scheduleLogHistoryCleanup(job.id);
@@ -201,17 +238,72 @@ function rejectPendingJobsDueToNoRunner() {
   }
 }
 
-function selectRunnerHost(job = null) {
-  const targetRunnerId = job?.targetRunnerId || null;
-  if (targetRunnerId) {
-    const host = runnerHosts.get(targetRunnerId);
-    if (!host || host.removed) {
-      return null;
+function hasFreeCapacity(host) {
+  const max = Number.isFinite(host.maxConcurrency)
+    ? host.maxConcurrency
+    : Infinity;
+  return (host.activeJobs || 0) < max;
+}
+
+function compareHostLoad(a, b) {
+  const activeDiff = (a.activeJobs || 0) - (b.activeJobs || 0);
+  if (activeDiff !== 0) return activeDiff;
+  return (a.lastAssigned || 0) - (b.lastAssigned || 0);
+}
+
+function isHostFresh(host) {
+  if (!runnerHealthWindowMs) return true;
+  return Date.now() - (host.lastSeen || 0) <= runnerHealthWindowMs;
+}
+
+// Admin-only runners are reachable only by explicit assignment, never through
+// a label selector.
+function isSelectableByLabels(host, selector) {
+  if (host.removed || host.adminOnly) return false;
+  if (!isHostFresh(host)) return false;
+  return matchesRunnerSelector(host.labels, selector);
+}
+
+// The first candidate, in priority order, that is connected, fresh and has
+// not already failed this job. When every remaining candidate is stale the
+// first of them is still tried, as a single pinned runner always was.
+function findCandidateHost(job) {
+  let staleHost = null;
+  for (const id of job.runnerCandidates) {
+    if (job.failedRunnerIds?.has(id)) continue;
+    const host = runnerHosts.get(id);
+    if (!host || host.removed) continue;
+    if (isHostFresh(host)) return host;
+    if (!staleHost) staleHost = host;
+  }
+  return staleHost;
+}
+
+function findRunnerHostsForSelector(selector) {
+  const hosts = [];
+  for (const host of runnerHosts.values()) {
+    if (isSelectableByLabels(host, selector)) {
+      hosts.push(host);
     }
-    const max = Number.isFinite(host.maxConcurrency)
-      ? host.maxConcurrency
-      : Infinity;
-    if ((host.activeJobs || 0) >= max) {
+  }
+  return hosts;
+}
+
+function selectRunnerHost(job = null) {
+  if (job?.runnerSelector) {
+    const available = findRunnerHostsForSelector(job.runnerSelector).filter(hasFreeCapacity);
+    if (!available.length) return null;
+    available.sort(compareHostLoad);
+    const host = available[0];
+    host.lastAssigned = Date.now();
+    return host;
+  }
+
+  if (job?.runnerCandidates) {
+    // A busy but healthy candidate keeps the job waiting; only unhealthy
+    // candidates are skipped in favour of the next one.
+    const host = findCandidateHost(job);
+    if (!host || !hasFreeCapacity(host)) {
       return null;
     }
     host.lastAssigned = Date.now();
@@ -230,11 +322,7 @@ function selectRunnerHost(job = null) {
 
   if (!available.length) return null;
 
-  available.sort((a, b) => {
-    const activeDiff = (a.activeJobs || 0) - (b.activeJobs || 0);
-    if (activeDiff !== 0) return activeDiff;
-    return (a.lastAssigned || 0) - (b.lastAssigned || 0);
-  });
+  available.sort(compareHostLoad);
 
   const host = available[0];
   host.lastAssigned = Date.now();
@@ -249,15 +337,56 @@ function determineRequestTimeout(host) {
   return DEFAULT_RUNNER_REQUEST_TIMEOUT_MS;
 }
 
+// Job variables name the runner, which for selector routing and failover is
+// only known once the job is dispatched.
+function bindJobToRunner(job, host) {
+  if (!job.unboundScript) {
+    job.unboundScript = job.script || {};
+  }
+  const script = job.unboundScript;
+  const baseVariables = Array.isArray(script.variables) ? script.variables : [];
+  const jobVariables = buildJobVariables({
+    httpMethod: script.jobContext?.httpMethod,
+    scriptName:
+      typeof script.jobContext?.scriptName === "string" &&
+      script.jobContext.scriptName.trim()
+        ? script.jobContext.scriptName.trim()
+        : script.name || script.endpoint || script.id || "",
+    scriptVersion: script.jobContext?.codeVersion,
+    targetRunnerId: host.id,
+    targetRunnerName: host.name || null,
+  });
+  job.targetRunnerId = host.id;
+  job.script = {
+    ...script,
+    variables: [...baseVariables, ...jobVariables],
+    jobContext: {
+      ...(script.jobContext || {}),
+      targetRunnerId: host.id,
+      targetRunnerName: host.name || null,
+    },
+  };
+}
+
 function startRemoteJob(job, host) {
+  bindJobToRunner(job, host);
   activeWorkers += 1;
   host.activeJobs = (host.activeJobs || 0) + 1;
   host.lastAssigned = Date.now();
+  activeJobs.set(job.id, { job, host });
+  persistQueueChange("markDispatched", job.id, host.id);
 
   let settled = false;
+  // Set once the runner has taken the run; until then a failure means the
+  // script never started and the job can move to the next fallback runner.
+  let accepted = false;
+  let dispatching = true;
   const hostLabel = host.id || host.endpoint;
+  const hostTarget = host.channel ? "outbound connection" : host.endpoint;
+  const dispatch = host.channel ? host.channel.dispatchRun : dispatchRemoteRun;
 
   const cleanup = () => {
+    activeJobs.delete(job.id);
     host.activeJobs = Math.max(0, (host.activeJobs || 0) - 1);
     purgeHostIfDrained(host);
   };
@@ -278,31 +407,52 @@ function startRemoteJob(job, host) {
     settled = true;
     cleanup();
     const message = error?.message || String(error || "Runner error");
+    if (!accepted && isDispatchFailure(error, host, dispatching) && failOver(job, host, message)) {
+      return;
+    }
     console.error(`[engine] Run ${job.id} failed via runner ${hostLabel}:`, error);
     broadcastLog(job.id, `Runner error: ${message}\n`);
-    finalizeJob(job, createFailureResult(job, message));
+    const failure = createFailureResult(job, message);
+    if (job.cancelRequested) {
+      failure.cancelled = true;
+    } else if (error?.code === "RUNNER_TIMEOUT") {
+      failure.timedOut = true;
+    } else if (typeof error?.code === "string" && error.statusCode === undefined) {
+      // Socket-level errors (refused, reset, DNS) are connectivity problems
+      // with the runner rather than failures reported by the script.
+      failure.errorCode = "runner_unavailable";
+    } else {
+      failure.errorCode = "runner_error";
+    }
+    finalizeJob(job, failure);
   };
 
   try {
-    dispatchRemoteRun({
+    dispatch({
       endpoint: host.endpoint,
       job,
       headers: host.headers,
+      signingKey: host.signingKey,
+      tls: host.tls,
       timeoutMs: determineRequestTimeout(host),
       onRequestStart: () => {
         console.log(
-          `[engine] Dispatching run ${job.id} to ${hostLabel} (${host.endpoint})`
+          `[engine] Dispatching run ${job.id} to ${hostLabel} (${hostTarget})`
         );
       },
       onResponse: (response) => {
         const status = Number.isFinite(response?.statusCode)
           ? response.statusCode
           : "unknown";
+        if (Number.isFinite(response?.statusCode) && response.statusCode < 400) {
+          accepted = true;
+        }
         console.log(
           `[engine] Runner ${hostLabel} responded to run ${job.id} with status ${status}`
         );
       },
       onLog: (line) => {
+        accepted = true;
         if (line) broadcastLog(job.id, line);
       },
       onResult: (data) => {
@@ -326,6 +476,59 @@ function startRemoteJob(job, host) {
     host.consecutiveFailures = (host.consecutiveFailures || 0) + 1;
     handleFailure(err);
   }
+  dispatching = false;
+}
+
+// Failures where the runner cannot have started the script: it rejected the
+// run, the connection failed before a response, or dispatch threw outright.
+// Timeouts and dropped pull connections are ambiguous and stay failures.
+function isDispatchFailure(error, host, dispatching) {
+  if (dispatching) return true;
+  if (error?.code === "RUNNER_TIMEOUT") return false;
+  if (Number(error?.statusCode) >= 400) return true;
+  return !host.channel && typeof error?.code === "string";
+}
+
+// Puts a job that failed at dispatch back at the head of the queue for its
+// next fallback runner. Returns false when no candidate is left to try.
+function failOver(job, host, message) {
+  if (!job.runnerCandidates || job.cancelRequested) return false;
+  if (!job.failedRunnerIds) job.failedRunnerIds = new Set();
+  job.failedRunnerIds.add(host.id);
+  const next = findCandidateHost(job);
+  if (!next) return false;
+
+  activeWorkers = Math.max(0, activeWorkers - 1);
+  console.warn(
+    `[engine] Run ${job.id} could not start on runner ${host.id} (${message}); failing over to ${next.id}`
+  );
+  broadcastLog(
+    job.id,
+    `Runner ${host.name || host.id} is unavailable (${message}); trying fallback runner ${next.name || next.id}.\n`,
+  );
+  queue.unshift(job);
+  scheduleQueueProcessing();
+  return true;
+}
+
+// A label-routed job waits while a matching runner is busy, but not for a
+// runner that is gone: once no healthy runner has matched its selector for a
+// whole health window, it fails as it would have if none matched when queued.
+function rejectUnroutableSelectorJobs() {
+  const now = Date.now();
+  for (let i = queue.length - 1; i >= 0; i -= 1) {
+    const job = queue[i];
+    if (!job?.runnerSelector) continue;
+    if (findRunnerHostsForSelector(job.runnerSelector).length) {
+      job.selectorMatchedAt = now;
+      continue;
+    }
+    if (now - (job.selectorMatchedAt || 0) < runnerHealthWindowMs) continue;
+    queue.splice(i, 1);
+    const message = `No runner available with labels ${formatRunnerSelector(job.runnerSelector)}`;
+    broadcastLog(job.id, `${message}; giving up on the queued run.\n`);
+    rejectJob(job, new RunnerUnavailableError(message));
+  }
 }
 
 function processQueue() {
@@ -337,6 +540,8 @@ function processQueue() {
     return;
   }
 
+  rejectUnroutableSelectorJobs();
+
   while (activeWorkers < MAX_WORKERS && queue.length) {
     let selectedIndex = -1;
     let selectedHost = null;
@@ -359,7 +564,7 @@ function processQueue() {
     if (!job) {
       continue;
     }
-    if (!selectedHost.endpoint) {
+    if (!selectedHost.endpoint && !selectedHost.channel) {
       broadcastLog(job.id, "Runner error: runner host missing endpoint\n");
       finalizeJob(job, createFailureResult(job, "Runner host misconfigured"));
       continue;
@@ -381,10 +586,27 @@ function normalizeRunnerHostConfig(config) {
     return normalizeRunnerHostConfig({ id: config, endpoint: config });
   }
 
-  const { id, endpoint, headers, maxConcurrency, timeoutMs, autoRemoveOnFailure } = config;
-  if (!endpoint) {
+  const {
+    id,
+    name,
+    endpoint,
+    channel,
+    headers,
+    signingKey,
+    tls,
+    labels,
+    adminOnly,
+    maxConcurrency,
+    timeoutMs,
+    autoRemoveOnFailure,
+    lastSeen,
+  } = config;
+  if (!endpoint && !channel) {
     throw new Error("Runner host endpoint is required");
   }
+  if (!id && !endpoint) {
+    throw new Error("Runner host id is required");
+  }
 
   const hostId = id || endpoint;
   const parsedMaxConcurrency = Number.parseInt(maxConcurrency, 10);
@@ -395,13 +617,22 @@ function normalizeRunnerHostConfig(config) {
   const parsedTimeout = Number.parseInt(timeoutMs, 10);
   const timeout = Number.isFinite(parsedTimeout) && parsedTimeout > 0 ? parsedTimeout : undefined;
 
+  const parsedLastSeen = Number(lastSeen);
+
   return {
     id: hostId,
-    endpoint,
+    name: typeof name === "string" && name.trim() ? name.trim() : null,
+    endpoint: endpoint || null,
+    channel: channel || null,
     headers: headers && typeof headers === "object" ? { ...headers } : {},
+    signingKey: signingKey || null,
+    tls: tls && typeof tls === "object" ? { ...tls } : null,
+    labels: normalizeRunnerLabels(labels).labels,
+    adminOnly: Boolean(adminOnly),
     maxConcurrency: concurrency,
     timeoutMs: timeout,
     autoRemoveOnFailure: Boolean(autoRemoveOnFailure),
+    lastSeen: Number.isFinite(parsedLastSeen) && parsedLastSeen > 0 ? parsedLastSeen : null,
   };
 }
 
@@ -415,13 +646,21 @@ function registerRunnerHost(config) {
     consecutiveFailures: 0,
   };
 
+  host.name = normalized.name;
   host.endpoint = normalized.endpoint;
+  host.channel = normalized.channel;
   host.headers = normalized.headers;
+  host.signingKey = normalized.signingKey;
+  host.tls = normalized.tls;
+  host.labels = normalized.labels;
+  host.adminOnly = normalized.adminOnly;
   host.maxConcurrency = normalized.maxConcurrency;
   host.timeoutMs = normalized.timeoutMs;
   host.autoRemoveOnFailure = normalized.autoRemoveOnFailure;
   host.removed = false;
-  host.lastSeen = Date.now();
+  // Re-registering with a host's own config (e.g. after a settings change)
+  // passes its lastSeen back so it does not count as a fresh heartbeat.
+  host.lastSeen = normalized.lastSeen || Date.now();
 
   runnerHosts.set(host.id, host);
   scheduleQueueProcessing();
@@ -440,15 +679,22 @@ function unregisterRunnerHost(id) {
 function getRunnerHostConfig(id) {
   if (!id) return null;
   const host = runnerHosts.get(id);
-  if (!host || host.removed || !host.endpoint) {
+  if (!host || host.removed || (!host.endpoint && !host.channel)) {
     return null;
   }
   return {
     id: host.id,
+    name: host.name,
     endpoint: host.endpoint,
+    channel: host.channel,
     headers: host.headers ? { ...host.headers } : {},
+    signingKey: host.signingKey,
+    tls: host.tls,
+    labels: [...(host.labels || [])],
+    adminOnly: host.adminOnly,
     maxConcurrency: host.maxConcurrency,
     timeoutMs: host.timeoutMs,
+    lastSeen: host.lastSeen,
   };
 }
 
@@ -458,6 +704,8 @@ function listRunnerHosts() {
     hosts.push({
       id: host.id,
       endpoint: host.endpoint,
+      connectionMode: host.channel ? "pull" : "push",
+      labels: [...(host.labels || [])],
       activeJobs: host.activeJobs || 0,
       maxConcurrency: host.maxConcurrency,
       removed: Boolean(host.removed),
@@ -469,68 +717,143 @@ function listRunnerHosts() {
   return hosts;
 }
 
-function runJob(script, reqBody) {
+function readSelector(value) {
+  const labels = parseRunnerLabels(value);
+  return labels.length ? labels : null;
+}
+
+// Fallback runner lists are stored as a JSON array of runner ids, in the
+// order they should be tried.
+function parseFallbackRunnerIds(value) {
+  if (!value) return [];
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+  const ids = [];
+  for (const entry of parsed) {
+    const id = typeof entry === "string" ? entry.trim() : "";
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+// Where a script runs: its own runner, else its own label selector, else (when
+// inheriting) the collection's default runner, else the collection's default
+// selector. A pinned runner brings the fallback list configured alongside it.
+// Accepts both API-shaped and raw database rows.
+function resolveRunnerTarget(script) {
   const scriptRunnerId =
     script?.runnerHostId || script?.runner_host_id || null;
+  const scriptSelector = readSelector(script?.runnerSelector ?? script?.runner_selector);
   const categoryRunnerId =
     script?.categoryDefaultRunnerHostId ||
     script?.category_default_runner_host_id ||
     script?.category?.defaultRunnerHostId ||
     script?.category?.default_runner_host_id ||
     null;
+  const categorySelector = readSelector(
+    script?.categoryDefaultRunnerSelector ??
+      script?.category_default_runner_selector ??
+      script?.category?.defaultRunnerSelector ??
+      script?.category?.default_runner_selector,
+  );
   const inheritCategoryRunner =
     script?.inheritCategoryRunner ??
     (script?.inherit_category_runner !== undefined
       ? script?.inherit_category_runner !== 0
       : true);
-  const targetRunnerId =
-    scriptRunnerId || (inheritCategoryRunner ? categoryRunnerId : null) || null;
+  const withFallbacks = (runnerId, value) => ({
+    runnerId,
+    selector: null,
+    fallbackRunnerIds: parseFallbackRunnerIds(value).filter((id) => id !== runnerId),
+    inheritCategoryRunner,
+  });
+
+  if (scriptRunnerId) {
+    return withFallbacks(
+      scriptRunnerId,
+      script?.fallbackRunnerHostIds ?? script?.fallback_runner_host_ids,
+    );
+  }
+  if (scriptSelector) {
+    return { runnerId: null, selector: scriptSelector, fallbackRunnerIds: [], inheritCategoryRunner };
+  }
+  if (inheritCategoryRunner && categoryRunnerId) {
+    return withFallbacks(
+      categoryRunnerId,
+      script?.categoryDefaultFallbackRunnerHostIds ??
+        script?.category_default_fallback_runner_host_ids ??
+        script?.category?.defaultFallbackRunnerHostIds ??
+        script?.category?.default_fallback_runner_host_ids,
+    );
+  }
+  if (inheritCategoryRunner && categorySelector) {
+    return { runnerId: null, selector: categorySelector, fallbackRunnerIds: [], inheritCategoryRunner };
+  }
+  return { runnerId: null, selector: null, fallbackRunnerIds: [], inheritCategoryRunner };
+}
 
-  if (!targetRunnerId) {
+// Connected runners a selector currently routes to, least loaded first.
+function listRunnerHostsForSelector(selector) {
+  return findRunnerHostsForSelector(selector)
+    .sort(compareHostLoad)
+    .map((host) => getRunnerHostConfig(host.id))
+    .filter(Boolean);
+}
+
+function runJob(script, reqBody) {
+  const {
+    runnerId: targetRunnerId,
+    selector: runnerSelector,
+    fallbackRunnerIds,
+    inheritCategoryRunner,
+  } = resolveRunnerTarget(script);
+  const runnerCandidates = targetRunnerId ? [targetRunnerId, ...fallbackRunnerIds] : null;
+
+  if (!targetRunnerId && !runnerSelector) {
     throw new RunnerUnavailableError(
       inheritCategoryRunner ? "No runner available" : "No runners configured",
     );
   }
 
-  const host = runnerHosts.get(targetRunnerId);
-  if (!host || host.removed) {
+  if (runnerSelector) {
+    if (!findRunnerHostsForSelector(runnerSelector).length) {
+      throw new RunnerUnavailableError(
+        `No runner available with labels ${formatRunnerSelector(runnerSelector)}`,
+      );
+    }
+  } else if (!findCandidateHost({ runnerCandidates })) {
     throw new RunnerUnavailableError();
   }
 
   return new Promise((resolve, reject) => {
-    const baseVariables = Array.isArray(script?.variables) ? script.variables : [];
-    const jobVariables = buildJobVariables({
-      httpMethod: script?.jobContext?.httpMethod,
-      scriptName:
-        typeof script?.jobContext?.scriptName === "string" &&
-        script.jobContext.scriptName.trim()
-          ? script.jobContext.scriptName.trim()
-          : script?.name || script?.endpoint || script?.id || "",
-      scriptVersion: script?.jobContext?.codeVersion,
-      targetRunnerId,
-      targetRunnerName: host?.name || null,
-    });
-    const combinedVariables = [...baseVariables, ...jobVariables];
-    const runtimeJobContext = {
-      ...(script?.jobContext || {}),
-      targetRunnerId,
-      targetRunnerName: host?.name || null,
-    };
-    const runtimeScript = {
-      ...script,
-      variables: combinedVariables,
-      jobContext: runtimeJobContext,
-    };
-
     const job = {
       id: script.preassignedRunId || crypto.randomUUID(),
-      script: runtimeScript,
+      script: { ...script },
       reqBody,
       resolve,
       reject,
       targetRunnerId,
+      runnerCandidates,
+      runnerSelector,
+      selectorMatchedAt: Date.now(),
     };
 
+    persistQueueChange("save", {
+      runId: job.id,
+      scriptId: script?.id || null,
+      replayable: !script?.skipQueue,
+      reqBody,
+      jobContext: script?.jobContext || {},
+      targetRunnerId,
+    });
+
     if (script?.skipQueue) {
       queue.unshift(job);
     } else {
@@ -544,15 +867,82 @@ function getActiveWorkerCount() {
   return activeWorkers;
 }
 
+function listLiveRuns(filter = null) {
+  const runs = [];
+  const collect = (job, stage) => {
+    if (!job) return;
+    const jobContext = job.script?.jobContext || {};
+    if (typeof filter === "function" && !filter(jobContext, job)) return;
+    runs.push({
+      runId: job.id,
+      stage,
+      scriptId: job.script?.id || null,
+      cancelRequested: Boolean(job.cancelRequested),
+      jobContext,
+    });
+  };
+
+  queue.forEach((job) => collect(job, "queued"));
+  for (const { job } of activeJobs.values()) {
+    collect(job, "running");
+  }
+  return runs;
+}
+
+async function cancelRun(runId) {
+  if (!runId) return null;
+
+  const queuedIndex = queue.findIndex((job) => job?.id === runId);
+  if (queuedIndex !== -1) {
+    const [job] = queue.splice(queuedIndex, 1);
+    persistQueueChange("remove", runId);
+    console.log(`[engine] Run ${runId} cancelled before dispatch`);
+    broadcastLog(runId, "Run cancelled before it started.\n");
+    job.resolve({
+      ...createFailureResult(job, "Run cancelled before it started."),
+      cancelled: true,
+    });
+    scheduleLogHistoryCleanup(runId);
+    return { runId, stage: "queued" };
+  }
+
+  const entry = activeJobs.get(runId);
+  if (!entry) return null;
+
+  const { job, host } = entry;
+  job.cancelRequested = true;
+  console.log(`[engine] Requesting cancellation of run ${runId} on runner ${host.id}`);
+  if (host.channel) {
+    await host.channel.cancelRun({ runId, timeoutMs: RUNNER_CANCEL_TIMEOUT_MS });
+  } else {
+    await requestRemoteCancel({
+      endpoint: host.endpoint,
+      runId,
+      headers: host.headers,
+      signingKey: host.signingKey,
+      tls: host.tls,
+      timeoutMs: RUNNER_CANCEL_TIMEOUT_MS,
+    });
+  }
+  return { runId, stage: "running" };
+}
+
 module.exports = {
   runJob,
   queue,
   getActiveWorkerCount,
+  listLiveRuns,
+  cancelRun,
+  setQueueStore,
+  setRunnerHealthWindow,
   addSubscriber,
   registerRunnerHost,
   unregisterRunnerHost,
   getRunnerHostConfig,
   listRunnerHosts,
+  listRunnerHostsForSelector,
+  resolveRunnerTarget,
+  parseFallbackRunnerIds,
   RunnerUnavailableError,
 };
 
@@ -2,6 +2,7 @@ import { useState, useEffect, useMemo, useCallback, useRef } from "react";
 import ScriptEditor from "./components/ScriptEditor";
 import ScriptAnalytics from "./components/ScriptAnalytics";
 import ScriptTokenManager from "./components/ScriptTokenManager";
+import ScriptWebhookAuth from "./components/ScriptWebhookAuth";
 import ScriptVersions from "./components/ScriptVersions";
 import ScriptPermissions from "./components/ScriptPermissions";
 import ScriptVariables from "./components/ScriptVariables";
@@ -15,6 +16,14 @@ import SettingsCategories from "./components/SettingsCategories";
 import SettingsGlobalVariables from "./components/SettingsGlobalVariables";
 import SettingsLogs from "./components/SettingsLogs";
 import SettingsScheduler from "./components/SettingsScheduler";
+import SettingsWorkflows from "./components/SettingsWorkflows";
+import SettingsAccessTokens from "./components/SettingsAccessTokens";
+import SettingsAuthentication from "./components/SettingsAuthentication";
+import SettingsAudit from "./components/SettingsAudit";
+import SettingsSecurity from "./components/SettingsSecurity";
+import TwoFactorSecret from "./components/TwoFactorSecret";
+import RecoveryCodesList from "./components/RecoveryCodesList";
+import SettingsTriggers from "./components/SettingsTriggers";
 import { apiRequest } from "./utils/api";
 import { DEFAULT_THEME_ID, THEMES, THEME_ORDER } from "./utils/themes";
 
@@ -147,6 +156,12 @@ const SETTINGS_TABS = [
   { id: "users", label: "Users" },
   { id: "runners", label: "Runners" },
   { id: "scheduler", label: "Scheduler" },
+  { id: "triggers", label: "Triggers" },
+  { id: "workflows", label: "Workflows" },
+  { id: "security", label: "Security" },
+  { id: "access-tokens", label: "Access Tokens" },
+  { id: "authentication", label: "Authentication" },
+  { id: "audit", label: "Audit Log" },
 ];
 
 const ADMIN_ONLY_SETTINGS_TABS = new Set([
@@ -156,11 +171,17 @@ const ADMIN_ONLY_SETTINGS_TABS = new Set([
   "users",
   "runners",
   "scheduler",
+  "triggers",
+  "workflows",
+  "authentication",
+  "audit",
 ]);
 
 const LOGIN_THEME_ID = "automn";
 
 const SETTINGS_QUERY_PARAM = "settings";
+const SSO_ERROR_QUERY_PARAM = "ssoError";
+const SSO_TWO_FACTOR_QUERY_PARAM = "ssoTwoFactor";
 const SCRIPT_TAB_QUERY_PARAM = "tab";
 
 const SCRIPT_TAB_IDS = [
@@ -510,9 +531,17 @@ export default function App() {
   const [hostVersion, setHostVersion] = useState(null);
   const [authChecked, setAuthChecked] = useState(false);
   const [loginForm, setLoginForm] = useState({ username: "admin", password: "" });
-  const [loginError, setLoginError] = useState("");
+  const [loginError, setLoginError] = useState(() => {
+    if (typeof window === "undefined") return "";
+    return new URLSearchParams(window.location.search).get(SSO_ERROR_QUERY_PARAM) || "";
+  });
+  const [authProviders, setAuthProviders] = useState(null);
   const [authMessage, setAuthMessage] = useState("");
   const [isLoggingIn, setIsLoggingIn] = useState(false);
+  const [twoFactorLogin, setTwoFactorLogin] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolledLogin, setEnrolledLogin] = useState(null);
   const [isChangingPassword, setIsChangingPassword] = useState(false);
   const [passwordForm, setPasswordForm] = useState({
     currentPassword: "",
@@ -562,6 +591,43 @@ export default function App() {
     }
   }, [authChecked, visibleSettingsTabs, settingsTab]);
 
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(SSO_ERROR_QUERY_PARAM)) return;
+    url.searchParams.delete(SSO_ERROR_QUERY_PARAM);
+    window.history.replaceState({}, "", `${url.pathname}${url.search}`);
+  }, []);
+
+  // Single sign-on redirects here when the account still needs a second
+  // factor; the challenge itself is held in a short-lived cookie.
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(SSO_TWO_FACTOR_QUERY_PARAM)) return;
+    url.searchParams.delete(SSO_TWO_FACTOR_QUERY_PARAM);
+    window.history.replaceState({}, "", `${url.pathname}${url.search}`);
+
+    apiRequest("/api/auth/oidc/2fa", { method: "POST" })
+      .then((data) => {
+        if (!data?.twoFactor) return;
+        setTwoFactorLogin(data.twoFactor);
+        setTwoFactorCode("");
+        setUseRecoveryCode(false);
+      })
+      .catch((err) => setLoginError(err?.data?.error || "Sign-in attempt expired. Sign in again."));
+  }, []);
+
+  useEffect(() => {
+    if (currentUser || authProviders) return;
+
+    apiRequest("/api/auth/providers")
+      .then((data) => setAuthProviders(data || {}))
+      .catch((err) => console.error("Failed to load sign-in options", err));
+  }, [currentUser, authProviders]);
+
   const supportsPackageManagement = useMemo(() => {
     if (!selected?.id) {
       return false;
@@ -846,6 +912,7 @@ export default function App() {
     if (type === "admins") return "Admins";
     if (type === "other-admins") return "Other admins";
     if (type === "all") return "All users";
+    if (type === "group") return audience.value ? `Group: ${audience.value}` : "Group";
     if (type === "user") {
       return audience.value || (audience.usernames && audience.usernames[0]) || "Direct";
     }
@@ -939,6 +1006,68 @@ export default function App() {
     if (authMessage) setAuthMessage("");
   };
 
+  const completeLogin = (user) => {
+    setCurrentUser(user);
+    setIsChangingPassword(user?.mustChangePassword ?? false);
+    setAuthChecked(true);
+    setAuthMessage("");
+    setHasLoadedScripts(false);
+  };
+
+  const resetTwoFactorLogin = () => {
+    setTwoFactorLogin(null);
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setEnrolledLogin(null);
+  };
+
+  const handleTwoFactorSubmit = async (event) => {
+    event.preventDefault();
+    if (isLoggingIn || !twoFactorLogin) return;
+
+    const value = twoFactorCode.trim();
+    if (!value) {
+      setLoginError(useRecoveryCode ? "Enter a recovery code." : "Enter the code from your app.");
+      return;
+    }
+
+    setIsLoggingIn(true);
+    setLoginError("");
+
+    try {
+      const data = await apiRequest("/api/auth/login/2fa", {
+        method: "POST",
+        body: {
+          challenge: twoFactorLogin.challenge,
+          ...(useRecoveryCode ? { recoveryCode: value } : { code: value }),
+        },
+      });
+      const user = data?.user || null;
+      resetTwoFactorLogin();
+      if (Array.isArray(data?.recoveryCodes)) {
+        setEnrolledLogin({ user, recoveryCodes: data.recoveryCodes });
+        return;
+      }
+      completeLogin(user);
+    } catch (err) {
+      if (
+        err?.data?.code === "two_factor_challenge_expired" ||
+        err?.data?.code === "login_throttled"
+      ) {
+        resetTwoFactorLogin();
+        setLoginError(err.data.error);
+      } else if (err.status === 401 || err.status === 403) {
+        setTwoFactorCode("");
+        setLoginError(err?.data?.error || "Invalid two-factor code");
+      } else {
+        setLoginError("Unable to sign in. Please try again.");
+        console.error("Two-factor login failed", err);
+      }
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
   const handleLoginSubmit = async (event) => {
     event.preventDefault();
     if (isLoggingIn) return;
@@ -958,15 +1087,16 @@ export default function App() {
         method: "POST",
         body: { username, password: loginForm.password },
       });
-      const user = data?.user || null;
-      setCurrentUser(user);
-      setIsChangingPassword(user?.mustChangePassword ?? false);
       setLoginForm((prev) => ({ ...prev, password: "" }));
-      setAuthChecked(true);
-      setAuthMessage("");
-      setHasLoadedScripts(false);
+      if (data?.twoFactor) {
+        setTwoFactorLogin(data.twoFactor);
+        setTwoFactorCode("");
+        setUseRecoveryCode(false);
+        return;
+      }
+      completeLogin(data?.user || null);
     } catch (err) {
-      if (err.status === 401 || err.status === 403) {
+      if (err.status === 401 || err.status === 403 || err.status === 429) {
         setLoginError(err?.data?.error || "Invalid credentials");
       } else {
         setLoginError("Unable to sign in. Please try again.");
@@ -2421,11 +2551,117 @@ export default function App() {
     );
   }
 
+  if (!currentUser && enrolledLogin) {
+    return renderAuthShell(
+      <div className="space-y-5">
+        <div className="space-y-2 text-center">
+          <h1 className="text-lg font-semibold text-slate-100">Two-factor authentication is on</h1>
+        </div>
+        <RecoveryCodesList codes={enrolledLogin.recoveryCodes} />
+        <button
+          type="button"
+          onClick={() => {
+            const { user } = enrolledLogin;
+            setEnrolledLogin(null);
+            completeLogin(user);
+          }}
+          className="w-full rounded border border-sky-500/60 bg-sky-500/10 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-sky-200 transition hover:bg-sky-500/20"
+        >
+          I saved my codes, continue
+        </button>
+      </div>,
+    );
+  }
+
+  if (!currentUser && twoFactorLogin) {
+    const isEnrolling = twoFactorLogin.mode === "enroll";
+    return renderAuthShell(
+      <div className="space-y-5">
+        <div className="space-y-2 text-center">
+          <h1 className="text-lg font-semibold text-slate-100">
+            {isEnrolling ? "Set up two-factor authentication" : "Two-factor authentication"}
+          </h1>
+          <p className="text-sm text-slate-400">
+            {isEnrolling
+              ? "Your administrator requires a second factor. Scan the code with an authenticator app, then enter the 6-digit code it shows."
+              : useRecoveryCode
+                ? "Enter one of your recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+          </p>
+        </div>
+        {loginError && (
+          <div className="rounded border border-red-500/60 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+            {loginError}
+          </div>
+        )}
+        {isEnrolling && (
+          <TwoFactorSecret
+            secret={twoFactorLogin.secret}
+            otpauthUri={twoFactorLogin.otpauthUri}
+          />
+        )}
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+          <label className="block text-sm font-medium text-slate-200">
+            {useRecoveryCode ? "Recovery code" : "Code"}
+            <input
+              name="code"
+              value={twoFactorCode}
+              onChange={(event) => {
+                setTwoFactorCode(event.target.value);
+                if (loginError) setLoginError("");
+              }}
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 font-mono text-sm tracking-widest text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isLoggingIn}
+            className="w-full rounded border border-sky-500/60 bg-sky-500/10 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-sky-200 transition hover:bg-sky-500/20 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {isLoggingIn ? "Checking…" : "Verify"}
+          </button>
+        </form>
+        <div className="flex justify-center gap-4">
+          {!isEnrolling && (
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode((prev) => !prev);
+                setTwoFactorCode("");
+                setLoginError("");
+              }}
+              className="text-xs font-semibold uppercase tracking-wide text-slate-400 transition hover:text-slate-200"
+            >
+              {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => {
+              resetTwoFactorLogin();
+              setLoginError("");
+            }}
+            className="text-xs font-semibold uppercase tracking-wide text-slate-400 transition hover:text-slate-200"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>,
+    );
+  }
+
   if (!currentUser) {
     return renderAuthShell(
       <div className="space-y-5">
         <div className="space-y-2 text-center">
           <h1 className="text-lg font-semibold text-slate-100">Sign in to Automn</h1>
+          {authProviders?.ldap?.enabled && (
+            <p className="text-sm text-slate-400">Use your directory username and password.</p>
+          )}
         </div>
         {authMessage && (
           <div className="rounded border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
@@ -2470,6 +2706,21 @@ export default function App() {
             {isLoggingIn ? "Signing in…" : "Sign in"}
           </button>
         </form>
+        {authProviders?.oidc?.enabled && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-3 text-xs uppercase tracking-wide text-slate-500">
+              <span className="h-px flex-1 bg-slate-800" />
+              or
+              <span className="h-px flex-1 bg-slate-800" />
+            </div>
+            <a
+              href="/api/auth/oidc/login"
+              className="block w-full rounded border border-slate-700 px-4 py-2 text-center text-xs font-semibold uppercase tracking-wide text-slate-200 transition hover:bg-slate-800"
+            >
+              {authProviders.oidc.buttonLabel}
+            </a>
+          </div>
+        )}
       </div>,
     );
   }
@@ -3415,9 +3666,43 @@ export default function App() {
                 {settingsTab === "scheduler" && currentUser?.isAdmin && (
                   <SettingsScheduler onAuthError={handleAuthError} />
                 )}
-                {!["ui", "collections", "global-variables", "data", "logs", "users", "runners", "scheduler"].includes(
-                  settingsTab,
-                ) && (
+                {settingsTab === "triggers" && currentUser?.isAdmin && (
+                  <SettingsTriggers onAuthError={handleAuthError} />
+                )}
+                {settingsTab === "workflows" && currentUser?.isAdmin && (
+                  <SettingsWorkflows onAuthError={handleAuthError} />
+                )}
+                {settingsTab === "security" && (
+                  <SettingsSecurity onAuthError={handleAuthError} onLogout={handleLogout} />
+                )}
+                {settingsTab === "access-tokens" && (
+                  <SettingsAccessTokens
+                    currentUser={currentUser}
+                    onAuthError={handleAuthError}
+                  />
+                )}
+                {settingsTab === "authentication" && currentUser?.isAdmin && (
+                  <SettingsAuthentication onAuthError={handleAuthError} />
+                )}
+                {settingsTab === "audit" && currentUser?.isAdmin && (
+                  <SettingsAudit onAuthError={handleAuthError} />
+                )}
+                {![
+                  "ui",
+                  "collections",
+                  "global-variables",
+                  "data",
+                  "logs",
+                  "users",
+                  "runners",
+                  "scheduler",
+                  "triggers",
+                  "workflows",
+                  "security",
+                  "access-tokens",
+                  "authentication",
+                  "audit",
+                ].includes(settingsTab) && (
                     <div className="flex h-full items-center justify-center rounded border border-dashed border-slate-800 bg-slate-900/40 p-6 text-center text-sm text-slate-400">
                       <div>
                         <p className="font-semibold text-slate-200">
@@ -3664,19 +3949,28 @@ export default function App() {
                           script,
                           canModify,
                         }) => (
-                          <ScriptTokenManager
-                            script={{ ...script, isDraft: selected?.isDraft }}
-                            currentUser={currentUser}
-                            onTokenChanged={handleTokenChanged}
-                            onAuthError={handleAuthError}
-                            disabled={
-                              !requireAuth ||
-                              isSaving ||
-                              isLoading ||
-                              !canModify ||
-                              selected?.isDraft
-                            }
-                          />
+                          <div className="space-y-4">
+                            <ScriptTokenManager
+                              script={{ ...script, isDraft: selected?.isDraft }}
+                              currentUser={currentUser}
+                              onTokenChanged={handleTokenChanged}
+                              onAuthError={handleAuthError}
+                              disabled={
+                                !requireAuth ||
+                                isSaving ||
+                                isLoading ||
+                                !canModify ||
+                                selected?.isDraft
+                              }
+                            />
+                            <ScriptWebhookAuth
+                              script={{ ...script, isDraft: selected?.isDraft }}
+                              currentUser={currentUser}
+                              onWebhookChanged={handleTokenChanged}
+                              onAuthError={handleAuthError}
+                              disabled={isSaving || isLoading || !canModify}
+                            />
+                          </div>
                         )}
                       />
                     </div>
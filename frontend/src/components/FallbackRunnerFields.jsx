@@ -0,0 +1,106 @@
+export default function FallbackRunnerFields({
+  value,
+  onChange,
+  runners,
+  primaryRunnerId = "",
+  canSelectAdminOnly = true,
+  disabled = false,
+  selectClassName = "w-full bg-slate-800 border border-slate-600 rounded p-2",
+}) {
+  // The primary runner never doubles as its own fallback.
+  const selectedIds = (Array.isArray(value) ? value : []).filter((id) => id !== primaryRunnerId);
+  const runnerList = Array.isArray(runners) ? runners : [];
+  const runnerById = new Map(runnerList.map((runner) => [runner.id, runner]));
+  const availableRunners = runnerList.filter(
+    (runner) => runner.id !== primaryRunnerId && !selectedIds.includes(runner.id),
+  );
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= selectedIds.length) return;
+    const next = [...selectedIds];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const buttonClassName =
+    "rounded border border-slate-600 px-2 py-0.5 text-xs text-slate-300 transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-40";
+
+  return (
+    <div className="space-y-2">
+      {selectedIds.length > 0 && (
+        <ol className="space-y-1">
+          {selectedIds.map((id, index) => {
+            const runner = runnerById.get(id);
+            return (
+              <li
+                key={id}
+                className="flex items-center justify-between gap-2 rounded border border-slate-700 bg-slate-900/60 px-2 py-1 text-sm"
+              >
+                <span className="min-w-0 truncate text-slate-200">
+                  {index + 1}. {runner?.name || id}
+                  {runner?.adminOnly ? " (Admin only)" : ""}
+                </span>
+                <span className="flex shrink-0 items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => move(index, -1)}
+                    disabled={disabled || index === 0}
+                    className={buttonClassName}
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(index, 1)}
+                    disabled={disabled || index === selectedIds.length - 1}
+                    className={buttonClassName}
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onChange(selectedIds.filter((entry) => entry !== id))}
+                    disabled={disabled}
+                    className={buttonClassName}
+                  >
+                    Remove
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+      {availableRunners.length > 0 && (
+        <select
+          className={selectClassName}
+          value=""
+          disabled={disabled}
+          onChange={(event) => {
+            if (event.target.value) {
+              onChange([...selectedIds, event.target.value]);
+            }
+          }}
+        >
+          <option value="">Add fallback runner…</option>
+          {availableRunners.map((runner) => (
+            <option
+              key={runner.id}
+              value={runner.id}
+              disabled={
+                Boolean(runner.disabledAt) || (runner.adminOnly && !canSelectAdminOnly)
+              }
+            >
+              {runner.name}
+              {runner.adminOnly ? " (Admin only)" : ""}
+              {runner.disabledAt ? " (Disabled)" : ""}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
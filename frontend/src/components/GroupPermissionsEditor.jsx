@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { normalizeGroupPermission, sortGroupPermissions } from "../utils/groupPermissions";
+
+const PERMISSION_FIELDS = ["canRead", "canWrite", "canDelete", "canClearLogs", "canRun"];
+
+const ROLE_PERMISSION_KEYS = {
+  canRead: "read",
+  canWrite: "write",
+  canDelete: "delete",
+  canClearLogs: "clearLogs",
+  canRun: "run",
+};
+
+export default function GroupPermissionsEditor({
+  entries,
+  groups,
+  roles,
+  onChange,
+  disabled = false,
+}) {
+  const [selectedGroupId, setSelectedGroupId] = useState("");
+
+  const availableGroups = groups.filter(
+    (group) => !entries.some((entry) => entry.groupId === group.id),
+  );
+
+  const updateEntry = (groupId, updater) => {
+    onChange(entries.map((entry) => (entry.groupId === groupId ? updater(entry) : entry)));
+  };
+
+  const handleToggle = (groupId, field) => {
+    updateEntry(groupId, (entry) => {
+      const next = { ...entry };
+      if (field === "canRead") {
+        next.canRead = !next.canRead;
+        if (!next.canRead) {
+          next.canWrite = false;
+          next.canDelete = false;
+          next.canRun = false;
+          next.canClearLogs = false;
+        }
+        return next;
+      }
+      next[field] = !next[field];
+      if (next[field]) {
+        next.canRead = true;
+      }
+      return next;
+    });
+  };
+
+  const handleRoleChange = (groupId, roleId) => {
+    const role = roles.find((candidate) => candidate.id === roleId) || null;
+    updateEntry(groupId, (entry) => ({
+      ...entry,
+      roleId: role?.id || null,
+      roleName: role?.name || null,
+    }));
+  };
+
+  const handleAdd = () => {
+    const group = groups.find((candidate) => candidate.id === selectedGroupId);
+    if (!group) return;
+    onChange(
+      sortGroupPermissions([
+        ...entries,
+        normalizeGroupPermission({ groupId: group.id, groupName: group.name, canRead: true }),
+      ]),
+    );
+    setSelectedGroupId("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+        <select
+          value={selectedGroupId}
+          onChange={(event) => setSelectedGroupId(event.target.value)}
+          className="flex-1 rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 disabled:opacity-60"
+          disabled={!availableGroups.length || disabled}
+        >
+          <option value="">
+            {groups.length
+              ? availableGroups.length
+                ? "Select a group to add"
+                : "All groups already have entries"
+              : "No groups defined"}
+          </option>
+          {availableGroups.map((group) => (
+            <option key={group.id} value={group.id}>
+              {group.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!selectedGroupId || disabled}
+          className="rounded border border-sky-500/60 px-3 py-2 text-sm font-semibold uppercase tracking-wide text-sky-300 transition-colors hover:bg-sky-500/10 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          Add
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-slate-800 text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wide text-slate-400">
+              <th className="px-3 py-2">Group</th>
+              <th className="px-3 py-2">Role</th>
+              <th className="px-3 py-2">Read</th>
+              <th className="px-3 py-2">Write</th>
+              <th className="px-3 py-2">Delete</th>
+              <th className="px-3 py-2">Clear Logs</th>
+              <th className="px-3 py-2">Run</th>
+              <th className="px-3 py-2" aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800">
+            {entries.length ? (
+              entries.map((entry) => {
+                const role = entry.roleId
+                  ? roles.find((candidate) => candidate.id === entry.roleId)
+                  : null;
+                return (
+                  <tr key={entry.groupId} className="text-slate-200">
+                    <td className="px-3 py-2 font-semibold">{entry.groupName}</td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={entry.roleId || ""}
+                        onChange={(event) => handleRoleChange(entry.groupId, event.target.value)}
+                        disabled={disabled}
+                        className="rounded border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+                      >
+                        <option value="">Custom</option>
+                        {entry.roleId && !role && (
+                          <option value={entry.roleId}>{entry.roleName || "Unknown role"}</option>
+                        )}
+                        {roles.map((candidate) => (
+                          <option key={candidate.id} value={candidate.id}>
+                            {candidate.name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    {PERMISSION_FIELDS.map((field) => (
+                      <td key={field} className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 accent-sky-400"
+                          checked={
+                            role
+                              ? Boolean(role.permissions?.[ROLE_PERMISSION_KEYS[field]])
+                              : Boolean(entry[field])
+                          }
+                          onChange={() => handleToggle(entry.groupId, field)}
+                          disabled={disabled || Boolean(entry.roleId)}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          onChange(entries.filter((item) => item.groupId !== entry.groupId))
+                        }
+                        disabled={disabled}
+                        className="rounded border border-rose-500/40 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition-colors hover:bg-rose-500/10 disabled:cursor-not-allowed disabled:opacity-60"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan={8} className="px-3 py-4 text-center text-slate-400">
+                  No groups have access yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
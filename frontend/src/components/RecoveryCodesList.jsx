@@ -0,0 +1,61 @@
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+export default function RecoveryCodesList({ codes }) {
+  const { showNotification } = useNotificationDialog();
+  const text = codes.join("\n");
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showNotification({ title: "Recovery codes copied", tone: "success" });
+    } catch {
+      showNotification({
+        title: "Copy failed",
+        description: "Select the codes and copy them manually.",
+        tone: "error",
+      });
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${text}\n`], { type: "text/plain" });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "automn-recovery-codes.txt";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3 rounded border border-emerald-500/50 bg-emerald-500/10 p-4 text-sm text-emerald-100">
+      <p>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono">
+        {codes.map((code) => (
+          <code key={code}>{code}</code>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="rounded border border-slate-700 px-2 py-1 text-xs text-slate-200 hover:border-sky-500"
+        >
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="rounded border border-slate-700 px-2 py-1 text-xs text-slate-200 hover:border-sky-500"
+        >
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
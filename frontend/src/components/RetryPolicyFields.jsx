@@ -0,0 +1,102 @@
+import { RETRY_BACKOFF_OPTIONS, RETRY_FAILURE_TYPES } from "../utils/retryPolicy";
+
+export default function RetryPolicyFields({
+  value,
+  onChange,
+  inputClassName = "w-full bg-slate-800 border border-slate-600 rounded p-2",
+}) {
+  const retriesEnabled = Number.parseInt(value.maxAttempts, 10) > 1;
+  const currentBackoff =
+    RETRY_BACKOFF_OPTIONS.find((option) => option.value === value.backoff) || RETRY_BACKOFF_OPTIONS[0];
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleToggleFailureType = (type) => {
+    const retryOn = value.retryOn.includes(type)
+      ? value.retryOn.filter((entry) => entry !== type)
+      : [...value.retryOn, type];
+    update({ retryOn });
+  };
+
+  return (
+    <div className="grid gap-3 md:grid-cols-2">
+      <label className="flex flex-col gap-1 text-sm">
+        <span className="text-gray-400">Max attempts</span>
+        <input
+          type="number"
+          min="1"
+          max="10"
+          value={value.maxAttempts}
+          onChange={(e) => update({ maxAttempts: e.target.value })}
+          className={inputClassName}
+        />
+        <span className="text-xs text-slate-400">
+          Includes the first run. Set to 1 to turn retries off.
+        </span>
+      </label>
+
+      {retriesEnabled && (
+        <>
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-gray-400">Backoff</span>
+            <select
+              value={value.backoff}
+              onChange={(e) => update({ backoff: e.target.value })}
+              className={inputClassName}
+            >
+              {RETRY_BACKOFF_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-slate-400">{currentBackoff.description}</span>
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-gray-400">Delay (s)</span>
+            <input
+              type="number"
+              min="1"
+              value={value.delaySeconds}
+              onChange={(e) => update({ delaySeconds: e.target.value })}
+              className={inputClassName}
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-gray-400">Max delay (s)</span>
+            <input
+              type="number"
+              min="1"
+              value={value.maxDelaySeconds}
+              placeholder="86400"
+              onChange={(e) => update({ maxDelaySeconds: e.target.value })}
+              className={inputClassName}
+            />
+          </label>
+
+          <div className="md:col-span-2 text-sm">
+            <span className="text-gray-400">Retry on</span>
+            <div className="mt-2 flex flex-wrap gap-3">
+              {RETRY_FAILURE_TYPES.map((type) => (
+                <label
+                  key={type.value}
+                  className="flex items-center gap-2 rounded border border-slate-700 bg-slate-900 px-3 py-2 text-xs text-slate-200"
+                >
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 accent-sky-400"
+                    checked={value.retryOn.includes(type.value)}
+                    onChange={() => handleToggleFailureType(type.value)}
+                  />
+                  <span>{type.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useState } from "react";
 import { apiRequest } from "../utils/api";
+import { RETRY_FAILURE_TYPE_LABELS } from "../utils/retryPolicy";
 
 function formatDate(value) {
   if (!value) return "—";
@@ -108,6 +109,7 @@ export default function ScriptAnalytics({
   const [stats, setStats] = useState({ totalRuns: 0, avgDuration: 0, successRate: 0 });
   const [activeRunId, setActiveRunId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [cancellingRunId, setCancellingRunId] = useState(null);
 
   const loadRuns = useCallback(async ({ showLoading = true } = {}) => {
     if (!script?.endpoint) {
@@ -169,8 +171,10 @@ export default function ScriptAnalytics({
   useEffect(() => {
     if (!script?.endpoint) return undefined;
 
-    const hasActiveRuns = runs.some((run) =>
-      ["running", "pending", "queued"].includes((run.status || "").toLowerCase()),
+    const hasActiveRuns = runs.some(
+      (run) =>
+        ["running", "pending", "queued"].includes((run.status || "").toLowerCase()) ||
+        Boolean(run.next_retry_at),
     );
 
     const refreshInterval = hasActiveRuns ? 3000 : 10000;
@@ -181,12 +185,32 @@ export default function ScriptAnalytics({
     return () => clearInterval(intervalId);
   }, [script?.endpoint, runs, loadRuns]);
 
+  const handleCancelRun = async (runId) => {
+    if (!runId || cancellingRunId) return;
+    setCancellingRunId(runId);
+    try {
+      await apiRequest(`/api/runs/${encodeURIComponent(runId)}/cancel`, {
+        method: "POST",
+      });
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        console.error("Failed to cancel run:", err);
+      }
+    } finally {
+      setCancellingRunId(null);
+      loadRuns({ showLoading: false });
+    }
+  };
+
   const getStatusTone = useCallback((status) => {
     const normalized = (status || "").toLowerCase();
     if (normalized === "success" || normalized === "completed") return "text-green-400";
     if (normalized === "running" || normalized === "in_progress") return "text-amber-300";
     if (normalized === "pending" || normalized === "queued") return "text-sky-300";
     if (normalized === "error" || normalized === "failed") return "text-red-400";
+    if (normalized === "cancelled") return "text-slate-400";
     return "text-slate-300";
   }, []);
 
@@ -278,6 +302,16 @@ export default function ScriptAnalytics({
                               Authentication
                             </span>
                           )}
+                          {run.attempt > 1 && (
+                            <span className="rounded border border-slate-700 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide text-slate-300">
+                              Attempt {run.attempt}
+                            </span>
+                          )}
+                          {run.next_retry_at && (
+                            <span className="rounded border border-sky-500/40 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide text-sky-300">
+                              Retrying
+                            </span>
+                          )}
                         </div>
                         <span className="text-[11px] text-slate-500">
                           {formatDuration(run.duration_ms)}
@@ -317,6 +351,16 @@ export default function ScriptAnalytics({
                     <span className="rounded border border-slate-700 px-2 py-0.5 font-semibold uppercase tracking-wide text-slate-300">
                       {formatVersion(activeRun.code_version)}
                     </span>
+                    {activeRun.run_id && (activeRun.status || "").toLowerCase() === "running" && (
+                      <button
+                        type="button"
+                        onClick={() => handleCancelRun(activeRun.run_id)}
+                        disabled={cancellingRunId === activeRun.run_id}
+                        className="rounded border border-red-500/60 px-2 py-0.5 font-semibold uppercase tracking-wide text-red-300 transition hover:bg-red-900/30 disabled:cursor-not-allowed disabled:opacity-60"
+                      >
+                        {cancellingRunId === activeRun.run_id ? "Stopping..." : "Stop"}
+                      </button>
+                    )}
                   </div>
                 </div>
                 <div className="mt-2 grid gap-2 text-xs text-slate-400 sm:grid-cols-2">
@@ -346,9 +390,64 @@ export default function ScriptAnalytics({
                     <span className="text-slate-500">Code version:</span>{" "}
                     {formatVersion(activeRun.code_version)}
                   </div>
+                  <div>
+                    <span className="text-slate-500">Runner:</span>{" "}
+                    {activeRun.runner_name || "—"}
+                  </div>
+                  {activeRun.failure_type && (
+                    <div>
+                      <span className="text-slate-500">Failure type:</span>{" "}
+                      {RETRY_FAILURE_TYPE_LABELS[activeRun.failure_type] || activeRun.failure_type}
+                    </div>
+                  )}
                 </div>
+                {activeRun.next_retry_at && (
+                  <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-sky-300">
+                    <span>Retry scheduled at {formatDate(activeRun.next_retry_at)}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleCancelRun(activeRun.run_id)}
+                      disabled={cancellingRunId === activeRun.run_id}
+                      className="rounded border border-red-500/60 px-2 py-0.5 font-semibold uppercase tracking-wide text-red-300 transition hover:bg-red-900/30 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      {cancellingRunId === activeRun.run_id ? "Cancelling..." : "Cancel retry"}
+                    </button>
+                  </div>
+                )}
               </div>
 
+              {activeRun.attempts?.length > 1 && (
+                <div>
+                  <h5 className="text-xs uppercase tracking-wide text-slate-400">Attempts</h5>
+                  <ol className="mt-1 flex flex-wrap items-center gap-2 text-xs">
+                    {activeRun.attempts.map((attempt) => {
+                      const isCurrent = attempt.run_id === activeRun.run_id;
+                      const isListed = runs.some((run) => run.run_id === attempt.run_id);
+                      return (
+                        <li key={attempt.run_id}>
+                          <button
+                            type="button"
+                            onClick={() => setActiveRunId(attempt.run_id)}
+                            disabled={isCurrent || !isListed}
+                            title={isListed ? formatDate(attempt.start_time) : "Older than the recent run history"}
+                            className={`rounded border px-2 py-0.5 font-semibold transition ${
+                              isCurrent
+                                ? "border-sky-400 bg-slate-800/60"
+                                : "border-slate-700 hover:bg-slate-800/40 disabled:cursor-not-allowed disabled:opacity-60"
+                            }`}
+                          >
+                            <span className="text-slate-300">#{attempt.attempt}</span>{" "}
+                            <span className={`uppercase ${getStatusTone(attempt.status)}`}>
+                              {attempt.status || "unknown"}
+                            </span>
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ol>
+                </div>
+              )}
+
               <div>
                 <h5 className="text-xs uppercase tracking-wide text-slate-400">Input payload</h5>
                 <pre className="mt-1 max-h-48 overflow-auto rounded bg-slate-950/60 p-2 text-xs text-slate-200">
@@ -1,6 +1,9 @@
 import { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import Editor from "@monaco-editor/react";
 import { apiRequest } from "../utils/api";
+import { buildRetryPolicyPayload, createRetryPolicyForm } from "../utils/retryPolicy";
+import RetryPolicyFields from "./RetryPolicyFields";
+import FallbackRunnerFields from "./FallbackRunnerFields";
 
 const createSnippetGroup = (groupLabel, options) => ({
   groupLabel,
@@ -274,6 +277,10 @@ const getEditorLanguage = (value) => {
 const DEFAULT_COLLECTION_ID = "category-general";
 const DEFAULT_CATEGORY_ID = DEFAULT_COLLECTION_ID;
 const NO_RUNNER_VALUE = "__no_runner__";
+const RUNNER_LABELS_VALUE = "__runner_labels__";
+
+const formatRunnerSelector = (selector) =>
+  Array.isArray(selector) ? selector.join(", ") : "";
 const SUPPORTED_HTTP_METHODS = ["POST", "GET", "PUT", "PATCH", "DELETE"];
 const DEFAULT_ACCEPTED_METHODS = ["POST", "GET"];
 
@@ -295,10 +302,14 @@ export default function ScriptEditor({
   const [endpoint, setEndpoint] = useState("");
   const [language, setLanguage] = useState("node");
   const [timeout, setTimeoutVal] = useState(0);
+  const [retryPolicy, setRetryPolicy] = useState(() => createRetryPolicyForm(null));
   const [code, setCode] = useState("");
   const [categoryId, setCategoryId] = useState("");
   const [runnerHostId, setRunnerHostId] = useState("");
   const [inheritCategoryRunner, setInheritCategoryRunner] = useState(true);
+  const [useRunnerLabels, setUseRunnerLabels] = useState(false);
+  const [runnerSelector, setRunnerSelector] = useState("");
+  const [fallbackRunnerHostIds, setFallbackRunnerHostIds] = useState([]);
   const [acceptedMethods, setAcceptedMethods] = useState(() => [
     ...DEFAULT_ACCEPTED_METHODS,
   ]);
@@ -358,6 +369,10 @@ export default function ScriptEditor({
           null,
         defaultRunner:
           scriptCollection?.defaultRunner || script?.categoryDefaultRunner || null,
+        defaultRunnerSelector:
+          scriptCollection?.defaultRunnerSelector ||
+          script?.categoryDefaultRunnerSelector ||
+          [],
         isSystem: Boolean(scriptCollection?.isSystem),
       });
     }
@@ -371,6 +386,7 @@ export default function ScriptEditor({
     script?.categoryName,
     script?.categoryDefaultRunnerHostId,
     script?.categoryDefaultRunner,
+    script?.categoryDefaultRunnerSelector,
   ]);
 
   const selectedCategory = useMemo(() => {
@@ -418,6 +434,23 @@ export default function ScriptEditor({
     script?.categoryDefaultRunner,
   ]);
 
+  const categoryDefaultRunnerSelector = useMemo(() => {
+    if (selectedCategory) {
+      return Array.isArray(selectedCategory.defaultRunnerSelector)
+        ? selectedCategory.defaultRunnerSelector
+        : [];
+    }
+    return (
+      script?.collectionDefaultRunnerSelector ||
+      script?.categoryDefaultRunnerSelector ||
+      []
+    );
+  }, [
+    selectedCategory,
+    script?.collectionDefaultRunnerSelector,
+    script?.categoryDefaultRunnerSelector,
+  ]);
+
   const normalizedRunnerHosts = useMemo(() => {
     const entries = new Map();
     if (Array.isArray(runnerHosts)) {
@@ -431,6 +464,7 @@ export default function ScriptEditor({
           status: host.status || "pending",
           statusMessage: host.statusMessage || null,
           disabledAt: host.disabledAt || null,
+          labels: Array.isArray(host.labels) ? host.labels : [],
         });
       }
     }
@@ -497,9 +531,32 @@ export default function ScriptEditor({
 
   const runnerSelectValue = runnerHostId
     ? runnerHostId
-    : inheritCategoryRunner
-      ? ""
-      : NO_RUNNER_VALUE;
+    : useRunnerLabels
+      ? RUNNER_LABELS_VALUE
+      : inheritCategoryRunner
+        ? ""
+        : NO_RUNNER_VALUE;
+
+  const runnerSelectorLabels = useMemo(
+    () =>
+      runnerSelector
+        .split(/[,\n]/)
+        .map((label) => label.trim().toLowerCase())
+        .filter(Boolean),
+    [runnerSelector],
+  );
+
+  const matchingLabelRunnerCount = useMemo(() => {
+    if (runnerSelectorLabels.length === 0) {
+      return 0;
+    }
+    return normalizedRunnerHosts.filter(
+      (runner) =>
+        !runner.adminOnly &&
+        !runner.disabledAt &&
+        runnerSelectorLabels.every((label) => runner.labels?.includes(label)),
+    ).length;
+  }, [normalizedRunnerHosts, runnerSelectorLabels]);
 
   const hasAdminOnlyRunner = useMemo(
     () => normalizedRunnerHosts.some((runner) => runner.adminOnly),
@@ -508,6 +565,9 @@ export default function ScriptEditor({
 
   const categoryDefaultRunnerLabel = useMemo(() => {
     if (!categoryDefaultRunner) {
+      if (categoryDefaultRunnerSelector.length > 0) {
+        return `Use collection default (labels: ${formatRunnerSelector(categoryDefaultRunnerSelector)})`;
+      }
       return null;
     }
     const labelSource =
@@ -517,7 +577,7 @@ export default function ScriptEditor({
       "Runner";
     const suffix = categoryDefaultRunner.adminOnly ? " · Admin only" : "";
     return `Use collection default (${labelSource}${suffix})`;
-  }, [categoryDefaultRunner, categoryDefaultRunnerHostId]);
+  }, [categoryDefaultRunner, categoryDefaultRunnerHostId, categoryDefaultRunnerSelector]);
 
   const isRunnerListLoading = !runnersLoaded && normalizedRunnerHosts.length === 0;
 
@@ -553,6 +613,8 @@ export default function ScriptEditor({
       }
       setRunnerHostId("");
       setInheritCategoryRunner(true);
+      setUseRunnerLabels(false);
+      setRunnerSelector("");
     } else if (!script?.runnerHostId) {
       setRunnerHostId("");
     }
@@ -565,6 +627,7 @@ export default function ScriptEditor({
       setEndpoint(script.endpoint || "");
       setLanguage(script.language || "node");
       setTimeoutVal(script.timeout || 0);
+      setRetryPolicy(createRetryPolicyForm(script.retryPolicy));
       setCode(script.code || "");
       if (script.id) {
         setCategoryId(
@@ -584,6 +647,15 @@ export default function ScriptEditor({
         );
       }
       setRunnerHostId(script.runnerHostId || "");
+      setUseRunnerLabels(
+        !script.runnerHostId &&
+        Array.isArray(script.runnerSelector) &&
+        script.runnerSelector.length > 0,
+      );
+      setRunnerSelector(formatRunnerSelector(script.runnerSelector));
+      setFallbackRunnerHostIds(
+        Array.isArray(script.fallbackRunnerHostIds) ? script.fallbackRunnerHostIds : [],
+      );
       setInheritCategoryRunner(
         script?.inheritCategoryRunner === undefined
           ? true
@@ -601,10 +673,14 @@ export default function ScriptEditor({
       setEndpoint("");
       setLanguage("node");
       setTimeoutVal(0);
+      setRetryPolicy(createRetryPolicyForm(null));
       setCode("");
       setCategoryId("");
       setRunnerHostId("");
       setInheritCategoryRunner(true);
+      setUseRunnerLabels(false);
+      setRunnerSelector("");
+      setFallbackRunnerHostIds([]);
       setAcceptedMethods([...DEFAULT_ACCEPTED_METHODS]);
     }
     setErrorMessage("");
@@ -842,6 +918,11 @@ export default function ScriptEditor({
       return;
     }
 
+    if (!runnerHostId && useRunnerLabels && runnerSelectorLabels.length === 0) {
+      setErrorMessage("Enter at least one runner label.");
+      return;
+    }
+
     setErrorMessage("");
 
     const normalizedAccepted = SUPPORTED_HTTP_METHODS.filter((method) =>
@@ -884,9 +965,13 @@ export default function ScriptEditor({
           ? true
           : Boolean(script.inheritCollectionPermissions),
       runnerHostId: runnerHostId ? runnerHostId : null,
+      runnerSelector:
+        !runnerHostId && useRunnerLabels ? runnerSelectorLabels : [],
+      fallbackRunnerHostIds: runnerHostId ? fallbackRunnerHostIds : [],
       inheritCategoryRunner,
       inheritCollectionRunner: inheritCategoryRunner,
       acceptedMethods: finalAcceptedMethods,
+      retryPolicy: buildRetryPolicyPayload(retryPolicy),
     };
 
     try {
@@ -966,11 +1051,12 @@ export default function ScriptEditor({
             <label className="text-gray-400" htmlFor="script-runner">
               Runner
             </label>
-            {(runnerHostId || !inheritCategoryRunner) && (
+            {(runnerHostId || useRunnerLabels || !inheritCategoryRunner) && (
               <button
                 type="button"
                 onClick={() => {
                   setRunnerHostId("");
+                  setUseRunnerLabels(false);
                   setInheritCategoryRunner(true);
                   setErrorMessage("");
                 }}
@@ -996,7 +1082,8 @@ export default function ScriptEditor({
               value={runnerSelectValue}
               onChange={(event) => {
                 const value = event.target.value;
-                if (value === NO_RUNNER_VALUE) {
+                setUseRunnerLabels(value === RUNNER_LABELS_VALUE);
+                if (value === NO_RUNNER_VALUE || value === RUNNER_LABELS_VALUE) {
                   setRunnerHostId("");
                   setInheritCategoryRunner(false);
                 } else if (value === "") {
@@ -1013,6 +1100,7 @@ export default function ScriptEditor({
                 {categoryDefaultRunnerLabel || "Inherit collection default"}
               </option>
               <option value={NO_RUNNER_VALUE}>No assigned runner (disable script)</option>
+              <option value={RUNNER_LABELS_VALUE}>Any runner with labels…</option>
               {normalizedRunnerHosts.map((runner) => (
                 <option
                   key={runner.id}
@@ -1029,6 +1117,19 @@ export default function ScriptEditor({
               ))}
             </select>
           )}
+          {!runnerHostId && useRunnerLabels && (
+            <input
+              type="text"
+              className="mt-2 w-full bg-slate-800 border border-slate-600 rounded p-2"
+              value={runnerSelector}
+              onChange={(event) => {
+                setRunnerSelector(event.target.value);
+                setErrorMessage("");
+              }}
+              placeholder="os=linux, python3.12"
+              aria-label="Runner labels"
+            />
+          )}
           <p className="mt-1 text-xs text-slate-400">
             {runnerHostId
               ? selectedRunner
@@ -1037,14 +1138,38 @@ export default function ScriptEditor({
                 runnerHostId
                 }.`
                 : "This script will use the selected runner."
+              : useRunnerLabels
+                ? runnerSelectorLabels.length > 0
+                  ? `Runs on the least busy healthy runner carrying every label listed (${matchingLabelRunnerCount} configured ${matchingLabelRunnerCount === 1 ? "runner matches" : "runners match"}).`
+                  : "Enter one or more labels separated by commas. Runners must carry all of them."
               : !inheritCategoryRunner
                 ? "This script is disabled and will respond with 'No runners configured' until a runner is assigned."
                 : categoryDefaultRunner
                   ? `This script will inherit the collection default runner (${categoryDefaultRunner.name || categoryDefaultRunnerHostId || "Runner"}).`
+                  : categoryDefaultRunnerSelector.length > 0
+                    ? `This script will run on any runner labelled ${formatRunnerSelector(categoryDefaultRunnerSelector)}, as set on the collection.`
                   : normalizedRunnerHosts.length > 0
                     ? "Assign a runner, inherit the collection default, or choose 'No assigned runner' to keep this script idle."
                     : "No runners are currently available. Configure a runner or disable inheritance before saving."}
           </p>
+          {runnerHostId && !isRunnerListLoading && (
+            <div className="mt-3">
+              <span className="mb-1 block text-gray-400">Fallback runners</span>
+              <FallbackRunnerFields
+                value={fallbackRunnerHostIds}
+                onChange={(next) => {
+                  setFallbackRunnerHostIds(next);
+                  setErrorMessage("");
+                }}
+                runners={normalizedRunnerHosts}
+                primaryRunnerId={runnerHostId}
+                canSelectAdminOnly={canSelectAdminOnly}
+              />
+              <p className="mt-1 text-xs text-slate-400">
+                Tried in order when the runner above is offline or refuses the run.
+              </p>
+            </div>
+          )}
           {!canSelectAdminOnly && hasAdminOnlyRunner && (
             <p className="mt-1 text-xs text-amber-200">
               Admin-only runners are managed by administrators and cannot be assigned directly.
@@ -1103,6 +1228,15 @@ export default function ScriptEditor({
             Requests using other methods receive a 405 Method Not Allowed response.
           </p>
         </div>
+
+        <div className="md:col-span-2">
+          <label className="block text-gray-400">Automatic retries</label>
+          <p className="mb-2 text-xs text-slate-400">
+            Failed scheduled runs are retried after a delay. Requests that wait for the script's
+            response receive the first attempt's result and are not retried.
+          </p>
+          <RetryPolicyFields value={retryPolicy} onChange={setRetryPolicy} />
+        </div>
       </div>
 
       <div className="flex min-h-[400px] flex-1 flex-col overflow-hidden rounded border border-slate-700">
@@ -250,11 +250,16 @@ export default function ScriptPackages({ script, onAuthError, onPackagesChange }
     );
   }
 
-  const canCheckPackages = Boolean(effectiveRunnerHostId);
+  const runnerSelector = Array.isArray(script?.resolvedRunnerSelector)
+    ? script.resolvedRunnerSelector
+    : [];
+  const canCheckPackages = Boolean(effectiveRunnerHostId) || runnerSelector.length > 0;
   const packageCount = sortedPackages.length;
-  const summaryRunnerText = canCheckPackages
+  const summaryRunnerText = effectiveRunnerHostId
     ? effectiveRunnerHostId
-    : "Not assigned";
+    : runnerSelector.length > 0
+      ? `Any runner labelled ${runnerSelector.join(", ")}`
+      : "Not assigned";
 
   return (
     <div className="space-y-4">
@@ -1,5 +1,11 @@
 import { useEffect, useMemo, useState } from "react";
 import { apiRequest } from "../utils/api";
+import {
+  normalizeGroupPermission,
+  sortGroupPermissions,
+  toGroupPermissionPayload,
+} from "../utils/groupPermissions";
+import GroupPermissionsEditor from "./GroupPermissionsEditor";
 
 function sortByUsername(items) {
   return [...items].sort((a, b) =>
@@ -9,6 +15,14 @@ function sortByUsername(items) {
   );
 }
 
+const ROLE_PERMISSION_KEYS = {
+  canRead: "read",
+  canWrite: "write",
+  canDelete: "delete",
+  canClearLogs: "clearLogs",
+  canRun: "run",
+};
+
 function normalizePermission(entry) {
   if (!entry) {
     return null;
@@ -23,6 +37,8 @@ function normalizePermission(entry) {
     canDelete: Boolean(entry.canDelete),
     canRun: Boolean(entry.canRun),
     canClearLogs: Boolean(entry.canClearLogs),
+    roleId: entry.roleId || null,
+    roleName: entry.roleName || null,
   };
 }
 
@@ -38,6 +54,9 @@ export default function ScriptPermissions({
   const [saveStatus, setSaveStatus] = useState("");
   const [permissions, setPermissions] = useState([]);
   const [availableUsers, setAvailableUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [groupPermissions, setGroupPermissions] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [selectedUserId, setSelectedUserId] = useState("");
   const [scriptInfo, setScriptInfo] = useState(null);
   const [requireAuth, setRequireAuth] = useState(true);
@@ -46,6 +65,20 @@ export default function ScriptPermissions({
   const [includeAutomnResponse, setIncludeAutomnResponse] = useState(false);
   const [includeRunId, setIncludeRunId] = useState(true);
 
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest("/api/roles")
+      .then((data) => {
+        if (!cancelled) setRoles(Array.isArray(data?.roles) ? data.roles : []);
+      })
+      .catch((err) => {
+        if (!cancelled) console.error("Failed to load roles", err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     let cancelled = false;
 
@@ -53,6 +86,8 @@ export default function ScriptPermissions({
       if (!script?.id) {
         setPermissions([]);
         setAvailableUsers([]);
+        setGroupPermissions([]);
+        setGroups([]);
         setScriptInfo(null);
         setError("");
         setSaveStatus("");
@@ -94,6 +129,14 @@ export default function ScriptPermissions({
             (user) => !normalizedPermissions.some((perm) => perm.userId === user.id),
           ),
         );
+        setGroupPermissions(
+          Array.isArray(payload?.groupPermissions)
+            ? sortGroupPermissions(
+                payload.groupPermissions.map(normalizeGroupPermission).filter(Boolean),
+              )
+            : [],
+        );
+        setGroups(Array.isArray(payload?.groups) ? payload.groups : []);
         setScriptInfo(payload?.script || null);
         const requiresAuth = payload?.script?.requireAuthentication;
         setRequireAuth(requiresAuth === undefined ? true : Boolean(requiresAuth));
@@ -195,6 +238,18 @@ export default function ScriptPermissions({
     );
   };
 
+  const handleRoleChange = (userId, roleId) => {
+    if (inheritFromCategory) return;
+    const role = roles.find((candidate) => candidate.id === roleId) || null;
+    setPermissions((prev) =>
+      prev.map((entry) =>
+        entry.userId === userId
+          ? { ...entry, roleId: role?.id || null, roleName: role?.name || null }
+          : entry,
+      ),
+    );
+  };
+
   const handleRemove = (userId) => {
     if (inheritFromCategory) return;
     setPermissions((prev) => prev.filter((entry) => entry.userId !== userId));
@@ -248,12 +303,14 @@ export default function ScriptPermissions({
       const payload = {
         permissions: permissions.map((entry) => ({
           userId: entry.userId,
+          roleId: entry.roleId,
           canRead: entry.canRead,
           canWrite: entry.canWrite,
           canDelete: entry.canDelete,
           canRun: entry.canRun,
           canClearLogs: entry.canClearLogs,
         })),
+        groupPermissions: toGroupPermissionPayload(groupPermissions),
         requireAuthentication: Boolean(requireAuth),
         inheritCategoryPermissions: Boolean(inheritFromCategory),
         includeAutomnResponseData: Boolean(includeAutomnResponse),
@@ -270,6 +327,13 @@ export default function ScriptPermissions({
         : [];
 
       setPermissions(normalizedPermissions);
+      if (Array.isArray(response?.groupPermissions)) {
+        setGroupPermissions(
+          sortGroupPermissions(
+            response.groupPermissions.map(normalizeGroupPermission).filter(Boolean),
+          ),
+        );
+      }
       setAvailableUsers((prev) =>
         sortByUsername(
           prev.filter(
@@ -533,6 +597,7 @@ export default function ScriptPermissions({
                   <thead>
                     <tr className="text-left text-xs uppercase tracking-wide text-slate-400">
                       <th className="px-3 py-2">User</th>
+                      <th className="px-3 py-2">Role</th>
                       <th className="px-3 py-2">Read</th>
                       <th className="px-3 py-2">Write</th>
                       <th className="px-3 py-2">Delete</th>
@@ -543,40 +608,67 @@ export default function ScriptPermissions({
                   </thead>
                   <tbody className="divide-y divide-slate-800">
                     {permissions.length ? (
-                      permissions.map((entry) => (
-                        <tr key={entry.userId} className="text-slate-200">
-                          <td className="px-3 py-2">
-                            <div className="font-semibold">{entry.username}</div>
-                            {entry.isAdmin && (
-                              <div className="text-xs text-slate-400">Administrator</div>
-                            )}
-                          </td>
-                          {["canRead", "canWrite", "canDelete", "canClearLogs", "canRun"].map((field) => (
-                            <td key={field} className="px-3 py-2">
-                              <input
-                                type="checkbox"
-                                className="h-4 w-4 accent-sky-400"
-                                checked={Boolean(entry[field])}
-                                onChange={() => handleToggle(entry.userId, field)}
+                      permissions.map((entry) => {
+                        const role = entry.roleId
+                          ? roles.find((candidate) => candidate.id === entry.roleId)
+                          : null;
+                        return (
+                          <tr key={entry.userId} className="text-slate-200">
+                            <td className="px-3 py-2">
+                              <div className="font-semibold">{entry.username}</div>
+                              {entry.isAdmin && (
+                                <div className="text-xs text-slate-400">Administrator</div>
+                              )}
+                            </td>
+                            <td className="px-3 py-2">
+                              <select
+                                value={entry.roleId || ""}
+                                onChange={(event) => handleRoleChange(entry.userId, event.target.value)}
                                 disabled={isSaving || inheritFromCategory}
-                              />
+                                className="rounded border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+                              >
+                                <option value="">Custom</option>
+                                {entry.roleId && !role && (
+                                  <option value={entry.roleId}>{entry.roleName || "Unknown role"}</option>
+                                )}
+                                {roles.map((candidate) => (
+                                  <option key={candidate.id} value={candidate.id}>
+                                    {candidate.name}
+                                  </option>
+                                ))}
+                              </select>
                             </td>
-                          ))}
-                          <td className="px-3 py-2 text-right">
-                            <button
-                              type="button"
-                              onClick={() => handleRemove(entry.userId)}
-                              disabled={isSaving || inheritFromCategory}
-                              className="rounded border border-rose-500/40 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition-colors hover:bg-rose-500/10 disabled:cursor-not-allowed disabled:opacity-60"
-                            >
-                              Remove
-                            </button>
-                          </td>
-                        </tr>
-                      ))
+                            {["canRead", "canWrite", "canDelete", "canClearLogs", "canRun"].map((field) => (
+                              <td key={field} className="px-3 py-2">
+                                <input
+                                  type="checkbox"
+                                  className="h-4 w-4 accent-sky-400"
+                                  checked={
+                                    role
+                                      ? Boolean(role.permissions?.[ROLE_PERMISSION_KEYS[field]])
+                                      : Boolean(entry[field])
+                                  }
+                                  onChange={() => handleToggle(entry.userId, field)}
+                                  disabled={isSaving || inheritFromCategory || Boolean(entry.roleId)}
+                                />
+                              </td>
+                            ))}
+                            <td className="px-3 py-2 text-right">
+                              <button
+                                type="button"
+                                onClick={() => handleRemove(entry.userId)}
+                                disabled={isSaving || inheritFromCategory}
+                                className="rounded border border-rose-500/40 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition-colors hover:bg-rose-500/10 disabled:cursor-not-allowed disabled:opacity-60"
+                              >
+                                Remove
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })
                     ) : (
                       <tr>
-                        <td colSpan={6} className="px-3 py-4 text-center text-slate-400">
+                        <td colSpan={8} className="px-3 py-4 text-center text-slate-400">
                           No delegated users yet.
                         </td>
                       </tr>
@@ -584,6 +676,17 @@ export default function ScriptPermissions({
                   </tbody>
                 </table>
               </div>
+
+                <div className="space-y-2">
+                  <span className="text-sm font-semibold text-slate-200">Group access</span>
+                  <GroupPermissionsEditor
+                    entries={groupPermissions}
+                    groups={groups}
+                    roles={roles}
+                    onChange={setGroupPermissions}
+                    disabled={isSaving || inheritFromCategory}
+                  />
+                </div>
               </div>
 
               <div className="flex justify-end">
@@ -6,6 +6,8 @@ import { apiRequest } from "../utils/api";
 export default function ScriptRun({ script, onEdit, onAuthError }) {
 
   const [runId, setRunId] = useState(null);
+  const [isStopping, setIsStopping] = useState(false);
+  const [isStopped, setIsStopped] = useState(false);
   const entries = useLiveLogs(runId);
 
   async function handleRun() {
@@ -15,6 +17,7 @@ export default function ScriptRun({ script, onEdit, onAuthError }) {
         body: {},
       });
       if (data?.runId) {
+        setIsStopped(false);
         setRunId(data.runId);
       }
     } catch (err) {
@@ -26,6 +29,29 @@ export default function ScriptRun({ script, onEdit, onAuthError }) {
     }
   }
 
+  async function handleStop() {
+    if (!runId || isStopping) return;
+    setIsStopping(true);
+    try {
+      await apiRequest(`/api/runs/${encodeURIComponent(runId)}/cancel`, {
+        method: "POST",
+      });
+      setIsStopped(true);
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+        return;
+      }
+      if (err.status === 409) {
+        setIsStopped(true);
+        return;
+      }
+      console.error("Failed to stop run", err);
+    } finally {
+      setIsStopping(false);
+    }
+  }
+
   return (
     <div className="space-y-4">
       <div className="flex justify-between items-center">
@@ -43,7 +69,13 @@ export default function ScriptRun({ script, onEdit, onAuthError }) {
           </button>
         </div>
       </div>
-      {runId && <LiveLogViewer entries={entries} />}
+      {runId && (
+        <LiveLogViewer
+          entries={entries}
+          onStop={isStopped ? undefined : handleStop}
+          isStopping={isStopping}
+        />
+      )}
     </div>
   );
 }
@@ -2,6 +2,365 @@ import { useState, useEffect, useRef, useCallback } from "react";
 import { apiRequest } from "../utils/api";
 import { useNotificationDialog } from "./NotificationDialogProvider";
 
+const TOKEN_METHOD_OPTIONS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+function createNamedTokenForm(token) {
+  return {
+    id: token?.id || null,
+    name: token?.name || "",
+    expiresAt: token?.expiresAt ? toDateTimeInputValue(token.expiresAt) : "",
+    allowedMethods: token?.allowedMethods || [],
+    ipAllowlist: (token?.ipAllowlist || []).join("\n"),
+  };
+}
+
+function toDateTimeInputValue(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function formatTokenTimestamp(value) {
+  if (!value) return "Never";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+function ScriptNamedTokens({ script, onAuthError, disabled }) {
+  const { confirm } = useNotificationDialog();
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState(null);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const handleError = useCallback(
+    (err, fallback) => {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+        return;
+      }
+      setErrorMessage(err?.data?.error || err.message || fallback);
+    },
+    [onAuthError],
+  );
+
+  const loadTokens = useCallback(async () => {
+    if (!script?.id || script.isDraft) {
+      setTokens([]);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const data = await apiRequest(`/api/scripts/${encodeURIComponent(script.id)}/tokens`);
+      setTokens(Array.isArray(data?.tokens) ? data.tokens : []);
+    } catch (err) {
+      handleError(err, "Failed to load tokens");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [script?.id, script?.isDraft, handleError]);
+
+  useEffect(() => {
+    setForm(null);
+    setCreatedToken(null);
+    setErrorMessage(null);
+    loadTokens();
+  }, [loadTokens]);
+
+  const handleToggleMethod = (method) => {
+    setForm((prev) => ({
+      ...prev,
+      allowedMethods: prev.allowedMethods.includes(method)
+        ? prev.allowedMethods.filter((entry) => entry !== method)
+        : [...prev.allowedMethods, method],
+    }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!form || disabled || isLoading) return;
+    setIsLoading(true);
+    setErrorMessage(null);
+    const body = {
+      name: form.name,
+      expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null,
+      allowedMethods: form.allowedMethods,
+      ipAllowlist: form.ipAllowlist
+        .split(/[\s,]+/)
+        .map((entry) => entry.trim())
+        .filter(Boolean),
+    };
+    try {
+      const basePath = `/api/scripts/${encodeURIComponent(script.id)}/tokens`;
+      if (form.id) {
+        await apiRequest(`${basePath}/${encodeURIComponent(form.id)}`, {
+          method: "PATCH",
+          body,
+        });
+      } else {
+        const data = await apiRequest(basePath, { method: "POST", body });
+        setCreatedToken({ name: data?.token?.name || form.name, value: data?.value || null });
+      }
+      setForm(null);
+      await loadTokens();
+    } catch (err) {
+      handleError(err, "Failed to save token");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (token) => {
+    if (disabled || isLoading) return;
+    const confirmed = await confirm({
+      title: "Revoke token?",
+      message: `Revoke "${token.name}"? Integrations using it will stop working immediately.`,
+      tone: "warn",
+      confirmLabel: "Revoke token",
+    });
+    if (!confirmed) return;
+
+    setIsLoading(true);
+    setErrorMessage(null);
+    try {
+      await apiRequest(
+        `/api/scripts/${encodeURIComponent(script.id)}/tokens/${encodeURIComponent(token.id)}`,
+        { method: "DELETE" },
+      );
+      if (form?.id === token.id) {
+        setForm(null);
+      }
+      await loadTokens();
+    } catch (err) {
+      handleError(err, "Failed to revoke token");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCopyCreated = async () => {
+    if (!createdToken?.value) return;
+    try {
+      await navigator.clipboard.writeText(createdToken.value);
+    } catch {
+      // The value stays on screen for manual copying.
+    }
+  };
+
+  if (!script?.id || script.isDraft) {
+    return null;
+  }
+
+  const actionDisabled = disabled || isLoading;
+  const buttonClasses =
+    "rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide transition disabled:cursor-not-allowed disabled:opacity-60";
+  const inputClasses = "w-full rounded border px-2 py-1 text-sm";
+  const inputStyle = {
+    borderColor: "var(--color-panel-border)",
+    background: "var(--color-surface-2)",
+    color: "var(--color-app-text)",
+  };
+
+  return (
+    <div className="mt-4 border-t pt-4" style={{ borderColor: "var(--color-panel-border)" }}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h4 className="font-semibold text-[color:var(--color-text-strong)]">Named tokens</h4>
+          <p className="text-xs text-[color:var(--color-text-muted)]">
+            Give each integration its own token so it can be revoked on its own. Runs record the
+            token name as their trigger.
+          </p>
+        </div>
+        {!form && (
+          <button
+            type="button"
+            onClick={() => {
+              setCreatedToken(null);
+              setForm(createNamedTokenForm(null));
+            }}
+            disabled={actionDisabled}
+            className={`${buttonClasses} text-[color:var(--color-accent)] hover:bg-[color:var(--color-accent-soft)]`}
+            style={{ borderColor: "var(--color-accent-strong)", background: "var(--color-surface-1)" }}
+          >
+            New token
+          </button>
+        )}
+      </div>
+
+      {createdToken?.value && (
+        <div className="mt-3 rounded border border-emerald-500/50 bg-emerald-500/10 px-3 py-2 text-xs text-emerald-200">
+          <div>
+            Copy the token for <strong>{createdToken.name}</strong> now. It will not be shown again.
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <code className="break-all font-mono text-sm">{createdToken.value}</code>
+            <button
+              type="button"
+              onClick={handleCopyCreated}
+              className={`${buttonClasses} text-[color:var(--color-text-strong)] hover:bg-[color:var(--color-surface-3)]`}
+              style={{ borderColor: "var(--color-panel-border)", background: "var(--color-surface-2)" }}
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="mt-3 grid gap-3 md:grid-cols-2">
+          <label className="flex flex-col gap-1 text-xs">
+            <span className="text-[color:var(--color-text-muted)]">Name</span>
+            <input
+              type="text"
+              value={form.name}
+              maxLength={64}
+              placeholder="e.g. GitHub Actions"
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              className={inputClasses}
+              style={inputStyle}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs">
+            <span className="text-[color:var(--color-text-muted)]">Expires</span>
+            <input
+              type="datetime-local"
+              value={form.expiresAt}
+              onChange={(e) => setForm((prev) => ({ ...prev, expiresAt: e.target.value }))}
+              className={inputClasses}
+              style={inputStyle}
+            />
+            <span className="text-[11px] text-[color:var(--color-text-muted)]">
+              Leave empty for a token that does not expire.
+            </span>
+          </label>
+          <div className="flex flex-col gap-1 text-xs">
+            <span className="text-[color:var(--color-text-muted)]">Allowed methods</span>
+            <div className="flex flex-wrap gap-2">
+              {TOKEN_METHOD_OPTIONS.map((method) => (
+                <label key={method} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 accent-sky-400"
+                    checked={form.allowedMethods.includes(method)}
+                    onChange={() => handleToggleMethod(method)}
+                  />
+                  <span>{method}</span>
+                </label>
+              ))}
+            </div>
+            <span className="text-[11px] text-[color:var(--color-text-muted)]">
+              Leave all unchecked to allow any method the script accepts.
+            </span>
+          </div>
+          <label className="flex flex-col gap-1 text-xs">
+            <span className="text-[color:var(--color-text-muted)]">IP allow-list</span>
+            <textarea
+              rows={3}
+              value={form.ipAllowlist}
+              placeholder={"203.0.113.7\n10.0.0.0/8"}
+              onChange={(e) => setForm((prev) => ({ ...prev, ipAllowlist: e.target.value }))}
+              className={`${inputClasses} font-mono`}
+              style={inputStyle}
+            />
+            <span className="text-[11px] text-[color:var(--color-text-muted)]">
+              One address or CIDR range per line. Leave empty to allow any address.
+            </span>
+          </label>
+          <div className="flex gap-2 md:col-span-2">
+            <button
+              type="submit"
+              disabled={actionDisabled}
+              className={`${buttonClasses} text-[color:var(--color-accent)] hover:bg-[color:var(--color-accent-soft)]`}
+              style={{ borderColor: "var(--color-accent-strong)", background: "var(--color-surface-1)" }}
+            >
+              {form.id ? "Save token" : "Create token"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              disabled={isLoading}
+              className={`${buttonClasses} text-[color:var(--color-text-strong)] hover:bg-[color:var(--color-surface-3)]`}
+              style={{ borderColor: "var(--color-panel-border)", background: "var(--color-surface-2)" }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens.length > 0 ? (
+        <ul className="mt-3 space-y-2">
+          {tokens.map((token) => (
+            <li
+              key={token.id}
+              className="flex flex-wrap items-start justify-between gap-3 rounded border px-3 py-2"
+              style={{ borderColor: "var(--color-panel-border)", background: "var(--color-surface-2)" }}
+            >
+              <div className="space-y-1 text-xs">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-semibold text-[color:var(--color-text-strong)]">{token.name}</span>
+                  <code className="font-mono text-[color:var(--color-text-muted)]">{token.preview}</code>
+                  {token.isExpired && (
+                    <span className="rounded bg-rose-500/20 px-2 py-0.5 text-[11px] text-rose-200">Expired</span>
+                  )}
+                </div>
+                <div className="text-[color:var(--color-text-muted)]">
+                  Methods: {token.allowedMethods.length ? token.allowedMethods.join(", ") : "Any"}
+                  {" · "}
+                  IPs: {token.ipAllowlist.length ? token.ipAllowlist.join(", ") : "Any"}
+                </div>
+                <div className="text-[color:var(--color-text-muted)]">
+                  Expires: {token.expiresAt ? formatTokenTimestamp(token.expiresAt) : "Never"}
+                  {" · "}
+                  Last used: {formatTokenTimestamp(token.lastUsedAt)}
+                  {token.lastUsedIp ? ` from ${token.lastUsedIp}` : ""}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setCreatedToken(null);
+                    setForm(createNamedTokenForm(token));
+                  }}
+                  disabled={actionDisabled}
+                  className={`${buttonClasses} text-[color:var(--color-text-strong)] hover:bg-[color:var(--color-surface-3)]`}
+                  style={{ borderColor: "var(--color-panel-border)", background: "var(--color-surface-1)" }}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(token)}
+                  disabled={actionDisabled}
+                  className={`${buttonClasses} text-rose-300 hover:bg-rose-500/10`}
+                  style={{ borderColor: "rgba(244, 63, 94, 0.5)", background: "var(--color-surface-1)" }}
+                >
+                  Revoke
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !form && (
+          <p className="mt-3 text-xs text-[color:var(--color-text-muted)]">
+            {isLoading ? "Loading tokens…" : "No named tokens yet."}
+          </p>
+        )
+      )}
+
+      {errorMessage && (
+        <div className="mt-3 rounded border border-rose-500/50 bg-rose-500/10 px-3 py-2 text-xs text-rose-200">
+          {errorMessage}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function ScriptTokenManager({
   script,
   currentUser,
@@ -330,6 +689,8 @@ export default function ScriptTokenManager({
           {errorMessage}
         </div>
       )}
+
+      <ScriptNamedTokens script={script} onAuthError={onAuthError} disabled={disabled} />
     </div>
   );
 }
@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const WEBHOOK_MODE_OPTIONS = [
+  { value: "none", label: "Off" },
+  { value: "hmac_sha256", label: "HMAC-SHA256" },
+  { value: "hmac_sha1", label: "HMAC-SHA1" },
+];
+
+const DEFAULT_SIGNATURE_HEADERS = {
+  hmac_sha256: "X-Hub-Signature-256",
+  hmac_sha1: "X-Hub-Signature",
+};
+
+function createWebhookForm(webhook) {
+  return {
+    mode: webhook?.mode || "none",
+    signatureHeader: webhook?.signatureHeader || "",
+    timestampHeader: webhook?.timestampHeader || "",
+    toleranceSeconds: webhook?.toleranceSeconds ? String(webhook.toleranceSeconds) : "300",
+  };
+}
+
+export default function ScriptWebhookAuth({
+  script,
+  currentUser,
+  onWebhookChanged,
+  onAuthError,
+  disabled = false,
+}) {
+  const { confirm } = useNotificationDialog();
+  const [form, setForm] = useState(createWebhookForm(null));
+  const [secret, setSecret] = useState(null);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [statusMessage, setStatusMessage] = useState("");
+
+  const canManage = Boolean(currentUser?.isAdmin && script?.id && !script?.isDraft);
+
+  const applyWebhook = useCallback(
+    (webhook) => {
+      setForm(createWebhookForm(webhook));
+      setSecret(webhook?.secret || null);
+      onWebhookChanged?.(script.id, {
+        webhookAuthMode: webhook?.mode && webhook.mode !== "none" ? webhook.mode : null,
+      });
+    },
+    [script?.id, onWebhookChanged],
+  );
+
+  useEffect(() => {
+    setIsRevealed(false);
+    setErrorMessage(null);
+    setStatusMessage("");
+    setSecret(null);
+    setForm(createWebhookForm(null));
+    if (!canManage) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    apiRequest(`/api/scripts/${encodeURIComponent(script.id)}/webhook`)
+      .then((data) => {
+        if (cancelled) return;
+        setForm(createWebhookForm(data?.webhook));
+        setSecret(data?.webhook?.secret || null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (onAuthError && (err.status === 401 || err.status === 403)) {
+          onAuthError(err);
+          return;
+        }
+        setErrorMessage(err?.data?.error || err.message || "Failed to load webhook settings");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [script?.id, canManage]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const saveWebhook = useCallback(
+    async (extra = {}) => {
+      if (!canManage || isLoading) return;
+      setIsLoading(true);
+      setErrorMessage(null);
+      setStatusMessage("");
+      try {
+        const data = await apiRequest(
+          `/api/scripts/${encodeURIComponent(script.id)}/webhook`,
+          {
+            method: "PUT",
+            body: {
+              mode: form.mode,
+              signatureHeader: form.signatureHeader.trim() || null,
+              timestampHeader: form.timestampHeader.trim() || null,
+              toleranceSeconds: form.toleranceSeconds,
+              ...extra,
+            },
+          },
+        );
+        applyWebhook(data?.webhook);
+        setStatusMessage(extra.rotateSecret ? "Secret rotated" : "Saved");
+      } catch (err) {
+        if (onAuthError && (err.status === 401 || err.status === 403)) {
+          onAuthError(err);
+          return;
+        }
+        setErrorMessage(err?.data?.error || err.message || "Failed to save webhook settings");
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [canManage, isLoading, script?.id, form, applyWebhook, onAuthError],
+  );
+
+  const handleRotate = useCallback(async () => {
+    const confirmed = await confirm({
+      title: "Rotate webhook secret?",
+      message:
+        "Rotate this script's signing secret? Senders will need the new secret before their calls are accepted again.",
+      tone: "warn",
+      confirmLabel: "Rotate secret",
+    });
+    if (!confirmed) return;
+    await saveWebhook({ rotateSecret: true });
+    setIsRevealed(true);
+  }, [confirm, saveWebhook]);
+
+  if (!canManage) {
+    return null;
+  }
+
+  const isEnabled = form.mode !== "none";
+  const actionDisabled = disabled || isLoading;
+  const inputClassName =
+    "w-full rounded border px-2 py-1 text-sm disabled:cursor-not-allowed disabled:opacity-60";
+  const inputStyle = {
+    borderColor: "var(--color-panel-border)",
+    background: "var(--color-surface-2)",
+    color: "var(--color-app-text)",
+  };
+
+  return (
+    <div
+      className={`rounded-md border p-4 text-sm transition-opacity ${
+        disabled ? "pointer-events-none opacity-50" : ""
+      }`}
+      aria-disabled={disabled}
+      style={{
+        borderColor: "var(--color-panel-border)",
+        background: "var(--color-surface-1)",
+        color: "var(--color-app-text)",
+        boxShadow: "var(--color-panel-shadow)",
+      }}
+    >
+      <div>
+        <h3 className="font-semibold text-[color:var(--color-accent)]">
+          Webhook Signature
+        </h3>
+        <p className="text-xs text-[color:var(--color-text-muted)]">
+          Only accept calls whose raw body is signed with this script&apos;s secret. When enabled,
+          bearer tokens are no longer accepted on this endpoint.
+        </p>
+      </div>
+
+      <div className="mt-3 grid gap-3 md:grid-cols-2">
+        <label className="flex flex-col gap-1 text-xs">
+          <span className="text-[color:var(--color-text-muted)]">Mode</span>
+          <select
+            value={form.mode}
+            onChange={(e) => setForm((prev) => ({ ...prev, mode: e.target.value }))}
+            disabled={actionDisabled}
+            className={inputClassName}
+            style={inputStyle}
+          >
+            {WEBHOOK_MODE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {isEnabled && (
+          <>
+            <label className="flex flex-col gap-1 text-xs">
+              <span className="text-[color:var(--color-text-muted)]">Signature header</span>
+              <input
+                type="text"
+                value={form.signatureHeader}
+                placeholder={DEFAULT_SIGNATURE_HEADERS[form.mode]}
+                onChange={(e) => setForm((prev) => ({ ...prev, signatureHeader: e.target.value }))}
+                disabled={actionDisabled}
+                className={inputClassName}
+                style={inputStyle}
+              />
+            </label>
+
+            <label className="flex flex-col gap-1 text-xs">
+              <span className="text-[color:var(--color-text-muted)]">Timestamp header</span>
+              <input
+                type="text"
+                value={form.timestampHeader}
+                placeholder="Optional, e.g. X-Signature-Timestamp"
+                onChange={(e) => setForm((prev) => ({ ...prev, timestampHeader: e.target.value }))}
+                disabled={actionDisabled}
+                className={inputClassName}
+                style={inputStyle}
+              />
+              <span className="text-[11px] text-[color:var(--color-text-muted)]">
+                When set, the signed payload is <code>timestamp.body</code>. Stripe-style{" "}
+                <code>t=…,v1=…</code> signatures are detected automatically.
+              </span>
+            </label>
+
+            <label className="flex flex-col gap-1 text-xs">
+              <span className="text-[color:var(--color-text-muted)]">Timestamp tolerance (s)</span>
+              <input
+                type="number"
+                min="1"
+                max="86400"
+                value={form.toleranceSeconds}
+                onChange={(e) => setForm((prev) => ({ ...prev, toleranceSeconds: e.target.value }))}
+                disabled={actionDisabled}
+                className={inputClassName}
+                style={inputStyle}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      {isEnabled && secret && (
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <code
+            className="rounded px-2 py-1 text-base font-mono"
+            style={{
+              background: "var(--color-token-chip-bg)",
+              color: "var(--color-token-chip-text)",
+              border: "1px solid var(--color-token-chip-border)",
+              boxShadow: "var(--color-token-chip-shadow)",
+              wordBreak: "break-all",
+            }}
+          >
+            {isRevealed ? secret : "••••••••"}
+          </code>
+          <button
+            type="button"
+            onClick={() => setIsRevealed((prev) => !prev)}
+            disabled={actionDisabled}
+            className="rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide text-[color:var(--color-text-strong)] transition hover:bg-[color:var(--color-surface-3)] disabled:cursor-not-allowed disabled:opacity-60"
+            style={{
+              borderColor: "var(--color-panel-border)",
+              background: "var(--color-surface-2)",
+            }}
+          >
+            {isRevealed ? "Hide" : "Reveal"}
+          </button>
+          <button
+            type="button"
+            onClick={handleRotate}
+            disabled={actionDisabled}
+            className="rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide text-[color:var(--color-accent)] transition hover:bg-[color:var(--color-accent-soft)] disabled:cursor-not-allowed disabled:opacity-60"
+            style={{
+              borderColor: "var(--color-accent-strong)",
+              background: "var(--color-surface-1)",
+            }}
+          >
+            Rotate
+          </button>
+        </div>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => saveWebhook()}
+          disabled={actionDisabled}
+          className="rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide text-[color:var(--color-accent)] transition hover:bg-[color:var(--color-accent-soft)] disabled:cursor-not-allowed disabled:opacity-60"
+          style={{
+            borderColor: "var(--color-accent-strong)",
+            background: "var(--color-surface-1)",
+          }}
+        >
+          {isLoading ? "Saving…" : "Save"}
+        </button>
+        {statusMessage && (
+          <span className="text-xs text-[color:var(--color-text-muted)]">{statusMessage}</span>
+        )}
+      </div>
+
+      {errorMessage && (
+        <div className="mt-3 rounded border border-rose-500/50 bg-rose-500/10 px-3 py-2 text-xs text-rose-200">
+          {errorMessage}
+        </div>
+      )}
+    </div>
+  );
+}
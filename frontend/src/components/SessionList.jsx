@@ -0,0 +1,45 @@
+function formatDateTime(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+export default function SessionList({ sessions, onRevoke, disabled = false }) {
+  if (!sessions?.length) {
+    return <p className="text-sm text-slate-400">No active sessions.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-[color:var(--color-panel-border)] text-sm">
+      {sessions.map((session) => (
+        <li key={session.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+          <div className="min-w-0 space-y-1">
+            <div className="flex flex-wrap items-center gap-2 text-slate-200">
+              <span className="truncate" title={session.userAgent || ""}>
+                {session.userAgent || "Unknown client"}
+              </span>
+              {session.current && (
+                <span className="rounded-full bg-sky-500/15 px-2 py-0.5 text-[10px] font-semibold uppercase text-sky-300">
+                  This device
+                </span>
+              )}
+            </div>
+            <div className="text-xs text-slate-400">
+              {session.ipAddress || "Unknown address"} · signed in {formatDateTime(session.createdAt)}
+              {" · "}last active {formatDateTime(session.lastSeen)}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => onRevoke(session)}
+            disabled={disabled}
+            className="rounded border border-rose-600 px-2 py-1 text-xs font-semibold text-rose-200 hover:bg-rose-900/30 disabled:opacity-60"
+          >
+            {session.current ? "Sign out" : "Revoke"}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,292 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const SCOPE_DESCRIPTIONS = {
+  "scripts:read": "List scripts and collections, read code and versions",
+  "scripts:write": "Create, update and delete scripts and collections, cancel runs",
+  "scripts:admin": "Manage script permissions, run tokens and webhook settings",
+  "variables:read": "Read script, collection and global variables",
+  "variables:write": "Create, update and delete variables",
+  "logs:read": "Read run logs and history",
+  "runners:admin": "Manage runner hosts (administrators only)",
+};
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const DEFAULT_FORM_STATE = {
+  name: "",
+  scopes: [],
+  expiresAt: "",
+};
+
+function formatDateTime(value) {
+  if (!value) return "Never";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+export default function SettingsAccessTokens({ currentUser, onAuthError }) {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(DEFAULT_FORM_STATE);
+  const [createdToken, setCreatedToken] = useState(null);
+  const { showNotification, confirm } = useNotificationDialog();
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const loadTokens = async (includeAll = showAll) => {
+    setLoading(true);
+    try {
+      const response = await apiRequest(`/api/tokens${includeAll ? "?all=true" : ""}`);
+      setTokens(Array.isArray(response?.tokens) ? response.tokens : []);
+      setScopes(Array.isArray(response?.scopes) ? response.scopes : []);
+    } catch (err) {
+      handleAuthError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens(showAll);
+  }, [showAll]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const availableScopes = scopes.filter(
+    (scope) => scope !== "runners:admin" || currentUser?.isAdmin,
+  );
+
+  const handleToggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((entry) => entry !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/tokens", {
+        method: "POST",
+        body: {
+          name: form.name,
+          scopes: form.scopes,
+          expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null,
+        },
+      });
+      setCreatedToken({ name: response?.token?.name || form.name, value: response?.value });
+      setForm(DEFAULT_FORM_STATE);
+      await loadTokens();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Token creation failed",
+        description: err?.message || "Unable to create the token.",
+        tone: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    const confirmed = await confirm({
+      title: "Revoke access token?",
+      message: `Revoke "${token.name}"? Anything using it will lose access immediately.`,
+      tone: "warn",
+      confirmLabel: "Revoke token",
+    });
+    if (!confirmed) return;
+    try {
+      await apiRequest(`/api/tokens/${token.id}`, { method: "DELETE" });
+      await loadTokens();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Token revoke failed",
+        description: err?.message || "Unable to revoke the token.",
+        tone: "error",
+      });
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!createdToken?.value) return;
+    try {
+      await navigator.clipboard.writeText(createdToken.value);
+      showNotification({ title: "Token copied", tone: "success" });
+    } catch {
+      showNotification({
+        title: "Copy failed",
+        description: "Select the token and copy it manually.",
+        tone: "error",
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-slate-100">Access Tokens</h3>
+        <p className="text-sm text-slate-400">
+          Personal access tokens let scripts and CI pipelines call the management API as you. Send
+          them in the <code>Authorization</code> header as <code>Bearer TOKEN</code>. A token can
+          never do more than your own account.
+        </p>
+      </div>
+
+      <form
+        className="grid gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4 md:grid-cols-2"
+        onSubmit={handleSubmit}
+      >
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Name</span>
+          <input
+            type="text"
+            value={form.name}
+            maxLength={64}
+            placeholder="e.g. Deploy pipeline"
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Expires (optional)</span>
+          <input
+            type="datetime-local"
+            value={form.expiresAt}
+            onChange={(e) => setForm((prev) => ({ ...prev, expiresAt: e.target.value }))}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <div className="space-y-2 text-sm md:col-span-2">
+          <span className="font-semibold text-slate-200">Scopes</span>
+          <div className="grid gap-2 md:grid-cols-2">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="flex items-start gap-2 text-slate-200">
+                <input
+                  type="checkbox"
+                  className="mt-1 h-4 w-4 accent-sky-400"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => handleToggleScope(scope)}
+                />
+                <span>
+                  <code>{scope}</code>
+                  <span className="block text-xs text-slate-400">
+                    {SCOPE_DESCRIPTIONS[scope] || ""}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            disabled={saving || !form.name.trim() || !form.scopes.length}
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+          >
+            {saving ? "Creating…" : "Create token"}
+          </button>
+        </div>
+      </form>
+
+      {createdToken?.value && (
+        <div className="rounded border border-emerald-500/50 bg-emerald-500/10 p-4 text-sm text-emerald-100">
+          <div>
+            Copy the token for <strong>{createdToken.name}</strong> now. It will not be shown again.
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <code className="break-all font-mono">{createdToken.value}</code>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="rounded border border-slate-700 px-2 py-1 text-xs text-slate-200 hover:border-sky-500"
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-slate-200">
+            {showAll ? "All tokens" : "Your tokens"}
+          </h4>
+          {currentUser?.isAdmin && (
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-sky-400"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+              />
+              Show every user&apos;s tokens
+            </label>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="text-sm text-slate-400">Loading tokens…</div>
+        ) : tokens.length === 0 ? (
+          <div className="rounded border border-dashed border-slate-700 bg-[color:var(--color-surface-2)] p-4 text-sm text-slate-400">
+            No access tokens yet.
+          </div>
+        ) : (
+          tokens.map((token) => {
+            const inactive = Boolean(token.revokedAt) || token.isExpired;
+            return (
+              <div
+                key={token.id}
+                className="flex flex-wrap items-start justify-between gap-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4"
+              >
+                <div className="space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm font-semibold text-slate-100">{token.name}</span>
+                    <code className="text-xs text-slate-400">{token.preview}</code>
+                    {showAll && token.username && (
+                      <span className="text-xs text-slate-400">· {token.username}</span>
+                    )}
+                    {inactive && (
+                      <span className="rounded-full bg-rose-900/40 px-2 py-1 text-[10px] font-semibold uppercase text-rose-200">
+                        {token.revokedAt ? "Revoked" : "Expired"}
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-xs text-slate-400">{token.scopes.join(", ")}</div>
+                  <div className="text-xs text-slate-500">
+                    Created {formatDateTime(token.createdAt)} · Expires{" "}
+                    {formatDateTime(token.expiresAt)} · Last used {formatDateTime(token.lastUsedAt)}
+                    {token.lastUsedIp ? ` from ${token.lastUsedIp}` : ""}
+                  </div>
+                </div>
+                {!token.revokedAt && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(token)}
+                    className="rounded border border-rose-600 px-3 py-1.5 text-sm font-semibold text-rose-200 hover:bg-rose-900/30"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
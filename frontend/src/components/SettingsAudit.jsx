@@ -0,0 +1,340 @@
+import { Fragment, useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { q: "", action: "", targetType: "", from: "", to: "" };
+
+function formatDateTime(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+}
+
+// Date inputs give local calendar days; the "to" day is included in full.
+function buildQuery(filters, extra = {}) {
+  const params = new URLSearchParams();
+  for (const field of ["q", "action", "targetType"]) {
+    if (filters[field]) params.set(field, filters[field]);
+  }
+  if (filters.from) {
+    params.set("from", new Date(`${filters.from}T00:00:00`).toISOString());
+  }
+  if (filters.to) {
+    params.set("to", new Date(`${filters.to}T23:59:59.999`).toISOString());
+  }
+  for (const [key, value] of Object.entries(extra)) {
+    params.set(key, String(value));
+  }
+  return params.toString();
+}
+
+function AuditEventDetails({ event }) {
+  const changes = event.changes ? Object.entries(event.changes) : [];
+  return (
+    <div className="space-y-3 text-xs">
+      {changes.length > 0 && (
+        <table className="w-full table-fixed text-left">
+          <thead className="text-slate-400">
+            <tr>
+              <th className="w-1/5 py-1 pr-2 font-semibold">Field</th>
+              <th className="py-1 pr-2 font-semibold">Before</th>
+              <th className="py-1 font-semibold">After</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono text-slate-200">
+            {changes.map(([field, change]) => (
+              <tr key={field} className="align-top">
+                <td className="py-1 pr-2 text-slate-300">{field}</td>
+                <td className="break-words py-1 pr-2 text-rose-200">{formatValue(change?.before)}</td>
+                <td className="break-words py-1 text-emerald-200">{formatValue(change?.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {event.details && (
+        <pre className="overflow-x-auto whitespace-pre-wrap break-words rounded bg-[color:var(--color-surface-2)] p-2 text-slate-300">
+          {JSON.stringify(event.details, null, 2)}
+        </pre>
+      )}
+      {!changes.length && !event.details && (
+        <p className="text-slate-400">No further details were recorded.</p>
+      )}
+    </div>
+  );
+}
+
+export default function SettingsAudit({ onAuthError }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState([]);
+  const [targetTypes, setTargetTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const { showNotification } = useNotificationDialog();
+
+  const showError = (title, err, fallback) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(err);
+    }
+    showNotification({ title, description: err?.message || fallback, tone: "error" });
+  };
+
+  useEffect(() => {
+    const loadEvents = async () => {
+      setLoading(true);
+      try {
+        const query = buildQuery(appliedFilters, { limit: PAGE_SIZE, offset });
+        const response = await apiRequest(`/api/audit-events?${query}`);
+        setEvents(Array.isArray(response?.events) ? response.events : []);
+        setTotal(Number(response?.total) || 0);
+        setActions(Array.isArray(response?.actions) ? response.actions : []);
+        setTargetTypes(Array.isArray(response?.targetTypes) ? response.targetTypes : []);
+      } catch (err) {
+        showError("Unable to load audit log", err, "Failed to load audit events.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadEvents();
+  }, [appliedFilters, offset]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const updateFilter = (field) => (event) => {
+    setFilters((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setOffset(0);
+    setExpandedId(null);
+    setAppliedFilters({ ...filters });
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setExpandedId(null);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const query = buildQuery(appliedFilters, { format });
+      const response = await apiRequest(`/api/audit-events/export?${query}`, { skipJson: true });
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      link.href = url;
+      link.download = `automn-audit-${timestamp}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      showError("Export failed", err, "Unable to export the audit log.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const pageEnd = Math.min(offset + events.length, total);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-slate-100">Audit log</h3>
+        <p className="text-sm text-slate-400">
+          Every administrative change, who made it and from where. Secrets such as passwords,
+          tokens and secure variable values are never recorded.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSearch}
+        className="flex flex-wrap items-end gap-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4"
+      >
+        <label className="flex min-w-[12rem] flex-1 flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Search</span>
+          <input
+            type="search"
+            value={filters.q}
+            onChange={updateFilter("q")}
+            placeholder="User, target, IP address…"
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Action</span>
+          <select value={filters.action} onChange={updateFilter("action")} className={INPUT_CLASS}>
+            <option value="">All actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Target</span>
+          <select
+            value={filters.targetType}
+            onChange={updateFilter("targetType")}
+            className={INPUT_CLASS}
+          >
+            <option value="">All targets</option>
+            {targetTypes.map((targetType) => (
+              <option key={targetType} value={targetType}>
+                {targetType}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">From</span>
+          <input type="date" value={filters.from} onChange={updateFilter("from")} className={INPUT_CLASS} />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">To</span>
+          <input type="date" value={filters.to} onChange={updateFilter("to")} className={INPUT_CLASS} />
+        </label>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500"
+          >
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={handleReset}
+            className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500"
+          >
+            Reset
+          </button>
+        </div>
+      </form>
+
+      <div className="space-y-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <p className="text-sm text-slate-400">
+            {total === 0 ? "No events" : `Showing ${offset + 1}–${pageEnd} of ${total} events`}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => handleExport("csv")}
+              disabled={exporting || total === 0}
+              className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => handleExport("json")}
+              disabled={exporting || total === 0}
+              className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+            >
+              Export JSON
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Loading audit events…</p>
+        ) : events.length === 0 ? (
+          <p className="text-sm text-slate-400">No audit events match these filters.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-left text-sm">
+              <thead className="text-xs uppercase text-slate-400">
+                <tr>
+                  <th className="px-2 py-2 font-semibold">When</th>
+                  <th className="px-2 py-2 font-semibold">Actor</th>
+                  <th className="px-2 py-2 font-semibold">Action</th>
+                  <th className="px-2 py-2 font-semibold">Target</th>
+                  <th className="px-2 py-2 font-semibold">IP address</th>
+                  <th className="px-2 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[color:var(--color-panel-border)] text-slate-200">
+                {events.map((event) => (
+                  <Fragment key={event.id}>
+                    <tr className="align-top">
+                      <td className="whitespace-nowrap px-2 py-2 text-slate-300">
+                        {formatDateTime(event.createdAt)}
+                      </td>
+                      <td className="px-2 py-2">{event.actor?.username || "System"}</td>
+                      <td className="px-2 py-2 font-mono text-xs">{event.action}</td>
+                      <td className="px-2 py-2">
+                        {event.targetType && (
+                          <span className="text-xs text-slate-400">{event.targetType} </span>
+                        )}
+                        {event.targetLabel || event.targetId || ""}
+                      </td>
+                      <td className="px-2 py-2 text-slate-300">{event.ipAddress || ""}</td>
+                      <td className="px-2 py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setExpandedId(expandedId === event.id ? null : event.id)}
+                          className="rounded border border-slate-700 px-2 py-1 text-xs text-slate-200 hover:border-sky-500"
+                        >
+                          {expandedId === event.id ? "Hide" : "Details"}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === event.id && (
+                      <tr>
+                        <td colSpan={6} className="px-2 pb-3">
+                          <AuditEventDetails event={event} />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {total > PAGE_SIZE && (
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={loading || offset === 0}
+              className="rounded border border-slate-700 px-3 py-1 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={loading || pageEnd >= total}
+              className="rounded border border-slate-700 px-3 py-1 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,515 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+import SettingsLdap from "./SettingsLdap";
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const DEFAULT_FORM_STATE = {
+  enabled: false,
+  issuer: "",
+  clientId: "",
+  clientSecret: "",
+  clearClientSecret: false,
+  redirectUri: "",
+  scopes: "openid profile email",
+  usernameClaim: "preferred_username",
+  groupsClaim: "groups",
+  adminGroups: "",
+  autoProvision: true,
+  buttonLabel: "Sign in with SSO",
+};
+
+const TWO_FACTOR_ENFORCEMENT_OPTIONS = [
+  { value: "off", label: "Optional", description: "People can turn it on from their Security settings." },
+  { value: "admins", label: "Required for administrators", description: "Administrators set it up at their next sign-in." },
+  { value: "all", label: "Required for everyone", description: "Every sign-in, including single sign-on, needs a second factor." },
+];
+
+const LOCKOUT_FIELDS = [
+  {
+    field: "maxAttempts",
+    label: "Failed attempts per account",
+    hint: "Locks the username after this many failures. 0 turns account lockout off.",
+  },
+  { field: "lockoutMinutes", label: "Lockout duration (minutes)" },
+  {
+    field: "ipMaxAttempts",
+    label: "Failed attempts per address",
+    hint: "Blocks a client address after this many failures across all usernames. 0 turns it off.",
+  },
+  { field: "windowMinutes", label: "Counting window (minutes)" },
+];
+
+const DEFAULT_LOCKOUT_STATE = {
+  maxAttempts: 5,
+  lockoutMinutes: 15,
+  ipMaxAttempts: 20,
+  windowMinutes: 15,
+};
+
+const SESSION_FIELDS = [
+  {
+    field: "idleTimeoutMinutes",
+    label: "Idle timeout (minutes)",
+    hint: "Signs a session out after this long without activity.",
+  },
+  {
+    field: "maxLifetimeHours",
+    label: "Maximum session length (hours)",
+    hint: "Signs a session out this long after sign-in, even while it is in use.",
+  },
+];
+
+const DEFAULT_SESSION_STATE = {
+  idleTimeoutMinutes: 10080,
+  maxLifetimeHours: 720,
+};
+
+function toFormState(config) {
+  if (!config) return DEFAULT_FORM_STATE;
+  return {
+    ...DEFAULT_FORM_STATE,
+    ...config,
+    clientSecret: "",
+    clearClientSecret: false,
+    adminGroups: Array.isArray(config.adminGroups) ? config.adminGroups.join(", ") : "",
+  };
+}
+
+export default function SettingsAuthentication({ onAuthError }) {
+  const [form, setForm] = useState(DEFAULT_FORM_STATE);
+  const [hasClientSecret, setHasClientSecret] = useState(false);
+  const [defaultRedirectUri, setDefaultRedirectUri] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [twoFactorEnforcement, setTwoFactorEnforcement] = useState("off");
+  const [savingTwoFactor, setSavingTwoFactor] = useState(false);
+  const [lockout, setLockout] = useState(DEFAULT_LOCKOUT_STATE);
+  const [savingLockout, setSavingLockout] = useState(false);
+  const [sessionSettings, setSessionSettings] = useState(DEFAULT_SESSION_STATE);
+  const [savingSessions, setSavingSessions] = useState(false);
+  const { showNotification } = useNotificationDialog();
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const applyResponse = (response) => {
+    setForm(toFormState(response?.config));
+    setHasClientSecret(Boolean(response?.config?.hasClientSecret));
+    setDefaultRedirectUri(response?.defaultRedirectUri || "");
+  };
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      setLoading(true);
+      try {
+        const [oidcResponse, twoFactorResponse, lockoutResponse, sessionsResponse] =
+          await Promise.all([
+            apiRequest("/api/settings/auth/oidc"),
+            apiRequest("/api/settings/auth/2fa"),
+            apiRequest("/api/settings/auth/lockout"),
+            apiRequest("/api/settings/auth/sessions"),
+          ]);
+        applyResponse(oidcResponse);
+        setTwoFactorEnforcement(twoFactorResponse?.enforcement || "off");
+        setLockout({ ...DEFAULT_LOCKOUT_STATE, ...lockoutResponse?.config });
+        setSessionSettings({ ...DEFAULT_SESSION_STATE, ...sessionsResponse?.config });
+      } catch (err) {
+        handleAuthError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadConfig();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/settings/auth/oidc", {
+        method: "PUT",
+        body: {
+          enabled: form.enabled,
+          issuer: form.issuer,
+          clientId: form.clientId,
+          clientSecret: form.clientSecret,
+          clearClientSecret: form.clearClientSecret,
+          redirectUri: form.redirectUri,
+          scopes: form.scopes,
+          usernameClaim: form.usernameClaim,
+          groupsClaim: form.groupsClaim,
+          adminGroups: form.adminGroups,
+          autoProvision: form.autoProvision,
+          buttonLabel: form.buttonLabel,
+        },
+      });
+      applyResponse(response);
+      showNotification({ title: "Single sign-on settings saved", tone: "success" });
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Save failed",
+        description: err?.message || "Unable to save single sign-on settings.",
+        tone: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (event) => {
+    event.preventDefault();
+    setSavingTwoFactor(true);
+    try {
+      const response = await apiRequest("/api/settings/auth/2fa", {
+        method: "PUT",
+        body: { enforcement: twoFactorEnforcement },
+      });
+      setTwoFactorEnforcement(response?.enforcement || "off");
+      showNotification({ title: "Two-factor settings saved", tone: "success" });
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Save failed",
+        description: err?.message || "Unable to save two-factor settings.",
+        tone: "error",
+      });
+    } finally {
+      setSavingTwoFactor(false);
+    }
+  };
+
+  const handleLockoutSubmit = async (event) => {
+    event.preventDefault();
+    setSavingLockout(true);
+    try {
+      const response = await apiRequest("/api/settings/auth/lockout", {
+        method: "PUT",
+        body: lockout,
+      });
+      setLockout({ ...DEFAULT_LOCKOUT_STATE, ...response?.config });
+      showNotification({ title: "Sign-in protection saved", tone: "success" });
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Save failed",
+        description: err?.message || "Unable to save sign-in protection settings.",
+        tone: "error",
+      });
+    } finally {
+      setSavingLockout(false);
+    }
+  };
+
+  const handleSessionsSubmit = async (event) => {
+    event.preventDefault();
+    setSavingSessions(true);
+    try {
+      const response = await apiRequest("/api/settings/auth/sessions", {
+        method: "PUT",
+        body: sessionSettings,
+      });
+      setSessionSettings({ ...DEFAULT_SESSION_STATE, ...response?.config });
+      showNotification({ title: "Session settings saved", tone: "success" });
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Save failed",
+        description: err?.message || "Unable to save session settings.",
+        tone: "error",
+      });
+    } finally {
+      setSavingSessions(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-sm text-slate-400">Loading authentication settings…</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-slate-100">Authentication</h3>
+        <p className="text-sm text-slate-400">
+          Let people sign in with your identity provider or directory. Accounts are created on
+          first sign-in. Local accounts with a password keep signing in locally, so an
+          administrator can still get in if the provider is unavailable.
+        </p>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-slate-200">Two-factor authentication</h4>
+        <p className="text-sm text-slate-400">
+          Authenticator app codes for password and directory sign-ins. Single sign-on users rely on
+          their identity provider instead.
+        </p>
+      </div>
+
+      <form
+        className="flex flex-wrap items-end gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4"
+        onSubmit={handleTwoFactorSubmit}
+      >
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Policy</span>
+          <select
+            value={twoFactorEnforcement}
+            onChange={(e) => setTwoFactorEnforcement(e.target.value)}
+            className={INPUT_CLASS}
+          >
+            {TWO_FACTOR_ENFORCEMENT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          disabled={savingTwoFactor}
+          className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+        >
+          {savingTwoFactor ? "Saving…" : "Save policy"}
+        </button>
+        <p className="w-full text-xs text-slate-400">
+          {
+            TWO_FACTOR_ENFORCEMENT_OPTIONS.find((option) => option.value === twoFactorEnforcement)
+              ?.description
+          }
+        </p>
+      </form>
+
+      <div>
+        <h4 className="text-sm font-semibold text-slate-200">Sign-in protection</h4>
+        <p className="text-sm text-slate-400">
+          Slows down password guessing. Locked accounts unlock on their own when the lockout ends,
+          or an administrator can unlock them from the Users tab.
+        </p>
+      </div>
+
+      <form
+        className="grid gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4 md:grid-cols-2"
+        onSubmit={handleLockoutSubmit}
+      >
+        {LOCKOUT_FIELDS.map(({ field, label, hint }) => (
+          <label key={field} className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">{label}</span>
+            <input
+              type="number"
+              min={0}
+              value={lockout[field]}
+              onChange={(e) => setLockout((prev) => ({ ...prev, [field]: e.target.value }))}
+              className={INPUT_CLASS}
+            />
+            {hint && <span className="text-xs text-slate-400">{hint}</span>}
+          </label>
+        ))}
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            disabled={savingLockout}
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+          >
+            {savingLockout ? "Saving…" : "Save protection settings"}
+          </button>
+        </div>
+      </form>
+
+      <div>
+        <h4 className="text-sm font-semibold text-slate-200">Sessions</h4>
+        <p className="text-sm text-slate-400">
+          Each request pushes the idle timeout back. Shorter limits apply to existing sessions the
+          next time they are used.
+        </p>
+      </div>
+
+      <form
+        className="grid gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4 md:grid-cols-2"
+        onSubmit={handleSessionsSubmit}
+      >
+        {SESSION_FIELDS.map(({ field, label, hint }) => (
+          <label key={field} className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">{label}</span>
+            <input
+              type="number"
+              min={1}
+              value={sessionSettings[field]}
+              onChange={(e) =>
+                setSessionSettings((prev) => ({ ...prev, [field]: e.target.value }))
+              }
+              className={INPUT_CLASS}
+            />
+            <span className="text-xs text-slate-400">{hint}</span>
+          </label>
+        ))}
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            disabled={savingSessions}
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+          >
+            {savingSessions ? "Saving…" : "Save session settings"}
+          </button>
+        </div>
+      </form>
+
+      <div>
+        <h4 className="text-sm font-semibold text-slate-200">OpenID Connect</h4>
+        <p className="text-sm text-slate-400">
+          Adds a single sign-on button to the login page. Accounts are linked to the
+          provider&apos;s subject, not the username.
+        </p>
+      </div>
+
+      <form
+        className="grid gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4 md:grid-cols-2"
+        onSubmit={handleSubmit}
+      >
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-200 md:col-span-2">
+          <input
+            type="checkbox"
+            className="h-4 w-4 accent-sky-400"
+            checked={form.enabled}
+            onChange={(e) => updateField("enabled", e.target.checked)}
+          />
+          Enable OpenID Connect sign-in
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Issuer URL</span>
+          <input
+            type="url"
+            value={form.issuer}
+            placeholder="https://login.example.com/realms/automn"
+            onChange={(e) => updateField("issuer", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Client ID</span>
+          <input
+            type="text"
+            value={form.clientId}
+            onChange={(e) => updateField("clientId", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Client secret</span>
+          <input
+            type="password"
+            value={form.clientSecret}
+            placeholder={hasClientSecret ? "Stored (leave blank to keep)" : "None (public client)"}
+            autoComplete="new-password"
+            onChange={(e) => updateField("clientSecret", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          {hasClientSecret && (
+            <span className="flex items-center gap-2 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-sky-400"
+                checked={form.clearClientSecret}
+                onChange={(e) => updateField("clearClientSecret", e.target.checked)}
+              />
+              Remove the stored secret
+            </span>
+          )}
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Redirect URI (optional)</span>
+          <input
+            type="url"
+            value={form.redirectUri}
+            placeholder={defaultRedirectUri}
+            onChange={(e) => updateField("redirectUri", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <span className="text-xs text-slate-400">
+            Register this URL with the provider. Set it explicitly when Automn runs behind a proxy.
+          </span>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Scopes</span>
+          <input
+            type="text"
+            value={form.scopes}
+            onChange={(e) => updateField("scopes", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Button label</span>
+          <input
+            type="text"
+            value={form.buttonLabel}
+            onChange={(e) => updateField("buttonLabel", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Username claim</span>
+          <input
+            type="text"
+            value={form.usernameClaim}
+            onChange={(e) => updateField("usernameClaim", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Groups claim</span>
+          <input
+            type="text"
+            value={form.groupsClaim}
+            placeholder="groups or realm_access.roles"
+            onChange={(e) => updateField("groupsClaim", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2 md:col-span-2">
+          <span className="text-sm font-semibold text-slate-200">Administrator groups</span>
+          <input
+            type="text"
+            value={form.adminGroups}
+            placeholder="automn-admins, platform"
+            onChange={(e) => updateField("adminGroups", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <span className="text-xs text-slate-400">
+            Comma separated. When set, single sign-on users become administrators only while the
+            groups claim contains one of these groups. Leave empty to manage administrators by hand.
+          </span>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-slate-200 md:col-span-2">
+          <input
+            type="checkbox"
+            className="h-4 w-4 accent-sky-400"
+            checked={form.autoProvision}
+            onChange={(e) => updateField("autoProvision", e.target.checked)}
+          />
+          Create accounts automatically on first sign-in
+        </label>
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+          >
+            {saving ? "Saving…" : "Save settings"}
+          </button>
+        </div>
+      </form>
+
+      <SettingsLdap onAuthError={onAuthError} />
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { apiRequest } from "../utils/api";
+import {
+  normalizeGroupPermission,
+  sortGroupPermissions,
+  toGroupPermissionPayload,
+} from "../utils/groupPermissions";
 import { useNotificationDialog } from "./NotificationDialogProvider";
 import CategoryVariablesManager from "./CategoryVariablesManager";
+import GroupPermissionsEditor from "./GroupPermissionsEditor";
+import FallbackRunnerFields from "./FallbackRunnerFields";
 
 const DEFAULT_COLLECTION_ID = "category-general";
 const DEFAULT_CATEGORY_ID = DEFAULT_COLLECTION_ID;
@@ -23,6 +30,12 @@ const normalizeCategory = (entry) => ({
   scriptCount: Number(entry.scriptCount) || 0,
   defaultRunnerHostId: entry.defaultRunnerHostId || "",
   defaultRunner: entry.defaultRunner || null,
+  defaultRunnerSelector: Array.isArray(entry.defaultRunnerSelector)
+    ? entry.defaultRunnerSelector
+    : [],
+  defaultFallbackRunnerHostIds: Array.isArray(entry.defaultFallbackRunnerHostIds)
+    ? entry.defaultFallbackRunnerHostIds
+    : [],
 });
 
 const normalizePermission = (entry) => ({
@@ -34,8 +47,18 @@ const normalizePermission = (entry) => ({
   canDelete: Boolean(entry.canDelete),
   canRun: Boolean(entry.canRun),
   canClearLogs: Boolean(entry.canClearLogs),
+  roleId: entry.roleId || null,
+  roleName: entry.roleName || null,
 });
 
+const ROLE_PERMISSION_KEYS = {
+  canRead: "read",
+  canWrite: "write",
+  canDelete: "delete",
+  canClearLogs: "clearLogs",
+  canRun: "run",
+};
+
 const sortCategories = (items) => {
   return [...items].sort((a, b) => {
     if (a.isSystem && !b.isSystem) return -1;
@@ -64,6 +87,8 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
     description: "",
     defaultLanguage: "",
     defaultRunnerHostId: "",
+    defaultRunnerSelector: "",
+    defaultFallbackRunnerHostIds: [],
   });
   const [createError, setCreateError] = useState("");
   const [createStatus, setCreateStatus] = useState("");
@@ -77,6 +102,8 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
     defaultLanguage: "",
     isSystem: false,
     defaultRunnerHostId: "",
+    defaultRunnerSelector: "",
+    defaultFallbackRunnerHostIds: [],
   });
   const [editError, setEditError] = useState("");
   const [editStatus, setEditStatus] = useState("");
@@ -85,6 +112,9 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
 
   const [permissions, setPermissions] = useState([]);
   const [availableUsers, setAvailableUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [groupPermissions, setGroupPermissions] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [selectedUserId, setSelectedUserId] = useState("");
   const [permissionsError, setPermissionsError] = useState("");
   const [permissionsStatus, setPermissionsStatus] = useState("");
@@ -199,6 +229,12 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
     loadRunnerOptions();
   }, [loadRunnerOptions]);
 
+  useEffect(() => {
+    apiRequest("/api/roles")
+      .then((data) => setRoles(Array.isArray(data?.roles) ? data.roles : []))
+      .catch((err) => console.error("Failed to load roles", err));
+  }, []);
+
   useEffect(() => {
     if (!selectedCategory) {
       setEditForm({
@@ -207,9 +243,12 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
         defaultLanguage: "",
         isSystem: false,
         defaultRunnerHostId: "",
+        defaultRunnerSelector: "",
+        defaultFallbackRunnerHostIds: [],
       });
       setPermissions([]);
       setAvailableUsers([]);
+      setGroupPermissions([]);
       setPermissionsError("");
       setPermissionsStatus("");
       return;
@@ -221,12 +260,15 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
       defaultLanguage: selectedCategory.defaultLanguage || "",
       isSystem: selectedCategory.isSystem,
       defaultRunnerHostId: selectedCategory.defaultRunnerHostId || "",
+      defaultRunnerSelector: selectedCategory.defaultRunnerSelector.join(", "),
+      defaultFallbackRunnerHostIds: selectedCategory.defaultFallbackRunnerHostIds,
     });
     setEditError("");
     setEditStatus("");
     if (selectedCategory.isSystem) {
       setPermissions([]);
       setAvailableUsers([]);
+      setGroupPermissions([]);
       setSelectedUserId("");
       setPermissionsError("");
       setPermissionsStatus("");
@@ -241,6 +283,7 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
     if (!categoryId) {
       setPermissions([]);
       setAvailableUsers([]);
+      setGroupPermissions([]);
       return;
     }
 
@@ -265,6 +308,14 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
         : [];
 
       setPermissions(normalizedPermissions);
+      setGroupPermissions(
+        Array.isArray(payload?.groupPermissions)
+          ? sortGroupPermissions(
+            payload.groupPermissions.map(normalizeGroupPermission).filter(Boolean),
+          )
+          : [],
+      );
+      setGroups(Array.isArray(payload?.groups) ? payload.groups : []);
       setAvailableUsers(
         normalizedUsers.filter(
           (user) => !normalizedPermissions.some((perm) => perm.userId === user.id),
@@ -305,6 +356,12 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
           description: createForm.description.trim(),
           defaultLanguage: createForm.defaultLanguage,
           defaultRunnerHostId: createForm.defaultRunnerHostId || null,
+          defaultRunnerSelector: createForm.defaultRunnerHostId
+            ? []
+            : createForm.defaultRunnerSelector,
+          defaultFallbackRunnerHostIds: createForm.defaultRunnerHostId
+            ? createForm.defaultFallbackRunnerHostIds
+            : [],
         },
       });
 
@@ -314,6 +371,8 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
         description: "",
         defaultLanguage: "",
         defaultRunnerHostId: "",
+        defaultRunnerSelector: "",
+        defaultFallbackRunnerHostIds: [],
       });
       await loadCategories();
       notifyCategoryChange();
@@ -337,6 +396,8 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
       description: "",
       defaultLanguage: "",
       defaultRunnerHostId: "",
+      defaultRunnerSelector: "",
+      defaultFallbackRunnerHostIds: [],
     });
   };
 
@@ -365,6 +426,12 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
           description: editForm.description.trim(),
           defaultLanguage: editForm.defaultLanguage,
           defaultRunnerHostId: editForm.defaultRunnerHostId || null,
+          defaultRunnerSelector: editForm.defaultRunnerHostId
+            ? []
+            : editForm.defaultRunnerSelector,
+          defaultFallbackRunnerHostIds: editForm.defaultRunnerHostId
+            ? editForm.defaultFallbackRunnerHostIds
+            : [],
         },
       });
 
@@ -447,6 +514,18 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
     );
   };
 
+  const handlePermissionRoleChange = (userId, roleId) => {
+    if (selectedCategory?.isSystem) return;
+    const role = roles.find((candidate) => candidate.id === roleId) || null;
+    setPermissions((prev) =>
+      prev.map((entry) =>
+        entry.userId === userId
+          ? { ...entry, roleId: role?.id || null, roleName: role?.name || null }
+          : entry,
+      ),
+    );
+  };
+
   const handlePermissionRemove = (userId) => {
     if (selectedCategory?.isSystem) return;
     setPermissions((prev) => prev.filter((entry) => entry.userId !== userId));
@@ -503,12 +582,14 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
       const payload = {
         permissions: permissions.map((entry) => ({
           userId: entry.userId,
+          roleId: entry.roleId,
           canRead: entry.canRead,
           canWrite: entry.canWrite,
           canDelete: entry.canDelete,
           canRun: entry.canRun,
           canClearLogs: entry.canClearLogs,
         })),
+        groupPermissions: toGroupPermissionPayload(groupPermissions),
       };
 
       const response = await apiRequest(
@@ -523,6 +604,13 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
         ? sortUsersByName(response.permissions.map(normalizePermission))
         : [];
       setPermissions(normalizedPermissions);
+      if (Array.isArray(response?.groupPermissions)) {
+        setGroupPermissions(
+          sortGroupPermissions(
+            response.groupPermissions.map(normalizeGroupPermission).filter(Boolean),
+          ),
+        );
+      }
 
       setAvailableUsers((prev) =>
         sortUsersByName(
@@ -672,6 +760,45 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                 </div>
               )}
             </label>
+            {createForm.defaultRunnerHostId && (
+              <div className="text-sm text-slate-300">
+                <span className="mb-1 block text-slate-400">Fallback runners</span>
+                <FallbackRunnerFields
+                  value={createForm.defaultFallbackRunnerHostIds}
+                  onChange={(next) => {
+                    setCreateForm((prev) => ({ ...prev, defaultFallbackRunnerHostIds: next }));
+                    setCreateError("");
+                    setCreateStatus("");
+                  }}
+                  runners={runnerOptions}
+                  primaryRunnerId={createForm.defaultRunnerHostId}
+                  selectClassName="w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+                />
+                <span className="mt-1 block text-xs text-slate-500">
+                  Tried in order when the default runner is offline or refuses a run.
+                </span>
+              </div>
+            )}
+            <label className="block text-sm text-slate-300">
+              <span className="block text-slate-400">Default runner labels</span>
+              <input
+                className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70 disabled:opacity-60"
+                value={createForm.defaultRunnerSelector}
+                onChange={(event) => {
+                  setCreateForm((prev) => ({
+                    ...prev,
+                    defaultRunnerSelector: event.target.value,
+                  }));
+                  setCreateError("");
+                  setCreateStatus("");
+                }}
+                disabled={Boolean(createForm.defaultRunnerHostId)}
+                placeholder="os=linux, python3.12"
+              />
+              <span className="mt-1 block text-xs text-slate-500">
+                Without a default runner, inheriting scripts run on any runner carrying all of these labels.
+              </span>
+            </label>
             {createError && (
               <p className="rounded border border-rose-500/40 bg-rose-500/10 px-3 py-2 text-sm text-rose-200">
                 {createError}
@@ -799,6 +926,15 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                             selectedCategory.defaultRunnerHostId}
                         </div>
                       </div>
+                    ) : selectedCategory.defaultRunnerSelector.length > 0 ? (
+                      <div className="rounded border border-slate-800 bg-slate-900/60 p-3 sm:col-span-2">
+                        <div className="text-xs uppercase tracking-wide text-slate-400">
+                          Default runner labels
+                        </div>
+                        <div className="mt-1 text-slate-100">
+                          {selectedCategory.defaultRunnerSelector.join(", ")}
+                        </div>
+                      </div>
                     ) : null}
                   </div>
                   <CategoryVariablesManager
@@ -911,6 +1047,50 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                         </div>
                       )}
                     </label>
+                    {editForm.defaultRunnerHostId && (
+                      <div className="text-sm text-slate-300">
+                        <span className="mb-1 block text-slate-400">Fallback runners</span>
+                        <FallbackRunnerFields
+                          value={editForm.defaultFallbackRunnerHostIds}
+                          onChange={(next) => {
+                            setEditForm((prev) => ({ ...prev, defaultFallbackRunnerHostIds: next }));
+                            setEditError("");
+                            setEditStatus("");
+                          }}
+                          runners={mergedRunnerOptions}
+                          primaryRunnerId={editForm.defaultRunnerHostId}
+                          disabled={isSavingEdit || editForm.isSystem}
+                          selectClassName="w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70 disabled:opacity-60"
+                        />
+                        <span className="mt-1 block text-xs text-slate-500">
+                          Tried in order when the default runner is offline or refuses a run.
+                        </span>
+                      </div>
+                    )}
+                    <label className="block text-sm text-slate-300">
+                      <span className="block text-slate-400">Default runner labels</span>
+                      <input
+                        className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70 disabled:opacity-60"
+                        value={editForm.defaultRunnerSelector}
+                        onChange={(event) => {
+                          setEditForm((prev) => ({
+                            ...prev,
+                            defaultRunnerSelector: event.target.value,
+                          }));
+                          setEditError("");
+                          setEditStatus("");
+                        }}
+                        disabled={
+                          isSavingEdit ||
+                          editForm.isSystem ||
+                          Boolean(editForm.defaultRunnerHostId)
+                        }
+                        placeholder="os=linux, python3.12"
+                      />
+                      <span className="mt-1 block text-xs text-slate-500">
+                        Without a default runner, inheriting scripts run on any runner carrying all of these labels.
+                      </span>
+                    </label>
                     {editError && (
                       <p className="rounded border border-rose-500/40 bg-rose-500/10 px-3 py-2 text-sm text-rose-200">
                         {editError}
@@ -1004,6 +1184,7 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                             <thead>
                               <tr className="text-left text-xs uppercase tracking-wide text-slate-400">
                                 <th className="px-3 py-2">User</th>
+                                <th className="px-3 py-2">Role</th>
                                 <th className="px-3 py-2">Read</th>
                                 <th className="px-3 py-2">Write</th>
                                 <th className="px-3 py-2">Delete</th>
@@ -1014,40 +1195,71 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                             </thead>
                             <tbody className="divide-y divide-slate-800">
                               {permissions.length ? (
-                                permissions.map((entry) => (
-                                  <tr key={entry.userId} className="text-slate-200">
-                                    <td className="px-3 py-2">
-                                      <div className="font-semibold">{entry.username}</div>
-                                      {entry.isAdmin && (
-                                        <div className="text-xs text-slate-400">Administrator</div>
-                                      )}
-                                    </td>
-                                    {["canRead", "canWrite", "canDelete", "canClearLogs", "canRun"].map((field) => (
-                                      <td key={field} className="px-3 py-2">
-                                        <input
-                                          type="checkbox"
-                                          className="h-4 w-4 accent-sky-400"
-                                          checked={Boolean(entry[field])}
-                                          onChange={() => handlePermissionToggle(entry.userId, field)}
+                                permissions.map((entry) => {
+                                  const role = entry.roleId
+                                    ? roles.find((candidate) => candidate.id === entry.roleId)
+                                    : null;
+                                  return (
+                                    <tr key={entry.userId} className="text-slate-200">
+                                      <td className="px-3 py-2">
+                                        <div className="font-semibold">{entry.username}</div>
+                                        {entry.isAdmin && (
+                                          <div className="text-xs text-slate-400">Administrator</div>
+                                        )}
+                                      </td>
+                                      <td className="px-3 py-2">
+                                        <select
+                                          value={entry.roleId || ""}
+                                          onChange={(event) =>
+                                            handlePermissionRoleChange(entry.userId, event.target.value)
+                                          }
+                                          disabled={isSavingPermissions}
+                                          className="rounded border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+                                        >
+                                          <option value="">Custom</option>
+                                          {entry.roleId && !role && (
+                                            <option value={entry.roleId}>
+                                              {entry.roleName || "Unknown role"}
+                                            </option>
+                                          )}
+                                          {roles.map((candidate) => (
+                                            <option key={candidate.id} value={candidate.id}>
+                                              {candidate.name}
+                                            </option>
+                                          ))}
+                                        </select>
+                                      </td>
+                                      {["canRead", "canWrite", "canDelete", "canClearLogs", "canRun"].map((field) => (
+                                        <td key={field} className="px-3 py-2">
+                                          <input
+                                            type="checkbox"
+                                            className="h-4 w-4 accent-sky-400"
+                                            checked={
+                                              role
+                                                ? Boolean(role.permissions?.[ROLE_PERMISSION_KEYS[field]])
+                                                : Boolean(entry[field])
+                                            }
+                                            onChange={() => handlePermissionToggle(entry.userId, field)}
+                                            disabled={isSavingPermissions || Boolean(entry.roleId)}
+                                          />
+                                        </td>
+                                      ))}
+                                      <td className="px-3 py-2 text-right">
+                                        <button
+                                          type="button"
+                                          onClick={() => handlePermissionRemove(entry.userId)}
                                           disabled={isSavingPermissions}
-                                        />
+                                          className="rounded border border-rose-500/40 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition-colors hover:bg-rose-500/10 disabled:cursor-not-allowed disabled:opacity-60"
+                                        >
+                                          Remove
+                                        </button>
                                       </td>
-                                    ))}
-                                    <td className="px-3 py-2 text-right">
-                                      <button
-                                        type="button"
-                                        onClick={() => handlePermissionRemove(entry.userId)}
-                                        disabled={isSavingPermissions}
-                                        className="rounded border border-rose-500/40 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition-colors hover:bg-rose-500/10 disabled:cursor-not-allowed disabled:opacity-60"
-                                      >
-                                        Remove
-                                      </button>
-                                    </td>
-                                  </tr>
-                                ))
+                                    </tr>
+                                  );
+                                })
                               ) : (
                                 <tr>
-                                  <td colSpan={6} className="px-3 py-4 text-center text-slate-400">
+                                  <td colSpan={8} className="px-3 py-4 text-center text-slate-400">
                                     No delegated users yet.
                                   </td>
                                 </tr>
@@ -1056,6 +1268,17 @@ export default function SettingsCategories({ onAuthError, onCategoryChange }) {
                           </table>
                         </div>
 
+                        <div className="space-y-2">
+                          <span className="text-sm font-semibold text-slate-200">Group access</span>
+                          <GroupPermissionsEditor
+                            entries={groupPermissions}
+                            groups={groups}
+                            roles={roles}
+                            onChange={setGroupPermissions}
+                            disabled={isSavingPermissions}
+                          />
+                        </div>
+
                         <div className="flex justify-end">
                           <button
                             type="button"
@@ -0,0 +1,269 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const initialGroupForm = {
+  id: null,
+  name: "",
+  description: "",
+  memberIds: [],
+};
+
+export default function SettingsGroups({ users, onAuthError }) {
+  const { confirm } = useNotificationDialog();
+  const [groups, setGroups] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [form, setForm] = useState(initialGroupForm);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleApiError = (err, fallback) => {
+    if (onAuthError && (err.status === 401 || err.status === 403)) {
+      onAuthError(err);
+    } else {
+      setError(err?.data?.error || err.message || fallback);
+    }
+  };
+
+  const loadGroups = async () => {
+    setIsLoading(true);
+    try {
+      const data = await apiRequest("/api/groups");
+      setGroups(Array.isArray(data?.groups) ? data.groups : []);
+    } catch (err) {
+      handleApiError(err, "Failed to load groups");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadGroups();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const openForm = (group = null) => {
+    setError("");
+    setForm(
+      group
+        ? {
+            id: group.id,
+            name: group.name,
+            description: group.description || "",
+            memberIds: group.members.map((member) => member.id),
+          }
+        : initialGroupForm,
+    );
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setForm(initialGroupForm);
+    setIsFormOpen(false);
+  };
+
+  const handleToggleMember = (userId) => {
+    setForm((prev) => ({
+      ...prev,
+      memberIds: prev.memberIds.includes(userId)
+        ? prev.memberIds.filter((id) => id !== userId)
+        : [...prev.memberIds, userId],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSubmitting) return;
+
+    const name = form.name.trim();
+    if (!name) {
+      setError("Group name is required.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+    try {
+      await apiRequest(form.id ? `/api/groups/${form.id}` : "/api/groups", {
+        method: form.id ? "PATCH" : "POST",
+        body: {
+          name,
+          description: form.description.trim(),
+          memberIds: form.memberIds,
+        },
+      });
+      closeForm();
+      await loadGroups();
+    } catch (err) {
+      handleApiError(err, "Failed to save group");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (group) => {
+    const confirmed = await confirm({
+      title: `Delete group "${group.name}"?`,
+      message: "Members keep their own access, but lose everything granted through this group.",
+      tone: "danger",
+      confirmLabel: "Delete group",
+    });
+    if (!confirmed) return;
+
+    try {
+      setError("");
+      await apiRequest(`/api/groups/${group.id}`, { method: "DELETE" });
+      await loadGroups();
+    } catch (err) {
+      handleApiError(err, "Failed to delete group");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h4 className="text-sm font-semibold uppercase tracking-wide text-slate-400">Groups</h4>
+          <p className="mt-1 text-sm text-slate-400">
+            Grant script and collection access to a group once instead of to each member. Scripts
+            can notify a group with the audience <code>group:&lt;name&gt;</code>.
+          </p>
+        </div>
+        {!isFormOpen && (
+          <button
+            type="button"
+            onClick={() => openForm()}
+            className="rounded border border-slate-700 px-3 py-1.5 text-xs font-semibold uppercase tracking-wide text-slate-300 transition hover:bg-slate-800"
+          >
+            + Add group
+          </button>
+        )}
+      </div>
+
+      {isFormOpen && (
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-4 rounded border border-slate-800 bg-slate-900/40 p-4"
+        >
+          <div className="grid gap-4 md:grid-cols-2">
+            <label className="text-sm font-medium text-slate-200">
+              Name
+              <input
+                className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+                value={form.name}
+                maxLength={64}
+                onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+                autoComplete="off"
+                required
+              />
+            </label>
+            <label className="text-sm font-medium text-slate-200">
+              Description
+              <input
+                className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+                value={form.description}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, description: event.target.value }))
+                }
+                autoComplete="off"
+              />
+            </label>
+          </div>
+          <div className="space-y-2">
+            <span className="text-sm font-medium text-slate-200">Members</span>
+            {users.length ? (
+              <div className="grid gap-2 text-sm text-slate-200 sm:grid-cols-2 md:grid-cols-3">
+                {users.map((user) => (
+                  <label key={user.id} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={form.memberIds.includes(user.id)}
+                      onChange={() => handleToggleMember(user.id)}
+                      className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-sky-500 focus:ring-sky-500"
+                    />
+                    <span>{user.username}</span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-slate-400">No users available.</p>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="rounded border border-sky-500/60 bg-sky-500/10 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-sky-300 transition disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {isSubmitting ? "Saving..." : form.id ? "Save group" : "Create group"}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              disabled={isSubmitting}
+              className="rounded border border-slate-700 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-slate-300 transition hover:bg-slate-800 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="overflow-hidden rounded border border-slate-800">
+        <table className="min-w-full divide-y divide-slate-800 text-sm">
+          <thead className="bg-slate-900/60 text-xs uppercase tracking-wide text-slate-400">
+            <tr>
+              <th className="px-4 py-2 text-left">Group</th>
+              <th className="px-4 py-2 text-left">Members</th>
+              <th className="px-4 py-2" aria-label="actions" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800 bg-slate-900/30 text-slate-200">
+            {groups.map((group) => (
+              <tr key={group.id}>
+                <td className="px-4 py-2">
+                  <div className="font-medium text-slate-100">{group.name}</div>
+                  {group.description && (
+                    <div className="text-xs text-slate-400">{group.description}</div>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-slate-300">
+                  {group.members.length
+                    ? group.members.map((member) => member.username).join(", ")
+                    : "—"}
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => openForm(group)}
+                      className="rounded border border-slate-700 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-200 transition hover:bg-slate-800"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(group)}
+                      className="button-danger rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {!groups.length && (
+              <tr>
+                <td className="px-4 py-6 text-center text-sm text-slate-400" colSpan={3}>
+                  {isLoading ? "Loading groups…" : "No groups defined."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,403 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const DEFAULT_FORM_STATE = {
+  enabled: false,
+  url: "",
+  startTls: false,
+  tlsVerify: true,
+  tlsCaCertificate: "",
+  bindDn: "",
+  bindPassword: "",
+  clearBindPassword: false,
+  searchBase: "",
+  userFilter: "(uid={{username}})",
+  usernameAttribute: "uid",
+  groupSearchBase: "",
+  groupFilter: "",
+  adminGroups: "",
+  autoProvision: true,
+  timeoutSeconds: 10,
+};
+
+const DEFAULT_TEST_STATE = { username: "", password: "" };
+
+function toFormState(config) {
+  if (!config) return DEFAULT_FORM_STATE;
+  return {
+    ...DEFAULT_FORM_STATE,
+    ...config,
+    bindPassword: "",
+    clearBindPassword: false,
+    adminGroups: Array.isArray(config.adminGroups) ? config.adminGroups.join(", ") : "",
+  };
+}
+
+function describeTestResult(result) {
+  if (!result.found) {
+    return "No directory entry matched the user filter.";
+  }
+  const parts = [`Found ${result.dn}`];
+  if (result.disabled) {
+    parts.push("the account is disabled in the directory");
+  } else if (result.passwordChecked) {
+    parts.push(result.authenticated ? "password accepted" : "password rejected");
+  }
+  if (result.isAdmin !== null) {
+    parts.push(result.isAdmin ? "signs in as administrator" : "signs in as a regular user");
+  }
+  return parts.join(" — ");
+}
+
+export default function SettingsLdap({ onAuthError }) {
+  const [form, setForm] = useState(DEFAULT_FORM_STATE);
+  const [hasBindPassword, setHasBindPassword] = useState(false);
+  const [testForm, setTestForm] = useState(DEFAULT_TEST_STATE);
+  const [testResult, setTestResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const { showNotification } = useNotificationDialog();
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const applyResponse = (response) => {
+    setForm(toFormState(response?.config));
+    setHasBindPassword(Boolean(response?.config?.hasBindPassword));
+  };
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      setLoading(true);
+      try {
+        applyResponse(await apiRequest("/api/settings/auth/ldap"));
+      } catch (err) {
+        handleAuthError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadConfig();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const buildPayload = () => ({
+    enabled: form.enabled,
+    url: form.url,
+    startTls: form.startTls,
+    tlsVerify: form.tlsVerify,
+    tlsCaCertificate: form.tlsCaCertificate,
+    bindDn: form.bindDn,
+    bindPassword: form.bindPassword,
+    clearBindPassword: form.clearBindPassword,
+    searchBase: form.searchBase,
+    userFilter: form.userFilter,
+    usernameAttribute: form.usernameAttribute,
+    groupSearchBase: form.groupSearchBase,
+    groupFilter: form.groupFilter,
+    adminGroups: form.adminGroups,
+    autoProvision: form.autoProvision,
+    timeoutSeconds: Number(form.timeoutSeconds),
+  });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/settings/auth/ldap", {
+        method: "PUT",
+        body: buildPayload(),
+      });
+      applyResponse(response);
+      showNotification({ title: "LDAP settings saved", tone: "success" });
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Save failed",
+        description: err?.message || "Unable to save LDAP settings.",
+        tone: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    setTestResult(null);
+    try {
+      const response = await apiRequest("/api/settings/auth/ldap/test", {
+        method: "POST",
+        body: {
+          username: testForm.username,
+          password: testForm.password,
+          config: buildPayload(),
+        },
+      });
+      setTestResult({ tone: "success", message: describeTestResult(response) });
+    } catch (err) {
+      handleAuthError(err);
+      setTestResult({ tone: "error", message: err?.message || "LDAP test failed." });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-sm text-slate-400">Loading LDAP settings…</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="text-sm font-semibold text-slate-200">LDAP / Active Directory</h4>
+        <p className="text-sm text-slate-400">
+          Checks passwords typed on the login page against the directory. A directory user who is
+          disabled or removed there is disabled here on their next sign-in attempt.
+        </p>
+      </div>
+
+      <form
+        className="grid gap-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4 md:grid-cols-2"
+        onSubmit={handleSubmit}
+      >
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-200 md:col-span-2">
+          <input
+            type="checkbox"
+            className="h-4 w-4 accent-sky-400"
+            checked={form.enabled}
+            onChange={(e) => updateField("enabled", e.target.checked)}
+          />
+          Enable LDAP sign-in
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Server URL</span>
+          <input
+            type="text"
+            value={form.url}
+            placeholder="ldaps://dc01.corp.example.com"
+            onChange={(e) => updateField("url", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Timeout (seconds)</span>
+          <input
+            type="number"
+            min={1}
+            max={60}
+            value={form.timeoutSeconds}
+            onChange={(e) => updateField("timeoutSeconds", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <div className="flex flex-wrap gap-4 text-sm text-slate-200 md:col-span-2">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="h-4 w-4 accent-sky-400"
+              checked={form.startTls}
+              onChange={(e) => updateField("startTls", e.target.checked)}
+            />
+            Use StartTLS on ldap:// connections
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="h-4 w-4 accent-sky-400"
+              checked={form.tlsVerify}
+              onChange={(e) => updateField("tlsVerify", e.target.checked)}
+            />
+            Verify the server certificate
+          </label>
+        </div>
+        <label className="flex flex-col gap-2 md:col-span-2">
+          <span className="text-sm font-semibold text-slate-200">CA certificate (optional)</span>
+          <textarea
+            rows={3}
+            value={form.tlsCaCertificate}
+            placeholder="-----BEGIN CERTIFICATE-----"
+            onChange={(e) => updateField("tlsCaCertificate", e.target.value)}
+            className={`${INPUT_CLASS} font-mono`}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Bind DN</span>
+          <input
+            type="text"
+            value={form.bindDn}
+            placeholder="Leave empty to search anonymously"
+            onChange={(e) => updateField("bindDn", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Bind password</span>
+          <input
+            type="password"
+            value={form.bindPassword}
+            placeholder={hasBindPassword ? "Stored (leave blank to keep)" : ""}
+            autoComplete="new-password"
+            onChange={(e) => updateField("bindPassword", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          {hasBindPassword && (
+            <span className="flex items-center gap-2 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-sky-400"
+                checked={form.clearBindPassword}
+                onChange={(e) => updateField("clearBindPassword", e.target.checked)}
+              />
+              Remove the stored password
+            </span>
+          )}
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">User search base</span>
+          <input
+            type="text"
+            value={form.searchBase}
+            placeholder="ou=people,dc=example,dc=com"
+            onChange={(e) => updateField("searchBase", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">User filter</span>
+          <input
+            type="text"
+            value={form.userFilter}
+            onChange={(e) => updateField("userFilter", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <span className="text-xs text-slate-400">
+            <code>{"{{username}}"}</code> is replaced with the escaped login name. Active Directory
+            usually uses <code>{"(sAMAccountName={{username}})"}</code>.
+          </span>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Username attribute</span>
+          <input
+            type="text"
+            value={form.usernameAttribute}
+            placeholder="uid or sAMAccountName"
+            onChange={(e) => updateField("usernameAttribute", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Group search base (optional)</span>
+          <input
+            type="text"
+            value={form.groupSearchBase}
+            placeholder="ou=groups,dc=example,dc=com"
+            onChange={(e) => updateField("groupSearchBase", e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Group filter (optional)</span>
+          <input
+            type="text"
+            value={form.groupFilter}
+            placeholder="(member={{dn}})"
+            onChange={(e) => updateField("groupFilter", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <span className="text-xs text-slate-400">
+            Groups from the user&apos;s <code>memberOf</code> attribute are always included.
+          </span>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-200">Administrator groups</span>
+          <input
+            type="text"
+            value={form.adminGroups}
+            placeholder="automn-admins or cn=automn-admins,ou=groups,dc=example,dc=com"
+            onChange={(e) => updateField("adminGroups", e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <span className="text-xs text-slate-400">
+            Comma separated group names or DNs. Leave empty to manage administrators by hand.
+          </span>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-slate-200 md:col-span-2">
+          <input
+            type="checkbox"
+            className="h-4 w-4 accent-sky-400"
+            checked={form.autoProvision}
+            onChange={(e) => updateField("autoProvision", e.target.checked)}
+          />
+          Create accounts automatically on first sign-in
+        </label>
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+          >
+            {saving ? "Saving…" : "Save settings"}
+          </button>
+        </div>
+      </form>
+
+      <div className="space-y-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div>
+          <h5 className="text-sm font-semibold text-slate-200">Test the connection</h5>
+          <p className="text-xs text-slate-400">
+            Looks up a user with the settings above without saving them or signing anyone in.
+            Leave the password empty to only check the lookup.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col gap-2">
+            <span className="text-xs font-semibold text-slate-300">Username</span>
+            <input
+              type="text"
+              value={testForm.username}
+              onChange={(e) => setTestForm((prev) => ({ ...prev, username: e.target.value }))}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="flex flex-col gap-2">
+            <span className="text-xs font-semibold text-slate-300">Password</span>
+            <input
+              type="password"
+              value={testForm.password}
+              autoComplete="off"
+              onChange={(e) => setTestForm((prev) => ({ ...prev, password: e.target.value }))}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <button
+            type="button"
+            onClick={handleTest}
+            disabled={testing || !testForm.username.trim()}
+            className="rounded border border-slate-700 px-4 py-2 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+          >
+            {testing ? "Testing…" : "Run test"}
+          </button>
+        </div>
+        {testResult && (
+          <p
+            className={`text-sm ${testResult.tone === "error" ? "text-red-400" : "text-emerald-300"}`}
+          >
+            {testResult.message}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
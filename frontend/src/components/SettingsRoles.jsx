@@ -0,0 +1,278 @@
+import { useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+
+const PERMISSION_OPTIONS = [
+  { key: "read", label: "Read" },
+  { key: "write", label: "Write" },
+  { key: "delete", label: "Delete" },
+  { key: "run", label: "Run" },
+  { key: "clearLogs", label: "Clear logs" },
+];
+
+const EMPTY_PERMISSIONS = {
+  read: true,
+  write: false,
+  delete: false,
+  run: false,
+  clearLogs: false,
+};
+
+const initialRoleForm = {
+  id: null,
+  name: "",
+  description: "",
+  permissions: EMPTY_PERMISSIONS,
+};
+
+function describePermissions(permissions) {
+  const granted = PERMISSION_OPTIONS.filter((option) => permissions?.[option.key]).map(
+    (option) => option.label,
+  );
+  return granted.length ? granted.join(", ") : "No access";
+}
+
+export default function SettingsRoles({ roles, onRolesChanged, onAuthError }) {
+  const { confirm } = useNotificationDialog();
+  const [form, setForm] = useState(initialRoleForm);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleApiError = (err, fallback) => {
+    if (onAuthError && (err.status === 401 || err.status === 403)) {
+      onAuthError(err);
+    } else {
+      setError(err?.data?.error || err.message || fallback);
+    }
+  };
+
+  const openForm = (role = null) => {
+    setError("");
+    setForm(
+      role
+        ? {
+            id: role.id,
+            name: role.name,
+            description: role.description || "",
+            permissions: { ...EMPTY_PERMISSIONS, ...role.permissions },
+          }
+        : initialRoleForm,
+    );
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setForm(initialRoleForm);
+    setIsFormOpen(false);
+  };
+
+  const handleTogglePermission = (key) => {
+    setForm((prev) => {
+      const permissions = { ...prev.permissions, [key]: !prev.permissions[key] };
+      if (key !== "read" && permissions[key]) {
+        permissions.read = true;
+      }
+      return { ...prev, permissions };
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSubmitting) return;
+
+    const name = form.name.trim();
+    if (!name) {
+      setError("Role name is required.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+    try {
+      await apiRequest(form.id ? `/api/roles/${form.id}` : "/api/roles", {
+        method: form.id ? "PATCH" : "POST",
+        body: {
+          name,
+          description: form.description.trim(),
+          permissions: form.permissions,
+        },
+      });
+      closeForm();
+      onRolesChanged?.();
+    } catch (err) {
+      handleApiError(err, "Failed to save role");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const confirmed = await confirm({
+      title: `Delete role "${role.name}"?`,
+      message: role.assignmentCount
+        ? `This role is assigned ${role.assignmentCount} time(s). Those assignments will be removed.`
+        : "This action cannot be undone.",
+      tone: "danger",
+      confirmLabel: "Delete role",
+    });
+    if (!confirmed) return;
+
+    try {
+      setError("");
+      await apiRequest(`/api/roles/${role.id}`, { method: "DELETE" });
+      onRolesChanged?.();
+    } catch (err) {
+      handleApiError(err, "Failed to delete role");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h4 className="text-sm font-semibold uppercase tracking-wide text-slate-400">Roles</h4>
+          <p className="mt-1 text-sm text-slate-400">
+            Roles bundle permissions. Assign them globally above, or per collection and script
+            from their permission editors.
+          </p>
+        </div>
+        {!isFormOpen && (
+          <button
+            type="button"
+            onClick={() => openForm()}
+            className="rounded border border-slate-700 px-3 py-1.5 text-xs font-semibold uppercase tracking-wide text-slate-300 transition hover:bg-slate-800"
+          >
+            + Add role
+          </button>
+        )}
+      </div>
+
+      {isFormOpen && (
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-4 rounded border border-slate-800 bg-slate-900/40 p-4"
+        >
+          <div className="grid gap-4 md:grid-cols-2">
+            <label className="text-sm font-medium text-slate-200">
+              Name
+              <input
+                className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+                value={form.name}
+                onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+                autoComplete="off"
+                required
+              />
+            </label>
+            <label className="text-sm font-medium text-slate-200">
+              Description
+              <input
+                className="mt-1 w-full rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/70"
+                value={form.description}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, description: event.target.value }))
+                }
+                autoComplete="off"
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-4 text-sm text-slate-200">
+            {PERMISSION_OPTIONS.map((option) => (
+              <label key={option.key} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(form.permissions[option.key])}
+                  onChange={() => handleTogglePermission(option.key)}
+                  className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-sky-500 focus:ring-sky-500"
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="rounded border border-sky-500/60 bg-sky-500/10 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-sky-300 transition disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {isSubmitting ? "Saving..." : form.id ? "Save role" : "Create role"}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              disabled={isSubmitting}
+              className="rounded border border-slate-700 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-slate-300 transition hover:bg-slate-800 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="overflow-hidden rounded border border-slate-800">
+        <table className="min-w-full divide-y divide-slate-800 text-sm">
+          <thead className="bg-slate-900/60 text-xs uppercase tracking-wide text-slate-400">
+            <tr>
+              <th className="px-4 py-2 text-left">Role</th>
+              <th className="px-4 py-2 text-left">Permissions</th>
+              <th className="px-4 py-2 text-left">Assignments</th>
+              <th className="px-4 py-2" aria-label="actions" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800 bg-slate-900/30 text-slate-200">
+            {roles.map((role) => (
+              <tr key={role.id}>
+                <td className="px-4 py-2">
+                  <div className="font-medium text-slate-100">
+                    {role.name}
+                    {role.isSystem && (
+                      <span className="ml-2 inline-flex items-center rounded-full bg-slate-700/60 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide text-slate-300">
+                        Built-in
+                      </span>
+                    )}
+                  </div>
+                  {role.description && (
+                    <div className="text-xs text-slate-400">{role.description}</div>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-slate-300">
+                  {describePermissions(role.permissions)}
+                </td>
+                <td className="px-4 py-2 text-slate-400">{role.assignmentCount}</td>
+                <td className="px-4 py-2">
+                  {!role.isSystem && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => openForm(role)}
+                        className="rounded border border-slate-700 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-200 transition hover:bg-slate-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(role)}
+                        className="button-danger rounded border px-3 py-1 text-xs font-semibold uppercase tracking-wide transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!roles.length && (
+              <tr>
+                <td className="px-4 py-6 text-center text-sm text-slate-400" colSpan={4}>
+                  No roles defined.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -12,8 +12,14 @@ const initialFormState = {
 const initialEditState = {
   name: "",
   adminOnly: false,
+  labels: "",
+  tlsCa: "",
+  tlsFingerprint: "",
 };
 
+const CERTIFICATE_EXPIRY_WARNING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const STATUS_BADGES = {
   emerald: "border-emerald-500/60 bg-emerald-500/10 text-emerald-200",
   rose: "border-rose-500/60 bg-rose-500/10 text-rose-200",
@@ -212,6 +218,24 @@ function formatTimestamp(value) {
   return date.toLocaleString();
 }
 
+function describeCertificateExpiry(validTo) {
+  const expiresAt = new Date(validTo).getTime();
+  if (!validTo || Number.isNaN(expiresAt)) {
+    return { label: "Unknown expiry", tone: "slate" };
+  }
+  const remainingDays = Math.floor((expiresAt - Date.now()) / DAY_MS);
+  if (remainingDays < 0) {
+    return { label: "Expired", tone: "rose" };
+  }
+  if (remainingDays < CERTIFICATE_EXPIRY_WARNING_DAYS) {
+    return {
+      label: remainingDays === 0 ? "Expires today" : `Expires in ${remainingDays}d`,
+      tone: "amber",
+    };
+  }
+  return { label: "Valid", tone: "emerald" };
+}
+
 function classifyStatus(host) {
   if (!host) {
     return { label: "Unknown", tone: "slate" };
@@ -464,6 +488,9 @@ export default function SettingsRunnerHosts({ onAuthError }) {
     setEditForm({
       name: host.name || "",
       adminOnly: Boolean(host.adminOnly),
+      labels: (host.labels || []).join(", "),
+      tlsCa: host.tlsCa || "",
+      tlsFingerprint: host.tlsFingerprint || "",
     });
     setEditError("");
   };
@@ -491,6 +518,9 @@ export default function SettingsRunnerHosts({ onAuthError }) {
         body: {
           name: trimmedName,
           adminOnly: Boolean(editForm.adminOnly),
+          labels: editForm.labels || "",
+          tlsCa: (editForm.tlsCa || "").trim(),
+          tlsFingerprint: (editForm.tlsFingerprint || "").trim(),
         },
       });
       const updated = response?.runnerHost;
@@ -880,6 +910,7 @@ export default function SettingsRunnerHosts({ onAuthError }) {
               );
               const { icon: osIcon, label: osLabel } = getOsIndicator(host);
               const isExpanded = Boolean(expandedHosts[host.id]);
+              const certificateExpiry = describeCertificateExpiry(host.runnerCertificate?.validTo);
 
               return (
                 <div
@@ -1063,6 +1094,51 @@ export default function SettingsRunnerHosts({ onAuthError }) {
                               </span>
                             </span>
                           </label>
+                          <label className="flex flex-col gap-1 text-sm text-slate-200">
+                            <span className="font-semibold">Labels</span>
+                            <input
+                              type="text"
+                              name="labels"
+                              value={editForm.labels}
+                              onChange={handleEditFieldChange}
+                              className="rounded border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-slate-500 focus:outline-none"
+                              placeholder="os=linux, net=dmz, python3.12"
+                            />
+                            <span className="text-xs text-slate-500">
+                              Comma-separated. Scripts and collections that select these labels can run
+                              here; admin-only runners are never picked by labels.
+                            </span>
+                          </label>
+                          <label className="flex flex-col gap-1 text-sm text-slate-200">
+                            <span className="font-semibold">Pinned CA certificate</span>
+                            <textarea
+                              name="tlsCa"
+                              value={editForm.tlsCa}
+                              onChange={handleEditFieldChange}
+                              rows={4}
+                              className="rounded border border-slate-700 bg-slate-900 px-3 py-2 font-mono text-xs text-slate-100 focus:border-slate-500 focus:outline-none"
+                              placeholder="-----BEGIN CERTIFICATE-----"
+                            />
+                            <span className="text-xs text-slate-500">
+                              Only trust runner certificates issued by this CA (PEM). Leave empty to
+                              use the system trust store.
+                            </span>
+                          </label>
+                          <label className="flex flex-col gap-1 text-sm text-slate-200">
+                            <span className="font-semibold">Pinned SHA-256 fingerprint</span>
+                            <input
+                              type="text"
+                              name="tlsFingerprint"
+                              value={editForm.tlsFingerprint}
+                              onChange={handleEditFieldChange}
+                              className="rounded border border-slate-700 bg-slate-900 px-3 py-2 font-mono text-xs text-slate-100 focus:border-slate-500 focus:outline-none"
+                              placeholder="AB:CD:…"
+                            />
+                            <span className="text-xs text-slate-500">
+                              Only accept a runner certificate with exactly this fingerprint. Pinning
+                              requires an https endpoint.
+                            </span>
+                          </label>
                           {editError && (
                             <div className="text-sm text-rose-400">{editError}</div>
                           )}
@@ -1111,13 +1187,36 @@ export default function SettingsRunnerHosts({ onAuthError }) {
                         <div>
                           <span className="text-xs uppercase text-slate-500">Endpoint</span>
                           <div className="break-words text-slate-200">
-                            {host.endpoint ? <code>{host.endpoint}</code> : "—"}
+                            {host.connectionMode === "pull" ? (
+                              "Outbound connection from runner"
+                            ) : host.endpoint ? (
+                              <code>{host.endpoint}</code>
+                            ) : (
+                              "—"
+                            )}
                           </div>
                         </div>
                         <div>
                           <span className="text-xs uppercase text-slate-500">Access</span>
                           <div>{host.adminOnly ? "Admins only" : "All editors"}</div>
                         </div>
+                        <div>
+                          <span className="text-xs uppercase text-slate-500">Labels</span>
+                          {(host.labels || []).length > 0 ? (
+                            <div className="mt-1 flex flex-wrap gap-1">
+                              {host.labels.map((label) => (
+                                <code
+                                  key={label}
+                                  className="rounded border border-slate-700 bg-slate-900 px-1.5 py-0.5 text-xs text-slate-200"
+                                >
+                                  {label}
+                                </code>
+                              ))}
+                            </div>
+                          ) : (
+                            <div>—</div>
+                          )}
+                        </div>
                         <div>
                           <span className="text-xs uppercase text-slate-500">Capabilities</span>
                           <div className="mt-1 space-y-1">
@@ -1169,6 +1268,77 @@ export default function SettingsRunnerHosts({ onAuthError }) {
                             </div>
                           </div>
                         </div>
+                        <div className="md:col-span-2 lg:col-span-3">
+                          <span className="text-xs uppercase text-slate-500">Certificate</span>
+                          {host.runnerCertificate ? (
+                            <div className="mt-1 space-y-1">
+                              <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-slate-200">{host.runnerCertificate.subject}</span>
+                                <span
+                                  className={`inline-flex items-center rounded-full border px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${
+                                    STATUS_BADGES[certificateExpiry.tone] || STATUS_BADGES.slate
+                                  }`}
+                                >
+                                  {certificateExpiry.label}
+                                </span>
+                                {host.runnerCertificateMatchesPin !== null && (
+                                  <span
+                                    className={`inline-flex items-center rounded-full border px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${
+                                      host.runnerCertificateMatchesPin
+                                        ? STATUS_BADGES.emerald
+                                        : STATUS_BADGES.rose
+                                    }`}
+                                  >
+                                    {host.runnerCertificateMatchesPin ? "Matches pin" : "Pin mismatch"}
+                                  </span>
+                                )}
+                              </div>
+                              <div className="flex items-center justify-between gap-3">
+                                <span className="text-slate-400">Issuer</span>
+                                <span className="text-slate-200">{host.runnerCertificate.issuer || "—"}</span>
+                              </div>
+                              <div className="flex items-center justify-between gap-3">
+                                <span className="text-slate-400">Valid until</span>
+                                <span className="text-slate-200">
+                                  {formatTimestamp(host.runnerCertificate.validTo)}
+                                </span>
+                              </div>
+                              <div className="flex flex-wrap items-center justify-between gap-3">
+                                <span className="text-slate-400">Fingerprint</span>
+                                <code className="break-all text-xs text-slate-300">
+                                  {host.runnerCertificate.fingerprint256}
+                                </code>
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="mt-1 text-slate-400">
+                              Runner is not serving TLS with its own certificate.
+                            </div>
+                          )}
+                          <div className="mt-2 space-y-1">
+                            <div className="flex flex-wrap items-center justify-between gap-3">
+                              <span className="text-slate-400">Pinned fingerprint</span>
+                              {host.tlsFingerprint ? (
+                                <code className="break-all text-xs text-slate-300">{host.tlsFingerprint}</code>
+                              ) : (
+                                <span className="text-slate-200">—</span>
+                              )}
+                            </div>
+                            <div className="flex items-center justify-between gap-3">
+                              <span className="text-slate-400">Pinned CA</span>
+                              <span className="text-slate-200">
+                                {(host.tlsCaCertificates || []).length > 0
+                                  ? host.tlsCaCertificates
+                                    .map(
+                                      (certificate) =>
+                                        `${certificate.subject} (until ${formatTimestamp(certificate.validTo)})`,
+                                    )
+                                    .join(", ")
+                                  : "—"}
+                              </span>
+                            </div>
+                          </div>
+                        </div>
                         <div className="md:col-span-2 lg:col-span-3">
                           <span className="text-xs uppercase text-slate-500">Runtime versions</span>
                           {runtimeEntries.length > 0 ? (
@@ -1,11 +1,15 @@
 import { useEffect, useMemo, useState } from "react";
 import { apiRequest } from "../utils/api";
 import { useNotificationDialog } from "./NotificationDialogProvider";
+import { buildRetryPolicyPayload, createRetryPolicyForm } from "../utils/retryPolicy";
+import RetryPolicyFields from "./RetryPolicyFields";
 
 const DEFAULT_FORM_STATE = {
   id: "",
   name: "",
+  targetType: "script",
   scriptId: "",
+  workflowId: "",
   httpMethod: "POST",
   payload: "",
   mode: "interval",
@@ -15,6 +19,13 @@ const DEFAULT_FORM_STATE = {
   startDate: "",
   daysOfWeek: [],
   timeOfDay: "09:00",
+  cronExpression: "0 9 * * 1-5",
+  timeZone: "",
+  misfirePolicy: "fire_once",
+  misfireLimit: 10,
+  overlapPolicy: "allow",
+  retryMode: "inherit",
+  retryPolicy: createRetryPolicyForm(null),
   isEnabled: true,
 };
 
@@ -22,6 +33,43 @@ const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
 const HTTP_METHOD_OPTIONS = ["POST", "GET", "PUT", "PATCH", "DELETE"];
 
+const SCHEDULE_MODES = [
+  { value: "interval", label: "Interval" },
+  { value: "weekly", label: "Weekly" },
+  { value: "cron", label: "Cron" },
+];
+
+const MISFIRE_POLICY_OPTIONS = [
+  { value: "fire_once", label: "Run once", description: "Missed runs are folded into a single catch-up run." },
+  { value: "fire_all", label: "Catch up", description: "Every missed run is executed, up to the limit." },
+  { value: "skip", label: "Skip", description: "Missed runs are dropped; the job waits for its next time." },
+];
+
+const OVERLAP_POLICY_OPTIONS = [
+  { value: "allow", label: "Allow overlap", description: "New runs start even while a previous run is active." },
+  { value: "skip", label: "Skip if running", description: "Fires are dropped while a previous run is queued or running." },
+  { value: "queue_one", label: "Queue one", description: "One fire waits for the active run to finish; extra fires are dropped." },
+  {
+    value: "cancel_previous",
+    label: "Cancel previous",
+    description: "Active runs of this job are cancelled before the new run starts.",
+  },
+];
+
+const MISFIRE_ACTION_LABELS = {
+  fired: "Caught up",
+  coalesced: "Folded into one run",
+  skipped: "Skipped",
+};
+
+const PREVIEW_RUN_COUNT = 5;
+const PREVIEW_DEBOUNCE_MS = 300;
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const TIME_ZONE_OPTIONS =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+
 function parseTimeString(value) {
   if (typeof value !== "string") return null;
   const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
@@ -47,11 +95,11 @@ function normalizeTimeLabel(value, fallback = "00:00") {
   return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
 }
 
-function formatLocalDateTime(value) {
+function formatLocalDateTime(value, timeZone) {
   if (!value) return "";
   const date = new Date(value);
   if (Number.isNaN(date.getTime())) return String(value);
-  return new Intl.DateTimeFormat([], {
+  const options = {
     year: "numeric",
     month: "short",
     day: "2-digit",
@@ -60,12 +108,21 @@ function formatLocalDateTime(value) {
     second: "2-digit",
     hour12: false,
     timeZoneName: "short",
-  }).format(date);
+  };
+  try {
+    return new Intl.DateTimeFormat([], { ...options, timeZone: timeZone || undefined }).format(date);
+  } catch {
+    // Fall back to the browser zone while an unknown zone is being typed.
+    return new Intl.DateTimeFormat([], options).format(date);
+  }
 }
 
 function formatScheduleSummary(job) {
   if (!job?.schedule) return "No schedule";
   const schedule = job.schedule;
+  if (schedule.mode === "cron") {
+    return `Cron: ${schedule.expression || ""}`;
+  }
   if (schedule.mode === "weekly") {
     const dayLabels = (schedule.daysOfWeek || [])
       .map((day) => WEEKDAY_LABELS[day] || day)
@@ -86,6 +143,12 @@ function formatScheduleSummary(job) {
 
 function scheduleToForm(schedule) {
   if (!schedule) return {};
+  if (schedule.mode === "cron") {
+    return {
+      mode: "cron",
+      cronExpression: schedule.expression || "",
+    };
+  }
   if (schedule.mode === "weekly") {
     const timeValue = schedule.time
       ? `${String(schedule.time.hours).padStart(2, "0")}:${String(schedule.time.minutes).padStart(2, "0")}`
@@ -111,6 +174,12 @@ function scheduleToForm(schedule) {
 }
 
 function buildSchedulePayload(form) {
+  if (form.mode === "cron") {
+    return {
+      mode: "cron",
+      expression: (form.cronExpression || "").trim(),
+    };
+  }
   if (form.mode === "weekly") {
     const timeValue = normalizeTimeLabel(form.timeOfDay || "09:00", "09:00");
     return {
@@ -158,12 +227,16 @@ function SchedulerToggle({ enabled, running, onToggle }) {
 export default function SettingsScheduler({ onAuthError }) {
   const [jobs, setJobs] = useState([]);
   const [scripts, setScripts] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [enabled, setEnabled] = useState(true);
   const [running, setRunning] = useState(false);
   const [form, setForm] = useState(DEFAULT_FORM_STATE);
   const [editingId, setEditingId] = useState("");
+  const [defaultTimeZone, setDefaultTimeZone] = useState(BROWSER_TIME_ZONE);
+  const [misfireHistory, setMisfireHistory] = useState({ jobId: "", loading: false, items: [] });
+  const [preview, setPreview] = useState({ loading: false, runs: [], error: "" });
   const { showNotification } = useNotificationDialog();
 
   const scriptOptions = useMemo(() => {
@@ -200,6 +273,9 @@ export default function SettingsScheduler({ onAuthError }) {
       const response = await apiRequest("/api/settings/scheduler");
       setEnabled(Boolean(response.enabled));
       setRunning(Boolean(response.running));
+      if (response.defaultTimeZone) {
+        setDefaultTimeZone(response.defaultTimeZone);
+      }
       const sanitizedJobs = Array.isArray(response.jobs) ? response.jobs : [];
       setJobs(sanitizedJobs);
     } catch (err) {
@@ -223,9 +299,19 @@ export default function SettingsScheduler({ onAuthError }) {
     }
   };
 
+  const loadWorkflows = async () => {
+    try {
+      const response = await apiRequest("/api/settings/workflows");
+      setWorkflows(Array.isArray(response.workflows) ? response.workflows : []);
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
   useEffect(() => {
     loadScheduler();
     loadScripts();
+    loadWorkflows();
   }, []);
 
   const handleToggleScheduler = async () => {
@@ -245,12 +331,23 @@ export default function SettingsScheduler({ onAuthError }) {
     setSaving(true);
     try {
       const schedulePayload = buildSchedulePayload(form);
+      const isWorkflowTarget = form.targetType === "workflow";
       const payload = {
         name: form.name,
-        scriptId: form.scriptId,
+        scriptId: isWorkflowTarget ? null : form.scriptId,
+        workflowId: isWorkflowTarget ? form.workflowId : null,
         httpMethod: form.httpMethod,
         payload: form.payload,
         schedule: schedulePayload,
+        timeZone: form.timeZone || defaultTimeZone,
+        misfirePolicy: form.misfirePolicy,
+        misfireLimit: form.misfirePolicy === "fire_all" ? form.misfireLimit : null,
+        overlapPolicy: form.overlapPolicy,
+        // A custom policy with a single attempt turns off retries the script would apply.
+        retryPolicy:
+          !isWorkflowTarget && form.retryMode === "custom"
+            ? buildRetryPolicyPayload(form.retryPolicy) || { maxAttempts: 1 }
+            : null,
         isEnabled: form.isEnabled,
       };
 
@@ -306,9 +403,17 @@ export default function SettingsScheduler({ onAuthError }) {
       ...scheduleFields,
       id: job.id,
       name: job.name || "",
+      targetType: job.targetType === "workflow" ? "workflow" : "script",
       scriptId: job.scriptId || "",
+      workflowId: job.workflowId || "",
       httpMethod: job.httpMethod || "POST",
       payload: job.payload || "",
+      timeZone: job.timeZone || "",
+      misfirePolicy: job.misfirePolicy || "fire_once",
+      misfireLimit: job.misfireLimit || DEFAULT_FORM_STATE.misfireLimit,
+      overlapPolicy: job.overlapPolicy || "allow",
+      retryMode: job.retryPolicy ? "custom" : "inherit",
+      retryPolicy: createRetryPolicyForm(job.retryPolicy),
       isEnabled: Boolean(job.isEnabled),
     }));
     setEditingId(job.id);
@@ -368,7 +473,8 @@ export default function SettingsScheduler({ onAuthError }) {
       });
       showNotification({
         title: "Test started",
-        description: "The script run was dispatched.",
+        description:
+          job.targetType === "workflow" ? "The workflow run was started." : "The script run was dispatched.",
         tone: "success",
       });
     } catch (err) {
@@ -381,10 +487,81 @@ export default function SettingsScheduler({ onAuthError }) {
     }
   };
 
+  const handleToggleMisfires = async (job) => {
+    if (misfireHistory.jobId === job.id) {
+      setMisfireHistory({ jobId: "", loading: false, items: [] });
+      return;
+    }
+    setMisfireHistory({ jobId: job.id, loading: true, items: [] });
+    try {
+      const response = await apiRequest(`/api/settings/scheduler/jobs/${job.id}/misfires`);
+      setMisfireHistory({
+        jobId: job.id,
+        loading: false,
+        items: Array.isArray(response?.misfires) ? response.misfires : [],
+      });
+    } catch (err) {
+      handleAuthError(err);
+      setMisfireHistory({ jobId: "", loading: false, items: [] });
+      showNotification({
+        title: "Unable to load missed runs",
+        description: err?.message || "The missed run history could not be loaded.",
+        tone: "error",
+      });
+    }
+  };
+
+  const currentMisfireOption =
+    MISFIRE_POLICY_OPTIONS.find((option) => option.value === form.misfirePolicy) || MISFIRE_POLICY_OPTIONS[0];
+
+  const currentOverlapOption =
+    OVERLAP_POLICY_OPTIONS.find((option) => option.value === form.overlapPolicy) || OVERLAP_POLICY_OPTIONS[0];
+
   const currentFormScheduleLabel = useMemo(() => {
     return formatScheduleSummary({ schedule: buildSchedulePayload(form) });
   }, [form]);
 
+  const previewTimeZone = form.timeZone || defaultTimeZone;
+  const previewScheduleKey = useMemo(() => JSON.stringify(buildSchedulePayload(form)), [form]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPreview((prev) => ({ ...prev, loading: true }));
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiRequest("/api/settings/scheduler/preview", {
+          method: "POST",
+          body: {
+            schedule: JSON.parse(previewScheduleKey),
+            timeZone: previewTimeZone,
+            count: PREVIEW_RUN_COUNT,
+          },
+        });
+        if (cancelled) return;
+        setPreview({
+          loading: false,
+          runs: Array.isArray(response?.nextRuns) ? response.nextRuns : [],
+          error: "",
+        });
+      } catch (err) {
+        if (cancelled) return;
+        if (err?.status === 401 && typeof onAuthError === "function") {
+          onAuthError(err);
+        }
+        setPreview({
+          loading: false,
+          runs: [],
+          error: err?.message || "Unable to preview this schedule.",
+        });
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [previewScheduleKey, previewTimeZone, onAuthError]);
+
   return (
     <div className="space-y-6">
       <SchedulerToggle enabled={enabled} running={running} onToggle={handleToggleScheduler} />
@@ -395,7 +572,9 @@ export default function SettingsScheduler({ onAuthError }) {
             <h3 className="text-lg font-semibold text-slate-100">
               {editingId ? "Edit scheduled job" : "Create scheduled job"}
             </h3>
-            <p className="text-xs text-slate-400">Dispatch scripts automatically with a fixed cadence.</p>
+            <p className="text-xs text-slate-400">
+              Dispatch scripts or workflows automatically with a fixed cadence.
+            </p>
           </div>
           {editingId && (
             <button
@@ -421,35 +600,68 @@ export default function SettingsScheduler({ onAuthError }) {
           </label>
 
           <label className="flex flex-col gap-2">
-            <span className="text-sm font-semibold text-slate-200">Script</span>
+            <span className="text-sm font-semibold text-slate-200">Runs</span>
             <select
-              value={form.scriptId}
-              onChange={(e) => setForm((prev) => ({ ...prev, scriptId: e.target.value }))}
+              value={form.targetType}
+              onChange={(e) => setForm((prev) => ({ ...prev, targetType: e.target.value }))}
               className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
             >
-              <option value="">Select a script</option>
-              {scriptOptions.map((script) => (
-                <option key={script.id} value={script.id}>
-                  {script.name}
-                </option>
-              ))}
+              <option value="script">Script</option>
+              <option value="workflow">Workflow</option>
             </select>
           </label>
 
-          <label className="flex flex-col gap-2">
-            <span className="text-sm font-semibold text-slate-200">HTTP method</span>
-            <select
-              value={form.httpMethod}
-              onChange={(e) => setForm((prev) => ({ ...prev, httpMethod: e.target.value }))}
-              className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
-            >
-              {HTTP_METHOD_OPTIONS.map((method) => (
-                <option key={method} value={method}>
-                  {method}
-                </option>
-              ))}
-            </select>
-          </label>
+          {form.targetType === "workflow" ? (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">Workflow</span>
+              <select
+                value={form.workflowId}
+                onChange={(e) => setForm((prev) => ({ ...prev, workflowId: e.target.value }))}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+              >
+                <option value="">Select a workflow</option>
+                {workflows.map((workflow) => (
+                  <option key={workflow.id} value={workflow.id}>
+                    {workflow.name}
+                    {workflow.isEnabled ? "" : " (disabled)"}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">Script</span>
+              <select
+                value={form.scriptId}
+                onChange={(e) => setForm((prev) => ({ ...prev, scriptId: e.target.value }))}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+              >
+                <option value="">Select a script</option>
+                {scriptOptions.map((script) => (
+                  <option key={script.id} value={script.id}>
+                    {script.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {form.targetType !== "workflow" && (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">HTTP method</span>
+              <select
+                value={form.httpMethod}
+                onChange={(e) => setForm((prev) => ({ ...prev, httpMethod: e.target.value }))}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+              >
+                {HTTP_METHOD_OPTIONS.map((method) => (
+                  <option key={method} value={method}>
+                    {method}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
 
           <label className="flex flex-col gap-2">
             <span className="text-sm font-semibold text-slate-200">Payload (optional)</span>
@@ -464,32 +676,42 @@ export default function SettingsScheduler({ onAuthError }) {
 
           <div className="md:col-span-2">
             <div className="flex flex-wrap items-center gap-3 text-sm font-semibold text-slate-100">
-              <button
-                type="button"
-                className={`rounded px-3 py-2 transition ${
-                  form.mode === "interval"
-                    ? "bg-sky-600 text-white"
-                    : "bg-slate-800 text-slate-200"
-                }`}
-                onClick={() => setForm((prev) => ({ ...prev, mode: "interval" }))}
-              >
-                Interval
-              </button>
-              <button
-                type="button"
-                className={`rounded px-3 py-2 transition ${
-                  form.mode === "weekly"
-                    ? "bg-sky-600 text-white"
-                    : "bg-slate-800 text-slate-200"
-                }`}
-                onClick={() => setForm((prev) => ({ ...prev, mode: "weekly" }))}
-              >
-                Weekly
-              </button>
+              {SCHEDULE_MODES.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`rounded px-3 py-2 transition ${
+                    form.mode === option.value
+                      ? "bg-sky-600 text-white"
+                      : "bg-slate-800 text-slate-200"
+                  }`}
+                  onClick={() => setForm((prev) => ({ ...prev, mode: option.value }))}
+                >
+                  {option.label}
+                </button>
+              ))}
               <span className="text-xs text-slate-400">{currentFormScheduleLabel}</span>
             </div>
 
-            {form.mode === "interval" ? (
+            {form.mode === "cron" ? (
+              <div className="mt-3 grid gap-3">
+                <label className="flex flex-col gap-2">
+                  <span className="text-sm font-semibold text-slate-200">Cron expression</span>
+                  <input
+                    type="text"
+                    value={form.cronExpression}
+                    onChange={(e) => setForm((prev) => ({ ...prev, cronExpression: e.target.value }))}
+                    className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 font-mono text-sm text-slate-100"
+                    placeholder="*/15 9-17 * * 1-5"
+                    spellCheck={false}
+                  />
+                </label>
+                <p className="text-xs text-slate-400">
+                  Five fields (minute hour day-of-month month day-of-week) or six with a leading seconds
+                  field. Names such as MON or JAN, ranges, lists, steps and macros like @daily are supported.
+                </p>
+              </div>
+            ) : form.mode === "interval" ? (
               <div className="mt-3 grid gap-3 md:grid-cols-3">
                 <label className="flex flex-col gap-2">
                   <span className="text-sm font-semibold text-slate-200">Every</span>
@@ -578,8 +800,117 @@ export default function SettingsScheduler({ onAuthError }) {
                 </label>
               </div>
             )}
+
+            <label className="mt-3 flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">Time zone</span>
+              <input
+                type="text"
+                list="scheduler-time-zones"
+                value={form.timeZone}
+                onChange={(e) => setForm((prev) => ({ ...prev, timeZone: e.target.value }))}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+                placeholder={defaultTimeZone}
+                spellCheck={false}
+              />
+              <datalist id="scheduler-time-zones">
+                {TIME_ZONE_OPTIONS.map((zone) => (
+                  <option key={zone} value={zone} />
+                ))}
+              </datalist>
+              <span className="text-xs text-slate-400">
+                Start times are evaluated in this zone, including daylight-saving changes. Leave blank to use the
+                server zone ({defaultTimeZone}).
+              </span>
+            </label>
+
+            <div className="mt-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-3 text-xs">
+              <div className="font-semibold text-slate-300">Next {PREVIEW_RUN_COUNT} runs</div>
+              {preview.error ? (
+                <div className="mt-1 text-rose-300">{preview.error}</div>
+              ) : preview.runs.length === 0 ? (
+                <div className="mt-1 text-slate-400">
+                  {preview.loading ? "Calculating…" : "This schedule never fires."}
+                </div>
+              ) : (
+                <ul className={`mt-1 space-y-0.5 text-slate-400 ${preview.loading ? "opacity-60" : ""}`}>
+                  {preview.runs.map((run) => (
+                    <li key={run}>{formatLocalDateTime(run, previewTimeZone)}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
 
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">Missed runs</span>
+            <select
+              value={form.misfirePolicy}
+              onChange={(e) => setForm((prev) => ({ ...prev, misfirePolicy: e.target.value }))}
+              className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+            >
+              {MISFIRE_POLICY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-slate-400">{currentMisfireOption.description}</span>
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">Overlapping runs</span>
+            <select
+              value={form.overlapPolicy}
+              onChange={(e) => setForm((prev) => ({ ...prev, overlapPolicy: e.target.value }))}
+              className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+            >
+              {OVERLAP_POLICY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-slate-400">{currentOverlapOption.description}</span>
+          </label>
+
+          {form.misfirePolicy === "fire_all" && (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">Catch-up limit</span>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={form.misfireLimit}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, misfireLimit: Number.parseInt(e.target.value, 10) || 1 }))
+                }
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+              />
+              <span className="text-xs text-slate-400">Older missed runs beyond this limit are skipped.</span>
+            </label>
+          )}
+
+          {form.targetType !== "workflow" && (
+            <div className="md:col-span-2 flex flex-col gap-2">
+              <span className="text-sm font-semibold text-slate-200">Retries</span>
+              <select
+                value={form.retryMode}
+                onChange={(e) => setForm((prev) => ({ ...prev, retryMode: e.target.value }))}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+              >
+                <option value="inherit">Use script setting</option>
+                <option value="custom">Custom</option>
+              </select>
+              {form.retryMode === "custom" && (
+                <RetryPolicyFields
+                  value={form.retryPolicy}
+                  onChange={(retryPolicy) => setForm((prev) => ({ ...prev, retryPolicy }))}
+                  inputClassName="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100"
+                />
+              )}
+            </div>
+          )}
+
           <div className="md:col-span-2 flex items-center justify-between">
             <label className="flex items-center gap-2 text-sm text-slate-200">
               <input
@@ -632,12 +963,20 @@ export default function SettingsScheduler({ onAuthError }) {
                   const scriptName = relatedScript?.name || job.scriptName || job.scriptId || "Unknown";
                   const scriptIsRecycled = Boolean(relatedScript?.isRecycled || job.scriptIsRecycled);
                   const scriptLabel = scriptIsRecycled ? `${scriptName} (recycled)` : scriptName;
+                  const isWorkflowJob = job.targetType === "workflow";
                   return (
                     <div className="flex items-start justify-between gap-2">
                       <div>
                         <div className="text-sm font-semibold text-slate-100">{job.name || "Untitled job"}</div>
-                        <div className="text-xs text-slate-400">{formatScheduleSummary(job)}</div>
-                        <div className="text-xs text-slate-500">Script: {scriptLabel}</div>
+                        <div className="text-xs text-slate-400">
+                          {formatScheduleSummary(job)}
+                          {job.timeZone ? ` (${job.timeZone})` : ""}
+                        </div>
+                        <div className="text-xs text-slate-500">
+                          {isWorkflowJob
+                            ? `Workflow: ${job.workflowName || job.workflowId || "Unknown"}`
+                            : `Script: ${scriptLabel}`}
+                        </div>
                         {scriptIsRecycled && (
                           <div className="mt-2 rounded bg-amber-900/30 px-2 py-1 text-[11px] font-semibold text-amber-100">
                             Script is in the recycle bin. Jobs remain disabled until it is restored.
@@ -669,17 +1008,79 @@ export default function SettingsScheduler({ onAuthError }) {
                 <div className="mt-3 grid gap-2 text-xs text-slate-400 sm:grid-cols-3">
                   <div>
                     <div className="font-semibold text-slate-300">HTTP Method</div>
-                    <div>{job.httpMethod}</div>
+                    <div>{job.targetType === "workflow" ? "—" : job.httpMethod}</div>
                   </div>
                   <div>
                     <div className="font-semibold text-slate-300">Next run</div>
-                    <div>{job.nextRunAt ? formatLocalDateTime(job.nextRunAt) : "Pending"}</div>
+                    <div>{job.nextRunAt ? formatLocalDateTime(job.nextRunAt, job.timeZone) : "Pending"}</div>
                   </div>
                   <div>
                     <div className="font-semibold text-slate-300">Last run</div>
-                    <div>{job.lastRunAt ? formatLocalDateTime(job.lastRunAt) : "—"}</div>
+                    <div>{job.lastRunAt ? formatLocalDateTime(job.lastRunAt, job.timeZone) : "—"}</div>
                   </div>
                 </div>
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                  <span>
+                    Overlap:{" "}
+                    {OVERLAP_POLICY_OPTIONS.find((option) => option.value === job.overlapPolicy)?.label ||
+                      "Allow overlap"}
+                  </span>
+                  {job.queuedRunAt && (
+                    <span className="rounded-full bg-sky-900/40 px-2 py-0.5 font-semibold text-sky-100">
+                      Run queued behind active run
+                    </span>
+                  )}
+                  {job.targetType !== "workflow" && (
+                    <span>
+                      Retries:{" "}
+                      {!job.retryPolicy
+                        ? "Script setting"
+                        : job.retryPolicy.maxAttempts > 1
+                          ? `Up to ${job.retryPolicy.maxAttempts} attempts`
+                          : "Off"}
+                    </span>
+                  )}
+                  <span>
+                    Missed runs:{" "}
+                    {MISFIRE_POLICY_OPTIONS.find((option) => option.value === job.misfirePolicy)?.label || "Run once"}
+                    {job.misfirePolicy === "fire_all" && job.misfireLimit ? ` (limit ${job.misfireLimit})` : ""}
+                  </span>
+                  {job.missedRunCount > 0 && (
+                    <>
+                      <span className="rounded-full bg-amber-900/30 px-2 py-0.5 font-semibold text-amber-100">
+                        {job.missedRunCount} missed
+                        {job.lastMissedAt ? `, last ${formatLocalDateTime(job.lastMissedAt, job.timeZone)}` : ""}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleToggleMisfires(job)}
+                        className="font-semibold text-sky-300 hover:text-sky-200"
+                      >
+                        {misfireHistory.jobId === job.id ? "Hide" : "Details"}
+                      </button>
+                    </>
+                  )}
+                </div>
+                {misfireHistory.jobId === job.id && (
+                  <div className="mt-2 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-xs">
+                    {misfireHistory.loading ? (
+                      <div className="text-slate-400">Loading missed runs…</div>
+                    ) : misfireHistory.items.length === 0 ? (
+                      <div className="text-slate-400">No missed runs recorded.</div>
+                    ) : (
+                      <ul className="space-y-0.5 text-slate-400">
+                        {misfireHistory.items.map((misfire) => (
+                          <li key={misfire.id} className="flex justify-between gap-2">
+                            <span>{formatLocalDateTime(misfire.scheduledAt, job.timeZone)}</span>
+                            <span className="text-slate-500">
+                              {MISFIRE_ACTION_LABELS[misfire.action] || misfire.action}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
                 <div className="mt-3 flex flex-wrap gap-2 text-xs">
                   <button
                     type="button"
@@ -0,0 +1,341 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+import RecoveryCodesList from "./RecoveryCodesList";
+import SessionList from "./SessionList";
+import TwoFactorSecret from "./TwoFactorSecret";
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+function formatDateTime(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+export default function SettingsSecurity({ onAuthError, onLogout }) {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsBusy, setSessionsBusy] = useState(false);
+  const { showNotification, confirm } = useNotificationDialog();
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const showError = (title, err, fallback) => {
+    handleAuthError(err);
+    showNotification({ title, description: err?.message || fallback, tone: "error" });
+  };
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      setLoading(true);
+      try {
+        const [twoFactorResponse, sessionsResponse] = await Promise.all([
+          apiRequest("/api/auth/2fa"),
+          apiRequest("/api/sessions"),
+        ]);
+        setStatus(twoFactorResponse?.twoFactor || null);
+        setSessions(Array.isArray(sessionsResponse?.sessions) ? sessionsResponse.sessions : []);
+      } catch (err) {
+        handleAuthError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadStatus();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleStartSetup = async () => {
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/auth/2fa/setup", { method: "POST" });
+      setSetup({ secret: response?.secret, otpauthUri: response?.otpauthUri });
+      setCode("");
+      setRecoveryCodes(null);
+    } catch (err) {
+      showError("Setup failed", err, "Unable to start two-factor setup.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnable = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/auth/2fa/enable", {
+        method: "POST",
+        body: { code },
+      });
+      setStatus(response?.twoFactor || null);
+      setRecoveryCodes(response?.recoveryCodes || null);
+      setSetup(null);
+      setCode("");
+      showNotification({ title: "Two-factor authentication enabled", tone: "success" });
+    } catch (err) {
+      showError("Code not accepted", err, "Unable to enable two-factor authentication.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/auth/2fa/recovery-codes", {
+        method: "POST",
+        body: { code },
+      });
+      setStatus(response?.twoFactor || null);
+      setRecoveryCodes(response?.recoveryCodes || null);
+      setCode("");
+    } catch (err) {
+      showError("Code not accepted", err, "Unable to create new recovery codes.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    const confirmed = await confirm({
+      title: "Turn off two-factor authentication?",
+      message: "Your account will be protected by your password only.",
+      tone: "warn",
+      confirmLabel: "Turn off",
+    });
+    if (!confirmed) return;
+
+    setSaving(true);
+    try {
+      const response = await apiRequest("/api/auth/2fa/disable", {
+        method: "POST",
+        body: { code },
+      });
+      setStatus(response?.twoFactor || null);
+      setRecoveryCodes(null);
+      setCode("");
+      showNotification({ title: "Two-factor authentication turned off", tone: "success" });
+    } catch (err) {
+      showError("Code not accepted", err, "Unable to turn off two-factor authentication.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const refreshSessions = async () => {
+    const response = await apiRequest("/api/sessions");
+    setSessions(Array.isArray(response?.sessions) ? response.sessions : []);
+  };
+
+  const handleRevokeSession = async (session) => {
+    if (session.current) {
+      const confirmed = await confirm({
+        title: "Sign out of this device?",
+        message: "You will need to sign in again to keep using Automn here.",
+        tone: "warn",
+        confirmLabel: "Sign out",
+      });
+      if (confirmed && typeof onLogout === "function") {
+        onLogout();
+      }
+      return;
+    }
+
+    setSessionsBusy(true);
+    try {
+      await apiRequest(`/api/sessions/${encodeURIComponent(session.id)}`, { method: "DELETE" });
+      await refreshSessions();
+    } catch (err) {
+      showError("Revoke failed", err, "Unable to revoke the session.");
+    } finally {
+      setSessionsBusy(false);
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    const confirmed = await confirm({
+      title: "Sign out other sessions?",
+      message: "Every other browser and device signed in to your account will be signed out.",
+      tone: "warn",
+      confirmLabel: "Sign out others",
+    });
+    if (!confirmed) return;
+
+    setSessionsBusy(true);
+    try {
+      const response = await apiRequest("/api/sessions", { method: "DELETE" });
+      await refreshSessions();
+      const revoked = Number(response?.revoked) || 0;
+      showNotification({
+        title: revoked === 1 ? "1 session signed out" : `${revoked} sessions signed out`,
+        tone: "success",
+      });
+    } catch (err) {
+      showError("Revoke failed", err, "Unable to sign out other sessions.");
+    } finally {
+      setSessionsBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-sm text-slate-400">Loading security settings…</div>;
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      maxLength={6}
+      placeholder="123456"
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+      className={`${INPUT_CLASS} w-32 font-mono tracking-widest`}
+    />
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-slate-100">Security</h3>
+        <p className="text-sm text-slate-400">
+          Two-factor authentication asks for a code from an authenticator app after your password,
+          so a leaked password alone is not enough to sign in. Review and revoke the sessions
+          signed in to your account below.
+        </p>
+      </div>
+
+      {recoveryCodes && <RecoveryCodesList codes={recoveryCodes} />}
+
+      <div className="space-y-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <h4 className="text-sm font-semibold text-slate-200">Authenticator app</h4>
+          <span
+            className={`rounded-full px-2 py-1 text-[10px] font-semibold uppercase ${
+              status?.enabled
+                ? "bg-emerald-500/15 text-emerald-300"
+                : "bg-slate-700/60 text-slate-300"
+            }`}
+          >
+            {status?.enabled ? "On" : "Off"}
+          </span>
+        </div>
+
+        {status?.enabled ? (
+          <div className="space-y-4 text-sm text-slate-300">
+            <p>
+              Enabled {formatDateTime(status.enrolledAt)}. {status.recoveryCodesRemaining} unused
+              recovery {status.recoveryCodesRemaining === 1 ? "code" : "codes"} left.
+            </p>
+            <div className="flex flex-wrap items-end gap-3">
+              <label className="flex flex-col gap-2">
+                <span className="text-sm font-semibold text-slate-200">Current code</span>
+                {codeInput}
+              </label>
+              <button
+                type="button"
+                onClick={handleRegenerate}
+                disabled={saving || code.length !== 6}
+                className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+              >
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button
+                  type="button"
+                  onClick={handleDisable}
+                  disabled={saving || code.length !== 6}
+                  className="rounded border border-rose-600 px-3 py-2 text-sm font-semibold text-rose-200 hover:bg-rose-900/30 disabled:opacity-60"
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+            {status.required && (
+              <p className="text-xs text-slate-400">
+                Your administrator requires two-factor authentication for your account.
+              </p>
+            )}
+          </div>
+        ) : setup ? (
+          <form className="space-y-4" onSubmit={handleEnable}>
+            <p className="text-sm text-slate-300">
+              Scan the code with an authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <TwoFactorSecret secret={setup.secret} otpauthUri={setup.otpauthUri} />
+            <div className="flex flex-wrap items-end gap-3">
+              <label className="flex flex-col gap-2">
+                <span className="text-sm font-semibold text-slate-200">Code</span>
+                {codeInput}
+              </label>
+              <button
+                type="submit"
+                disabled={saving || code.length !== 6}
+                className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+              >
+                {saving ? "Checking…" : "Turn on"}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetup(null)}
+                className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-3 text-sm text-slate-300">
+            {status?.required && (
+              <p className="text-amber-200">
+                Your administrator requires two-factor authentication. Set it up now or you will be
+                asked to at your next sign-in.
+              </p>
+            )}
+            <button
+              type="button"
+              onClick={handleStartSetup}
+              disabled={saving}
+              className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+            >
+              Set up two-factor authentication
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-4 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <h4 className="text-sm font-semibold text-slate-200">Active sessions</h4>
+            <p className="text-xs text-slate-400">
+              Browsers and devices currently signed in to your account.
+            </p>
+          </div>
+          {sessions.some((session) => !session.current) && (
+            <button
+              type="button"
+              onClick={handleRevokeOtherSessions}
+              disabled={sessionsBusy}
+              className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500 disabled:opacity-60"
+            >
+              Sign out other sessions
+            </button>
+          )}
+        </div>
+        <SessionList sessions={sessions} onRevoke={handleRevokeSession} disabled={sessionsBusy} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,458 @@
+import { useEffect, useMemo, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+import {
+  CONDITION_OPERATOR_OPTIONS,
+  CONDITION_SOURCE_OPTIONS,
+  OPERATORS_WITHOUT_VALUE,
+  buildConditionPayload,
+  createConditionForm,
+  describeOutcomeCondition,
+} from "../utils/outcomeCondition";
+
+const TRIGGER_EVENT_OPTIONS = [
+  { value: "success", label: "succeeds" },
+  { value: "error", label: "fails" },
+  { value: "completed", label: "finishes (success or failure)" },
+];
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const DEFAULT_FORM_STATE = {
+  name: "",
+  sourceScriptId: "",
+  onStatus: "success",
+  targetScriptId: "",
+  hasCondition: false,
+  condition: createConditionForm(null),
+  isEnabled: true,
+};
+
+function formatDateTime(value) {
+  if (!value) return "Never";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+export default function SettingsTriggers({ onAuthError }) {
+  const [triggers, setTriggers] = useState([]);
+  const [scripts, setScripts] = useState([]);
+  const [maxChainDepth, setMaxChainDepth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(DEFAULT_FORM_STATE);
+  const [editingId, setEditingId] = useState("");
+  const { showNotification } = useNotificationDialog();
+
+  const scriptLookup = useMemo(() => {
+    const lookup = {};
+    scripts.forEach((script) => {
+      if (script?.id) {
+        lookup[script.id] = script;
+      }
+    });
+    return lookup;
+  }, [scripts]);
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const loadTriggers = async () => {
+    setLoading(true);
+    try {
+      const response = await apiRequest("/api/settings/triggers");
+      setTriggers(Array.isArray(response?.triggers) ? response.triggers : []);
+      setMaxChainDepth(response?.maxChainDepth ?? null);
+    } catch (err) {
+      handleAuthError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadScripts = async () => {
+    try {
+      const response = await apiRequest("/api/scripts");
+      const items = Array.isArray(response)
+        ? response
+        : Array.isArray(response.scripts)
+          ? response.scripts
+          : [];
+      setScripts(items.filter((script) => !script.isRecycled));
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  useEffect(() => {
+    loadTriggers();
+    loadScripts();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const resetForm = () => {
+    setForm(DEFAULT_FORM_STATE);
+    setEditingId("");
+  };
+
+  const updateCondition = (changes) => {
+    setForm((prev) => ({ ...prev, condition: { ...prev.condition, ...changes } }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        name: form.name,
+        sourceScriptId: form.sourceScriptId,
+        onStatus: form.onStatus,
+        targetScriptId: form.targetScriptId,
+        condition: form.hasCondition ? buildConditionPayload(form.condition) : null,
+        isEnabled: form.isEnabled,
+      };
+
+      if (editingId) {
+        await apiRequest(`/api/settings/triggers/${editingId}`, {
+          method: "PATCH",
+          body: payload,
+        });
+        showNotification({
+          title: "Trigger updated",
+          description: "Changes were saved successfully.",
+          tone: "success",
+        });
+      } else {
+        await apiRequest("/api/settings/triggers", {
+          method: "POST",
+          body: payload,
+        });
+        showNotification({
+          title: "Trigger created",
+          description: "The target script will run the next time the source script finishes.",
+          tone: "success",
+        });
+      }
+
+      resetForm();
+      await loadTriggers();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Trigger change failed",
+        description: err?.message || "Unable to save changes.",
+        tone: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (trigger) => {
+    setForm({
+      name: trigger.name || "",
+      sourceScriptId: trigger.sourceScriptId || "",
+      onStatus: trigger.onStatus || "success",
+      targetScriptId: trigger.targetScriptId || "",
+      hasCondition: Boolean(trigger.condition),
+      condition: createConditionForm(trigger.condition),
+      isEnabled: Boolean(trigger.isEnabled),
+    });
+    setEditingId(trigger.id);
+  };
+
+  const handleEnableToggle = async (trigger) => {
+    try {
+      await apiRequest(`/api/settings/triggers/${trigger.id}`, {
+        method: "PATCH",
+        body: { isEnabled: !trigger.isEnabled },
+      });
+      await loadTriggers();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Trigger change failed",
+        description: err?.message || "Unable to update the trigger.",
+        tone: "error",
+      });
+    }
+  };
+
+  const handleDelete = async (trigger) => {
+    if (!window.confirm("Delete this trigger?")) return;
+    try {
+      await apiRequest(`/api/settings/triggers/${trigger.id}`, {
+        method: "DELETE",
+      });
+      setTriggers((prev) => prev.filter((item) => item.id !== trigger.id));
+      if (editingId === trigger.id) {
+        resetForm();
+      }
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  const scriptName = (scriptId, fallback) => scriptLookup[scriptId]?.name || fallback || scriptId || "Unknown";
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-100">
+              {editingId ? "Edit trigger" : "Create trigger"}
+            </h3>
+            <p className="text-xs text-slate-400">
+              Run a script when another script finishes. The target receives the upstream run id, status,
+              exit code and return data as its input.
+            </p>
+          </div>
+          {editingId && (
+            <button
+              type="button"
+              className="text-xs font-semibold text-sky-300 hover:text-sky-200"
+              onClick={resetForm}
+            >
+              New trigger
+            </button>
+          )}
+        </div>
+
+        <form className="mt-4 grid gap-4 md:grid-cols-2" onSubmit={handleSubmit}>
+          <label className="flex flex-col gap-2 md:col-span-2">
+            <span className="text-sm font-semibold text-slate-200">Name (optional)</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              className={INPUT_CLASS}
+              placeholder="Clean up after failed import"
+            />
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">When script</span>
+            <select
+              value={form.sourceScriptId}
+              onChange={(e) => setForm((prev) => ({ ...prev, sourceScriptId: e.target.value }))}
+              className={INPUT_CLASS}
+            >
+              <option value="">Select a script</option>
+              {scripts.map((script) => (
+                <option key={script.id} value={script.id}>
+                  {script.name || script.id}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">Event</span>
+            <select
+              value={form.onStatus}
+              onChange={(e) => setForm((prev) => ({ ...prev, onStatus: e.target.value }))}
+              className={INPUT_CLASS}
+            >
+              {TRIGGER_EVENT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-2 md:col-span-2">
+            <span className="text-sm font-semibold text-slate-200">Run script</span>
+            <select
+              value={form.targetScriptId}
+              onChange={(e) => setForm((prev) => ({ ...prev, targetScriptId: e.target.value }))}
+              className={INPUT_CLASS}
+            >
+              <option value="">Select a script</option>
+              {scripts.map((script) => (
+                <option key={script.id} value={script.id}>
+                  {script.name || script.id}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="space-y-2 text-sm md:col-span-2">
+            <label className="flex items-center gap-2 text-slate-200">
+              <input
+                type="checkbox"
+                checked={form.hasCondition}
+                onChange={(e) => setForm((prev) => ({ ...prev, hasCondition: e.target.checked }))}
+              />
+              <span>Only fire when the upstream result matches a condition</span>
+            </label>
+            {form.hasCondition && (
+              <div className="grid gap-2 md:grid-cols-3">
+                <select
+                  value={form.condition.source}
+                  onChange={(e) => updateCondition({ source: e.target.value })}
+                  className={INPUT_CLASS}
+                >
+                  {CONDITION_SOURCE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={form.condition.operator}
+                  onChange={(e) => updateCondition({ operator: e.target.value })}
+                  className={INPUT_CLASS}
+                >
+                  {CONDITION_OPERATOR_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {!OPERATORS_WITHOUT_VALUE.includes(form.condition.operator) && (
+                  <input
+                    type="text"
+                    value={form.condition.value}
+                    onChange={(e) => updateCondition({ value: e.target.value })}
+                    className={INPUT_CLASS}
+                    placeholder="Value"
+                  />
+                )}
+                {form.condition.source === "return" && (
+                  <input
+                    type="text"
+                    value={form.condition.path}
+                    onChange={(e) => updateCondition({ path: e.target.value })}
+                    className={`${INPUT_CLASS} font-mono md:col-span-3`}
+                    placeholder="Return field, e.g. result.status"
+                    spellCheck={false}
+                  />
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between md:col-span-2">
+            <label className="flex items-center gap-2 text-sm text-slate-200">
+              <input
+                type="checkbox"
+                checked={form.isEnabled}
+                onChange={(e) => setForm((prev) => ({ ...prev, isEnabled: e.target.checked }))}
+              />
+              <span>Enabled</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={resetForm}
+                className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500"
+              >
+                Reset
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+              >
+                {saving ? "Saving..." : editingId ? "Update trigger" : "Create trigger"}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-100">Triggers</h3>
+          <span className="text-xs text-slate-400">
+            {triggers.length} configured
+            {maxChainDepth ? ` · chains stop after ${maxChainDepth} hops` : ""}
+          </span>
+        </div>
+        {loading ? (
+          <div className="text-sm text-slate-400">Loading triggers…</div>
+        ) : triggers.length === 0 ? (
+          <div className="rounded border border-dashed border-slate-700 bg-[color:var(--color-surface-2)] p-4 text-sm text-slate-400">
+            No triggers yet.
+          </div>
+        ) : (
+          <div className="grid gap-3 lg:grid-cols-2">
+            {triggers.map((trigger) => {
+              const sourceName = scriptName(trigger.sourceScriptId, trigger.sourceScriptName);
+              const targetName = scriptName(trigger.targetScriptId, trigger.targetScriptName);
+              const eventLabel =
+                TRIGGER_EVENT_OPTIONS.find((option) => option.value === trigger.onStatus)?.label || trigger.onStatus;
+              return (
+                <div
+                  key={trigger.id}
+                  className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4"
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="text-sm font-semibold text-slate-100">{trigger.name || "Untitled trigger"}</div>
+                      <div className="text-xs text-slate-400">
+                        When {sourceName} {eventLabel}, run {targetName}
+                      </div>
+                      {trigger.condition && (
+                        <div className="text-xs text-slate-500">
+                          Only if {describeOutcomeCondition(trigger.condition, sourceName)}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`rounded-full px-2 py-1 text-[10px] font-semibold uppercase ${
+                          trigger.isEnabled
+                            ? "bg-emerald-600/20 text-emerald-200"
+                            : "bg-slate-700 text-slate-300"
+                        }`}
+                      >
+                        {trigger.isEnabled ? "Enabled" : "Disabled"}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleEnableToggle(trigger)}
+                        className="rounded border border-slate-700 px-2 py-1 text-xs text-slate-200 hover:border-sky-500"
+                      >
+                        {trigger.isEnabled ? "Disable" : "Enable"}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-3 text-xs text-slate-400">
+                    <div className="font-semibold text-slate-300">Last fired</div>
+                    <div>
+                      {formatDateTime(trigger.lastFiredAt)}
+                      {trigger.lastRunId && <span className="ml-2 font-mono text-slate-500">{trigger.lastRunId}</span>}
+                    </div>
+                  </div>
+                  <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(trigger)}
+                      className="rounded border border-sky-600 px-3 py-1.5 font-semibold text-sky-200 hover:bg-sky-900/40"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(trigger)}
+                      className="rounded border border-rose-600 px-3 py-1.5 font-semibold text-rose-200 hover:bg-rose-900/30"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
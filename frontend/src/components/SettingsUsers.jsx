@@ -1,6 +1,9 @@
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import { apiRequest } from "../utils/api";
 import { useNotificationDialog } from "./NotificationDialogProvider";
+import SettingsGroups from "./SettingsGroups";
+import SettingsRoles from "./SettingsRoles";
+import SessionList from "./SessionList";
 
 const initialFormState = {
   username: "",
@@ -20,6 +23,7 @@ function formatTimestamp(value) {
 export default function SettingsUsers({ currentUser, onAuthError }) {
   const { confirm } = useNotificationDialog();
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
   const [form, setForm] = useState(initialFormState);
@@ -27,6 +31,9 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
   const [formSuccess, setFormSuccess] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isCreateOpen, setIsCreateOpen] = useState(false);
+  const [sessionsUserId, setSessionsUserId] = useState(null);
+  const [userSessions, setUserSessions] = useState([]);
+  const [isLoadingSessions, setIsLoadingSessions] = useState(false);
 
   const updateUserInState = (updatedUser) => {
     if (!updatedUser) return;
@@ -56,8 +63,22 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
     }
   };
 
+  const loadRoles = async () => {
+    try {
+      const data = await apiRequest("/api/roles");
+      setRoles(Array.isArray(data?.roles) ? data.roles : []);
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to load roles");
+      }
+    }
+  };
+
   useEffect(() => {
     loadUsers();
+    loadRoles();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   const resetForm = () => {
@@ -201,6 +222,27 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
     }
   };
 
+  const handleAssignGlobalRole = async (user, roleId) => {
+    try {
+      setError("");
+      const response = await apiRequest(`/api/users/${user.id}`, {
+        method: "PATCH",
+        body: { roleId: roleId || null },
+      });
+      const updated = response?.user;
+      if (updated) {
+        updateUserInState(updated);
+      }
+      loadRoles();
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to assign role");
+      }
+    }
+  };
+
   const handleRenameUser = async (user) => {
     const proposed = window.prompt(
       `Rename "${user.username}" to:`,
@@ -237,6 +279,117 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
     }
   };
 
+  const handleUnlockUser = async (user) => {
+    try {
+      setError("");
+      const response = await apiRequest(`/api/users/${user.id}/lockout`, { method: "DELETE" });
+      const updated = response?.user;
+      if (updated) {
+        updateUserInState(updated);
+      }
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to unlock user");
+      }
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    const confirmed = await confirm({
+      title: `Reset two-factor authentication for "${user.username}"?`,
+      message:
+        "Their authenticator and recovery codes stop working. They sign in with just their password until they set it up again.",
+      tone: "danger",
+      confirmLabel: "Reset 2FA",
+    });
+    if (!confirmed) return;
+
+    try {
+      setError("");
+      const response = await apiRequest(`/api/users/${user.id}/2fa`, { method: "DELETE" });
+      const updated = response?.user;
+      if (updated) {
+        updateUserInState(updated);
+      }
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(
+          err?.data?.error || err.message || "Failed to reset two-factor authentication",
+        );
+      }
+    }
+  };
+
+  const loadUserSessions = async (userId) => {
+    setIsLoadingSessions(true);
+    try {
+      setError("");
+      const response = await apiRequest(`/api/users/${userId}/sessions`);
+      setUserSessions(Array.isArray(response?.sessions) ? response.sessions : []);
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to load sessions");
+      }
+    } finally {
+      setIsLoadingSessions(false);
+    }
+  };
+
+  const handleToggleSessions = (user) => {
+    if (sessionsUserId === user.id) {
+      setSessionsUserId(null);
+      return;
+    }
+    setSessionsUserId(user.id);
+    setUserSessions([]);
+    loadUserSessions(user.id);
+  };
+
+  const handleRevokeUserSession = async (user, session) => {
+    try {
+      setError("");
+      await apiRequest(
+        `/api/users/${user.id}/sessions/${encodeURIComponent(session.id)}`,
+        { method: "DELETE" },
+      );
+      await loadUserSessions(user.id);
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to revoke session");
+      }
+    }
+  };
+
+  const handleRevokeAllSessions = async (user) => {
+    const confirmed = await confirm({
+      title: `Sign "${user.username}" out everywhere?`,
+      message: "Every browser and device signed in to this account will be signed out.",
+      tone: "warn",
+      confirmLabel: "Sign out everywhere",
+    });
+    if (!confirmed) return;
+
+    try {
+      setError("");
+      await apiRequest(`/api/users/${user.id}/sessions`, { method: "DELETE" });
+      await loadUserSessions(user.id);
+    } catch (err) {
+      if (onAuthError && (err.status === 401 || err.status === 403)) {
+        onAuthError(err);
+      } else {
+        setError(err?.data?.error || err.message || "Failed to revoke sessions");
+      }
+    }
+  };
+
   const handleDeleteUser = async (user) => {
     const confirmed = await confirm({
       title: `Delete user "${user.username}"?`,
@@ -407,6 +560,7 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
               <tr>
                 <th className="px-4 py-2 text-left">Username</th>
                 <th className="px-4 py-2 text-left">Role</th>
+                <th className="px-4 py-2 text-left">Global role</th>
                 <th className="px-4 py-2 text-left">Status</th>
                 <th className="px-4 py-2 text-left">Last login</th>
                 <th className="px-4 py-2" aria-label="actions" />
@@ -415,12 +569,46 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
             <tbody className="divide-y divide-slate-800 bg-slate-900/30 text-slate-200">
               {sortedUsers.map((user) => {
                 const isCurrent = currentUser?.id === user.id;
+                const showSessions = sessionsUserId === user.id;
                 return (
-                  <tr key={user.id} className={user.isActive ? "" : "opacity-70"}>
-                    <td className="px-4 py-2 font-medium text-slate-100">{user.username}</td>
+                  <Fragment key={user.id}>
+                  <tr className={user.isActive ? "" : "opacity-70"}>
+                    <td className="px-4 py-2 font-medium text-slate-100">
+                      {user.username}
+                      {user.authProvider && (
+                        <span className="ml-2 inline-flex items-center rounded-full bg-sky-500/15 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide text-sky-200">
+                          SSO
+                        </span>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <span className="ml-2 inline-flex items-center rounded-full bg-emerald-500/15 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide text-emerald-300">
+                          2FA
+                        </span>
+                      )}
+                    </td>
                   <td className="px-4 py-2 text-slate-300">
                     {user.isAdmin ? "Administrator" : "User"}
                   </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={user.roleId || ""}
+                      onChange={(event) => handleAssignGlobalRole(user, event.target.value)}
+                      disabled={user.isAdmin}
+                      title={
+                        user.isAdmin
+                          ? "Administrators already have full access"
+                          : "Applies to every script and collection"
+                      }
+                      className="rounded border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      <option value="">None</option>
+                      {roles.map((role) => (
+                        <option key={role.id} value={role.id}>
+                          {role.name}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
                   <td className="px-4 py-2">
                     <span
                         className={`inline-flex items-center rounded-full px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${
@@ -436,6 +624,14 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
                           Change password
                         </span>
                       )}
+                      {user.lockedUntil && (
+                        <span
+                          className="ml-2 inline-flex items-center rounded-full bg-rose-500/15 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide text-rose-200"
+                          title={`Locked until ${formatTimestamp(user.lockedUntil)}`}
+                        >
+                          Locked
+                        </span>
+                      )}
                     </td>
                     <td className="px-4 py-2 text-slate-400">
                       {formatTimestamp(user.lastLogin)}
@@ -471,6 +667,31 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
                         >
                           Require reset
                         </button>
+                        {user.lockedUntil && (
+                          <button
+                            type="button"
+                            onClick={() => handleUnlockUser(user)}
+                            className="rounded border border-amber-500/50 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-amber-200 transition hover:bg-amber-500/10"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => handleToggleSessions(user)}
+                          className="rounded border border-slate-700 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-200 transition hover:bg-slate-800"
+                        >
+                          {showSessions ? "Hide sessions" : "Sessions"}
+                        </button>
+                        {user.twoFactorEnabled && (
+                          <button
+                            type="button"
+                            onClick={() => handleResetTwoFactor(user)}
+                            className="rounded border border-amber-500/50 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-amber-200 transition hover:bg-amber-500/10"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
                         <button
                           type="button"
                           onClick={() => handleDeleteUser(user)}
@@ -487,13 +708,46 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
                       </div>
                     </td>
                   </tr>
+                  {showSessions && (
+                    <tr>
+                      <td colSpan={6} className="bg-slate-900/60 px-4 py-3">
+                        <div className="space-y-3">
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <span className="text-xs font-semibold uppercase tracking-wide text-slate-400">
+                              Active sessions for {user.username}
+                            </span>
+                            {!isCurrent && userSessions.length > 0 && (
+                              <button
+                                type="button"
+                                onClick={() => handleRevokeAllSessions(user)}
+                                disabled={isLoadingSessions}
+                                className="rounded border border-rose-600 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-rose-200 transition hover:bg-rose-900/30 disabled:opacity-60"
+                              >
+                                Sign out everywhere
+                              </button>
+                            )}
+                          </div>
+                          {isLoadingSessions && !userSessions.length ? (
+                            <p className="text-sm text-slate-400">Loading sessions…</p>
+                          ) : (
+                            <SessionList
+                              sessions={userSessions}
+                              onRevoke={(session) => handleRevokeUserSession(user, session)}
+                              disabled={isLoadingSessions}
+                            />
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  </Fragment>
                 );
               })}
               {!sortedUsers.length && !isLoading && (
                 <tr>
                   <td
                     className="px-4 py-6 text-center text-sm text-slate-400"
-                    colSpan={5}
+                    colSpan={6}
                   >
                     No users found.
                   </td>
@@ -503,7 +757,7 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
                 <tr>
                   <td
                     className="px-4 py-6 text-center text-sm text-slate-400"
-                    colSpan={5}
+                    colSpan={6}
                   >
                     Loading users…
                   </td>
@@ -513,6 +767,10 @@ export default function SettingsUsers({ currentUser, onAuthError }) {
           </table>
         </div>
       </div>
+
+      <SettingsGroups users={sortedUsers} onAuthError={onAuthError} />
+
+      <SettingsRoles roles={roles} onRolesChanged={loadRoles} onAuthError={onAuthError} />
     </div>
   );
 }
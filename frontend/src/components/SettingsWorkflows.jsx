@@ -0,0 +1,855 @@
+import { useEffect, useMemo, useState } from "react";
+import { apiRequest } from "../utils/api";
+import { useNotificationDialog } from "./NotificationDialogProvider";
+import {
+  CONDITION_OPERATOR_OPTIONS,
+  CONDITION_SOURCE_OPTIONS,
+  OPERATORS_WITHOUT_VALUE,
+  buildConditionPayload,
+  createConditionForm,
+  describeOutcomeCondition,
+} from "../utils/outcomeCondition";
+
+const JOIN_OPTIONS = [
+  { value: "all", label: "All dependencies succeed" },
+  { value: "any", label: "Any dependency succeeds" },
+];
+
+const RUN_POLL_INTERVAL_MS = 3000;
+
+const INPUT_CLASS =
+  "rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-sm text-slate-100";
+
+const DEFAULT_FORM_STATE = {
+  name: "",
+  endpoint: "",
+  description: "",
+  isEnabled: true,
+  steps: [],
+};
+
+function createStepForm(index, step = null) {
+  return {
+    id: step?.id || `step-${index + 1}`,
+    scriptId: step?.scriptId || "",
+    dependsOn: Array.isArray(step?.dependsOn) ? step.dependsOn : [],
+    join: step?.join || "all",
+    branch: Boolean(step?.when),
+    when: {
+      step: step?.when?.step || "",
+      ...createConditionForm(step?.when),
+    },
+  };
+}
+
+function buildDefinitionPayload(steps) {
+  return {
+    steps: steps.map((step) => ({
+      id: step.id.trim(),
+      scriptId: step.scriptId,
+      dependsOn: step.dependsOn,
+      join: step.join,
+      when: step.branch ? { step: step.when.step, ...buildConditionPayload(step.when) } : null,
+    })),
+  };
+}
+
+function formatDateTime(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString();
+}
+
+function getStatusBadgeTone(status) {
+  const baseClasses = "rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase";
+  switch (status) {
+    case "success":
+      return `${baseClasses} bg-emerald-600/20 text-emerald-200`;
+    case "error":
+      return `${baseClasses} bg-rose-600/20 text-rose-200`;
+    case "running":
+      return `${baseClasses} bg-sky-600/20 text-sky-200`;
+    case "cancelled":
+      return `${baseClasses} bg-amber-600/20 text-amber-200`;
+    default:
+      return `${baseClasses} bg-slate-700 text-slate-300`;
+  }
+}
+
+export default function SettingsWorkflows({ onAuthError }) {
+  const [workflows, setWorkflows] = useState([]);
+  const [scripts, setScripts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(DEFAULT_FORM_STATE);
+  const [editingId, setEditingId] = useState("");
+  const [runForm, setRunForm] = useState({ workflowId: "", input: "" });
+  const [history, setHistory] = useState({ workflowId: "", loading: false, runs: [] });
+  const [tokenState, setTokenState] = useState({ workflowId: "", token: "" });
+  const { showNotification } = useNotificationDialog();
+
+  const scriptLookup = useMemo(() => {
+    const lookup = {};
+    scripts.forEach((script) => {
+      if (script?.id) {
+        lookup[script.id] = script;
+      }
+    });
+    return lookup;
+  }, [scripts]);
+
+  const handleAuthError = (error) => {
+    if (typeof onAuthError === "function") {
+      onAuthError(error);
+    }
+  };
+
+  const loadWorkflows = async () => {
+    setLoading(true);
+    try {
+      const response = await apiRequest("/api/settings/workflows");
+      setWorkflows(Array.isArray(response?.workflows) ? response.workflows : []);
+    } catch (err) {
+      handleAuthError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadScripts = async () => {
+    try {
+      const response = await apiRequest("/api/scripts");
+      const items = Array.isArray(response)
+        ? response
+        : Array.isArray(response.scripts)
+          ? response.scripts
+          : [];
+      setScripts(items.filter((script) => !script.isRecycled));
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  useEffect(() => {
+    loadWorkflows();
+    loadScripts();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const historyIsActive = history.runs.some((run) => run.status === "running");
+
+  // Keep refreshing the open history while a run is still in flight.
+  useEffect(() => {
+    if (!history.workflowId || !historyIsActive) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiRequest(`/api/settings/workflows/${history.workflowId}/runs`);
+        setHistory((prev) =>
+          prev.workflowId === history.workflowId
+            ? { ...prev, runs: Array.isArray(response?.runs) ? response.runs : [] }
+            : prev,
+        );
+      } catch (err) {
+        if (typeof onAuthError === "function") {
+          onAuthError(err);
+        }
+      }
+    }, RUN_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [history.workflowId, history.runs, historyIsActive, onAuthError]);
+
+  const resetForm = () => {
+    setForm(DEFAULT_FORM_STATE);
+    setEditingId("");
+  };
+
+  const updateStep = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, stepIndex) => (stepIndex === index ? { ...step, ...changes } : step)),
+    }));
+  };
+
+  const updateStepCondition = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, stepIndex) =>
+        stepIndex === index ? { ...step, when: { ...step.when, ...changes } } : step,
+      ),
+    }));
+  };
+
+  // Step ids are referenced by other steps, so renames are carried over to them.
+  const handleRenameStep = (index, nextId) => {
+    setForm((prev) => {
+      const previousId = prev.steps[index]?.id;
+      return {
+        ...prev,
+        steps: prev.steps.map((step, stepIndex) => {
+          if (stepIndex === index) return { ...step, id: nextId };
+          return {
+            ...step,
+            dependsOn: step.dependsOn.map((id) => (id === previousId ? nextId : id)),
+            when: step.when.step === previousId ? { ...step.when, step: nextId } : step.when,
+          };
+        }),
+      };
+    });
+  };
+
+  const handleAddStep = () => {
+    setForm((prev) => {
+      const previous = prev.steps[prev.steps.length - 1];
+      const step = createStepForm(prev.steps.length);
+      if (previous) {
+        step.dependsOn = [previous.id];
+      }
+      return { ...prev, steps: [...prev.steps, step] };
+    });
+  };
+
+  // Removing a step also drops it from the dependencies and branches of the others.
+  const handleRemoveStep = (index) => {
+    setForm((prev) => {
+      const removedId = prev.steps[index]?.id;
+      return {
+        ...prev,
+        steps: prev.steps
+          .filter((_, stepIndex) => stepIndex !== index)
+          .map((step) => ({
+            ...step,
+            dependsOn: step.dependsOn.filter((id) => id !== removedId),
+            branch: step.branch && step.when.step !== removedId,
+          })),
+      };
+    });
+  };
+
+  const handleToggleDependency = (index, dependencyId) => {
+    const step = form.steps[index];
+    const dependsOn = step.dependsOn.includes(dependencyId)
+      ? step.dependsOn.filter((id) => id !== dependencyId)
+      : [...step.dependsOn, dependencyId];
+    updateStep(index, {
+      dependsOn,
+      branch: step.branch && dependsOn.includes(step.when.step),
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        name: form.name,
+        endpoint: form.endpoint,
+        description: form.description,
+        isEnabled: form.isEnabled,
+        definition: buildDefinitionPayload(form.steps),
+      };
+
+      if (editingId) {
+        await apiRequest(`/api/settings/workflows/${editingId}`, {
+          method: "PATCH",
+          body: payload,
+        });
+        showNotification({
+          title: "Workflow updated",
+          description: "Changes were saved successfully.",
+          tone: "success",
+        });
+      } else {
+        await apiRequest("/api/settings/workflows", {
+          method: "POST",
+          body: payload,
+        });
+        showNotification({
+          title: "Workflow created",
+          description: "The workflow can now be triggered.",
+          tone: "success",
+        });
+      }
+
+      resetForm();
+      await loadWorkflows();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Workflow change failed",
+        description: err?.message || "Unable to save changes.",
+        tone: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (workflow) => {
+    setForm({
+      name: workflow.name || "",
+      endpoint: workflow.endpoint || "",
+      description: workflow.description || "",
+      isEnabled: Boolean(workflow.isEnabled),
+      steps: (workflow.definition?.steps || []).map((step, index) => createStepForm(index, step)),
+    });
+    setEditingId(workflow.id);
+  };
+
+  const handleDelete = async (workflow) => {
+    if (!window.confirm("Delete this workflow, its run history and any scheduler jobs that run it?")) return;
+    try {
+      await apiRequest(`/api/settings/workflows/${workflow.id}`, {
+        method: "DELETE",
+      });
+      setWorkflows((prev) => prev.filter((item) => item.id !== workflow.id));
+      if (editingId === workflow.id) {
+        resetForm();
+      }
+      if (history.workflowId === workflow.id) {
+        setHistory({ workflowId: "", loading: false, runs: [] });
+      }
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  const loadHistory = async (workflowId) => {
+    setHistory((prev) => ({
+      workflowId,
+      loading: prev.workflowId !== workflowId,
+      runs: prev.workflowId === workflowId ? prev.runs : [],
+    }));
+    try {
+      const response = await apiRequest(`/api/settings/workflows/${workflowId}/runs`);
+      setHistory({
+        workflowId,
+        loading: false,
+        runs: Array.isArray(response?.runs) ? response.runs : [],
+      });
+    } catch (err) {
+      handleAuthError(err);
+      setHistory({ workflowId: "", loading: false, runs: [] });
+      showNotification({
+        title: "Unable to load runs",
+        description: err?.message || "The workflow run history could not be loaded.",
+        tone: "error",
+      });
+    }
+  };
+
+  const handleToggleHistory = (workflow) => {
+    if (history.workflowId === workflow.id) {
+      setHistory({ workflowId: "", loading: false, runs: [] });
+      return;
+    }
+    loadHistory(workflow.id);
+  };
+
+  const handleRun = async (workflow) => {
+    let input = null;
+    const rawInput = runForm.workflowId === workflow.id ? runForm.input.trim() : "";
+    if (rawInput) {
+      try {
+        input = JSON.parse(rawInput);
+      } catch {
+        showNotification({
+          title: "Invalid input",
+          description: "Workflow input must be valid JSON.",
+          tone: "error",
+        });
+        return;
+      }
+    }
+
+    try {
+      await apiRequest(`/api/settings/workflows/${workflow.id}/run`, {
+        method: "POST",
+        body: { input },
+      });
+      setRunForm({ workflowId: "", input: "" });
+      showNotification({
+        title: "Workflow started",
+        description: "Step progress is shown in the run history.",
+        tone: "success",
+      });
+      await loadHistory(workflow.id);
+      await loadWorkflows();
+    } catch (err) {
+      handleAuthError(err);
+      showNotification({
+        title: "Workflow failed to start",
+        description: err?.message || "Unable to start the workflow.",
+        tone: "error",
+      });
+    }
+  };
+
+  const handleShowToken = async (workflow, rotate = false) => {
+    if (rotate && !window.confirm("Rotate the token? Existing callers will stop working.")) return;
+    try {
+      const response = await apiRequest(
+        rotate
+          ? `/api/settings/workflows/${workflow.id}/token/rotate`
+          : `/api/settings/workflows/${workflow.id}/token`,
+        { method: rotate ? "POST" : "GET" },
+      );
+      setTokenState({ workflowId: workflow.id, token: response?.token || "" });
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-100">
+              {editingId ? "Edit workflow" : "Create workflow"}
+            </h3>
+            <p className="text-xs text-slate-400">
+              Chain scripts together. Each step receives the AutomnReturn value of the step it depends on;
+              steps with several dependencies receive an object keyed by step id.
+            </p>
+          </div>
+          {editingId && (
+            <button
+              type="button"
+              className="text-xs font-semibold text-sky-300 hover:text-sky-200"
+              onClick={resetForm}
+            >
+              New workflow
+            </button>
+          )}
+        </div>
+
+        <form className="mt-4 grid gap-4 md:grid-cols-2" onSubmit={handleSubmit}>
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">Name</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              className={INPUT_CLASS}
+              placeholder="Nightly import"
+            />
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-sm font-semibold text-slate-200">Endpoint</span>
+            <input
+              type="text"
+              value={form.endpoint}
+              onChange={(e) => setForm((prev) => ({ ...prev, endpoint: e.target.value }))}
+              className={`${INPUT_CLASS} font-mono`}
+              placeholder="nightly-import"
+              spellCheck={false}
+            />
+            <span className="text-xs text-slate-400">Triggered with POST /w/{form.endpoint || "<endpoint>"}</span>
+          </label>
+
+          <label className="flex flex-col gap-2 md:col-span-2">
+            <span className="text-sm font-semibold text-slate-200">Description (optional)</span>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              className={INPUT_CLASS}
+            />
+          </label>
+
+          <div className="space-y-3 md:col-span-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-semibold text-slate-200">Steps</span>
+              <button
+                type="button"
+                onClick={handleAddStep}
+                className="rounded border border-sky-600 px-3 py-1.5 text-xs font-semibold text-sky-200 hover:bg-sky-900/40"
+              >
+                Add step
+              </button>
+            </div>
+            {form.steps.length === 0 && (
+              <div className="rounded border border-dashed border-slate-700 bg-[color:var(--color-surface-2)] p-4 text-sm text-slate-400">
+                Add a step to pick the first script.
+              </div>
+            )}
+            {form.steps.map((step, index) => {
+              const otherSteps = form.steps.filter((_, otherIndex) => otherIndex !== index);
+              return (
+                <div
+                  key={index}
+                  className="space-y-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-3"
+                >
+                  <div className="grid gap-3 md:grid-cols-[1fr_2fr_auto]">
+                    <label className="flex flex-col gap-1 text-sm">
+                      <span className="text-gray-400">Step id</span>
+                      <input
+                        type="text"
+                        value={step.id}
+                        onChange={(e) => handleRenameStep(index, e.target.value)}
+                        className={`${INPUT_CLASS} font-mono`}
+                        spellCheck={false}
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1 text-sm">
+                      <span className="text-gray-400">Script</span>
+                      <select
+                        value={step.scriptId}
+                        onChange={(e) => updateStep(index, { scriptId: e.target.value })}
+                        className={INPUT_CLASS}
+                      >
+                        <option value="">Select a script</option>
+                        {scripts.map((script) => (
+                          <option key={script.id} value={script.id}>
+                            {script.name || script.id}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveStep(index)}
+                      className="self-end rounded border border-rose-600 px-3 py-2 text-xs font-semibold text-rose-200 hover:bg-rose-900/30"
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  {otherSteps.length > 0 && (
+                    <div className="text-sm">
+                      <span className="text-gray-400">Runs after</span>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {otherSteps.map((other) => (
+                          <label
+                            key={other.id}
+                            className="flex items-center gap-2 rounded border border-slate-700 bg-slate-900 px-3 py-1.5 text-xs text-slate-200"
+                          >
+                            <input
+                              type="checkbox"
+                              className="h-4 w-4 accent-sky-400"
+                              checked={step.dependsOn.includes(other.id)}
+                              onChange={() => handleToggleDependency(index, other.id)}
+                            />
+                            <span className="font-mono">{other.id}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {step.dependsOn.length > 1 && (
+                    <label className="flex flex-col gap-1 text-sm md:w-1/2">
+                      <span className="text-gray-400">Start when</span>
+                      <select
+                        value={step.join}
+                        onChange={(e) => updateStep(index, { join: e.target.value })}
+                        className={INPUT_CLASS}
+                      >
+                        {JOIN_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+
+                  {step.dependsOn.length > 0 && (
+                    <div className="space-y-2 text-sm">
+                      <label className="flex items-center gap-2 text-slate-200">
+                        <input
+                          type="checkbox"
+                          checked={step.branch}
+                          onChange={(e) =>
+                            updateStep(index, {
+                              branch: e.target.checked,
+                              when: {
+                                ...step.when,
+                                step: step.dependsOn.includes(step.when.step)
+                                  ? step.when.step
+                                  : step.dependsOn[0],
+                              },
+                            })
+                          }
+                        />
+                        <span>Only run when a condition matches</span>
+                      </label>
+                      {step.branch && (
+                        <>
+                          <div className="grid gap-2 md:grid-cols-4">
+                            <select
+                              value={step.when.step}
+                              onChange={(e) => updateStepCondition(index, { step: e.target.value })}
+                              className={INPUT_CLASS}
+                            >
+                              {step.dependsOn.map((id) => (
+                                <option key={id} value={id}>
+                                  {id}
+                                </option>
+                              ))}
+                            </select>
+                            <select
+                              value={step.when.source}
+                              onChange={(e) => updateStepCondition(index, { source: e.target.value })}
+                              className={INPUT_CLASS}
+                            >
+                              {CONDITION_SOURCE_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                  {option.label}
+                                </option>
+                              ))}
+                            </select>
+                            <select
+                              value={step.when.operator}
+                              onChange={(e) => updateStepCondition(index, { operator: e.target.value })}
+                              className={INPUT_CLASS}
+                            >
+                              {CONDITION_OPERATOR_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                  {option.label}
+                                </option>
+                              ))}
+                            </select>
+                            {!OPERATORS_WITHOUT_VALUE.includes(step.when.operator) && (
+                              <input
+                                type="text"
+                                value={step.when.value}
+                                onChange={(e) => updateStepCondition(index, { value: e.target.value })}
+                                className={INPUT_CLASS}
+                                placeholder="Value"
+                              />
+                            )}
+                            {step.when.source === "return" && (
+                              <input
+                                type="text"
+                                value={step.when.path}
+                                onChange={(e) => updateStepCondition(index, { path: e.target.value })}
+                                className={`${INPUT_CLASS} font-mono md:col-span-4`}
+                                placeholder="Return field, e.g. result.status"
+                                spellCheck={false}
+                              />
+                            )}
+                          </div>
+                          <p className="text-xs text-slate-400">
+                            Branch steps also run when the step they check fails, so a failure can be routed
+                            to a handler instead of stopping the workflow.
+                          </p>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex items-center justify-between md:col-span-2">
+            <label className="flex items-center gap-2 text-sm text-slate-200">
+              <input
+                type="checkbox"
+                checked={form.isEnabled}
+                onChange={(e) => setForm((prev) => ({ ...prev, isEnabled: e.target.checked }))}
+              />
+              <span>Enabled</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={resetForm}
+                className="rounded border border-slate-700 px-3 py-2 text-sm text-slate-200 hover:border-sky-500"
+              >
+                Reset
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:opacity-60"
+              >
+                {saving ? "Saving..." : editingId ? "Update workflow" : "Create workflow"}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-100">Workflows</h3>
+          <span className="text-xs text-slate-400">{workflows.length} configured</span>
+        </div>
+        {loading ? (
+          <div className="text-sm text-slate-400">Loading workflows…</div>
+        ) : workflows.length === 0 ? (
+          <div className="rounded border border-dashed border-slate-700 bg-[color:var(--color-surface-2)] p-4 text-sm text-slate-400">
+            No workflows yet.
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {workflows.map((workflow) => (
+              <div
+                key={workflow.id}
+                className="rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-1)] p-4"
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <div className="text-sm font-semibold text-slate-100">{workflow.name}</div>
+                    <div className="font-mono text-xs text-slate-400">POST /w/{workflow.endpoint}</div>
+                    {workflow.description && (
+                      <div className="text-xs text-slate-500">{workflow.description}</div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {workflow.lastRun && (
+                      <span className={getStatusBadgeTone(workflow.lastRun.status)}>
+                        Last run {workflow.lastRun.status}
+                      </span>
+                    )}
+                    <span
+                      className={`rounded-full px-2 py-1 text-[10px] font-semibold uppercase ${
+                        workflow.isEnabled
+                          ? "bg-emerald-600/20 text-emerald-200"
+                          : "bg-slate-700 text-slate-300"
+                      }`}
+                    >
+                      {workflow.isEnabled ? "Enabled" : "Disabled"}
+                    </span>
+                  </div>
+                </div>
+
+                <ol className="mt-3 space-y-1 text-xs text-slate-400">
+                  {(workflow.definition?.steps || []).map((step) => (
+                    <li key={step.id}>
+                      <span className="font-mono text-slate-200">{step.id}</span>
+                      {" → "}
+                      {scriptLookup[step.scriptId]?.name || step.scriptId}
+                      {step.dependsOn.length > 0 && (
+                        <span className="text-slate-500">
+                          {" "}
+                          after {step.dependsOn.join(step.join === "any" ? " or " : " and ")}
+                        </span>
+                      )}
+                      {step.when && (
+                        <span className="text-slate-500"> if {describeOutcomeCondition(step.when, step.when.step)}</span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+
+                {runForm.workflowId === workflow.id && (
+                  <div className="mt-3 space-y-2">
+                    <textarea
+                      rows={3}
+                      value={runForm.input}
+                      onChange={(e) => setRunForm({ workflowId: workflow.id, input: e.target.value })}
+                      className={`${INPUT_CLASS} min-h-[80px] w-full font-mono`}
+                      placeholder="JSON input for the first steps (optional)"
+                      spellCheck={false}
+                    />
+                  </div>
+                )}
+
+                {tokenState.workflowId === workflow.id && (
+                  <div className="mt-3 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-xs text-slate-300">
+                    <div className="text-slate-400">Bearer token</div>
+                    <div className="break-all font-mono">{tokenState.token || "No token issued"}</div>
+                  </div>
+                )}
+
+                <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      runForm.workflowId === workflow.id
+                        ? handleRun(workflow)
+                        : setRunForm({ workflowId: workflow.id, input: "" })
+                    }
+                    className="rounded bg-emerald-600 px-3 py-1.5 font-semibold text-white hover:bg-emerald-500"
+                  >
+                    {runForm.workflowId === workflow.id ? "Start run" : "Run"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleToggleHistory(workflow)}
+                    className="rounded border border-slate-700 px-3 py-1.5 font-semibold text-slate-200 hover:border-sky-500"
+                  >
+                    {history.workflowId === workflow.id ? "Hide runs" : "Runs"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      tokenState.workflowId === workflow.id
+                        ? setTokenState({ workflowId: "", token: "" })
+                        : handleShowToken(workflow)
+                    }
+                    className="rounded border border-slate-700 px-3 py-1.5 font-semibold text-slate-200 hover:border-sky-500"
+                  >
+                    {tokenState.workflowId === workflow.id ? "Hide token" : "Token"}
+                  </button>
+                  {tokenState.workflowId === workflow.id && (
+                    <button
+                      type="button"
+                      onClick={() => handleShowToken(workflow, true)}
+                      className="rounded border border-amber-600 px-3 py-1.5 font-semibold text-amber-200 hover:bg-amber-900/30"
+                    >
+                      Rotate token
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleEdit(workflow)}
+                    className="rounded border border-sky-600 px-3 py-1.5 font-semibold text-sky-200 hover:bg-sky-900/40"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(workflow)}
+                    className="rounded border border-rose-600 px-3 py-1.5 font-semibold text-rose-200 hover:bg-rose-900/30"
+                  >
+                    Delete
+                  </button>
+                </div>
+
+                {history.workflowId === workflow.id && (
+                  <div className="mt-3 space-y-2 rounded border border-[color:var(--color-panel-border)] bg-[color:var(--color-surface-2)] p-2 text-xs">
+                    {history.loading ? (
+                      <div className="text-slate-400">Loading runs…</div>
+                    ) : history.runs.length === 0 ? (
+                      <div className="text-slate-400">This workflow has not run yet.</div>
+                    ) : (
+                      history.runs.map((run) => (
+                        <div key={run.id} className="space-y-1 border-b border-slate-800 pb-2 last:border-0 last:pb-0">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className={getStatusBadgeTone(run.status)}>{run.status}</span>
+                            <span className="text-slate-300">{formatDateTime(run.startTime)}</span>
+                            <span className="text-slate-500">by {run.triggeredBy || "API"}</span>
+                          </div>
+                          {run.error && <div className="text-rose-200">{run.error}</div>}
+                          <ul className="space-y-0.5 pl-2">
+                            {run.steps.map((step) => (
+                              <li key={step.stepId} className="flex flex-wrap items-center gap-2 text-slate-400">
+                                <span className={getStatusBadgeTone(step.status)}>{step.status}</span>
+                                <span className="font-mono text-slate-200">{step.stepId}</span>
+                                <span>{step.scriptName || step.scriptId}</span>
+                                {step.exitCode !== null && step.exitCode !== undefined && (
+                                  <span className="text-slate-500">exit {step.exitCode}</span>
+                                )}
+                                {step.runId && <span className="font-mono text-slate-500">{step.runId}</span>}
+                                {step.error && <span className="text-rose-200">{step.error}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
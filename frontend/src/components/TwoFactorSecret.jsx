@@ -0,0 +1,52 @@
+import { useMemo } from "react";
+import { encodeQrCode } from "../utils/qrcode";
+
+const QUIET_ZONE = 4;
+
+function formatSecret(secret) {
+  return (secret || "").replace(/(.{4})/g, "$1 ").trim();
+}
+
+export default function TwoFactorSecret({ secret, otpauthUri }) {
+  const qr = useMemo(() => {
+    if (!otpauthUri) return null;
+    try {
+      const modules = encodeQrCode(otpauthUri);
+      let path = "";
+      modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+          if (dark) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+        });
+      });
+      return { path, size: modules.length + QUIET_ZONE * 2 };
+    } catch (err) {
+      console.error("Failed to render QR code", err);
+      return null;
+    }
+  }, [otpauthUri]);
+
+  return (
+    <div className="flex flex-col items-center gap-3">
+      {qr && (
+        <svg
+          viewBox={`0 0 ${qr.size} ${qr.size}`}
+          width={192}
+          height={192}
+          shapeRendering="crispEdges"
+          role="img"
+          aria-label="QR code for your authenticator app"
+          className="rounded"
+        >
+          <rect width={qr.size} height={qr.size} fill="#ffffff" />
+          <path d={qr.path} fill="#000000" />
+        </svg>
+      )}
+      <div className="text-center text-xs text-slate-400">
+        Can&apos;t scan it? Enter this key instead:
+        <code className="mt-1 block break-all font-mono text-sm text-slate-100">
+          {formatSecret(secret)}
+        </code>
+      </div>
+    </div>
+  );
+}
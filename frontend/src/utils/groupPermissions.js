@@ -0,0 +1,34 @@
+export function normalizeGroupPermission(entry) {
+  if (!entry?.groupId) return null;
+  return {
+    groupId: entry.groupId,
+    groupName: entry.groupName || "",
+    canRead: Boolean(entry.canRead),
+    canWrite: Boolean(entry.canWrite),
+    canDelete: Boolean(entry.canDelete),
+    canRun: Boolean(entry.canRun),
+    canClearLogs: Boolean(entry.canClearLogs),
+    roleId: entry.roleId || null,
+    roleName: entry.roleName || null,
+  };
+}
+
+export function sortGroupPermissions(items) {
+  return [...items].sort((a, b) =>
+    (a.groupName || "").localeCompare(b.groupName || "", undefined, {
+      sensitivity: "base",
+    }),
+  );
+}
+
+export function toGroupPermissionPayload(entries) {
+  return entries.map((entry) => ({
+    groupId: entry.groupId,
+    roleId: entry.roleId,
+    canRead: entry.canRead,
+    canWrite: entry.canWrite,
+    canDelete: entry.canDelete,
+    canRun: entry.canRun,
+    canClearLogs: entry.canClearLogs,
+  }));
+}
@@ -0,0 +1,45 @@
+export const CONDITION_SOURCE_OPTIONS = [
+  { value: "exit_code", label: "Exit code" },
+  { value: "return", label: "Return field" },
+];
+
+export const CONDITION_OPERATOR_OPTIONS = [
+  { value: "equals", label: "equals" },
+  { value: "not_equals", label: "does not equal" },
+  { value: "greater_than", label: "is greater than" },
+  { value: "less_than", label: "is less than" },
+  { value: "exists", label: "exists" },
+  { value: "truthy", label: "is truthy" },
+];
+
+export const OPERATORS_WITHOUT_VALUE = ["exists", "truthy"];
+
+export function createConditionForm(condition) {
+  return {
+    source: condition?.source || "exit_code",
+    path: condition?.path || "",
+    operator: condition?.operator || "equals",
+    value: condition?.value === null || condition?.value === undefined ? "" : String(condition.value),
+  };
+}
+
+export function buildConditionPayload(form) {
+  return {
+    source: form.source,
+    path: form.path,
+    operator: form.operator,
+    value: OPERATORS_WITHOUT_VALUE.includes(form.operator) ? null : form.value,
+  };
+}
+
+// Renders e.g. "import exit code equals 0" or "import.return.count is truthy".
+export function describeOutcomeCondition(condition, subject) {
+  if (!condition) return "";
+  const operator =
+    CONDITION_OPERATOR_OPTIONS.find((option) => option.value === condition.operator)?.label ||
+    condition.operator;
+  const field = condition.source === "return" ? `${subject}.return.${condition.path}` : `${subject} exit code`;
+  return OPERATORS_WITHOUT_VALUE.includes(condition.operator)
+    ? `${field} ${operator}`
+    : `${field} ${operator} ${condition.value}`;
+}
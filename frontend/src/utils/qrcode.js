@@ -0,0 +1,342 @@
+// Minimal QR code encoder for the authenticator enrolment screen: byte mode,
+// error correction level M, versions 1-10. That covers otpauth:// URIs
+// without pulling in a dependency or sending the secret to a rendering
+// service.
+
+// [ecCodewordsPerBlock, [blockCount, dataCodewordsPerBlock], ...] per version.
+const LEVEL_M_BLOCKS = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+
+const ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+
+const LEVEL_M_FORMAT_BITS = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+function dataCapacity(version) {
+  const [, ...groups] = LEVEL_M_BLOCKS[version];
+  return groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < degree; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+function buildDataCodewords(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push(getBit(value, i) ? 1 : 0);
+    }
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((value, bit) => (value << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+function interleaveWithEcc(codewords, version) {
+  const [ecLength, ...groups] = LEVEL_M_BLOCKS[version];
+  const divisor = reedSolomonDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i += 1) {
+      const data = codewords.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data, ecc: reedSolomonRemainder(data, divisor) });
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map((block) => block.data.length));
+  for (let i = 0; i < longest; i += 1) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ecLength; i += 1) {
+    blocks.forEach((block) => result.push(block.ecc[i]));
+  }
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  const drawFormatBits = (mask) => {
+    const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i += 1) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const alignment = ALIGNMENT_POSITIONS[version];
+  const last = alignment.length - 1;
+  alignment.forEach((cx, i) => {
+    alignment.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas; the real bits are written once the mask is chosen.
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  return { size, modules, isFunction, drawFormatBits };
+}
+
+function placeCodewords({ size, modules, isFunction }, codewords) {
+  let index = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && index < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+          index += 1;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, isFunction }, mask) {
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+const FINDER_LIKE = [true, false, true, true, true, false, true, false, false, false, false];
+
+function lineMatches(line, start, pattern) {
+  return pattern.every((value, offset) => line[start + offset] === value);
+}
+
+function scorePenalty({ size, modules }) {
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i += 1) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  const reversed = [...FINDER_LIKE].reverse();
+  lines.forEach((line) => {
+    let runLength = 1;
+    for (let i = 1; i <= size; i += 1) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength += 1;
+        continue;
+      }
+      if (runLength >= 5) penalty += 3 + (runLength - 5);
+      runLength = 1;
+    }
+    for (let i = 0; i + FINDER_LIKE.length <= size; i += 1) {
+      if (lineMatches(line, i, FINDER_LIKE)) penalty += 40;
+      if (lineMatches(line, i, reversed)) penalty += 40;
+    }
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// Returns the module grid as rows of booleans (true = dark), without the
+// quiet zone.
+export function encodeQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version < LEVEL_M_BLOCKS.length) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= dataCapacity(version) * 8) break;
+    version += 1;
+  }
+  if (version >= LEVEL_M_BLOCKS.length) {
+    throw new Error("Text is too long for a QR code");
+  }
+
+  const matrix = createMatrix(version);
+  placeCodewords(matrix, interleaveWithEcc(buildDataCodewords(bytes, version), version));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(matrix, mask);
+    matrix.drawFormatBits(mask);
+    const penalty = scorePenalty(matrix);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(matrix, mask);
+  });
+
+  applyMask(matrix, bestMask);
+  matrix.drawFormatBits(bestMask);
+  return matrix.modules;
+}
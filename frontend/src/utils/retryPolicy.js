@@ -0,0 +1,45 @@
+export const RETRY_FAILURE_TYPES = [
+  { value: "exit_code", label: "Script error / non-zero exit" },
+  { value: "runner_unavailable", label: "Runner unavailable" },
+  { value: "timeout", label: "Timeout" },
+];
+
+export const RETRY_BACKOFF_OPTIONS = [
+  { value: "fixed", label: "Fixed", description: "Every retry waits the same delay." },
+  { value: "linear", label: "Linear", description: "The delay grows by the base delay after each attempt." },
+  { value: "exponential", label: "Exponential", description: "The delay doubles after each attempt." },
+];
+
+export const RETRY_FAILURE_TYPE_LABELS = {
+  exit_code: "Script error",
+  runner_unavailable: "Runner unavailable",
+  timeout: "Timeout",
+};
+
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+
+export function createRetryPolicyForm(policy) {
+  return {
+    maxAttempts: policy?.maxAttempts || 1,
+    backoff: policy?.backoff || "fixed",
+    delaySeconds: policy?.delaySeconds || DEFAULT_RETRY_DELAY_SECONDS,
+    maxDelaySeconds: policy?.maxDelaySeconds || "",
+    retryOn: Array.isArray(policy?.retryOn)
+      ? policy.retryOn
+      : RETRY_FAILURE_TYPES.map((type) => type.value),
+  };
+}
+
+// A single attempt means retries are off, which the API stores as no policy.
+export function buildRetryPolicyPayload(form) {
+  const maxAttempts = Number.parseInt(form?.maxAttempts, 10);
+  if (!Number.isFinite(maxAttempts) || maxAttempts <= 1) return null;
+  const maxDelaySeconds = Number.parseInt(form.maxDelaySeconds, 10);
+  return {
+    maxAttempts,
+    backoff: form.backoff,
+    delaySeconds: Number.parseInt(form.delaySeconds, 10) || DEFAULT_RETRY_DELAY_SECONDS,
+    maxDelaySeconds: Number.isFinite(maxDelaySeconds) ? maxDelaySeconds : null,
+    retryOn: form.retryOn,
+  };
+}
@@ -0,0 +1,244 @@
+const net = require("net");
+const { Client, FilterParser, InvalidCredentialsError, SizeLimitExceededError } = require("ldapts");
+
+// Directory sign-in on top of ldapts: simple bind, search and StartTLS,
+// enough to authenticate users against OpenLDAP or Active Directory.
+
+const LDAP_DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+const USER_ATTRIBUTES = [
+  "memberOf",
+  "userAccountControl",
+  "pwdAccountLockedTime",
+  "nsAccountLock",
+  "entryUUID",
+  "objectGUID",
+];
+
+function createLdapError(message, code = "ldap_error", resultCode = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.resultCode = resultCode;
+  return err;
+}
+
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, (char) => {
+    return `\\${char.charCodeAt(0).toString(16).padStart(2, "0")}`;
+  });
+}
+
+// Throws when the filter is not valid RFC 4515 syntax.
+function validateFilter(filter) {
+  try {
+    FilterParser.parseString(filter);
+  } catch (err) {
+    throw createLdapError(`Invalid LDAP filter: ${err.message}`, "ldap_config");
+  }
+}
+
+// Wraps ldapts failures so callers can tell an unreachable server from a
+// protocol error by code, as with any other directory error.
+function toLdapError(err, action) {
+  if (err?.code === "ldap_config" || err?.code === "ldap_unreachable" || err?.code === "ldap_error") {
+    return err;
+  }
+  if (typeof err?.code === "number") {
+    return createLdapError(`${action} failed: ${err.message}`, "ldap_error", err.code);
+  }
+  return createLdapError(`${action} failed: ${err?.message || err}`, "ldap_unreachable");
+}
+
+function createClient({ url, timeoutMs, tlsOptions }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw createLdapError(`Invalid LDAP URL: ${url}`, "ldap_config");
+  }
+  if (parsed.protocol !== "ldap:" && parsed.protocol !== "ldaps:") {
+    throw createLdapError("LDAP URL must start with ldap:// or ldaps://", "ldap_config");
+  }
+  // ldapts switches to TLS whenever tlsOptions is set, so plain ldap:// URLs
+  // only get them through StartTLS.
+  const secure = parsed.protocol === "ldaps:";
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  const secureOptions = net.isIP(hostname) ? { ...tlsOptions } : { servername: hostname, ...tlsOptions };
+  const client = new Client({
+    url,
+    timeout: timeoutMs,
+    connectTimeout: timeoutMs,
+    tlsOptions: secure ? secureOptions : undefined,
+    strictDN: false,
+  });
+  return { client, secure, secureOptions };
+}
+
+// Resolves true when the credentials are accepted and false when the server
+// rejects them; any other failure throws.
+async function bind(client, dn, password) {
+  try {
+    await client.bind(dn, password);
+    return true;
+  } catch (err) {
+    if (err instanceof InvalidCredentialsError) {
+      return false;
+    }
+    throw toLdapError(err, "LDAP bind");
+  }
+}
+
+// Returns the matching entries. Search references (referrals to other
+// servers) are not followed, so the search base has to cover the users.
+async function search(client, base, options) {
+  try {
+    const { searchEntries } = await client.search(base, {
+      scope: "sub",
+      explicitBufferAttributes: ["objectGUID"],
+      ...options,
+    });
+    return searchEntries;
+  } catch (err) {
+    if (err instanceof SizeLimitExceededError) {
+      throw createLdapError("The user filter matched more than one directory entry", "ldap_config");
+    }
+    throw toLdapError(err, "LDAP search");
+  }
+}
+
+// ldapts keys attributes as the server spelled them; names are compared
+// case-insensitively here.
+function readAttributeValues(entry, name) {
+  const wanted = String(name).toLowerCase();
+  const key = Object.keys(entry || {}).find((candidate) => candidate.toLowerCase() === wanted);
+  if (!key || key === "dn") return [];
+  const value = entry[key];
+  return Array.isArray(value) ? value : [value];
+}
+
+function readAttribute(entry, name) {
+  return readAttributeValues(entry, name).map((value) => value.toString("utf8"));
+}
+
+function readFirstRdnValue(dn) {
+  const match = /^[^=]+=((?:\\.|[^,\\])*)/.exec(String(dn || "").trim());
+  return match ? match[1].replace(/\\(.)/g, "$1").trim() : "";
+}
+
+function isDirectoryAccountDisabled(entry) {
+  const accountControl = Number(readAttribute(entry, "userAccountControl")[0]);
+  if (Number.isFinite(accountControl) && accountControl & 0x2) {
+    return true;
+  }
+  if (readAttribute(entry, "pwdAccountLockedTime").length) {
+    return true;
+  }
+  return readAttribute(entry, "nsAccountLock")[0]?.toLowerCase() === "true";
+}
+
+function resolveDirectoryId(entry) {
+  const [guid] = readAttributeValues(entry, "objectGUID");
+  if (Buffer.isBuffer(guid) && guid.length) {
+    return guid.toString("hex");
+  }
+  return readAttribute(entry, "entryUUID")[0] || entry.dn.toLowerCase();
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? escapeFilterValue(values[key]) : match,
+  );
+}
+
+// Looks up a user with the service account (or anonymously), then binds as
+// that user to check the password. Returns null when no entry matches.
+async function authenticateDirectoryUser(options, username, password) {
+  const {
+    url,
+    startTls = false,
+    tlsOptions = {},
+    timeoutMs = LDAP_DEFAULT_TIMEOUT_MS,
+    bindDn = "",
+    bindPassword = "",
+    searchBase,
+    userFilter,
+    usernameAttribute,
+    groupSearchBase = "",
+    groupFilter = "",
+  } = options;
+
+  const { client, secure, secureOptions } = createClient({ url, timeoutMs, tlsOptions });
+  try {
+    if (startTls && !secure) {
+      try {
+        await client.startTLS(secureOptions);
+      } catch (err) {
+        throw toLdapError(err, "StartTLS");
+      }
+    }
+
+    if (bindDn) {
+      const bound = await bind(client, bindDn, bindPassword);
+      if (!bound) {
+        throw createLdapError("The LDAP service account credentials were rejected", "ldap_config");
+      }
+    }
+
+    const entries = await search(client, searchBase, {
+      filter: fillTemplate(userFilter, { username }),
+      attributes: [usernameAttribute, ...USER_ATTRIBUTES],
+      sizeLimit: 2,
+    });
+    if (!entries.length) {
+      return null;
+    }
+    if (entries.length > 1) {
+      throw createLdapError("The user filter matched more than one directory entry", "ldap_config");
+    }
+
+    const [entry] = entries;
+    const groups = readAttribute(entry, "memberOf");
+    if (groupSearchBase && groupFilter) {
+      const groupEntries = await search(client, groupSearchBase, {
+        filter: fillTemplate(groupFilter, { username, dn: entry.dn }),
+        attributes: ["cn"],
+      });
+      groups.push(...groupEntries.map((group) => group.dn));
+    }
+
+    const result = {
+      dn: entry.dn,
+      id: resolveDirectoryId(entry),
+      username: readAttribute(entry, usernameAttribute)[0] || username,
+      groups: Array.from(new Set(groups)),
+      disabled: isDirectoryAccountDisabled(entry),
+      authenticated: false,
+    };
+
+    // An empty password would be an unauthenticated bind, which many
+    // servers accept as anonymous.
+    if (!result.disabled && typeof password === "string" && password) {
+      result.authenticated = await bind(client, entry.dn, password);
+    }
+    return result;
+  } finally {
+    await client.unbind().catch(() => { });
+  }
+}
+
+// Matches a group against configured names, which may be full DNs or just
+// the group's common name.
+function isMemberOfAny(groups, wanted) {
+  const targets = new Set(wanted.map((value) => String(value).trim().toLowerCase()));
+  return groups.some((group) => {
+    const dn = String(group).trim().toLowerCase();
+    return targets.has(dn) || targets.has(readFirstRdnValue(group).toLowerCase());
+  });
+}
+
+module.exports = {
+  escapeFilterValue,
+  validateFilter,
+  authenticateDirectoryUser,
+  isMemberOfAny,
+};
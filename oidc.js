@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+
+const OIDC_METADATA_TTL_MS = 10 * 60 * 1000;
+const OIDC_REQUEST_TIMEOUT_MS = 10 * 1000;
+const OIDC_CLOCK_SKEW_SECONDS = 120;
+
+const JWT_VERIFY_ALGORITHMS = {
+  RS256: { digest: "sha256" },
+  RS384: { digest: "sha384" },
+  RS512: { digest: "sha512" },
+  PS256: { digest: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { digest: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { digest: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { digest: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { digest: "sha512", dsaEncoding: "ieee-p1363" },
+  HS256: { digest: "sha256", hmac: true },
+  HS384: { digest: "sha384", hmac: true },
+  HS512: { digest: "sha512", hmac: true },
+};
+
+const providerCache = new Map();
+
+function createOidcError(message, code = "oidc_error") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function normalizeIssuer(value) {
+  if (typeof value !== "string") return "";
+  return value.trim().replace(/\/+$/, "");
+}
+
+function createRandomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+function createPkcePair() {
+  const verifier = createRandomToken(48);
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge, method: "S256" };
+}
+
+async function fetchJson(url, options = {}) {
+  if (typeof globalThis.fetch !== "function") {
+    throw createOidcError("HTTP client is not available");
+  }
+
+  let response;
+  try {
+    response = await globalThis.fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(OIDC_REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw createOidcError(`Failed to reach ${url}: ${err.message}`, "oidc_unreachable");
+  }
+
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (err) {
+    body = null;
+  }
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw createOidcError(`Request to ${url} failed: ${detail}`, "oidc_http_error");
+  }
+  if (!body || typeof body !== "object") {
+    throw createOidcError(`Response from ${url} is not JSON`, "oidc_http_error");
+  }
+  return body;
+}
+
+// Provider metadata and signing keys are cached per issuer. Pass force to
+// refetch, e.g. after the provider rotated its keys.
+async function discoverProvider(issuer, { force = false } = {}) {
+  const normalized = normalizeIssuer(issuer);
+  if (!normalized) {
+    throw createOidcError("Issuer is required", "oidc_config");
+  }
+
+  const cached = providerCache.get(normalized);
+  if (!force && cached && Date.now() - cached.fetchedAt < OIDC_METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${normalized}/.well-known/openid-configuration`);
+  if (normalizeIssuer(metadata.issuer) !== normalized) {
+    throw createOidcError(
+      `Discovery document issuer ${metadata.issuer} does not match ${normalized}`,
+      "oidc_config",
+    );
+  }
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (typeof metadata[field] !== "string" || !metadata[field]) {
+      throw createOidcError(`Discovery document is missing ${field}`, "oidc_config");
+    }
+  }
+
+  providerCache.set(normalized, { metadata, fetchedAt: Date.now(), jwks: null });
+  return metadata;
+}
+
+async function loadSigningKeys(metadata, { force = false } = {}) {
+  const issuer = normalizeIssuer(metadata.issuer);
+  const cached = providerCache.get(issuer);
+  if (!force && cached?.jwks) {
+    return cached.jwks;
+  }
+
+  const body = await fetchJson(metadata.jwks_uri);
+  const keys = Array.isArray(body.keys) ? body.keys : [];
+  if (cached) {
+    cached.jwks = keys;
+  }
+  return keys;
+}
+
+function buildAuthorizationUrl(metadata, options) {
+  const { clientId, redirectUri, scopes, state, nonce, codeChallenge } = options;
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", scopes);
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+}
+
+async function exchangeAuthorizationCode(metadata, options) {
+  const { clientId, clientSecret, code, redirectUri, codeVerifier } = options;
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: "application/json",
+  };
+
+  const authMethods = Array.isArray(metadata.token_endpoint_auth_methods_supported)
+    ? metadata.token_endpoint_auth_methods_supported
+    : ["client_secret_basic"];
+  if (clientSecret && authMethods.includes("client_secret_basic")) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else {
+    params.set("client_id", clientId);
+    if (clientSecret) {
+      params.set("client_secret", clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers,
+    body: params.toString(),
+  });
+  if (typeof tokens.id_token !== "string" || !tokens.id_token) {
+    throw createOidcError("Token response did not include an ID token", "oidc_invalid_token");
+  }
+  return tokens;
+}
+
+async function fetchUserInfo(metadata, accessToken) {
+  if (!metadata.userinfo_endpoint || !accessToken) {
+    return null;
+  }
+  return fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+  });
+}
+
+function decodeJwtSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (err) {
+    throw createOidcError("ID token is malformed", "oidc_invalid_token");
+  }
+}
+
+function verifyJwtSignature(algorithm, signingInput, signature, key) {
+  const spec = JWT_VERIFY_ALGORITHMS[algorithm];
+  if (spec.hmac) {
+    const expected = crypto.createHmac(spec.digest, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const verifyKey = { key: crypto.createPublicKey({ key, format: "jwk" }) };
+  if (spec.padding) {
+    verifyKey.padding = spec.padding;
+    verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (spec.dsaEncoding) {
+    verifyKey.dsaEncoding = spec.dsaEncoding;
+  }
+  return crypto.verify(spec.digest, Buffer.from(signingInput), verifyKey, signature);
+}
+
+function selectSigningKey(keys, header) {
+  return keys.find(
+    (key) =>
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === "sig") &&
+      (!key.alg || key.alg === header.alg),
+  );
+}
+
+// Verifies an ID token's signature and standard claims (iss, aud, azp, exp,
+// iat, nonce) and returns its claims.
+async function verifyIdToken(idToken, options) {
+  const { metadata, clientId, clientSecret = null, nonce } = options;
+  const parts = typeof idToken === "string" ? idToken.split(".") : [];
+  if (parts.length !== 3) {
+    throw createOidcError("ID token is malformed", "oidc_invalid_token");
+  }
+
+  const header = decodeJwtSegment(parts[0]);
+  const claims = decodeJwtSegment(parts[1]);
+  const signature = Buffer.from(parts[2], "base64url");
+  const signingInput = `${parts[0]}.${parts[1]}`;
+
+  if (!JWT_VERIFY_ALGORITHMS[header.alg]) {
+    throw createOidcError(`Unsupported ID token algorithm ${header.alg}`, "oidc_invalid_token");
+  }
+
+  let verified = false;
+  if (JWT_VERIFY_ALGORITHMS[header.alg].hmac) {
+    if (!clientSecret) {
+      throw createOidcError("HMAC-signed ID tokens require a client secret", "oidc_invalid_token");
+    }
+    verified = verifyJwtSignature(header.alg, signingInput, signature, clientSecret);
+  } else {
+    let key = selectSigningKey(await loadSigningKeys(metadata), header);
+    if (!key) {
+      key = selectSigningKey(await loadSigningKeys(metadata, { force: true }), header);
+    }
+    if (!key) {
+      throw createOidcError("No matching signing key for ID token", "oidc_invalid_token");
+    }
+    verified = verifyJwtSignature(header.alg, signingInput, signature, key);
+  }
+  if (!verified) {
+    throw createOidcError("ID token signature is invalid", "oidc_invalid_token");
+  }
+
+  if (normalizeIssuer(claims.iss) !== normalizeIssuer(metadata.issuer)) {
+    throw createOidcError("ID token issuer does not match", "oidc_invalid_token");
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) {
+    throw createOidcError("ID token was not issued for this client", "oidc_invalid_token");
+  }
+  if (audiences.length > 1 && claims.azp && claims.azp !== clientId) {
+    throw createOidcError("ID token authorized party does not match", "oidc_invalid_token");
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + OIDC_CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw createOidcError("ID token has expired", "oidc_invalid_token");
+  }
+  if (typeof claims.iat === "number" && claims.iat - OIDC_CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw createOidcError("ID token was issued in the future", "oidc_invalid_token");
+  }
+  if (claims.nonce !== nonce) {
+    throw createOidcError("ID token nonce does not match", "oidc_invalid_token");
+  }
+  if (typeof claims.sub !== "string" || !claims.sub) {
+    throw createOidcError("ID token is missing a subject", "oidc_invalid_token");
+  }
+
+  return claims;
+}
+
+// Reads a claim by name, following dots into nested objects so mappings like
+// "realm_access.roles" work.
+function readClaim(claims, path) {
+  if (!claims || typeof path !== "string" || !path.trim()) return undefined;
+  if (Object.prototype.hasOwnProperty.call(claims, path)) {
+    return claims[path];
+  }
+  return path.split(".").reduce((value, segment) => {
+    if (value && typeof value === "object") return value[segment];
+    return undefined;
+  }, claims);
+}
+
+function readClaimList(claims, path) {
+  const value = readClaim(claims, path);
+  if (Array.isArray(value)) {
+    return value.filter((entry) => typeof entry === "string" && entry);
+  }
+  if (typeof value === "string" && value.trim()) {
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+  return [];
+}
+
+module.exports = {
+  normalizeIssuer,
+  createRandomToken,
+  createPkcePair,
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  fetchUserInfo,
+  verifyIdToken,
+  readClaim,
+  readClaimList,
+};
@@ -0,0 +1,72 @@
+// Runner labels are free-form tags such as "os=windows", "net=dmz" or
+// "python3.12". Scripts and collections can route to runners by a selector,
+// which is a list of labels a runner must all carry.
+const RUNNER_LABEL_PATTERN = /^[a-z0-9][a-z0-9._/-]*(=[a-z0-9._/-]+)?$/;
+const MAX_RUNNER_LABEL_LENGTH = 64;
+const MAX_RUNNER_LABELS = 32;
+
+function splitLabelInput(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") return value.split(/[,\n]/);
+  return [];
+}
+
+// Accepts an array or a comma/newline separated string. Labels are lower-cased
+// and de-duplicated; entries that are not valid labels are returned in
+// `invalid` so callers can reject the input.
+function normalizeRunnerLabels(value) {
+  const labels = new Set();
+  const invalid = [];
+  for (const entry of splitLabelInput(value)) {
+    if (typeof entry !== "string") {
+      invalid.push(String(entry));
+      continue;
+    }
+    const label = entry.trim().toLowerCase();
+    if (!label) continue;
+    if (label.length > MAX_RUNNER_LABEL_LENGTH || !RUNNER_LABEL_PATTERN.test(label)) {
+      invalid.push(entry.trim());
+      continue;
+    }
+    labels.add(label);
+  }
+  if (labels.size > MAX_RUNNER_LABELS) {
+    invalid.push(`more than ${MAX_RUNNER_LABELS} labels`);
+  }
+  return { labels: [...labels].sort(), invalid };
+}
+
+function parseRunnerLabels(value) {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? normalizeRunnerLabels(parsed).labels : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function serializeRunnerLabels(labels) {
+  const { labels: normalized } = normalizeRunnerLabels(labels);
+  return normalized.length ? JSON.stringify(normalized) : null;
+}
+
+// An empty selector matches nothing; routing by selector needs at least one label.
+function matchesRunnerSelector(labels, selector) {
+  if (!Array.isArray(selector) || !selector.length) return false;
+  const available = new Set(Array.isArray(labels) ? labels : []);
+  return selector.every((label) => available.has(label));
+}
+
+function formatRunnerSelector(selector) {
+  return Array.isArray(selector) ? selector.join(", ") : "";
+}
+
+module.exports = {
+  MAX_RUNNER_LABELS,
+  normalizeRunnerLabels,
+  parseRunnerLabels,
+  serializeRunnerLabels,
+  matchesRunnerSelector,
+  formatRunnerSelector,
+};
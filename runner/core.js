@@ -9,7 +9,8 @@ const {
   sanitizeExecutable,
   sanitizeIdentifier,
   prepareSpawnOptions,
-  ensureWindowsChildCleanup,
+  ensureChildCleanup,
+  terminateProcessTree,
   getPackageCacheSummary,
   clearPackageCache,
   rehydratePackageCache,
@@ -680,6 +681,7 @@ async function executeScript({
   scriptsRoot = path.join(__dirname, "scripts"),
   workdirRoot = path.join(__dirname, "script_workdir"),
   executables = {},
+  signal = null,
 }) {
   const inputSnapshot = safeCloneInput(reqBody);
   const runId = providedRunId || script?.preassignedRunId || uuidv4();
@@ -1083,6 +1085,21 @@ ${script.code}
       };
     }
 
+    if (signal?.aborted) {
+      return {
+        runId,
+        stdout: "",
+        stderr: "Run cancelled.",
+        code: 1,
+        duration: 0,
+        returnData: null,
+        automnLogs: [],
+        automnNotifications: [],
+        input: inputSnapshot,
+        cancelled: true,
+      };
+    }
+
     const start = Date.now();
 
     return await new Promise((resolve) => {
@@ -1121,6 +1138,7 @@ ${script.code}
 
       const spawnOptions = {
         env: envForChild,
+        detached: process.platform !== "win32",
       };
 
       if (script.language === "node") {
@@ -1132,7 +1150,7 @@ ${script.code}
         args,
         prepareSpawnOptions(spawnOptions)
       );
-      ensureWindowsChildCleanup(child);
+      ensureChildCleanup(child);
 
       let stdout = "";
       let stderr = "";
@@ -1215,11 +1233,13 @@ ${script.code}
       });
       child.stderr.on("close", flushStderr);
 
+      let timedOut = false;
       const timer =
         script.timeout > 0
           ? setTimeout(() => {
+              timedOut = true;
               try {
-                child.kill("SIGTERM");
+                terminateProcessTree(child, "SIGTERM");
                 stderr += "\nTimeout exceeded.";
                 if (onLog) onLog("Timeout exceeded.\n", { stream: "stderr" });
               } catch (e) {
@@ -1229,8 +1249,40 @@ ${script.code}
           : null;
 
       let settled = false;
+      let cancelled = false;
+      let cancelKillTimer = null;
+
+      const handleAbort = () => {
+        if (settled || cancelled) {
+          return;
+        }
+        cancelled = true;
+        stderr += "\nRun cancelled.";
+        if (onLog) onLog("Run cancelled.\n", { stream: "stderr" });
+        terminateProcessTree(child, "SIGTERM");
+        cancelKillTimer = setTimeout(() => {
+          if (settled) {
+            return;
+          }
+          terminateProcessTree(child, "SIGKILL");
+        }, 2000);
+      };
+
+      const releaseAbortListener = () => {
+        if (cancelKillTimer) {
+          clearTimeout(cancelKillTimer);
+          cancelKillTimer = null;
+        }
+        if (signal && typeof signal.removeEventListener === "function") {
+          signal.removeEventListener("abort", handleAbort);
+        }
+      };
+
+      if (signal && typeof signal.addEventListener === "function") {
+        signal.addEventListener("abort", handleAbort, { once: true });
+      }
 
-      const finalize = (code, signal) => {
+      const finalize = (code, exitSignal) => {
         if (settled) {
           return;
         }
@@ -1238,12 +1290,13 @@ ${script.code}
         flushStdout();
         flushStderr();
         if (timer) clearTimeout(timer);
+        releaseAbortListener();
         const duration = Date.now() - start;
 
         const exitCode =
-          typeof code === "number"
+          typeof code === "number" && !cancelled
             ? code
-            : signal
+            : exitSignal || cancelled
             ? 1
             : 0;
 
@@ -1290,6 +1343,8 @@ ${script.code}
           automnLogs,
           automnNotifications,
           input: inputSnapshot,
+          cancelled,
+          timedOut,
         });
       };
 
@@ -1301,6 +1356,7 @@ ${script.code}
         flushStdout();
         flushStderr();
         if (timer) clearTimeout(timer);
+        releaseAbortListener();
         const duration = Date.now() - start;
         const message = err?.message || String(err);
         resolve({
@@ -7,13 +7,15 @@ const Module = require("module");
 
 const fsp = fs.promises;
 
-const WINDOWS_SIGNAL_EXIT_CODES = {
+const SHUTDOWN_SIGNAL_EXIT_CODES = {
+  SIGHUP: 129,
   SIGINT: 130,
   SIGTERM: 143,
 };
+const SHUTDOWN_KILL_GRACE_MS = 1000;
 
-const activeWindowsChildren = new Set();
-let windowsCleanupInitialized = false;
+const activeChildren = new Set();
+let childCleanupInitialized = false;
 
 let cachedNpmInvocation = null;
 const packageCacheStateByRoot = new Map();
@@ -72,55 +74,113 @@ function prepareSpawnOptions(baseOptions = {}) {
   return options;
 }
 
-function cleanupWindowsChildren() {
-  if (!activeWindowsChildren.size) return;
-  for (const child of Array.from(activeWindowsChildren)) {
-    try {
-      if (child && !child.killed) {
-        child.kill("SIGTERM");
+function cleanupChildren(signal = "SIGTERM") {
+  if (!activeChildren.size) return;
+  for (const child of Array.from(activeChildren)) {
+    if (process.platform === "win32") {
+      try {
+        if (child && !child.killed) {
+          child.kill(signal);
+        }
+      } catch (err) {
+        // Ignore cleanup errors—process may have already exited or never started.
       }
-    } catch (err) {
-      // Ignore cleanup errors—process may have already exited or never started.
+    } else {
+      terminateProcessTree(child, signal);
     }
   }
-  activeWindowsChildren.clear();
 }
 
-function ensureWindowsChildCleanup(child) {
-  if (process.platform !== "win32" || !child) {
+// Scripts run in their own process group on POSIX, so they outlive the runner
+// unless it takes them down on the way out. Every child is tracked until it
+// exits; a shutdown signal asks them to stop and kills whatever is left after
+// a short grace period before the runner exits.
+function ensureChildCleanup(child) {
+  if (!child) {
     return;
   }
 
-  activeWindowsChildren.add(child);
+  activeChildren.add(child);
 
   const unregister = () => {
-    activeWindowsChildren.delete(child);
+    activeChildren.delete(child);
   };
 
   child.once("exit", unregister);
   child.once("error", unregister);
   child.once("close", unregister);
 
-  if (windowsCleanupInitialized) {
+  if (childCleanupInitialized) {
     return;
   }
 
-  windowsCleanupInitialized = true;
+  childCleanupInitialized = true;
 
   process.on("exit", () => {
-    cleanupWindowsChildren();
+    cleanupChildren("SIGTERM");
   });
 
+  let shuttingDown = false;
   const handleSignal = (signal) => {
-    cleanupWindowsChildren();
-    const exitCode = WINDOWS_SIGNAL_EXIT_CODES[signal];
-    if (Number.isFinite(exitCode)) {
+    const exitCode = SHUTDOWN_SIGNAL_EXIT_CODES[signal];
+    if (shuttingDown || !activeChildren.size) {
       process.exit(exitCode);
+      return;
     }
+    shuttingDown = true;
+    console.log(`[runner] Received ${signal}; stopping ${activeChildren.size} child process(es)`);
+    cleanupChildren("SIGTERM");
+    setTimeout(() => {
+      cleanupChildren("SIGKILL");
+      process.exit(exitCode);
+    }, SHUTDOWN_KILL_GRACE_MS);
   };
 
-  process.on("SIGINT", () => handleSignal("SIGINT"));
-  process.on("SIGTERM", () => handleSignal("SIGTERM"));
+  for (const signal of Object.keys(SHUTDOWN_SIGNAL_EXIT_CODES)) {
+    process.on(signal, () => handleSignal(signal));
+  }
+}
+
+function terminateProcessTree(child, signal = "SIGTERM") {
+  if (!child || !child.pid) {
+    return;
+  }
+
+  if (process.platform === "win32") {
+    try {
+      const killer = childProcess.spawn(
+        "taskkill",
+        ["/pid", String(child.pid), "/T", "/F"],
+        { windowsHide: true, stdio: "ignore" }
+      );
+      killer.once("error", () => {
+        try {
+          child.kill(signal);
+        } catch (err) {
+          // Ignore failures; the process may have already exited.
+        }
+      });
+    } catch (err) {
+      try {
+        child.kill(signal);
+      } catch (killErr) {
+        // Ignore failures; the process may have already exited.
+      }
+    }
+    return;
+  }
+
+  try {
+    // Script processes are spawned as process group leaders, so signalling the
+    // negative pid reaches every descendant as well.
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    try {
+      child.kill(signal);
+    } catch (killErr) {
+      // Ignore failures; the process may have already exited.
+    }
+  }
 }
 
 function resolveWorkdirRoot(rootDir) {
@@ -742,7 +802,7 @@ async function runNpmInstallInvocation({
       return;
     }
 
-    ensureWindowsChildCleanup(installer);
+    ensureChildCleanup(installer);
 
     const cleanup = () => {
       if (installer.stdout) installer.stdout.removeAllListeners("data");
@@ -1133,7 +1193,8 @@ module.exports = {
   sanitizeExecutable,
   sanitizeIdentifier,
   prepareSpawnOptions,
-  ensureWindowsChildCleanup,
+  ensureChildCleanup,
+  terminateProcessTree,
   resolveWorkdirRoot,
   rememberScriptDependencies,
   getPackageCacheSummary,
@@ -0,0 +1,118 @@
+"use strict";
+
+const crypto = require("crypto");
+
+// Host ↔ runner requests are signed with an HMAC key derived from the runner
+// secret, so the secret itself never travels once both sides hold the key.
+// Each request carries a timestamp and a random nonce; receivers reject
+// requests outside the clock skew window and nonces they have already seen.
+// The purpose ("run", "register", …) is part of the signature so a request
+// captured on one route cannot be replayed against another.
+const SIGNATURE_HEADER = "x-automn-signature";
+const TIMESTAMP_HEADER = "x-automn-timestamp";
+const NONCE_HEADER = "x-automn-nonce";
+const SIGNING_KEY_CONTEXT = "automn-runner-request-signing-v1";
+const DEFAULT_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+function deriveSigningKey(secret) {
+  if (!secret) return null;
+  return crypto.createHmac("sha256", String(secret)).update(SIGNING_KEY_CONTEXT).digest("hex");
+}
+
+function computeSignature(key, purpose, timestamp, nonce, body) {
+  const payload = Buffer.isBuffer(body) ? body : Buffer.from(body || "", "utf8");
+  return crypto
+    .createHmac("sha256", key)
+    .update(`${purpose}.${timestamp}.${nonce}.`)
+    .update(payload)
+    .digest("hex");
+}
+
+// Returns the headers to send alongside body, which must be the exact bytes
+// put on the wire.
+function signRequest(key, purpose, body = "") {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString("hex");
+  return {
+    [TIMESTAMP_HEADER]: timestamp,
+    [NONCE_HEADER]: nonce,
+    [SIGNATURE_HEADER]: computeSignature(key, purpose, timestamp, nonce, body),
+  };
+}
+
+function readHeader(headers, name) {
+  const value = headers?.[name];
+  if (Array.isArray(value)) return value.length ? String(value[0]).trim() : "";
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function hasSignature(headers) {
+  return Boolean(readHeader(headers, SIGNATURE_HEADER));
+}
+
+function createSignatureError(message, code) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+function createRequestVerifier({ maxClockSkewMs = DEFAULT_MAX_CLOCK_SKEW_MS } = {}) {
+  // Nonces only need remembering while their timestamp is still acceptable.
+  const seenNonces = new Map();
+
+  const pruneNonces = (now) => {
+    for (const [nonce, expiresAt] of seenNonces) {
+      if (expiresAt <= now) {
+        seenNonces.delete(nonce);
+      }
+    }
+  };
+
+  return function verifyRequest({ key, purpose, headers, body }) {
+    const signature = readHeader(headers, SIGNATURE_HEADER);
+    const timestamp = readHeader(headers, TIMESTAMP_HEADER);
+    const nonce = readHeader(headers, NONCE_HEADER);
+    if (!signature || !timestamp || !nonce) {
+      throw createSignatureError("Request signature required", "missing_signature");
+    }
+    if (!key) {
+      throw createSignatureError("No signing key is configured", "signing_key_missing");
+    }
+    if (!NONCE_PATTERN.test(nonce)) {
+      throw createSignatureError("Request nonce is invalid", "invalid_signature");
+    }
+
+    const now = Date.now();
+    const timestampMs = Number(timestamp);
+    if (!Number.isFinite(timestampMs) || Math.abs(now - timestampMs) > maxClockSkewMs) {
+      throw createSignatureError(
+        "Request timestamp is outside the allowed window",
+        "expired_signature",
+      );
+    }
+
+    const expected = Buffer.from(computeSignature(key, purpose, timestamp, nonce, body));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      throw createSignatureError("Invalid request signature", "invalid_signature");
+    }
+
+    pruneNonces(now);
+    if (seenNonces.has(nonce)) {
+      throw createSignatureError("Request nonce has already been used", "replayed_request");
+    }
+    seenNonces.set(nonce, timestampMs + maxClockSkewMs);
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  deriveSigningKey,
+  signRequest,
+  hasSignature,
+  createRequestVerifier,
+};
@@ -1,11 +1,14 @@
 "use strict";
 
 const express = require("express");
+const http = require("http");
+const https = require("https");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
 const crypto = require("crypto");
 const { execFile } = require("child_process");
+const WebSocket = require("ws");
 const {
   executeScript,
   LOG_MARKER,
@@ -20,6 +23,8 @@ const {
   getPackageCacheSummary,
 } = require("./core");
 const { checkNodePackageStatus } = require("./package-manager");
+const { deriveSigningKey, signRequest, createRequestVerifier } = require("./request-signing");
+const { loadCertificatePair, readPemFile } = require("./tls");
 
 const app = express();
 
@@ -30,8 +35,13 @@ const FAVICON_CANDIDATE_PATHS = [
 const DEFAULT_PORT = 3030;
 const DEFAULT_HEARTBEAT_INTERVAL = 60_000;
 const MIN_SECRET_LENGTH = 12;
-const RUNNER_VERSION = "0.2.16";
-const MINIMUM_HOST_VERSION = "0.2.15";
+const RUNNER_VERSION = "0.2.17";
+const MINIMUM_HOST_VERSION = "0.2.17";
+const CONNECTION_MODES = new Set(["push", "pull"]);
+const HOST_RECONNECT_MIN_DELAY_MS = 1_000;
+const HOST_RECONNECT_MAX_DELAY_MS = 60_000;
+const HOST_REGISTRATION_TIMEOUT_MS = 30_000;
+const PENDING_CANCEL_TTL_MS = 5 * 60_000;
 
 const runtimeExecutableEnv = {
   node: normalizeExecutableValue(process.env.AUTOMN_RUNNER_NODE_PATH || ""),
@@ -279,6 +289,11 @@ function parseInteger(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
+function parseBoolean(value) {
+  if (!value || typeof value !== "string") return false;
+  return ["1", "true", "yes", "on"].includes(value.trim().toLowerCase());
+}
+
 function normalizeUrl(value) {
   if (Array.isArray(value)) {
     if (!value.length) return "";
@@ -288,6 +303,11 @@ function normalizeUrl(value) {
   return value.trim();
 }
 
+function parseConnectionMode(value) {
+  const normalized = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return CONNECTION_MODES.has(normalized) ? normalized : "push";
+}
+
 function resolveEndpointUrl({ endpointUrl, publicUrl, endpointPath }) {
   const explicit = normalizeUrl(endpointUrl);
   const normalizedPath = endpointPath
@@ -337,6 +357,7 @@ const config = {
     parseInteger(process.env.PORT) ||
     DEFAULT_PORT,
   hostUrl: normalizeUrl(process.env.AUTOMN_HOST_URL || process.env.AUTOMN_RUNNER_HOST_URL),
+  connectionMode: parseConnectionMode(process.env.AUTOMN_RUNNER_CONNECTION_MODE),
   runnerId: normalizeUrl(process.env.AUTOMN_RUNNER_ID),
   statusMessage: process.env.AUTOMN_RUNNER_STATUS_MESSAGE || "Runner heartbeat", // defaults to friendly message
   maxConcurrency: parseInteger(process.env.AUTOMN_RUNNER_MAX_CONCURRENCY),
@@ -358,6 +379,7 @@ const config = {
     normalizeUrl(process.env.AUTOMN_RUNNER_WORKDIR) ||
     path.join(defaultDataRoot, "script_workdir"),
   resetToken: normalizeUrl(process.env.AUTOMN_RUNNER_RESET_TOKEN),
+  allowSecretFallback: parseBoolean(process.env.AUTOMN_RUNNER_ALLOW_SECRET_FALLBACK),
   localMaxConcurrency: parseInteger(process.env.AUTOMN_RUNNER_LOCAL_MAX_CONCURRENCY),
   runtimeExecutables: {
     node: runtimeExecutableEnv.node,
@@ -365,8 +387,49 @@ const config = {
     powershell: runtimeExecutableEnv.powershell,
     shell: runtimeExecutableEnv.shell,
   },
+  // Loaded in bootstrap(); see loadTlsConfig.
+  tls: null,
 };
 
+// Optional TLS material. With a certificate the runner serves HTTPS and
+// presents the same certificate as its client certificate to the host. A
+// client CA makes /api routes require a host client certificate it issued; a
+// host CA is trusted for the runner's own requests to an https host.
+function loadTlsConfig() {
+  const pair = loadCertificatePair({
+    certPath: normalizeUrl(process.env.AUTOMN_RUNNER_TLS_CERT),
+    keyPath: normalizeUrl(process.env.AUTOMN_RUNNER_TLS_KEY),
+    certLabel: "AUTOMN_RUNNER_TLS_CERT",
+    keyLabel: "AUTOMN_RUNNER_TLS_KEY",
+  });
+  const clientCaPath = normalizeUrl(process.env.AUTOMN_RUNNER_TLS_CLIENT_CA);
+  const hostCaPath = normalizeUrl(process.env.AUTOMN_RUNNER_HOST_CA);
+  if (clientCaPath && !pair) {
+    throw new Error(
+      "AUTOMN_RUNNER_TLS_CLIENT_CA requires AUTOMN_RUNNER_TLS_CERT and AUTOMN_RUNNER_TLS_KEY",
+    );
+  }
+  return {
+    cert: pair?.cert || null,
+    key: pair?.key || null,
+    certificate: pair?.certificate || null,
+    clientCa: clientCaPath ? readPemFile(clientCaPath, "AUTOMN_RUNNER_TLS_CLIENT_CA") : null,
+    hostCa: hostCaPath ? readPemFile(hostCaPath, "AUTOMN_RUNNER_HOST_CA") : null,
+  };
+}
+
+function hostTlsOptions() {
+  const options = {};
+  if (config.tls?.hostCa) {
+    options.ca = config.tls.hostCa;
+  }
+  if (config.tls?.cert) {
+    options.cert = config.tls.cert;
+    options.key = config.tls.key;
+  }
+  return options;
+}
+
 rehydratePackageCache({
   workdirRoot: config.workdirDir,
   onLog: logPackageCacheLine,
@@ -394,6 +457,7 @@ const inMemoryState = {
   lastRegistrationAttempt: null,
   lastRegistrationStatus: null,
   lastRegistrationResponse: null,
+  signingEstablishedAt: null,
   hostUrl: config.hostUrl || null,
   runnerId: config.runnerId || null,
 };
@@ -452,6 +516,9 @@ if (!inMemoryState.lockedAt && persistedState.lockedAt) {
 if (!inMemoryState.registeredAt && persistedState.registeredAt) {
   inMemoryState.registeredAt = persistedState.registeredAt;
 }
+if (persistedState.signingEstablishedAt) {
+  inMemoryState.signingEstablishedAt = persistedState.signingEstablishedAt;
+}
 if (!inMemoryState.hostUrl && persistedState.hostUrl) {
   inMemoryState.hostUrl = persistedState.hostUrl;
 }
@@ -478,6 +545,7 @@ function persistState() {
     const payload = {
       lockedAt: inMemoryState.lockedAt,
       registeredAt: inMemoryState.registeredAt,
+      signingEstablishedAt: inMemoryState.signingEstablishedAt,
       hostUrl: inMemoryState.hostUrl,
       runnerId: inMemoryState.runnerId,
       lastRegistrationStatus: inMemoryState.lastRegistrationStatus,
@@ -498,6 +566,7 @@ function persistState() {
     secret: inMemoryState.secret || null,
     lockedAt: inMemoryState.lockedAt || null,
     registeredAt: inMemoryState.registeredAt || null,
+    signingEstablishedAt: inMemoryState.signingEstablishedAt || null,
     hostUrl: inMemoryState.hostUrl || null,
     runnerId: inMemoryState.runnerId || null,
     lastRegistrationStatus: inMemoryState.lastRegistrationStatus || null,
@@ -647,8 +716,18 @@ function summarizeRegistrationState() {
     runnerId: inMemoryState.runnerId || null,
     hostUrl: inMemoryState.hostUrl || null,
     endpointUrl: config.endpointUrl || null,
+    connectionMode: config.connectionMode,
+    hostConnected:
+      config.connectionMode === "pull"
+        ? Boolean(hostConnection.socket && hostConnection.socket.readyState === WebSocket.OPEN)
+        : null,
     secretConfigured: Boolean(getSecret()),
     secretSource: inMemoryState.secretSource,
+    tls: {
+      enabled: Boolean(config.tls?.cert),
+      clientCertificateRequired: Boolean(config.tls?.clientCa),
+      certificate: config.tls?.certificate || null,
+    },
     locked: isLocked(),
     registeredAt: inMemoryState.registeredAt,
     lastRegistrationAttempt: inMemoryState.lastRegistrationAttempt,
@@ -690,6 +769,7 @@ async function clearSecret() {
   if (!secretIsConfigurable()) {
     throw new Error("Runner secret is managed via environment variables and cannot be cleared");
   }
+  closeHostConnection();
   inMemoryState.secret = null;
   inMemoryState.lockedAt = null;
   inMemoryState.registeredAt = null;
@@ -706,17 +786,24 @@ function buildRegistrationPayload() {
   const hostUrl = inMemoryState.hostUrl || config.hostUrl;
   if (!runnerId || !hostUrl) return null;
   const endpointUrl = config.endpointUrl;
-  if (!endpointUrl) return null;
+  const pullMode = config.connectionMode === "pull";
+  if (!endpointUrl && !pullMode) return null;
+  const runnerHostUrl = `${hostUrl.replace(/\/$/, "")}/api/settings/runner-hosts/${encodeURIComponent(runnerId)}`;
   const payload = {
-    url: `${hostUrl.replace(/\/$/, "")}/api/settings/runner-hosts/${encodeURIComponent(runnerId)}/register`,
+    url: `${runnerHostUrl}/register`,
+    connectUrl: `${runnerHostUrl.replace(/^http/i, "ws")}/connect`,
     body: {
-      secret,
-      endpoint: endpointUrl,
       statusMessage: config.statusMessage,
+      certificate: config.tls?.certificate || null,
     },
+    secret,
+    signingKey: deriveSigningKey(secret),
     runnerId,
     hostUrl,
   };
+  if (!pullMode) {
+    payload.body.endpoint = endpointUrl;
+  }
   if (config.maxConcurrency !== null) {
     payload.body.maxConcurrency = config.maxConcurrency;
   }
@@ -726,42 +813,159 @@ function buildRegistrationPayload() {
   return payload;
 }
 
+function recordRegistrationFailure(message, status, response) {
+  inMemoryState.lastRegistrationError = message;
+  inMemoryState.lastRegistrationStatus = status;
+  if (response !== undefined) {
+    inMemoryState.lastRegistrationResponse = response;
+  }
+  persistState();
+}
+
+function recordRegistrationSuccess(parsed) {
+  inMemoryState.lastRegistrationError = null;
+  inMemoryState.lastRegistrationStatus = "ok";
+  inMemoryState.lastRegistrationResponse = parsed;
+  inMemoryState.registeredAt = new Date().toISOString();
+  if (!inMemoryState.lockedAt) {
+    inMemoryState.lockedAt = inMemoryState.registeredAt;
+  }
+  // Any accepted registration means the host holds a signing key for this
+  // runner, so the raw secret is never needed again.
+  if (!inMemoryState.signingEstablishedAt) {
+    inMemoryState.signingEstablishedAt = inMemoryState.registeredAt;
+  }
+  inMemoryState.secret = getSecret();
+  inMemoryState.runnerId = inMemoryState.runnerId || config.runnerId;
+  inMemoryState.hostUrl = inMemoryState.hostUrl || config.hostUrl;
+  persistState();
+  const hostVersion = typeof parsed?.hostVersion === "string" ? parsed.hostVersion : null;
+  const hostMinimumRunnerVersion =
+    typeof parsed?.minimumRunnerVersion === "string" ? parsed.minimumRunnerVersion : null;
+  if (hostVersion && !versionSatisfies(hostVersion, MINIMUM_HOST_VERSION)) {
+    console.warn(
+      `[runner] Host version ${hostVersion} is below required minimum ${MINIMUM_HOST_VERSION}`,
+    );
+  }
+  if (hostMinimumRunnerVersion && !versionSatisfies(RUNNER_VERSION, hostMinimumRunnerVersion)) {
+    console.warn(
+      `[runner] Runner version ${RUNNER_VERSION} is below host minimum ${hostMinimumRunnerVersion}`,
+    );
+  }
+  console.log("[runner] Registration successful");
+}
+
+// Uses http(s) directly rather than fetch so the host CA and the runner's
+// client certificate can be applied.
+function postToHost(url, headers, body) {
+  const target = new URL(url);
+  const secure = target.protocol === "https:";
+  const transport = secure ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "content-length": Buffer.byteLength(body) },
+        ...(secure ? hostTlsOptions() : {}),
+      },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () => {
+          resolve({
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            status: response.statusCode,
+            statusText: response.statusMessage || "",
+            text: Buffer.concat(chunks).toString("utf8"),
+          });
+        });
+      },
+    );
+    request.on("error", reject);
+    request.setTimeout(HOST_REGISTRATION_TIMEOUT_MS, () => {
+      request.destroy(new Error("Host did not answer the registration in time"));
+    });
+    request.end(body);
+  });
+}
+
+// Decides whether a "secret_required" answer may be met by sending the raw
+// secret. Only runners created before request signing need this, so it must
+// be switched on with AUTOMN_RUNNER_ALLOW_SECRET_FALLBACK and is refused for
+// good once a host has accepted a signed registration; a host asking again
+// after that is not trusted with the secret.
+function allowSecretFallback() {
+  if (inMemoryState.signingEstablishedAt) {
+    console.error(
+      "[runner] Host asked for the runner secret although request signing is already set up; refusing to send it",
+    );
+    return false;
+  }
+  if (!config.allowSecretFallback) {
+    console.error(
+      "[runner] Host has no signing key for this runner. Set AUTOMN_RUNNER_ALLOW_SECRET_FALLBACK=true for one registration to send the secret",
+    );
+    return false;
+  }
+  console.warn(
+    "[runner] Host has no signing key for this runner yet; sending the runner secret once",
+  );
+  return true;
+}
+
+// Registrations are signed like every other host ↔ runner request. The raw
+// secret is only sent when allowSecretFallback permits it.
+async function postRegistration(payload, requestBody, { sendSecret = false } = {}) {
+  const body = JSON.stringify(sendSecret ? { ...requestBody, secret: payload.secret } : requestBody);
+  const headers = {
+    "content-type": "application/json",
+    accept: "application/json",
+    "x-automn-runner-id": payload.runnerId,
+    ...(sendSecret ? {} : signRequest(payload.signingKey, "register", body)),
+  };
+  const response = await postToHost(payload.url, headers, body);
+
+  const text = response.text;
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (err) {
+    parsed = { raw: text };
+  }
+  return { response, parsed };
+}
+
 async function performRegistration(reason = "scheduled") {
   const payload = buildRegistrationPayload();
   if (!payload) {
     return {
       ok: false,
       error:
-        "Runner is missing configuration. Ensure host URL, runner id, endpoint URL, and secret are provided.",
+        config.connectionMode === "pull"
+          ? "Runner is missing configuration. Ensure host URL, runner id, and secret are provided."
+          : "Runner is missing configuration. Ensure host URL, runner id, endpoint URL, and secret are provided.",
     };
   }
 
-  if (typeof fetch !== "function") {
-    return { ok: false, error: "Global fetch API is unavailable in this runtime" };
-  }
-
   const requestBody = { ...payload.body };
   if (reason && typeof reason === "string" && reason.trim()) {
     requestBody.statusMessage = `${config.statusMessage} (${reason})`;
   }
   Object.assign(requestBody, getRunnerMetadata());
 
+  if (config.connectionMode === "pull") {
+    return registerOverHostConnection(payload, requestBody);
+  }
+
   inMemoryState.lastRegistrationAttempt = new Date().toISOString();
   persistState();
 
   try {
-    const response = await fetch(payload.url, {
-      method: "POST",
-      headers: { "content-type": "application/json", accept: "application/json" },
-      body: JSON.stringify(requestBody),
-    });
-
-    const text = await response.text();
-    let parsed = null;
-    try {
-      parsed = text ? JSON.parse(text) : null;
-    } catch (err) {
-      parsed = { raw: text };
+    let { response, parsed } = await postRegistration(payload, requestBody);
+    if (response.status === 401 && parsed?.code === "secret_required" && allowSecretFallback()) {
+      ({ response, parsed } = await postRegistration(payload, requestBody, { sendSecret: true }));
     }
 
     if (!response.ok) {
@@ -774,50 +978,242 @@ async function performRegistration(reason = "scheduled") {
           `${baseMessage}. Ensure a runner${runnerHint} exists${hostHint} (Settings → Runners) ` +
           "and that the configured secret matches.";
       }
-      inMemoryState.lastRegistrationError = message;
-      inMemoryState.lastRegistrationStatus = "error";
-      inMemoryState.lastRegistrationResponse = parsed || { error: message };
-      persistState();
+      recordRegistrationFailure(message, "error", parsed || { error: message });
       console.error("[runner] Registration failed:", message);
       return { ok: false, error: message, response: parsed };
     }
 
-    inMemoryState.lastRegistrationError = null;
-    inMemoryState.lastRegistrationStatus = "ok";
-    inMemoryState.lastRegistrationResponse = parsed;
-    inMemoryState.registeredAt = new Date().toISOString();
-    if (!inMemoryState.lockedAt) {
-      inMemoryState.lockedAt = inMemoryState.registeredAt;
-    }
-    inMemoryState.secret = getSecret();
-    inMemoryState.runnerId = inMemoryState.runnerId || config.runnerId;
-    inMemoryState.hostUrl = inMemoryState.hostUrl || config.hostUrl;
-    persistState();
-    const hostVersion = typeof parsed?.hostVersion === "string" ? parsed.hostVersion : null;
-    const hostMinimumRunnerVersion =
-      typeof parsed?.minimumRunnerVersion === "string" ? parsed.minimumRunnerVersion : null;
-    if (hostVersion && !versionSatisfies(hostVersion, MINIMUM_HOST_VERSION)) {
-      console.warn(
-        `[runner] Host version ${hostVersion} is below required minimum ${MINIMUM_HOST_VERSION}`,
-      );
-    }
-    if (hostMinimumRunnerVersion && !versionSatisfies(RUNNER_VERSION, hostMinimumRunnerVersion)) {
-      console.warn(
-        `[runner] Runner version ${RUNNER_VERSION} is below host minimum ${hostMinimumRunnerVersion}`,
-      );
-    }
-    console.log("[runner] Registration successful");
+    recordRegistrationSuccess(parsed);
     return { ok: true, response: parsed };
   } catch (err) {
     const message = err?.message || "Registration request failed";
-    inMemoryState.lastRegistrationError = message;
-    inMemoryState.lastRegistrationStatus = "network-error";
-    persistState();
+    recordRegistrationFailure(message, "network-error");
     console.error("[runner] Registration error:", err);
     return { ok: false, error: message };
   }
 }
 
+// Pull mode: instead of exposing /api/run, the runner keeps a WebSocket open
+// to the host. Registration and heartbeats are "register" frames on that
+// socket, and the host sends runs and requests back down it.
+const hostConnection = {
+  socket: null,
+  secret: null,
+  sendSecret: false,
+  waiters: [],
+  reconnectTimer: null,
+  reconnectDelay: HOST_RECONNECT_MIN_DELAY_MS,
+};
+
+function settleRegistrationWaiters(outcome) {
+  const waiters = hostConnection.waiters.splice(0);
+  for (const waiter of waiters) {
+    clearTimeout(waiter.timer);
+    waiter.resolve(outcome);
+  }
+}
+
+function scheduleHostReconnect() {
+  if (hostConnection.reconnectTimer || !buildRegistrationPayload()) {
+    return;
+  }
+  const delay = hostConnection.reconnectDelay;
+  hostConnection.reconnectDelay = Math.min(delay * 2, HOST_RECONNECT_MAX_DELAY_MS);
+  console.log(`[runner] Reconnecting to host in ${Math.round(delay / 1000)}s`);
+  hostConnection.reconnectTimer = setTimeout(() => {
+    hostConnection.reconnectTimer = null;
+    performRegistration("reconnect").catch((err) => {
+      console.error("[runner] Reconnect failed", err);
+    });
+  }, delay);
+}
+
+function closeHostConnection() {
+  const socket = hostConnection.socket;
+  hostConnection.socket = null;
+  hostConnection.secret = null;
+  if (socket) {
+    socket.close(1000, "Runner closed the connection");
+  }
+}
+
+function sendToHost(socket, payload) {
+  if (socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  try {
+    socket.send(JSON.stringify(payload));
+  } catch (err) {
+    console.error("[runner] Failed to send frame to host", err);
+  }
+}
+
+function handleHostRun(socket, message, runIds) {
+  const runId = normalizeUrl(message.runId) || crypto.randomUUID();
+  const send = (payload) => sendToHost(socket, { ...payload, runId });
+
+  if (!checkLocalConcurrency()) {
+    send({ type: "rejected", status: 429, error: "Runner is at capacity" });
+    return;
+  }
+  if (!message.script || typeof message.script !== "object") {
+    send({ type: "rejected", status: 400, error: "Script payload is required" });
+    return;
+  }
+
+  runIds.add(runId);
+  executeRunnerJob({ runId, script: message.script, reqBody: message.reqBody || {}, send })
+    .catch((err) => {
+      console.error(`[runner] Run ${runId} failed`, err);
+    })
+    .finally(() => {
+      runIds.delete(runId);
+    });
+}
+
+async function handleHostRequest(socket, message) {
+  const respond = (status, body) =>
+    sendToHost(socket, { type: "response", requestId: message.requestId, status, body });
+
+  if (message.action === "cancel") {
+    const runId = normalizeUrl(message.body?.runId);
+    if (!runId) {
+      respond(400, { error: "Run id is required" });
+      return;
+    }
+    const outcome = requestRunCancel(runId);
+    respond(outcome === "pending" ? 202 : 200, {
+      runId,
+      cancelled: true,
+      pending: outcome === "pending",
+    });
+    return;
+  }
+
+  if (message.action === "packages.status") {
+    try {
+      respond(200, await reportPackageStatus(message.body));
+    } catch (err) {
+      console.error("[runner] Failed to report package status", err);
+      respond(500, { error: err?.message || "Failed to check package status" });
+    }
+    return;
+  }
+
+  respond(400, { error: `Unknown request '${message.action}'` });
+}
+
+function openHostConnection(payload) {
+  // The upgrade request is signed over an empty body; see postRegistration for
+  // when the raw secret is sent instead.
+  const socket = new WebSocket(payload.connectUrl, {
+    headers: {
+      "x-automn-runner-id": payload.runnerId,
+      ...(hostConnection.sendSecret
+        ? { "x-automn-runner-secret": payload.secret }
+        : signRequest(payload.signingKey, "connect", "")),
+    },
+    ...hostTlsOptions(),
+  });
+  const runIds = new Set();
+  hostConnection.socket = socket;
+  hostConnection.secret = payload.secret;
+
+  socket.on("open", () => {
+    console.log(`[runner] Connected to host at ${payload.hostUrl}`);
+  });
+
+  socket.on("message", (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (err) {
+      console.error("[runner] Host sent an invalid frame");
+      return;
+    }
+
+    if (message?.type === "registered") {
+      const { type, ...response } = message;
+      hostConnection.reconnectDelay = HOST_RECONNECT_MIN_DELAY_MS;
+      hostConnection.sendSecret = false;
+      recordRegistrationSuccess(response);
+      settleRegistrationWaiters({ ok: true, response });
+    } else if (message?.type === "error") {
+      hostConnection.sendSecret =
+        message.code === "secret_required" && allowSecretFallback();
+      if (hostConnection.sendSecret) {
+        hostConnection.reconnectDelay = HOST_RECONNECT_MIN_DELAY_MS;
+      }
+      const errorMessage = message.error || "Host rejected the runner";
+      recordRegistrationFailure(errorMessage, "error", { error: errorMessage, code: message.code });
+      console.error("[runner] Registration failed:", errorMessage);
+      settleRegistrationWaiters({ ok: false, error: errorMessage });
+    } else if (message?.type === "run") {
+      handleHostRun(socket, message, runIds);
+    } else if (message?.type === "request") {
+      handleHostRequest(socket, message);
+    }
+  });
+
+  socket.on("error", (err) => {
+    console.error("[runner] Host connection error:", err?.message || err);
+  });
+
+  socket.on("close", (code, reasonBuffer) => {
+    // The host has already failed these runs; stop the scripts too.
+    for (const runId of runIds) {
+      cancelActiveRun(runId);
+    }
+    if (hostConnection.socket !== socket) {
+      return;
+    }
+    hostConnection.socket = null;
+    hostConnection.secret = null;
+    const reason = reasonBuffer?.toString() || "";
+    const message = reason
+      ? `Connection to host closed: ${reason}`
+      : "Connection to host closed";
+    if (inMemoryState.lastRegistrationStatus === "ok") {
+      recordRegistrationFailure(message, "network-error");
+    }
+    console.warn(`[runner] ${message}`);
+    settleRegistrationWaiters({ ok: false, error: message });
+    scheduleHostReconnect();
+  });
+
+  return socket;
+}
+
+function registerOverHostConnection(payload, frame) {
+  inMemoryState.lastRegistrationAttempt = new Date().toISOString();
+  persistState();
+
+  let socket = hostConnection.socket;
+  if (socket && hostConnection.secret !== payload.secret) {
+    closeHostConnection();
+    socket = null;
+  }
+
+  const sendRegister = () => sendToHost(socket, { type: "register", ...frame });
+  if (!socket) {
+    socket = openHostConnection(payload);
+    socket.once("open", sendRegister);
+  } else if (socket.readyState === WebSocket.OPEN) {
+    sendRegister();
+  } else {
+    socket.once("open", sendRegister);
+  }
+
+  return new Promise((resolve) => {
+    const waiter = { resolve, timer: null };
+    waiter.timer = setTimeout(() => {
+      hostConnection.waiters = hostConnection.waiters.filter((entry) => entry !== waiter);
+      resolve({ ok: false, error: "Host did not answer the registration in time" });
+    }, HOST_REGISTRATION_TIMEOUT_MS);
+    hostConnection.waiters.push(waiter);
+  });
+}
+
 let heartbeatTimer = null;
 
 function scheduleHeartbeat() {
@@ -834,7 +1230,15 @@ function scheduleHeartbeat() {
   }, config.heartbeatInterval);
 }
 
-app.use(express.json({ limit: "1mb" }));
+app.use(
+  express.json({
+    limit: "1mb",
+    // Host requests are signed over the exact bytes sent.
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: false }));
 
 app.get("/favicon.ico", (req, res) => {
@@ -855,6 +1259,7 @@ app.get("/status", (req, res) => {
     runner: summarizeRegistrationState(),
     config: {
       endpointUrl: config.endpointUrl,
+      connectionMode: config.connectionMode,
       hostUrl: inMemoryState.hostUrl || config.hostUrl || null,
       runnerId: inMemoryState.runnerId || config.runnerId || null,
       heartbeatInterval: config.heartbeatInterval,
@@ -1045,8 +1450,22 @@ function renderStatusCards() {
   const cards = [
     { label: "Runner ID", value: summary.runnerId || "Not configured" },
     { label: "Host URL", value: summary.hostUrl || "Not configured" },
-    { label: "Endpoint", value: summary.endpointUrl || "Not configured" },
+    summary.connectionMode === "pull"
+      ? {
+        label: "Host connection",
+        value: summary.hostConnected ? "Connected (outbound)" : "Disconnected",
+      }
+      : { label: "Endpoint", value: summary.endpointUrl || "Not configured" },
     { label: "Secret source", value: summary.secretSource === "env" ? "Environment" : summary.secretConfigured ? "Stored securely" : "Not set" },
+    {
+      label: "TLS",
+      value: summary.tls.certificate
+        ? escapeHtml(
+          `${summary.tls.certificate.subject}, expires ${formatTimestamp(summary.tls.certificate.validTo)}` +
+            (summary.tls.clientCertificateRequired ? " (client certificates required)" : ""),
+        )
+        : "Off (plain HTTP)",
+    },
     { label: "Locked since", value: formatTimestamp(inMemoryState.lockedAt) },
     { label: "Last registration", value: formatTimestamp(summary.lastRegistrationAttempt) },
   ];
@@ -1348,60 +1767,96 @@ app.post("/internal/reset", async (req, res) => {
 });
 
 let activeRuns = 0;
-
-app.post("/api/packages/status", async (req, res) => {
-  const requestSecret = normalizeUrl(req.headers["x-automn-runner-secret"]);
-  const configuredSecret = getSecret();
-
-  if (!configuredSecret) {
-    res.status(503).json({ error: "Runner secret not configured" });
-    return;
-  }
-
-  if (!requestSecret || requestSecret !== configuredSecret) {
-    res.status(401).json({ error: "Invalid runner secret" });
-    return;
-  }
-
-  const rawPackages = Array.isArray(req.body?.packages) ? req.body.packages : [];
+const activeRunControllers = new Map();
+// Cancels for runs that have not started here yet, by run id, with the time
+// they stop counting. A push-mode run can still be uploading its script when
+// the host's cancel arrives on a separate request.
+const pendingRunCancels = new Map();
+
+async function reportPackageStatus(body = {}) {
+  const rawPackages = Array.isArray(body?.packages) ? body.packages : [];
   const packages = rawPackages
     .map((pkg) => (typeof pkg === "string" ? pkg.trim() : ""))
     .filter((pkg) => Boolean(pkg));
 
   const scriptId =
-    typeof req.body?.scriptId === "string" ? req.body.scriptId.trim() : "";
+    typeof body?.scriptId === "string" ? body.scriptId.trim() : "";
   const directoryKey =
-    typeof req.body?.directoryKey === "string"
-      ? req.body.directoryKey.trim()
+    typeof body?.directoryKey === "string"
+      ? body.directoryKey.trim()
       : "";
-  const installMissing = req.body?.installMissing !== false;
+  const installMissing = body?.installMissing !== false;
 
   if (!packages.length) {
-    res.json({
+    return {
       scriptId: scriptId || null,
       packages: [],
       installMissing,
       error: null,
+    };
+  }
+
+  const result = await checkNodePackageStatus({
+    scriptIdentifier: scriptId || null,
+    packages,
+    workdirRoot: config.workdirDir,
+    directoryKey: directoryKey || null,
+    installMissing,
+    onLog: logPackageCacheLine,
+  });
+
+  return {
+    scriptId: scriptId || null,
+    packages: Array.isArray(result?.packages) ? result.packages : [],
+    installMissing,
+    error: result?.error || null,
+  };
+}
+
+// The host signs every request with a key derived from the runner secret;
+// see request-signing.js. The secret itself is never sent.
+const verifyHostRequest = createRequestVerifier();
+
+// With AUTOMN_RUNNER_TLS_CLIENT_CA set, host requests must present a client
+// certificate issued by that CA. The operator UI stays reachable without one.
+function requireHostCertificate(req, res, next) {
+  if (config.tls?.clientCa && !req.socket.authorized) {
+    res.status(401).json({
+      error: "A trusted client certificate is required",
+      code: "client_certificate_required",
     });
     return;
   }
+  next();
+}
 
-  try {
-    const result = await checkNodePackageStatus({
-      scriptIdentifier: scriptId || null,
-      packages,
-      workdirRoot: config.workdirDir,
-      directoryKey: directoryKey || null,
-      installMissing,
-      onLog: logPackageCacheLine,
-    });
+function requireHostSignature(purpose) {
+  return (req, res, next) => {
+    const secret = getSecret();
+    if (!secret) {
+      res.status(503).json({ error: "Runner secret not configured" });
+      return;
+    }
 
-    res.json({
-      scriptId: scriptId || null,
-      packages: Array.isArray(result?.packages) ? result.packages : [],
-      installMissing,
-      error: result?.error || null,
-    });
+    try {
+      verifyHostRequest({
+        key: deriveSigningKey(secret),
+        purpose,
+        headers: req.headers,
+        body: req.rawBody,
+      });
+    } catch (err) {
+      res.status(err.status || 401).json({ error: err.message, code: err.code || null });
+      return;
+    }
+
+    next();
+  };
+}
+
+app.post("/api/packages/status", requireHostCertificate, requireHostSignature("packages.status"), async (req, res) => {
+  try {
+    res.json(await reportPackageStatus(req.body));
   } catch (err) {
     console.error("[runner] Failed to report package status", err);
     res
@@ -1425,29 +1880,46 @@ function streamMessage(res, payload) {
   }
 }
 
-app.post("/api/run", async (req, res) => {
-  const requestSecret = normalizeUrl(req.headers["x-automn-runner-secret"]);
-  const configuredSecret = getSecret();
-
-  if (!configuredSecret) {
-    res.status(503).json({ error: "Runner secret not configured" });
-    return;
+function cancelActiveRun(runId) {
+  const controller = runId ? activeRunControllers.get(runId) : null;
+  if (!controller) {
+    return false;
   }
+  console.log(`[runner] Cancelling run ${runId}`);
+  controller.abort();
+  return true;
+}
 
-  if (!requestSecret || requestSecret !== configuredSecret) {
-    res.status(401).json({ error: "Invalid runner secret" });
-    return;
+// Cancels the run now if it is active, otherwise remembers the cancel so the
+// run is aborted as soon as it starts. Returns "cancelled" or "pending".
+function requestRunCancel(runId) {
+  if (cancelActiveRun(runId)) {
+    return "cancelled";
   }
-
-  if (!checkLocalConcurrency()) {
-    res.status(429).json({ error: "Runner is at capacity" });
-    return;
+  const now = Date.now();
+  for (const [pendingRunId, expiresAt] of pendingRunCancels) {
+    if (expiresAt <= now) {
+      pendingRunCancels.delete(pendingRunId);
+    }
   }
+  console.log(`[runner] Run ${runId} is not active yet; it will be cancelled when it starts`);
+  pendingRunCancels.set(runId, now + PENDING_CANCEL_TTL_MS);
+  return "pending";
+}
 
-  const runId = normalizeUrl(req.body?.runId) || crypto.randomUUID();
-  const script = req.body?.script;
-  const reqBody = req.body?.reqBody || {};
+function takePendingCancel(runId) {
+  const expiresAt = pendingRunCancels.get(runId);
+  if (expiresAt === undefined) {
+    return false;
+  }
+  pendingRunCancels.delete(runId);
+  return expiresAt > Date.now();
+}
 
+// Executes a job and reports it through send(), which receives the same log
+// and result frames whether they go out on an /api/run response stream or
+// over the host connection in pull mode.
+async function executeRunnerJob({ runId, script, reqBody, send }) {
   const scriptDescriptor =
     script?.name ||
     script?.slug ||
@@ -1456,31 +1928,13 @@ app.post("/api/run", async (req, res) => {
     script?.preassignedRunId ||
     "unknown-script";
 
-  if (!script || typeof script !== "object") {
-    res.status(400).json({ error: "Script payload is required" });
-    return;
-  }
-
-  res.setHeader("Content-Type", "application/jsonl; charset=utf-8");
-  res.setHeader("Cache-Control", "no-cache, no-transform");
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("Connection", "keep-alive");
-  if (typeof res.flushHeaders === "function") {
-    res.flushHeaders();
+  const abortController = new AbortController();
+  activeRunControllers.set(runId, abortController);
+  if (takePendingCancel(runId)) {
+    console.log(`[runner] Run ${runId} was cancelled before it started`);
+    abortController.abort();
   }
 
-  let clientAborted = false;
-  const markAborted = () => {
-    clientAborted = true;
-  };
-
-  req.on("aborted", markAborted);
-  res.on("close", () => {
-    if (!res.writableEnded) {
-      markAborted();
-    }
-  });
-
   activeRuns += 1;
   console.log(
     `[runner] Starting run ${runId} for ${scriptDescriptor} (active: ${activeRuns})`
@@ -1536,9 +1990,7 @@ app.post("/api/run", async (req, res) => {
       return;
     }
     const text = typeof chunk === "string" ? chunk : chunk.toString();
-    if (!clientAborted) {
-      streamMessage(res, { type: "log", line: text });
-    }
+    send({ type: "log", line: text });
     const stream = meta.stream === "stderr" ? "stderr" : "stdout";
     logBuffers[stream] += text;
     flushLogBuffer(stream);
@@ -1553,45 +2005,105 @@ app.post("/api/run", async (req, res) => {
       scriptsRoot: config.scriptsDir,
       workdirRoot: config.workdirDir,
       executables: getRuntimeExecutables(),
+      signal: abortController.signal,
     });
     flushAllLogBuffers(true);
     const exitCode = Number.isFinite(result?.code) ? result.code : "unknown";
     console.log(
       `[runner] Completed run ${runId} for ${scriptDescriptor} with code ${exitCode}`
     );
-    if (!clientAborted) {
-      streamMessage(res, { type: "result", data: result });
-    }
+    send({ type: "result", data: result });
   } catch (err) {
     flushAllLogBuffers(true);
     console.error(`[runner] Execution failed for run ${runId}`, err);
-    if (!clientAborted) {
-      const message = err?.message || "Runner execution failed";
-      streamMessage(res, {
-        type: "result",
-        data: {
-          runId,
-          stdout: "",
-          stderr: message,
-          code: 1,
-          duration: 0,
-          returnData: null,
-          automnLogs: [],
-          automnNotifications: [],
-          input: reqBody ?? null,
-        },
-      });
-    }
+    const message = err?.message || "Runner execution failed";
+    send({
+      type: "result",
+      data: {
+        runId,
+        stdout: "",
+        stderr: message,
+        code: 1,
+        duration: 0,
+        returnData: null,
+        automnLogs: [],
+        automnNotifications: [],
+        input: reqBody ?? null,
+      },
+    });
   } finally {
     flushAllLogBuffers(true);
-    if (!clientAborted && !res.writableEnded) {
-      res.end();
-    }
+    activeRunControllers.delete(runId);
     activeRuns = Math.max(0, activeRuns - 1);
     console.log(
       `[runner] Finished run ${runId} for ${scriptDescriptor} (active: ${activeRuns})`
     );
   }
+}
+
+app.post("/api/run", requireHostCertificate, requireHostSignature("run"), async (req, res) => {
+  if (!checkLocalConcurrency()) {
+    res.status(429).json({ error: "Runner is at capacity" });
+    return;
+  }
+
+  const runId = normalizeUrl(req.body?.runId) || crypto.randomUUID();
+  const script = req.body?.script;
+  const reqBody = req.body?.reqBody || {};
+
+  if (!script || typeof script !== "object") {
+    res.status(400).json({ error: "Script payload is required" });
+    return;
+  }
+
+  res.setHeader("Content-Type", "application/jsonl; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Connection", "keep-alive");
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  let clientAborted = false;
+  const markAborted = () => {
+    clientAborted = true;
+  };
+
+  req.on("aborted", markAborted);
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      markAborted();
+    }
+  });
+
+  await executeRunnerJob({
+    runId,
+    script,
+    reqBody,
+    send: (payload) => {
+      if (!clientAborted) {
+        streamMessage(res, payload);
+      }
+    },
+  });
+
+  if (!clientAborted && !res.writableEnded) {
+    res.end();
+  }
+});
+
+app.post("/api/run/:runId/cancel", requireHostCertificate, requireHostSignature("cancel"), (req, res) => {
+  const runId = normalizeUrl(req.params.runId);
+  if (!runId) {
+    res.status(400).json({ error: "Run id is required" });
+    return;
+  }
+  const outcome = requestRunCancel(runId);
+  res.status(outcome === "pending" ? 202 : 200).json({
+    runId,
+    cancelled: true,
+    pending: outcome === "pending",
+  });
 });
 
 app.use((err, req, res, next) => {
@@ -1604,6 +2116,7 @@ app.use((err, req, res, next) => {
 });
 
 async function bootstrap() {
+  config.tls = loadTlsConfig();
   await ensureDirectories();
 
   inMemoryState.runnerId = config.runnerId || inMemoryState.runnerId || null;
@@ -1616,8 +2129,22 @@ async function bootstrap() {
 
   scheduleHeartbeat();
 
-  app.listen(config.port, () => {
-    console.log(`[runner] Listening on port ${config.port}`);
+  const server = config.tls.cert
+    ? https.createServer(
+      {
+        cert: config.tls.cert,
+        key: config.tls.key,
+        ...(config.tls.clientCa
+          ? { ca: config.tls.clientCa, requestCert: true, rejectUnauthorized: false }
+          : {}),
+      },
+      app,
+    )
+    : http.createServer(app);
+  server.listen(config.port, () => {
+    console.log(
+      `[runner] Listening on port ${config.port}${config.tls.cert ? " (https)" : ""}`,
+    );
   });
 }
 
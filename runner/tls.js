@@ -0,0 +1,77 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const PEM_CERTIFICATE_PATTERN = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+const FINGERPRINT_HEX_LENGTH = 64;
+
+function splitPemCertificates(pem) {
+  if (typeof pem !== "string") return [];
+  return pem.match(PEM_CERTIFICATE_PATTERN) || [];
+}
+
+function extractCommonName(distinguishedName) {
+  const match = /(?:^|\n)CN=([^\n]*)/.exec(distinguishedName || "");
+  return match ? match[1].trim() : null;
+}
+
+// Summary of a certificate for display: who it is for, who issued it, when it
+// expires and its SHA-256 fingerprint.
+function describeCertificate(pem) {
+  const certificate = new crypto.X509Certificate(pem);
+  return {
+    subject: extractCommonName(certificate.subject) || certificate.subject,
+    issuer: extractCommonName(certificate.issuer) || certificate.issuer,
+    subjectAltName: certificate.subjectAltName || null,
+    serialNumber: certificate.serialNumber,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    fingerprint256: certificate.fingerprint256,
+  };
+}
+
+// Accepts "AB:CD:…", "abcd…" or "sha256:…" and returns the colon-separated
+// upper-case form Node reports in fingerprint256, or null when malformed.
+function normalizeFingerprint(value) {
+  if (typeof value !== "string") return null;
+  const hex = value
+    .trim()
+    .replace(/^sha-?256[:=\s]*/i, "")
+    .replace(/[\s:]/g, "")
+    .toUpperCase();
+  if (hex.length !== FINGERPRINT_HEX_LENGTH || !/^[0-9A-F]+$/.test(hex)) {
+    return null;
+  }
+  return hex.match(/.{2}/g).join(":");
+}
+
+function readPemFile(filePath, label) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    throw new Error(`Unable to read ${label} from ${filePath}: ${err.message}`);
+  }
+}
+
+// Loads a certificate/key pair from disk. Both paths must be given together.
+function loadCertificatePair({ certPath, keyPath, certLabel, keyLabel }) {
+  if (!certPath && !keyPath) return null;
+  if (!certPath || !keyPath) {
+    throw new Error(`${certLabel} and ${keyLabel} must be set together`);
+  }
+  const cert = readPemFile(certPath, certLabel);
+  const key = readPemFile(keyPath, keyLabel);
+  if (!splitPemCertificates(cert).length) {
+    throw new Error(`${certLabel} does not contain a PEM certificate`);
+  }
+  return { cert, key, certificate: describeCertificate(cert) };
+}
+
+module.exports = {
+  splitPemCertificates,
+  describeCertificate,
+  normalizeFingerprint,
+  readPemFile,
+  loadCertificatePair,
+};
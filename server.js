@@ -9,6 +9,7 @@ const WebSocket = require("ws");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
+const net = require("net");
 const crypto = require("crypto");
 const { promisify } = require("util");
 const db = require("./db");
@@ -18,13 +19,39 @@ const {
   runJob,
   queue,
   getActiveWorkerCount,
+  listLiveRuns,
+  cancelRun,
+  setQueueStore,
+  setRunnerHealthWindow,
   addSubscriber,
   registerRunnerHost,
   unregisterRunnerHost,
   RunnerUnavailableError,
   getRunnerHostConfig,
+  listRunnerHostsForSelector,
+  resolveRunnerTarget,
+  parseFallbackRunnerIds,
 } = require("./engine");
+const {
+  normalizeRunnerLabels,
+  parseRunnerLabels,
+  serializeRunnerLabels,
+  matchesRunnerSelector,
+  formatRunnerSelector,
+} = require("./runner-labels");
+const { createRunnerChannel, requestRemotePackageStatus } = require("./worker");
 const { extractNodeDependencies } = require("./runner/package-manager");
+const {
+  deriveSigningKey: deriveRunnerSigningKey,
+  hasSignature: hasRunnerRequestSignature,
+  createRequestVerifier,
+} = require("./runner/request-signing");
+const {
+  splitPemCertificates,
+  describeCertificate,
+  normalizeFingerprint,
+  loadCertificatePair,
+} = require("./runner/tls");
 const {
   SCRIPT_VARIABLE_ENV_PREFIX,
   GLOBAL_VARIABLE_ENV_PREFIX,
@@ -32,36 +59,67 @@ const {
   CATEGORY_VARIABLE_ENV_PREFIX,
   serializeJobVariableDefinitions,
 } = require("./variable-definitions");
+const { parseCronExpression, computeNextCronOccurrence } = require("./cron");
+const {
+  normalizeOutcomeCondition,
+  evaluateOutcomeCondition,
+  normalizeWorkflowDefinition,
+  resolveStepDecision,
+  buildStepInput,
+  summarizeWorkflowOutcome,
+} = require("./workflow");
+const {
+  HOST_TIME_ZONE,
+  normalizeTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  resolveZonedTimes,
+  zonedTimeToDate,
+} = require("./timezone");
+const oidc = require("./oidc");
+const ldap = require("./ldap");
+const totp = require("./totp");
 
 const fsp = fs.promises;
 
-let httpFetch = null;
-if (typeof globalThis.fetch === "function") {
-  httpFetch = globalThis.fetch.bind(globalThis);
-} else {
-  try {
-    const undici = require("node:undici");
-    if (undici && typeof undici.fetch === "function") {
-      httpFetch = undici.fetch.bind(undici);
-    }
-  } catch (err) {
-    httpFetch = null;
-  }
-}
-
 const VARIABLE_MASK = "••••••";
 const VARIABLE_KEY_PATH = path.join(__dirname, "data", "variables.key");
 let cachedVariableKey = null;
 
 const COOKIE_NAME = "automn_session";
-const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+const SESSION_SETTINGS_KEY = "session_settings";
 const PASSWORD_MIN_LENGTH = 8;
+const OIDC_SETTING_KEY = "oidc_config";
+const OIDC_STATE_COOKIE_NAME = "automn_oidc_state";
+const OIDC_TWO_FACTOR_COOKIE_NAME = "automn_oidc_2fa";
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const OIDC_AUTH_PROVIDER = "oidc";
+const LDAP_SETTING_KEY = "ldap_config";
+const LDAP_AUTH_PROVIDER = "ldap";
+const TWO_FACTOR_SETTING_KEY = "two_factor_enforcement";
+const TWO_FACTOR_ENFORCEMENT_MODES = ["off", "admins", "all"];
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_ISSUER = "Automn";
+const LOGIN_LOCKOUT_SETTING_KEY = "login_lockout";
+const LOGIN_TRACKING_MAX_ENTRIES = 10000;
 
 const REQUEST_BODY_LIMIT_BYTES = 16 * 1024 * 1024;
 
 const app = express();
+// X-Forwarded-For is only honoured behind a proxy named in AUTOMN_TRUST_PROXY;
+// otherwise any caller could choose the client address we check and record.
+app.set("trust proxy", parseTrustProxySetting(process.env.AUTOMN_TRUST_PROXY));
 app.use(cors({ origin: true, credentials: true }));
-app.use(bodyParser.json({ limit: "16mb" }));
+app.use(
+  bodyParser.json({
+    limit: "16mb",
+    // Keep the exact bytes around for webhook and runner signature checks.
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    },
+  }),
+);
 const PORT = process.env.PORT || 8088;
 
 const ENCRYPTION_MAGIC = Buffer.from("AUTOMNENC1");
@@ -139,9 +197,79 @@ const RUNNER_STATUS = Object.freeze({
 });
 
 const RUNNER_HEALTH_WINDOW_MS = 2 * 60 * 1000;
+const RUNNER_CONNECTION_PING_INTERVAL_MS = 30 * 1000;
+const RUNNER_PACKAGE_STATUS_TIMEOUT_MS = 5 * 60 * 1000;
 const MIN_RUNNER_SECRET_LENGTH = 12;
 const SCHEDULER_ENABLED_SETTING_KEY = "scheduler_enabled";
 const SCHEDULER_POLL_INTERVAL_MS = 30 * 1000;
+const SCHEDULER_PREVIEW_DEFAULT_COUNT = 5;
+const SCHEDULER_PREVIEW_MAX_COUNT = 25;
+const SCHEDULER_MISFIRE_POLICIES = ["fire_once", "fire_all", "skip"];
+const SCHEDULER_DEFAULT_MISFIRE_POLICY = "fire_once";
+const SCHEDULER_MISFIRE_THRESHOLD_MS = SCHEDULER_POLL_INTERVAL_MS * 2;
+const SCHEDULER_MISFIRE_DEFAULT_LIMIT = 10;
+const SCHEDULER_MISFIRE_MAX_LIMIT = 100;
+const SCHEDULER_MISFIRE_SCAN_LIMIT = 1000;
+const SCHEDULER_MISFIRE_HISTORY_LIMIT = 50;
+const SCHEDULER_OVERLAP_POLICIES = ["allow", "skip", "queue_one", "cancel_previous"];
+const SCHEDULER_DEFAULT_OVERLAP_POLICY = "allow";
+const RUN_RETRY_FAILURE_TYPES = ["exit_code", "runner_unavailable", "timeout"];
+const RUN_RETRY_BACKOFF_STRATEGIES = ["fixed", "linear", "exponential"];
+const RUN_RETRY_MAX_ATTEMPTS = 10;
+const RUN_RETRY_DEFAULT_DELAY_SECONDS = 30;
+const RUN_RETRY_MAX_DELAY_SECONDS = 24 * 60 * 60;
+const WORKFLOW_ENDPOINT_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const WORKFLOW_RUN_HISTORY_LIMIT = 20;
+const SCRIPT_TRIGGER_EVENTS = ["success", "error", "completed"];
+const SCRIPT_TRIGGER_MAX_DEPTH = 5;
+const WEBHOOK_AUTH_ALGORITHMS = { hmac_sha1: "sha1", hmac_sha256: "sha256" };
+const WEBHOOK_DEFAULT_TOLERANCE_SECONDS = 300;
+const WEBHOOK_MAX_TOLERANCE_SECONDS = 24 * 60 * 60;
+const SCRIPT_TOKEN_NAME_MAX_LENGTH = 64;
+const PERSONAL_ACCESS_TOKEN_PREFIX = "automn_pat_";
+const PERSONAL_ACCESS_TOKEN_SCOPES = [
+  "scripts:read",
+  "scripts:write",
+  "scripts:admin",
+  "variables:read",
+  "variables:write",
+  "logs:read",
+  "runners:admin",
+];
+// Routes a personal access token may reach, with the scope needed to read
+// and to change them. Anything not listed stays session-only.
+const PERSONAL_ACCESS_TOKEN_SCOPE_RULES = [
+  {
+    pattern: /^\/api\/settings\/global-variables(\/|$)/,
+    read: "variables:read",
+    write: "variables:write",
+  },
+  // A script's access list, run tokens and webhook secret grant access in
+  // their own right, so plain scripts:write must not reach them.
+  {
+    pattern: /^\/api\/scripts\/[^/]+\/(permissions|tokens?|webhook)(\/|$)/,
+    read: "scripts:admin",
+    write: "scripts:admin",
+  },
+  {
+    pattern: /^\/api\/(scripts|categories|collections)\/[^/]+\/variables(\/|$)/,
+    read: "variables:read",
+    write: "variables:write",
+  },
+  {
+    pattern: /^\/api\/(scripts|categories|collections)(\/|$)/,
+    read: "scripts:read",
+    write: "scripts:write",
+  },
+  { pattern: /^\/api\/(logs|runs)(\/|$)/, read: "logs:read", write: "scripts:write" },
+  {
+    pattern: /^\/api\/(runners|settings\/runner-hosts)(\/|$)/,
+    read: "runners:admin",
+    write: "runners:admin",
+  },
+];
+const QUEUE_REPLAY_ENABLED = parseEnvBoolean(process.env.AUTOMN_QUEUE_REPLAY, true);
+const QUEUE_REPLAY_GRACE_MS = RUNNER_HEALTH_WINDOW_MS;
 
 function resolveFrontendDir() {
   const publicDir = path.join(__dirname, "public");
@@ -356,6 +484,79 @@ function isRunnerHostFresh(host) {
   return Date.now() - lastSeen <= RUNNER_HEALTH_WINDOW_MS;
 }
 
+function auditRunnerHostSnapshot(host) {
+  if (!host) return null;
+  return {
+    name: host.name || null,
+    adminOnly: Boolean(host.adminOnly),
+    status: host.status || null,
+    disabledAt: host.disabledAt || null,
+    tlsCaPinned: Boolean(host.tlsCa),
+    tlsFingerprint: host.tlsFingerprint || null,
+    labels: Array.isArray(host.labels) ? [...host.labels] : [],
+  };
+}
+
+// Client certificate the host presents to HTTPS runners that require mutual
+// TLS, loaded at startup from AUTOMN_RUNNER_CLIENT_CERT and _KEY.
+let runnerClientCertificate = null;
+
+const RUNNER_CERTIFICATE_FIELDS = [
+  "subject",
+  "issuer",
+  "subjectAltName",
+  "serialNumber",
+  "validFrom",
+  "validTo",
+  "fingerprint256",
+];
+
+function normalizeRunnerCertificatePayload(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+  const normalized = {};
+  for (const field of RUNNER_CERTIFICATE_FIELDS) {
+    const raw = value[field];
+    if (typeof raw === "string" && raw.trim()) {
+      normalized[field] = raw.trim().slice(0, 1024);
+    }
+  }
+  return normalized.fingerprint256 ? normalized : null;
+}
+
+function describePinnedCertificates(pem) {
+  const certificates = [];
+  for (const entry of splitPemCertificates(pem)) {
+    try {
+      certificates.push(describeCertificate(entry));
+    } catch (err) {
+      // Stored bundles are validated on save; skip anything unreadable.
+    }
+  }
+  return certificates;
+}
+
+function runnerHostPinsCertificate(host) {
+  return Boolean(host?.tlsCa || host?.tlsFingerprint);
+}
+
+// TLS options the engine uses when connecting to a push runner over https.
+function buildRunnerTlsConfig(host) {
+  const config = {};
+  if (host?.tlsCa) {
+    config.ca = host.tlsCa;
+  }
+  if (host?.tlsFingerprint) {
+    config.fingerprint = host.tlsFingerprint;
+  }
+  if (runnerClientCertificate) {
+    config.cert = runnerClientCertificate.cert;
+    config.key = runnerClientCertificate.key;
+  }
+  return Object.keys(config).length ? config : null;
+}
+
 function sanitizeRunnerHost(host) {
   if (!host) return null;
   const normalized = {
@@ -364,6 +565,7 @@ function sanitizeRunnerHost(host) {
     status: host.status || RUNNER_STATUS.PENDING,
     statusMessage: host.statusMessage || null,
     endpoint: host.endpoint || null,
+    connectionMode: host.connectionMode || "push",
     lastSeenAt: host.lastSeenAt || null,
     maxConcurrency:
       host.maxConcurrency === null || host.maxConcurrency === undefined
@@ -386,6 +588,15 @@ function sanitizeRunnerHost(host) {
         ? { ...host.runnerRuntimes }
         : {},
     minimumHostVersion: host.minimumHostVersion || null,
+    runnerCertificate:
+      host.runnerCertificate && typeof host.runnerCertificate === "object"
+        ? { ...host.runnerCertificate }
+        : null,
+    tlsCa: host.tlsCa || null,
+    tlsCaCertificates: host.tlsCa ? describePinnedCertificates(host.tlsCa) : [],
+    tlsFingerprint: host.tlsFingerprint || null,
+    runnerCertificateMatchesPin: null,
+    labels: Array.isArray(host.labels) ? [...host.labels] : [],
     hostVersion: HOST_VERSION,
     minimumRunnerVersion: MINIMUM_RUNNER_VERSION,
     adminOnly: Boolean(host.adminOnly),
@@ -413,6 +624,12 @@ function sanitizeRunnerHost(host) {
     !normalized.disabledAt &&
     isRunnerHostFresh(host);
 
+  if (normalized.tlsFingerprint && normalized.runnerCertificate?.fingerprint256) {
+    normalized.runnerCertificateMatchesPin =
+      normalizeFingerprint(normalized.runnerCertificate.fingerprint256) ===
+      normalized.tlsFingerprint;
+  }
+
   normalized.isCompatible = runnerVersionOk && hostVersionOk;
   normalized.runnerOutdated = !runnerVersionOk;
   normalized.hostOutdatedForRunner = !hostVersionOk;
@@ -420,28 +637,107 @@ function sanitizeRunnerHost(host) {
   return normalized;
 }
 
+function isRunnerHostSelectable(host) {
+  return (
+    Boolean(host) &&
+    !host.disabledAt &&
+    host.status === RUNNER_STATUS.HEALTHY &&
+    isRunnerHostFresh(host)
+  );
+}
+
+// Label selectors arrive as an array or a comma-separated string.
+function parseRunnerSelectorInput(value) {
+  const { labels, invalid } = normalizeRunnerLabels(value);
+  return {
+    selector: labels,
+    error: invalid.length ? `Invalid runner labels: ${invalid.join(", ")}` : null,
+  };
+}
+
+const MAX_FALLBACK_RUNNERS = 10;
+
+// Fallback runners arrive as an ordered array of runner ids. Duplicates and
+// the primary runner itself are dropped; unknown runners are rejected, as are
+// admin-only runners when the caller may not assign them.
+async function parseFallbackRunnerInput(value, { primaryRunnerId = null, allowAdminOnly = true } = {}) {
+  if (value === null || value === undefined || value === "") {
+    return { ids: [], error: null, status: null };
+  }
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    return { ids: [], error: "Fallback runners must be a list of runner ids", status: 400 };
+  }
+  const ids = parseFallbackRunnerIds(value).filter((id) => id !== primaryRunnerId);
+  if (ids.length > MAX_FALLBACK_RUNNERS) {
+    return {
+      ids: [],
+      error: `At most ${MAX_FALLBACK_RUNNERS} fallback runners can be configured`,
+      status: 400,
+    };
+  }
+  for (const id of ids) {
+    const runner = await db.getRunnerHostById(id);
+    if (!runner) {
+      return { ids: [], error: `Fallback runner host not found: ${id}`, status: 400 };
+    }
+    if (runner.adminOnly && !allowAdminOnly) {
+      return { ids: [], error: "Runner host is restricted to administrators", status: 403 };
+    }
+  }
+  return { ids, error: null, status: null };
+}
+
+function serializeFallbackRunnerIds(ids) {
+  return Array.isArray(ids) && ids.length ? JSON.stringify(ids) : null;
+}
+
+// Drops a deleted runner from every script and collection fallback list.
+async function removeRunnerFromFallbackLists(hostId) {
+  const pattern = `%${JSON.stringify(hostId)}%`;
+  const targets = [
+    { table: "scripts", column: "fallback_runner_host_ids" },
+    { table: "categories", column: "default_fallback_runner_host_ids" },
+  ];
+  for (const { table, column } of targets) {
+    const rows = await dbAll(`SELECT id, ${column} AS ids FROM ${table} WHERE ${column} LIKE ?`, [
+      pattern,
+    ]);
+    for (const row of rows) {
+      const remaining = parseFallbackRunnerIds(row.ids).filter((id) => id !== hostId);
+      await dbRun(`UPDATE ${table} SET ${column}=? WHERE id=?`, [
+        serializeFallbackRunnerIds(remaining),
+        row.id,
+      ]);
+    }
+  }
+}
+
 async function ensureHealthyRunnerAvailability(script = null) {
-  const scriptRunnerId =
-    script?.runnerHostId ||
-    script?.runner_host_id ||
-    null;
-  const categoryRunnerId =
-    script?.categoryDefaultRunnerHostId ||
-    script?.category_default_runner_host_id ||
-    script?.category?.defaultRunnerHostId ||
-    script?.category?.default_runner_host_id ||
-    null;
-  const inheritCategoryRunner =
-    script?.inheritCategoryRunner ??
-    (script?.inherit_category_runner !== undefined
-      ? script?.inherit_category_runner !== 0
-      : true);
-
-  const targetRunnerId =
-    scriptRunnerId || (inheritCategoryRunner ? categoryRunnerId : null) || null;
+  const {
+    runnerId: targetRunnerId,
+    selector: runnerSelector,
+    fallbackRunnerIds,
+    inheritCategoryRunner,
+  } = resolveRunnerTarget(script);
 
   try {
     if (script) {
+      if (runnerSelector) {
+        const hosts = await db.listRunnerHosts();
+        const hasMatch = hosts.some(
+          (host) =>
+            !host.adminOnly &&
+            isRunnerHostSelectable(host) &&
+            matchesRunnerSelector(host.labels, runnerSelector),
+        );
+        if (!hasMatch) {
+          throw new RunnerUnavailableError(
+            `No runner available with labels ${formatRunnerSelector(runnerSelector)}`,
+          );
+        }
+        return;
+      }
+
       if (!targetRunnerId) {
         throw new RunnerUnavailableError(
           inheritCategoryRunner
@@ -450,18 +746,15 @@ async function ensureHealthyRunnerAvailability(script = null) {
         );
       }
 
-      const runnerHost = await db.getRunnerHostById(targetRunnerId);
-      if (!runnerHost || runnerHost.disabledAt) {
-        throw new RunnerUnavailableError();
-      }
-
-      if (
-        runnerHost.status !== RUNNER_STATUS.HEALTHY ||
-        !isRunnerHostFresh(runnerHost)
-      ) {
-        throw new RunnerUnavailableError();
+      // The engine moves on to the next fallback runner when the primary is
+      // stale, so one selectable candidate is enough.
+      for (const candidateId of [targetRunnerId, ...fallbackRunnerIds]) {
+        const runnerHost = await db.getRunnerHostById(candidateId);
+        if (isRunnerHostSelectable(runnerHost)) {
+          return;
+        }
       }
-      return;
+      throw new RunnerUnavailableError();
     }
 
     const hasHealthy = await db.hasHealthyRunnerHost(RUNNER_HEALTH_WINDOW_MS);
@@ -477,14 +770,9 @@ async function ensureHealthyRunnerAvailability(script = null) {
   }
 }
 
+// Express resolves req.ip from X-Forwarded-For only for trusted proxies (see
+// the "trust proxy" setting). Raw upgrade requests fall back to the socket.
 function extractClientIp(req) {
-  const forwarded = normalizeHeaderValue(req.headers["x-forwarded-for"]);
-  if (forwarded) {
-    const [first] = forwarded.split(",");
-    if (first && first.trim()) {
-      return first.trim();
-    }
-  }
   if (typeof req.ip === "string" && req.ip) {
     return req.ip;
   }
@@ -585,6 +873,11 @@ function parseNotificationAudience(value) {
     return { scope: "all" };
   }
 
+  if (normalized.startsWith("group:")) {
+    const groupName = raw.slice("group:".length).trim();
+    return groupName ? { scope: "group", identifier: groupName } : null;
+  }
+
   return { scope: "user", identifier: raw };
 }
 
@@ -631,6 +924,30 @@ async function resolveNotificationRecipients(descriptor, options = {}) {
     };
   }
 
+  if (scope === "group") {
+    const identifier = typeof descriptor.identifier === "string"
+      ? descriptor.identifier.trim()
+      : "";
+    if (!identifier) return null;
+
+    const rows = await dbAll(
+      `SELECT u.id, u.username, g.name AS group_name
+         FROM user_groups g
+         JOIN user_group_members gm ON gm.group_id = g.id
+         JOIN users u ON u.id = gm.user_id
+        WHERE g.name = ? COLLATE NOCASE AND u.is_active=1 AND u.deleted_at IS NULL`,
+      [identifier],
+    );
+    const userIds = rows.map((row) => row.id).filter(Boolean);
+    if (!userIds.length) return null;
+    return {
+      scope: "group",
+      userIds,
+      usernames: rows.map((row) => row.username).filter(Boolean),
+      identifier: rows[0].group_name || identifier,
+    };
+  }
+
   if (scope === "user") {
     const identifier = typeof descriptor.identifier === "string"
       ? descriptor.identifier.trim()
@@ -915,6 +1232,7 @@ async function resolveRequestPayload(req) {
   if (!rawBuffer || rawBuffer.length === 0) {
     return undefined;
   }
+  req.rawBody = rawBuffer;
 
   const text = rawBuffer.toString("utf8");
   if (!text) {
@@ -1248,6 +1566,8 @@ function normalizeRunResultPayload(result, context) {
         : context.inputSnapshot,
     httpMethod: context.httpMethod || null,
     scriptId: context.scriptId || null,
+    cancelled: Boolean(result?.cancelled),
+    timedOut: Boolean(result?.timedOut),
     errorCode:
       typeof result?.errorCode === "string"
         ? result.errorCode
@@ -1343,6 +1663,176 @@ function normalizeAutomnLogCollection(logs, fallbackDetails) {
   });
 }
 
+function normalizeRetryPolicy(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+
+  const clampSeconds = (raw, fallback) => {
+    const parsed = Number.parseInt(raw, 10);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(Math.max(parsed, 1), RUN_RETRY_MAX_DELAY_SECONDS);
+  };
+
+  const parsedAttempts = Number.parseInt(value.maxAttempts, 10);
+  const maxAttempts = Number.isFinite(parsedAttempts)
+    ? Math.min(Math.max(parsedAttempts, 1), RUN_RETRY_MAX_ATTEMPTS)
+    : 1;
+  const backoff =
+    typeof value.backoff === "string" &&
+    RUN_RETRY_BACKOFF_STRATEGIES.includes(value.backoff.trim().toLowerCase())
+      ? value.backoff.trim().toLowerCase()
+      : "fixed";
+  const delaySeconds = clampSeconds(value.delaySeconds, RUN_RETRY_DEFAULT_DELAY_SECONDS);
+  const maxDelaySeconds = Math.max(
+    clampSeconds(value.maxDelaySeconds, RUN_RETRY_MAX_DELAY_SECONDS),
+    delaySeconds,
+  );
+  const retryOn = Array.isArray(value.retryOn)
+    ? RUN_RETRY_FAILURE_TYPES.filter((type) => value.retryOn.includes(type))
+    : [...RUN_RETRY_FAILURE_TYPES];
+
+  return { maxAttempts, backoff, delaySeconds, maxDelaySeconds, retryOn };
+}
+
+function parseRetryPolicy(json) {
+  if (!json) return null;
+  try {
+    return normalizeRetryPolicy(JSON.parse(json));
+  } catch (err) {
+    return null;
+  }
+}
+
+function serializeRetryPolicy(value) {
+  const policy = normalizeRetryPolicy(value);
+  return policy ? JSON.stringify(policy) : null;
+}
+
+function computeRetryDelayMs(policy, failedAttempt) {
+  const attempt = Math.max(failedAttempt, 1);
+  let delaySeconds = policy.delaySeconds;
+  if (policy.backoff === "linear") {
+    delaySeconds = policy.delaySeconds * attempt;
+  } else if (policy.backoff === "exponential") {
+    delaySeconds = policy.delaySeconds * 2 ** (attempt - 1);
+  }
+  return Math.min(delaySeconds, policy.maxDelaySeconds) * 1000;
+}
+
+// Maps a failed run onto one of RUN_RETRY_FAILURE_TYPES. Failures that retrying
+// cannot fix (cancellations, authentication, incompatible runtimes) yield null.
+function classifyRunFailure(result, runStatus, { fromError = false } = {}) {
+  if (runStatus !== "error") return null;
+  if (result.timedOut) return "timeout";
+  const errorCode =
+    typeof result.errorCode === "string" ? result.errorCode.trim().toLowerCase() : "";
+  if (errorCode === "no_runner_available" || errorCode === "runner_unavailable") {
+    return "runner_unavailable";
+  }
+  if (fromError || errorCode) return null;
+  return "exit_code";
+}
+
+// Retries waiting out their backoff delay, keyed by the id of the failed run.
+const pendingRunRetries = new Map();
+
+function scheduleRunRetry(failedRunId, options, delayMs) {
+  const timer = setTimeout(() => {
+    pendingRunRetries.delete(failedRunId);
+    startRetryAttempt(failedRunId, options).catch((err) => {
+      console.error(`Failed to start retry of run ${failedRunId}`, err);
+    });
+  }, delayMs);
+  pendingRunRetries.set(failedRunId, { timer, options });
+}
+
+async function cancelPendingRunRetry(failedRunId) {
+  const pending = pendingRunRetries.get(failedRunId);
+  if (!pending) return false;
+  clearTimeout(pending.timer);
+  pendingRunRetries.delete(failedRunId);
+  try {
+    await dbRun(`UPDATE runs SET next_retry_at=NULL WHERE id=?`, [failedRunId]);
+  } catch (err) {
+    console.error(`Failed to clear retry for run ${failedRunId}`, err);
+  }
+  return true;
+}
+
+function cancelPendingRetriesForScript(scriptId) {
+  for (const [failedRunId, pending] of pendingRunRetries) {
+    if (pending.options.scriptId === scriptId) {
+      clearTimeout(pending.timer);
+      pendingRunRetries.delete(failedRunId);
+    }
+  }
+}
+
+async function startRetryAttempt(failedRunId, options) {
+  try {
+    await dbRun(`UPDATE runs SET next_retry_at=NULL WHERE id=?`, [failedRunId]);
+  } catch (err) {
+    console.error(`Failed to clear retry for run ${failedRunId}`, err);
+  }
+
+  const script = await loadScriptWithOwner("s.id=?", [options.scriptId]);
+  if (!script || script.is_recycled) {
+    console.warn(`Skipping retry of run ${failedRunId}; script is no longer available`);
+    return;
+  }
+
+  const runId = uuidv4();
+  const jobContext = {
+    ...(options.jobContext || {}),
+    retryAttempt: options.attempt,
+    retryOfRunId: options.retryOfRunId,
+  };
+  let runTracker = null;
+
+  try {
+    runTracker = await createRunTracker({
+      runId,
+      script,
+      triggeredBy: options.triggeredBy,
+      triggeredByUserId: options.triggeredByUserId,
+      input: options.input,
+      httpMethod: options.httpMethod,
+      attempt: options.attempt,
+      retryOfRunId: options.retryOfRunId,
+      retry: { policy: options.policy, jobContext: options.jobContext },
+      triggerDepth: options.jobContext?.triggerDepth || 0,
+    });
+    console.log(
+      `Retrying run ${options.retryOfRunId} as ${runId} (attempt ${options.attempt} of ${options.policy.maxAttempts})`,
+    );
+
+    await ensureHealthyRunnerAvailability(script);
+
+    const executionVariables = await loadScriptVariablesForExecution(script);
+    const result = await runJob(
+      {
+        ...script,
+        preassignedRunId: runId,
+        triggeredBy: options.triggeredBy,
+        triggeredByUserId: options.triggeredByUserId,
+        variables: executionVariables,
+        jobContext,
+      },
+      options.input,
+    );
+    await runTracker.complete(result);
+    await persistScriptNotifications(script, result);
+  } catch (err) {
+    if (runTracker) {
+      try {
+        await runTracker.fail(normalizeRunFailureError(err));
+      } catch (trackerErr) {
+        console.error(`Failed to persist retry run ${runId} failure`, trackerErr);
+      }
+    }
+    console.error(`Retry of run ${options.retryOfRunId} failed`, err);
+  }
+}
+
 async function createRunTracker({
   runId,
   script,
@@ -1351,14 +1841,22 @@ async function createRunTracker({
   input,
   httpMethod,
   codeVersion: providedCodeVersion = null,
+  resumeFrom = null,
+  attempt: providedAttempt = 1,
+  retryOfRunId: providedRetryOfRunId = null,
+  retry = null,
+  triggerDepth = 0,
+  dispatchTriggers = true,
 }) {
-  const scriptId = script?.id || null;
-  const codeVersion =
-    Number.isFinite(providedCodeVersion) && providedCodeVersion > 0
-      ? providedCodeVersion
-      : await determineCodeVersionForScript(scriptId);
-  const startTimeIso = new Date().toISOString();
-  const startTimestamp = Date.now();
+  const scriptId = script?.id || resumeFrom?.script_id || null;
+  const resumedAttempt = Number.parseInt(resumeFrom?.attempt, 10);
+  const attempt = Number.isFinite(resumedAttempt)
+    ? resumedAttempt
+    : Math.max(Number.parseInt(providedAttempt, 10) || 1, 1);
+  const retryOfRunId = resumeFrom ? resumeFrom.retry_of_run_id || null : providedRetryOfRunId;
+  const resumedStart = resumeFrom?.start_time ? Date.parse(resumeFrom.start_time) : NaN;
+  const startTimestamp = Number.isFinite(resumedStart) ? resumedStart : Date.now();
+  const startTimeIso = new Date(startTimestamp).toISOString();
   const triggeredLabel = normalizeTriggeredValue(triggeredBy, "API");
   const triggeredUserId =
     typeof triggeredByUserId === "string" && triggeredByUserId.trim()
@@ -1369,23 +1867,31 @@ async function createRunTracker({
       ? httpMethod.trim().toUpperCase().slice(0, 16)
       : null;
 
-  try {
-    await dbRun(
-      `INSERT INTO runs (id, script_id, start_time, status, code_version, triggered_by, triggered_by_user_id, http_method)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        runId,
-        scriptId,
-        startTimeIso,
-        "running",
-        codeVersion,
-        triggeredLabel,
-        triggeredUserId,
-        normalizedMethod,
-      ],
-    );
-  } catch (err) {
-    console.error("Failed to record run start", err);
+  if (!resumeFrom) {
+    const codeVersion =
+      Number.isFinite(providedCodeVersion) && providedCodeVersion > 0
+        ? providedCodeVersion
+        : await determineCodeVersionForScript(scriptId);
+    try {
+      await dbRun(
+        `INSERT INTO runs (id, script_id, start_time, status, code_version, triggered_by, triggered_by_user_id, http_method, attempt, retry_of_run_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          scriptId,
+          startTimeIso,
+          "running",
+          codeVersion,
+          triggeredLabel,
+          triggeredUserId,
+          normalizedMethod,
+          attempt,
+          retryOfRunId,
+        ],
+      );
+    } catch (err) {
+      console.error("Failed to record run start", err);
+    }
   }
 
   const inputSnapshot = cloneInputSnapshot(input);
@@ -1400,7 +1906,7 @@ async function createRunTracker({
 
   let settled = false;
 
-  const persistOutcome = async (rawResult) => {
+  const persistOutcome = async (rawResult, { fromError = false } = {}) => {
     const normalized = normalizeRunResultPayload(rawResult, context);
     const rawStderr =
       typeof normalized.stderr === "string"
@@ -1409,9 +1915,11 @@ async function createRunTracker({
           ? String(normalized.stderr)
           : "";
     const trimmedStderr = rawStderr.trim();
-    const success = normalized.code === 0 && !trimmedStderr;
+    const success = !normalized.cancelled && normalized.code === 0 && !trimmedStderr;
     const persistedStderr =
       trimmedStderr || (normalized.code !== 0 ? "Script execution failed" : "");
+    const runStatus = normalized.cancelled ? "cancelled" : success ? "success" : "error";
+    const failureType = classifyRunFailure(normalized, runStatus, { fromError });
 
     normalized.stderr = persistedStderr;
     normalized.automnLogs = normalizeAutomnLogCollection(normalized.automnLogs, {
@@ -1438,8 +1946,8 @@ async function createRunTracker({
 
     try {
       await dbRun(
-        `UPDATE runs SET end_time=?, duration_ms=?, status=?, return_json=? WHERE id=?`,
-        [endTimeIso, normalized.duration, success ? "success" : "error", returnJson, runId],
+        `UPDATE runs SET end_time=?, duration_ms=?, status=?, return_json=?, failure_type=? WHERE id=?`,
+        [endTimeIso, normalized.duration, runStatus, returnJson, failureType, runId],
       );
     } catch (err) {
       console.error("Failed to update run record", err);
@@ -1468,6 +1976,61 @@ async function createRunTracker({
     } catch (err) {
       console.error("Failed to insert run log", err);
     }
+
+    return {
+      failureType,
+      status: runStatus,
+      exitCode: normalized.code,
+      returnData: normalized.returnData,
+    };
+  };
+
+  const scheduleRetryIfNeeded = async (failureType) => {
+    const policy = retry?.policy;
+    if (!policy || !failureType || !scriptId) return false;
+    if (!policy.retryOn.includes(failureType) || attempt >= policy.maxAttempts) return false;
+
+    const delayMs = computeRetryDelayMs(policy, attempt);
+    const nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+    try {
+      await dbRun(`UPDATE runs SET next_retry_at=? WHERE id=?`, [nextRetryAt, runId]);
+    } catch (err) {
+      console.error(`Failed to record retry for run ${runId}`, err);
+    }
+    scheduleRunRetry(
+      runId,
+      {
+        scriptId,
+        input: inputSnapshot,
+        httpMethod: normalizedMethod,
+        triggeredBy: triggeredLabel,
+        triggeredByUserId: triggeredUserId,
+        jobContext: retry.jobContext || null,
+        policy,
+        attempt: attempt + 1,
+        retryOfRunId: retryOfRunId || runId,
+      },
+      delayMs,
+    );
+    return true;
+  };
+
+  // Triggers fire once the run has a final outcome; a pending retry means the
+  // attempt chain is still going.
+  const settleOutcome = async (outcome) => {
+    const retrying = await scheduleRetryIfNeeded(outcome.failureType);
+    if (retrying || !scriptId || !dispatchTriggers) return;
+    dispatchScriptTriggers({
+      runId,
+      scriptId,
+      scriptName: script?.name || null,
+      status: outcome.status,
+      exitCode: outcome.exitCode,
+      returnData: outcome.returnData,
+      triggerDepth,
+    }).catch((err) => {
+      console.error(`Failed to dispatch triggers for run ${runId}`, err);
+    });
   };
 
   return {
@@ -1475,25 +2038,29 @@ async function createRunTracker({
     async complete(result) {
       if (settled) return;
       settled = true;
-      await persistOutcome(result);
+      await settleOutcome(await persistOutcome(result));
     },
     async fail(error) {
       if (settled) return;
       settled = true;
       const failureError = normalizeRunFailureError(error);
       const message = failureError?.message || "Runner error";
-      await persistOutcome({
-        runId,
-        stdout: "",
-        stderr: message,
-        code: 1,
-        duration: 0,
-        returnData: null,
-        automnLogs: [],
-        automnNotifications: [],
-        input: inputSnapshot,
-        errorCode: failureError?.code,
-      });
+      const outcome = await persistOutcome(
+        {
+          runId,
+          stdout: "",
+          stderr: message,
+          code: 1,
+          duration: 0,
+          returnData: null,
+          automnLogs: [],
+          automnNotifications: [],
+          input: inputSnapshot,
+          errorCode: failureError?.code,
+        },
+        { fromError: true },
+      );
+      await settleOutcome(outcome);
     },
   };
 }
@@ -1509,6 +2076,8 @@ async function recordImmediateRunFailure({
   codeVersion = null,
 }) {
   try {
+    // These requests were turned away before reaching a runner, so they are
+    // logged without firing the script's triggers.
     const tracker = await createRunTracker({
       runId,
       script,
@@ -1517,6 +2086,7 @@ async function recordImmediateRunFailure({
       input,
       httpMethod,
       codeVersion,
+      dispatchTriggers: false,
     });
     await tracker.fail(error);
   } catch (err) {
@@ -1773,34 +2343,40 @@ function parseTimeOfDay(value) {
   return { hours, minutes };
 }
 
-function applyTimeToDate(baseDate, timeOfDay) {
-  const next = new Date(baseDate.getTime());
-  if (!timeOfDay) return next;
-  next.setHours(timeOfDay.hours, timeOfDay.minutes, 0, 0);
-  return next;
+function shiftWallClock(parts, { days = 0, months = 0 } = {}) {
+  const shifted = new Date(
+    Date.UTC(parts.year, parts.month - 1 + months, parts.day + days, parts.hour, parts.minute, parts.second),
+  );
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+  };
 }
 
-function addIntervalToDate(baseDate, count, unit) {
-  const result = new Date(baseDate.getTime());
-  const normalizedCount = Number.isFinite(count) && count > 0 ? count : 1;
-  switch (unit) {
-    case "hours":
-      result.setHours(result.getHours() + normalizedCount);
-      break;
-    case "days":
-      result.setDate(result.getDate() + normalizedCount);
-      break;
-    case "weeks":
-      result.setDate(result.getDate() + normalizedCount * 7);
-      break;
-    case "months":
-      result.setMonth(result.getMonth() + normalizedCount);
-      break;
-    default:
-      result.setHours(result.getHours() + normalizedCount);
-      break;
+function applyTimeToWallClock(parts, timeOfDay) {
+  if (!timeOfDay) return { ...parts };
+  return { ...parts, hour: timeOfDay.hours, minute: timeOfDay.minutes, second: 0 };
+}
+
+function parseScheduleStartDate(value, timeZone) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return {
+      year: Number.parseInt(match[1], 10),
+      month: Number.parseInt(match[2], 10),
+      day: Number.parseInt(match[3], 10),
+      hour: 0,
+      minute: 0,
+      second: 0,
+    };
   }
-  return result;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : getZonedParts(parsed, timeZone);
 }
 
 function normalizeScheduleConfig(config) {
@@ -1808,16 +2384,29 @@ function normalizeScheduleConfig(config) {
     return null;
   }
 
-  const mode = config.mode === "weekly" ? "weekly" : "interval";
+  const mode = ["weekly", "cron"].includes(config.mode) ? config.mode : "interval";
 
-  if (mode === "weekly") {
-    const days = Array.isArray(config.daysOfWeek)
-      ? config.daysOfWeek
-        .map((value) => Number.parseInt(value, 10))
-        .filter((value) => Number.isInteger(value) && value >= 0 && value <= 6)
-      : [];
-    const uniqueDays = [...new Set(days)].sort((a, b) => a - b);
-    if (!uniqueDays.length) {
+  if (mode === "cron") {
+    const expression = typeof config.expression === "string" ? config.expression.trim() : "";
+    try {
+      parseCronExpression(expression);
+    } catch (err) {
+      return null;
+    }
+    return {
+      mode,
+      expression,
+    };
+  }
+
+  if (mode === "weekly") {
+    const days = Array.isArray(config.daysOfWeek)
+      ? config.daysOfWeek
+        .map((value) => Number.parseInt(value, 10))
+        .filter((value) => Number.isInteger(value) && value >= 0 && value <= 6)
+      : [];
+    const uniqueDays = [...new Set(days)].sort((a, b) => a - b);
+    if (!uniqueDays.length) {
       return null;
     }
 
@@ -1850,44 +2439,350 @@ function normalizeScheduleConfig(config) {
   };
 }
 
-function computeNextRunAt(scheduleConfig, fromDate = new Date()) {
+function computeNextRunAt(scheduleConfig, fromDate = new Date(), timeZone = null) {
   if (!scheduleConfig) return null;
   const base = fromDate instanceof Date ? new Date(fromDate.getTime()) : new Date();
+  const zone = resolveTimeZone(timeZone);
+
+  if (scheduleConfig.mode === "cron") {
+    let parsed;
+    try {
+      parsed = parseCronExpression(scheduleConfig.expression);
+    } catch (err) {
+      return null;
+    }
+    const next = computeNextCronOccurrence(parsed, base, zone);
+    return next ? next.toISOString() : null;
+  }
 
   if (scheduleConfig.mode === "weekly") {
     const targetTime = scheduleConfig.time || { hours: 0, minutes: 0 };
     const days = Array.isArray(scheduleConfig.daysOfWeek)
       ? scheduleConfig.daysOfWeek
       : [];
+    const today = getZonedParts(base, zone);
     for (let offset = 0; offset < 14; offset += 1) {
-      const candidate = new Date(base.getTime());
-      candidate.setDate(candidate.getDate() + offset);
-      const withTime = applyTimeToDate(candidate, targetTime);
-      if (days.includes(withTime.getDay()) && withTime > base) {
-        return withTime.toISOString();
+      const day = applyTimeToWallClock(shiftWallClock(today, { days: offset }), targetTime);
+      const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+      if (!days.includes(weekday)) continue;
+      const candidate = resolveZonedTimes(day, zone).find((instant) => instant > base);
+      if (candidate) {
+        return candidate.toISOString();
       }
     }
     return null;
   }
 
   const intervalConfig = { ...scheduleConfig };
-  const intervalBase = intervalConfig.startDate
-    ? new Date(intervalConfig.startDate)
-    : new Date(base.getTime());
-  const anchored = intervalConfig.startTime
-    ? applyTimeToDate(intervalBase, intervalConfig.startTime)
-    : intervalBase;
-
-  let candidate = anchored > base ? anchored : new Date(anchored.getTime());
+  const every = Number.isFinite(intervalConfig.every) && intervalConfig.every > 0 ? intervalConfig.every : 1;
+  const anchorWallClock = applyTimeToWallClock(
+    parseScheduleStartDate(intervalConfig.startDate, zone) || getZonedParts(base, zone),
+    intervalConfig.startTime,
+  );
+  const anchored =
+    intervalConfig.startDate || intervalConfig.startTime
+      ? zonedTimeToDate(anchorWallClock, zone)
+      : new Date(base.getTime());
+
+  // Hourly intervals count elapsed time; longer units keep the same wall-clock
+  // time in the job's zone across daylight-saving changes.
+  let candidate = anchored;
+  let wallClock = anchorWallClock;
   let safety = 0;
   while (candidate <= base && safety < 500) {
-    candidate = addIntervalToDate(candidate, intervalConfig.every, intervalConfig.unit);
+    switch (intervalConfig.unit) {
+      case "days":
+        wallClock = shiftWallClock(wallClock, { days: every });
+        candidate = zonedTimeToDate(wallClock, zone);
+        break;
+      case "weeks":
+        wallClock = shiftWallClock(wallClock, { days: every * 7 });
+        candidate = zonedTimeToDate(wallClock, zone);
+        break;
+      case "months":
+        wallClock = shiftWallClock(wallClock, { months: every });
+        candidate = zonedTimeToDate(wallClock, zone);
+        break;
+      default:
+        candidate = new Date(candidate.getTime() + every * 60 * 60 * 1000);
+        break;
+    }
     safety += 1;
   }
 
   return candidate > base ? candidate.toISOString() : null;
 }
 
+function describeInvalidSchedule(config) {
+  if (config && typeof config === "object" && config.mode === "cron") {
+    try {
+      parseCronExpression(config.expression);
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return "A valid schedule is required";
+}
+
+function computeUpcomingRuns(scheduleConfig, count, fromDate = new Date(), timeZone = null) {
+  const upcoming = [];
+  let cursor = fromDate;
+  while (upcoming.length < count) {
+    const next = computeNextRunAt(scheduleConfig, cursor, timeZone);
+    if (!next) break;
+    upcoming.push(next);
+    cursor = new Date(next);
+  }
+  return upcoming;
+}
+
+function normalizeMisfirePolicy(value) {
+  if (typeof value !== "string") return null;
+  const normalized = value.trim().toLowerCase();
+  return SCHEDULER_MISFIRE_POLICIES.includes(normalized) ? normalized : null;
+}
+
+function normalizeMisfireLimit(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return null;
+  return Math.min(parsed, SCHEDULER_MISFIRE_MAX_LIMIT);
+}
+
+// Walks every occurrence between the first due time and now, keeping only the
+// most recent ones once the scan limit is reached. Older occurrences are
+// counted as dropped so long outages still report how many runs were missed.
+async function collectDueOccurrences(scheduleConfig, firstDueAt, now, timeZone) {
+  const occurrences = [firstDueAt];
+  let droppedCount = 0;
+  let cursor = firstDueAt;
+  let scanned = 1;
+  while (true) {
+    const next = computeNextRunAt(scheduleConfig, new Date(cursor), timeZone);
+    if (!next || new Date(next) > now) {
+      return { occurrences, droppedCount, nextRunAt: next };
+    }
+    if (occurrences.length >= SCHEDULER_MISFIRE_SCAN_LIMIT) {
+      occurrences.shift();
+      droppedCount += 1;
+    }
+    occurrences.push(next);
+    cursor = next;
+    scanned += 1;
+    if (scanned % SCHEDULER_MISFIRE_SCAN_LIMIT === 0) {
+      // Let requests through while catching up on a very long outage.
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+}
+
+// Decides which due occurrences to dispatch. Occurrences that are later than
+// the misfire threshold are reported as missed along with how they were
+// handled: "fired" (caught up), "coalesced" (folded into a single run) or
+// "skipped".
+function planSchedulerFires(jobRow, occurrences, now) {
+  const policy = normalizeMisfirePolicy(jobRow.misfire_policy) || SCHEDULER_DEFAULT_MISFIRE_POLICY;
+  const isLate = (scheduledAt) => now.getTime() - new Date(scheduledAt).getTime() > SCHEDULER_MISFIRE_THRESHOLD_MS;
+
+  let fires;
+  if (policy === "fire_all") {
+    const limit = normalizeMisfireLimit(jobRow.misfire_limit) || SCHEDULER_MISFIRE_DEFAULT_LIMIT;
+    fires = occurrences.slice(-limit);
+  } else if (policy === "skip") {
+    fires = occurrences.filter((scheduledAt) => !isLate(scheduledAt)).slice(-1);
+  } else {
+    fires = occurrences.slice(-1);
+  }
+
+  const misfires = occurrences.filter(isLate).map((scheduledAt) => {
+    if (fires.includes(scheduledAt)) {
+      return { scheduledAt, action: "fired" };
+    }
+    return { scheduledAt, action: policy === "fire_once" ? "coalesced" : "skipped" };
+  });
+
+  return { policy, fires, misfires };
+}
+
+async function recordSchedulerMisfires(jobId, misfires, dispatchedRuns, droppedCount = 0) {
+  if (!misfires.length && !droppedCount) return;
+  const coalescedRunId = [...dispatchedRuns.values()].pop() || null;
+  const detectedAt = new Date().toISOString();
+  let transactionActive = false;
+  try {
+    await dbRun("BEGIN IMMEDIATE TRANSACTION");
+    transactionActive = true;
+
+    // Only the newest rows survive the history trim below, so skip the rest.
+    for (const misfire of misfires.slice(-SCHEDULER_MISFIRE_HISTORY_LIMIT)) {
+      let { action } = misfire;
+      let runId = null;
+      if (action === "fired") {
+        runId = dispatchedRuns.get(misfire.scheduledAt) || null;
+        action = runId ? "fired" : "skipped";
+      } else if (action === "coalesced") {
+        runId = coalescedRunId;
+        action = runId ? "coalesced" : "skipped";
+      }
+      await dbRun(
+        `INSERT INTO scheduler_job_misfires (id, job_id, scheduled_at, action, run_id, detected_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), jobId, misfire.scheduledAt, action, runId, detectedAt],
+      );
+    }
+    await dbRun(
+      `UPDATE scheduler_jobs
+          SET missed_run_count=COALESCE(missed_run_count, 0) + ?,
+              last_missed_at=COALESCE(?, last_missed_at)
+        WHERE id=?`,
+      [
+        misfires.length + droppedCount,
+        misfires.length ? misfires[misfires.length - 1].scheduledAt : null,
+        jobId,
+      ],
+    );
+    await dbRun(
+      `DELETE FROM scheduler_job_misfires
+        WHERE job_id=?
+          AND id NOT IN (
+            SELECT id FROM scheduler_job_misfires
+             WHERE job_id=?
+             ORDER BY scheduled_at DESC
+             LIMIT ?
+          )`,
+      [jobId, jobId, SCHEDULER_MISFIRE_HISTORY_LIMIT],
+    );
+
+    await dbRun("COMMIT");
+    transactionActive = false;
+  } catch (err) {
+    if (transactionActive) {
+      await dbRun("ROLLBACK").catch(() => { });
+    }
+    console.error(`Failed to record missed runs for scheduled job ${jobId}`, err);
+  }
+}
+
+function normalizeOverlapPolicy(value) {
+  if (typeof value !== "string") return null;
+  const normalized = value.trim().toLowerCase();
+  return SCHEDULER_OVERLAP_POLICIES.includes(normalized) ? normalized : null;
+}
+
+// Workflow runs started by scheduler jobs, keyed by job id. Steps come and go
+// while a workflow runs, so overlap checks follow the workflow run itself.
+const schedulerWorkflowRuns = new Map();
+
+function listSchedulerJobLiveRuns(jobId) {
+  const workflowRunIds = schedulerWorkflowRuns.get(jobId);
+  return listLiveRuns(
+    (jobContext) =>
+      jobContext?.schedulerJobId === jobId ||
+      Boolean(workflowRunIds?.has(jobContext?.workflowRunId)),
+  );
+}
+
+function hasActiveSchedulerRun(jobId) {
+  return Boolean(schedulerWorkflowRuns.get(jobId)?.size) || listSchedulerJobLiveRuns(jobId).length > 0;
+}
+
+function trackSchedulerWorkflowRun(jobRow, workflowRun) {
+  const runIds = schedulerWorkflowRuns.get(jobRow.id) || new Set();
+  runIds.add(workflowRun.id);
+  schedulerWorkflowRuns.set(jobRow.id, runIds);
+  workflowRun.completion.finally(() => {
+    runIds.delete(workflowRun.id);
+    if (!runIds.size && schedulerWorkflowRuns.get(jobRow.id) === runIds) {
+      schedulerWorkflowRuns.delete(jobRow.id);
+    }
+    if (normalizeOverlapPolicy(jobRow.overlap_policy) === "queue_one") {
+      scheduleSchedulerTick(500);
+    }
+  });
+}
+
+// Applies the job's overlap policy against the engine's live runs. Returns
+// "dispatch" when a new run should start, or "skipped" / "queued" when the
+// fire was absorbed by a run that is still queued or executing.
+async function resolveSchedulerOverlap(jobRow, scheduledAt) {
+  const policy = normalizeOverlapPolicy(jobRow.overlap_policy) || SCHEDULER_DEFAULT_OVERLAP_POLICY;
+  if (policy === "allow") return "dispatch";
+
+  if (!hasActiveSchedulerRun(jobRow.id)) return "dispatch";
+
+  if (policy === "skip") {
+    console.log(`Scheduled job ${jobRow.id} skipped; its previous run is still active.`);
+    return "skipped";
+  }
+
+  if (policy === "queue_one") {
+    const result = await dbRun(
+      `UPDATE scheduler_jobs SET overlap_pending_at=? WHERE id=? AND overlap_pending_at IS NULL`,
+      [scheduledAt, jobRow.id],
+    );
+    console.log(
+      result?.changes
+        ? `Scheduled job ${jobRow.id} queued until the previous run finishes.`
+        : `Scheduled job ${jobRow.id} already has a queued run; dropping this fire.`,
+    );
+    return "queued";
+  }
+
+  // For workflows this cancels the steps that are still queued or running.
+  for (const liveRun of listSchedulerJobLiveRuns(jobRow.id)) {
+    if (liveRun.cancelRequested) continue;
+    try {
+      await cancelRun(liveRun.runId);
+      console.log(`Scheduled job ${jobRow.id} cancelled previous run ${liveRun.runId}.`);
+    } catch (err) {
+      console.error(`Scheduled job ${jobRow.id} failed to cancel previous run ${liveRun.runId}`, err);
+    }
+  }
+  return "dispatch";
+}
+
+async function processPendingSchedulerFires() {
+  let pendingJobs = [];
+  try {
+    pendingJobs = await dbAll(
+      `SELECT * FROM scheduler_jobs
+         WHERE is_enabled=1 AND overlap_pending_at IS NOT NULL
+         ORDER BY overlap_pending_at ASC`,
+    );
+  } catch (err) {
+    console.error("Failed to load queued scheduler runs", err);
+    return;
+  }
+
+  for (const jobRow of pendingJobs) {
+    if (hasActiveSchedulerRun(jobRow.id)) continue;
+
+    await dbRun(`UPDATE scheduler_jobs SET overlap_pending_at=NULL WHERE id=?`, [jobRow.id]);
+    const dispatchResult = await dispatchSchedulerJob(jobRow, {
+      scheduledFor: jobRow.overlap_pending_at,
+    });
+    if (dispatchResult) {
+      await dbRun(
+        `UPDATE scheduler_jobs SET last_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
+        [new Date().toISOString(), jobRow.id],
+      );
+    } else {
+      console.warn(`Scheduled job ${jobRow.id} queued run could not be dispatched; dropping it.`);
+    }
+  }
+}
+
+function sanitizeSchedulerMisfireRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    scheduledAt: row.scheduled_at,
+    action: row.action,
+    runId: row.run_id || null,
+    detectedAt: row.detected_at || null,
+  };
+}
+
 function serializeScheduleConfig(config) {
   try {
     return JSON.stringify(config || {});
@@ -1934,12 +2829,23 @@ function sanitizeSchedulerJobRow(row) {
   return {
     id: row.id,
     name: row.name || "",
+    targetType: row.workflow_id ? "workflow" : "script",
     scriptId: row.script_id || null,
     scriptName: row.script_name || "",
     scriptIsRecycled: normalizeDbBoolean(row.script_is_recycled),
+    workflowId: row.workflow_id || null,
+    workflowName: row.workflow_name || "",
     httpMethod: row.http_method || "POST",
     payload: row.payload || "",
     schedule,
+    timeZone: resolveTimeZone(row.time_zone),
+    misfirePolicy: normalizeMisfirePolicy(row.misfire_policy) || SCHEDULER_DEFAULT_MISFIRE_POLICY,
+    misfireLimit: normalizeMisfireLimit(row.misfire_limit),
+    missedRunCount: Number.parseInt(row.missed_run_count, 10) || 0,
+    lastMissedAt: row.last_missed_at || null,
+    overlapPolicy: normalizeOverlapPolicy(row.overlap_policy) || SCHEDULER_DEFAULT_OVERLAP_POLICY,
+    queuedRunAt: row.overlap_pending_at || null,
+    retryPolicy: parseRetryPolicy(row.retry_policy_json),
     isEnabled: normalizeDbBoolean(row.is_enabled),
     lastRunAt: row.last_run_at || null,
     nextRunAt: row.next_run_at || null,
@@ -1948,12 +2854,32 @@ function sanitizeSchedulerJobRow(row) {
   };
 }
 
+function auditSchedulerJobSnapshot(row) {
+  const job = sanitizeSchedulerJobRow(row);
+  if (!job) return null;
+  return {
+    name: job.name,
+    scriptId: job.scriptId,
+    workflowId: job.workflowId,
+    httpMethod: job.httpMethod,
+    payload: job.payload,
+    schedule: job.schedule,
+    timeZone: job.timeZone,
+    misfirePolicy: job.misfirePolicy,
+    misfireLimit: job.misfireLimit,
+    overlapPolicy: job.overlapPolicy,
+    retryPolicy: job.retryPolicy,
+    isEnabled: job.isEnabled,
+  };
+}
+
 async function loadSchedulerJob(jobId) {
   if (!jobId) return null;
   return dbGet(
-    `SELECT sj.*, s.name AS script_name, s.is_recycled AS script_is_recycled
+    `SELECT sj.*, s.name AS script_name, s.is_recycled AS script_is_recycled, w.name AS workflow_name
        FROM scheduler_jobs sj
        LEFT JOIN scripts s ON s.id = sj.script_id
+       LEFT JOIN workflows w ON w.id = sj.workflow_id
       WHERE sj.id=?`,
     [jobId],
   );
@@ -2025,12 +2951,12 @@ async function computeNextRunForJob(jobRow) {
     : normalizeScheduleConfig(jobRow.schedule || {});
   if (!scheduleConfig) return null;
   const anchor = jobRow.next_run_at || jobRow.updated_at || jobRow.created_at || new Date().toISOString();
-  return computeNextRunAt(scheduleConfig, new Date(anchor));
+  return computeNextRunAt(scheduleConfig, new Date(anchor), jobRow.time_zone);
 }
 
-async function updateNextRun(jobId, scheduleConfig) {
+async function updateNextRun(jobId, scheduleConfig, timeZone = null) {
   if (!jobId) return null;
-  const nextRun = computeNextRunAt(scheduleConfig, new Date());
+  const nextRun = computeNextRunAt(scheduleConfig, new Date(), timeZone);
   await dbRun(
     `UPDATE scheduler_jobs SET next_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
     [nextRun, jobId],
@@ -2038,13 +2964,17 @@ async function updateNextRun(jobId, scheduleConfig) {
   return nextRun;
 }
 
-async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
+async function dispatchSchedulerJob(jobRow, { testRun = false, scheduledFor = null } = {}) {
   const schedulerUser = (await loadSchedulerUser()) || (await ensureSchedulerUser());
   if (!schedulerUser || !schedulerUser.isActive) {
     console.error("Scheduler user is unavailable; skipping scheduled job.");
     return null;
   }
 
+  if (jobRow.workflow_id) {
+    return dispatchSchedulerWorkflow(jobRow, schedulerUser);
+  }
+
   const schedule = deserializeScheduleConfig(jobRow.schedule_config);
   const scriptId = jobRow.script_id;
   if (!scriptId) {
@@ -2087,6 +3017,7 @@ async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
     schedulerJobId: jobRow.id,
     schedulerMode: schedule?.mode || "interval",
     schedulerTestRun: testRun,
+    schedulerScheduledFor: scheduledFor,
   };
 
   let runTracker = null;
@@ -2094,6 +3025,9 @@ async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
 
   try {
     const codeVersion = await determineCodeVersionForScript(script.id);
+    const retryPolicy = testRun
+      ? null
+      : parseRetryPolicy(jobRow.retry_policy_json) || parseRetryPolicy(script.retry_policy_json);
     runTracker = await createRunTracker({
       runId,
       script,
@@ -2102,6 +3036,7 @@ async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
       input,
       httpMethod,
       codeVersion,
+      retry: { policy: retryPolicy, jobContext },
     });
 
     await ensureHealthyRunnerAvailability(script);
@@ -2140,6 +3075,11 @@ async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
           }
         }
         console.error(`Scheduled job ${jobRow.id} failed`, err);
+      })
+      .finally(() => {
+        if (normalizeOverlapPolicy(jobRow.overlap_policy) === "queue_one") {
+          scheduleSchedulerTick(500);
+        }
       });
 
     return { runId };
@@ -2157,8 +3097,38 @@ async function dispatchSchedulerJob(jobRow, { testRun = false } = {}) {
   }
 }
 
+// Scheduled workflows start as if the scheduler account called
+// /w/:endpoint, so it must be allowed to run every step.
+async function dispatchSchedulerWorkflow(jobRow, schedulerUser) {
+  try {
+    const workflowRow = await dbGet("SELECT * FROM workflows WHERE id=?", [jobRow.workflow_id]);
+    if (!workflowRow || !normalizeDbBoolean(workflowRow.is_enabled)) {
+      console.error(`Scheduled job ${jobRow.id} workflow is unavailable.`);
+      return null;
+    }
+
+    const definition = parseWorkflowDefinition(workflowRow.definition_json);
+    for (const step of definition?.steps || []) {
+      await ensureScriptAccess({ scriptId: step.scriptId, user: schedulerUser, requiredPermission: "run" });
+    }
+
+    const workflowRun = await startWorkflowRun({
+      workflowRow,
+      input: resolveSchedulerExecutionPayload(jobRow.payload),
+      triggeredBy: "Scheduler",
+      triggeredByUserId: schedulerUser.id,
+    });
+    trackSchedulerWorkflowRun(jobRow, workflowRun);
+    return { runId: workflowRun.id };
+  } catch (err) {
+    console.error(`Scheduled job ${jobRow.id} failed to start its workflow`, err);
+    return null;
+  }
+}
+
 async function processDueSchedulerJobs() {
   if (!schedulerState.enabled) return;
+  await processPendingSchedulerFires();
   const nowIso = new Date().toISOString();
   let dueJobs = [];
   try {
@@ -2180,16 +3150,30 @@ async function processDueSchedulerJobs() {
 
   for (const jobRow of dueJobs) {
     const scheduleConfig = deserializeScheduleConfig(jobRow.schedule_config);
-    const nextRun = computeNextRunAt(scheduleConfig, new Date(jobRow.next_run_at || nowIso));
-    const lastRunAt = new Date().toISOString();
-    const dispatchResult = await dispatchSchedulerJob(jobRow);
+    const now = new Date();
+    const { occurrences, droppedCount, nextRunAt: nextRun } = await collectDueOccurrences(
+      scheduleConfig,
+      jobRow.next_run_at || nowIso,
+      now,
+      jobRow.time_zone,
+    );
+    const plan = planSchedulerFires(jobRow, occurrences, now);
+    const lastRunAt = now.toISOString();
+
+    const dispatchedRuns = new Map();
+    let overlapHandled = false;
+    for (const scheduledAt of plan.fires) {
+      const overlap = await resolveSchedulerOverlap(jobRow, scheduledAt);
+      if (overlap !== "dispatch") {
+        overlapHandled = true;
+        continue;
+      }
+      const dispatchResult = await dispatchSchedulerJob(jobRow, { scheduledFor: scheduledAt });
+      if (!dispatchResult) break;
+      dispatchedRuns.set(scheduledAt, dispatchResult.runId);
+    }
 
-    if (dispatchResult) {
-      await dbRun(
-        `UPDATE scheduler_jobs SET last_run_at=?, next_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
-        [lastRunAt, nextRun, jobRow.id],
-      );
-    } else {
+    if (plan.fires.length && !dispatchedRuns.size && !overlapHandled) {
       console.warn(
         `Scheduled job ${jobRow.id} dispatch failed; retrying after cooldown.`,
       );
@@ -2200,6 +3184,26 @@ async function processDueSchedulerJobs() {
         `UPDATE scheduler_jobs SET next_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
         [retryAt, jobRow.id],
       );
+      continue;
+    }
+
+    if (plan.misfires.length || droppedCount) {
+      console.warn(
+        `Scheduled job ${jobRow.id} missed ${plan.misfires.length + droppedCount} run(s); applying ${plan.policy} policy.`,
+      );
+      await recordSchedulerMisfires(jobRow.id, plan.misfires, dispatchedRuns, droppedCount);
+    }
+
+    if (dispatchedRuns.size) {
+      await dbRun(
+        `UPDATE scheduler_jobs SET last_run_at=?, next_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
+        [lastRunAt, nextRun, jobRow.id],
+      );
+    } else {
+      await dbRun(
+        `UPDATE scheduler_jobs SET next_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
+        [nextRun, jobRow.id],
+      );
     }
   }
 }
@@ -2241,2755 +3245,7794 @@ async function initializeSchedulerState() {
   }
 }
 
-function sanitizeVariableApiRow(
-  row,
-  { envPrefix = SCRIPT_VARIABLE_ENV_PREFIX, scope = "script" } = {},
-) {
-  if (!row) return null;
-  const isSecure = row.is_secure !== 0;
-  const envName = row.env_name || computeVariableEnvName(row.name, envPrefix);
-  const storedValue = row.value || "";
-  const base = {
-    id: row.id,
-    scriptId: row.script_id || null,
-    categoryId: row.category_id || null,
-    collectionId: row.category_id || null,
-    name: row.name,
-    envName,
-    isSecure,
-    createdAt: row.created_at || null,
-    updatedAt: row.updated_at || null,
-    hasValue: Boolean(storedValue),
-    scope,
-  };
-
-  if (isSecure) {
-    base.value = null;
-    base.maskedValue = storedValue ? VARIABLE_MASK : "";
-  } else {
-    base.value = storedValue;
-    base.maskedValue = null;
+// ─────────────────────────────────────────────
+// Workflows: scripts chained as a DAG. Each step runs as a regular script run
+// and hands its AutomnReturn value to the steps that depend on it.
+// ─────────────────────────────────────────────
+function parseWorkflowDefinition(raw) {
+  if (!raw) return null;
+  try {
+    return normalizeWorkflowDefinition(JSON.parse(raw));
+  } catch (err) {
+    return null;
   }
+}
 
-  return base;
+function serializeWorkflowJson(value) {
+  if (value === undefined) return null;
+  try {
+    return JSON.stringify(value);
+  } catch (err) {
+    return null;
+  }
 }
 
-async function loadScriptVariablesForApi(scriptId) {
-  if (!scriptId) return [];
+function parseWorkflowJson(raw) {
+  if (raw === null || raw === undefined) return null;
   try {
-    const rows = await dbAll(
-      `SELECT id, script_id, name, env_name, value, is_secure, created_at, updated_at
-         FROM script_variables
-        WHERE script_id=?
-        ORDER BY name COLLATE NOCASE`,
-      [scriptId],
-    );
-    return rows
-      .map((row) =>
-        sanitizeVariableApiRow(row, {
-          envPrefix: SCRIPT_VARIABLE_ENV_PREFIX,
-          scope: "script",
-        }),
-      )
-      .filter(Boolean);
+    return JSON.parse(raw);
   } catch (err) {
-    console.error("Failed to load script variables", err);
-    return [];
+    return null;
   }
 }
 
-async function loadCategoryVariablesForApi(categoryId) {
-  const effectiveCategoryId = categoryId || DEFAULT_CATEGORY_ID;
+async function runWorkflowStep({ workflowRow, workflowRunId, step, input, triggeredByUserId }) {
+  const runId = uuidv4();
+  const startTime = new Date().toISOString();
+  await dbRun(
+    `UPDATE workflow_run_steps SET status='running', script_id=?, run_id=?, start_time=? WHERE workflow_run_id=? AND step_id=?`,
+    [step.scriptId, runId, startTime, workflowRunId, step.id],
+  );
+
+  const triggeredByLabel = `Workflow ${workflowRow.name}`;
+  let runTracker = null;
+  let outcome;
   try {
-    const rows = await dbAll(
-      `SELECT id, category_id, name, env_name, value, is_secure, created_at, updated_at
-         FROM category_variables
-        WHERE category_id=?
-        ORDER BY name COLLATE NOCASE`,
-      [effectiveCategoryId],
+    const { script } = await ensureScriptAccess({ scriptId: step.scriptId });
+
+    const jobContext = {
+      userId: triggeredByUserId,
+      username: null,
+      requestId: `workflow-${workflowRunId}-${step.id}`,
+      requestUrl: null,
+      requestHeaders: {},
+      requestIp: null,
+      workflowId: workflowRow.id,
+      workflowRunId,
+      workflowStepId: step.id,
+    };
+
+    runTracker = await createRunTracker({
+      runId,
+      script,
+      triggeredBy: triggeredByLabel,
+      triggeredByUserId,
+      input,
+      httpMethod: script.run_method || "POST",
+    });
+
+    await ensureHealthyRunnerAvailability(script);
+    const executionVariables = await loadScriptVariablesForExecution(script);
+    const result = await runJob(
+      {
+        ...script,
+        preassignedRunId: runId,
+        triggeredBy: triggeredByLabel,
+        triggeredByUserId,
+        variables: executionVariables,
+        jobContext,
+      },
+      input,
     );
-    return rows
-      .map((row) =>
-        sanitizeVariableApiRow(row, {
-          envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
-          scope: "category",
-        }),
-      )
-      .filter(Boolean);
+
+    try {
+      await runTracker.complete(result);
+    } catch (trackerErr) {
+      console.error(`Failed to persist workflow step run ${runId} result`, trackerErr);
+    }
+    await persistScriptNotifications(script, result);
+
+    const stderr = typeof result?.stderr === "string" ? result.stderr.trim() : "";
+    const exitCode = Number.isFinite(result?.code) ? result.code : null;
+    const status = result?.cancelled
+      ? "cancelled"
+      : exitCode === 0 && !stderr
+        ? "success"
+        : "error";
+    outcome = {
+      status,
+      exitCode,
+      returnData: result?.returnData ?? null,
+      error: status === "error" ? stderr || "Script execution failed" : null,
+    };
   } catch (err) {
-    console.error("Failed to load collection variables", err);
-    return [];
+    const failureError = normalizeRunFailureError(err);
+    if (runTracker) {
+      try {
+        await runTracker.fail(failureError);
+      } catch (trackerErr) {
+        console.error(`Failed to persist workflow step run ${runId} failure`, trackerErr);
+      }
+    }
+    outcome = {
+      status: "error",
+      exitCode: null,
+      returnData: null,
+      error: failureError.message || "Script execution failed",
+    };
   }
-}
 
-async function loadGlobalVariablesForApi() {
   try {
-    const rows = await dbAll(
-      `SELECT id, name, env_name, value, is_secure, created_at, updated_at
-         FROM global_variables
-        ORDER BY name COLLATE NOCASE`,
+    await dbRun(
+      `UPDATE workflow_run_steps SET status=?, exit_code=?, output_json=?, error=?, end_time=? WHERE workflow_run_id=? AND step_id=?`,
+      [
+        outcome.status,
+        outcome.exitCode,
+        serializeWorkflowJson(outcome.returnData),
+        outcome.error,
+        new Date().toISOString(),
+        workflowRunId,
+        step.id,
+      ],
     );
-    return rows
-      .map((row) =>
-        sanitizeVariableApiRow(row, {
-          envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
-          scope: "global",
-        }),
-      )
-      .filter(Boolean);
   } catch (err) {
-    console.error("Failed to load global variables", err);
-    return [];
+    console.error(`Failed to update workflow step ${step.id}`, err);
   }
+  return outcome;
 }
 
-function mapExecutionVariables(rows, { envPrefix, contextLabel }) {
-  if (!Array.isArray(rows)) return [];
-  return rows
-    .map((row) => {
-      const envName = row.env_name || computeVariableEnvName(row.name, envPrefix);
-      if (!envName) {
-        return null;
+async function executeWorkflowRun({ workflowRow, definition, workflowRunId, input, triggeredByUserId }) {
+  const outcomes = new Map();
+  const running = new Map();
+  const pending = new Set(definition.steps.map((step) => step.id));
+
+  while (pending.size || running.size) {
+    let progressed = false;
+    for (const step of definition.steps) {
+      if (!pending.has(step.id)) continue;
+      const decision = resolveStepDecision(step, outcomes);
+      if (decision === "wait") continue;
+
+      pending.delete(step.id);
+      progressed = true;
+      if (decision === "skip") {
+        outcomes.set(step.id, { status: "skipped", exitCode: null, returnData: null });
+        await dbRun(
+          `UPDATE workflow_run_steps SET status='skipped', end_time=? WHERE workflow_run_id=? AND step_id=?`,
+          [new Date().toISOString(), workflowRunId, step.id],
+        );
+        continue;
       }
 
-      let value = "";
-      if (row.is_secure) {
-        try {
-          value = decryptVariableValue(row.value || "");
-        } catch (err) {
-          console.error(`Failed to decrypt ${contextLabel} variable ${envName}`, err);
-          value = "";
-        }
-      } else {
-        value = row.value || "";
-      }
+      const stepInput = buildStepInput(step, outcomes, input);
+      running.set(
+        step.id,
+        runWorkflowStep({ workflowRow, workflowRunId, step, input: stepInput, triggeredByUserId }).then(
+          (outcome) => ({ stepId: step.id, outcome }),
+        ),
+      );
+    }
 
-      return { envName, value };
-    })
-    .filter(Boolean);
-}
+    // Skipping a step can unblock others, so re-evaluate before waiting.
+    if (progressed) continue;
+    if (!running.size) break;
 
-async function loadScriptVariablesForExecution(script) {
-  const scriptId = typeof script === "object" ? script?.id : script;
-  if (!scriptId) return [];
-  const categoryId =
-    (typeof script === "object"
-      ? script?.category_id || script?.categoryId
-      : null) || DEFAULT_CATEGORY_ID;
+    const { stepId, outcome } = await Promise.race(running.values());
+    running.delete(stepId);
+    outcomes.set(stepId, outcome);
+  }
 
-  try {
-    const [scriptRows, categoryRows, globalRows] = await Promise.all([
-      dbAll(
-        `SELECT name, env_name, value, is_secure
-           FROM script_variables
-          WHERE script_id=?`,
-        [scriptId],
-      ),
-      dbAll(
-        `SELECT name, env_name, value, is_secure
-           FROM category_variables
-          WHERE category_id=?`,
-        [categoryId],
-      ),
-      dbAll(
-        `SELECT name, env_name, value, is_secure
-           FROM global_variables`,
-      ),
-    ]);
+  const summary = summarizeWorkflowOutcome(definition, outcomes);
+  await dbRun(
+    `UPDATE workflow_runs SET status=?, output_json=?, error=?, end_time=? WHERE id=?`,
+    [
+      summary.status,
+      serializeWorkflowJson(summary.output),
+      summary.status === "error" && summary.failedStepId
+        ? `Step "${summary.failedStepId}" failed: ${outcomes.get(summary.failedStepId).error}`
+        : null,
+      new Date().toISOString(),
+      workflowRunId,
+    ],
+  );
+  return summary;
+}
 
-    return [
-      ...mapExecutionVariables(globalRows, {
-        envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
-        contextLabel: "global",
-      }),
-      ...mapExecutionVariables(categoryRows, {
-        envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
-        contextLabel: `category ${categoryId}`,
-      }),
-      ...mapExecutionVariables(scriptRows, {
-        envPrefix: SCRIPT_VARIABLE_ENV_PREFIX,
-        contextLabel: `script ${scriptId}`,
-      }),
-    ];
-  } catch (err) {
-    console.error("Failed to load execution variables", err);
-    return [];
+async function startWorkflowRun({ workflowRow, input = null, triggeredBy, triggeredByUserId = null }) {
+  const definition = parseWorkflowDefinition(workflowRow.definition_json);
+  if (!definition) {
+    const err = new Error("Workflow definition is invalid");
+    err.status = 409;
+    throw err;
   }
-}
 
-async function countScriptVariables(scriptId) {
-  if (!scriptId) return 0;
-  try {
-    const row = await dbGet(
-      "SELECT COUNT(*) AS c FROM script_variables WHERE script_id=?",
-      [scriptId],
+  const workflowRunId = uuidv4();
+  const startTime = new Date().toISOString();
+  await dbRun(
+    `INSERT INTO workflow_runs (id, workflow_id, status, triggered_by, triggered_by_user_id, input_json, start_time)
+     VALUES (?, ?, 'running', ?, ?, ?, ?)`,
+    [
+      workflowRunId,
+      workflowRow.id,
+      normalizeTriggeredValue(triggeredBy, "API"),
+      triggeredByUserId,
+      safeSerializeInput(input),
+      startTime,
+    ],
+  );
+  for (const step of definition.steps) {
+    await dbRun(
+      `INSERT INTO workflow_run_steps (id, workflow_run_id, step_id, script_id, status) VALUES (?, ?, ?, ?, 'pending')`,
+      [uuidv4(), workflowRunId, step.id, step.scriptId],
     );
-    return Number(row?.c) || 0;
-  } catch (err) {
-    console.error("Failed to count script variables", err);
-    return 0;
   }
+
+  const completion = executeWorkflowRun({
+    workflowRow,
+    definition,
+    workflowRunId,
+    input,
+    triggeredByUserId,
+  }).catch(async (err) => {
+    console.error(`Workflow run ${workflowRunId} failed`, err);
+    try {
+      await dbRun(
+        `UPDATE workflow_runs SET status='error', error=?, end_time=? WHERE id=?`,
+        [err.message || "Workflow execution failed", new Date().toISOString(), workflowRunId],
+      );
+    } catch (updateErr) {
+      console.error(`Failed to record workflow run ${workflowRunId} failure`, updateErr);
+    }
+  });
+
+  return { id: workflowRunId, startTime, completion };
 }
 
-async function countCategoryVariables(categoryId) {
-  const effectiveCategoryId = categoryId || DEFAULT_CATEGORY_ID;
+// Workflow progress lives in memory, so runs that were in flight when the
+// previous process stopped cannot resume.
+async function reconcileInterruptedWorkflowRuns() {
+  const endTime = new Date().toISOString();
+  const message = "Workflow interrupted by a host restart";
   try {
-    const row = await dbGet(
-      "SELECT COUNT(*) AS c FROM category_variables WHERE category_id=?",
-      [effectiveCategoryId],
+    const result = await dbRun(
+      `UPDATE workflow_runs SET status='error', error=?, end_time=? WHERE status='running'`,
+      [message, endTime],
     );
-    return Number(row?.c) || 0;
+    await dbRun(
+      `UPDATE workflow_run_steps SET status='error', error=?, end_time=? WHERE status='running'`,
+      [message, endTime],
+    );
+    await dbRun(
+      `UPDATE workflow_run_steps SET status='skipped', end_time=? WHERE status='pending'`,
+      [endTime],
+    );
+    if (result?.changes) {
+      console.warn(`Marked ${result.changes} interrupted workflow run(s) as failed.`);
+    }
   } catch (err) {
-    console.error("Failed to count collection variables", err);
-    return 0;
+    console.error("Failed to reconcile interrupted workflow runs", err);
   }
 }
 
-async function countGlobalVariables() {
+// ─────────────────────────────────────────────
+// Script triggers: start a script when another script finishes
+// ─────────────────────────────────────────────
+function parseTriggerCondition(raw) {
+  if (!raw) return null;
   try {
-    const row = await dbGet("SELECT COUNT(*) AS c FROM global_variables");
-    return Number(row?.c) || 0;
+    return normalizeOutcomeCondition(JSON.parse(raw));
   } catch (err) {
-    console.error("Failed to count global variables", err);
-    return 0;
+    return null;
   }
 }
 
-async function loadScriptVariableById(scriptId, variableId) {
-  if (!scriptId || !variableId) return null;
-  try {
-    return await dbGet(
-      `SELECT id, script_id, name, env_name, value, is_secure, created_at, updated_at
-         FROM script_variables
-        WHERE id=? AND script_id=?`,
-      [variableId, scriptId],
-    );
-  } catch (err) {
-    console.error("Failed to load script variable", err);
-    return null;
+function scriptTriggerMatches(triggerRow, upstream) {
+  const event = SCRIPT_TRIGGER_EVENTS.includes(triggerRow.on_status) ? triggerRow.on_status : "success";
+  if (event === "completed") {
+    if (upstream.status !== "success" && upstream.status !== "error") return false;
+  } else if (upstream.status !== event) {
+    return false;
   }
+
+  const condition = parseTriggerCondition(triggerRow.condition_json);
+  return !condition || evaluateOutcomeCondition(condition, upstream);
 }
 
-async function loadCategoryVariableById(categoryId, variableId) {
-  if (!categoryId || !variableId) return null;
+async function fireScriptTrigger(triggerRow, upstream) {
+  let script;
   try {
-    return await dbGet(
-      `SELECT id, category_id, name, env_name, value, is_secure, created_at, updated_at
-         FROM category_variables
-        WHERE id=? AND category_id=?`,
-      [variableId, categoryId],
-    );
+    ({ script } = await ensureScriptAccess({ scriptId: triggerRow.target_script_id }));
   } catch (err) {
-    console.error("Failed to load collection variable", err);
+    console.warn(`Trigger ${triggerRow.id} target script is unavailable; skipping.`);
     return null;
   }
-}
 
-async function loadGlobalVariableById(variableId) {
-  if (!variableId) return null;
+  const runId = uuidv4();
+  const triggeredByLabel = `Trigger ${triggerRow.name || upstream.scriptName || upstream.scriptId}`;
+  const input = {
+    trigger: { id: triggerRow.id, name: triggerRow.name || null },
+    upstream: {
+      runId: upstream.runId,
+      scriptId: upstream.scriptId,
+      scriptName: upstream.scriptName,
+      status: upstream.status,
+      exitCode: upstream.exitCode,
+      returnData: upstream.returnData ?? null,
+    },
+  };
+  const jobContext = {
+    userId: null,
+    username: null,
+    requestId: `trigger-${triggerRow.id}-${runId}`,
+    requestUrl: null,
+    requestHeaders: {},
+    requestIp: null,
+    scriptTriggerId: triggerRow.id,
+    upstreamRunId: upstream.runId,
+    triggerDepth: upstream.triggerDepth + 1,
+  };
+
+  let runTracker = null;
   try {
-    return await dbGet(
-      `SELECT id, name, env_name, value, is_secure, created_at, updated_at
-         FROM global_variables
-        WHERE id=?`,
-      [variableId],
+    runTracker = await createRunTracker({
+      runId,
+      script,
+      triggeredBy: triggeredByLabel,
+      triggeredByUserId: null,
+      input,
+      httpMethod: script.run_method || "POST",
+      retry: { policy: parseRetryPolicy(script.retry_policy_json), jobContext },
+      triggerDepth: jobContext.triggerDepth,
+    });
+    await dbRun(
+      `UPDATE script_triggers SET last_fired_at=?, last_run_id=? WHERE id=?`,
+      [new Date().toISOString(), runId, triggerRow.id],
     );
-  } catch (err) {
-    console.error("Failed to load global variable", err);
-    return null;
-  }
-}
-
-function extractBearerToken(req) {
-  const header = normalizeHeaderValue(req?.headers?.authorization);
-  if (!header) return null;
-  const match = header.match(/^Bearer\s+(.+)$/i);
-  if (!match) return null;
-  return match[1].trim();
-}
 
-function evaluateScriptTokenAccess(req, script, user) {
-  const result = { used: false, masked: null };
-  if (user) return result;
+    await ensureHealthyRunnerAvailability(script);
 
-  const requiresAuth = script?.require_authentication !== 0;
-  const storedToken = (script?.run_token || "").trim();
-  if (!requiresAuth) {
-    if (!storedToken) {
-      return result;
-    }
-
-    const providedOptional = extractBearerToken(req);
-    if (!providedOptional) {
-      return result;
-    }
+    const executionVariables = await loadScriptVariablesForExecution(script);
+    runJob(
+      {
+        ...script,
+        preassignedRunId: runId,
+        triggeredBy: triggeredByLabel,
+        triggeredByUserId: null,
+        variables: executionVariables,
+        jobContext,
+      },
+      input,
+    )
+      .then(async (result) => {
+        try {
+          await runTracker.complete(result);
+        } catch (trackerErr) {
+          console.error(`Failed to persist trigger run ${runId} result`, trackerErr);
+        }
+        await persistScriptNotifications(script, result);
+      })
+      .catch(async (err) => {
+        try {
+          await runTracker.fail(normalizeRunFailureError(err));
+        } catch (trackerErr) {
+          console.error(`Failed to persist trigger run ${runId} failure`, trackerErr);
+        }
+        console.error(`Trigger ${triggerRow.id} run failed`, err);
+      });
 
-    if (providedOptional !== storedToken) {
-      const err = new Error("Invalid bearer token");
-      err.status = 401;
-      err.code = "invalid_token";
-      throw err;
+    return { runId };
+  } catch (err) {
+    if (runTracker) {
+      try {
+        await runTracker.fail(normalizeRunFailureError(err));
+      } catch (trackerErr) {
+        console.error(`Failed to persist trigger run ${runId} failure`, trackerErr);
+      }
     }
-
-    result.used = true;
-    result.masked = sanitizeScriptToken(storedToken);
-    return result;
+    console.error(`Trigger ${triggerRow.id} failed to start`, err);
+    return null;
   }
+}
 
-  if (!storedToken) {
-    return result;
+async function dispatchScriptTriggers(upstream) {
+  const triggers = await dbAll(
+    `SELECT * FROM script_triggers WHERE source_script_id=? AND is_enabled=1 ORDER BY created_at ASC`,
+    [upstream.scriptId],
+  );
+  const matching = triggers.filter((row) => scriptTriggerMatches(row, upstream));
+  if (!matching.length) return;
+
+  // Triggers can point back at their own source, so chains are cut off
+  // after a fixed number of hops.
+  if (upstream.triggerDepth >= SCRIPT_TRIGGER_MAX_DEPTH) {
+    console.warn(
+      `Run ${upstream.runId} reached the trigger chain limit of ${SCRIPT_TRIGGER_MAX_DEPTH}; not firing ${matching.length} trigger(s).`,
+    );
+    return;
   }
 
-  const provided = extractBearerToken(req);
-  if (!provided) {
-    const err = new Error("Bearer token required");
-    err.status = 401;
-    err.code = "missing_token";
-    throw err;
+  for (const triggerRow of matching) {
+    await fireScriptTrigger(triggerRow, upstream);
   }
+}
 
-  if (provided !== storedToken) {
-    const err = new Error("Invalid bearer token");
-    err.status = 401;
-    err.code = "invalid_token";
-    throw err;
-  }
+// Runs that were queued when the previous process stopped. They wait here until
+// their runner re-registers or the replay grace window expires.
+const pendingQueueReplays = new Map();
+let queueReplayDeadlineTimer = null;
+// Heartbeats trigger replays often; only one pass runs at a time so a run is
+// never handed to runJob twice.
+let queueReplayInProgress = null;
+let queueReplayRequested = false;
 
-  result.used = true;
-  result.masked = sanitizeScriptToken(storedToken);
-  return result;
+async function failInterruptedRun(runRow, message) {
+  try {
+    const tracker = await createRunTracker({
+      runId: runRow.id,
+      script: null,
+      httpMethod: runRow.http_method,
+      resumeFrom: runRow,
+    });
+    await tracker.fail(new Error(message));
+  } catch (err) {
+    console.error(`Failed to mark interrupted run ${runRow.id} as failed`, err);
+  }
 }
 
-async function encryptBackupBuffer(buffer, password) {
-  if (!password || !password.trim()) {
-    return { buffer, filenameSuffix: ".db" };
+async function replayQueuedJob(entry) {
+  const { job, runRow } = entry;
+  // Claim the entry up front so the expiry timer cannot fail it mid-replay.
+  if (!pendingQueueReplays.delete(job.runId)) return;
+  const script = await loadScriptWithOwner("s.id=?", [job.scriptId]);
+  if (!script || script.is_recycled) {
+    await db.deleteQueuedJob(job.runId);
+    await failInterruptedRun(runRow, "Script is no longer available");
+    return;
   }
 
-  const salt = crypto.randomBytes(ENCRYPTION_SALT_LENGTH);
-  const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
-  const key = await scryptAsync(password, salt, 32);
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
-  const authTag = cipher.getAuthTag();
+  const executionVariables = await loadScriptVariablesForExecution(script);
+  let jobPromise;
+  try {
+    jobPromise = runJob(
+      {
+        ...script,
+        preassignedRunId: job.runId,
+        triggeredBy: runRow.triggered_by || "API",
+        triggeredByUserId: runRow.triggered_by_user_id || null,
+        variables: executionVariables,
+        jobContext: job.jobContext,
+      },
+      job.reqBody,
+    );
+  } catch (err) {
+    if (err instanceof RunnerUnavailableError) {
+      if (queueReplayDeadlineTimer) {
+        // Leave the job pending; its runner may simply not have re-registered yet.
+        pendingQueueReplays.set(job.runId, entry);
+        return;
+      }
+      // The grace window closed while this replay was in flight.
+      await db.deleteQueuedJob(job.runId).catch(() => {});
+      await failInterruptedRun(runRow, "Runner offline");
+      return;
+    }
+    throw err;
+  }
 
-  const encryptedBuffer = Buffer.concat([
-    ENCRYPTION_MAGIC,
-    salt,
-    iv,
-    authTag,
-    ciphertext,
-  ]);
+  console.log(`Replaying queued run ${job.runId} for script ${script.id}`);
 
-  return { buffer: encryptedBuffer, filenameSuffix: ".automn.enc" };
+  const runTracker = await createRunTracker({
+    runId: job.runId,
+    script,
+    httpMethod: runRow.http_method,
+    resumeFrom: runRow,
+    retry: {
+      policy: job.jobContext?.schedulerTestRun ? null : parseRetryPolicy(script.retry_policy_json),
+      jobContext: job.jobContext,
+    },
+  });
+
+  jobPromise
+    .then(async (result) => {
+      try {
+        await runTracker.complete(result);
+      } catch (trackerErr) {
+        console.error(`Failed to persist replayed run ${job.runId} result`, trackerErr);
+      }
+      await persistScriptNotifications(script, result);
+    })
+    .catch(async (err) => {
+      try {
+        await runTracker.fail(normalizeRunFailureError(err));
+      } catch (trackerErr) {
+        console.error(`Failed to persist replayed run ${job.runId} failure`, trackerErr);
+      }
+    });
 }
 
-async function decryptBackupBuffer(buffer, password) {
-  if (buffer.length < ENCRYPTION_MAGIC.length) {
-    return { buffer, encrypted: false };
+function replayPendingQueuedJobs() {
+  if (queueReplayInProgress) {
+    queueReplayRequested = true;
+    return queueReplayInProgress;
   }
+  if (!pendingQueueReplays.size) return Promise.resolve();
+  queueReplayInProgress = (async () => {
+    try {
+      do {
+        queueReplayRequested = false;
+        await replayPendingQueuedJobsOnce();
+      } while (queueReplayRequested && pendingQueueReplays.size);
+    } finally {
+      queueReplayInProgress = null;
+    }
+  })();
+  return queueReplayInProgress;
+}
 
-  if (!ENCRYPTION_MAGIC.equals(buffer.subarray(0, ENCRYPTION_MAGIC.length))) {
-    return { buffer, encrypted: false };
+async function replayPendingQueuedJobsOnce() {
+  for (const entry of [...pendingQueueReplays.values()]) {
+    try {
+      await replayQueuedJob(entry);
+    } catch (err) {
+      console.error(`Failed to replay queued run ${entry.job.runId}`, err);
+      await db.deleteQueuedJob(entry.job.runId).catch(() => {});
+      await failInterruptedRun(entry.runRow, normalizeRunFailureError(err).message);
+    }
   }
-
-  const minimumLength =
-    ENCRYPTION_MAGIC.length +
-    ENCRYPTION_SALT_LENGTH +
-    ENCRYPTION_IV_LENGTH +
-    ENCRYPTION_TAG_LENGTH;
-
-  if (buffer.length < minimumLength) {
-    throw new Error("Encrypted backup payload is malformed");
+  if (!pendingQueueReplays.size && queueReplayDeadlineTimer) {
+    clearTimeout(queueReplayDeadlineTimer);
+    queueReplayDeadlineTimer = null;
   }
+}
 
-  if (!password || !password.trim()) {
-    const err = new Error("Backup password is required");
-    err.code = "password_required";
-    throw err;
+async function expirePendingQueueReplays() {
+  queueReplayDeadlineTimer = null;
+  for (const entry of [...pendingQueueReplays.values()]) {
+    pendingQueueReplays.delete(entry.job.runId);
+    await db.deleteQueuedJob(entry.job.runId).catch(() => {});
+    await failInterruptedRun(entry.runRow, "Runner offline");
   }
-
-  const saltStart = ENCRYPTION_MAGIC.length;
-  const saltEnd = saltStart + ENCRYPTION_SALT_LENGTH;
-  const ivEnd = saltEnd + ENCRYPTION_IV_LENGTH;
-  const tagEnd = ivEnd + ENCRYPTION_TAG_LENGTH;
-
-  const salt = buffer.subarray(saltStart, saltEnd);
-  const iv = buffer.subarray(saltEnd, ivEnd);
-  const authTag = buffer.subarray(ivEnd, tagEnd);
-  const ciphertext = buffer.subarray(tagEnd);
-
-  const key = await scryptAsync(password, salt, 32);
-  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-  decipher.setAuthTag(authTag);
-
-  const decrypted = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-  return { buffer: decrypted, encrypted: true };
 }
 
-// Serve the built frontend (React app)
-const frontendDir = resolveFrontendDir();
-app.use(express.static(frontendDir));
-
-app.get("/", (req, res) => {
-  res.sendFile(path.join(frontendDir, "index.html"));
-});
-
-app.get("/script/:endpoint", (req, res) => {
-  res.sendFile(path.join(frontendDir, "index.html"));
-});
-
-function parseEnvBoolean(value, defaultValue = false) {
-  if (value === undefined || value === null) {
-    return defaultValue;
+async function restorePersistedRunQueue() {
+  const persistedJobs = await db.listQueuedJobs();
+  const orphanedRuns = await dbAll(
+    `SELECT id, script_id, start_time, status, triggered_by, triggered_by_user_id, http_method,
+            attempt, retry_of_run_id
+       FROM runs
+      WHERE status='running'`,
+  );
+  const runsById = new Map(orphanedRuns.map((row) => [row.id, row]));
+
+  for (const job of persistedJobs) {
+    const runRow = runsById.get(job.runId);
+    const canReplay =
+      QUEUE_REPLAY_ENABLED &&
+      job.state === "queued" &&
+      job.replayable &&
+      job.scriptId &&
+      runRow;
+    if (canReplay) {
+      runsById.delete(job.runId);
+      pendingQueueReplays.set(job.runId, { job, runRow });
+      continue;
+    }
+    await db.deleteQueuedJob(job.runId);
   }
 
-  const normalized = String(value).trim().toLowerCase();
-  if (!normalized) {
-    return defaultValue;
+  for (const runRow of runsById.values()) {
+    await failInterruptedRun(runRow, "Run was interrupted by a host restart");
   }
 
-  if (["1", "true", "yes", "on"].includes(normalized)) {
-    return true;
+  if (runsById.size) {
+    console.warn(`Marked ${runsById.size} interrupted run(s) as failed`);
   }
 
-  if (["0", "false", "no", "off"].includes(normalized)) {
-    return false;
+  // Retry timers do not survive a restart, so drop the schedule rather than
+  // leave runs advertising a retry that will never start.
+  const abandonedRetries = await dbRun(
+    `UPDATE runs SET next_retry_at=NULL WHERE next_retry_at IS NOT NULL`,
+  );
+  if (abandonedRetries?.changes) {
+    console.warn(`Dropped ${abandonedRetries.changes} pending run retry(s) from the previous session`);
   }
 
-  return defaultValue;
-}
-
-const secureCookie = parseEnvBoolean(process.env.AUTOMN_SECURE_COOKIES, false);
-if (!secureCookie && process.env.NODE_ENV === "production") {
-  console.warn(
-    "Secure session cookies are disabled. Set AUTOMN_SECURE_COOKIES=true when serving Automn over HTTPS.",
-  );
+  if (pendingQueueReplays.size) {
+    console.log(`Restoring ${pendingQueueReplays.size} queued run(s) from the previous session`);
+    queueReplayDeadlineTimer = setTimeout(() => {
+      expirePendingQueueReplays().catch((err) => {
+        console.error("Failed to expire pending queued runs", err);
+      });
+    }, QUEUE_REPLAY_GRACE_MS);
+    await replayPendingQueuedJobs();
+  }
 }
-const cookieOptions = {
-  httpOnly: true,
-  sameSite: "strict",
-  secure: secureCookie,
-  path: "/",
-};
 
-function parseCookies(header = "") {
-  return header.split(";").reduce((acc, part) => {
-    const [rawName, ...rest] = part.split("=");
-    if (!rawName) return acc;
-    const name = rawName.trim();
-    if (!name) return acc;
-    acc[name] = decodeURIComponent(rest.join("=").trim());
-    return acc;
-  }, {});
+function auditVariableSnapshot(row) {
+  if (!row) return null;
+  return {
+    name: row.name,
+    envName: row.env_name || null,
+    isSecure: row.is_secure !== 0,
+    value: row.value || "",
+  };
 }
 
-function normalizeDbBoolean(value) {
-  if (value === null || value === undefined) return false;
-  if (typeof value === "boolean") return value;
-  if (typeof value === "number") return value !== 0;
-  if (typeof value === "string") {
-    const normalized = value.trim().toLowerCase();
-    if (!normalized) return false;
-    if (["1", "true", "yes", "on"].includes(normalized)) return true;
-    if (["0", "false", "no", "off"].includes(normalized)) return false;
-    const numeric = Number(normalized);
-    if (!Number.isNaN(numeric)) {
-      return numeric !== 0;
-    }
-    return true;
-  }
-  return Boolean(value);
+// Secure values are compared as stored ciphertext so a rewrite still shows up
+// as a change, but neither side of a secure value is written to the log.
+async function recordVariableAuditEvent(req, action, { scope, ownerId = null, before, after }) {
+  const row = after || before;
+  await recordAuditEvent({
+    req,
+    action,
+    targetType: `${scope}_variable`,
+    targetId: row?.id || null,
+    targetLabel: row?.name || null,
+    details: ownerId ? { [scope === "script" ? "scriptId" : "collectionId"]: ownerId } : null,
+    before: auditVariableSnapshot(before),
+    after: auditVariableSnapshot(after),
+    redact: [before, after].some((entry) => entry && entry.is_secure !== 0) ? ["value"] : [],
+  });
 }
 
-function sanitizeUserRow(row) {
+function sanitizeVariableApiRow(
+  row,
+  { envPrefix = SCRIPT_VARIABLE_ENV_PREFIX, scope = "script" } = {},
+) {
   if (!row) return null;
-  return {
+  const isSecure = row.is_secure !== 0;
+  const envName = row.env_name || computeVariableEnvName(row.name, envPrefix);
+  const storedValue = row.value || "";
+  const base = {
     id: row.id,
-    username: row.username,
-    isAdmin: normalizeDbBoolean(row.is_admin),
-    isActive: normalizeDbBoolean(row.is_active),
-    isSystem: normalizeDbBoolean(row.is_system),
-    mustChangePassword: normalizeDbBoolean(row.must_change_password),
+    scriptId: row.script_id || null,
+    categoryId: row.category_id || null,
+    collectionId: row.category_id || null,
+    name: row.name,
+    envName,
+    isSecure,
     createdAt: row.created_at || null,
-    lastLogin: row.last_login || null,
+    updatedAt: row.updated_at || null,
+    hasValue: Boolean(storedValue),
+    scope,
   };
-}
 
-function normalizeUsername(username) {
-  if (typeof username !== "string") return "";
-  return username.trim();
+  if (isSecure) {
+    base.value = null;
+    base.maskedValue = storedValue ? VARIABLE_MASK : "";
+  } else {
+    base.value = storedValue;
+    base.maskedValue = null;
+  }
+
+  return base;
 }
 
-async function loadUserById(userId) {
-  if (!userId) return null;
+async function loadScriptVariablesForApi(scriptId) {
+  if (!scriptId) return [];
   try {
-    const row = await dbGet(
-      `SELECT id, username, is_admin, is_active, must_change_password, created_at, last_login, is_system
-         FROM users
-        WHERE id=? AND deleted_at IS NULL`,
-      [userId],
+    const rows = await dbAll(
+      `SELECT id, script_id, name, env_name, value, is_secure, created_at, updated_at
+         FROM script_variables
+        WHERE script_id=?
+        ORDER BY name COLLATE NOCASE`,
+      [scriptId],
     );
-    return sanitizeUserRow(row);
+    return rows
+      .map((row) =>
+        sanitizeVariableApiRow(row, {
+          envPrefix: SCRIPT_VARIABLE_ENV_PREFIX,
+          scope: "script",
+        }),
+      )
+      .filter(Boolean);
   } catch (err) {
-    console.error("Failed to load user", err);
-    return null;
+    console.error("Failed to load script variables", err);
+    return [];
   }
 }
 
-function dbRun(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) reject(err);
-      else resolve(this);
-    });
-  });
-}
-
-function dbGet(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
-}
-
-function dbAll(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
-}
-
-async function readSystemSetting(key, fallback = null) {
-  if (!key) return fallback;
+async function loadCategoryVariablesForApi(categoryId) {
+  const effectiveCategoryId = categoryId || DEFAULT_CATEGORY_ID;
   try {
-    const row = await dbGet(
-      `SELECT value FROM system_settings WHERE key=?`,
-      [key],
+    const rows = await dbAll(
+      `SELECT id, category_id, name, env_name, value, is_secure, created_at, updated_at
+         FROM category_variables
+        WHERE category_id=?
+        ORDER BY name COLLATE NOCASE`,
+      [effectiveCategoryId],
     );
-    if (!row) return fallback;
-    return row.value !== undefined && row.value !== null ? row.value : fallback;
+    return rows
+      .map((row) =>
+        sanitizeVariableApiRow(row, {
+          envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
+          scope: "category",
+        }),
+      )
+      .filter(Boolean);
   } catch (err) {
-    console.error(`Failed to read system setting ${key}`, err);
-    return fallback;
+    console.error("Failed to load collection variables", err);
+    return [];
   }
 }
 
-async function writeSystemSetting(key, value) {
-  if (!key) return false;
-  const timestamp = new Date().toISOString();
+async function loadGlobalVariablesForApi() {
   try {
-    await dbRun(
-      `INSERT INTO system_settings (key, value, updated_at)
-       VALUES (?, ?, ?)
-       ON CONFLICT(key) DO UPDATE SET value=excluded.value, updated_at=excluded.updated_at`,
-      [key, value, timestamp],
+    const rows = await dbAll(
+      `SELECT id, name, env_name, value, is_secure, created_at, updated_at
+         FROM global_variables
+        ORDER BY name COLLATE NOCASE`,
     );
-    return true;
+    return rows
+      .map((row) =>
+        sanitizeVariableApiRow(row, {
+          envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
+          scope: "global",
+        }),
+      )
+      .filter(Boolean);
   } catch (err) {
-    console.error(`Failed to write system setting ${key}`, err);
-    return false;
+    console.error("Failed to load global variables", err);
+    return [];
   }
 }
 
-function normalizePackageName(value) {
-  if (typeof value !== "string") return "";
-  const trimmed = value.trim();
-  return trimmed;
-}
+function mapExecutionVariables(rows, { envPrefix, contextLabel }) {
+  if (!Array.isArray(rows)) return [];
+  return rows
+    .map((row) => {
+      const envName = row.env_name || computeVariableEnvName(row.name, envPrefix);
+      if (!envName) {
+        return null;
+      }
 
-function mapPackageRow(row) {
-  if (!row) {
-    return null;
-  }
-  return {
-    name: row.name || "",
-    status: row.status || "unknown",
-    message: row.message || null,
-    updatedAt: row.updated_at || null,
-  };
-}
+      let value = "";
+      if (row.is_secure) {
+        try {
+          value = decryptVariableValue(row.value || "");
+        } catch (err) {
+          console.error(`Failed to decrypt ${contextLabel} variable ${envName}`, err);
+          value = "";
+        }
+      } else {
+        value = row.value || "";
+      }
 
-async function loadScriptPackages(scriptId) {
-  if (!scriptId) return [];
-  const rows = await dbAll(
-    `SELECT name, status, message, updated_at FROM script_packages WHERE script_id=? ORDER BY name`,
-    [scriptId],
-  );
-  return Array.isArray(rows)
-    ? rows
-      .map(mapPackageRow)
-      .filter((entry) => entry && entry.name)
-    : [];
+      return { envName, value };
+    })
+    .filter(Boolean);
 }
 
-async function replaceScriptPackages(scriptId, packageNames = []) {
+async function loadScriptVariablesForExecution(script) {
+  const scriptId = typeof script === "object" ? script?.id : script;
   if (!scriptId) return [];
+  const categoryId =
+    (typeof script === "object"
+      ? script?.category_id || script?.categoryId
+      : null) || DEFAULT_CATEGORY_ID;
 
-  const normalized = Array.from(
-    new Set(
-      (Array.isArray(packageNames) ? packageNames : [])
-        .map((name) => normalizePackageName(name))
-        .filter((name) => Boolean(name)),
-    ),
-  );
-
-  const existingRows = await dbAll(
-    `SELECT name FROM script_packages WHERE script_id=?`,
-    [scriptId],
-  );
-  const existing = new Set(
-    Array.isArray(existingRows)
-      ? existingRows
-        .map((row) => normalizePackageName(row?.name))
-        .filter((name) => Boolean(name))
-      : [],
-  );
-
-  const incoming = new Set(normalized);
+  try {
+    const [scriptRows, categoryRows, globalRows] = await Promise.all([
+      dbAll(
+        `SELECT name, env_name, value, is_secure
+           FROM script_variables
+          WHERE script_id=?`,
+        [scriptId],
+      ),
+      dbAll(
+        `SELECT name, env_name, value, is_secure
+           FROM category_variables
+          WHERE category_id=?`,
+        [categoryId],
+      ),
+      dbAll(
+        `SELECT name, env_name, value, is_secure
+           FROM global_variables`,
+      ),
+    ]);
 
-  const toDelete = Array.from(existing).filter((name) => !incoming.has(name));
-  if (toDelete.length) {
-    const placeholders = toDelete.map(() => "?").join(",");
-    await dbRun(
-      `DELETE FROM script_packages WHERE script_id=? AND name IN (${placeholders})`,
-      [scriptId, ...toDelete],
-    );
+    return [
+      ...mapExecutionVariables(globalRows, {
+        envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
+        contextLabel: "global",
+      }),
+      ...mapExecutionVariables(categoryRows, {
+        envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
+        contextLabel: `category ${categoryId}`,
+      }),
+      ...mapExecutionVariables(scriptRows, {
+        envPrefix: SCRIPT_VARIABLE_ENV_PREFIX,
+        contextLabel: `script ${scriptId}`,
+      }),
+    ];
+  } catch (err) {
+    console.error("Failed to load execution variables", err);
+    return [];
   }
+}
 
-  const toInsert = normalized.filter((name) => !existing.has(name));
-  for (const name of toInsert) {
-    await dbRun(
-      `INSERT INTO script_packages (script_id, name, status, message, updated_at)
-         VALUES (?, ?, 'pending', NULL, CURRENT_TIMESTAMP)`,
-      [scriptId, name],
+async function countScriptVariables(scriptId) {
+  if (!scriptId) return 0;
+  try {
+    const row = await dbGet(
+      "SELECT COUNT(*) AS c FROM script_variables WHERE script_id=?",
+      [scriptId],
     );
+    return Number(row?.c) || 0;
+  } catch (err) {
+    console.error("Failed to count script variables", err);
+    return 0;
   }
+}
 
-  if (!normalized.length) {
-    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
+async function countCategoryVariables(categoryId) {
+  const effectiveCategoryId = categoryId || DEFAULT_CATEGORY_ID;
+  try {
+    const row = await dbGet(
+      "SELECT COUNT(*) AS c FROM category_variables WHERE category_id=?",
+      [effectiveCategoryId],
+    );
+    return Number(row?.c) || 0;
+  } catch (err) {
+    console.error("Failed to count collection variables", err);
+    return 0;
   }
-
-  return normalized;
 }
 
-async function applyPackageStatuses(scriptId, statuses = []) {
-  if (!scriptId || !Array.isArray(statuses) || !statuses.length) {
-    return;
+async function countGlobalVariables() {
+  try {
+    const row = await dbGet("SELECT COUNT(*) AS c FROM global_variables");
+    return Number(row?.c) || 0;
+  } catch (err) {
+    console.error("Failed to count global variables", err);
+    return 0;
   }
+}
 
-  for (const entry of statuses) {
-    const name = normalizePackageName(entry?.name);
-    if (!name) continue;
-    const status =
-      typeof entry?.status === "string" && entry.status.trim()
-        ? entry.status.trim()
-        : "unknown";
-    const message =
-      typeof entry?.message === "string" && entry.message.trim()
-        ? entry.message.trim()
-        : null;
-
-    await dbRun(
-      `UPDATE script_packages
-          SET status=?, message=?, updated_at=CURRENT_TIMESTAMP
-        WHERE script_id=? AND name=?`,
-      [status, message, scriptId, name],
+async function loadScriptVariableById(scriptId, variableId) {
+  if (!scriptId || !variableId) return null;
+  try {
+    return await dbGet(
+      `SELECT id, script_id, name, env_name, value, is_secure, created_at, updated_at
+         FROM script_variables
+        WHERE id=? AND script_id=?`,
+      [variableId, scriptId],
     );
+  } catch (err) {
+    console.error("Failed to load script variable", err);
+    return null;
   }
 }
 
-async function requestRunnerPackageStatus({
-  runnerHostId,
-  scriptId,
-  packages,
-  installMissing = true,
-}) {
-  if (!runnerHostId || !Array.isArray(packages) || !packages.length) {
-    return { packages: [] };
+async function loadCategoryVariableById(categoryId, variableId) {
+  if (!categoryId || !variableId) return null;
+  try {
+    return await dbGet(
+      `SELECT id, category_id, name, env_name, value, is_secure, created_at, updated_at
+         FROM category_variables
+        WHERE id=? AND category_id=?`,
+      [variableId, categoryId],
+    );
+  } catch (err) {
+    console.error("Failed to load collection variable", err);
+    return null;
   }
+}
 
-  if (!httpFetch) {
-    const error = new Error(
-      "HTTP fetch API is not available in this environment. Upgrade Node.js or provide a fetch polyfill."
+async function loadGlobalVariableById(variableId) {
+  if (!variableId) return null;
+  try {
+    return await dbGet(
+      `SELECT id, name, env_name, value, is_secure, created_at, updated_at
+         FROM global_variables
+        WHERE id=?`,
+      [variableId],
     );
-    error.code = "fetch_unavailable";
-    throw error;
+  } catch (err) {
+    console.error("Failed to load global variable", err);
+    return null;
   }
+}
 
-  const host = getRunnerHostConfig(runnerHostId);
-  if (!host || !host.endpoint) {
-    const error = new Error("Runner host offline");
-    error.code = "runner_unavailable";
-    throw error;
-  }
+function extractBearerToken(req) {
+  const header = normalizeHeaderValue(req?.headers?.authorization);
+  if (!header) return null;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+  return match[1].trim();
+}
 
-  const target = new URL("/api/packages/status", host.endpoint);
-  const headers = {
-    "content-type": "application/json",
-    accept: "application/json",
-    ...(host.headers || {}),
-  };
+async function evaluateScriptTokenAccess(req, script, user) {
+  const result = { used: false, masked: null, label: null };
+  if (user) return result;
 
-  let response;
-  try {
-    response = await httpFetch(target.toString(), {
-      method: "POST",
-      headers,
-      body: JSON.stringify({
-        scriptId,
-        packages,
-        installMissing,
-      }),
-    });
-  } catch (err) {
-    const error = new Error(
-      err?.message
-        ? `Failed to contact runner host: ${err.message}`
-        : "Failed to contact runner host"
-    );
-    error.code = "runner_fetch_failed";
-    error.cause = err;
-    throw error;
+  // A webhook-signed script only accepts signed calls; bearer tokens do not
+  // bypass the signature check.
+  const webhookAuth = parseWebhookAuthConfig(script?.webhook_auth_json);
+  if (webhookAuth) {
+    verifyWebhookSignature(req, webhookAuth);
+    result.used = true;
+    result.label = "Webhook";
+    return result;
   }
 
-  let bodyText = "";
-  try {
-    bodyText = await response.text();
-  } catch (err) {
-    bodyText = "";
+  const requiresAuth = script?.require_authentication !== 0;
+  const storedToken = (script?.run_token || "").trim();
+  const provided = extractBearerToken(req);
+
+  if (provided) {
+    if (storedToken && provided === storedToken) {
+      result.used = true;
+      result.masked = sanitizeScriptToken(storedToken);
+      result.label = `Token ${result.masked}`;
+      return result;
+    }
+
+    const namedToken = script?.id ? await findScriptTokenByValue(script.id, provided) : null;
+    if (!namedToken) {
+      const err = new Error("Invalid bearer token");
+      err.status = 401;
+      err.code = "invalid_token";
+      throw err;
+    }
+
+    assertScriptTokenUsable(req, namedToken);
+    recordScriptTokenUse(req, namedToken);
+    result.used = true;
+    result.masked = namedToken.token_preview || null;
+    result.label = `Token ${namedToken.name}`;
+    return result;
   }
 
-  if (!response.ok) {
-    const message = bodyText
-      ? `Runner responded with ${response.status}: ${bodyText}`
-      : `Runner responded with ${response.status}`;
-    const error = new Error(message);
-    error.status = response.status;
-    throw error;
+  if (!requiresAuth) {
+    return result;
   }
 
-  if (!bodyText) {
-    return { packages: [] };
+  if (!storedToken && !(await scriptHasNamedTokens(script?.id))) {
+    return result;
   }
 
+  const err = new Error("Bearer token required");
+  err.status = 401;
+  err.code = "missing_token";
+  throw err;
+}
+
+function hashScriptToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function findScriptTokenByValue(scriptId, token) {
+  return dbGet("SELECT * FROM script_tokens WHERE script_id=? AND token_hash=?", [
+    scriptId,
+    hashScriptToken(token),
+  ]);
+}
+
+async function scriptHasNamedTokens(scriptId) {
+  if (!scriptId) return false;
+  const row = await dbGet("SELECT COUNT(*) AS count FROM script_tokens WHERE script_id=?", [
+    scriptId,
+  ]);
+  return Boolean(row?.count);
+}
+
+function parseScriptTokenList(raw) {
+  if (!raw) return [];
   try {
-    const payload = JSON.parse(bodyText);
-    return payload && typeof payload === "object" ? payload : { packages: [] };
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter((entry) => typeof entry === "string") : [];
   } catch (err) {
-    const error = new Error("Runner returned an invalid JSON response");
-    error.cause = err;
-    throw error;
+    return [];
   }
 }
 
-async function synchronizeScriptPackages({
-  scriptId,
-  language,
-  code,
-  runnerHostId,
-  inheritCategoryRunner,
-  categoryDefaultRunnerHostId,
-  installMissing = true,
-}) {
-  if (!scriptId) {
-    return { packages: [], packageCount: 0, effectiveRunnerHostId: null, checkError: null };
-  }
+function normalizeClientAddress(address) {
+  if (typeof address !== "string") return "";
+  const trimmed = address.trim();
+  return trimmed.toLowerCase().startsWith("::ffff:") && net.isIPv4(trimmed.slice(7))
+    ? trimmed.slice(7)
+    : trimmed;
+}
 
-  const normalizedLanguage =
-    typeof language === "string" ? language.trim().toLowerCase() : "";
-  const supportsPackages = normalizedLanguage === "node";
+// Allow-list entries are single addresses or CIDR ranges, IPv4 or IPv6.
+function parseIpAllowlistEntry(entry) {
+  if (typeof entry !== "string") return null;
+  const [address, prefixText, ...rest] = entry.trim().split("/");
+  const family = net.isIP(address);
+  if (!family || rest.length) return null;
+  if (prefixText === undefined) {
+    return { address, prefix: null, type: family === 6 ? "ipv6" : "ipv4" };
+  }
+  const prefix = Number(prefixText);
+  const maxPrefix = family === 6 ? 128 : 32;
+  if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) return null;
+  return { address, prefix, type: family === 6 ? "ipv6" : "ipv4" };
+}
 
-  if (!supportsPackages) {
-    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
-    return { packages: [], packageCount: 0, effectiveRunnerHostId: null, checkError: null };
+function isClientIpAllowed(clientIp, allowlist) {
+  if (!allowlist.length) return true;
+  const address = normalizeClientAddress(clientIp);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowlist) {
+    const parsed = parseIpAllowlistEntry(entry);
+    if (!parsed) continue;
+    if (parsed.prefix === null) {
+      blockList.addAddress(parsed.address, parsed.type);
+    } else {
+      blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+    }
   }
+  return blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+}
 
-  const dependencies = extractNodeDependencies(code || "");
-  const packageNames = dependencies
-    .map((dep) => (dep?.install ? dep.install.trim() : ""))
-    .filter((name) => Boolean(name));
+function assertScriptTokenUsable(req, tokenRow) {
+  if (tokenRow.expires_at && Date.parse(tokenRow.expires_at) <= Date.now()) {
+    const err = new Error(`Token "${tokenRow.name}" has expired`);
+    err.status = 401;
+    err.code = "expired_token";
+    throw err;
+  }
 
-  const normalizedNames = await replaceScriptPackages(scriptId, packageNames);
+  const allowedMethods = parseScriptTokenList(tokenRow.allowed_methods_json);
+  const method = typeof req.method === "string" ? req.method.toUpperCase() : "";
+  if (allowedMethods.length && !allowedMethods.includes(method)) {
+    const err = new Error(`Token "${tokenRow.name}" cannot be used with ${method || "this method"}`);
+    err.status = 403;
+    err.code = "token_method_not_allowed";
+    throw err;
+  }
 
-  const effectiveRunnerHostId =
-    runnerHostId || (inheritCategoryRunner ? categoryDefaultRunnerHostId : null) || null;
+  if (!isClientIpAllowed(extractClientIp(req), parseScriptTokenList(tokenRow.ip_allowlist_json))) {
+    const err = new Error(`Token "${tokenRow.name}" cannot be used from this address`);
+    err.status = 403;
+    err.code = "token_ip_not_allowed";
+    throw err;
+  }
+}
 
-  let checkError = null;
+function recordScriptTokenUse(req, tokenRow) {
+  dbRun("UPDATE script_tokens SET last_used_at=?, last_used_ip=? WHERE id=?", [
+    new Date().toISOString(),
+    normalizeClientAddress(extractClientIp(req)) || null,
+    tokenRow.id,
+  ]).catch((err) => {
+    console.error("Failed to record script token use", err);
+  });
+}
 
-  if (normalizedNames.length && effectiveRunnerHostId) {
-    try {
-      const runnerResult = await requestRunnerPackageStatus({
-        runnerHostId: effectiveRunnerHostId,
-        scriptId,
-        packages: normalizedNames,
-        installMissing,
-      });
-      const statuses = Array.isArray(runnerResult?.packages)
-        ? runnerResult.packages
-        : [];
-      checkError = runnerResult?.error || null;
-      if (statuses.length) {
-        await applyPackageStatuses(scriptId, statuses);
-      }
-    } catch (err) {
-      checkError = err?.message || "Failed to check packages";
-      const errorStatuses = normalizedNames.map((name) => ({
-        name,
-        status: "error",
-        message: checkError,
-      }));
-      await applyPackageStatuses(scriptId, errorStatuses);
-    }
-  } else if (normalizedNames.length && !effectiveRunnerHostId) {
-    checkError = "No runner host configured for package checks";
-    const pendingStatuses = normalizedNames.map((name) => ({
-      name,
-      status: "error",
-      message: checkError,
-    }));
-    await applyPackageStatuses(scriptId, pendingStatuses);
-  } else if (!normalizedNames.length) {
-    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
-  }
+// Webhook senders such as GitHub or Stripe sign the raw request body with a
+// shared secret instead of sending a bearer token.
+function normalizeWebhookAuthConfig(value) {
+  if (!isPlainObject(value)) return null;
+  const algorithm = WEBHOOK_AUTH_ALGORITHMS[value.mode];
+  if (!algorithm) return null;
+
+  const signatureHeader =
+    typeof value.signatureHeader === "string" && value.signatureHeader.trim()
+      ? value.signatureHeader.trim().toLowerCase()
+      : value.mode === "hmac_sha1"
+        ? "x-hub-signature"
+        : "x-hub-signature-256";
+  const timestampHeader =
+    typeof value.timestampHeader === "string" && value.timestampHeader.trim()
+      ? value.timestampHeader.trim().toLowerCase()
+      : null;
+  const tolerance = Number.parseInt(value.toleranceSeconds, 10);
+  const secret = typeof value.secret === "string" ? value.secret : "";
+  if (!secret) return null;
 
-  const packages = await loadScriptPackages(scriptId);
   return {
-    packages,
-    packageCount: normalizedNames.length,
-    effectiveRunnerHostId,
-    checkError,
+    mode: value.mode,
+    signatureHeader,
+    timestampHeader,
+    toleranceSeconds:
+      Number.isFinite(tolerance) && tolerance > 0
+        ? Math.min(tolerance, WEBHOOK_MAX_TOLERANCE_SECONDS)
+        : WEBHOOK_DEFAULT_TOLERANCE_SECONDS,
+    secret,
   };
 }
 
-async function findScriptNameConflict(name, excludeId = null) {
-  if (!name) return null;
-  const trimmed = String(name).trim();
-  if (!trimmed) return null;
-  const params = [trimmed];
-  let sql =
-    "SELECT id, name, endpoint FROM scripts WHERE is_draft = 0 AND LOWER(name) = LOWER(?)";
-  if (excludeId) {
-    sql += " AND id <> ?";
-    params.push(excludeId);
+function parseWebhookAuthConfig(raw) {
+  if (!raw) return null;
+  try {
+    return normalizeWebhookAuthConfig(JSON.parse(raw));
+  } catch (err) {
+    return null;
   }
-  return dbGet(sql, params);
 }
 
-async function findScriptEndpointConflict(endpoint, excludeId = null) {
-  if (!endpoint) return null;
-  const trimmed = String(endpoint).trim();
-  if (!trimmed) return null;
-  const params = [trimmed];
-  let sql =
-    "SELECT id, name, endpoint FROM scripts WHERE is_draft = 0 AND LOWER(endpoint) = LOWER(?)";
-  if (excludeId) {
-    sql += " AND id <> ?";
-    params.push(excludeId);
-  }
-  return dbGet(sql, params);
-}
+// Accepts a bare signature, a "sha256=<sig>" style value (GitHub) or a
+// "t=<ts>,v1=<sig>" list (Stripe), which also carries the timestamp.
+function parseWebhookSignatureHeader(value) {
+  const header = normalizeHeaderValue(value);
+  if (!header) return { timestamp: null, signatures: [] };
 
-function isBannedUsername(username) {
-  if (!username) return false;
-  return BANNED_USERNAMES.has(String(username).trim().toLowerCase());
+  const parts = header.split(",").map((part) => part.trim());
+  const pairs = parts.map((part) => {
+    const index = part.indexOf("=");
+    return index > 0 ? [part.slice(0, index), part.slice(index + 1)] : [null, part];
+  });
+  const stripeStyle = pairs.some(([key]) => key === "t") && pairs.some(([key]) => key === "v1");
+  if (stripeStyle) {
+    return {
+      timestamp: pairs.find(([key]) => key === "t")[1],
+      signatures: pairs.filter(([key]) => key === "v1").map(([, signature]) => signature),
+    };
+  }
+
+  return {
+    timestamp: null,
+    signatures: pairs.map(([key, signature]) =>
+      key && /^sha(1|256)$/i.test(key) ? signature : key ? `${key}=${signature}` : signature,
+    ),
+  };
 }
 
-function encodePreferenceValue(value) {
-  return JSON.stringify({ value });
+function safeCompareSignature(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
 }
 
-function decodePreferenceValue(serialized) {
-  if (serialized === null || serialized === undefined) return null;
-  if (serialized === "") return "";
-  try {
-    const parsed = JSON.parse(serialized);
-    if (parsed && Object.prototype.hasOwnProperty.call(parsed, "value")) {
-      return parsed.value;
-    }
-  } catch (err) {
-    // fall back to the raw value
-  }
-  return serialized;
+function createWebhookAuthError(message, code) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
 }
 
-function computeCategoryPermissions(user, categoryRow, permissionRow) {
-  if (!user) return { ...EMPTY_PERMISSIONS };
+function verifyWebhookSignature(req, config) {
+  const parsed = parseWebhookSignatureHeader(req?.headers?.[config.signatureHeader]);
+  if (!parsed.signatures.length) {
+    throw createWebhookAuthError("Webhook signature required", "missing_signature");
+  }
 
-  if (user.isAdmin) {
-    return {
-      read: true,
-      write: true,
-      delete: true,
-      run: true,
-      clearLogs: true,
-      manage: true,
-      isOwner: false,
-    };
+  const timestamp = config.timestampHeader
+    ? normalizeHeaderValue(req?.headers?.[config.timestampHeader])
+    : parsed.timestamp;
+  if ((config.timestampHeader || parsed.timestamp) && !timestamp) {
+    throw createWebhookAuthError("Webhook timestamp required", "missing_signature");
+  }
+  if (timestamp) {
+    const numeric = Number(timestamp);
+    const timestampMs = numeric > 1e12 ? numeric : numeric * 1000;
+    if (
+      !Number.isFinite(timestampMs) ||
+      Math.abs(Date.now() - timestampMs) > config.toleranceSeconds * 1000
+    ) {
+      throw createWebhookAuthError(
+        "Webhook timestamp is outside the allowed window",
+        "expired_signature",
+      );
+    }
   }
 
-  if (!categoryRow) {
-    return { ...EMPTY_PERMISSIONS };
+  const rawBody = Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.alloc(0);
+  const hmac = crypto.createHmac(WEBHOOK_AUTH_ALGORITHMS[config.mode], config.secret);
+  if (timestamp) {
+    hmac.update(`${timestamp}.`);
+  }
+  const digest = hmac.update(rawBody).digest();
+  const expected = [digest.toString("hex"), digest.toString("base64")];
+  const matches = parsed.signatures.some((signature) =>
+    expected.some((candidate) => safeCompareSignature(signature, candidate)),
+  );
+  if (!matches) {
+    throw createWebhookAuthError("Invalid webhook signature", "invalid_signature");
   }
+}
 
-  if (categoryRow.id === DEFAULT_CATEGORY_ID) {
-    return {
-      read: true,
-      write: false,
-      delete: false,
-      run: true,
-      clearLogs: false,
-      manage: false,
-      isOwner: false,
-    };
+async function encryptBackupBuffer(buffer, password) {
+  if (!password || !password.trim()) {
+    return { buffer, filenameSuffix: ".db" };
   }
 
-  const direct = permissionRow || {};
-  const canWrite = Boolean(direct.can_write);
-  const canDelete = Boolean(direct.can_delete);
-  const canRun = Boolean(direct.can_run);
-  const canClearLogs = Boolean(direct.can_clear_logs);
-  const canRead = Boolean(direct.can_read);
+  const salt = crypto.randomBytes(ENCRYPTION_SALT_LENGTH);
+  const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+  const key = await scryptAsync(password, salt, 32);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  const authTag = cipher.getAuthTag();
 
-  const read = Boolean(
-    canRead || canWrite || canDelete || canRun || canClearLogs,
-  );
+  const encryptedBuffer = Buffer.concat([
+    ENCRYPTION_MAGIC,
+    salt,
+    iv,
+    authTag,
+    ciphertext,
+  ]);
 
-  return {
-    read,
-    write: canWrite,
-    delete: canDelete,
-    run: canRun,
-    clearLogs: canClearLogs,
-    manage: Boolean(canWrite || canDelete),
-    isOwner: false,
-  };
+  return { buffer: encryptedBuffer, filenameSuffix: ".automn.enc" };
 }
 
-function computeEffectivePermissions(options = {}) {
-  const {
-    user = null,
-    scriptRow = null,
-    scriptPermissionRow = null,
-    categoryRow = null,
-    categoryPermissionRow = null,
-  } = options;
+async function decryptBackupBuffer(buffer, password) {
+  if (buffer.length < ENCRYPTION_MAGIC.length) {
+    return { buffer, encrypted: false };
+  }
 
-  if (!user) return { ...EMPTY_PERMISSIONS };
+  if (!ENCRYPTION_MAGIC.equals(buffer.subarray(0, ENCRYPTION_MAGIC.length))) {
+    return { buffer, encrypted: false };
+  }
 
-  if (user.isAdmin) {
-    return {
-      read: true,
-      write: true,
-      delete: true,
-      run: true,
-      clearLogs: true,
-      manage: true,
-      isOwner: false,
-    };
+  const minimumLength =
+    ENCRYPTION_MAGIC.length +
+    ENCRYPTION_SALT_LENGTH +
+    ENCRYPTION_IV_LENGTH +
+    ENCRYPTION_TAG_LENGTH;
+
+  if (buffer.length < minimumLength) {
+    throw new Error("Encrypted backup payload is malformed");
   }
 
-  const isOwner = scriptRow?.owner_id && scriptRow.owner_id === user.id;
-  if (isOwner) {
-    return {
-      read: true,
-      write: true,
-      delete: true,
-      run: true,
-      clearLogs: true,
-      manage: true,
-      isOwner: true,
-    };
+  if (!password || !password.trim()) {
+    const err = new Error("Backup password is required");
+    err.code = "password_required";
+    throw err;
   }
 
-  const direct = scriptPermissionRow || {};
-  let canWrite = Boolean(direct.can_write);
-  let canDelete = Boolean(direct.can_delete);
-  let canRun = Boolean(direct.can_run);
-  let canClearLogs = Boolean(direct.can_clear_logs);
-  let canRead = Boolean(direct.can_read);
+  const saltStart = ENCRYPTION_MAGIC.length;
+  const saltEnd = saltStart + ENCRYPTION_SALT_LENGTH;
+  const ivEnd = saltEnd + ENCRYPTION_IV_LENGTH;
+  const tagEnd = ivEnd + ENCRYPTION_TAG_LENGTH;
 
-  if (scriptRow?.inherit_category_permissions !== 0 && categoryRow) {
-    const categoryPermissions = computeCategoryPermissions(
-      user,
-      categoryRow,
-      categoryPermissionRow,
-    );
-    canWrite = canWrite || categoryPermissions.write;
-    canDelete = canDelete || categoryPermissions.delete;
-    canRun = canRun || categoryPermissions.run;
-    canClearLogs = canClearLogs || categoryPermissions.clearLogs;
-    canRead =
-      canRead || categoryPermissions.read || categoryPermissions.manage;
-  }
+  const salt = buffer.subarray(saltStart, saltEnd);
+  const iv = buffer.subarray(saltEnd, ivEnd);
+  const authTag = buffer.subarray(ivEnd, tagEnd);
+  const ciphertext = buffer.subarray(tagEnd);
 
-  return {
-    read: Boolean(canRead || canWrite || canDelete || canRun || canClearLogs),
-    write: canWrite,
-    delete: canDelete,
-    run: canRun,
-    clearLogs: canClearLogs,
-    manage: false,
-    isOwner: false,
-  };
-}
+  const key = await scryptAsync(password, salt, 32);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(authTag);
 
-function parseRunHeaders(value) {
-  if (!value) return {};
-  try {
-    const parsed = JSON.parse(value);
-    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
-  } catch (err) {
-    console.error("Failed to parse run headers", err);
-    return {};
-  }
+  const decrypted = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return { buffer: decrypted, encrypted: true };
 }
 
-function normalizeAcceptedMethods(value, options = {}) {
-  const { fallback = DEFAULT_ACCEPTED_METHODS, ensure = [] } = options;
-  const collected = [];
+// Serve the built frontend (React app)
+const frontendDir = resolveFrontendDir();
+app.use(express.static(frontendDir));
 
-  if (Array.isArray(value)) {
-    collected.push(...value);
-  } else if (value instanceof Set) {
-    collected.push(...value);
-  } else if (typeof value === "string") {
-    const trimmed = value.trim();
-    if (trimmed) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        if (Array.isArray(parsed)) {
-          collected.push(...parsed);
-        } else if (typeof parsed === "string") {
-          collected.push(parsed);
-        } else {
-          collected.push(trimmed);
-        }
-      } catch (err) {
-        collected.push(trimmed);
-      }
-    }
-  } else if (value && typeof value === "object") {
-    try {
-      for (const entry of Object.values(value)) {
-        if (typeof entry === "string") {
-          collected.push(entry);
-        }
-      }
-    } catch (err) {
-      // ignore
-    }
+app.get("/", (req, res) => {
+  res.sendFile(path.join(frontendDir, "index.html"));
+});
+
+app.get("/script/:endpoint", (req, res) => {
+  res.sendFile(path.join(frontendDir, "index.html"));
+});
+
+function parseEnvBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null) {
+    return defaultValue;
   }
 
-  const normalized = new Set();
-  for (const method of collected) {
-    if (typeof method !== "string") continue;
-    const upper = method.trim().toUpperCase();
-    if (!upper) continue;
-    if (!SUPPORTED_HTTP_METHODS.includes(upper)) continue;
-    normalized.add(upper);
+  const normalized = String(value).trim().toLowerCase();
+  if (!normalized) {
+    return defaultValue;
   }
 
-  if (Array.isArray(ensure)) {
-    for (const method of ensure) {
-      if (typeof method !== "string") continue;
-      const upper = method.trim().toUpperCase();
-      if (!upper) continue;
-      if (!SUPPORTED_HTTP_METHODS.includes(upper)) continue;
-      normalized.add(upper);
-    }
+  if (["1", "true", "yes", "on"].includes(normalized)) {
+    return true;
   }
 
-  if (normalized.size === 0) {
-    if (Array.isArray(fallback)) {
-      return normalizeAcceptedMethods(fallback, { fallback: null });
-    }
-    if (typeof fallback === "string") {
-      return normalizeAcceptedMethods([fallback], { fallback: null });
-    }
-    return Array.from(DEFAULT_ACCEPTED_METHODS);
+  if (["0", "false", "no", "off"].includes(normalized)) {
+    return false;
   }
 
-  return SUPPORTED_HTTP_METHODS.filter((method) => normalized.has(method));
+  return defaultValue;
 }
 
-function mapScriptRow(
-  row,
-  user = null,
-  permissionRow = null,
-  categoryPermissionRow = null,
-) {
-  if (!row) return null;
-  const categoryRow = row.category_id
-    ? {
-      id: row.category_id,
-      name: row.category_name || "",
-      description: row.category_description || "",
-      default_language: row.category_default_language || null,
-      is_system: row.category_is_system,
-    }
-    : null;
-  const permissions = computeEffectivePermissions({
-    user,
-    scriptRow: row,
-    scriptPermissionRow: permissionRow,
-    categoryRow,
-    categoryPermissionRow,
-  });
-  if (permissions && (user?.isAdmin || permissions.isOwner)) {
-    permissions.manage = true;
+// Accepts a boolean, a hop count or a comma separated list of proxy addresses
+// and subnets, matching what Express takes for "trust proxy".
+function parseTrustProxySetting(value) {
+  const normalized = typeof value === "string" ? value.trim() : "";
+  if (!normalized) {
+    return false;
   }
-
-  let runHeaders = {};
-  if (row.run_headers) {
-    runHeaders = parseRunHeaders(row.run_headers);
+  if (/^\d+$/.test(normalized)) {
+    return Number.parseInt(normalized, 10);
   }
+  if (["true", "yes", "on", "false", "no", "off"].includes(normalized.toLowerCase())) {
+    return parseEnvBoolean(normalized, false);
+  }
+  return normalized
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
 
-  const acceptedMethods = normalizeAcceptedMethods(row.allowed_methods, {
-    ensure: [row.run_method || "POST"],
-  });
-
-  const runnerHostId = row.runner_host_id || null;
-  const scriptRunner = runnerHostId
-    ? {
-      id: runnerHostId,
-      name: row.script_runner_name || runnerHostId,
-      status: row.script_runner_status || RUNNER_STATUS.PENDING,
-      statusMessage: row.script_runner_status_message || null,
-      adminOnly: normalizeDbBoolean(row.script_runner_admin_only),
-    }
-    : null;
-
-  const categoryDefaultRunnerHostId =
-    row.category_default_runner_host_id || null;
-  const categoryDefaultRunner = categoryDefaultRunnerHostId
-    ? {
-      id: categoryDefaultRunnerHostId,
-      name: row.category_runner_name || categoryDefaultRunnerHostId,
-      status: row.category_runner_status || RUNNER_STATUS.PENDING,
-      statusMessage: row.category_runner_status_message || null,
-      adminOnly: normalizeDbBoolean(row.category_runner_admin_only),
-    }
-    : null;
-
-  const inheritCategoryRunner = row.inherit_category_runner !== 0;
-  const resolvedRunner = scriptRunner || (inheritCategoryRunner ? categoryDefaultRunner : null);
-
-  const hasRunToken = Boolean(row.run_token);
-  const runTokenPreview = hasRunToken ? sanitizeScriptToken(row.run_token) : null;
+const secureCookie = parseEnvBoolean(process.env.AUTOMN_SECURE_COOKIES, false);
+if (!secureCookie && process.env.NODE_ENV === "production") {
+  console.warn(
+    "Secure session cookies are disabled. Set AUTOMN_SECURE_COOKIES=true when serving Automn over HTTPS.",
+  );
+}
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "strict",
+  secure: secureCookie,
+  path: "/",
+};
 
-  const recycledEndpoint = row.recycled_from_endpoint || null;
-  const activeEndpoint = row.endpoint || recycledEndpoint || "";
+function parseCookies(header = "") {
+  return header.split(";").reduce((acc, part) => {
+    const [rawName, ...rest] = part.split("=");
+    if (!rawName) return acc;
+    const name = rawName.trim();
+    if (!name) return acc;
+    acc[name] = decodeURIComponent(rest.join("=").trim());
+    return acc;
+  }, {});
+}
 
-  const category = categoryRow
-    ? {
-      id: categoryRow.id,
-      name: categoryRow.name || "",
-      description: categoryRow.description || "",
-      defaultLanguage: categoryRow.default_language || null,
-      isSystem: normalizeDbBoolean(categoryRow.is_system),
+function normalizeDbBoolean(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    if (!normalized) return false;
+    if (["1", "true", "yes", "on"].includes(normalized)) return true;
+    if (["0", "false", "no", "off"].includes(normalized)) return false;
+    const numeric = Number(normalized);
+    if (!Number.isNaN(numeric)) {
+      return numeric !== 0;
     }
-    : null;
-  const collection = category;
+    return true;
+  }
+  return Boolean(value);
+}
 
+function sanitizeUserRow(row) {
+  if (!row) return null;
   return {
     id: row.id,
-    name: row.name,
-    endpoint: activeEndpoint,
-    recycledEndpoint,
-    language: row.language,
-    timeout: row.timeout,
-    code: row.code,
+    username: row.username,
+    isAdmin: normalizeDbBoolean(row.is_admin),
+    isActive: normalizeDbBoolean(row.is_active),
+    isSystem: normalizeDbBoolean(row.is_system),
+    mustChangePassword: normalizeDbBoolean(row.must_change_password),
+    roleId: row.role_id || null,
+    authProvider: row.auth_provider || null,
+    twoFactorEnabled: normalizeDbBoolean(row.totp_enabled),
+    lockedUntil: resolveLoginLockedUntil(row.username),
     createdAt: row.created_at || null,
-    projectName: category?.name || row.project_name || "",
-    isDraft: row.is_draft !== 0,
-    isRecycled: Boolean(row.is_recycled),
-    recycledAt: row.recycled_at || null,
-    runMethod: row.run_method || "POST",
-    acceptedMethods,
-    runHeaders,
-    runBody: row.run_body || "",
-    ownerId: row.owner_id || null,
-    ownerUsername: row.owner_username || null,
-    createdByUserId: row.owner_id || null,
-    createdByUsername: row.owner_username || null,
-    lastVersionUserId: row.last_version_user_id || null,
-    requireAuthentication: row.require_authentication !== 0,
-    includeAutomnResponseData: row.expose_automn_response !== 0,
-    includeRunIdInResponse: row.expose_run_id !== 0,
-    permissions,
-    hasApiToken: hasRunToken,
-    apiTokenPreview: runTokenPreview,
-    variableCount: Number(row.variable_count) || 0,
-    scheduledJobCount: Number(row.scheduled_job_count) || 0,
-    packageCount: Number(row.package_count) || 0,
-    categoryId: category?.id || null,
-    category,
-    collectionId: collection?.id || null,
-    collection,
-    categoryDefaultRunnerHostId,
-    collectionDefaultRunnerHostId: categoryDefaultRunnerHostId,
-    inheritCategoryPermissions: row.inherit_category_permissions !== 0,
-    inheritCollectionPermissions: row.inherit_category_permissions !== 0,
-    inheritCategoryRunner,
-    inheritCollectionRunner: inheritCategoryRunner,
-    runnerHostId,
-    runner: scriptRunner,
-    categoryDefaultRunner,
-    collectionDefaultRunner: categoryDefaultRunner,
-    resolvedRunner,
+    lastLogin: row.last_login || null,
   };
 }
 
-async function loadScriptWithOwner(whereClause, params) {
-  return dbGet(
-    `SELECT s.*, owner.username AS owner_username, vars.variable_count,
-            pkgs.package_count,
-            sched.scheduled_job_count AS scheduled_job_count,
-            c.name AS category_name,
-            c.description AS category_description,
-            c.default_language AS category_default_language,
-            c.default_runner_host_id AS category_default_runner_host_id,
-            c.is_system AS category_is_system,
-            sr.name AS script_runner_name,
-            sr.status AS script_runner_status,
-            sr.status_message AS script_runner_status_message,
-            sr.admin_only AS script_runner_admin_only,
-            cr.name AS category_runner_name,
-            cr.status AS category_runner_status,
-            cr.status_message AS category_runner_status_message,
-            cr.admin_only AS category_runner_admin_only
-       FROM scripts s
-       LEFT JOIN users owner ON owner.id = s.owner_id
-       LEFT JOIN categories c ON c.id = s.category_id
-       LEFT JOIN runner_hosts sr ON sr.id = s.runner_host_id
-       LEFT JOIN runner_hosts cr ON cr.id = c.default_runner_host_id
-       LEFT JOIN (
-         SELECT script_id, COUNT(*) AS variable_count
-           FROM script_variables
-          GROUP BY script_id
-       ) vars ON vars.script_id = s.id
-       LEFT JOIN (
-         SELECT script_id, COUNT(*) AS package_count
-           FROM script_packages
-          GROUP BY script_id
-       ) pkgs ON pkgs.script_id = s.id
-       LEFT JOIN (
-         SELECT script_id, COUNT(*) AS scheduled_job_count
-           FROM scheduler_jobs
-          GROUP BY script_id
-       ) sched ON sched.script_id = s.id
-       WHERE ${whereClause}`,
-    params,
-  );
+function auditUserSnapshot(user) {
+  if (!user) return null;
+  return {
+    username: user.username,
+    isAdmin: user.isAdmin,
+    isActive: user.isActive,
+    mustChangePassword: user.mustChangePassword,
+    roleId: user.roleId,
+  };
 }
 
-async function loadCategoryById(categoryId) {
-  if (!categoryId) return null;
-  try {
-    return await dbGet(
-      `SELECT id, name, description, default_language, default_runner_host_id, is_system FROM categories WHERE id=?`,
-      [categoryId],
-    );
-  } catch (err) {
-    console.error("Failed to load collection", err);
-    return null;
-  }
+function normalizeUsername(username) {
+  if (typeof username !== "string") return "";
+  return username.trim();
 }
 
-async function loadPermissionRow(scriptId, userId) {
-  if (!scriptId || !userId) return null;
+async function loadUserById(userId) {
+  if (!userId) return null;
   try {
-    return await dbGet(
-      `SELECT can_read, can_write, can_delete, can_run, can_clear_logs FROM script_permissions WHERE script_id=? AND user_id=?`,
-      [scriptId, userId],
+    const row = await dbGet(
+      `SELECT id, username, is_admin, is_active, must_change_password, created_at, last_login, is_system, role_id, auth_provider, totp_enabled
+         FROM users
+        WHERE id=? AND deleted_at IS NULL`,
+      [userId],
     );
+    return sanitizeUserRow(row);
   } catch (err) {
-    console.error("Failed to load script permissions", err);
+    console.error("Failed to load user", err);
     return null;
   }
 }
 
-async function loadCategoryPermissionRow(categoryId, userId) {
-  if (!categoryId || !userId) return null;
-  try {
-    return await dbGet(
-      `SELECT can_read, can_write, can_delete, can_run, can_clear_logs FROM category_permissions WHERE category_id=? AND user_id=?`,
-      [categoryId, userId],
-    );
-  } catch (err) {
-    console.error("Failed to load collection permissions", err);
-    return null;
-  }
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
 }
 
-async function ensureScriptAccess(options = {}) {
-  const {
-    scriptId = null,
-    endpoint = null,
-    user = null,
-    requiredPermission = null,
-    allowRecycled = false,
-    allowDraft = false,
-  } = options;
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
 
-  const identifier = scriptId ? { where: "s.id=?", value: scriptId } : { where: "s.endpoint=?", value: endpoint };
-  if (!identifier.value) {
-    const err = new Error("Script not found");
-    err.status = 404;
-    throw err;
-  }
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
 
-  let scriptRow = await loadScriptWithOwner(identifier.where, [identifier.value]);
-  if (!scriptRow && !scriptId && allowRecycled && endpoint) {
-    scriptRow = await loadScriptWithOwner("s.recycled_from_endpoint=?", [endpoint]);
-  }
-  if (!scriptRow) {
-    const err = new Error("Script not found");
-    err.status = 404;
-    throw err;
+async function readSystemSetting(key, fallback = null) {
+  if (!key) return fallback;
+  try {
+    const row = await dbGet(
+      `SELECT value FROM system_settings WHERE key=?`,
+      [key],
+    );
+    if (!row) return fallback;
+    return row.value !== undefined && row.value !== null ? row.value : fallback;
+  } catch (err) {
+    console.error(`Failed to read system setting ${key}`, err);
+    return fallback;
   }
+}
 
-  if (!allowRecycled && scriptRow.is_recycled) {
-    const err = new Error("Script not found");
-    err.status = 404;
-    throw err;
+async function writeSystemSetting(key, value) {
+  if (!key) return false;
+  const timestamp = new Date().toISOString();
+  try {
+    await dbRun(
+      `INSERT INTO system_settings (key, value, updated_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value=excluded.value, updated_at=excluded.updated_at`,
+      [key, value, timestamp],
+    );
+    return true;
+  } catch (err) {
+    console.error(`Failed to write system setting ${key}`, err);
+    return false;
   }
+}
 
-  if (!allowDraft && scriptRow.is_draft) {
-    const err = new Error("Script not found");
-    err.status = 404;
-    throw err;
+function normalizePackageName(value) {
+  if (typeof value !== "string") return "";
+  const trimmed = value.trim();
+  return trimmed;
+}
+
+function mapPackageRow(row) {
+  if (!row) {
+    return null;
   }
+  return {
+    name: row.name || "",
+    status: row.status || "unknown",
+    message: row.message || null,
+    updatedAt: row.updated_at || null,
+  };
+}
 
-  const permissionRow = await loadPermissionRow(scriptRow.id, user?.id);
-  let categoryRow = null;
-  let categoryPermissionRow = null;
-  const scriptCategoryId = scriptRow.category_id || DEFAULT_CATEGORY_ID;
-  if (scriptCategoryId) {
-    categoryRow = await loadCategoryById(scriptCategoryId);
-    categoryPermissionRow = await loadCategoryPermissionRow(
-      categoryRow?.id,
-      user?.id,
+async function loadScriptPackages(scriptId) {
+  if (!scriptId) return [];
+  const rows = await dbAll(
+    `SELECT name, status, message, updated_at FROM script_packages WHERE script_id=? ORDER BY name`,
+    [scriptId],
+  );
+  return Array.isArray(rows)
+    ? rows
+      .map(mapPackageRow)
+      .filter((entry) => entry && entry.name)
+    : [];
+}
+
+async function replaceScriptPackages(scriptId, packageNames = []) {
+  if (!scriptId) return [];
+
+  const normalized = Array.from(
+    new Set(
+      (Array.isArray(packageNames) ? packageNames : [])
+        .map((name) => normalizePackageName(name))
+        .filter((name) => Boolean(name)),
+    ),
+  );
+
+  const existingRows = await dbAll(
+    `SELECT name FROM script_packages WHERE script_id=?`,
+    [scriptId],
+  );
+  const existing = new Set(
+    Array.isArray(existingRows)
+      ? existingRows
+        .map((row) => normalizePackageName(row?.name))
+        .filter((name) => Boolean(name))
+      : [],
+  );
+
+  const incoming = new Set(normalized);
+
+  const toDelete = Array.from(existing).filter((name) => !incoming.has(name));
+  if (toDelete.length) {
+    const placeholders = toDelete.map(() => "?").join(",");
+    await dbRun(
+      `DELETE FROM script_packages WHERE script_id=? AND name IN (${placeholders})`,
+      [scriptId, ...toDelete],
     );
   }
-  const permissions = computeEffectivePermissions({
-    user,
-    scriptRow,
-    scriptPermissionRow: permissionRow,
-    categoryRow,
-    categoryPermissionRow,
-  });
-  if (user?.isAdmin || permissions.isOwner) {
-    permissions.manage = true;
+
+  const toInsert = normalized.filter((name) => !existing.has(name));
+  for (const name of toInsert) {
+    await dbRun(
+      `INSERT INTO script_packages (script_id, name, status, message, updated_at)
+         VALUES (?, ?, 'pending', NULL, CURRENT_TIMESTAMP)`,
+      [scriptId, name],
+    );
   }
 
-  if (requiredPermission && user) {
-    if (!permissions[requiredPermission]) {
-      const err = new Error("You do not have permission to perform this action");
-      err.status = 403;
-      throw err;
-    }
+  if (!normalized.length) {
+    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
   }
 
-  return { script: scriptRow, permissions, permissionRow };
+  return normalized;
 }
 
-async function ensureCategoryAccess(options = {}) {
-  const {
-    categoryId = null,
-    collectionId = null,
-    user = null,
-    requiredPermission = null,
-  } = options;
-  const effectiveCategoryId =
-    categoryId || collectionId || DEFAULT_COLLECTION_ID;
-  const category = await loadCategoryById(effectiveCategoryId);
-  if (!category) {
-    const err = new Error("Collection not found");
-    err.status = 404;
-    throw err;
+async function applyPackageStatuses(scriptId, statuses = []) {
+  if (!scriptId || !Array.isArray(statuses) || !statuses.length) {
+    return;
   }
 
-  const permissionRow = await loadCategoryPermissionRow(category.id, user?.id);
-  const permissions = computeCategoryPermissions(user, category, permissionRow);
-  const isDefaultCategory = category.id === DEFAULT_CATEGORY_ID;
+  for (const entry of statuses) {
+    const name = normalizePackageName(entry?.name);
+    if (!name) continue;
+    const status =
+      typeof entry?.status === "string" && entry.status.trim()
+        ? entry.status.trim()
+        : "unknown";
+    const message =
+      typeof entry?.message === "string" && entry.message.trim()
+        ? entry.message.trim()
+        : null;
 
-  if (isDefaultCategory) {
-    permissions.read = true;
-    permissions.run = true;
+    await dbRun(
+      `UPDATE script_packages
+          SET status=?, message=?, updated_at=CURRENT_TIMESTAMP
+        WHERE script_id=? AND name=?`,
+      [status, message, scriptId, name],
+    );
   }
+}
 
-  if (requiredPermission && user) {
-    if (
-      isDefaultCategory &&
-      (requiredPermission === "write" || requiredPermission === "read")
-    ) {
-      // Allow baseline read/write access to the General collection for all users so
-      // they can assign scripts to it without granting broader management rights.
-    } else if (!permissions[requiredPermission]) {
-      const err = new Error("You do not have permission to access this collection");
-      err.status = 403;
-      throw err;
-    }
+async function requestRunnerPackageStatus({
+  runnerHostId,
+  scriptId,
+  packages,
+  installMissing = true,
+}) {
+  if (!runnerHostId || !Array.isArray(packages) || !packages.length) {
+    return { packages: [] };
   }
 
-  return { category, permissions, permissionRow };
-}
-
-async function authenticateRequest(req) {
-  try {
-    const cookies = parseCookies(req.headers?.cookie || "");
-    const token = cookies[COOKIE_NAME];
-    if (!token) return null;
+  const host = getRunnerHostConfig(runnerHostId);
+  if (!host || (!host.endpoint && !host.channel)) {
+    const error = new Error("Runner host offline");
+    error.code = "runner_unavailable";
+    throw error;
+  }
 
-    const session = await dbGet(
-      `SELECT s.id as session_id, s.expires_at, s.user_id, u.username, u.is_admin, u.is_active, u.must_change_password
-       FROM sessions s
-       JOIN users u ON u.id = s.user_id AND u.deleted_at IS NULL
-       WHERE s.token=?`,
+  if (host.channel) {
+    let response;
+    try {
+      response = await host.channel.request(
+        "packages.status",
+        { scriptId, packages, installMissing },
+        RUNNER_PACKAGE_STATUS_TIMEOUT_MS,
+      );
+    } catch (err) {
+      const error = new Error(
+        err?.message
+          ? `Failed to contact runner host: ${err.message}`
+          : "Failed to contact runner host"
+      );
+      error.code = "runner_fetch_failed";
+      error.cause = err;
+      throw error;
+    }
+    if (response.status >= 400) {
+      const message = response.body?.error
+        ? `Runner responded with ${response.status}: ${response.body.error}`
+        : `Runner responded with ${response.status}`;
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+    return response.body && typeof response.body === "object" ? response.body : { packages: [] };
+  }
+
+  let response;
+  try {
+    response = await requestRemotePackageStatus({
+      endpoint: host.endpoint,
+      body: { scriptId, packages, installMissing },
+      headers: host.headers,
+      signingKey: host.signingKey,
+      tls: host.tls,
+    });
+  } catch (err) {
+    const error = new Error(
+      err?.message
+        ? `Failed to contact runner host: ${err.message}`
+        : "Failed to contact runner host"
+    );
+    error.code = "runner_fetch_failed";
+    error.cause = err;
+    throw error;
+  }
+
+  const bodyText = response.body;
+  if (response.statusCode >= 400) {
+    const message = bodyText
+      ? `Runner responded with ${response.statusCode}: ${bodyText}`
+      : `Runner responded with ${response.statusCode}`;
+    const error = new Error(message);
+    error.status = response.statusCode;
+    throw error;
+  }
+
+  if (!bodyText) {
+    return { packages: [] };
+  }
+
+  try {
+    const payload = JSON.parse(bodyText);
+    return payload && typeof payload === "object" ? payload : { packages: [] };
+  } catch (err) {
+    const error = new Error("Runner returned an invalid JSON response");
+    error.cause = err;
+    throw error;
+  }
+}
+
+async function synchronizeScriptPackages({
+  scriptId,
+  language,
+  code,
+  runnerHostId,
+  runnerSelector = null,
+  inheritCategoryRunner,
+  categoryDefaultRunnerHostId,
+  categoryDefaultRunnerSelector = null,
+  installMissing = true,
+}) {
+  if (!scriptId) {
+    return { packages: [], packageCount: 0, effectiveRunnerHostId: null, checkError: null };
+  }
+
+  const normalizedLanguage =
+    typeof language === "string" ? language.trim().toLowerCase() : "";
+  const supportsPackages = normalizedLanguage === "node";
+
+  if (!supportsPackages) {
+    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
+    return { packages: [], packageCount: 0, effectiveRunnerHostId: null, checkError: null };
+  }
+
+  const dependencies = extractNodeDependencies(code || "");
+  const packageNames = dependencies
+    .map((dep) => (dep?.install ? dep.install.trim() : ""))
+    .filter((name) => Boolean(name));
+
+  const normalizedNames = await replaceScriptPackages(scriptId, packageNames);
+
+  // Scripts routed by labels are checked on the runner they would currently
+  // be dispatched to; other matching runners install packages on first run.
+  const target = resolveRunnerTarget({
+    runnerHostId,
+    runnerSelector,
+    inheritCategoryRunner,
+    categoryDefaultRunnerHostId,
+    categoryDefaultRunnerSelector,
+  });
+  const effectiveRunnerHostId = target.selector
+    ? listRunnerHostsForSelector(target.selector)[0]?.id || null
+    : target.runnerId;
+
+  let checkError = null;
+
+  if (normalizedNames.length && effectiveRunnerHostId) {
+    try {
+      const runnerResult = await requestRunnerPackageStatus({
+        runnerHostId: effectiveRunnerHostId,
+        scriptId,
+        packages: normalizedNames,
+        installMissing,
+      });
+      const statuses = Array.isArray(runnerResult?.packages)
+        ? runnerResult.packages
+        : [];
+      checkError = runnerResult?.error || null;
+      if (statuses.length) {
+        await applyPackageStatuses(scriptId, statuses);
+      }
+    } catch (err) {
+      checkError = err?.message || "Failed to check packages";
+      const errorStatuses = normalizedNames.map((name) => ({
+        name,
+        status: "error",
+        message: checkError,
+      }));
+      await applyPackageStatuses(scriptId, errorStatuses);
+    }
+  } else if (normalizedNames.length && !effectiveRunnerHostId) {
+    checkError = target.selector
+      ? `No runner available with labels ${formatRunnerSelector(target.selector)}`
+      : "No runner host configured for package checks";
+    const pendingStatuses = normalizedNames.map((name) => ({
+      name,
+      status: "error",
+      message: checkError,
+    }));
+    await applyPackageStatuses(scriptId, pendingStatuses);
+  } else if (!normalizedNames.length) {
+    await dbRun(`DELETE FROM script_packages WHERE script_id=?`, [scriptId]);
+  }
+
+  const packages = await loadScriptPackages(scriptId);
+  return {
+    packages,
+    packageCount: normalizedNames.length,
+    effectiveRunnerHostId,
+    checkError,
+  };
+}
+
+async function findScriptNameConflict(name, excludeId = null) {
+  if (!name) return null;
+  const trimmed = String(name).trim();
+  if (!trimmed) return null;
+  const params = [trimmed];
+  let sql =
+    "SELECT id, name, endpoint FROM scripts WHERE is_draft = 0 AND LOWER(name) = LOWER(?)";
+  if (excludeId) {
+    sql += " AND id <> ?";
+    params.push(excludeId);
+  }
+  return dbGet(sql, params);
+}
+
+async function findScriptEndpointConflict(endpoint, excludeId = null) {
+  if (!endpoint) return null;
+  const trimmed = String(endpoint).trim();
+  if (!trimmed) return null;
+  const params = [trimmed];
+  let sql =
+    "SELECT id, name, endpoint FROM scripts WHERE is_draft = 0 AND LOWER(endpoint) = LOWER(?)";
+  if (excludeId) {
+    sql += " AND id <> ?";
+    params.push(excludeId);
+  }
+  return dbGet(sql, params);
+}
+
+function isBannedUsername(username) {
+  if (!username) return false;
+  return BANNED_USERNAMES.has(String(username).trim().toLowerCase());
+}
+
+function encodePreferenceValue(value) {
+  return JSON.stringify({ value });
+}
+
+function decodePreferenceValue(serialized) {
+  if (serialized === null || serialized === undefined) return null;
+  if (serialized === "") return "";
+  try {
+    const parsed = JSON.parse(serialized);
+    if (parsed && Object.prototype.hasOwnProperty.call(parsed, "value")) {
+      return parsed.value;
+    }
+  } catch (err) {
+    // fall back to the raw value
+  }
+  return serialized;
+}
+
+const PERMISSION_FLAG_COLUMNS = Object.values(SCRIPT_PERMISSION_COLUMNS);
+
+// Limits script queries to rows the user can see. Expects the user's script
+// and collection permission rows joined as perms/cperms, their roles as
+// prole/crole and their groups' grants as gperms/gcperms, and takes the user
+// id and default collection id as parameters.
+const SCRIPT_VISIBILITY_CONDITION =
+  " AND (s.owner_id = ? OR s.category_id = ? OR perms.can_read = 1 OR perms.can_write = 1 OR perms.can_delete = 1 OR perms.can_run = 1 OR perms.can_clear_logs = 1 OR prole.id IS NOT NULL OR gperms.can_read > 0 OR gperms.can_write > 0 OR gperms.can_delete > 0 OR gperms.can_run > 0 OR gperms.can_clear_logs > 0 OR (s.inherit_category_permissions <> 0 AND (cperms.can_read = 1 OR cperms.can_write = 1 OR cperms.can_delete = 1 OR cperms.can_run = 1 OR cperms.can_clear_logs = 1 OR crole.id IS NOT NULL OR gcperms.can_read > 0 OR gcperms.can_write > 0 OR gcperms.can_delete > 0 OR gcperms.can_run > 0 OR gcperms.can_clear_logs > 0)))";
+
+// Folds every group grant a user holds on one target (through membership,
+// including the flags of any role the grant points at) into a single row.
+function groupPermissionGrantColumns(prefix = "") {
+  return PERMISSION_FLAG_COLUMNS.map(
+    (column) => `MAX(COALESCE(gp.${column}, 0) + COALESCE(gr.${column}, 0)) AS ${prefix}${column}`,
+  ).join(", ");
+}
+
+// Builds a LEFT JOIN exposing the user's aggregated group grants for each
+// target as `alias`. Takes the user id as its only parameter.
+function groupPermissionGrantsJoin(table, column, alias, target) {
+  return `LEFT JOIN (
+          SELECT gp.${column}, ${groupPermissionGrantColumns()}
+            FROM ${table} gp
+            JOIN user_group_members gm ON gm.group_id = gp.group_id AND gm.user_id = ?
+            LEFT JOIN roles gr ON gr.id = gp.role_id
+           GROUP BY gp.${column}
+        ) ${alias} ON ${alias}.${column} = ${target}`;
+}
+
+// Permission rows may point at a role, whose flags are selected alongside as
+// role_can_*, and carry the user's group grants as group_can_*. A grant is the
+// union of each source's own flags, its role's and its groups'.
+function collectPermissionGrants(...sources) {
+  const grants = {};
+  for (const column of PERMISSION_FLAG_COLUMNS) {
+    grants[column] = sources.some(
+      (source) =>
+        Boolean(source?.[column]) ||
+        Boolean(source?.[`role_${column}`]) ||
+        Boolean(source?.[`group_${column}`]),
+    );
+  }
+  return grants;
+}
+
+function hasAnyPermissionGrant(grants) {
+  return PERMISSION_FLAG_COLUMNS.some((column) => Boolean(grants?.[column]));
+}
+
+// Reads a joined role's flags (e.g. global_role_can_read) into a grant object,
+// or null when no role is assigned.
+function mapRoleGrants(row, prefix) {
+  if (!row?.[`${prefix}id`]) return null;
+  const grants = {};
+  for (const column of PERMISSION_FLAG_COLUMNS) {
+    grants[column] = normalizeDbBoolean(row[`${prefix}${column}`]);
+  }
+  return grants;
+}
+
+function computeCategoryPermissions(user, categoryRow, permissionRow) {
+  if (!user) return { ...EMPTY_PERMISSIONS };
+
+  if (user.isAdmin) {
+    return {
+      read: true,
+      write: true,
+      delete: true,
+      run: true,
+      clearLogs: true,
+      manage: true,
+      isOwner: false,
+    };
+  }
+
+  if (!categoryRow) {
+    return { ...EMPTY_PERMISSIONS };
+  }
+
+  if (categoryRow.id === DEFAULT_CATEGORY_ID) {
+    const globalGrants = collectPermissionGrants(user.roleGrants);
+    return {
+      read: true,
+      write: globalGrants.can_write,
+      delete: globalGrants.can_delete,
+      run: true,
+      clearLogs: globalGrants.can_clear_logs,
+      manage: false,
+      isOwner: false,
+    };
+  }
+
+  const direct = collectPermissionGrants(permissionRow, user.roleGrants);
+  const canWrite = Boolean(direct.can_write);
+  const canDelete = Boolean(direct.can_delete);
+  const canRun = Boolean(direct.can_run);
+  const canClearLogs = Boolean(direct.can_clear_logs);
+  const canRead = Boolean(direct.can_read);
+
+  const read = Boolean(
+    canRead || canWrite || canDelete || canRun || canClearLogs,
+  );
+
+  return {
+    read,
+    write: canWrite,
+    delete: canDelete,
+    run: canRun,
+    clearLogs: canClearLogs,
+    manage: Boolean(canWrite || canDelete),
+    isOwner: false,
+  };
+}
+
+function computeEffectivePermissions(options = {}) {
+  const {
+    user = null,
+    scriptRow = null,
+    scriptPermissionRow = null,
+    categoryRow = null,
+    categoryPermissionRow = null,
+  } = options;
+
+  if (!user) return { ...EMPTY_PERMISSIONS };
+
+  if (user.isAdmin) {
+    return {
+      read: true,
+      write: true,
+      delete: true,
+      run: true,
+      clearLogs: true,
+      manage: true,
+      isOwner: false,
+    };
+  }
+
+  const isOwner = scriptRow?.owner_id && scriptRow.owner_id === user.id;
+  if (isOwner) {
+    return {
+      read: true,
+      write: true,
+      delete: true,
+      run: true,
+      clearLogs: true,
+      manage: true,
+      isOwner: true,
+    };
+  }
+
+  const direct = collectPermissionGrants(scriptPermissionRow, user.roleGrants);
+  let canWrite = Boolean(direct.can_write);
+  let canDelete = Boolean(direct.can_delete);
+  let canRun = Boolean(direct.can_run);
+  let canClearLogs = Boolean(direct.can_clear_logs);
+  let canRead = Boolean(direct.can_read);
+
+  if (scriptRow?.inherit_category_permissions !== 0 && categoryRow) {
+    const categoryPermissions = computeCategoryPermissions(
+      user,
+      categoryRow,
+      categoryPermissionRow,
+    );
+    canWrite = canWrite || categoryPermissions.write;
+    canDelete = canDelete || categoryPermissions.delete;
+    canRun = canRun || categoryPermissions.run;
+    canClearLogs = canClearLogs || categoryPermissions.clearLogs;
+    canRead =
+      canRead || categoryPermissions.read || categoryPermissions.manage;
+  }
+
+  return {
+    read: Boolean(canRead || canWrite || canDelete || canRun || canClearLogs),
+    write: canWrite,
+    delete: canDelete,
+    run: canRun,
+    clearLogs: canClearLogs,
+    manage: false,
+    isOwner: false,
+  };
+}
+
+function parseRunHeaders(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    console.error("Failed to parse run headers", err);
+    return {};
+  }
+}
+
+function normalizeAcceptedMethods(value, options = {}) {
+  const { fallback = DEFAULT_ACCEPTED_METHODS, ensure = [] } = options;
+  const collected = [];
+
+  if (Array.isArray(value)) {
+    collected.push(...value);
+  } else if (value instanceof Set) {
+    collected.push(...value);
+  } else if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) {
+          collected.push(...parsed);
+        } else if (typeof parsed === "string") {
+          collected.push(parsed);
+        } else {
+          collected.push(trimmed);
+        }
+      } catch (err) {
+        collected.push(trimmed);
+      }
+    }
+  } else if (value && typeof value === "object") {
+    try {
+      for (const entry of Object.values(value)) {
+        if (typeof entry === "string") {
+          collected.push(entry);
+        }
+      }
+    } catch (err) {
+      // ignore
+    }
+  }
+
+  const normalized = new Set();
+  for (const method of collected) {
+    if (typeof method !== "string") continue;
+    const upper = method.trim().toUpperCase();
+    if (!upper) continue;
+    if (!SUPPORTED_HTTP_METHODS.includes(upper)) continue;
+    normalized.add(upper);
+  }
+
+  if (Array.isArray(ensure)) {
+    for (const method of ensure) {
+      if (typeof method !== "string") continue;
+      const upper = method.trim().toUpperCase();
+      if (!upper) continue;
+      if (!SUPPORTED_HTTP_METHODS.includes(upper)) continue;
+      normalized.add(upper);
+    }
+  }
+
+  if (normalized.size === 0) {
+    if (Array.isArray(fallback)) {
+      return normalizeAcceptedMethods(fallback, { fallback: null });
+    }
+    if (typeof fallback === "string") {
+      return normalizeAcceptedMethods([fallback], { fallback: null });
+    }
+    return Array.from(DEFAULT_ACCEPTED_METHODS);
+  }
+
+  return SUPPORTED_HTTP_METHODS.filter((method) => normalized.has(method));
+}
+
+function mapScriptRow(
+  row,
+  user = null,
+  permissionRow = null,
+  categoryPermissionRow = null,
+) {
+  if (!row) return null;
+  const categoryRow = row.category_id
+    ? {
+      id: row.category_id,
+      name: row.category_name || "",
+      description: row.category_description || "",
+      default_language: row.category_default_language || null,
+      is_system: row.category_is_system,
+    }
+    : null;
+  const permissions = computeEffectivePermissions({
+    user,
+    scriptRow: row,
+    scriptPermissionRow: permissionRow,
+    categoryRow,
+    categoryPermissionRow,
+  });
+  if (permissions && (user?.isAdmin || permissions.isOwner)) {
+    permissions.manage = true;
+  }
+
+  let runHeaders = {};
+  if (row.run_headers) {
+    runHeaders = parseRunHeaders(row.run_headers);
+  }
+
+  const acceptedMethods = normalizeAcceptedMethods(row.allowed_methods, {
+    ensure: [row.run_method || "POST"],
+  });
+
+  const runnerHostId = row.runner_host_id || null;
+  const scriptRunner = runnerHostId
+    ? {
+      id: runnerHostId,
+      name: row.script_runner_name || runnerHostId,
+      status: row.script_runner_status || RUNNER_STATUS.PENDING,
+      statusMessage: row.script_runner_status_message || null,
+      adminOnly: normalizeDbBoolean(row.script_runner_admin_only),
+    }
+    : null;
+
+  const categoryDefaultRunnerHostId =
+    row.category_default_runner_host_id || null;
+  const categoryDefaultRunner = categoryDefaultRunnerHostId
+    ? {
+      id: categoryDefaultRunnerHostId,
+      name: row.category_runner_name || categoryDefaultRunnerHostId,
+      status: row.category_runner_status || RUNNER_STATUS.PENDING,
+      statusMessage: row.category_runner_status_message || null,
+      adminOnly: normalizeDbBoolean(row.category_runner_admin_only),
+    }
+    : null;
+
+  const inheritCategoryRunner = row.inherit_category_runner !== 0;
+  const resolvedRunner = scriptRunner || (inheritCategoryRunner ? categoryDefaultRunner : null);
+  const runnerSelector = parseRunnerLabels(row.runner_selector);
+  const categoryDefaultRunnerSelector = parseRunnerLabels(row.category_default_runner_selector);
+  const fallbackRunnerHostIds = parseFallbackRunnerIds(row.fallback_runner_host_ids);
+  const categoryDefaultFallbackRunnerHostIds = parseFallbackRunnerIds(
+    row.category_default_fallback_runner_host_ids,
+  );
+  const resolvedTarget = resolveRunnerTarget(row);
+  const resolvedRunnerSelector = resolvedTarget.selector || [];
+
+  const hasRunToken = Boolean(row.run_token);
+  const runTokenPreview = hasRunToken ? sanitizeScriptToken(row.run_token) : null;
+
+  const recycledEndpoint = row.recycled_from_endpoint || null;
+  const activeEndpoint = row.endpoint || recycledEndpoint || "";
+
+  const category = categoryRow
+    ? {
+      id: categoryRow.id,
+      name: categoryRow.name || "",
+      description: categoryRow.description || "",
+      defaultLanguage: categoryRow.default_language || null,
+      isSystem: normalizeDbBoolean(categoryRow.is_system),
+    }
+    : null;
+  const collection = category;
+
+  return {
+    id: row.id,
+    name: row.name,
+    endpoint: activeEndpoint,
+    recycledEndpoint,
+    language: row.language,
+    timeout: row.timeout,
+    code: row.code,
+    createdAt: row.created_at || null,
+    projectName: category?.name || row.project_name || "",
+    isDraft: row.is_draft !== 0,
+    isRecycled: Boolean(row.is_recycled),
+    recycledAt: row.recycled_at || null,
+    runMethod: row.run_method || "POST",
+    acceptedMethods,
+    runHeaders,
+    runBody: row.run_body || "",
+    retryPolicy: parseRetryPolicy(row.retry_policy_json),
+    ownerId: row.owner_id || null,
+    ownerUsername: row.owner_username || null,
+    createdByUserId: row.owner_id || null,
+    createdByUsername: row.owner_username || null,
+    lastVersionUserId: row.last_version_user_id || null,
+    requireAuthentication: row.require_authentication !== 0,
+    includeAutomnResponseData: row.expose_automn_response !== 0,
+    includeRunIdInResponse: row.expose_run_id !== 0,
+    permissions,
+    hasApiToken: hasRunToken,
+    apiTokenPreview: runTokenPreview,
+    webhookAuthMode: parseWebhookAuthConfig(row.webhook_auth_json)?.mode || null,
+    variableCount: Number(row.variable_count) || 0,
+    scheduledJobCount: Number(row.scheduled_job_count) || 0,
+    packageCount: Number(row.package_count) || 0,
+    categoryId: category?.id || null,
+    category,
+    collectionId: collection?.id || null,
+    collection,
+    categoryDefaultRunnerHostId,
+    collectionDefaultRunnerHostId: categoryDefaultRunnerHostId,
+    inheritCategoryPermissions: row.inherit_category_permissions !== 0,
+    inheritCollectionPermissions: row.inherit_category_permissions !== 0,
+    inheritCategoryRunner,
+    inheritCollectionRunner: inheritCategoryRunner,
+    runnerHostId,
+    runner: scriptRunner,
+    runnerSelector,
+    categoryDefaultRunner,
+    collectionDefaultRunner: categoryDefaultRunner,
+    categoryDefaultRunnerSelector,
+    collectionDefaultRunnerSelector: categoryDefaultRunnerSelector,
+    fallbackRunnerHostIds,
+    categoryDefaultFallbackRunnerHostIds,
+    collectionDefaultFallbackRunnerHostIds: categoryDefaultFallbackRunnerHostIds,
+    resolvedRunner,
+    resolvedRunnerSelector,
+    resolvedFallbackRunnerHostIds: resolvedTarget.fallbackRunnerIds,
+  };
+}
+
+async function loadScriptWithOwner(whereClause, params) {
+  return dbGet(
+    `SELECT s.*, owner.username AS owner_username, vars.variable_count,
+            pkgs.package_count,
+            sched.scheduled_job_count AS scheduled_job_count,
+            c.name AS category_name,
+            c.description AS category_description,
+            c.default_language AS category_default_language,
+            c.default_runner_host_id AS category_default_runner_host_id,
+            c.default_runner_selector AS category_default_runner_selector,
+            c.default_fallback_runner_host_ids AS category_default_fallback_runner_host_ids,
+            c.is_system AS category_is_system,
+            sr.name AS script_runner_name,
+            sr.status AS script_runner_status,
+            sr.status_message AS script_runner_status_message,
+            sr.admin_only AS script_runner_admin_only,
+            cr.name AS category_runner_name,
+            cr.status AS category_runner_status,
+            cr.status_message AS category_runner_status_message,
+            cr.admin_only AS category_runner_admin_only
+       FROM scripts s
+       LEFT JOIN users owner ON owner.id = s.owner_id
+       LEFT JOIN categories c ON c.id = s.category_id
+       LEFT JOIN runner_hosts sr ON sr.id = s.runner_host_id
+       LEFT JOIN runner_hosts cr ON cr.id = c.default_runner_host_id
+       LEFT JOIN (
+         SELECT script_id, COUNT(*) AS variable_count
+           FROM script_variables
+          GROUP BY script_id
+       ) vars ON vars.script_id = s.id
+       LEFT JOIN (
+         SELECT script_id, COUNT(*) AS package_count
+           FROM script_packages
+          GROUP BY script_id
+       ) pkgs ON pkgs.script_id = s.id
+       LEFT JOIN (
+         SELECT script_id, COUNT(*) AS scheduled_job_count
+           FROM scheduler_jobs
+          GROUP BY script_id
+       ) sched ON sched.script_id = s.id
+       WHERE ${whereClause}`,
+    params,
+  );
+}
+
+async function loadCategoryById(categoryId) {
+  if (!categoryId) return null;
+  try {
+    return await dbGet(
+      `SELECT id, name, description, default_language, default_runner_host_id, default_runner_selector, default_fallback_runner_host_ids, is_system FROM categories WHERE id=?`,
+      [categoryId],
+    );
+  } catch (err) {
+    console.error("Failed to load collection", err);
+    return null;
+  }
+}
+
+async function loadGroupPermissionGrants(table, column, targetId, userId) {
+  const row = await dbGet(
+    `SELECT ${groupPermissionGrantColumns("group_")}
+       FROM ${table} gp
+       JOIN user_group_members gm ON gm.group_id = gp.group_id AND gm.user_id = ?
+       LEFT JOIN roles gr ON gr.id = gp.role_id
+      WHERE gp.${column}=?`,
+    [userId, targetId],
+  );
+  const hasGrant = PERMISSION_FLAG_COLUMNS.some((flag) => Number(row?.[`group_${flag}`]) > 0);
+  return hasGrant ? row : null;
+}
+
+async function loadPermissionRow(scriptId, userId) {
+  if (!scriptId || !userId) return null;
+  try {
+    const row = await dbGet(
+      `SELECT sp.can_read, sp.can_write, sp.can_delete, sp.can_run, sp.can_clear_logs,
+              r.can_read AS role_can_read, r.can_write AS role_can_write, r.can_delete AS role_can_delete,
+              r.can_run AS role_can_run, r.can_clear_logs AS role_can_clear_logs
+         FROM script_permissions sp
+         LEFT JOIN roles r ON r.id = sp.role_id
+        WHERE sp.script_id=? AND sp.user_id=?`,
+      [scriptId, userId],
+    );
+    const groupGrants = await loadGroupPermissionGrants(
+      "group_script_permissions",
+      "script_id",
+      scriptId,
+      userId,
+    );
+    return groupGrants ? { ...row, ...groupGrants } : row;
+  } catch (err) {
+    console.error("Failed to load script permissions", err);
+    return null;
+  }
+}
+
+async function loadCategoryPermissionRow(categoryId, userId) {
+  if (!categoryId || !userId) return null;
+  try {
+    const row = await dbGet(
+      `SELECT cp.can_read, cp.can_write, cp.can_delete, cp.can_run, cp.can_clear_logs,
+              r.can_read AS role_can_read, r.can_write AS role_can_write, r.can_delete AS role_can_delete,
+              r.can_run AS role_can_run, r.can_clear_logs AS role_can_clear_logs
+         FROM category_permissions cp
+         LEFT JOIN roles r ON r.id = cp.role_id
+        WHERE cp.category_id=? AND cp.user_id=?`,
+      [categoryId, userId],
+    );
+    const groupGrants = await loadGroupPermissionGrants(
+      "group_category_permissions",
+      "category_id",
+      categoryId,
+      userId,
+    );
+    return groupGrants ? { ...row, ...groupGrants } : row;
+  } catch (err) {
+    console.error("Failed to load collection permissions", err);
+    return null;
+  }
+}
+
+async function ensureScriptAccess(options = {}) {
+  const {
+    scriptId = null,
+    endpoint = null,
+    user = null,
+    requiredPermission = null,
+    allowRecycled = false,
+    allowDraft = false,
+  } = options;
+
+  const identifier = scriptId ? { where: "s.id=?", value: scriptId } : { where: "s.endpoint=?", value: endpoint };
+  if (!identifier.value) {
+    const err = new Error("Script not found");
+    err.status = 404;
+    throw err;
+  }
+
+  let scriptRow = await loadScriptWithOwner(identifier.where, [identifier.value]);
+  if (!scriptRow && !scriptId && allowRecycled && endpoint) {
+    scriptRow = await loadScriptWithOwner("s.recycled_from_endpoint=?", [endpoint]);
+  }
+  if (!scriptRow) {
+    const err = new Error("Script not found");
+    err.status = 404;
+    throw err;
+  }
+
+  if (!allowRecycled && scriptRow.is_recycled) {
+    const err = new Error("Script not found");
+    err.status = 404;
+    throw err;
+  }
+
+  if (!allowDraft && scriptRow.is_draft) {
+    const err = new Error("Script not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const permissionRow = await loadPermissionRow(scriptRow.id, user?.id);
+  let categoryRow = null;
+  let categoryPermissionRow = null;
+  const scriptCategoryId = scriptRow.category_id || DEFAULT_CATEGORY_ID;
+  if (scriptCategoryId) {
+    categoryRow = await loadCategoryById(scriptCategoryId);
+    categoryPermissionRow = await loadCategoryPermissionRow(
+      categoryRow?.id,
+      user?.id,
+    );
+  }
+  const permissions = computeEffectivePermissions({
+    user,
+    scriptRow,
+    scriptPermissionRow: permissionRow,
+    categoryRow,
+    categoryPermissionRow,
+  });
+  if (user?.isAdmin || permissions.isOwner) {
+    permissions.manage = true;
+  }
+
+  if (requiredPermission && user) {
+    if (!permissions[requiredPermission]) {
+      const err = new Error("You do not have permission to perform this action");
+      err.status = 403;
+      throw err;
+    }
+  }
+
+  return { script: scriptRow, permissions, permissionRow };
+}
+
+async function ensureCategoryAccess(options = {}) {
+  const {
+    categoryId = null,
+    collectionId = null,
+    user = null,
+    requiredPermission = null,
+  } = options;
+  const effectiveCategoryId =
+    categoryId || collectionId || DEFAULT_COLLECTION_ID;
+  const category = await loadCategoryById(effectiveCategoryId);
+  if (!category) {
+    const err = new Error("Collection not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const permissionRow = await loadCategoryPermissionRow(category.id, user?.id);
+  const permissions = computeCategoryPermissions(user, category, permissionRow);
+  const isDefaultCategory = category.id === DEFAULT_CATEGORY_ID;
+
+  if (isDefaultCategory) {
+    permissions.read = true;
+    permissions.run = true;
+  }
+
+  if (requiredPermission && user) {
+    if (
+      isDefaultCategory &&
+      (requiredPermission === "write" || requiredPermission === "read")
+    ) {
+      // Allow baseline read/write access to the General collection for all users so
+      // they can assign scripts to it without granting broader management rights.
+    } else if (!permissions[requiredPermission]) {
+      const err = new Error("You do not have permission to access this collection");
+      err.status = 403;
+      throw err;
+    }
+  }
+
+  return { category, permissions, permissionRow };
+}
+
+// Columns for a user's global role, joined as "gr".
+const GLOBAL_ROLE_COLUMNS = `gr.id AS global_role_id, gr.can_read AS global_role_can_read,
+              gr.can_write AS global_role_can_write, gr.can_delete AS global_role_can_delete,
+              gr.can_run AS global_role_can_run, gr.can_clear_logs AS global_role_can_clear_logs`;
+
+async function authenticateRequest(req) {
+  try {
+    const cookies = parseCookies(req.headers?.cookie || "");
+    const token = cookies[COOKIE_NAME];
+    if (!token) return null;
+
+    const session = await dbGet(
+      `SELECT s.id as session_id, s.created_at, s.last_seen, s.user_id, u.username, u.is_admin, u.is_active, u.must_change_password,
+              ${GLOBAL_ROLE_COLUMNS}
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id AND u.deleted_at IS NULL
+       LEFT JOIN roles gr ON gr.id = u.role_id
+       WHERE s.token=?`,
       [token],
     );
-
-    if (!session) {
-      return null;
+
+    if (!session) {
+      return null;
+    }
+
+    const settings = await loadSessionSettings();
+    if (computeSessionExpiry(settings, session.created_at, session.last_seen) <= Date.now()) {
+      await dbRun("DELETE FROM sessions WHERE id=?", [session.session_id]).catch(() => { });
+      return null;
+    }
+
+    if (!session.is_active) {
+      await dbRun("DELETE FROM sessions WHERE id=?", [session.session_id]).catch(() => { });
+      return null;
+    }
+
+    const isoNow = new Date().toISOString();
+    const expiresAt = new Date(computeSessionExpiry(settings, session.created_at, isoNow)).toISOString();
+    await dbRun("UPDATE sessions SET last_seen=?, expires_at=? WHERE id=?", [
+      isoNow,
+      expiresAt,
+      session.session_id,
+    ]).catch(() => { });
+
+    return {
+      sessionId: session.session_id,
+      token,
+      user: {
+        id: session.user_id,
+        username: session.username,
+        isAdmin: normalizeDbBoolean(session.is_admin),
+        isActive: normalizeDbBoolean(session.is_active),
+        mustChangePassword: normalizeDbBoolean(session.must_change_password),
+        roleGrants: mapRoleGrants(session, "global_role_"),
+      },
+    };
+  } catch (err) {
+    console.error("Failed to authenticate request", err);
+    return null;
+  }
+}
+
+function hashPersonalAccessToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function parsePersonalAccessTokenScopes(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed)
+      ? parsed.filter((scope) => PERSONAL_ACCESS_TOKEN_SCOPES.includes(scope))
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Personal access tokens are only read from the Authorization header, and only
+// when it carries our prefix so script tokens sent to /api are never looked up.
+async function authenticatePersonalAccessToken(req) {
+  const provided = extractBearerToken(req);
+  if (!provided || !provided.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const row = await dbGet(
+    `SELECT t.id as token_id, t.name, t.scopes_json, t.expires_at, t.revoked_at,
+            u.id as user_id, u.username, u.is_admin, u.is_active, u.must_change_password,
+            ${GLOBAL_ROLE_COLUMNS}
+       FROM personal_access_tokens t
+       JOIN users u ON u.id = t.user_id AND u.deleted_at IS NULL
+       LEFT JOIN roles gr ON gr.id = u.role_id
+      WHERE t.token_hash=?`,
+    [hashPersonalAccessToken(provided)],
+  );
+
+  if (!row || row.revoked_at || !normalizeDbBoolean(row.is_active)) {
+    return null;
+  }
+  if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) {
+    return null;
+  }
+
+  await dbRun("UPDATE personal_access_tokens SET last_used_at=?, last_used_ip=? WHERE id=?", [
+    new Date().toISOString(),
+    extractClientIp(req) || null,
+    row.token_id,
+  ]).catch(() => { });
+
+  return {
+    sessionId: null,
+    token: null,
+    personalAccessToken: {
+      id: row.token_id,
+      name: row.name,
+      scopes: parsePersonalAccessTokenScopes(row.scopes_json),
+    },
+    user: {
+      id: row.user_id,
+      username: row.username,
+      isAdmin: normalizeDbBoolean(row.is_admin),
+      isActive: normalizeDbBoolean(row.is_active),
+      mustChangePassword: normalizeDbBoolean(row.must_change_password),
+      roleGrants: mapRoleGrants(row, "global_role_"),
+    },
+  };
+}
+
+function resolvePersonalAccessTokenScope(req) {
+  const requestPath = String(req.originalUrl || req.url || "").split("?")[0];
+  const method = String(req.method || "").toUpperCase();
+  const isRead = method === "GET" || method === "HEAD";
+  const rule = PERSONAL_ACCESS_TOKEN_SCOPE_RULES.find((entry) => entry.pattern.test(requestPath));
+  if (!rule) return null;
+  return isRead ? rule.read : rule.write;
+}
+
+function auditPersonalAccessTokenRequest(req, res, auth) {
+  if (req.personalAccessTokenAudited) return;
+  req.personalAccessTokenAudited = true;
+  res.on("finish", () => {
+    recordAuditEvent({
+      req,
+      actor: auth.user,
+      action: "personal_access_token.used",
+      targetType: "personal_access_token",
+      targetId: auth.personalAccessToken.id,
+      details: {
+        name: auth.personalAccessToken.name,
+        method: req.method,
+        path: String(req.originalUrl || "").split("?")[0],
+        status: res.statusCode,
+      },
+    });
+  });
+}
+
+function ensureAuth(options = {}) {
+  const { allowPendingPasswordChange = false, requireAdmin = false } = options;
+  return async (req, res, next) => {
+    let auth = await authenticateRequest(req);
+    if (!auth) {
+      try {
+        auth = await authenticatePersonalAccessToken(req);
+      } catch (err) {
+        console.error("Failed to authenticate personal access token", err);
+      }
+    }
+    if (!auth) {
+      res.clearCookie(COOKIE_NAME, cookieOptions);
+      res.status(401).json({ error: "Authentication required" });
+      return;
+    }
+
+    if (auth.personalAccessToken) {
+      auditPersonalAccessTokenRequest(req, res, auth);
+      const requiredScope = resolvePersonalAccessTokenScope(req);
+      if (!requiredScope) {
+        res.status(403).json({
+          error: "Personal access tokens cannot be used for this endpoint",
+          code: "token_not_allowed",
+        });
+        return;
+      }
+      if (!auth.personalAccessToken.scopes.includes(requiredScope)) {
+        res.status(403).json({
+          error: `Token is missing the ${requiredScope} scope`,
+          code: "insufficient_scope",
+        });
+        return;
+      }
+    }
+
+    if (!allowPendingPasswordChange && auth.user.mustChangePassword) {
+      res.status(403).json({
+        error: "Password change required",
+        code: "password_change_required",
+      });
+      return;
+    }
+
+    if (requireAdmin && !auth.user.isAdmin) {
+      res.status(403).json({ error: "Administrator permissions required" });
+      return;
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    req.sessionToken = auth.token;
+    req.personalAccessToken = auth.personalAccessToken || null;
+    next();
+  };
+}
+
+const AUDIT_REDACTED_VALUE = "[redacted]";
+// Keys that hold credentials wherever they appear in details or a snapshot.
+// Identifiers, counts and flags about a secret (tokenId, hasClientSecret)
+// stay readable.
+const AUDIT_SECRET_FIELD_PATTERN = /(password|secret|token|hash|private_?key|api_?key|credential)/i;
+const AUDIT_SECRET_FIELD_EXCEPTIONS = /(id|ids|count|at|prefix|preview|name|names|scopes?)$/i;
+const AUDIT_MAX_STRING_LENGTH = 4000;
+
+function isAuditSecretField(field) {
+  return (
+    typeof field === "string" &&
+    AUDIT_SECRET_FIELD_PATTERN.test(field) &&
+    !AUDIT_SECRET_FIELD_EXCEPTIONS.test(field)
+  );
+}
+
+function sanitizeAuditValue(value, field = null) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (isAuditSecretField(field) && typeof value !== "boolean" && value !== "") {
+    return AUDIT_REDACTED_VALUE;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitizeAuditValue(item));
+  }
+  if (typeof value === "object") {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = sanitizeAuditValue(entry, key);
+    }
+    return result;
+  }
+  if (typeof value === "string" && value.length > AUDIT_MAX_STRING_LENGTH) {
+    return `${value.slice(0, AUDIT_MAX_STRING_LENGTH)}… (${value.length} characters)`;
+  }
+  return value;
+}
+
+// Compares two flat snapshots of a record and keeps the fields that differ.
+// A null snapshot stands for "did not exist", so creates list every field
+// under after and deletes every field under before. Fields named in
+// redactFields only record that they changed.
+function buildAuditChanges(before, after, redactFields = []) {
+  if (before === undefined && after === undefined) {
+    return null;
+  }
+
+  const redacted = new Set(redactFields);
+  const previous = before && typeof before === "object" ? before : {};
+  const next = after && typeof after === "object" ? after : {};
+  const changes = {};
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    const oldValue = previous[field] ?? null;
+    const newValue = next[field] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+    if (redacted.has(field)) {
+      changes[field] = {
+        before: oldValue === null ? null : AUDIT_REDACTED_VALUE,
+        after: newValue === null ? null : AUDIT_REDACTED_VALUE,
+      };
+      continue;
+    }
+    changes[field] = {
+      before: sanitizeAuditValue(oldValue, field),
+      after: sanitizeAuditValue(newValue, field),
+    };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+async function recordAuditEvent({
+  req = null,
+  actor = null,
+  action,
+  targetType = null,
+  targetId = null,
+  targetLabel = null,
+  details = null,
+  before = undefined,
+  after = undefined,
+  redact = [],
+}) {
+  const actorUser = actor || req?.user || null;
+  try {
+    const changes = buildAuditChanges(before, after, redact);
+    await dbRun(
+      `INSERT INTO audit_events (id, action, actor_user_id, actor_label, ip_address, target_type, target_id, target_label, details_json, changes_json, created_at)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+      [
+        uuidv4(),
+        action,
+        actorUser?.id || null,
+        actorUser?.username || null,
+        req ? extractClientIp(req) || null : null,
+        targetType,
+        targetId,
+        targetLabel,
+        details ? JSON.stringify(sanitizeAuditValue(details)) : null,
+        changes ? JSON.stringify(changes) : null,
+        new Date().toISOString(),
+      ],
+    );
+  } catch (err) {
+    console.error("Failed to record audit event", err);
+  }
+}
+
+function validatePassword(password) {
+  return typeof password === "string" && password.length >= PASSWORD_MIN_LENGTH;
+}
+
+function quoteIdentifier(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+async function restoreDatabaseFromFile(filePath) {
+  let transactionActive = false;
+  let attached = false;
+  try {
+    await dbRun("BEGIN IMMEDIATE TRANSACTION");
+    transactionActive = true;
+
+    await dbRun("ATTACH DATABASE ? AS restore_src", [filePath]);
+    attached = true;
+
+    const currentTables = await dbAll(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
+    );
+    const backupTables = await dbAll(
+      "SELECT name FROM restore_src.sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
+    );
+
+    const allowed = new Set(currentTables.map((row) => row.name));
+    const skipTables = new Set(["sessions", "queued_jobs"]);
+
+    for (const table of backupTables) {
+      const name = table?.name;
+      if (!name || !allowed.has(name) || skipTables.has(name)) continue;
+      const quoted = quoteIdentifier(name);
+      await dbRun(`DELETE FROM ${quoted}`);
+      await dbRun(`INSERT INTO ${quoted} SELECT * FROM restore_src.${quoted}`);
+    }
+
+    await dbRun("DELETE FROM sessions");
+
+    await dbRun("COMMIT");
+    transactionActive = false;
+
+    await dbRun("DETACH DATABASE restore_src");
+    attached = false;
+  } catch (err) {
+    if (transactionActive) {
+      await dbRun("ROLLBACK").catch(() => { });
+      transactionActive = false;
+    }
+
+    if (attached) {
+      await dbRun("DETACH DATABASE restore_src").catch(() => { });
+      attached = false;
+    }
+    throw err;
+  }
+
+  await db.ensureAdminAccount();
+}
+
+// Settings made of whole numbers within fixed bounds, stored as JSON.
+// Stored values that are out of range fall back to the default.
+function isValidBoundedSetting(fields, field, value) {
+  const { min, max } = fields[field];
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+async function loadBoundedSettings(key, fields, defaults) {
+  const stored = await readSystemSetting(key, null);
+  if (!stored) {
+    return { ...defaults };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (err) {
+    console.error(`Failed to parse ${key} setting`, err);
+    return { ...defaults };
+  }
+
+  const config = { ...defaults };
+  for (const field of Object.keys(fields)) {
+    if (isValidBoundedSetting(fields, field, parsed?.[field])) {
+      config[field] = parsed[field];
+    }
+  }
+  return config;
+}
+
+function resolveBoundedSettingsPayload(body, fields) {
+  const config = {};
+  for (const [field, { label, min, max }] of Object.entries(fields)) {
+    const value = Number(body?.[field]);
+    if (!isValidBoundedSetting(fields, field, value)) {
+      const err = new Error(`${label} must be a whole number between ${min} and ${max}`);
+      err.status = 400;
+      throw err;
+    }
+    config[field] = value;
+  }
+  return config;
+}
+
+const DEFAULT_SESSION_SETTINGS = Object.freeze({
+  idleTimeoutMinutes: 7 * 24 * 60,
+  maxLifetimeHours: 30 * 24,
+});
+
+const SESSION_SETTING_FIELDS = {
+  idleTimeoutMinutes: { label: "Idle timeout", min: 5, max: 30 * 24 * 60 },
+  maxLifetimeHours: { label: "Maximum session length", min: 1, max: 365 * 24 },
+};
+
+// Read on every authenticated request, so keep it in memory and refresh it
+// when an administrator saves new values.
+let cachedSessionSettings = null;
+
+async function loadSessionSettings() {
+  if (!cachedSessionSettings) {
+    cachedSessionSettings = await loadBoundedSettings(
+      SESSION_SETTINGS_KEY,
+      SESSION_SETTING_FIELDS,
+      DEFAULT_SESSION_SETTINGS,
+    );
+  }
+  return cachedSessionSettings;
+}
+
+// Sessions slide: each request pushes the expiry out by the idle timeout,
+// but never past the maximum length counted from sign-in. Both limits are
+// evaluated with the current settings, so changes apply to existing sessions.
+function computeSessionExpiry(settings, createdAt, lastSeen) {
+  const idleExpiry = Date.parse(lastSeen) + settings.idleTimeoutMinutes * 60 * 1000;
+  const lifetimeExpiry = Date.parse(createdAt) + settings.maxLifetimeHours * 60 * 60 * 1000;
+  const expiry = Math.min(idleExpiry, lifetimeExpiry);
+  return Number.isFinite(expiry) ? expiry : 0;
+}
+
+async function startUserSession(req, res, userId) {
+  const settings = await loadSessionSettings();
+  const sessionToken = crypto.randomBytes(48).toString("base64url");
+  const sessionId = uuidv4();
+  const isoNow = new Date().toISOString();
+  const expiresAt = new Date(computeSessionExpiry(settings, isoNow, isoNow)).toISOString();
+  const userAgent = normalizeHeaderValue(req.headers["user-agent"]).slice(0, 512);
+
+  await dbRun(
+    `INSERT INTO sessions (id, user_id, token, created_at, expires_at, last_seen, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      userId,
+      sessionToken,
+      isoNow,
+      expiresAt,
+      isoNow,
+      extractClientIp(req) || null,
+      userAgent || null,
+    ],
+  );
+
+  await dbRun(`UPDATE users SET last_login=? WHERE id=?`, [isoNow, userId]).catch(
+    () => { },
+  );
+
+  // The server enforces the idle timeout; the cookie only needs to outlive
+  // the longest the session could last.
+  res.cookie(COOKIE_NAME, sessionToken, {
+    ...cookieOptions,
+    maxAge: settings.maxLifetimeHours * 60 * 60 * 1000,
+  });
+}
+
+const DEFAULT_LOGIN_LOCKOUT_CONFIG = Object.freeze({
+  maxAttempts: 5,
+  lockoutMinutes: 15,
+  ipMaxAttempts: 20,
+  windowMinutes: 15,
+});
+
+const LOGIN_LOCKOUT_FIELDS = {
+  maxAttempts: { label: "Failed attempts per account", min: 0, max: 100 },
+  lockoutMinutes: { label: "Lockout duration", min: 1, max: 1440 },
+  ipMaxAttempts: { label: "Failed attempts per address", min: 0, max: 1000 },
+  windowMinutes: { label: "Counting window", min: 1, max: 1440 },
+};
+
+async function loadLoginLockoutConfig() {
+  return loadBoundedSettings(
+    LOGIN_LOCKOUT_SETTING_KEY,
+    LOGIN_LOCKOUT_FIELDS,
+    DEFAULT_LOGIN_LOCKOUT_CONFIG,
+  );
+}
+
+// Failed sign-ins are counted in memory per username and per client
+// address. Unknown usernames are counted and locked like real ones so a
+// lockout does not reveal which accounts exist. Restarting the host clears
+// the counters.
+const loginFailuresByUsername = new Map();
+const loginFailuresByIp = new Map();
+
+function loginTrackingKey(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+function recentLoginFailures(entry, windowMs, now) {
+  return (entry?.failures || []).filter((timestamp) => timestamp > now - windowMs);
+}
+
+// Re-inserting keeps the Map in least-recently-failed order, so the oldest
+// entries are the ones dropped when the cap is reached. Active lockouts are
+// never dropped; otherwise a flood of failures for other usernames would
+// unlock an account early.
+function rememberLoginFailures(map, key, entry) {
+  map.delete(key);
+  map.set(key, entry);
+  if (map.size <= LOGIN_TRACKING_MAX_ENTRIES) return;
+  const now = Date.now();
+  for (const [candidateKey, candidate] of map) {
+    if (map.size <= LOGIN_TRACKING_MAX_ENTRIES) break;
+    if (candidateKey === key || candidate.lockedUntil > now) continue;
+    map.delete(candidateKey);
+  }
+}
+
+function resolveLoginLockedUntil(username) {
+  const entry = loginFailuresByUsername.get(loginTrackingKey(username));
+  if (!entry?.lockedUntil || entry.lockedUntil <= Date.now()) {
+    return null;
+  }
+  return new Date(entry.lockedUntil).toISOString();
+}
+
+function checkLoginThrottle(config, username, ip) {
+  const now = Date.now();
+  const windowMs = config.windowMinutes * 60 * 1000;
+
+  if (config.ipMaxAttempts > 0 && ip) {
+    const failures = recentLoginFailures(loginFailuresByIp.get(ip), windowMs, now);
+    if (failures.length >= config.ipMaxAttempts) {
+      return {
+        message: "Too many failed sign-in attempts from your address. Try again later.",
+        retryAfterMs: failures[0] + windowMs - now,
+      };
+    }
+  }
+
+  const entry = loginFailuresByUsername.get(loginTrackingKey(username));
+  if (entry?.lockedUntil > now) {
+    return {
+      message:
+        "This account is temporarily locked after too many failed sign-in attempts. Try again later.",
+      retryAfterMs: entry.lockedUntil - now,
+    };
+  }
+
+  return null;
+}
+
+function sendLoginThrottled(res, throttle) {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(throttle.retryAfterMs / 1000))));
+  res.status(429).json({ error: throttle.message, code: "login_throttled" });
+}
+
+// Audits a rejected sign-in. Only wrong passwords and codes count towards
+// the lockout; a disabled account is reported but not counted.
+async function recordFailedLogin(req, config, { username, userId = null, method, reason, counts = true }) {
+  await recordAuditEvent({
+    req,
+    action: "auth.login.failed",
+    targetType: "user",
+    targetId: userId,
+    details: { username, method, reason },
+  });
+  if (!counts) return;
+
+  const now = Date.now();
+  const windowMs = config.windowMinutes * 60 * 1000;
+  const ip = extractClientIp(req);
+  if (ip && config.ipMaxAttempts > 0) {
+    const failures = recentLoginFailures(loginFailuresByIp.get(ip), windowMs, now);
+    rememberLoginFailures(loginFailuresByIp, ip, {
+      failures: [...failures, now].slice(-config.ipMaxAttempts),
+    });
+  }
+
+  const key = loginTrackingKey(username);
+  const failures = [...recentLoginFailures(loginFailuresByUsername.get(key), windowMs, now), now];
+  if (config.maxAttempts <= 0 || failures.length < config.maxAttempts) {
+    rememberLoginFailures(loginFailuresByUsername, key, {
+      failures: failures.slice(-LOGIN_LOCKOUT_FIELDS.maxAttempts.max),
+      lockedUntil: null,
+    });
+    return;
+  }
+
+  const lockedUntil = now + config.lockoutMinutes * 60 * 1000;
+  rememberLoginFailures(loginFailuresByUsername, key, { failures: [], lockedUntil });
+  await recordAuditEvent({
+    req,
+    action: "auth.login.locked",
+    targetType: "user",
+    targetId: userId,
+    details: { username, lockedUntil: new Date(lockedUntil).toISOString() },
+  });
+}
+
+async function recordSuccessfulLogin(req, user, details) {
+  loginFailuresByUsername.delete(loginTrackingKey(user.username));
+  await recordAuditEvent({
+    req,
+    actor: { id: user.id, username: user.username },
+    action: "auth.login.succeeded",
+    targetType: "user",
+    targetId: user.id,
+    details,
+  });
+}
+
+async function loadTwoFactorEnforcement() {
+  const stored = await readSystemSetting(TWO_FACTOR_SETTING_KEY, "off");
+  return TWO_FACTOR_ENFORCEMENT_MODES.includes(stored) ? stored : "off";
+}
+
+function isTwoFactorRequired(enforcement, isAdmin) {
+  if (enforcement === "all") return true;
+  return enforcement === "admins" && normalizeDbBoolean(isAdmin);
+}
+
+async function loadTwoFactorRow(userId) {
+  return dbGet(
+    `SELECT id, username, is_admin, is_active, auth_provider, totp_secret, totp_pending_secret,
+            totp_enabled, totp_last_counter, totp_enrolled_at
+       FROM users
+      WHERE id=? AND deleted_at IS NULL`,
+    [userId],
+  );
+}
+
+function readTotpSecret(payload) {
+  if (!payload) return null;
+  try {
+    return decryptVariableValue(payload);
+  } catch (err) {
+    console.error("Failed to decrypt two-factor secret", err);
+    return null;
+  }
+}
+
+function buildTotpUri(username, secret) {
+  return totp.buildOtpauthUri({ issuer: TWO_FACTOR_ISSUER, accountName: username, secret });
+}
+
+// Accepts a current authenticator code or an unused recovery code and
+// returns which one matched. Both are single use: the matched time step is
+// stored so a code cannot be replayed while it is still valid.
+async function verifySecondFactor(row, { code, recoveryCode } = {}) {
+  if (typeof code === "string" && code.trim()) {
+    const secret = readTotpSecret(row.totp_secret);
+    if (!secret) return null;
+    const lastCounter = Number.isInteger(row.totp_last_counter) ? row.totp_last_counter : null;
+    const counter = totp.verifyTotpCode(secret, code, { lastCounter });
+    if (counter === null) return null;
+    const result = await dbRun(
+      `UPDATE users SET totp_last_counter=?
+        WHERE id=? AND (totp_last_counter IS NULL OR totp_last_counter<?)`,
+      [counter, row.id, counter],
+    );
+    return result.changes ? "totp" : null;
+  }
+
+  if (typeof recoveryCode === "string" && recoveryCode.trim()) {
+    const result = await dbRun(
+      `UPDATE user_recovery_codes SET used_at=?
+        WHERE user_id=? AND code_hash=? AND used_at IS NULL`,
+      [new Date().toISOString(), row.id, totp.hashRecoveryCode(recoveryCode)],
+    );
+    return result.changes ? "recovery" : null;
+  }
+
+  return null;
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+  const createdAt = new Date().toISOString();
+  await dbRun("DELETE FROM user_recovery_codes WHERE user_id=?", [userId]);
+  for (const code of codes) {
+    await dbRun(
+      `INSERT INTO user_recovery_codes (id, user_id, code_hash, created_at)
+       VALUES (?, ?, ?, ?)`,
+      [uuidv4(), userId, totp.hashRecoveryCode(code), createdAt],
+    );
+  }
+  return codes;
+}
+
+async function enableTwoFactor(userId, secret, counter) {
+  await dbRun(
+    `UPDATE users
+        SET totp_secret=?,
+            totp_pending_secret=NULL,
+            totp_enabled=1,
+            totp_last_counter=?,
+            totp_enrolled_at=?
+      WHERE id=?`,
+    [encryptVariableValue(secret), counter, new Date().toISOString(), userId],
+  );
+  return replaceRecoveryCodes(userId);
+}
+
+async function clearTwoFactor(userId) {
+  await dbRun(
+    `UPDATE users
+        SET totp_secret=NULL,
+            totp_pending_secret=NULL,
+            totp_enabled=0,
+            totp_last_counter=NULL,
+            totp_enrolled_at=NULL
+      WHERE id=?`,
+    [userId],
+  );
+  await dbRun("DELETE FROM user_recovery_codes WHERE user_id=?", [userId]);
+}
+
+// Password checks that pass but still need a second factor park here until
+// the code arrives. No session exists until then.
+const pendingTwoFactorLogins = new Map();
+
+function prunePendingTwoFactorLogins() {
+  const now = Date.now();
+  for (const [challenge, entry] of pendingTwoFactorLogins) {
+    if (entry.expiresAt <= now) {
+      pendingTwoFactorLogins.delete(challenge);
+    }
+  }
+}
+
+function createTwoFactorChallenge(entry) {
+  prunePendingTwoFactorLogins();
+  const challenge = oidc.createRandomToken();
+  pendingTwoFactorLogins.set(challenge, {
+    ...entry,
+    attempts: 0,
+    expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+  });
+  return challenge;
+}
+
+// Runs once the first factor (password, directory bind or single sign-on) has
+// been accepted. Starts the session when no second factor is needed,
+// otherwise hands back a challenge for /api/auth/login/2fa: "verify" for
+// enrolled users and "enroll" when the enforcement policy requires 2FA but
+// the user has not set it up yet. API clients can skip the round trip by
+// sending the code with the password.
+async function completeLogin(req, res, userId, method) {
+  const row = await loadTwoFactorRow(userId);
+  const { code, recoveryCode } = req.body || {};
+  let secondFactor = null;
+
+  if (normalizeDbBoolean(row.totp_enabled)) {
+    if (code || recoveryCode) {
+      secondFactor = await verifySecondFactor(row, { code, recoveryCode });
+      if (!secondFactor) {
+        const err = new Error("Invalid two-factor code");
+        err.status = 401;
+        throw err;
+      }
+      if (secondFactor === "recovery") {
+        await recordAuditEvent({
+          req,
+          actor: { id: row.id, username: row.username },
+          action: "user.2fa.recovery_code_used",
+          targetType: "user",
+          targetId: row.id,
+        });
+      }
+    } else {
+      const challenge = createTwoFactorChallenge({
+        userId: row.id,
+        username: row.username,
+        method,
+        mode: "verify",
+      });
+      return { twoFactor: { challenge, mode: "verify" } };
+    }
+  } else if (isTwoFactorRequired(await loadTwoFactorEnforcement(), row.is_admin)) {
+    const secret = totp.generateTotpSecret();
+    const challenge = createTwoFactorChallenge({
+      userId: row.id,
+      username: row.username,
+      method,
+      mode: "enroll",
+      secret,
+    });
+    return {
+      twoFactor: {
+        challenge,
+        mode: "enroll",
+        secret,
+        otpauthUri: buildTotpUri(row.username, secret),
+      },
+    };
+  }
+
+  await startUserSession(req, res, row.id);
+  await recordSuccessfulLogin(req, row, { method, secondFactor });
+  return { user: await loadUserById(row.id) };
+}
+
+const requireAuthenticated = ensureAuth();
+const requireAdmin = ensureAuth({ requireAdmin: true });
+
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const normalizedUsername =
+    typeof username === "string" ? username.trim() : "";
+
+  if (!normalizedUsername || typeof password !== "string") {
+    res.status(400).json({ error: "Username and password are required" });
+    return;
+  }
+
+  const lockoutConfig = await loadLoginLockoutConfig();
+  const throttle = checkLoginThrottle(lockoutConfig, normalizedUsername, extractClientIp(req));
+  if (throttle) {
+    await recordAuditEvent({
+      req,
+      action: "auth.login.failed",
+      targetType: "user",
+      details: { username: normalizedUsername, reason: "Too many failed attempts" },
+    });
+    sendLoginThrottled(res, throttle);
+    return;
+  }
+
+  const fail = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+
+  let userRow = null;
+  let method = "password";
+  try {
+    userRow = await dbGet(
+      `SELECT id, username, password_hash, must_change_password, is_active, is_admin, created_at, last_login, auth_provider
+         FROM users WHERE username=? AND deleted_at IS NULL`,
+      [normalizedUsername],
+    );
+
+    // Local accounts with a password always sign in locally, so they keep
+    // working as a break-glass path when the directory is unreachable.
+    const ldapConfig = await loadLdapConfig();
+    if (ldapConfig.enabled && (!userRow || userRow.auth_provider === LDAP_AUTH_PROVIDER)) {
+      method = LDAP_AUTH_PROVIDER;
+      const user = await authenticateLdapUser(ldapConfig, normalizedUsername, password, req);
+      res.json(await completeLogin(req, res, user.id, method));
+      return;
+    }
+
+    if (!userRow || !userRow.password_hash) {
+      fail(401, "Invalid credentials");
+    }
+
+    if (!userRow.is_active) {
+      fail(403, "Account is disabled");
+    }
+
+    const passwordValid = verifyPassword(password, userRow.password_hash);
+    if (!passwordValid) {
+      fail(401, "Invalid credentials");
+    }
+
+    res.json(await completeLogin(req, res, userRow.id, method));
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      await recordFailedLogin(req, lockoutConfig, {
+        username: normalizedUsername,
+        userId: userRow?.id || null,
+        method,
+        reason: err.message,
+        counts: err.status === 401,
+      });
+    }
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Login failed", err);
+    res.status(500).json({ error: "Failed to login" });
+  }
+});
+
+app.post("/api/auth/login/2fa", async (req, res) => {
+  const { challenge, code, recoveryCode } = req.body || {};
+  prunePendingTwoFactorLogins();
+  const pending =
+    typeof challenge === "string" ? pendingTwoFactorLogins.get(challenge) : null;
+  if (!pending) {
+    res.status(401).json({
+      error: "Sign-in attempt expired. Sign in again.",
+      code: "two_factor_challenge_expired",
+    });
+    return;
+  }
+
+  const lockoutConfig = await loadLoginLockoutConfig();
+  const throttle = checkLoginThrottle(lockoutConfig, pending.username, extractClientIp(req));
+  if (throttle) {
+    pendingTwoFactorLogins.delete(challenge);
+    sendLoginThrottled(res, throttle);
+    return;
+  }
+
+  const rejectAttempt = async () => {
+    await recordFailedLogin(req, lockoutConfig, {
+      username: pending.username,
+      userId: pending.userId,
+      method: pending.method,
+      reason: "Invalid two-factor code",
+    });
+    pending.attempts += 1;
+    if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      pendingTwoFactorLogins.delete(challenge);
+      res.status(401).json({
+        error: "Too many invalid codes. Sign in again.",
+        code: "two_factor_challenge_expired",
+      });
+      return;
+    }
+    res.status(401).json({ error: "Invalid two-factor code" });
+  };
+
+  try {
+    const row = await loadTwoFactorRow(pending.userId);
+    if (!row || !normalizeDbBoolean(row.is_active)) {
+      pendingTwoFactorLogins.delete(challenge);
+      res.status(403).json({ error: "Account is disabled" });
+      return;
+    }
+
+    let recoveryCodes = null;
+    let secondFactor = "totp";
+    if (pending.mode === "enroll") {
+      const counter = totp.verifyTotpCode(pending.secret, code);
+      if (counter === null) {
+        await rejectAttempt();
+        return;
+      }
+      recoveryCodes = await enableTwoFactor(row.id, pending.secret, counter);
+      await recordAuditEvent({
+        req,
+        actor: { id: row.id, username: row.username },
+        action: "user.2fa.enabled",
+        targetType: "user",
+        targetId: row.id,
+      });
+    } else {
+      secondFactor = await verifySecondFactor(row, { code, recoveryCode });
+      if (!secondFactor) {
+        await rejectAttempt();
+        return;
+      }
+      if (secondFactor === "recovery") {
+        await recordAuditEvent({
+          req,
+          actor: { id: row.id, username: row.username },
+          action: "user.2fa.recovery_code_used",
+          targetType: "user",
+          targetId: row.id,
+        });
+      }
+    }
+
+    pendingTwoFactorLogins.delete(challenge);
+    await startUserSession(req, res, row.id);
+    await recordSuccessfulLogin(req, row, { method: pending.method, secondFactor });
+    const user = await loadUserById(row.id);
+    res.json(recoveryCodes ? { user, recoveryCodes } : { user });
+  } catch (err) {
+    console.error("Two-factor login failed", err);
+    res.status(500).json({ error: "Failed to login" });
+  }
+});
+
+app.post(
+  "/api/auth/logout",
+  ensureAuth({ allowPendingPasswordChange: true }),
+  async (req, res) => {
+    try {
+      if (req.sessionId) {
+        await dbRun("DELETE FROM sessions WHERE id=?", [req.sessionId]);
+      }
+      res.clearCookie(COOKIE_NAME, cookieOptions);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Logout failed", err);
+      res.status(500).json({ error: "Failed to logout" });
+    }
+  },
+);
+
+app.get(
+  "/api/auth/me",
+  ensureAuth({ allowPendingPasswordChange: true }),
+  async (req, res) => {
+    const user = await loadUserById(req.user.id);
+    if (!user) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+    res.json({
+      user,
+      hostVersion: HOST_VERSION,
+    });
+  },
+);
+
+app.post(
+  "/api/auth/change-password",
+  ensureAuth({ allowPendingPasswordChange: true }),
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (typeof currentPassword !== "string" || currentPassword.length === 0) {
+      res.status(400).json({ error: "Current password is required" });
+      return;
+    }
+
+    if (!validatePassword(newPassword)) {
+      res.status(400).json({
+        error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
+      });
+      return;
+    }
+
+    try {
+      const row = await dbGet(
+        "SELECT password_hash FROM users WHERE id=? AND deleted_at IS NULL",
+        [req.user.id],
+      );
+
+      if (!row || !row.password_hash) {
+        res.status(400).json({ error: "Account password is not set" });
+        return;
+      }
+
+      if (!verifyPassword(currentPassword, row.password_hash)) {
+        res.status(400).json({ error: "Current password is incorrect" });
+        return;
+      }
+
+      if (newPassword === currentPassword) {
+        res.status(400).json({
+          error: "New password must be different from the current password",
+        });
+        return;
+      }
+
+      if (newPassword === DEFAULT_ADMIN_PASSWORD) {
+        res.status(400).json({
+          error: "New password cannot match the default administrator password",
+        });
+        return;
+      }
+
+      const hashed = hashPassword(newPassword);
+      await dbRun(
+        "UPDATE users SET password_hash=?, must_change_password=0 WHERE id=? AND deleted_at IS NULL",
+        [hashed, req.user.id],
+      );
+
+      if (req.sessionId) {
+        await dbRun("DELETE FROM sessions WHERE user_id=? AND id<>?", [
+          req.user.id,
+          req.sessionId,
+        ]).catch(() => { });
+      } else {
+        await dbRun("DELETE FROM sessions WHERE user_id=?", [req.user.id]).catch(
+          () => { },
+        );
+      }
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Password change failed", err);
+      res.status(500).json({ error: "Failed to change password" });
+    }
+  },
+);
+
+async function buildTwoFactorStatus(row) {
+  const countRow = await dbGet(
+    "SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id=? AND used_at IS NULL",
+    [row.id],
+  );
+  return {
+    enabled: normalizeDbBoolean(row.totp_enabled),
+    required: isTwoFactorRequired(await loadTwoFactorEnforcement(), row.is_admin),
+    enrolledAt: row.totp_enrolled_at || null,
+    recoveryCodesRemaining: Number(countRow?.count ?? 0),
+  };
+}
+
+app.get("/api/auth/2fa", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await loadTwoFactorRow(req.user.id);
+    if (!row) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+    res.json({ twoFactor: await buildTwoFactorStatus(row) });
+  } catch (err) {
+    console.error("Failed to load two-factor status", err);
+    res.status(500).json({ error: "Failed to load two-factor status" });
+  }
+});
+
+// Generates a fresh secret for the user to scan. It only takes effect once
+// /api/auth/2fa/enable confirms a code from it.
+app.post("/api/auth/2fa/setup", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await loadTwoFactorRow(req.user.id);
+    if (!row) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+    if (normalizeDbBoolean(row.totp_enabled)) {
+      res.status(409).json({ error: "Two-factor authentication is already enabled" });
+      return;
+    }
+
+    const secret = totp.generateTotpSecret();
+    await dbRun("UPDATE users SET totp_pending_secret=? WHERE id=?", [
+      encryptVariableValue(secret),
+      row.id,
+    ]);
+    res.json({ secret, otpauthUri: buildTotpUri(row.username, secret) });
+  } catch (err) {
+    console.error("Failed to start two-factor setup", err);
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+});
+
+app.post("/api/auth/2fa/enable", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await loadTwoFactorRow(req.user.id);
+    if (!row) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+    if (normalizeDbBoolean(row.totp_enabled)) {
+      res.status(409).json({ error: "Two-factor authentication is already enabled" });
+      return;
+    }
+    const secret = readTotpSecret(row.totp_pending_secret);
+    if (!secret) {
+      res.status(400).json({ error: "Start two-factor setup first" });
+      return;
+    }
+    const counter = totp.verifyTotpCode(secret, req.body?.code);
+    if (counter === null) {
+      res.status(400).json({ error: "Invalid two-factor code" });
+      return;
+    }
+
+    const recoveryCodes = await enableTwoFactor(row.id, secret, counter);
+    await recordAuditEvent({
+      req,
+      action: "user.2fa.enabled",
+      targetType: "user",
+      targetId: row.id,
+    });
+
+    const updated = await loadTwoFactorRow(row.id);
+    res.json({ twoFactor: await buildTwoFactorStatus(updated), recoveryCodes });
+  } catch (err) {
+    console.error("Failed to enable two-factor authentication", err);
+    res.status(500).json({ error: "Failed to enable two-factor authentication" });
+  }
+});
+
+app.post("/api/auth/2fa/recovery-codes", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await loadTwoFactorRow(req.user.id);
+    if (!row || !normalizeDbBoolean(row.totp_enabled)) {
+      res.status(400).json({ error: "Two-factor authentication is not enabled" });
+      return;
+    }
+    if (!(await verifySecondFactor(row, { code: req.body?.code }))) {
+      res.status(400).json({ error: "Invalid two-factor code" });
+      return;
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(row.id);
+    await recordAuditEvent({
+      req,
+      action: "user.2fa.recovery_codes_regenerated",
+      targetType: "user",
+      targetId: row.id,
+    });
+
+    const updated = await loadTwoFactorRow(row.id);
+    res.json({ twoFactor: await buildTwoFactorStatus(updated), recoveryCodes });
+  } catch (err) {
+    console.error("Failed to regenerate recovery codes", err);
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+});
+
+app.post("/api/auth/2fa/disable", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await loadTwoFactorRow(req.user.id);
+    if (!row || !normalizeDbBoolean(row.totp_enabled)) {
+      res.status(400).json({ error: "Two-factor authentication is not enabled" });
+      return;
+    }
+    if (isTwoFactorRequired(await loadTwoFactorEnforcement(), row.is_admin)) {
+      res.status(403).json({ error: "Two-factor authentication is required for your account" });
+      return;
+    }
+    const method = await verifySecondFactor(row, {
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
+    });
+    if (!method) {
+      res.status(400).json({ error: "Invalid two-factor code" });
+      return;
+    }
+
+    await clearTwoFactor(row.id);
+    await recordAuditEvent({
+      req,
+      action: "user.2fa.disabled",
+      targetType: "user",
+      targetId: row.id,
+    });
+
+    const updated = await loadTwoFactorRow(row.id);
+    res.json({ twoFactor: await buildTwoFactorStatus(updated) });
+  } catch (err) {
+    console.error("Failed to disable two-factor authentication", err);
+    res.status(500).json({ error: "Failed to disable two-factor authentication" });
+  }
+});
+
+function sanitizeSessionRow(row, settings, currentSessionId) {
+  return {
+    id: row.id,
+    createdAt: row.created_at || null,
+    lastSeen: row.last_seen || null,
+    expiresAt: new Date(computeSessionExpiry(settings, row.created_at, row.last_seen)).toISOString(),
+    ipAddress: row.ip_address || null,
+    userAgent: row.user_agent || null,
+    current: row.id === currentSessionId,
+  };
+}
+
+async function listActiveSessions(userId, currentSessionId = null) {
+  const settings = await loadSessionSettings();
+  const now = Date.now();
+  const rows = await dbAll(
+    `SELECT id, created_at, last_seen, ip_address, user_agent
+       FROM sessions
+      WHERE user_id=?
+      ORDER BY last_seen DESC`,
+    [userId],
+  );
+  return rows
+    .filter((row) => computeSessionExpiry(settings, row.created_at, row.last_seen) > now)
+    .map((row) => sanitizeSessionRow(row, settings, currentSessionId));
+}
+
+async function revokeSessions(req, userId, { sessionId = null, exceptSessionId = null } = {}) {
+  let result;
+  if (sessionId) {
+    result = await dbRun("DELETE FROM sessions WHERE id=? AND user_id=?", [sessionId, userId]);
+  } else if (exceptSessionId) {
+    result = await dbRun("DELETE FROM sessions WHERE user_id=? AND id<>?", [
+      userId,
+      exceptSessionId,
+    ]);
+  } else {
+    result = await dbRun("DELETE FROM sessions WHERE user_id=?", [userId]);
+  }
+
+  if (result.changes) {
+    await recordAuditEvent({
+      req,
+      action: "session.revoked",
+      targetType: "user",
+      targetId: userId,
+      details: sessionId ? { sessionId } : { count: result.changes },
+    });
+  }
+  return result.changes;
+}
+
+app.get("/api/sessions", requireAuthenticated, async (req, res) => {
+  try {
+    res.json({ sessions: await listActiveSessions(req.user.id, req.sessionId) });
+  } catch (err) {
+    console.error("Failed to load sessions", err);
+    res.status(500).json({ error: "Failed to load sessions" });
+  }
+});
+
+// Signs out every other browser, keeping the one making the request.
+app.delete("/api/sessions", requireAuthenticated, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req, req.user.id, { exceptSessionId: req.sessionId });
+    res.json({ revoked });
+  } catch (err) {
+    console.error("Failed to revoke sessions", err);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+});
+
+app.delete("/api/sessions/:id", requireAuthenticated, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req, req.user.id, { sessionId: req.params.id });
+    if (!revoked) {
+      res.status(404).json({ error: "Session not found" });
+      return;
+    }
+    if (req.params.id === req.sessionId) {
+      res.clearCookie(COOKIE_NAME, cookieOptions);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to revoke session", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+const DEFAULT_OIDC_CONFIG = Object.freeze({
+  enabled: false,
+  issuer: "",
+  clientId: "",
+  clientSecret: "",
+  redirectUri: "",
+  scopes: "openid profile email",
+  usernameClaim: "preferred_username",
+  groupsClaim: "groups",
+  adminGroups: [],
+  autoProvision: true,
+  buttonLabel: "Sign in with SSO",
+});
+
+// The state cookie has to survive the cross-site redirect back from the
+// identity provider, so it cannot use the strict session cookie options.
+const oidcStateCookieOptions = {
+  ...cookieOptions,
+  sameSite: "lax",
+  path: "/api/auth/oidc",
+};
+
+const pendingOidcLogins = new Map();
+
+function prunePendingOidcLogins() {
+  const now = Date.now();
+  for (const [state, entry] of pendingOidcLogins) {
+    if (entry.expiresAt <= now) {
+      pendingOidcLogins.delete(state);
+    }
+  }
+}
+
+// Sign-in provider settings live in system_settings as JSON, with the
+// provider secret encrypted the same way as variable values.
+async function loadAuthProviderConfig(key, defaults, secretField) {
+  const stored = await readSystemSetting(key, null);
+  if (!stored) {
+    return { ...defaults };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (err) {
+    console.error(`Failed to parse ${key} setting`, err);
+    return { ...defaults };
+  }
+
+  let secret = "";
+  if (parsed[secretField]) {
+    try {
+      secret = decryptVariableValue(parsed[secretField]);
+    } catch (err) {
+      console.error(`Failed to decrypt ${key} secret`, err);
+    }
+  }
+
+  return {
+    ...defaults,
+    ...parsed,
+    adminGroups: Array.isArray(parsed.adminGroups) ? parsed.adminGroups : [],
+    [secretField]: secret,
+  };
+}
+
+async function saveAuthProviderConfig(key, config, secretField) {
+  const stored = {
+    ...config,
+    [secretField]: config[secretField] ? encryptVariableValue(config[secretField]) : "",
+  };
+  const saved = await writeSystemSetting(key, JSON.stringify(stored));
+  if (!saved) {
+    throw new Error(`Failed to save ${key} setting`);
+  }
+}
+
+function sanitizeAuthProviderConfig(config, secretField) {
+  const { [secretField]: secret, ...rest } = config;
+  const flag = `has${secretField.charAt(0).toUpperCase()}${secretField.slice(1)}`;
+  return { ...rest, [flag]: Boolean(secret) };
+}
+
+function normalizeGroupListInput(value) {
+  const groups = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(/[\n,]+/)
+      : [];
+  return Array.from(new Set(groups.map((group) => String(group).trim()).filter(Boolean)));
+}
+
+// Creates the local account for a user signing in through an external
+// provider. Existing accounts are never linked by username, so a provider
+// cannot take over a password account.
+async function provisionExternalUser({ req, provider, username, externalId, isAdmin, details }) {
+  const fail = (message, status = 403) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+
+  if (isBannedUsername(username)) {
+    fail("This username is reserved");
+  }
+
+  const existing = await dbGet("SELECT id FROM users WHERE username=?", [username]);
+  if (existing) {
+    fail(`The username ${username} is already used by another account`, 409);
+  }
+
+  const userId = uuidv4();
+  await dbRun(
+    `INSERT INTO users (id, username, password_hash, must_change_password, is_active, is_admin, created_at, auth_provider, external_id)
+     VALUES (?, ?, NULL, 0, 1, ?, ?, ?, ?)`,
+    [userId, username, isAdmin ? 1 : 0, new Date().toISOString(), provider, externalId],
+  );
+
+  await recordAuditEvent({
+    req,
+    actor: { id: userId, username },
+    action: "user.provisioned",
+    targetType: "user",
+    targetId: userId,
+    details: { provider, isAdmin: Boolean(isAdmin), ...details },
+  });
+
+  return loadUserById(userId);
+}
+
+async function loadOidcConfig() {
+  return loadAuthProviderConfig(OIDC_SETTING_KEY, DEFAULT_OIDC_CONFIG, "clientSecret");
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+function resolveOidcConfigPayload(body, existing) {
+  const input = body && typeof body === "object" ? body : {};
+  const next = { ...existing };
+
+  const textFields = [
+    "clientId",
+    "redirectUri",
+    "scopes",
+    "usernameClaim",
+    "groupsClaim",
+    "buttonLabel",
+  ];
+  for (const field of textFields) {
+    if (input[field] !== undefined) {
+      next[field] = typeof input[field] === "string" ? input[field].trim() : "";
+    }
+  }
+  if (input.issuer !== undefined) {
+    next.issuer = oidc.normalizeIssuer(input.issuer);
+  }
+  if (input.enabled !== undefined) {
+    next.enabled = normalizeDbBoolean(input.enabled);
+  }
+  if (input.autoProvision !== undefined) {
+    next.autoProvision = normalizeDbBoolean(input.autoProvision);
+  }
+  if (input.adminGroups !== undefined) {
+    next.adminGroups = normalizeGroupListInput(input.adminGroups);
+  }
+  if (input.clearClientSecret === true) {
+    next.clientSecret = "";
+  } else if (typeof input.clientSecret === "string" && input.clientSecret.trim()) {
+    next.clientSecret = input.clientSecret.trim();
+  }
+
+  next.scopes = next.scopes || DEFAULT_OIDC_CONFIG.scopes;
+  next.usernameClaim = next.usernameClaim || DEFAULT_OIDC_CONFIG.usernameClaim;
+  next.buttonLabel = next.buttonLabel || DEFAULT_OIDC_CONFIG.buttonLabel;
+
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+
+  if (next.issuer && !isHttpUrl(next.issuer)) {
+    fail("Issuer must be an http(s) URL");
+  }
+  if (next.redirectUri && !isHttpUrl(next.redirectUri)) {
+    fail("Redirect URI must be an http(s) URL");
+  }
+  if (!next.scopes.split(/\s+/).includes("openid")) {
+    fail("Scopes must include openid");
+  }
+  if (next.enabled && (!next.issuer || !next.clientId)) {
+    fail("Issuer and client ID are required to enable single sign-on");
+  }
+
+  return next;
+}
+
+function resolveOidcRedirectUri(config, req) {
+  if (config.redirectUri) {
+    return config.redirectUri;
+  }
+  return `${req.protocol}://${req.get("host")}/api/auth/oidc/callback`;
+}
+
+function redirectWithOidcError(res, message) {
+  res.redirect(`/?ssoError=${encodeURIComponent(message)}`);
+}
+
+// Finds the account linked to the identity provider subject, creating it on
+// first login when auto-provisioning is on.
+async function resolveOidcUser(config, claims, req) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 403;
+    throw err;
+  };
+
+  const groups = oidc.readClaimList(claims, config.groupsClaim);
+  const isAdmin = config.adminGroups.length
+    ? groups.some((group) => config.adminGroups.includes(group))
+    : null;
+
+  const userRow = await dbGet(
+    `SELECT id, username, is_active, is_admin, deleted_at
+       FROM users WHERE auth_provider=? AND external_id=?`,
+    [OIDC_AUTH_PROVIDER, claims.sub],
+  );
+
+  if (userRow?.deleted_at) {
+    fail("This account has been deleted. Ask an administrator to restore it.");
+  }
+
+  if (!userRow) {
+    if (!config.autoProvision) {
+      fail("No Automn account is linked to this identity");
+    }
+
+    const claimValue = oidc.readClaim(claims, config.usernameClaim);
+    const username = normalizeUsername(typeof claimValue === "string" ? claimValue : "");
+    if (!username) {
+      fail(`The identity provider did not supply the ${config.usernameClaim} claim`);
+    }
+
+    return provisionExternalUser({
+      req,
+      provider: OIDC_AUTH_PROVIDER,
+      username,
+      externalId: claims.sub,
+      isAdmin,
+      details: { issuer: config.issuer },
+    });
+  }
+
+  if (!userRow.is_active) {
+    fail("Account is disabled");
+  }
+
+  if (isAdmin !== null && isAdmin !== normalizeDbBoolean(userRow.is_admin)) {
+    await dbRun("UPDATE users SET is_admin=? WHERE id=?", [isAdmin ? 1 : 0, userRow.id]);
+  }
+
+  return loadUserById(userRow.id);
+}
+
+app.get("/api/auth/providers", async (req, res) => {
+  const config = await loadOidcConfig();
+  const ldapConfig = await loadLdapConfig();
+  res.json({
+    oidc: {
+      enabled: Boolean(config.enabled),
+      buttonLabel: config.buttonLabel || DEFAULT_OIDC_CONFIG.buttonLabel,
+    },
+    ldap: { enabled: Boolean(ldapConfig.enabled) },
+  });
+});
+
+app.get("/api/auth/oidc/login", async (req, res) => {
+  try {
+    const config = await loadOidcConfig();
+    if (!config.enabled) {
+      redirectWithOidcError(res, "Single sign-on is not enabled");
+      return;
+    }
+
+    const metadata = await oidc.discoverProvider(config.issuer);
+    const state = oidc.createRandomToken();
+    const nonce = oidc.createRandomToken();
+    const pkce = oidc.createPkcePair();
+    const redirectUri = resolveOidcRedirectUri(config, req);
+
+    prunePendingOidcLogins();
+    pendingOidcLogins.set(state, {
+      nonce,
+      codeVerifier: pkce.verifier,
+      redirectUri,
+      expiresAt: Date.now() + OIDC_LOGIN_TTL_MS,
+    });
+
+    res.cookie(OIDC_STATE_COOKIE_NAME, state, {
+      ...oidcStateCookieOptions,
+      maxAge: OIDC_LOGIN_TTL_MS,
+    });
+    res.redirect(
+      oidc.buildAuthorizationUrl(metadata, {
+        clientId: config.clientId,
+        redirectUri,
+        scopes: config.scopes,
+        state,
+        nonce,
+        codeChallenge: pkce.challenge,
+      }),
+    );
+  } catch (err) {
+    console.error("Failed to start OIDC login", err);
+    redirectWithOidcError(res, "Single sign-on is unavailable");
+  }
+});
+
+app.get("/api/auth/oidc/callback", async (req, res) => {
+  const state = typeof req.query.state === "string" ? req.query.state : "";
+  const cookieState = parseCookies(req.headers?.cookie || "")[OIDC_STATE_COOKIE_NAME];
+  const pending = state ? pendingOidcLogins.get(state) : null;
+  if (state) {
+    pendingOidcLogins.delete(state);
+  }
+  res.clearCookie(OIDC_STATE_COOKIE_NAME, oidcStateCookieOptions);
+
+  if (!pending || pending.expiresAt <= Date.now() || cookieState !== state) {
+    redirectWithOidcError(res, "The sign-in request expired. Please try again.");
+    return;
+  }
+
+  if (typeof req.query.error === "string") {
+    const detail = req.query.error_description || req.query.error;
+    redirectWithOidcError(res, `The identity provider rejected the sign-in: ${detail}`);
+    return;
+  }
+
+  const code = typeof req.query.code === "string" ? req.query.code : "";
+  if (!code) {
+    redirectWithOidcError(res, "The identity provider did not return an authorization code");
+    return;
+  }
+
+  try {
+    const config = await loadOidcConfig();
+    if (!config.enabled) {
+      redirectWithOidcError(res, "Single sign-on is not enabled");
+      return;
+    }
+
+    const metadata = await oidc.discoverProvider(config.issuer);
+    const tokens = await oidc.exchangeAuthorizationCode(metadata, {
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      code,
+      redirectUri: pending.redirectUri,
+      codeVerifier: pending.codeVerifier,
+    });
+    let claims = await oidc.verifyIdToken(tokens.id_token, {
+      metadata,
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      nonce: pending.nonce,
+    });
+
+    // Some providers only release profile and group claims from userinfo.
+    const needsUserInfo = [config.usernameClaim, config.groupsClaim].some(
+      (claim) => claim && oidc.readClaim(claims, claim) === undefined,
+    );
+    if (needsUserInfo) {
+      const userInfo = await oidc.fetchUserInfo(metadata, tokens.access_token);
+      if (userInfo && userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    const user = await resolveOidcUser(config, claims, req);
+
+    // The provider vouches for the identity, but a local lockout and the 2FA
+    // policy still apply as they do to password sign-ins.
+    const lockoutConfig = await loadLoginLockoutConfig();
+    const throttle = checkLoginThrottle(lockoutConfig, user.username, extractClientIp(req));
+    if (throttle) {
+      await recordAuditEvent({
+        req,
+        action: "auth.login.failed",
+        targetType: "user",
+        targetId: user.id,
+        details: {
+          username: user.username,
+          method: OIDC_AUTH_PROVIDER,
+          reason: "Too many failed attempts",
+        },
+      });
+      redirectWithOidcError(res, throttle.message);
+      return;
+    }
+
+    const outcome = await completeLogin(req, res, user.id, OIDC_AUTH_PROVIDER);
+    if (outcome.twoFactor) {
+      // The challenge travels in a cookie rather than the URL so it does not
+      // end up in browser history; the sign-in page collects it from
+      // /api/auth/oidc/2fa.
+      res.cookie(OIDC_TWO_FACTOR_COOKIE_NAME, outcome.twoFactor.challenge, {
+        ...oidcStateCookieOptions,
+        maxAge: TWO_FACTOR_CHALLENGE_TTL_MS,
+      });
+      res.redirect("/?ssoTwoFactor=1");
+      return;
+    }
+    res.redirect("/");
+  } catch (err) {
+    if (err.status) {
+      await recordAuditEvent({
+        req,
+        action: "auth.login.failed",
+        targetType: "user",
+        details: { method: OIDC_AUTH_PROVIDER, reason: err.message },
+      });
+      redirectWithOidcError(res, err.message);
+    } else {
+      console.error("OIDC login failed", err);
+      redirectWithOidcError(res, "Single sign-on failed. Check the server logs for details.");
+    }
+  }
+});
+
+// Hands the second-factor challenge from a single sign-on callback to the
+// sign-in page, which then finishes through /api/auth/login/2fa.
+app.post("/api/auth/oidc/2fa", (req, res) => {
+  const challenge = parseCookies(req.headers?.cookie || "")[OIDC_TWO_FACTOR_COOKIE_NAME];
+  res.clearCookie(OIDC_TWO_FACTOR_COOKIE_NAME, oidcStateCookieOptions);
+  prunePendingTwoFactorLogins();
+  const pending = challenge ? pendingTwoFactorLogins.get(challenge) : null;
+  if (!pending || pending.method !== OIDC_AUTH_PROVIDER) {
+    res.status(401).json({
+      error: "Sign-in attempt expired. Sign in again.",
+      code: "two_factor_challenge_expired",
+    });
+    return;
+  }
+
+  const twoFactor = { challenge, mode: pending.mode };
+  if (pending.mode === "enroll") {
+    twoFactor.secret = pending.secret;
+    twoFactor.otpauthUri = buildTotpUri(pending.username, pending.secret);
+  }
+  res.json({ twoFactor });
+});
+
+app.get("/api/settings/auth/oidc", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadOidcConfig();
+    res.json({
+      config: sanitizeAuthProviderConfig(config, "clientSecret"),
+      defaultRedirectUri: resolveOidcRedirectUri({}, req),
+    });
+  } catch (err) {
+    console.error("Failed to load OIDC configuration", err);
+    res.status(500).json({ error: "Failed to load OIDC configuration" });
+  }
+});
+
+app.put("/api/settings/auth/oidc", requireAdmin, async (req, res) => {
+  try {
+    const existing = await loadOidcConfig();
+    const next = resolveOidcConfigPayload(req.body, existing);
+
+    if (next.enabled) {
+      try {
+        await oidc.discoverProvider(next.issuer, { force: true });
+      } catch (err) {
+        res.status(400).json({ error: `Failed to load provider metadata: ${err.message}` });
+        return;
+      }
+    }
+
+    await saveAuthProviderConfig(OIDC_SETTING_KEY, next, "clientSecret");
+    await recordAuditEvent({
+      req,
+      action: "settings.oidc.updated",
+      targetType: "settings",
+      targetId: OIDC_SETTING_KEY,
+      details: { enabled: next.enabled, issuer: next.issuer, clientId: next.clientId },
+    });
+
+    res.json({
+      config: sanitizeAuthProviderConfig(next, "clientSecret"),
+      defaultRedirectUri: resolveOidcRedirectUri({}, req),
+    });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update OIDC configuration", err);
+    res.status(500).json({ error: "Failed to update OIDC configuration" });
+  }
+});
+
+const DEFAULT_LDAP_CONFIG = Object.freeze({
+  enabled: false,
+  url: "",
+  startTls: false,
+  tlsVerify: true,
+  tlsCaCertificate: "",
+  bindDn: "",
+  bindPassword: "",
+  searchBase: "",
+  userFilter: "(uid={{username}})",
+  usernameAttribute: "uid",
+  groupSearchBase: "",
+  groupFilter: "",
+  adminGroups: [],
+  autoProvision: true,
+  timeoutSeconds: 10,
+});
+
+async function loadLdapConfig() {
+  return loadAuthProviderConfig(LDAP_SETTING_KEY, DEFAULT_LDAP_CONFIG, "bindPassword");
+}
+
+function resolveLdapConfigPayload(body, existing) {
+  const input = body && typeof body === "object" ? body : {};
+  const next = { ...existing };
+
+  const textFields = [
+    "url",
+    "bindDn",
+    "searchBase",
+    "userFilter",
+    "usernameAttribute",
+    "groupSearchBase",
+    "groupFilter",
+  ];
+  for (const field of textFields) {
+    if (input[field] !== undefined) {
+      next[field] = typeof input[field] === "string" ? input[field].trim() : "";
+    }
+  }
+  if (input.tlsCaCertificate !== undefined) {
+    next.tlsCaCertificate =
+      typeof input.tlsCaCertificate === "string" ? input.tlsCaCertificate.trim() : "";
+  }
+  for (const field of ["enabled", "startTls", "tlsVerify", "autoProvision"]) {
+    if (input[field] !== undefined) {
+      next[field] = normalizeDbBoolean(input[field]);
+    }
+  }
+  if (input.adminGroups !== undefined) {
+    next.adminGroups = normalizeGroupListInput(input.adminGroups);
+  }
+  if (input.timeoutSeconds !== undefined) {
+    const timeout = Number(input.timeoutSeconds);
+    next.timeoutSeconds = Number.isFinite(timeout)
+      ? Math.min(Math.max(Math.round(timeout), 1), 60)
+      : DEFAULT_LDAP_CONFIG.timeoutSeconds;
+  }
+  if (input.clearBindPassword === true) {
+    next.bindPassword = "";
+  } else if (typeof input.bindPassword === "string" && input.bindPassword) {
+    next.bindPassword = input.bindPassword;
+  }
+
+  next.userFilter = next.userFilter || DEFAULT_LDAP_CONFIG.userFilter;
+  next.usernameAttribute = next.usernameAttribute || DEFAULT_LDAP_CONFIG.usernameAttribute;
+
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+
+  if (next.url && !/^ldaps?:\/\/[^/]+/i.test(next.url)) {
+    fail("Server URL must start with ldap:// or ldaps://");
+  }
+  if (!next.userFilter.includes("{{username}}")) {
+    fail("User filter must contain {{username}}");
+  }
+  for (const field of ["userFilter", "groupFilter"]) {
+    if (!next[field]) continue;
+    try {
+      ldap.validateFilter(next[field].replace(/\{\{\w+\}\}/g, "x"));
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+  if (next.enabled && (!next.url || !next.searchBase)) {
+    fail("Server URL and search base are required to enable LDAP sign-in");
+  }
+
+  return next;
+}
+
+function buildLdapOptions(config) {
+  const tlsOptions = { rejectUnauthorized: config.tlsVerify !== false };
+  if (config.tlsCaCertificate) {
+    tlsOptions.ca = config.tlsCaCertificate;
+  }
+  return {
+    url: config.url,
+    startTls: config.startTls,
+    tlsOptions,
+    timeoutMs: config.timeoutSeconds * 1000,
+    bindDn: config.bindDn,
+    bindPassword: config.bindPassword,
+    searchBase: config.searchBase,
+    userFilter: config.userFilter,
+    usernameAttribute: config.usernameAttribute,
+    groupSearchBase: config.groupSearchBase,
+    groupFilter: config.groupFilter,
+  };
+}
+
+// Checks the password against the directory and brings the linked account
+// in line with it: directory users that are missing or disabled there are
+// disabled here, and admin status follows the configured groups.
+async function authenticateLdapUser(config, username, password, req) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+
+  let directoryUser;
+  try {
+    directoryUser = await ldap.authenticateDirectoryUser(
+      buildLdapOptions(config),
+      username,
+      password,
+    );
+  } catch (err) {
+    console.error("LDAP authentication failed", err);
+    fail("The directory server is unavailable", 503);
+  }
+
+  const linkedRow = await dbGet(
+    `SELECT id, username, is_active, is_admin, external_id, deleted_at
+       FROM users
+      WHERE auth_provider=? AND (external_id=? OR username=?)
+      ORDER BY CASE WHEN external_id=? THEN 0 ELSE 1 END
+      LIMIT 1`,
+    [
+      LDAP_AUTH_PROVIDER,
+      directoryUser?.id || null,
+      directoryUser?.username || username,
+      directoryUser?.id || null,
+    ],
+  );
+
+  if (!directoryUser || directoryUser.disabled) {
+    if (linkedRow && !linkedRow.deleted_at && linkedRow.is_active) {
+      await dbRun("UPDATE users SET is_active=0 WHERE id=?", [linkedRow.id]);
+      await dbRun("DELETE FROM sessions WHERE user_id=?", [linkedRow.id]);
+      await recordAuditEvent({
+        req,
+        actor: { id: linkedRow.id, username: linkedRow.username },
+        action: "user.deactivated",
+        targetType: "user",
+        targetId: linkedRow.id,
+        details: { provider: LDAP_AUTH_PROVIDER, reason: directoryUser ? "disabled" : "missing" },
+      });
+    }
+    if (directoryUser?.disabled) {
+      fail("Account is disabled", 403);
+    }
+    fail("Invalid credentials", 401);
+  }
+
+  if (!directoryUser.authenticated) {
+    fail("Invalid credentials", 401);
+  }
+
+  if (linkedRow?.deleted_at) {
+    fail("This account has been deleted. Ask an administrator to restore it.", 403);
+  }
+  if (linkedRow && linkedRow.external_id && linkedRow.external_id !== directoryUser.id) {
+    fail(`The username ${linkedRow.username} is linked to a different directory entry`, 409);
+  }
+
+  const isAdmin = config.adminGroups.length
+    ? ldap.isMemberOfAny(directoryUser.groups, config.adminGroups)
+    : null;
+
+  if (!linkedRow) {
+    if (!config.autoProvision) {
+      fail("No Automn account is linked to this directory user", 403);
+    }
+    return provisionExternalUser({
+      req,
+      provider: LDAP_AUTH_PROVIDER,
+      username: normalizeUsername(directoryUser.username),
+      externalId: directoryUser.id,
+      isAdmin,
+      details: { dn: directoryUser.dn },
+    });
+  }
+
+  const updates = ["is_active=1", "external_id=?"];
+  const params = [directoryUser.id];
+  if (isAdmin !== null) {
+    updates.push("is_admin=?");
+    params.push(isAdmin ? 1 : 0);
+  }
+  params.push(linkedRow.id);
+  await dbRun(`UPDATE users SET ${updates.join(", ")} WHERE id=?`, params);
+
+  return loadUserById(linkedRow.id);
+}
+
+app.get("/api/settings/auth/2fa", requireAdmin, async (req, res) => {
+  try {
+    res.json({ enforcement: await loadTwoFactorEnforcement() });
+  } catch (err) {
+    console.error("Failed to load two-factor settings", err);
+    res.status(500).json({ error: "Failed to load two-factor settings" });
+  }
+});
+
+app.put("/api/settings/auth/2fa", requireAdmin, async (req, res) => {
+  const enforcement = req.body?.enforcement;
+  if (!TWO_FACTOR_ENFORCEMENT_MODES.includes(enforcement)) {
+    res.status(400).json({
+      error: `Enforcement must be one of: ${TWO_FACTOR_ENFORCEMENT_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  try {
+    const saved = await writeSystemSetting(TWO_FACTOR_SETTING_KEY, enforcement);
+    if (!saved) {
+      res.status(500).json({ error: "Failed to update two-factor settings" });
+      return;
+    }
+    await recordAuditEvent({
+      req,
+      action: "settings.2fa.updated",
+      targetType: "settings",
+      targetId: TWO_FACTOR_SETTING_KEY,
+      details: { enforcement },
+    });
+    res.json({ enforcement });
+  } catch (err) {
+    console.error("Failed to update two-factor settings", err);
+    res.status(500).json({ error: "Failed to update two-factor settings" });
+  }
+});
+
+app.get("/api/settings/auth/sessions", requireAdmin, async (req, res) => {
+  try {
+    res.json({ config: await loadSessionSettings() });
+  } catch (err) {
+    console.error("Failed to load session settings", err);
+    res.status(500).json({ error: "Failed to load session settings" });
+  }
+});
+
+app.put("/api/settings/auth/sessions", requireAdmin, async (req, res) => {
+  try {
+    const config = resolveBoundedSettingsPayload(req.body, SESSION_SETTING_FIELDS);
+    const saved = await writeSystemSetting(SESSION_SETTINGS_KEY, JSON.stringify(config));
+    if (!saved) {
+      res.status(500).json({ error: "Failed to update session settings" });
+      return;
+    }
+    cachedSessionSettings = config;
+    await recordAuditEvent({
+      req,
+      action: "settings.sessions.updated",
+      targetType: "settings",
+      targetId: SESSION_SETTINGS_KEY,
+      details: config,
+    });
+    res.json({ config });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update session settings", err);
+    res.status(500).json({ error: "Failed to update session settings" });
+  }
+});
+
+app.get("/api/settings/auth/lockout", requireAdmin, async (req, res) => {
+  try {
+    res.json({ config: await loadLoginLockoutConfig() });
+  } catch (err) {
+    console.error("Failed to load sign-in protection settings", err);
+    res.status(500).json({ error: "Failed to load sign-in protection settings" });
+  }
+});
+
+app.put("/api/settings/auth/lockout", requireAdmin, async (req, res) => {
+  try {
+    const config = resolveBoundedSettingsPayload(req.body, LOGIN_LOCKOUT_FIELDS);
+    const saved = await writeSystemSetting(LOGIN_LOCKOUT_SETTING_KEY, JSON.stringify(config));
+    if (!saved) {
+      res.status(500).json({ error: "Failed to update sign-in protection settings" });
+      return;
+    }
+    await recordAuditEvent({
+      req,
+      action: "settings.lockout.updated",
+      targetType: "settings",
+      targetId: LOGIN_LOCKOUT_SETTING_KEY,
+      details: config,
+    });
+    res.json({ config });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update sign-in protection settings", err);
+    res.status(500).json({ error: "Failed to update sign-in protection settings" });
+  }
+});
+
+app.get("/api/settings/auth/ldap", requireAdmin, async (req, res) => {
+  try {
+    const config = await loadLdapConfig();
+    res.json({ config: sanitizeAuthProviderConfig(config, "bindPassword") });
+  } catch (err) {
+    console.error("Failed to load LDAP configuration", err);
+    res.status(500).json({ error: "Failed to load LDAP configuration" });
+  }
+});
+
+app.put("/api/settings/auth/ldap", requireAdmin, async (req, res) => {
+  try {
+    const existing = await loadLdapConfig();
+    const next = resolveLdapConfigPayload(req.body, existing);
+
+    await saveAuthProviderConfig(LDAP_SETTING_KEY, next, "bindPassword");
+    await recordAuditEvent({
+      req,
+      action: "settings.ldap.updated",
+      targetType: "settings",
+      targetId: LDAP_SETTING_KEY,
+      details: { enabled: next.enabled, url: next.url, searchBase: next.searchBase },
+    });
+
+    res.json({ config: sanitizeAuthProviderConfig(next, "bindPassword") });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update LDAP configuration", err);
+    res.status(500).json({ error: "Failed to update LDAP configuration" });
+  }
+});
+
+// Runs a directory lookup with the submitted (unsaved) settings so admins
+// can check them before turning LDAP sign-in on. Never creates a session.
+app.post("/api/settings/auth/ldap/test", requireAdmin, async (req, res) => {
+  const username = normalizeUsername(req.body?.username);
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  if (!username) {
+    res.status(400).json({ error: "Username is required" });
+    return;
+  }
+
+  try {
+    const existing = await loadLdapConfig();
+    const config = resolveLdapConfigPayload({ ...req.body?.config, enabled: false }, existing);
+    if (!config.url || !config.searchBase) {
+      res.status(400).json({ error: "Server URL and search base are required" });
+      return;
+    }
+
+    const directoryUser = await ldap.authenticateDirectoryUser(
+      buildLdapOptions(config),
+      username,
+      password,
+    );
+    if (!directoryUser) {
+      res.json({ found: false });
+      return;
+    }
+
+    res.json({
+      found: true,
+      dn: directoryUser.dn,
+      username: directoryUser.username,
+      groups: directoryUser.groups,
+      disabled: directoryUser.disabled,
+      passwordChecked: Boolean(password),
+      authenticated: directoryUser.authenticated,
+      isAdmin: config.adminGroups.length
+        ? ldap.isMemberOfAny(directoryUser.groups, config.adminGroups)
+        : null,
+    });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    res.status(400).json({ error: err.message || "LDAP test failed" });
+  }
+});
+
+function sanitizePersonalAccessTokenRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    preview: row.token_preview || null,
+    scopes: parsePersonalAccessTokenScopes(row.scopes_json),
+    userId: row.user_id,
+    username: row.username || null,
+    expiresAt: row.expires_at || null,
+    isExpired: Boolean(row.expires_at && Date.parse(row.expires_at) <= Date.now()),
+    revokedAt: row.revoked_at || null,
+    lastUsedAt: row.last_used_at || null,
+    lastUsedIp: row.last_used_ip || null,
+    createdAt: row.created_at,
+  };
+}
+
+app.get("/api/tokens", requireAuthenticated, async (req, res) => {
+  try {
+    const includeAll = req.user.isAdmin && req.query?.all === "true";
+    const rows = await dbAll(
+      `SELECT t.*, u.username
+         FROM personal_access_tokens t
+         LEFT JOIN users u ON u.id = t.user_id
+        ${includeAll ? "" : "WHERE t.user_id=?"}
+        ORDER BY t.created_at DESC`,
+      includeAll ? [] : [req.user.id],
+    );
+    res.json({
+      tokens: rows.map(sanitizePersonalAccessTokenRow),
+      scopes: PERSONAL_ACCESS_TOKEN_SCOPES,
+    });
+  } catch (err) {
+    console.error("Failed to load personal access tokens", err);
+    res.status(500).json({ error: "Failed to load access tokens" });
+  }
+});
+
+app.post("/api/tokens", requireAuthenticated, async (req, res) => {
+  const body = req.body || {};
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) {
+    res.status(400).json({ error: "Token name is required" });
+    return;
+  }
+  if (name.length > SCRIPT_TOKEN_NAME_MAX_LENGTH) {
+    res.status(400).json({
+      error: `Token names are limited to ${SCRIPT_TOKEN_NAME_MAX_LENGTH} characters`,
+    });
+    return;
+  }
+
+  const requestedScopes = Array.isArray(body.scopes) ? body.scopes : [];
+  const unknownScope = requestedScopes.find(
+    (scope) => !PERSONAL_ACCESS_TOKEN_SCOPES.includes(scope),
+  );
+  if (unknownScope !== undefined) {
+    res.status(400).json({ error: `Unknown scope "${unknownScope}"` });
+    return;
+  }
+  const scopes = PERSONAL_ACCESS_TOKEN_SCOPES.filter((scope) => requestedScopes.includes(scope));
+  if (!scopes.length) {
+    res.status(400).json({ error: "Select at least one scope" });
+    return;
+  }
+  if (scopes.includes("runners:admin") && !req.user.isAdmin) {
+    res.status(403).json({ error: "Only administrators can grant runners:admin" });
+    return;
+  }
+
+  let expiresAt = null;
+  if (body.expiresAt) {
+    const parsed = Date.parse(body.expiresAt);
+    if (!Number.isFinite(parsed) || parsed <= Date.now()) {
+      res.status(400).json({ error: "Token expiry must be a future date" });
+      return;
+    }
+    expiresAt = new Date(parsed).toISOString();
+  }
+
+  try {
+    const id = uuidv4();
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateScriptToken()}`;
+    await dbRun(
+      `INSERT INTO personal_access_tokens (id, user_id, name, token_hash, token_preview, scopes_json, expires_at, created_at)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [
+        id,
+        req.user.id,
+        name,
+        hashPersonalAccessToken(token),
+        `${PERSONAL_ACCESS_TOKEN_PREFIX}${sanitizeScriptToken(token.slice(PERSONAL_ACCESS_TOKEN_PREFIX.length))}`,
+        JSON.stringify(scopes),
+        expiresAt,
+        new Date().toISOString(),
+      ],
+    );
+    await recordAuditEvent({
+      req,
+      action: "personal_access_token.created",
+      targetType: "personal_access_token",
+      targetId: id,
+      details: { name, scopes, expiresAt },
+    });
+
+    const row = await dbGet(
+      `SELECT t.*, u.username FROM personal_access_tokens t LEFT JOIN users u ON u.id = t.user_id WHERE t.id=?`,
+      [id],
+    );
+    // The token value is only returned here; just its hash is stored.
+    res.status(201).json({ token: sanitizePersonalAccessTokenRow(row), value: token });
+  } catch (err) {
+    console.error("Failed to create personal access token", err);
+    res.status(500).json({ error: "Failed to create access token" });
+  }
+});
+
+app.delete("/api/tokens/:id", requireAuthenticated, async (req, res) => {
+  try {
+    const row = await dbGet("SELECT * FROM personal_access_tokens WHERE id=?", [req.params.id]);
+    if (!row || (row.user_id !== req.user.id && !req.user.isAdmin)) {
+      res.status(404).json({ error: "Token not found" });
+      return;
+    }
+
+    if (!row.revoked_at) {
+      await dbRun("UPDATE personal_access_tokens SET revoked_at=? WHERE id=?", [
+        new Date().toISOString(),
+        row.id,
+      ]);
+      await recordAuditEvent({
+        req,
+        action: "personal_access_token.revoked",
+        targetType: "personal_access_token",
+        targetId: row.id,
+        details: { name: row.name, ownerUserId: row.user_id },
+      });
+    }
+    res.json({ revoked: true });
+  } catch (err) {
+    console.error("Failed to revoke personal access token", err);
+    res.status(500).json({ error: "Failed to revoke access token" });
+  }
+});
+
+app.get("/api/preferences", requireAuthenticated, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT key, value FROM user_preferences WHERE user_id=?`,
+      [req.user.id],
+    );
+    const preferences = {};
+    for (const row of rows) {
+      preferences[row.key] = decodePreferenceValue(row.value);
+    }
+    res.json({ preferences });
+  } catch (err) {
+    console.error("Failed to load preferences", err);
+    res.status(500).json({ error: "Failed to load preferences" });
+  }
+});
+
+app.post("/api/preferences", requireAuthenticated, async (req, res) => {
+  const { key, value, preferences } = req.body || {};
+  const entries = [];
+
+  if (preferences && typeof preferences === "object" && !Array.isArray(preferences)) {
+    for (const [entryKey, entryValue] of Object.entries(preferences)) {
+      if (typeof entryKey === "string" && entryKey.trim()) {
+        entries.push([entryKey.trim(), entryValue]);
+      }
+    }
+  } else if (typeof key === "string" && key.trim()) {
+    entries.push([key.trim(), value]);
+  } else {
+    res.status(400).json({ error: "Preference key is required" });
+    return;
+  }
+
+  if (!entries.length) {
+    res.status(400).json({ error: "No preferences to update" });
+    return;
+  }
+
+  try {
+    const timestamp = new Date().toISOString();
+    for (const [entryKey, entryValue] of entries) {
+      const serialized = encodePreferenceValue(entryValue);
+      await dbRun(
+        `INSERT INTO user_preferences (user_id, key, value, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(user_id, key) DO UPDATE SET value=excluded.value, updated_at=excluded.updated_at`,
+        [req.user.id, entryKey, serialized, timestamp],
+      );
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to save preferences", err);
+    res.status(500).json({ error: "Failed to save preferences" });
+  }
+});
+
+const AUDIT_EXPORT_MAX_ROWS = 50000;
+const AUDIT_EXPORT_COLUMNS = [
+  "createdAt",
+  "action",
+  "actor",
+  "ipAddress",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "details",
+  "changes",
+];
+
+function parseAuditJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function sanitizeAuditEventRow(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actor: row.actor_user_id || row.actor_label
+      ? { id: row.actor_user_id || null, username: row.actor_label || null }
+      : null,
+    ipAddress: row.ip_address || null,
+    targetType: row.target_type || null,
+    targetId: row.target_id || null,
+    targetLabel: row.target_label || null,
+    details: parseAuditJson(row.details_json),
+    changes: parseAuditJson(row.changes_json),
+    createdAt: row.created_at || null,
+  };
+}
+
+function parseAuditDateFilter(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  const date = new Date(value.trim());
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`${field} must be a valid date`);
+    err.status = 400;
+    throw err;
+  }
+  return date.toISOString();
+}
+
+// Turns the search and filter query parameters shared by the audit log list
+// and export into a WHERE clause.
+function buildAuditEventFilter(query = {}) {
+  const clauses = [];
+  const params = [];
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+  const search = text(query.q);
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+    const columns = [
+      "action",
+      "actor_label",
+      "ip_address",
+      "target_id",
+      "target_label",
+      "details_json",
+      "changes_json",
+    ];
+    clauses.push(`(${columns.map((column) => `${column} LIKE ? ESCAPE '\\'`).join(" OR ")})`);
+    params.push(...columns.map(() => pattern));
+  }
+
+  const exactFilters = [
+    ["action", "action"],
+    ["actorId", "actor_user_id"],
+    ["targetType", "target_type"],
+    ["targetId", "target_id"],
+  ];
+  for (const [param, column] of exactFilters) {
+    const value = text(query[param]);
+    if (value) {
+      clauses.push(`${column}=?`);
+      params.push(value);
+    }
+  }
+
+  const from = parseAuditDateFilter(query.from, "from");
+  if (from) {
+    clauses.push("created_at>=?");
+    params.push(from);
+  }
+  const to = parseAuditDateFilter(query.to, "to");
+  if (to) {
+    clauses.push("created_at<=?");
+    params.push(to);
+  }
+
+  return {
+    where: clauses.length ? ` WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+}
+
+function formatAuditCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatAuditEventsCsv(events) {
+  const lines = [AUDIT_EXPORT_COLUMNS.join(",")];
+  for (const event of events) {
+    const record = {
+      ...event,
+      actor: event.actor?.username || event.actor?.id || "",
+    };
+    lines.push(AUDIT_EXPORT_COLUMNS.map((column) => formatAuditCsvValue(record[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+app.get("/api/audit-events", requireAdmin, async (req, res) => {
+  const limitRaw = Number.parseInt(req.query.limit ?? "", 10);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0
+    ? Math.min(limitRaw, 200)
+    : 50;
+  const offsetRaw = Number.parseInt(req.query.offset ?? "", 10);
+  const offset = Number.isFinite(offsetRaw) && offsetRaw > 0 ? offsetRaw : 0;
+
+  try {
+    const { where, params } = buildAuditEventFilter(req.query);
+    const [rows, countRow, actionRows, targetTypeRows] = await Promise.all([
+      dbAll(
+        `SELECT * FROM audit_events${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+      ),
+      dbGet(`SELECT COUNT(*) AS total FROM audit_events${where}`, params),
+      dbAll("SELECT DISTINCT action FROM audit_events ORDER BY action"),
+      dbAll(
+        "SELECT DISTINCT target_type FROM audit_events WHERE target_type IS NOT NULL ORDER BY target_type",
+      ),
+    ]);
+
+    res.json({
+      events: rows.map(sanitizeAuditEventRow),
+      total: Number(countRow?.total) || 0,
+      limit,
+      offset,
+      actions: actionRows.map((row) => row.action),
+      targetTypes: targetTypeRows.map((row) => row.target_type),
+    });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to load audit events", err);
+    res.status(500).json({ error: "Failed to load audit events" });
+  }
+});
+
+app.get("/api/audit-events/export", requireAdmin, async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "json") {
+    res.status(400).json({ error: "format must be csv or json" });
+    return;
+  }
+
+  try {
+    const { where, params } = buildAuditEventFilter(req.query);
+    const rows = await dbAll(
+      `SELECT * FROM audit_events${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, AUDIT_EXPORT_MAX_ROWS],
+    );
+    const events = rows.map(sanitizeAuditEventRow);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const filename = `automn-audit-${timestamp}.${format}`;
+
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(format === "csv" ? formatAuditEventsCsv(events) : JSON.stringify(events, null, 2));
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to export audit events", err);
+    res.status(500).json({ error: "Failed to export audit events" });
+  }
+});
+
+app.get("/api/users", requireAdmin, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT id, username, is_admin, is_active, must_change_password, created_at, last_login, is_system, role_id, auth_provider, totp_enabled
+         FROM users
+        WHERE deleted_at IS NULL AND is_system=0
+        ORDER BY username COLLATE NOCASE ASC`,
+    );
+    res.json({ users: rows.map(sanitizeUserRow).filter(Boolean) });
+  } catch (err) {
+    console.error("Failed to load users", err);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+app.post("/api/users", requireAdmin, async (req, res) => {
+  const {
+    username,
+    password,
+    isAdmin: isAdminInput = false,
+    requirePasswordChange = true,
+  } = req.body || {};
+
+  const normalizedUsername =
+    typeof username === "string" ? username.trim() : "";
+
+  if (!normalizedUsername) {
+    res.status(400).json({ error: "Username is required" });
+    return;
+  }
+
+  if (isBannedUsername(normalizedUsername)) {
+    res.status(400).json({ error: "This username is reserved" });
+    return;
+  }
+
+  if (!validatePassword(password)) {
+    res.status(400).json({
+      error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
+    });
+    return;
+  }
+
+  try {
+    const existing = await dbGet(
+      "SELECT id, deleted_at FROM users WHERE username=?",
+      [normalizedUsername],
+    );
+
+    const hashed = hashPassword(password);
+    const mustChange = requirePasswordChange === false ? 0 : 1;
+    const isAdminValue = isAdminInput ? 1 : 0;
+
+    if (existing) {
+      if (existing.deleted_at) {
+        await dbRun(
+          `UPDATE users
+              SET password_hash=?,
+                  must_change_password=?,
+                  is_active=1,
+                  is_admin=?,
+                  deleted_at=NULL,
+                  last_login=NULL,
+                  auth_provider=NULL,
+                  external_id=NULL,
+                  totp_secret=NULL,
+                  totp_pending_secret=NULL,
+                  totp_enabled=0,
+                  totp_last_counter=NULL,
+                  totp_enrolled_at=NULL
+            WHERE id=?`,
+          [hashed, mustChange, isAdminValue, existing.id],
+        );
+
+        await dbRun("DELETE FROM sessions WHERE user_id=?", [existing.id]);
+        await dbRun("DELETE FROM user_preferences WHERE user_id=?", [existing.id]);
+        await dbRun("DELETE FROM script_permissions WHERE user_id=?", [existing.id]);
+        await dbRun("DELETE FROM user_group_members WHERE user_id=?", [existing.id]);
+        await dbRun("DELETE FROM user_recovery_codes WHERE user_id=?", [existing.id]);
+
+        const user = await loadUserById(existing.id);
+        await recordAuditEvent({
+          req,
+          action: "user.restored",
+          targetType: "user",
+          targetId: existing.id,
+          targetLabel: normalizedUsername,
+          before: null,
+          after: auditUserSnapshot(user),
+        });
+        res.status(200).json({ user, restored: true });
+        return;
+      }
+
+      res.status(409).json({ error: "Username already exists" });
+      return;
+    }
+
+    const userId = uuidv4();
+
+    await dbRun(
+      `INSERT INTO users (id, username, password_hash, must_change_password, is_active, is_admin)
+       VALUES (?, ?, ?, ?, 1, ?)`,
+      [userId, normalizedUsername, hashed, mustChange, isAdminValue],
+    );
+
+    const user = await loadUserById(userId);
+    await recordAuditEvent({
+      req,
+      action: "user.created",
+      targetType: "user",
+      targetId: userId,
+      targetLabel: normalizedUsername,
+      before: null,
+      after: auditUserSnapshot(user),
+    });
+    res.status(201).json({ user });
+  } catch (err) {
+    console.error("Failed to create user", err);
+    res.status(500).json({ error: "Failed to create user" });
+  }
+});
+
+app.patch("/api/users/:id", requireAdmin, async (req, res) => {
+  const targetId = req.params.id;
+  const {
+    username,
+    isActive,
+    isAdmin: isAdminInput,
+    mustChangePassword,
+    newPassword,
+    requirePasswordChange,
+    roleId,
+  } = req.body || {};
+
+  try {
+    const existing = await dbGet(
+      `SELECT id, username, is_admin, is_active, must_change_password, is_system, role_id
+         FROM users
+        WHERE id=? AND deleted_at IS NULL`,
+      [targetId],
+    );
+
+    if (!existing) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+
+    if (normalizeDbBoolean(existing.is_system)) {
+      res.status(400).json({ error: "System accounts cannot be modified" });
+      return;
+    }
+
+    const updates = [];
+    const params = [];
+    let mustChangeValue = null;
+    let shouldClearSessions = false;
+
+    if (typeof username === "string") {
+      const normalizedUsername = normalizeUsername(username);
+      if (!normalizedUsername) {
+        res.status(400).json({ error: "Username is required" });
+        return;
+      }
+
+      if (isBannedUsername(normalizedUsername)) {
+        res.status(400).json({ error: "This username is reserved" });
+        return;
+      }
+
+      if (normalizedUsername !== existing.username) {
+        const conflict = await dbGet(
+          `SELECT id FROM users WHERE username=? AND id<>? AND deleted_at IS NULL`,
+          [normalizedUsername, targetId],
+        );
+        if (conflict) {
+          res.status(409).json({ error: "Username already exists" });
+          return;
+        }
+
+        updates.push("username=?");
+        params.push(normalizedUsername);
+      }
+    }
+
+    if (
+      typeof isActive === "boolean" &&
+      isActive !== normalizeDbBoolean(existing.is_active)
+    ) {
+      if (!isActive && existing.id === req.user.id) {
+        res.status(400).json({ error: "You cannot disable your own account" });
+        return;
+      }
+
+      if (!isActive) {
+        const countRow = await dbGet(
+          "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_active=1 AND deleted_at IS NULL",
+          [targetId],
+        );
+        const activeCount = Number(countRow?.count ?? 0);
+        if (!Number.isFinite(activeCount) || activeCount <= 0) {
+          res
+            .status(400)
+            .json({ error: "Cannot disable the only active account" });
+          return;
+        }
+        shouldClearSessions = true;
+      }
+
+      updates.push("is_active=?");
+      params.push(isActive ? 1 : 0);
+    }
+
+    if (
+      typeof isAdminInput === "boolean" &&
+      isAdminInput !== normalizeDbBoolean(existing.is_admin)
+    ) {
+      if (!isAdminInput) {
+        const countRow = await dbGet(
+          "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_admin=1 AND deleted_at IS NULL",
+          [targetId],
+        );
+        const adminCount = Number(countRow?.count ?? 0);
+        if (!Number.isFinite(adminCount) || adminCount <= 0) {
+          res.status(400).json({ error: "Cannot remove the only administrator" });
+          return;
+        }
+      }
+
+      updates.push("is_admin=?");
+      params.push(isAdminInput ? 1 : 0);
+    }
+
+    if (roleId !== undefined) {
+      const nextRoleId = typeof roleId === "string" && roleId.trim() ? roleId.trim() : null;
+      if (nextRoleId && !(await dbGet("SELECT id FROM roles WHERE id=?", [nextRoleId]))) {
+        res.status(400).json({ error: "Unknown role" });
+        return;
+      }
+      if (nextRoleId !== (existing.role_id || null)) {
+        updates.push("role_id=?");
+        params.push(nextRoleId);
+      }
+    }
+
+    if (
+      typeof mustChangePassword === "boolean" &&
+      mustChangePassword !== normalizeDbBoolean(existing.must_change_password)
+    ) {
+      mustChangeValue = mustChangePassword ? 1 : 0;
+    }
+
+    if (typeof newPassword === "string" && newPassword.length > 0) {
+      if (!validatePassword(newPassword)) {
+        res.status(400).json({
+          error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
+        });
+        return;
+      }
+
+      const hashed = hashPassword(newPassword);
+      updates.push("password_hash=?");
+      params.push(hashed);
+      mustChangeValue = requirePasswordChange === false ? 0 : 1;
+      shouldClearSessions = true;
+    }
+
+    if (mustChangeValue !== null) {
+      updates.push("must_change_password=?");
+      params.push(mustChangeValue);
+    }
+
+    if (!updates.length) {
+      const user = await loadUserById(targetId);
+      res.json({ user });
+      return;
+    }
+
+    const before = auditUserSnapshot(await loadUserById(targetId));
+    params.push(targetId);
+    await dbRun(`UPDATE users SET ${updates.join(", ")} WHERE id=?`, params);
+
+    if (shouldClearSessions) {
+      await dbRun("DELETE FROM sessions WHERE user_id=?", [targetId]).catch(
+        () => { },
+      );
+    }
+
+    const user = await loadUserById(targetId);
+    await recordAuditEvent({
+      req,
+      action: "user.updated",
+      targetType: "user",
+      targetId,
+      targetLabel: user?.username || existing.username,
+      details: typeof newPassword === "string" && newPassword.length > 0
+        ? { passwordReset: true }
+        : null,
+      before,
+      after: auditUserSnapshot(user),
+    });
+    res.json({ user });
+  } catch (err) {
+    console.error("Failed to update user", err);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+function sanitizeRoleRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || "",
+    isSystem: normalizeDbBoolean(row.is_system),
+    permissions: {
+      read: normalizeDbBoolean(row.can_read),
+      write: normalizeDbBoolean(row.can_write),
+      delete: normalizeDbBoolean(row.can_delete),
+      run: normalizeDbBoolean(row.can_run),
+      clearLogs: normalizeDbBoolean(row.can_clear_logs),
+    },
+    assignmentCount: Number(row.assignment_count || 0),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function auditRoleSnapshot(row) {
+  const role = sanitizeRoleRow(row);
+  if (!role) return null;
+  return { name: role.name, description: role.description, permissions: role.permissions };
+}
+
+async function loadRoleById(roleId) {
+  return dbGet(
+    `SELECT r.*,
+            (SELECT COUNT(*) FROM users u WHERE u.role_id = r.id AND u.deleted_at IS NULL)
+            + (SELECT COUNT(*) FROM script_permissions sp WHERE sp.role_id = r.id)
+            + (SELECT COUNT(*) FROM category_permissions cp WHERE cp.role_id = r.id) AS assignment_count
+       FROM roles r
+      WHERE r.id=?`,
+    [roleId],
+  );
+}
+
+function resolveRolePayload(body, existing = null) {
+  const name = typeof body.name === "string" ? body.name.trim() : existing?.name || "";
+  if (!name) {
+    const err = new Error("Role name is required");
+    err.status = 400;
+    throw err;
+  }
+
+  const input = isPlainObject(body.permissions) ? body.permissions : {};
+  const flag = (key, column) =>
+    input[key] === undefined ? normalizeDbBoolean(existing?.[column]) : Boolean(input[key]);
+  const canWrite = flag("write", "can_write");
+  const canDelete = flag("delete", "can_delete");
+  const canRun = flag("run", "can_run");
+  const canClearLogs = flag("clearLogs", "can_clear_logs");
+  const canRead = flag("read", "can_read") || canWrite || canDelete || canRun || canClearLogs;
+  if (!canRead) {
+    const err = new Error("Roles must grant at least one permission");
+    err.status = 400;
+    throw err;
+  }
+
+  return {
+    name,
+    description:
+      typeof body.description === "string" ? body.description.trim() : existing?.description || "",
+    canRead,
+    canWrite,
+    canDelete,
+    canRun,
+    canClearLogs,
+  };
+}
+
+app.get("/api/roles", requireAuthenticated, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT r.*,
+              (SELECT COUNT(*) FROM users u WHERE u.role_id = r.id AND u.deleted_at IS NULL)
+              + (SELECT COUNT(*) FROM script_permissions sp WHERE sp.role_id = r.id)
+              + (SELECT COUNT(*) FROM category_permissions cp WHERE cp.role_id = r.id) AS assignment_count
+         FROM roles r
+        ORDER BY r.is_system DESC, r.name COLLATE NOCASE ASC`,
+    );
+    res.json({ roles: rows.map(sanitizeRoleRow) });
+  } catch (err) {
+    console.error("Failed to load roles", err);
+    res.status(500).json({ error: "Failed to load roles" });
+  }
+});
+
+app.post("/api/roles", requireAdmin, async (req, res) => {
+  try {
+    const role = resolveRolePayload(req.body || {});
+    const conflict = await dbGet("SELECT id FROM roles WHERE name=?", [role.name]);
+    if (conflict) {
+      res.status(409).json({ error: "A role with this name already exists" });
+      return;
+    }
+
+    const id = uuidv4();
+    await dbRun(
+      `INSERT INTO roles (id, name, description, can_read, can_write, can_delete, can_run, can_clear_logs, is_system, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [
+        id,
+        role.name,
+        role.description,
+        role.canRead ? 1 : 0,
+        role.canWrite ? 1 : 0,
+        role.canDelete ? 1 : 0,
+        role.canRun ? 1 : 0,
+        role.canClearLogs ? 1 : 0,
+      ],
+    );
+    const created = await loadRoleById(id);
+    await recordAuditEvent({
+      req,
+      action: "role.created",
+      targetType: "role",
+      targetId: id,
+      targetLabel: role.name,
+      before: null,
+      after: auditRoleSnapshot(created),
+    });
+    res.status(201).json({ role: sanitizeRoleRow(created) });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
     }
+    console.error("Failed to create role", err);
+    res.status(500).json({ error: "Failed to create role" });
+  }
+});
 
-    if (!session.expires_at || new Date(session.expires_at).getTime() <= Date.now()) {
-      await dbRun("DELETE FROM sessions WHERE id=?", [session.session_id]).catch(() => { });
-      return null;
+app.patch("/api/roles/:id", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM roles WHERE id=?", [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: "Role not found" });
+      return;
     }
-
-    if (!session.is_active) {
-      await dbRun("DELETE FROM sessions WHERE id=?", [session.session_id]).catch(() => { });
-      return null;
+    if (normalizeDbBoolean(existing.is_system)) {
+      res.status(400).json({ error: "Built-in roles cannot be modified" });
+      return;
     }
 
-    await dbRun("UPDATE sessions SET last_seen=? WHERE id=?", [new Date().toISOString(), session.session_id]).catch(() => { });
+    const role = resolveRolePayload(req.body || {}, existing);
+    const conflict = await dbGet("SELECT id FROM roles WHERE name=? AND id<>?", [
+      role.name,
+      existing.id,
+    ]);
+    if (conflict) {
+      res.status(409).json({ error: "A role with this name already exists" });
+      return;
+    }
 
-    return {
-      sessionId: session.session_id,
-      token,
-      user: {
-        id: session.user_id,
-        username: session.username,
-        isAdmin: normalizeDbBoolean(session.is_admin),
-        isActive: normalizeDbBoolean(session.is_active),
-        mustChangePassword: normalizeDbBoolean(session.must_change_password),
-      },
-    };
+    await dbRun(
+      `UPDATE roles
+          SET name=?, description=?, can_read=?, can_write=?, can_delete=?, can_run=?, can_clear_logs=?,
+              updated_at=CURRENT_TIMESTAMP
+        WHERE id=?`,
+      [
+        role.name,
+        role.description,
+        role.canRead ? 1 : 0,
+        role.canWrite ? 1 : 0,
+        role.canDelete ? 1 : 0,
+        role.canRun ? 1 : 0,
+        role.canClearLogs ? 1 : 0,
+        existing.id,
+      ],
+    );
+    const updated = await loadRoleById(existing.id);
+    await recordAuditEvent({
+      req,
+      action: "role.updated",
+      targetType: "role",
+      targetId: existing.id,
+      targetLabel: role.name,
+      before: auditRoleSnapshot(existing),
+      after: auditRoleSnapshot(updated),
+    });
+    res.json({ role: sanitizeRoleRow(updated) });
   } catch (err) {
-    console.error("Failed to authenticate request", err);
-    return null;
-  }
-}
-
-function ensureAuth(options = {}) {
-  const { allowPendingPasswordChange = false, requireAdmin = false } = options;
-  return async (req, res, next) => {
-    const auth = await authenticateRequest(req);
-    if (!auth) {
-      res.clearCookie(COOKIE_NAME, cookieOptions);
-      res.status(401).json({ error: "Authentication required" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
       return;
     }
+    console.error("Failed to update role", err);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
 
-    if (!allowPendingPasswordChange && auth.user.mustChangePassword) {
-      res.status(403).json({
-        error: "Password change required",
-        code: "password_change_required",
-      });
+app.delete("/api/roles/:id", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM roles WHERE id=?", [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: "Role not found" });
       return;
     }
-
-    if (requireAdmin && !auth.user.isAdmin) {
-      res.status(403).json({ error: "Administrator permissions required" });
+    if (normalizeDbBoolean(existing.is_system)) {
+      res.status(400).json({ error: "Built-in roles cannot be deleted" });
       return;
     }
 
-    req.user = auth.user;
-    req.sessionId = auth.sessionId;
-    req.sessionToken = auth.token;
-    next();
+    // Assignments are removed with the role rather than left pointing at
+    // nothing; rows that only carried the role grant no access afterwards.
+    await dbRun("UPDATE users SET role_id=NULL WHERE role_id=?", [existing.id]);
+    await dbRun("DELETE FROM script_permissions WHERE role_id=?", [existing.id]);
+    await dbRun("DELETE FROM category_permissions WHERE role_id=?", [existing.id]);
+    await dbRun("DELETE FROM roles WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "role.deleted",
+      targetType: "role",
+      targetId: existing.id,
+      targetLabel: existing.name,
+      before: auditRoleSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Failed to delete role", err);
+    res.status(500).json({ error: "Failed to delete role" });
+  }
+});
+
+const USER_GROUP_NAME_MAX_LENGTH = 64;
+
+async function loadUserGroups(groupId = null) {
+  const groups = await dbAll(
+    `SELECT id, name, description, created_at, updated_at
+       FROM user_groups
+      ${groupId ? "WHERE id=?" : ""}
+      ORDER BY name COLLATE NOCASE ASC`,
+    groupId ? [groupId] : [],
+  );
+  if (!groups.length) return [];
+
+  const members = await dbAll(
+    `SELECT gm.group_id, u.id, u.username
+       FROM user_group_members gm
+       JOIN users u ON u.id = gm.user_id AND u.deleted_at IS NULL
+      ${groupId ? "WHERE gm.group_id=?" : ""}
+      ORDER BY u.username COLLATE NOCASE ASC`,
+    groupId ? [groupId] : [],
+  );
+  const membersByGroup = new Map();
+  for (const member of members) {
+    if (!membersByGroup.has(member.group_id)) membersByGroup.set(member.group_id, []);
+    membersByGroup.get(member.group_id).push({ id: member.id, username: member.username });
+  }
+
+  return groups.map((row) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description || "",
+    members: membersByGroup.get(row.id) || [],
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  }));
+}
+
+function auditUserGroupSnapshot(group) {
+  if (!group) return null;
+  return {
+    name: group.name,
+    description: group.description,
+    members: group.members.map((member) => member.username),
   };
 }
 
-function validatePassword(password) {
-  return typeof password === "string" && password.length >= PASSWORD_MIN_LENGTH;
+function resolveUserGroupName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name) {
+    const err = new Error("Group name is required");
+    err.status = 400;
+    throw err;
+  }
+  if (name.length > USER_GROUP_NAME_MAX_LENGTH) {
+    const err = new Error(`Group names must be ${USER_GROUP_NAME_MAX_LENGTH} characters or fewer`);
+    err.status = 400;
+    throw err;
+  }
+  if (name.includes(":")) {
+    const err = new Error("Group names cannot contain ':'");
+    err.status = 400;
+    throw err;
+  }
+  return name;
 }
 
-function quoteIdentifier(value) {
-  return `"${String(value).replace(/"/g, '""')}"`;
+async function ensureUserGroupNameAvailable(name, excludeId = null) {
+  const conflict = await dbGet(
+    "SELECT id FROM user_groups WHERE name=? AND (? IS NULL OR id<>?)",
+    [name, excludeId, excludeId],
+  );
+  if (conflict) {
+    const err = new Error("A group with this name already exists");
+    err.status = 409;
+    throw err;
+  }
 }
 
-async function restoreDatabaseFromFile(filePath) {
-  let transactionActive = false;
-  let attached = false;
-  try {
-    await dbRun("BEGIN IMMEDIATE TRANSACTION");
-    transactionActive = true;
+async function replaceUserGroupMembers(groupId, memberIds) {
+  if (!Array.isArray(memberIds)) {
+    const err = new Error("memberIds must be an array");
+    err.status = 400;
+    throw err;
+  }
 
-    await dbRun("ATTACH DATABASE ? AS restore_src", [filePath]);
-    attached = true;
+  const ids = [
+    ...new Set(memberIds.filter((id) => typeof id === "string" && id.trim()).map((id) => id.trim())),
+  ];
+  const validIds = ids.length
+    ? (
+      await dbAll(
+        `SELECT id FROM users WHERE id IN (${ids.map(() => "?").join(",")}) AND deleted_at IS NULL AND is_system=0`,
+        ids,
+      )
+    ).map((row) => row.id)
+    : [];
 
-    const currentTables = await dbAll(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
-    );
-    const backupTables = await dbAll(
-      "SELECT name FROM restore_src.sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
+  await dbRun("DELETE FROM user_group_members WHERE group_id=?", [groupId]);
+  for (const userId of validIds) {
+    await dbRun(
+      "INSERT INTO user_group_members (group_id, user_id, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)",
+      [groupId, userId],
     );
+  }
+}
 
-    const allowed = new Set(currentTables.map((row) => row.name));
-    const skipTables = new Set(["sessions"]);
-
-    for (const table of backupTables) {
-      const name = table?.name;
-      if (!name || !allowed.has(name) || skipTables.has(name)) continue;
-      const quoted = quoteIdentifier(name);
-      await dbRun(`DELETE FROM ${quoted}`);
-      await dbRun(`INSERT INTO ${quoted} SELECT * FROM restore_src.${quoted}`);
-    }
-
-    await dbRun("DELETE FROM sessions");
+app.get("/api/groups", requireAdmin, async (req, res) => {
+  try {
+    res.json({ groups: await loadUserGroups() });
+  } catch (err) {
+    console.error("Failed to load groups", err);
+    res.status(500).json({ error: "Failed to load groups" });
+  }
+});
 
-    await dbRun("COMMIT");
-    transactionActive = false;
+app.post("/api/groups", requireAdmin, async (req, res) => {
+  const { name, description, memberIds } = req.body || {};
+  try {
+    const groupName = resolveUserGroupName(name);
+    await ensureUserGroupNameAvailable(groupName);
 
-    await dbRun("DETACH DATABASE restore_src");
-    attached = false;
+    const id = uuidv4();
+    await dbRun(
+      `INSERT INTO user_groups (id, name, description, created_at, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [id, groupName, typeof description === "string" ? description.trim() : ""],
+    );
+    if (memberIds !== undefined) {
+      await replaceUserGroupMembers(id, memberIds);
+    }
+
+    const [group] = await loadUserGroups(id);
+    await recordAuditEvent({
+      req,
+      action: "group.created",
+      targetType: "group",
+      targetId: id,
+      targetLabel: groupName,
+      before: null,
+      after: auditUserGroupSnapshot(group),
+    });
+    res.status(201).json({ group });
   } catch (err) {
-    if (transactionActive) {
-      await dbRun("ROLLBACK").catch(() => { });
-      transactionActive = false;
-    }
-
-    if (attached) {
-      await dbRun("DETACH DATABASE restore_src").catch(() => { });
-      attached = false;
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
     }
-    throw err;
+    console.error("Failed to create group", err);
+    res.status(500).json({ error: "Failed to create group" });
   }
+});
 
-  await db.ensureAdminAccount();
-}
-
-const requireAuthenticated = ensureAuth();
-const requireAdmin = ensureAuth({ requireAdmin: true });
-
-app.post("/api/auth/login", async (req, res) => {
-  const { username, password } = req.body || {};
-  const normalizedUsername =
-    typeof username === "string" ? username.trim() : "";
+app.patch("/api/groups/:id", requireAdmin, async (req, res) => {
+  const { name, description, memberIds } = req.body || {};
+  try {
+    const existing = await dbGet("SELECT * FROM user_groups WHERE id=?", [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: "Group not found" });
+      return;
+    }
 
-  if (!normalizedUsername || typeof password !== "string") {
-    res.status(400).json({ error: "Username and password are required" });
-    return;
-  }
+    const groupName = name === undefined ? existing.name : resolveUserGroupName(name);
+    if (groupName !== existing.name) {
+      await ensureUserGroupNameAvailable(groupName, existing.id);
+    }
+    const [previous] = await loadUserGroups(existing.id);
 
-  try {
-    const userRow = await dbGet(
-      `SELECT id, username, password_hash, must_change_password, is_active, is_admin, created_at, last_login
-         FROM users WHERE username=? AND deleted_at IS NULL`,
-      [normalizedUsername],
+    await dbRun(
+      "UPDATE user_groups SET name=?, description=?, updated_at=CURRENT_TIMESTAMP WHERE id=?",
+      [
+        groupName,
+        typeof description === "string" ? description.trim() : existing.description || "",
+        existing.id,
+      ],
     );
-
-    if (!userRow || !userRow.password_hash) {
-      res.status(401).json({ error: "Invalid credentials" });
+    if (memberIds !== undefined) {
+      await replaceUserGroupMembers(existing.id, memberIds);
+    }
+
+    const [group] = await loadUserGroups(existing.id);
+    await recordAuditEvent({
+      req,
+      action: "group.updated",
+      targetType: "group",
+      targetId: existing.id,
+      targetLabel: groupName,
+      before: auditUserGroupSnapshot(previous),
+      after: auditUserGroupSnapshot(group),
+    });
+    res.json({ group });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
       return;
     }
+    console.error("Failed to update group", err);
+    res.status(500).json({ error: "Failed to update group" });
+  }
+});
 
-    if (!userRow.is_active) {
-      res.status(403).json({ error: "Account is disabled" });
+app.delete("/api/groups/:id", requireAdmin, async (req, res) => {
+  try {
+    const [existing] = await loadUserGroups(req.params.id);
+    if (!existing) {
+      res.status(404).json({ error: "Group not found" });
       return;
     }
 
-    const passwordValid = verifyPassword(password, userRow.password_hash);
-    if (!passwordValid) {
-      res.status(401).json({ error: "Invalid credentials" });
+    await dbRun("DELETE FROM user_group_members WHERE group_id=?", [existing.id]);
+    await dbRun("DELETE FROM group_script_permissions WHERE group_id=?", [existing.id]);
+    await dbRun("DELETE FROM group_category_permissions WHERE group_id=?", [existing.id]);
+    await dbRun("DELETE FROM user_groups WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "group.deleted",
+      targetType: "group",
+      targetId: existing.id,
+      targetLabel: existing.name,
+      before: auditUserGroupSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Failed to delete group", err);
+    res.status(500).json({ error: "Failed to delete group" });
+  }
+});
+
+app.get("/api/users/:id/sessions", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet(`SELECT id FROM users WHERE id=? AND deleted_at IS NULL`, [
+      req.params.id,
+    ]);
+    if (!existing) {
+      res.status(404).json({ error: "User not found" });
       return;
     }
+    res.json({ sessions: await listActiveSessions(existing.id, req.sessionId) });
+  } catch (err) {
+    console.error("Failed to load user sessions", err);
+    res.status(500).json({ error: "Failed to load user sessions" });
+  }
+});
 
-    const sessionToken = crypto.randomBytes(48).toString("base64url");
-    const sessionId = uuidv4();
-    const now = new Date();
-    const isoNow = now.toISOString();
-    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+app.delete("/api/users/:id/sessions", requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req, req.params.id);
+    res.json({ revoked });
+  } catch (err) {
+    console.error("Failed to revoke user sessions", err);
+    res.status(500).json({ error: "Failed to revoke user sessions" });
+  }
+});
 
-    await dbRun(
-      `INSERT INTO sessions (id, user_id, token, created_at, expires_at, last_seen)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [sessionId, userRow.id, sessionToken, isoNow, expiresAt, isoNow],
-    );
+app.delete("/api/users/:id/sessions/:sessionId", requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req, req.params.id, { sessionId: req.params.sessionId });
+    if (!revoked) {
+      res.status(404).json({ error: "Session not found" });
+      return;
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to revoke session", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
 
-    await dbRun(`UPDATE users SET last_login=? WHERE id=?`, [isoNow, userRow.id]).catch(
-      () => { },
+app.delete("/api/users/:id/lockout", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet(
+      `SELECT id, username FROM users WHERE id=? AND deleted_at IS NULL`,
+      [req.params.id],
     );
+    if (!existing) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
 
-    res.cookie(COOKIE_NAME, sessionToken, {
-      ...cookieOptions,
-      maxAge: SESSION_TTL_MS,
+    const lockedUntil = resolveLoginLockedUntil(existing.username);
+    loginFailuresByUsername.delete(loginTrackingKey(existing.username));
+    await recordAuditEvent({
+      req,
+      action: "user.unlocked",
+      targetType: "user",
+      targetId: existing.id,
+      details: { username: existing.username, lockedUntil },
     });
 
-    res.json({ user: sanitizeUserRow(userRow) });
+    res.json({ user: await loadUserById(existing.id) });
   } catch (err) {
-    console.error("Login failed", err);
-    res.status(500).json({ error: "Failed to login" });
+    console.error("Failed to unlock user", err);
+    res.status(500).json({ error: "Failed to unlock user" });
   }
-});
-
-app.post(
-  "/api/auth/logout",
-  ensureAuth({ allowPendingPasswordChange: true }),
-  async (req, res) => {
-    try {
-      if (req.sessionId) {
-        await dbRun("DELETE FROM sessions WHERE id=?", [req.sessionId]);
-      }
-      res.clearCookie(COOKIE_NAME, cookieOptions);
-      res.json({ success: true });
-    } catch (err) {
-      console.error("Logout failed", err);
-      res.status(500).json({ error: "Failed to logout" });
-    }
-  },
-);
+});
 
-app.get(
-  "/api/auth/me",
-  ensureAuth({ allowPendingPasswordChange: true }),
-  async (req, res) => {
-    const user = await loadUserById(req.user.id);
-    if (!user) {
+// For users who lost their authenticator and recovery codes. They can sign
+// in with their password again and are asked to enrol if 2FA is enforced.
+app.delete("/api/users/:id/2fa", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet(
+      `SELECT id, username, totp_enabled FROM users WHERE id=? AND deleted_at IS NULL`,
+      [req.params.id],
+    );
+    if (!existing) {
       res.status(404).json({ error: "User not found" });
       return;
     }
-    res.json({
-      user,
-      hostVersion: HOST_VERSION,
+
+    await clearTwoFactor(existing.id);
+    await recordAuditEvent({
+      req,
+      action: "user.2fa.reset",
+      targetType: "user",
+      targetId: existing.id,
+      details: {
+        username: existing.username,
+        wasEnabled: normalizeDbBoolean(existing.totp_enabled),
+      },
     });
-  },
-);
 
-app.post(
-  "/api/auth/change-password",
-  ensureAuth({ allowPendingPasswordChange: true }),
-  async (req, res) => {
-    const { currentPassword, newPassword } = req.body || {};
+    res.json({ user: await loadUserById(existing.id) });
+  } catch (err) {
+    console.error("Failed to reset two-factor authentication", err);
+    res.status(500).json({ error: "Failed to reset two-factor authentication" });
+  }
+});
 
-    if (typeof currentPassword !== "string" || currentPassword.length === 0) {
-      res.status(400).json({ error: "Current password is required" });
+app.delete("/api/users/:id", requireAdmin, async (req, res) => {
+  const targetId = req.params.id;
+
+  try {
+    const existing = await dbGet(
+      `SELECT id, username, is_admin, is_active, is_system, must_change_password, role_id
+         FROM users
+        WHERE id=? AND deleted_at IS NULL`,
+      [targetId],
+    );
+
+    if (!existing) {
+      res.status(404).json({ error: "User not found" });
       return;
     }
 
-    if (!validatePassword(newPassword)) {
-      res.status(400).json({
-        error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
-      });
+    if (existing.id === req.user.id) {
+      res.status(400).json({ error: "You cannot delete your own account" });
       return;
     }
 
-    try {
-      const row = await dbGet(
-        "SELECT password_hash FROM users WHERE id=? AND deleted_at IS NULL",
-        [req.user.id],
+    if (existing.is_admin) {
+      const countRow = await dbGet(
+        "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_admin=1 AND deleted_at IS NULL",
+        [targetId],
       );
+      const adminCount = Number(countRow?.count ?? 0);
+      if (!Number.isFinite(adminCount) || adminCount <= 0) {
+      res.status(400).json({ error: "Cannot remove the only administrator" });
+      return;
+    }
 
-      if (!row || !row.password_hash) {
-        res.status(400).json({ error: "Account password is not set" });
-        return;
-      }
+    if (normalizeDbBoolean(existing.is_system)) {
+      res.status(400).json({ error: "System accounts cannot be deleted" });
+      return;
+    }
+    }
 
-      if (!verifyPassword(currentPassword, row.password_hash)) {
-        res.status(400).json({ error: "Current password is incorrect" });
+    if (existing.is_active) {
+      const countRow = await dbGet(
+        "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_active=1 AND deleted_at IS NULL",
+        [targetId],
+      );
+      const activeCount = Number(countRow?.count ?? 0);
+      if (!Number.isFinite(activeCount) || activeCount <= 0) {
+        res
+          .status(400)
+          .json({ error: "Cannot delete the only active account" });
         return;
       }
+    }
 
-      if (newPassword === currentPassword) {
-        res.status(400).json({
-          error: "New password must be different from the current password",
-        });
-        return;
-      }
+    let transactionActive = false;
+    try {
+      await dbRun("BEGIN IMMEDIATE TRANSACTION");
+      transactionActive = true;
 
-      if (newPassword === DEFAULT_ADMIN_PASSWORD) {
-        res.status(400).json({
-          error: "New password cannot match the default administrator password",
-        });
-        return;
-      }
+      const deletedAt = new Date().toISOString();
 
-      const hashed = hashPassword(newPassword);
+      await dbRun("UPDATE scripts SET owner_id=NULL WHERE owner_id=?", [targetId]);
+      await dbRun("DELETE FROM script_permissions WHERE user_id=?", [targetId]);
+      await dbRun("DELETE FROM user_group_members WHERE user_id=?", [targetId]);
+      await dbRun("DELETE FROM sessions WHERE user_id=?", [targetId]);
+      await dbRun("DELETE FROM user_preferences WHERE user_id=?", [targetId]);
+      await dbRun("DELETE FROM user_recovery_codes WHERE user_id=?", [targetId]);
       await dbRun(
-        "UPDATE users SET password_hash=?, must_change_password=0 WHERE id=? AND deleted_at IS NULL",
-        [hashed, req.user.id],
+        `UPDATE users
+            SET is_active=0,
+                is_admin=0,
+                must_change_password=0,
+                password_hash=NULL,
+                last_login=NULL,
+                totp_secret=NULL,
+                totp_pending_secret=NULL,
+                totp_enabled=0,
+                totp_last_counter=NULL,
+                totp_enrolled_at=NULL,
+                deleted_at=?
+          WHERE id=?`,
+        [deletedAt, targetId],
       );
 
-      if (req.sessionId) {
-        await dbRun("DELETE FROM sessions WHERE user_id=? AND id<>?", [
-          req.user.id,
-          req.sessionId,
-        ]).catch(() => { });
-      } else {
-        await dbRun("DELETE FROM sessions WHERE user_id=?", [req.user.id]).catch(
-          () => { },
-        );
-      }
-
-      res.json({ success: true });
+      await dbRun("COMMIT");
+      transactionActive = false;
     } catch (err) {
-      console.error("Password change failed", err);
-      res.status(500).json({ error: "Failed to change password" });
+      if (transactionActive) {
+        await dbRun("ROLLBACK").catch(() => { });
+      }
+      throw err;
     }
-  },
-);
 
-app.get("/api/preferences", requireAuthenticated, async (req, res) => {
-  try {
-    const rows = await dbAll(
-      `SELECT key, value FROM user_preferences WHERE user_id=?`,
-      [req.user.id],
-    );
-    const preferences = {};
-    for (const row of rows) {
-      preferences[row.key] = decodePreferenceValue(row.value);
-    }
-    res.json({ preferences });
+    await recordAuditEvent({
+      req,
+      action: "user.deleted",
+      targetType: "user",
+      targetId,
+      targetLabel: existing.username,
+      before: auditUserSnapshot(sanitizeUserRow(existing)),
+      after: null,
+    });
+    res.json({ success: true });
   } catch (err) {
-    console.error("Failed to load preferences", err);
-    res.status(500).json({ error: "Failed to load preferences" });
+    console.error("Failed to delete user", err);
+    res.status(500).json({ error: "Failed to delete user" });
   }
 });
 
-app.post("/api/preferences", requireAuthenticated, async (req, res) => {
-  const { key, value, preferences } = req.body || {};
-  const entries = [];
+app.get("/api/settings/runner-hosts", requireAdmin, async (req, res) => {
+  try {
+    const hosts = await db.listRunnerHosts();
+    const normalized = hosts.map((host) => sanitizeRunnerHost(host)).filter(Boolean);
+    res.json({ runnerHosts: normalized, heartbeatWindowMs: RUNNER_HEALTH_WINDOW_MS });
+  } catch (err) {
+    console.error("Failed to list runner hosts", err);
+    res.status(500).json({ error: "Failed to load runner hosts" });
+  }
+});
 
-  if (preferences && typeof preferences === "object" && !Array.isArray(preferences)) {
-    for (const [entryKey, entryValue] of Object.entries(preferences)) {
-      if (typeof entryKey === "string" && entryKey.trim()) {
-        entries.push([entryKey.trim(), entryValue]);
-      }
-    }
-  } else if (typeof key === "string" && key.trim()) {
-    entries.push([key.trim(), value]);
-  } else {
-    res.status(400).json({ error: "Preference key is required" });
+app.patch("/api/settings/runner-hosts/:id", requireAdmin, async (req, res) => {
+  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!hostId) {
+    res.status(400).json({ error: "Runner host id is required" });
     return;
   }
 
-  if (!entries.length) {
-    res.status(400).json({ error: "No preferences to update" });
+  const body = req.body || {};
+  const hasName = Object.prototype.hasOwnProperty.call(body, "name");
+  const hasAdminOnly = Object.prototype.hasOwnProperty.call(body, "adminOnly");
+  const hasTlsCa = Object.prototype.hasOwnProperty.call(body, "tlsCa");
+  const hasTlsFingerprint = Object.prototype.hasOwnProperty.call(body, "tlsFingerprint");
+  const hasLabels = Object.prototype.hasOwnProperty.call(body, "labels");
+
+  if (!hasName && !hasAdminOnly && !hasTlsCa && !hasTlsFingerprint && !hasLabels) {
+    res.status(400).json({ error: "No changes provided" });
     return;
   }
 
-  try {
-    const timestamp = new Date().toISOString();
-    for (const [entryKey, entryValue] of entries) {
-      const serialized = encodePreferenceValue(entryValue);
-      await dbRun(
-        `INSERT INTO user_preferences (user_id, key, value, updated_at)
-         VALUES (?, ?, ?, ?)
-         ON CONFLICT(user_id, key) DO UPDATE SET value=excluded.value, updated_at=excluded.updated_at`,
-        [req.user.id, entryKey, serialized, timestamp],
-      );
+  const updates = {};
+
+  if (hasName) {
+    const normalizedName = typeof body.name === "string" ? body.name.trim() : "";
+    if (!normalizedName) {
+      res.status(400).json({ error: "Runner name is required" });
+      return;
     }
+    updates.name = normalizedName;
+  }
 
-    res.json({ success: true });
-  } catch (err) {
-    console.error("Failed to save preferences", err);
-    res.status(500).json({ error: "Failed to save preferences" });
+  if (hasAdminOnly) {
+    updates.adminOnly = Boolean(body.adminOnly);
   }
-});
 
-app.get("/api/users", requireAdmin, async (req, res) => {
-  try {
-    const rows = await dbAll(
-      `SELECT id, username, is_admin, is_active, must_change_password, created_at, last_login, is_system
-         FROM users
-        WHERE deleted_at IS NULL AND is_system=0
-        ORDER BY username COLLATE NOCASE ASC`,
-    );
-    res.json({ users: rows.map(sanitizeUserRow).filter(Boolean) });
-  } catch (err) {
-    console.error("Failed to load users", err);
-    res.status(500).json({ error: "Failed to load users" });
+  if (hasTlsCa) {
+    const caInput = typeof body.tlsCa === "string" ? body.tlsCa.trim() : "";
+    const certificates = splitPemCertificates(caInput);
+    if (caInput && !certificates.length) {
+      res.status(400).json({ error: "Pinned CA must contain at least one PEM certificate" });
+      return;
+    }
+    try {
+      certificates.forEach((certificate) => describeCertificate(certificate));
+    } catch (err) {
+      res.status(400).json({ error: "Pinned CA contains an invalid certificate" });
+      return;
+    }
+    updates.tlsCa = certificates.length ? certificates.join("\n") : null;
   }
-});
 
-app.post("/api/users", requireAdmin, async (req, res) => {
-  const {
-    username,
-    password,
-    isAdmin: isAdminInput = false,
-    requirePasswordChange = true,
-  } = req.body || {};
+  if (hasTlsFingerprint) {
+    const fingerprintInput =
+      typeof body.tlsFingerprint === "string" ? body.tlsFingerprint.trim() : "";
+    const fingerprint = fingerprintInput ? normalizeFingerprint(fingerprintInput) : null;
+    if (fingerprintInput && !fingerprint) {
+      res.status(400).json({
+        error: "Certificate fingerprint must be a SHA-256 fingerprint (64 hex characters)",
+      });
+      return;
+    }
+    updates.tlsFingerprint = fingerprint;
+  }
 
-  const normalizedUsername =
-    typeof username === "string" ? username.trim() : "";
+  if (hasLabels) {
+    const { labels, invalid } = normalizeRunnerLabels(body.labels);
+    if (invalid.length) {
+      res.status(400).json({ error: `Invalid runner labels: ${invalid.join(", ")}` });
+      return;
+    }
+    updates.labels = labels;
+  }
 
-  if (!normalizedUsername) {
-    res.status(400).json({ error: "Username is required" });
+  let existing;
+  try {
+    existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+  } catch (err) {
+    console.error("Failed to load runner host", err);
+    res.status(500).json({ error: "Failed to update runner host" });
     return;
   }
 
-  if (isBannedUsername(normalizedUsername)) {
-    res.status(400).json({ error: "This username is reserved" });
+  if (!existing) {
+    res.status(404).json({ error: "Runner host not found" });
     return;
   }
 
-  if (!validatePassword(password)) {
-    res.status(400).json({
-      error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
-    });
+  if (!Object.keys(updates).length) {
+    res.json({ runnerHost: sanitizeRunnerHost(existing) });
     return;
   }
 
   try {
-    const existing = await dbGet(
-      "SELECT id, deleted_at FROM users WHERE username=?",
-      [normalizedUsername],
-    );
-
-    const hashed = hashPassword(password);
-    const mustChange = requirePasswordChange === false ? 0 : 1;
-    const isAdminValue = isAdminInput ? 1 : 0;
-
-    if (existing) {
-      if (existing.deleted_at) {
-        await dbRun(
-          `UPDATE users
-              SET password_hash=?,
-                  must_change_password=?,
-                  is_active=1,
-                  is_admin=?,
-                  deleted_at=NULL,
-                  last_login=NULL
-            WHERE id=?`,
-          [hashed, mustChange, isAdminValue, existing.id],
-        );
-
-        await dbRun("DELETE FROM sessions WHERE user_id=?", [existing.id]);
-        await dbRun("DELETE FROM user_preferences WHERE user_id=?", [existing.id]);
-        await dbRun("DELETE FROM script_permissions WHERE user_id=?", [existing.id]);
+    const updated = await db.updateRunnerHostStatus(hostId, updates);
 
-        const user = await loadUserById(existing.id);
-        res.status(200).json({ user, restored: true });
-        return;
+    // Apply the new settings to a runner that is already registered. Push
+    // runners also pick up new certificate pins.
+    const active = getRunnerHostConfig(hostId);
+    if (active) {
+      if (
+        active.endpoint &&
+        runnerHostPinsCertificate(updated) &&
+        !active.endpoint.startsWith("https:")
+      ) {
+        detachRunnerHost(hostId, "Runner certificate pinned");
+      } else {
+        registerRunnerHost({
+          ...active,
+          name: updated.name,
+          labels: updated.labels,
+          adminOnly: updated.adminOnly,
+          tls: active.endpoint ? buildRunnerTlsConfig(updated) : active.tls,
+        });
       }
+    }
 
-      res.status(409).json({ error: "Username already exists" });
+    await recordAuditEvent({
+      req,
+      action: "runner.updated",
+      targetType: "runner_host",
+      targetId: hostId,
+      targetLabel: updated?.name || existing.name,
+      before: auditRunnerHostSnapshot(existing),
+      after: auditRunnerHostSnapshot(updated),
+    });
+    res.json({ runnerHost: sanitizeRunnerHost(updated) });
+  } catch (err) {
+    if (err?.code === "SQLITE_CONSTRAINT") {
+      res.status(409).json({ error: "Runner name already exists" });
       return;
     }
+    console.error("Failed to update runner host", err);
+    res.status(500).json({ error: "Failed to update runner host" });
+  }
+});
 
-    const userId = uuidv4();
+app.post("/api/settings/runner-hosts", requireAdmin, async (req, res) => {
+  const { id, name, secret, adminOnly: adminOnlyInput } = req.body || {};
+  const normalizedName = typeof name === "string" ? name.trim() : "";
+  if (!normalizedName) {
+    res.status(400).json({ error: "Runner name is required" });
+    return;
+  }
 
-    await dbRun(
-      `INSERT INTO users (id, username, password_hash, must_change_password, is_active, is_admin)
-       VALUES (?, ?, ?, ?, 1, ?)`,
-      [userId, normalizedUsername, hashed, mustChange, isAdminValue],
-    );
+  const normalizedId = typeof id === "string" ? id.trim() : "";
 
-    const user = await loadUserById(userId);
-    res.status(201).json({ user });
-  } catch (err) {
-    console.error("Failed to create user", err);
-    res.status(500).json({ error: "Failed to create user" });
+  let plainSecret = typeof secret === "string" ? secret.trim() : "";
+  if (plainSecret && plainSecret.length < MIN_RUNNER_SECRET_LENGTH) {
+    res.status(400).json({
+      error: `Secret must be at least ${MIN_RUNNER_SECRET_LENGTH} characters long`,
+    });
+    return;
   }
-});
 
-app.patch("/api/users/:id", requireAdmin, async (req, res) => {
-  const targetId = req.params.id;
-  const {
-    username,
-    isActive,
-    isAdmin: isAdminInput,
-    mustChangePassword,
-    newPassword,
-    requirePasswordChange,
-  } = req.body || {};
+  if (!plainSecret) {
+    plainSecret = generateRunnerSecret();
+  }
 
+  let secretHash;
+  let signingKey;
   try {
-    const existing = await dbGet(
-      `SELECT id, username, is_admin, is_active, must_change_password, is_system
-         FROM users
-        WHERE id=? AND deleted_at IS NULL`,
-      [targetId],
-    );
+    secretHash = hashPassword(plainSecret);
+    signingKey = encryptVariableValue(deriveRunnerSigningKey(plainSecret));
+  } catch (err) {
+    console.error("Failed to hash runner secret", err);
+    res.status(500).json({ error: "Failed to prepare runner secret" });
+    return;
+  }
 
-    if (!existing) {
-      res.status(404).json({ error: "User not found" });
+  try {
+    const created = await db.createRunnerHost({
+      id: normalizedId || undefined,
+      name: normalizedName,
+      secretHash,
+      signingKey,
+      status: RUNNER_STATUS.PENDING,
+      adminOnly: normalizeDbBoolean(adminOnlyInput),
+    });
+    const sanitized = sanitizeRunnerHost(created);
+    await recordAuditEvent({
+      req,
+      action: "runner.created",
+      targetType: "runner_host",
+      targetId: sanitized?.id || null,
+      targetLabel: normalizedName,
+      before: null,
+      after: auditRunnerHostSnapshot(created),
+    });
+    res.status(201).json({ runnerHost: sanitized, secret: plainSecret });
+  } catch (err) {
+    if (err?.code === "SQLITE_CONSTRAINT") {
+      res.status(409).json({ error: "Runner name or id already exists" });
       return;
     }
+    console.error("Failed to create runner host", err);
+    res.status(500).json({ error: "Failed to create runner host" });
+  }
+});
 
-    if (normalizeDbBoolean(existing.is_system)) {
-      res.status(400).json({ error: "System accounts cannot be modified" });
+app.post(
+  "/api/settings/runner-hosts/:id/rotate-secret",
+  requireAdmin,
+  async (req, res) => {
+    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+    if (!hostId) {
+      res.status(400).json({ error: "Runner host id is required" });
       return;
     }
 
-    const updates = [];
-    const params = [];
-    let mustChangeValue = null;
-    let shouldClearSessions = false;
+    let existing;
+    try {
+      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+    } catch (err) {
+      console.error("Failed to load runner host", err);
+      res.status(500).json({ error: "Failed to rotate runner secret" });
+      return;
+    }
 
-    if (typeof username === "string") {
-      const normalizedUsername = normalizeUsername(username);
-      if (!normalizedUsername) {
-        res.status(400).json({ error: "Username is required" });
-        return;
-      }
+    if (!existing) {
+      res.status(404).json({ error: "Runner host not found" });
+      return;
+    }
 
-      if (isBannedUsername(normalizedUsername)) {
-        res.status(400).json({ error: "This username is reserved" });
-        return;
-      }
+    let plainSecret =
+      typeof req.body?.secret === "string" ? req.body.secret.trim() : "";
+    if (plainSecret && plainSecret.length < MIN_RUNNER_SECRET_LENGTH) {
+      res.status(400).json({
+        error: `Secret must be at least ${MIN_RUNNER_SECRET_LENGTH} characters long`,
+      });
+      return;
+    }
 
-      if (normalizedUsername !== existing.username) {
-        const conflict = await dbGet(
-          `SELECT id FROM users WHERE username=? AND id<>? AND deleted_at IS NULL`,
-          [normalizedUsername, targetId],
-        );
-        if (conflict) {
-          res.status(409).json({ error: "Username already exists" });
-          return;
-        }
+    if (!plainSecret) {
+      plainSecret = generateRunnerSecret();
+    }
 
-        updates.push("username=?");
-        params.push(normalizedUsername);
-      }
+    let secretHash;
+    let signingKey;
+    try {
+      secretHash = hashPassword(plainSecret);
+      signingKey = encryptVariableValue(deriveRunnerSigningKey(plainSecret));
+    } catch (err) {
+      console.error("Failed to hash runner secret", err);
+      res.status(500).json({ error: "Failed to rotate runner secret" });
+      return;
     }
 
-    if (
-      typeof isActive === "boolean" &&
-      isActive !== normalizeDbBoolean(existing.is_active)
-    ) {
-      if (!isActive && existing.id === req.user.id) {
-        res.status(400).json({ error: "You cannot disable your own account" });
-        return;
-      }
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : "Runner secret rotated by administrator";
 
-      if (!isActive) {
-        const countRow = await dbGet(
-          "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_active=1 AND deleted_at IS NULL",
-          [targetId],
-        );
-        const activeCount = Number(countRow?.count ?? 0);
-        if (!Number.isFinite(activeCount) || activeCount <= 0) {
-          res
-            .status(400)
-            .json({ error: "Cannot disable the only active account" });
-          return;
-        }
-        shouldClearSessions = true;
-      }
+    const isDisabled =
+      existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED;
 
-      updates.push("is_active=?");
-      params.push(isActive ? 1 : 0);
-    }
+    try {
+      const updated = await db.updateRunnerHostStatus(hostId, {
+        secretHash,
+        signingKey,
+        status: isDisabled ? RUNNER_STATUS.DISABLED : RUNNER_STATUS.PENDING,
+        statusMessage: reason,
+        endpoint: null,
+        lastSeenAt: null,
+        maxConcurrency: null,
+        timeoutMs: null,
+      });
 
-    if (
-      typeof isAdminInput === "boolean" &&
-      isAdminInput !== normalizeDbBoolean(existing.is_admin)
-    ) {
-      if (!isAdminInput) {
-        const countRow = await dbGet(
-          "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_admin=1 AND deleted_at IS NULL",
-          [targetId],
-        );
-        const adminCount = Number(countRow?.count ?? 0);
-        if (!Number.isFinite(adminCount) || adminCount <= 0) {
-          res.status(400).json({ error: "Cannot remove the only administrator" });
-          return;
-        }
-      }
+      detachRunnerHost(hostId, "Runner secret rotated");
+
+      await recordAuditEvent({
+        req,
+        action: "runner.secret_rotated",
+        targetType: "runner_host",
+        targetId: hostId,
+        targetLabel: existing.name,
+        details: { reason },
+        before: auditRunnerHostSnapshot(existing),
+        after: auditRunnerHostSnapshot(updated),
+      });
+      res.json({
+        runnerHost: sanitizeRunnerHost(updated),
+        secret: plainSecret,
+      });
+    } catch (err) {
+      console.error("Failed to rotate runner secret", err);
+      res.status(500).json({ error: "Failed to rotate runner secret" });
+    }
+  },
+);
 
-      updates.push("is_admin=?");
-      params.push(isAdminInput ? 1 : 0);
+app.get("/api/runners", requireAuthenticated, async (req, res) => {
+  try {
+    const hosts = await db.listRunnerHosts();
+    let normalized = hosts.map((host) => sanitizeRunnerHost(host)).filter(Boolean);
+    if (!req.user?.isAdmin) {
+      normalized = normalized.filter((host) => !host.adminOnly);
     }
+    res.json({ runnerHosts: normalized });
+  } catch (err) {
+    console.error("Failed to list runner hosts", err);
+    res.status(500).json({ error: "Failed to load runner hosts" });
+  }
+});
 
-    if (
-      typeof mustChangePassword === "boolean" &&
-      mustChangePassword !== normalizeDbBoolean(existing.must_change_password)
-    ) {
-      mustChangeValue = mustChangePassword ? 1 : 0;
+app.post(
+  "/api/settings/runner-hosts/:id/disable",
+  requireAdmin,
+  async (req, res) => {
+    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : "Disabled by administrator";
+
+    if (!hostId) {
+      res.status(400).json({ error: "Runner host id is required" });
+      return;
     }
 
-    if (typeof newPassword === "string" && newPassword.length > 0) {
-      if (!validatePassword(newPassword)) {
-        res.status(400).json({
-          error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`,
-        });
+    try {
+      const existing = await db.getRunnerHostById(hostId);
+      const disabled = await db.disableRunnerHost(hostId, { statusMessage: reason });
+      if (!disabled) {
+        res.status(404).json({ error: "Runner host not found" });
         return;
       }
 
-      const hashed = hashPassword(newPassword);
-      updates.push("password_hash=?");
-      params.push(hashed);
-      mustChangeValue = requirePasswordChange === false ? 0 : 1;
-      shouldClearSessions = true;
+      detachRunnerHost(hostId, "Runner disabled");
+      await recordAuditEvent({
+        req,
+        action: "runner.disabled",
+        targetType: "runner_host",
+        targetId: hostId,
+        targetLabel: disabled.name,
+        details: { reason },
+        before: auditRunnerHostSnapshot(existing),
+        after: auditRunnerHostSnapshot(disabled),
+      });
+      res.json({ runnerHost: sanitizeRunnerHost(disabled) });
+    } catch (err) {
+      console.error("Failed to disable runner host", err);
+      res.status(500).json({ error: "Failed to disable runner host" });
     }
+  },
+);
 
-    if (mustChangeValue !== null) {
-      updates.push("must_change_password=?");
-      params.push(mustChangeValue);
+app.post(
+  "/api/settings/runner-hosts/:id/disconnect",
+  requireAdmin,
+  async (req, res) => {
+    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+    if (!hostId) {
+      res.status(400).json({ error: "Runner host id is required" });
+      return;
     }
 
-    if (!updates.length) {
-      const user = await loadUserById(targetId);
-      res.json({ user });
+    let existing;
+    try {
+      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+    } catch (err) {
+      console.error("Failed to load runner host", err);
+      res.status(500).json({ error: "Failed to disconnect runner host" });
       return;
     }
 
-    params.push(targetId);
-    await dbRun(`UPDATE users SET ${updates.join(", ")} WHERE id=?`, params);
+    if (!existing) {
+      res.status(404).json({ error: "Runner host not found" });
+      return;
+    }
 
-    if (shouldClearSessions) {
-      await dbRun("DELETE FROM sessions WHERE user_id=?", [targetId]).catch(
-        () => { },
-      );
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : "Runner disconnected by administrator";
+
+    const placeholderSecret = generateRunnerSecret();
+    let secretHash;
+    let signingKey;
+    try {
+      secretHash = hashPassword(placeholderSecret);
+      signingKey = encryptVariableValue(deriveRunnerSigningKey(placeholderSecret));
+    } catch (err) {
+      console.error("Failed to hash runner secret", err);
+      res.status(500).json({ error: "Failed to disconnect runner host" });
+      return;
     }
 
-    const user = await loadUserById(targetId);
-    res.json({ user });
-  } catch (err) {
-    console.error("Failed to update user", err);
-    res.status(500).json({ error: "Failed to update user" });
-  }
-});
+    const isDisabled =
+      existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED;
 
-app.delete("/api/users/:id", requireAdmin, async (req, res) => {
-  const targetId = req.params.id;
+    try {
+      const updated = await db.updateRunnerHostStatus(hostId, {
+        secretHash,
+        signingKey,
+        status: isDisabled ? RUNNER_STATUS.DISABLED : RUNNER_STATUS.PENDING,
+        statusMessage: reason,
+        endpoint: null,
+        lastSeenAt: null,
+        maxConcurrency: null,
+        timeoutMs: null,
+      });
 
-  try {
-    const existing = await dbGet(
-      `SELECT id, username, is_admin, is_active, is_system FROM users WHERE id=? AND deleted_at IS NULL`,
-      [targetId],
-    );
+      detachRunnerHost(hostId, "Runner disconnected");
+
+      await recordAuditEvent({
+        req,
+        action: "runner.disconnected",
+        targetType: "runner_host",
+        targetId: hostId,
+        targetLabel: existing.name,
+        details: { reason },
+        before: auditRunnerHostSnapshot(existing),
+        after: auditRunnerHostSnapshot(updated),
+      });
+      res.json({
+        runnerHost: sanitizeRunnerHost(updated),
+        disconnected: true,
+      });
+    } catch (err) {
+      console.error("Failed to disconnect runner host", err);
+      res.status(500).json({ error: "Failed to disconnect runner host" });
+    }
+  },
+);
 
-    if (!existing) {
-      res.status(404).json({ error: "User not found" });
+app.post(
+  "/api/settings/runner-hosts/:id/enable",
+  requireAdmin,
+  async (req, res) => {
+    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : "Re-enabled by administrator";
+
+    if (!hostId) {
+      res.status(400).json({ error: "Runner host id is required" });
       return;
     }
 
-    if (existing.id === req.user.id) {
-      res.status(400).json({ error: "You cannot delete your own account" });
+    let existing;
+    try {
+      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+    } catch (err) {
+      console.error("Failed to load runner host", err);
+      res.status(500).json({ error: "Failed to enable runner host" });
       return;
     }
 
-    if (existing.is_admin) {
-      const countRow = await dbGet(
-        "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_admin=1 AND deleted_at IS NULL",
-        [targetId],
-      );
-      const adminCount = Number(countRow?.count ?? 0);
-      if (!Number.isFinite(adminCount) || adminCount <= 0) {
-      res.status(400).json({ error: "Cannot remove the only administrator" });
+    if (!existing) {
+      res.status(404).json({ error: "Runner host not found" });
       return;
     }
 
-    if (normalizeDbBoolean(existing.is_system)) {
-      res.status(400).json({ error: "System accounts cannot be deleted" });
+    if (!existing.disabledAt && existing.status !== RUNNER_STATUS.DISABLED) {
+      res.status(400).json({ error: "Runner host is not disabled" });
       return;
     }
-    }
 
-    if (existing.is_active) {
-      const countRow = await dbGet(
-        "SELECT COUNT(*) AS count FROM users WHERE id<>? AND is_active=1 AND deleted_at IS NULL",
-        [targetId],
-      );
-      const activeCount = Number(countRow?.count ?? 0);
-      if (!Number.isFinite(activeCount) || activeCount <= 0) {
-        res
-          .status(400)
-          .json({ error: "Cannot delete the only active account" });
-        return;
-      }
+    try {
+      const enabled = await db.updateRunnerHostStatus(hostId, {
+        status: RUNNER_STATUS.PENDING,
+        statusMessage: reason,
+        clearDisabledAt: true,
+      });
+      await recordAuditEvent({
+        req,
+        action: "runner.enabled",
+        targetType: "runner_host",
+        targetId: hostId,
+        targetLabel: existing.name,
+        details: { reason },
+        before: auditRunnerHostSnapshot(existing),
+        after: auditRunnerHostSnapshot(enabled),
+      });
+      res.json({ runnerHost: sanitizeRunnerHost(enabled) });
+    } catch (err) {
+      console.error("Failed to enable runner host", err);
+      res.status(500).json({ error: "Failed to enable runner host" });
     }
+  },
+);
 
-    let transactionActive = false;
-    try {
-      await dbRun("BEGIN IMMEDIATE TRANSACTION");
-      transactionActive = true;
+app.delete("/api/settings/runner-hosts/:id", requireAdmin, async (req, res) => {
+  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
 
-      const deletedAt = new Date().toISOString();
+  if (!hostId) {
+    res.status(400).json({ error: "Runner host id is required" });
+    return;
+  }
 
-      await dbRun("UPDATE scripts SET owner_id=NULL WHERE owner_id=?", [targetId]);
-      await dbRun("DELETE FROM script_permissions WHERE user_id=?", [targetId]);
-      await dbRun("DELETE FROM sessions WHERE user_id=?", [targetId]);
-      await dbRun("DELETE FROM user_preferences WHERE user_id=?", [targetId]);
-      await dbRun(
-        `UPDATE users
-            SET is_active=0,
-                is_admin=0,
-                must_change_password=0,
-                password_hash=NULL,
-                last_login=NULL,
-                deleted_at=?
-          WHERE id=?`,
-        [deletedAt, targetId],
-      );
+  let existing;
+  try {
+    existing = await db.getRunnerHostById(hostId);
+  } catch (err) {
+    console.error("Failed to load runner host", err);
+    res.status(500).json({ error: "Failed to delete runner host" });
+    return;
+  }
 
-      await dbRun("COMMIT");
-      transactionActive = false;
-    } catch (err) {
-      if (transactionActive) {
-        await dbRun("ROLLBACK").catch(() => { });
-      }
-      throw err;
-    }
+  if (!existing) {
+    res.status(404).json({ error: "Runner host not found" });
+    return;
+  }
+
+  try {
+    await db.deleteRunnerHost(hostId);
+  } catch (err) {
+    console.error("Failed to delete runner host", err);
+    res.status(500).json({ error: "Failed to delete runner host" });
+    return;
+  }
+
+  try {
+    await removeRunnerFromFallbackLists(hostId);
+  } catch (err) {
+    console.error("Failed to remove runner host from fallback lists", err);
+  }
+
+  detachRunnerHost(hostId, "Runner deleted");
+  await recordAuditEvent({
+    req,
+    action: "runner.deleted",
+    targetType: "runner_host",
+    targetId: hostId,
+    targetLabel: existing.name,
+    before: auditRunnerHostSnapshot(existing),
+    after: null,
+  });
+  res.json({ runnerHost: sanitizeRunnerHost(existing), deleted: true });
+});
 
-    res.json({ success: true });
+app.get("/api/settings/scheduler", requireAdmin, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT sj.*, s.name AS script_name, s.is_recycled AS script_is_recycled, w.name AS workflow_name
+         FROM scheduler_jobs sj
+         LEFT JOIN scripts s ON s.id = sj.script_id
+         LEFT JOIN workflows w ON w.id = sj.workflow_id
+        ORDER BY sj.created_at DESC, sj.name COLLATE NOCASE ASC`,
+    );
+    const jobs = Array.isArray(rows)
+      ? rows.map((row) => sanitizeSchedulerJobRow(row)).filter(Boolean)
+      : [];
+    res.json({
+      enabled: schedulerState.enabled,
+      running: schedulerState.running,
+      defaultTimeZone: HOST_TIME_ZONE,
+      jobs,
+    });
   } catch (err) {
-    console.error("Failed to delete user", err);
-    res.status(500).json({ error: "Failed to delete user" });
+    console.error("Failed to load scheduler jobs", err);
+    res.status(500).json({ error: "Failed to load scheduler jobs" });
   }
 });
 
-app.get("/api/settings/runner-hosts", requireAdmin, async (req, res) => {
+app.post("/api/settings/scheduler/state", requireAdmin, async (req, res) => {
+  const enabled = normalizeDbBoolean(req.body?.enabled ?? req.body?.isEnabled ?? true);
   try {
-    const hosts = await db.listRunnerHosts();
-    const normalized = hosts.map((host) => sanitizeRunnerHost(host)).filter(Boolean);
-    res.json({ runnerHosts: normalized, heartbeatWindowMs: RUNNER_HEALTH_WINDOW_MS });
+    const previous = schedulerState.enabled;
+    await setSchedulerEnabled(enabled);
+    await recordAuditEvent({
+      req,
+      action: enabled ? "scheduler.enabled" : "scheduler.disabled",
+      targetType: "scheduler",
+      before: { enabled: previous },
+      after: { enabled: schedulerState.enabled },
+    });
+    res.json({ enabled: schedulerState.enabled, running: schedulerState.running });
   } catch (err) {
-    console.error("Failed to list runner hosts", err);
-    res.status(500).json({ error: "Failed to load runner hosts" });
+    console.error("Failed to update scheduler state", err);
+    res.status(500).json({ error: "Failed to update scheduler state" });
   }
 });
 
-app.patch("/api/settings/runner-hosts/:id", requireAdmin, async (req, res) => {
-  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-  if (!hostId) {
-    res.status(400).json({ error: "Runner host id is required" });
+app.post("/api/settings/scheduler/preview", requireAdmin, (req, res) => {
+  const schedule = req.body?.schedule;
+  const normalizedSchedule = normalizeScheduleConfig(schedule);
+  if (!normalizedSchedule) {
+    res.status(400).json({ error: describeInvalidSchedule(schedule) });
     return;
   }
 
-  const body = req.body || {};
-  const hasName = Object.prototype.hasOwnProperty.call(body, "name");
-  const hasAdminOnly = Object.prototype.hasOwnProperty.call(body, "adminOnly");
-
-  if (!hasName && !hasAdminOnly) {
-    res.status(400).json({ error: "No changes provided" });
+  const timeZone = req.body?.timeZone ? normalizeTimeZone(req.body.timeZone) : HOST_TIME_ZONE;
+  if (!timeZone) {
+    res.status(400).json({ error: "Unknown time zone" });
     return;
   }
 
-  const updates = {};
+  const countRaw = Number.parseInt(req.body?.count ?? "", 10);
+  const count = Number.isFinite(countRaw) && countRaw > 0
+    ? Math.min(countRaw, SCHEDULER_PREVIEW_MAX_COUNT)
+    : SCHEDULER_PREVIEW_DEFAULT_COUNT;
 
-  if (hasName) {
-    const normalizedName = typeof body.name === "string" ? body.name.trim() : "";
-    if (!normalizedName) {
-      res.status(400).json({ error: "Runner name is required" });
-      return;
-    }
-    updates.name = normalizedName;
-  }
+  res.json({
+    schedule: normalizedSchedule,
+    timeZone,
+    nextRuns: computeUpcomingRuns(normalizedSchedule, count, new Date(), timeZone),
+  });
+});
 
-  if (hasAdminOnly) {
-    updates.adminOnly = Boolean(body.adminOnly);
+async function loadSchedulableWorkflow(workflowId) {
+  const workflowRow = await dbGet("SELECT id, name FROM workflows WHERE id=?", [workflowId]);
+  if (!workflowRow) {
+    const err = new Error("Workflow not found");
+    err.status = 400;
+    throw err;
   }
+  return workflowRow;
+}
 
-  let existing;
-  try {
-    existing = await db.getRunnerHostById(hostId, { includeSecret: true });
-  } catch (err) {
-    console.error("Failed to load runner host", err);
-    res.status(500).json({ error: "Failed to update runner host" });
+app.post("/api/settings/scheduler/jobs", requireAdmin, async (req, res) => {
+  const {
+    name,
+    scriptId,
+    workflowId,
+    httpMethod,
+    payload,
+    schedule,
+    timeZone,
+    misfirePolicy,
+    misfireLimit,
+    overlapPolicy,
+    retryPolicy,
+    isEnabled,
+  } = req.body || {};
+  const normalizedScriptId = typeof scriptId === "string" ? scriptId.trim() : "";
+  const normalizedWorkflowId = typeof workflowId === "string" ? workflowId.trim() : "";
+  if (!normalizedScriptId && !normalizedWorkflowId) {
+    res.status(400).json({ error: "Script or workflow is required" });
     return;
   }
-
-  if (!existing) {
-    res.status(404).json({ error: "Runner host not found" });
+  if (normalizedScriptId && normalizedWorkflowId) {
+    res.status(400).json({ error: "Choose either a script or a workflow" });
     return;
   }
 
-  if (!Object.keys(updates).length) {
-    res.json({ runnerHost: sanitizeRunnerHost(existing) });
+  const normalizedSchedule = normalizeScheduleConfig(schedule);
+  if (!normalizedSchedule) {
+    res.status(400).json({ error: describeInvalidSchedule(schedule) });
     return;
   }
 
-  try {
-    const updated = await db.updateRunnerHostStatus(hostId, updates);
-    res.json({ runnerHost: sanitizeRunnerHost(updated) });
-  } catch (err) {
-    if (err?.code === "SQLITE_CONSTRAINT") {
-      res.status(409).json({ error: "Runner name already exists" });
-      return;
-    }
-    console.error("Failed to update runner host", err);
-    res.status(500).json({ error: "Failed to update runner host" });
-  }
-});
-
-app.post("/api/settings/runner-hosts", requireAdmin, async (req, res) => {
-  const { id, name, secret, adminOnly: adminOnlyInput } = req.body || {};
-  const normalizedName = typeof name === "string" ? name.trim() : "";
-  if (!normalizedName) {
-    res.status(400).json({ error: "Runner name is required" });
+  const normalizedTimeZone = timeZone ? normalizeTimeZone(timeZone) : HOST_TIME_ZONE;
+  if (!normalizedTimeZone) {
+    res.status(400).json({ error: "Unknown time zone" });
     return;
   }
 
-  const normalizedId = typeof id === "string" ? id.trim() : "";
-
-  let plainSecret = typeof secret === "string" ? secret.trim() : "";
-  if (plainSecret && plainSecret.length < MIN_RUNNER_SECRET_LENGTH) {
-    res.status(400).json({
-      error: `Secret must be at least ${MIN_RUNNER_SECRET_LENGTH} characters long`,
-    });
+  const normalizedMisfirePolicy = misfirePolicy
+    ? normalizeMisfirePolicy(misfirePolicy)
+    : SCHEDULER_DEFAULT_MISFIRE_POLICY;
+  if (!normalizedMisfirePolicy) {
+    res.status(400).json({ error: "Unsupported misfire policy" });
     return;
   }
 
-  if (!plainSecret) {
-    plainSecret = generateRunnerSecret();
+  const normalizedOverlapPolicy = overlapPolicy
+    ? normalizeOverlapPolicy(overlapPolicy)
+    : SCHEDULER_DEFAULT_OVERLAP_POLICY;
+  if (!normalizedOverlapPolicy) {
+    res.status(400).json({ error: "Unsupported overlap policy" });
+    return;
   }
 
-  let secretHash;
-  try {
-    secretHash = hashPassword(plainSecret);
-  } catch (err) {
-    console.error("Failed to hash runner secret", err);
-    res.status(500).json({ error: "Failed to prepare runner secret" });
+  if (retryPolicy && !normalizeRetryPolicy(retryPolicy)) {
+    res.status(400).json({ error: "Invalid retry policy" });
     return;
   }
 
+  const normalizedMethod =
+    typeof httpMethod === "string" && SUPPORTED_HTTP_METHODS.includes(httpMethod.trim().toUpperCase())
+      ? httpMethod.trim().toUpperCase()
+      : "POST";
+
+  const jobName = typeof name === "string" ? name.trim() : "";
+  const jobId = uuidv4();
+  const nextRunAt = computeNextRunAt(normalizedSchedule, new Date(), normalizedTimeZone);
+  const createdAt = new Date().toISOString();
+
   try {
-    const created = await db.createRunnerHost({
-      id: normalizedId || undefined,
-      name: normalizedName,
-      secretHash,
-      status: RUNNER_STATUS.PENDING,
-      adminOnly: normalizeDbBoolean(adminOnlyInput),
+    if (normalizedWorkflowId) {
+      await loadSchedulableWorkflow(normalizedWorkflowId);
+    } else {
+      await ensureScriptAccess({ scriptId: normalizedScriptId, user: req.user, requiredPermission: "run" });
+    }
+    await dbRun(
+      `INSERT INTO scheduler_jobs (id, name, script_id, workflow_id, http_method, payload, schedule_config, time_zone, misfire_policy, misfire_limit, overlap_policy, retry_policy_json, is_enabled, next_run_at, created_at, updated_at, created_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        jobId,
+        jobName || null,
+        normalizedScriptId || null,
+        normalizedWorkflowId || null,
+        normalizedMethod,
+        serializeSchedulerPayload(payload),
+        serializeScheduleConfig(normalizedSchedule),
+        normalizedTimeZone,
+        normalizedMisfirePolicy,
+        normalizeMisfireLimit(misfireLimit),
+        normalizedOverlapPolicy,
+        serializeRetryPolicy(retryPolicy),
+        normalizeDbBoolean(isEnabled) ? 1 : 0,
+        nextRunAt,
+        createdAt,
+        createdAt,
+        req.user.id,
+      ],
+    );
+
+    const createdRow = await loadSchedulerJob(jobId);
+    scheduleSchedulerTick(500);
+    await recordAuditEvent({
+      req,
+      action: "scheduler.job.created",
+      targetType: "scheduler_job",
+      targetId: jobId,
+      targetLabel: createdRow?.name || null,
+      before: null,
+      after: auditSchedulerJobSnapshot(createdRow),
     });
-    const sanitized = sanitizeRunnerHost(created);
-    res.status(201).json({ runnerHost: sanitized, secret: plainSecret });
+    res.status(201).json({ job: sanitizeSchedulerJobRow(createdRow) });
   } catch (err) {
-    if (err?.code === "SQLITE_CONSTRAINT") {
-      res.status(409).json({ error: "Runner name or id already exists" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
       return;
     }
-    console.error("Failed to create runner host", err);
-    res.status(500).json({ error: "Failed to create runner host" });
+    console.error("Failed to create scheduler job", err);
+    res.status(500).json({ error: "Failed to create scheduler job" });
   }
 });
 
-app.post(
-  "/api/settings/runner-hosts/:id/rotate-secret",
-  requireAdmin,
-  async (req, res) => {
-    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-    if (!hostId) {
-      res.status(400).json({ error: "Runner host id is required" });
-      return;
-    }
+app.patch("/api/settings/scheduler/jobs/:id", requireAdmin, async (req, res) => {
+  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!jobId) {
+    res.status(400).json({ error: "Job id is required" });
+    return;
+  }
 
-    let existing;
-    try {
-      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
-    } catch (err) {
-      console.error("Failed to load runner host", err);
-      res.status(500).json({ error: "Failed to rotate runner secret" });
-      return;
-    }
+  const existing = await loadSchedulerJob(jobId);
+  if (!existing) {
+    res.status(404).json({ error: "Job not found" });
+    return;
+  }
 
-    if (!existing) {
-      res.status(404).json({ error: "Runner host not found" });
-      return;
-    }
+  const {
+    name,
+    scriptId,
+    workflowId,
+    httpMethod,
+    payload,
+    schedule,
+    timeZone,
+    misfirePolicy,
+    misfireLimit,
+    overlapPolicy,
+    retryPolicy,
+    isEnabled,
+  } = req.body || {};
 
-    let plainSecret =
-      typeof req.body?.secret === "string" ? req.body.secret.trim() : "";
-    if (plainSecret && plainSecret.length < MIN_RUNNER_SECRET_LENGTH) {
-      res.status(400).json({
-        error: `Secret must be at least ${MIN_RUNNER_SECRET_LENGTH} characters long`,
-      });
-      return;
-    }
+  const updates = [];
+  const params = [];
+  let normalizedSchedule = null;
+  let normalizedTimeZone = existing.time_zone;
+  let shouldRefreshNextRun = false;
+  let targetScriptIsRecycled = normalizeDbBoolean(existing.script_is_recycled);
 
-    if (!plainSecret) {
-      plainSecret = generateRunnerSecret();
-    }
+  if (typeof name === "string") {
+    updates.push("name=?");
+    params.push(name.trim());
+  }
 
-    let secretHash;
-    try {
-      secretHash = hashPassword(plainSecret);
-    } catch (err) {
-      console.error("Failed to hash runner secret", err);
-      res.status(500).json({ error: "Failed to rotate runner secret" });
+  if (typeof httpMethod === "string") {
+    const normalizedMethod = httpMethod.trim().toUpperCase();
+    if (!SUPPORTED_HTTP_METHODS.includes(normalizedMethod)) {
+      res.status(400).json({ error: "Unsupported HTTP method" });
       return;
     }
+    updates.push("http_method=?");
+    params.push(normalizedMethod);
+  }
 
-    const reason =
-      typeof req.body?.reason === "string" && req.body.reason.trim()
-        ? req.body.reason.trim()
-        : "Runner secret rotated by administrator";
-
-    const isDisabled =
-      existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED;
-
-    try {
-      const updated = await db.updateRunnerHostStatus(hostId, {
-        secretHash,
-        status: isDisabled ? RUNNER_STATUS.DISABLED : RUNNER_STATUS.PENDING,
-        statusMessage: reason,
-        endpoint: null,
-        lastSeenAt: null,
-        maxConcurrency: null,
-        timeoutMs: null,
-      });
-
-      unregisterRunnerHost(hostId);
-
-      res.json({
-        runnerHost: sanitizeRunnerHost(updated),
-        secret: plainSecret,
-      });
-    } catch (err) {
-      console.error("Failed to rotate runner secret", err);
-      res.status(500).json({ error: "Failed to rotate runner secret" });
-    }
-  },
-);
-
-app.get("/api/runners", requireAuthenticated, async (req, res) => {
-  try {
-    const hosts = await db.listRunnerHosts();
-    let normalized = hosts.map((host) => sanitizeRunnerHost(host)).filter(Boolean);
-    if (!req.user?.isAdmin) {
-      normalized = normalized.filter((host) => !host.adminOnly);
+  if (payload !== undefined) {
+    updates.push("payload=?");
+    params.push(serializeSchedulerPayload(payload));
+  }
+
+  if (schedule !== undefined) {
+    normalizedSchedule = normalizeScheduleConfig(schedule);
+    if (!normalizedSchedule) {
+      res.status(400).json({ error: describeInvalidSchedule(schedule) });
+      return;
     }
-    res.json({ runnerHosts: normalized });
-  } catch (err) {
-    console.error("Failed to list runner hosts", err);
-    res.status(500).json({ error: "Failed to load runner hosts" });
+    updates.push("schedule_config=?");
+    params.push(serializeScheduleConfig(normalizedSchedule));
+    shouldRefreshNextRun = true;
   }
-});
 
-app.post(
-  "/api/settings/runner-hosts/:id/disable",
-  requireAdmin,
-  async (req, res) => {
-    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-    const reason =
-      typeof req.body?.reason === "string" && req.body.reason.trim()
-        ? req.body.reason.trim()
-        : "Disabled by administrator";
+  if (timeZone !== undefined) {
+    normalizedTimeZone = normalizeTimeZone(timeZone);
+    if (!normalizedTimeZone) {
+      res.status(400).json({ error: "Unknown time zone" });
+      return;
+    }
+    updates.push("time_zone=?");
+    params.push(normalizedTimeZone);
+    shouldRefreshNextRun = true;
+  }
 
-    if (!hostId) {
-      res.status(400).json({ error: "Runner host id is required" });
+  if (misfirePolicy !== undefined) {
+    const normalizedMisfirePolicy = normalizeMisfirePolicy(misfirePolicy);
+    if (!normalizedMisfirePolicy) {
+      res.status(400).json({ error: "Unsupported misfire policy" });
       return;
     }
+    updates.push("misfire_policy=?");
+    params.push(normalizedMisfirePolicy);
+  }
 
-    try {
-      const disabled = await db.disableRunnerHost(hostId, { statusMessage: reason });
-      if (!disabled) {
-        res.status(404).json({ error: "Runner host not found" });
-        return;
-      }
+  if (misfireLimit !== undefined) {
+    updates.push("misfire_limit=?");
+    params.push(normalizeMisfireLimit(misfireLimit));
+  }
 
-      unregisterRunnerHost(hostId);
-      res.json({ runnerHost: sanitizeRunnerHost(disabled) });
-    } catch (err) {
-      console.error("Failed to disable runner host", err);
-      res.status(500).json({ error: "Failed to disable runner host" });
+  if (overlapPolicy !== undefined) {
+    const normalizedOverlapPolicy = normalizeOverlapPolicy(overlapPolicy);
+    if (!normalizedOverlapPolicy) {
+      res.status(400).json({ error: "Unsupported overlap policy" });
+      return;
     }
-  },
-);
+    updates.push("overlap_policy=?");
+    params.push(normalizedOverlapPolicy);
+    if (normalizedOverlapPolicy !== "queue_one") {
+      updates.push("overlap_pending_at=NULL");
+    }
+  }
 
-app.post(
-  "/api/settings/runner-hosts/:id/disconnect",
-  requireAdmin,
-  async (req, res) => {
-    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-    if (!hostId) {
-      res.status(400).json({ error: "Runner host id is required" });
+  if (retryPolicy !== undefined) {
+    if (retryPolicy !== null && !normalizeRetryPolicy(retryPolicy)) {
+      res.status(400).json({ error: "Invalid retry policy" });
       return;
     }
+    updates.push("retry_policy_json=?");
+    params.push(serializeRetryPolicy(retryPolicy));
+  }
 
-    let existing;
+  const normalizedScriptId = typeof scriptId === "string" ? scriptId.trim() : "";
+  const normalizedWorkflowId = typeof workflowId === "string" ? workflowId.trim() : "";
+  if (normalizedScriptId && normalizedWorkflowId) {
+    res.status(400).json({ error: "Choose either a script or a workflow" });
+    return;
+  }
+  if (normalizedWorkflowId) {
     try {
-      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+      await loadSchedulableWorkflow(normalizedWorkflowId);
     } catch (err) {
-      console.error("Failed to load runner host", err);
-      res.status(500).json({ error: "Failed to disconnect runner host" });
+      res.status(err.status || 500).json({ error: err.status ? err.message : "Workflow could not be loaded" });
       return;
     }
-
-    if (!existing) {
-      res.status(404).json({ error: "Runner host not found" });
+    updates.push("workflow_id=?", "script_id=NULL");
+    params.push(normalizedWorkflowId);
+    targetScriptIsRecycled = false;
+  } else if (scriptId !== undefined || workflowId !== undefined) {
+    if (!normalizedScriptId) {
+      res.status(400).json({ error: "Script or workflow is required" });
       return;
     }
-
-    const reason =
-      typeof req.body?.reason === "string" && req.body.reason.trim()
-        ? req.body.reason.trim()
-        : "Runner disconnected by administrator";
-
-    const placeholderSecret = generateRunnerSecret();
-    let secretHash;
     try {
-      secretHash = hashPassword(placeholderSecret);
+      const scriptAccess = await ensureScriptAccess({
+        scriptId: normalizedScriptId,
+        user: req.user,
+        requiredPermission: "run",
+      });
+      targetScriptIsRecycled = Boolean(scriptAccess?.script?.is_recycled);
     } catch (err) {
-      console.error("Failed to hash runner secret", err);
-      res.status(500).json({ error: "Failed to disconnect runner host" });
+      console.error("Scheduler job script validation failed", err);
+      res.status(400).json({ error: "Script could not be loaded" });
       return;
     }
+    updates.push("script_id=?", "workflow_id=NULL");
+    params.push(normalizedScriptId);
+  }
 
-    const isDisabled =
-      existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED;
+  if (typeof isEnabled === "boolean") {
+    if (isEnabled && targetScriptIsRecycled) {
+      res.status(400).json({ error: "Cannot enable a job for a recycled script" });
+      return;
+    }
+    updates.push("is_enabled=?");
+    params.push(isEnabled ? 1 : 0);
+    shouldRefreshNextRun = shouldRefreshNextRun || isEnabled;
+  }
 
-    try {
-      const updated = await db.updateRunnerHostStatus(hostId, {
-        secretHash,
-        status: isDisabled ? RUNNER_STATUS.DISABLED : RUNNER_STATUS.PENDING,
-        statusMessage: reason,
-        endpoint: null,
-        lastSeenAt: null,
-        maxConcurrency: null,
-        timeoutMs: null,
-      });
+  if (!updates.length) {
+    res.json({ job: sanitizeSchedulerJobRow(existing) });
+    return;
+  }
 
-      unregisterRunnerHost(hostId);
+  let nextRunValue = existing.next_run_at;
+  const scheduleForNextRun = normalizedSchedule || deserializeScheduleConfig(existing.schedule_config);
+  if (shouldRefreshNextRun) {
+    nextRunValue = computeNextRunAt(scheduleForNextRun, new Date(), normalizedTimeZone);
+    updates.push("next_run_at=?");
+    params.push(nextRunValue);
+  }
 
-      res.json({
-        runnerHost: sanitizeRunnerHost(updated),
-        disconnected: true,
-      });
-    } catch (err) {
-      console.error("Failed to disconnect runner host", err);
-      res.status(500).json({ error: "Failed to disconnect runner host" });
-    }
-  },
-);
+  updates.push("updated_at=CURRENT_TIMESTAMP");
+  params.push(jobId);
 
-app.post(
-  "/api/settings/runner-hosts/:id/enable",
-  requireAdmin,
-  async (req, res) => {
-    const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-    const reason =
-      typeof req.body?.reason === "string" && req.body.reason.trim()
-        ? req.body.reason.trim()
-        : "Re-enabled by administrator";
+  try {
+    await dbRun(`UPDATE scheduler_jobs SET ${updates.join(", ")} WHERE id=?`, params);
+    const updated = await loadSchedulerJob(jobId);
+    scheduleSchedulerTick(500);
+    await recordAuditEvent({
+      req,
+      action: "scheduler.job.updated",
+      targetType: "scheduler_job",
+      targetId: jobId,
+      targetLabel: updated?.name || existing.name,
+      before: auditSchedulerJobSnapshot(existing),
+      after: auditSchedulerJobSnapshot(updated),
+    });
+    res.json({ job: sanitizeSchedulerJobRow(updated) });
+  } catch (err) {
+    console.error("Failed to update scheduler job", err);
+    res.status(500).json({ error: "Failed to update scheduler job" });
+  }
+});
 
-    if (!hostId) {
-      res.status(400).json({ error: "Runner host id is required" });
+app.get("/api/settings/scheduler/jobs/:id/misfires", requireAdmin, async (req, res) => {
+  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!jobId) {
+    res.status(400).json({ error: "Job id is required" });
+    return;
+  }
+
+  try {
+    const existing = await dbGet("SELECT id FROM scheduler_jobs WHERE id=?", [jobId]);
+    if (!existing) {
+      res.status(404).json({ error: "Job not found" });
       return;
     }
+    const rows = await dbAll(
+      `SELECT * FROM scheduler_job_misfires
+        WHERE job_id=?
+        ORDER BY scheduled_at DESC
+        LIMIT ?`,
+      [jobId, SCHEDULER_MISFIRE_HISTORY_LIMIT],
+    );
+    res.json({ misfires: rows.map((row) => sanitizeSchedulerMisfireRow(row)).filter(Boolean) });
+  } catch (err) {
+    console.error("Failed to load scheduler job misfires", err);
+    res.status(500).json({ error: "Failed to load missed runs" });
+  }
+});
 
-    let existing;
+app.post("/api/settings/scheduler/jobs/:id/test", requireAdmin, async (req, res) => {
+  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!jobId) {
+    res.status(400).json({ error: "Job id is required" });
+    return;
+  }
+
+  const jobRow = await dbGet("SELECT * FROM scheduler_jobs WHERE id=?", [jobId]);
+  if (!jobRow) {
+    res.status(404).json({ error: "Job not found" });
+    return;
+  }
+
+  if (!jobRow.workflow_id) {
     try {
-      existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+      await ensureScriptAccess({ scriptId: jobRow.script_id, user: req.user, requiredPermission: "run" });
     } catch (err) {
-      console.error("Failed to load runner host", err);
-      res.status(500).json({ error: "Failed to enable runner host" });
+      res.status(403).json({ error: "You do not have access to this script" });
       return;
     }
+  }
 
-    if (!existing) {
-      res.status(404).json({ error: "Runner host not found" });
-      return;
-    }
+  try {
+    const startedAt = new Date().toISOString();
+    const result = await dispatchSchedulerJob(jobRow, { testRun: true });
+    await dbRun(
+      `UPDATE scheduler_jobs SET last_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
+      [startedAt, jobId],
+    );
+    res.json({ success: true, runId: result?.runId || null });
+  } catch (err) {
+    console.error("Failed to start test run", err);
+    res.status(500).json({ error: "Failed to start test run" });
+  }
+});
 
-    if (!existing.disabledAt && existing.status !== RUNNER_STATUS.DISABLED) {
-      res.status(400).json({ error: "Runner host is not disabled" });
-      return;
-    }
+app.delete("/api/settings/scheduler/jobs/:id", requireAdmin, async (req, res) => {
+  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!jobId) {
+    res.status(400).json({ error: "Job id is required" });
+    return;
+  }
 
-    try {
-      const enabled = await db.updateRunnerHostStatus(hostId, {
-        status: RUNNER_STATUS.PENDING,
-        statusMessage: reason,
-        clearDisabledAt: true,
-      });
-      res.json({ runnerHost: sanitizeRunnerHost(enabled) });
-    } catch (err) {
-      console.error("Failed to enable runner host", err);
-      res.status(500).json({ error: "Failed to enable runner host" });
-    }
-  },
-);
+  const existing = await loadSchedulerJob(jobId);
+  if (!existing) {
+    res.status(404).json({ error: "Job not found" });
+    return;
+  }
+
+  try {
+    await dbRun("DELETE FROM scheduler_job_misfires WHERE job_id=?", [jobId]);
+    await dbRun("DELETE FROM scheduler_jobs WHERE id=?", [jobId]);
+    await recordAuditEvent({
+      req,
+      action: "scheduler.job.deleted",
+      targetType: "scheduler_job",
+      targetId: jobId,
+      targetLabel: existing.name || null,
+      before: auditSchedulerJobSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Failed to delete scheduler job", err);
+    res.status(500).json({ error: "Failed to delete scheduler job" });
+  }
+});
+
+function sanitizeScriptTriggerRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name || "",
+    sourceScriptId: row.source_script_id,
+    sourceScriptName: row.source_script_name || null,
+    targetScriptId: row.target_script_id,
+    targetScriptName: row.target_script_name || null,
+    onStatus: SCRIPT_TRIGGER_EVENTS.includes(row.on_status) ? row.on_status : "success",
+    condition: parseTriggerCondition(row.condition_json),
+    isEnabled: normalizeDbBoolean(row.is_enabled),
+    lastFiredAt: row.last_fired_at || null,
+    lastRunId: row.last_run_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function auditScriptTriggerSnapshot(row) {
+  const trigger = sanitizeScriptTriggerRow(row);
+  if (!trigger) return null;
+  return {
+    name: trigger.name,
+    sourceScriptId: trigger.sourceScriptId,
+    targetScriptId: trigger.targetScriptId,
+    onStatus: trigger.onStatus,
+    condition: trigger.condition,
+    isEnabled: trigger.isEnabled,
+  };
+}
 
-app.delete("/api/settings/runner-hosts/:id", requireAdmin, async (req, res) => {
-  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+async function loadScriptTrigger(triggerId) {
+  return dbGet(
+    `SELECT st.*, src.name AS source_script_name, tgt.name AS target_script_name
+       FROM script_triggers st
+       LEFT JOIN scripts src ON src.id = st.source_script_id
+       LEFT JOIN scripts tgt ON tgt.id = st.target_script_id
+      WHERE st.id=?`,
+    [triggerId],
+  );
+}
 
-  if (!hostId) {
-    res.status(400).json({ error: "Runner host id is required" });
-    return;
+// Shared by create and update; fields missing from the body keep their
+// stored values.
+async function resolveScriptTriggerPayload(body, user, existing = null) {
+  const sourceScriptId =
+    typeof body.sourceScriptId === "string"
+      ? body.sourceScriptId.trim()
+      : existing?.source_script_id || "";
+  const targetScriptId =
+    typeof body.targetScriptId === "string"
+      ? body.targetScriptId.trim()
+      : existing?.target_script_id || "";
+  if (!sourceScriptId || !targetScriptId) {
+    const err = new Error("Source and target scripts are required");
+    err.status = 400;
+    throw err;
   }
 
-  let existing;
-  try {
-    existing = await db.getRunnerHostById(hostId);
-  } catch (err) {
-    console.error("Failed to load runner host", err);
-    res.status(500).json({ error: "Failed to delete runner host" });
-    return;
+  const onStatus = body.onStatus === undefined ? existing?.on_status || "success" : body.onStatus;
+  if (!SCRIPT_TRIGGER_EVENTS.includes(onStatus)) {
+    const err = new Error("Unsupported trigger event");
+    err.status = 400;
+    throw err;
   }
 
-  if (!existing) {
-    res.status(404).json({ error: "Runner host not found" });
-    return;
+  let conditionJson = existing?.condition_json || null;
+  if (body.condition !== undefined) {
+    try {
+      const condition = normalizeOutcomeCondition(body.condition, "Trigger");
+      conditionJson = condition ? JSON.stringify(condition) : null;
+    } catch (err) {
+      err.status = 400;
+      throw err;
+    }
   }
 
   try {
-    await db.deleteRunnerHost(hostId);
+    await ensureScriptAccess({ scriptId: sourceScriptId, user, requiredPermission: "read" });
+    await ensureScriptAccess({ scriptId: targetScriptId, user, requiredPermission: "run" });
   } catch (err) {
-    console.error("Failed to delete runner host", err);
-    res.status(500).json({ error: "Failed to delete runner host" });
-    return;
+    const accessErr = new Error("You do not have access to this script");
+    accessErr.status = 403;
+    throw accessErr;
   }
 
-  unregisterRunnerHost(hostId);
-  res.json({ runnerHost: sanitizeRunnerHost(existing), deleted: true });
-});
+  return {
+    name: typeof body.name === "string" ? body.name.trim() : existing?.name || "",
+    sourceScriptId,
+    targetScriptId,
+    onStatus,
+    conditionJson,
+    isEnabled:
+      body.isEnabled === undefined
+        ? existing
+          ? normalizeDbBoolean(existing.is_enabled)
+          : true
+        : normalizeDbBoolean(body.isEnabled),
+  };
+}
 
-app.get("/api/settings/scheduler", requireAdmin, async (req, res) => {
+app.get("/api/settings/triggers", requireAdmin, async (req, res) => {
   try {
     const rows = await dbAll(
-      `SELECT sj.*, s.name AS script_name, s.is_recycled AS script_is_recycled
-         FROM scheduler_jobs sj
-         LEFT JOIN scripts s ON s.id = sj.script_id
-        ORDER BY sj.created_at DESC, sj.name COLLATE NOCASE ASC`,
+      `SELECT st.*, src.name AS source_script_name, tgt.name AS target_script_name
+         FROM script_triggers st
+         LEFT JOIN scripts src ON src.id = st.source_script_id
+         LEFT JOIN scripts tgt ON tgt.id = st.target_script_id
+        ORDER BY st.created_at DESC`,
     );
-    const jobs = Array.isArray(rows)
-      ? rows.map((row) => sanitizeSchedulerJobRow(row)).filter(Boolean)
-      : [];
-    res.json({ enabled: schedulerState.enabled, running: schedulerState.running, jobs });
+    res.json({
+      triggers: rows.map((row) => sanitizeScriptTriggerRow(row)),
+      maxChainDepth: SCRIPT_TRIGGER_MAX_DEPTH,
+    });
   } catch (err) {
-    console.error("Failed to load scheduler jobs", err);
-    res.status(500).json({ error: "Failed to load scheduler jobs" });
+    console.error("Failed to load script triggers", err);
+    res.status(500).json({ error: "Failed to load triggers" });
   }
 });
 
-app.post("/api/settings/scheduler/state", requireAdmin, async (req, res) => {
-  const enabled = normalizeDbBoolean(req.body?.enabled ?? req.body?.isEnabled ?? true);
+app.post("/api/settings/triggers", requireAdmin, async (req, res) => {
   try {
-    await setSchedulerEnabled(enabled);
-    res.json({ enabled: schedulerState.enabled, running: schedulerState.running });
+    const payload = await resolveScriptTriggerPayload(req.body || {}, req.user);
+    const triggerId = uuidv4();
+    const createdAt = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO script_triggers (id, name, source_script_id, target_script_id, on_status, condition_json, is_enabled, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        triggerId,
+        payload.name || null,
+        payload.sourceScriptId,
+        payload.targetScriptId,
+        payload.onStatus,
+        payload.conditionJson,
+        payload.isEnabled ? 1 : 0,
+        req.user.id,
+        createdAt,
+        createdAt,
+      ],
+    );
+    const created = await loadScriptTrigger(triggerId);
+    await recordAuditEvent({
+      req,
+      action: "trigger.created",
+      targetType: "script_trigger",
+      targetId: triggerId,
+      targetLabel: payload.name || null,
+      before: null,
+      after: auditScriptTriggerSnapshot(created),
+    });
+    res.status(201).json({ trigger: sanitizeScriptTriggerRow(created) });
   } catch (err) {
-    console.error("Failed to update scheduler state", err);
-    res.status(500).json({ error: "Failed to update scheduler state" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to create script trigger", err);
+    res.status(500).json({ error: "Failed to create trigger" });
   }
 });
 
-app.post("/api/settings/scheduler/jobs", requireAdmin, async (req, res) => {
-  const { name, scriptId, httpMethod, payload, schedule, isEnabled } = req.body || {};
-  const normalizedScriptId = typeof scriptId === "string" ? scriptId.trim() : "";
-  if (!normalizedScriptId) {
-    res.status(400).json({ error: "Script is required" });
-    return;
-  }
-
-  const normalizedSchedule = normalizeScheduleConfig(schedule);
-  if (!normalizedSchedule) {
-    res.status(400).json({ error: "A valid schedule is required" });
+app.patch("/api/settings/triggers/:id", requireAdmin, async (req, res) => {
+  const existing = await dbGet("SELECT * FROM script_triggers WHERE id=?", [req.params.id]);
+  if (!existing) {
+    res.status(404).json({ error: "Trigger not found" });
     return;
   }
 
-  const normalizedMethod =
-    typeof httpMethod === "string" && SUPPORTED_HTTP_METHODS.includes(httpMethod.trim().toUpperCase())
-      ? httpMethod.trim().toUpperCase()
-      : "POST";
-
-  const jobName = typeof name === "string" ? name.trim() : "";
-  const jobId = uuidv4();
-  const nextRunAt = computeNextRunAt(normalizedSchedule, new Date());
-  const createdAt = new Date().toISOString();
-
   try {
-    await ensureScriptAccess({ scriptId: normalizedScriptId, user: req.user, requiredPermission: "run" });
+    const payload = await resolveScriptTriggerPayload(req.body || {}, req.user, existing);
     await dbRun(
-      `INSERT INTO scheduler_jobs (id, name, script_id, http_method, payload, schedule_config, is_enabled, next_run_at, created_at, updated_at, created_by_user_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `UPDATE script_triggers
+          SET name=?, source_script_id=?, target_script_id=?, on_status=?, condition_json=?, is_enabled=?, updated_at=?
+        WHERE id=?`,
       [
-        jobId,
-        jobName || null,
-        normalizedScriptId,
-        normalizedMethod,
-        serializeSchedulerPayload(payload),
-        serializeScheduleConfig(normalizedSchedule),
-        normalizeDbBoolean(isEnabled) ? 1 : 0,
-        nextRunAt,
-        createdAt,
-        createdAt,
-        req.user.id,
+        payload.name || null,
+        payload.sourceScriptId,
+        payload.targetScriptId,
+        payload.onStatus,
+        payload.conditionJson,
+        payload.isEnabled ? 1 : 0,
+        new Date().toISOString(),
+        existing.id,
       ],
     );
-
-    const createdRow = await loadSchedulerJob(jobId);
-    scheduleSchedulerTick(500);
-    res.status(201).json({ job: sanitizeSchedulerJobRow(createdRow) });
+    const updated = await loadScriptTrigger(existing.id);
+    await recordAuditEvent({
+      req,
+      action: "trigger.updated",
+      targetType: "script_trigger",
+      targetId: existing.id,
+      targetLabel: payload.name || null,
+      before: auditScriptTriggerSnapshot(existing),
+      after: auditScriptTriggerSnapshot(updated),
+    });
+    res.json({ trigger: sanitizeScriptTriggerRow(updated) });
   } catch (err) {
-    console.error("Failed to create scheduler job", err);
-    res.status(500).json({ error: "Failed to create scheduler job" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update script trigger", err);
+    res.status(500).json({ error: "Failed to update trigger" });
   }
 });
 
-app.patch("/api/settings/scheduler/jobs/:id", requireAdmin, async (req, res) => {
-  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-  if (!jobId) {
-    res.status(400).json({ error: "Job id is required" });
-    return;
-  }
-
-  const existing = await loadSchedulerJob(jobId);
-  if (!existing) {
-    res.status(404).json({ error: "Job not found" });
-    return;
+app.delete("/api/settings/triggers/:id", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM script_triggers WHERE id=?", [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: "Trigger not found" });
+      return;
+    }
+    await dbRun("DELETE FROM script_triggers WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "trigger.deleted",
+      targetType: "script_trigger",
+      targetId: existing.id,
+      targetLabel: existing.name || null,
+      before: auditScriptTriggerSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Failed to delete script trigger", err);
+    res.status(500).json({ error: "Failed to delete trigger" });
   }
+});
 
-  const { name, scriptId, httpMethod, payload, schedule, isEnabled } = req.body || {};
+function auditWorkflowSnapshot(row) {
+  if (!row) return null;
+  return {
+    name: row.name,
+    endpoint: row.endpoint,
+    description: row.description || "",
+    definition: parseWorkflowDefinition(row.definition_json) || { steps: [] },
+    isEnabled: normalizeDbBoolean(row.is_enabled),
+  };
+}
 
-  const updates = [];
-  const params = [];
-  let normalizedSchedule = null;
-  let shouldRefreshNextRun = false;
-  let targetScriptIsRecycled = normalizeDbBoolean(existing.script_is_recycled);
+function sanitizeWorkflowRow(row, lastRun = null) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    endpoint: row.endpoint,
+    description: row.description || "",
+    definition: parseWorkflowDefinition(row.definition_json) || { steps: [] },
+    isEnabled: normalizeDbBoolean(row.is_enabled),
+    hasToken: Boolean(row.run_token),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastRun: lastRun
+      ? {
+          id: lastRun.id,
+          status: lastRun.status,
+          startTime: lastRun.start_time,
+          endTime: lastRun.end_time,
+        }
+      : null,
+  };
+}
 
-  if (typeof name === "string") {
-    updates.push("name=?");
-    params.push(name.trim());
-  }
+function sanitizeWorkflowRunRow(row, steps = []) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    triggeredBy: row.triggered_by,
+    input: parseWorkflowJson(row.input_json),
+    output: parseWorkflowJson(row.output_json),
+    error: row.error || null,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    steps: steps.map((step) => ({
+      stepId: step.step_id,
+      scriptId: step.script_id,
+      scriptName: step.script_name || null,
+      scriptEndpoint: step.script_endpoint || null,
+      runId: step.run_id,
+      status: step.status,
+      exitCode: step.exit_code,
+      output: parseWorkflowJson(step.output_json),
+      error: step.error || null,
+      startTime: step.start_time,
+      endTime: step.end_time,
+    })),
+  };
+}
 
-  if (typeof httpMethod === "string") {
-    const normalizedMethod = httpMethod.trim().toUpperCase();
-    if (!SUPPORTED_HTTP_METHODS.includes(normalizedMethod)) {
-      res.status(400).json({ error: "Unsupported HTTP method" });
-      return;
-    }
-    updates.push("http_method=?");
-    params.push(normalizedMethod);
+// Validates the request body shared by create and update. Step scripts must be
+// runnable by the admin saving the workflow.
+async function resolveWorkflowPayload(body, user, existing = null) {
+  const name = typeof body.name === "string" ? body.name.trim() : existing?.name || "";
+  if (!name) {
+    const err = new Error("Workflow name is required");
+    err.status = 400;
+    throw err;
   }
 
-  if (payload !== undefined) {
-    updates.push("payload=?");
-    params.push(serializeSchedulerPayload(payload));
+  const endpoint =
+    typeof body.endpoint === "string" ? body.endpoint.trim() : existing?.endpoint || "";
+  if (!WORKFLOW_ENDPOINT_PATTERN.test(endpoint)) {
+    const err = new Error('Endpoint may only contain letters, numbers, "-" or "_"');
+    err.status = 400;
+    throw err;
   }
-
-  if (schedule !== undefined) {
-    normalizedSchedule = normalizeScheduleConfig(schedule);
-    if (!normalizedSchedule) {
-      res.status(400).json({ error: "A valid schedule is required" });
-      return;
-    }
-    updates.push("schedule_config=?");
-    params.push(serializeScheduleConfig(normalizedSchedule));
-    shouldRefreshNextRun = true;
+  const conflict = await dbGet(
+    "SELECT id FROM workflows WHERE LOWER(endpoint)=LOWER(?) AND id<>?",
+    [endpoint, existing?.id || ""],
+  );
+  if (conflict) {
+    const err = new Error("Another workflow already uses this endpoint");
+    err.status = 409;
+    throw err;
   }
 
-  const normalizedScriptId = typeof scriptId === "string" ? scriptId.trim() : existing.script_id;
-  if (scriptId !== undefined) {
-    if (!normalizedScriptId) {
-      res.status(400).json({ error: "Script is required" });
-      return;
-    }
+  let definition;
+  if (body.definition !== undefined || !existing) {
     try {
-      const scriptAccess = await ensureScriptAccess({
-        scriptId: normalizedScriptId,
-        user: req.user,
-        requiredPermission: "run",
-      });
-      targetScriptIsRecycled = Boolean(scriptAccess?.script?.is_recycled);
+      definition = normalizeWorkflowDefinition(body.definition);
     } catch (err) {
-      console.error("Scheduler job script validation failed", err);
-      res.status(400).json({ error: "Script could not be loaded" });
-      return;
+      err.status = 400;
+      throw err;
     }
-    updates.push("script_id=?");
-    params.push(normalizedScriptId);
+    for (const step of definition.steps) {
+      try {
+        await ensureScriptAccess({ scriptId: step.scriptId, user, requiredPermission: "run" });
+      } catch (err) {
+        const stepErr = new Error(`Step "${step.id}" references a script that is unavailable`);
+        stepErr.status = 400;
+        throw stepErr;
+      }
+    }
+  } else {
+    definition = parseWorkflowDefinition(existing.definition_json);
   }
 
-  if (typeof isEnabled === "boolean") {
-    if (isEnabled && targetScriptIsRecycled) {
-      res.status(400).json({ error: "Cannot enable a job for a recycled script" });
+  return {
+    name,
+    endpoint,
+    description:
+      typeof body.description === "string" ? body.description.trim() : existing?.description || "",
+    definitionJson: JSON.stringify(definition),
+    isEnabled:
+      body.isEnabled === undefined
+        ? existing
+          ? normalizeDbBoolean(existing.is_enabled)
+          : true
+        : normalizeDbBoolean(body.isEnabled),
+  };
+}
+
+app.get("/api/settings/workflows", requireAdmin, async (req, res) => {
+  try {
+    const rows = await dbAll("SELECT * FROM workflows ORDER BY name COLLATE NOCASE ASC");
+    const lastRuns = await dbAll(
+      `SELECT wr.* FROM workflow_runs wr
+        WHERE wr.start_time = (
+          SELECT MAX(start_time) FROM workflow_runs WHERE workflow_id = wr.workflow_id
+        )`,
+    );
+    const lastRunByWorkflow = new Map(lastRuns.map((row) => [row.workflow_id, row]));
+    res.json({
+      workflows: rows.map((row) => sanitizeWorkflowRow(row, lastRunByWorkflow.get(row.id))),
+    });
+  } catch (err) {
+    console.error("Failed to load workflows", err);
+    res.status(500).json({ error: "Failed to load workflows" });
+  }
+});
+
+app.post("/api/settings/workflows", requireAdmin, async (req, res) => {
+  try {
+    const payload = await resolveWorkflowPayload(req.body || {}, req.user);
+    const workflowId = uuidv4();
+    const createdAt = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO workflows (id, name, endpoint, description, definition_json, run_token, is_enabled, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        workflowId,
+        payload.name,
+        payload.endpoint,
+        payload.description || null,
+        payload.definitionJson,
+        generateScriptToken(),
+        payload.isEnabled ? 1 : 0,
+        req.user.id,
+        createdAt,
+        createdAt,
+      ],
+    );
+    const createdRow = await dbGet("SELECT * FROM workflows WHERE id=?", [workflowId]);
+    await recordAuditEvent({
+      req,
+      action: "workflow.created",
+      targetType: "workflow",
+      targetId: workflowId,
+      targetLabel: payload.name,
+      before: null,
+      after: auditWorkflowSnapshot(createdRow),
+    });
+    res.status(201).json({ workflow: sanitizeWorkflowRow(createdRow) });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
       return;
     }
-    updates.push("is_enabled=?");
-    params.push(isEnabled ? 1 : 0);
-    shouldRefreshNextRun = shouldRefreshNextRun || isEnabled;
+    console.error("Failed to create workflow", err);
+    res.status(500).json({ error: "Failed to create workflow" });
   }
+});
 
-  if (!updates.length) {
-    res.json({ job: sanitizeSchedulerJobRow(existing) });
+app.patch("/api/settings/workflows/:id", requireAdmin, async (req, res) => {
+  const existing = await dbGet("SELECT * FROM workflows WHERE id=?", [req.params.id]);
+  if (!existing) {
+    res.status(404).json({ error: "Workflow not found" });
     return;
   }
 
-  let nextRunValue = existing.next_run_at;
-  const scheduleForNextRun = normalizedSchedule || deserializeScheduleConfig(existing.schedule_config);
-  if (shouldRefreshNextRun) {
-    nextRunValue = computeNextRunAt(scheduleForNextRun, new Date());
-    updates.push("next_run_at=?");
-    params.push(nextRunValue);
-  }
-
-  updates.push("updated_at=CURRENT_TIMESTAMP");
-  params.push(jobId);
-
   try {
-    await dbRun(`UPDATE scheduler_jobs SET ${updates.join(", ")} WHERE id=?`, params);
-    const updated = await loadSchedulerJob(jobId);
-    scheduleSchedulerTick(500);
-    res.json({ job: sanitizeSchedulerJobRow(updated) });
+    const payload = await resolveWorkflowPayload(req.body || {}, req.user, existing);
+    await dbRun(
+      `UPDATE workflows SET name=?, endpoint=?, description=?, definition_json=?, is_enabled=?, updated_at=? WHERE id=?`,
+      [
+        payload.name,
+        payload.endpoint,
+        payload.description || null,
+        payload.definitionJson,
+        payload.isEnabled ? 1 : 0,
+        new Date().toISOString(),
+        existing.id,
+      ],
+    );
+    const updatedRow = await dbGet("SELECT * FROM workflows WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "workflow.updated",
+      targetType: "workflow",
+      targetId: existing.id,
+      targetLabel: payload.name,
+      before: auditWorkflowSnapshot(existing),
+      after: auditWorkflowSnapshot(updatedRow),
+    });
+    res.json({ workflow: sanitizeWorkflowRow(updatedRow) });
   } catch (err) {
-    console.error("Failed to update scheduler job", err);
-    res.status(500).json({ error: "Failed to update scheduler job" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update workflow", err);
+    res.status(500).json({ error: "Failed to update workflow" });
   }
 });
 
-app.post("/api/settings/scheduler/jobs/:id/test", requireAdmin, async (req, res) => {
-  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-  if (!jobId) {
-    res.status(400).json({ error: "Job id is required" });
+app.delete("/api/settings/workflows/:id", requireAdmin, async (req, res) => {
+  const existing = await dbGet("SELECT * FROM workflows WHERE id=?", [req.params.id]);
+  if (!existing) {
+    res.status(404).json({ error: "Workflow not found" });
     return;
   }
 
-  const jobRow = await dbGet("SELECT * FROM scheduler_jobs WHERE id=?", [jobId]);
-  if (!jobRow) {
-    res.status(404).json({ error: "Job not found" });
+  // Scheduler jobs that run the workflow go with it, in the same transaction,
+  // so the scheduler never picks up a job whose workflow is gone.
+  let transactionActive = false;
+  try {
+    await dbRun("BEGIN IMMEDIATE TRANSACTION");
+    transactionActive = true;
+    const schedulerJobs = await dbAll("SELECT * FROM scheduler_jobs WHERE workflow_id=?", [
+      existing.id,
+    ]);
+    await dbRun(
+      "DELETE FROM workflow_run_steps WHERE workflow_run_id IN (SELECT id FROM workflow_runs WHERE workflow_id=?)",
+      [existing.id],
+    );
+    await dbRun("DELETE FROM workflow_runs WHERE workflow_id=?", [existing.id]);
+    await dbRun(
+      "DELETE FROM scheduler_job_misfires WHERE job_id IN (SELECT id FROM scheduler_jobs WHERE workflow_id=?)",
+      [existing.id],
+    );
+    await dbRun("DELETE FROM scheduler_jobs WHERE workflow_id=?", [existing.id]);
+    await dbRun("DELETE FROM workflows WHERE id=?", [existing.id]);
+    await dbRun("COMMIT");
+    transactionActive = false;
+
+    for (const jobRow of schedulerJobs) {
+      await recordAuditEvent({
+        req,
+        action: "scheduler.job.deleted",
+        targetType: "scheduler_job",
+        targetId: jobRow.id,
+        targetLabel: jobRow.name || null,
+        before: auditSchedulerJobSnapshot(jobRow),
+        after: null,
+        details: { reason: "workflow_deleted", workflowId: existing.id },
+      });
+    }
+    await recordAuditEvent({
+      req,
+      action: "workflow.deleted",
+      targetType: "workflow",
+      targetId: existing.id,
+      targetLabel: existing.name,
+      before: auditWorkflowSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true, deletedSchedulerJobs: schedulerJobs.length });
+  } catch (err) {
+    if (transactionActive) {
+      await dbRun("ROLLBACK").catch(() => { });
+    }
+    console.error("Failed to delete workflow", err);
+    res.status(500).json({ error: "Failed to delete workflow" });
+  }
+});
+
+app.post("/api/settings/workflows/:id/run", requireAdmin, async (req, res) => {
+  const workflowRow = await dbGet("SELECT * FROM workflows WHERE id=?", [req.params.id]);
+  if (!workflowRow) {
+    res.status(404).json({ error: "Workflow not found" });
     return;
   }
 
   try {
-    await ensureScriptAccess({ scriptId: jobRow.script_id, user: req.user, requiredPermission: "run" });
+    const workflowRun = await startWorkflowRun({
+      workflowRow,
+      input: req.body?.input ?? null,
+      triggeredBy: req.user.username,
+      triggeredByUserId: req.user.id,
+    });
+    res.status(202).json({ workflowRunId: workflowRun.id });
   } catch (err) {
-    res.status(403).json({ error: "You do not have access to this script" });
-    return;
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to start workflow", err);
+    res.status(500).json({ error: "Failed to start workflow" });
   }
+});
 
+app.get("/api/settings/workflows/:id/runs", requireAdmin, async (req, res) => {
   try {
-    const startedAt = new Date().toISOString();
-    const result = await dispatchSchedulerJob(jobRow, { testRun: true });
-    await dbRun(
-      `UPDATE scheduler_jobs SET last_run_at=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
-      [startedAt, jobId],
+    const runs = await dbAll(
+      `SELECT * FROM workflow_runs WHERE workflow_id=? ORDER BY start_time DESC LIMIT ?`,
+      [req.params.id, WORKFLOW_RUN_HISTORY_LIMIT],
     );
-    res.json({ success: true, runId: result?.runId || null });
+    const steps = runs.length
+      ? await dbAll(
+          `SELECT wrs.*, s.name AS script_name, s.endpoint AS script_endpoint
+             FROM workflow_run_steps wrs
+             LEFT JOIN scripts s ON s.id = wrs.script_id
+            WHERE wrs.workflow_run_id IN (${runs.map(() => "?").join(",")})`,
+          runs.map((run) => run.id),
+        )
+      : [];
+    res.json({
+      runs: runs.map((run) =>
+        sanitizeWorkflowRunRow(
+          run,
+          steps.filter((step) => step.workflow_run_id === run.id),
+        ),
+      ),
+    });
   } catch (err) {
-    console.error("Failed to start test run", err);
-    res.status(500).json({ error: "Failed to start test run" });
+    console.error("Failed to load workflow runs", err);
+    res.status(500).json({ error: "Failed to load workflow runs" });
   }
 });
 
-app.delete("/api/settings/scheduler/jobs/:id", requireAdmin, async (req, res) => {
-  const jobId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-  if (!jobId) {
-    res.status(400).json({ error: "Job id is required" });
-    return;
+app.get("/api/settings/workflows/:id/token", requireAdmin, async (req, res) => {
+  try {
+    const workflowRow = await dbGet("SELECT id, run_token FROM workflows WHERE id=?", [
+      req.params.id,
+    ]);
+    if (!workflowRow) {
+      res.status(404).json({ error: "Workflow not found" });
+      return;
+    }
+
+    const token = workflowRow.run_token || null;
+    res.json({
+      hasToken: Boolean(token),
+      token,
+      preview: token ? sanitizeScriptToken(token) : null,
+    });
+  } catch (err) {
+    console.error("Failed to load workflow token", err);
+    res.status(500).json({ error: "Failed to load workflow token" });
   }
+});
 
-  const existing = await dbGet("SELECT id FROM scheduler_jobs WHERE id=?", [jobId]);
-  if (!existing) {
-    res.status(404).json({ error: "Job not found" });
-    return;
+app.post("/api/settings/workflows/:id/token/rotate", requireAdmin, async (req, res) => {
+  try {
+    const workflowRow = await dbGet("SELECT id, name FROM workflows WHERE id=?", [req.params.id]);
+    if (!workflowRow) {
+      res.status(404).json({ error: "Workflow not found" });
+      return;
+    }
+
+    const newToken = generateScriptToken();
+    await dbRun("UPDATE workflows SET run_token=? WHERE id=?", [newToken, workflowRow.id]);
+    await recordAuditEvent({
+      req,
+      action: "workflow.token_rotated",
+      targetType: "workflow",
+      targetId: workflowRow.id,
+      targetLabel: workflowRow.name,
+    });
+    res.json({
+      hasToken: true,
+      token: newToken,
+      preview: sanitizeScriptToken(newToken),
+    });
+  } catch (err) {
+    console.error("Failed to rotate workflow token", err);
+    res.status(500).json({ error: "Failed to rotate workflow token" });
   }
+});
 
+// Workflows are triggered like scripts: a signed-in user who may run every
+// step, or the workflow's bearer token.
+app.post("/w/:endpoint", async (req, res) => {
   try {
-    await dbRun("DELETE FROM scheduler_jobs WHERE id=?", [jobId]);
-    res.json({ deleted: true });
+    const workflowRow = await dbGet(
+      "SELECT * FROM workflows WHERE LOWER(endpoint)=LOWER(?)",
+      [req.params.endpoint],
+    );
+    if (!workflowRow || !normalizeDbBoolean(workflowRow.is_enabled)) {
+      res.status(404).json({ error: "Workflow not found" });
+      return;
+    }
+
+    const auth = await authenticateRequest(req);
+    const user = auth?.user || null;
+    let triggeredBy = user?.username || null;
+    if (user) {
+      const definition = parseWorkflowDefinition(workflowRow.definition_json);
+      for (const step of definition?.steps || []) {
+        await ensureScriptAccess({ scriptId: step.scriptId, user, requiredPermission: "run" });
+      }
+    } else {
+      const providedToken = extractBearerToken(req);
+      if (!providedToken) {
+        res.status(401).json({ error: "Authentication not provided" });
+        return;
+      }
+      if (!workflowRow.run_token || providedToken !== workflowRow.run_token) {
+        res.status(401).json({ error: "Invalid workflow token" });
+        return;
+      }
+      triggeredBy = `Token ${sanitizeScriptToken(providedToken)}`;
+    }
+
+    const payload = await resolveRequestPayload(req);
+    const input = mergeScriptInputFromRequest(req, payload);
+    const workflowRun = await startWorkflowRun({
+      workflowRow,
+      input,
+      triggeredBy,
+      triggeredByUserId: user?.id || null,
+    });
+    res.status(202).json({ accepted: true, workflowRunId: workflowRun.id });
   } catch (err) {
-    console.error("Failed to delete scheduler job", err);
-    res.status(500).json({ error: "Failed to delete scheduler job" });
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to trigger workflow", err);
+    res.status(500).json({ error: "Failed to trigger workflow" });
   }
 });
 
@@ -5049,6 +11092,11 @@ app.post("/api/settings/global-variables", requireAdmin, async (req, res) => {
 
     const row = await loadGlobalVariableById(id);
     const count = await countGlobalVariables();
+    await recordVariableAuditEvent(req, "variable.created", {
+      scope: "global",
+      before: null,
+      after: row,
+    });
     res.status(201).json({
       variable: sanitizeVariableApiRow(row, {
         envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
@@ -5143,6 +11191,11 @@ app.put(
 
       const updated = await loadGlobalVariableById(existing.id);
       const count = await countGlobalVariables();
+      await recordVariableAuditEvent(req, "variable.updated", {
+        scope: "global",
+        before: existing,
+        after: updated,
+      });
       res.json({
         variable: sanitizeVariableApiRow(updated, {
           envPrefix: GLOBAL_VARIABLE_ENV_PREFIX,
@@ -5162,15 +11215,19 @@ app.delete(
   requireAdmin,
   async (req, res) => {
     try {
-      const result = await dbRun("DELETE FROM global_variables WHERE id=?", [
-        req.params.variableId,
-      ]);
-
-      if (!result?.changes) {
+      const existing = await loadGlobalVariableById(req.params.variableId);
+      if (!existing) {
         res.status(404).json({ error: "Variable not found" });
         return;
       }
 
+      await dbRun("DELETE FROM global_variables WHERE id=?", [existing.id]);
+      await recordVariableAuditEvent(req, "variable.deleted", {
+        scope: "global",
+        before: existing,
+        after: null,
+      });
+
       const count = await countGlobalVariables();
       res.json({ deleted: true, count });
     } catch (err) {
@@ -5180,155 +11237,402 @@ app.delete(
   },
 );
 
-app.post("/api/settings/runner-hosts/:id/register", async (req, res) => {
-  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
-  if (!hostId) {
-    res.status(400).json({ error: "Runner host id is required" });
-    return;
-  }
+// Open outbound connections from pull-mode runners, keyed by runner host id.
+const runnerConnections = new Map();
 
-  const secretInput = typeof req.body?.secret === "string" ? req.body.secret.trim() : "";
-  if (!secretInput) {
-    res.status(400).json({ error: "Runner secret is required" });
-    return;
+function closeRunnerConnection(hostId, reason) {
+  const connection = runnerConnections.get(hostId);
+  if (!connection) return;
+  runnerConnections.delete(hostId);
+  connection.channel.close(reason);
+  connection.socket.close(1000, reason);
+}
+
+// Stops dispatching to a runner and drops its outbound connection, if any.
+function detachRunnerHost(hostId, reason) {
+  unregisterRunnerHost(hostId);
+  closeRunnerConnection(hostId, reason);
+}
+
+// Runner requests are signed with a key derived from the runner secret; see
+// runner/request-signing.js. Nonces are remembered across all runners.
+const verifyRunnerRequest = createRequestVerifier();
+
+async function loadRegisteringRunnerHost(hostId) {
+  const existing = await db.getRunnerHostById(hostId, { includeSecret: true });
+  if (!existing) {
+    const err = new Error("Runner host not found");
+    err.status = 404;
+    throw err;
   }
 
-  const endpointInput =
-    typeof req.body?.endpoint === "string" ? req.body.endpoint.trim() : "";
-  if (!endpointInput) {
-    res.status(400).json({ error: "Runner endpoint is required" });
-    return;
+  if (existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED) {
+    const err = new Error("Runner host is disabled");
+    err.status = 403;
+    err.code = "runner_disabled";
+    throw err;
   }
 
-  let normalizedEndpoint;
+  return existing;
+}
+
+function readRunnerSigningKey(runnerHost) {
+  if (!runnerHost?.signingKey) return null;
   try {
-    const parsed = new URL(endpointInput);
-    if (!parsed.protocol || !parsed.host) {
-      throw new Error("Invalid runner endpoint");
-    }
-    if (!parsed.protocol.startsWith("http")) {
-      throw new Error("Invalid protocol");
-    }
-    normalizedEndpoint = parsed.toString();
+    return decryptVariableValue(runnerHost.signingKey);
   } catch (err) {
-    res.status(400).json({ error: "Runner endpoint must be a valid http(s) URL" });
-    return;
+    console.error(`Failed to decrypt signing key for runner ${runnerHost.id}`, err);
+    return null;
   }
+}
 
-  let existing;
-  try {
-    existing = await db.getRunnerHostById(hostId, { includeSecret: true });
-  } catch (err) {
-    console.error("Failed to load runner host", err);
-    res.status(500).json({ error: "Failed to register runner host" });
-    return;
+// Confirms a request came from the runner and returns the signing key to use
+// for requests sent back to it. Runners created before requests were signed
+// have no stored key: the host answers code "secret_required" and the runner
+// sends its raw secret once so the key can be derived and stored.
+async function authenticateRunnerRequest(runnerHost, { purpose, headers, rawBody, secret }) {
+  const storedKey = readRunnerSigningKey(runnerHost);
+
+  if (hasRunnerRequestSignature(headers)) {
+    if (!storedKey) {
+      const err = new Error("Runner must register with its secret once to set up request signing");
+      err.status = 401;
+      err.code = "secret_required";
+      throw err;
+    }
+    verifyRunnerRequest({ key: storedKey, purpose, headers, body: rawBody });
+    return storedKey;
   }
 
-  if (!existing) {
-    res.status(404).json({ error: "Runner host not found" });
-    return;
+  if (storedKey || !secret) {
+    const err = new Error("Request signature required");
+    err.status = 401;
+    err.code = "missing_signature";
+    throw err;
   }
 
-  if (existing.disabledAt || existing.status === RUNNER_STATUS.DISABLED) {
-    res.status(403).json({ error: "Runner host is disabled", code: "runner_disabled" });
-    return;
+  if (!runnerHost.secretHash || !verifyPassword(secret, runnerHost.secretHash)) {
+    const err = new Error("Invalid runner secret");
+    err.status = 401;
+    err.code = "invalid_secret";
+    throw err;
   }
 
-  if (!existing.secretHash || !verifyPassword(secretInput, existing.secretHash)) {
-    res.status(401).json({ error: "Invalid runner secret", code: "invalid_secret" });
-    return;
+  const signingKey = deriveRunnerSigningKey(secret);
+  await db.updateRunnerHostStatus(runnerHost.id, {
+    signingKey: encryptVariableValue(signingKey),
+  });
+  return signingKey;
+}
+
+// Records a runner heartbeat. Shared by the HTTP register endpoint used by
+// push runners and the outbound connection used by pull runners, which
+// authenticates once when the connection opens.
+async function recordRunnerHeartbeat(
+  hostId,
+  body = {},
+  { credentials = null, clientIp = "", endpoint = null, connectionMode = "push" } = {},
+) {
+  const existing = await loadRegisteringRunnerHost(hostId);
+  const signingKey = credentials
+    ? await authenticateRunnerRequest(existing, credentials)
+    : null;
+
+  if (endpoint && runnerHostPinsCertificate(existing) && !endpoint.startsWith("https:")) {
+    const err = new Error(
+      "Runner endpoint must use https because a certificate is pinned for this runner",
+    );
+    err.status = 400;
+    err.code = "https_required";
+    throw err;
   }
 
-  const clientIp = extractClientIp(req);
   const message =
-    typeof req.body?.statusMessage === "string" && req.body.statusMessage.trim()
-      ? req.body.statusMessage.trim()
+    typeof body?.statusMessage === "string" && body.statusMessage.trim()
+      ? body.statusMessage.trim()
       : clientIp
         ? `Heartbeat from ${clientIp}`
         : "Runner heartbeat received";
 
-  const parsedConcurrency = Number.parseInt(req.body?.maxConcurrency, 10);
-  const parsedTimeout = Number.parseInt(req.body?.timeoutMs, 10);
+  const parsedConcurrency = Number.parseInt(body?.maxConcurrency, 10);
+  const parsedTimeout = Number.parseInt(body?.timeoutMs, 10);
   const normalizedConcurrency =
     Number.isFinite(parsedConcurrency) && parsedConcurrency > 0
       ? parsedConcurrency
       : null;
   const normalizedTimeout =
     Number.isFinite(parsedTimeout) && parsedTimeout > 0 ? parsedTimeout : null;
-  const normalizedRunnerVersion = normalizeVersionString(req.body?.version);
-  const normalizedMinimumHostVersion = normalizeVersionString(req.body?.minimumHostVersion);
+  const normalizedRunnerVersion = normalizeVersionString(body?.version);
+  const normalizedMinimumHostVersion = normalizeVersionString(body?.minimumHostVersion);
   const normalizedRunnerOs =
-    typeof req.body?.os === "string" && req.body.os.trim() ? req.body.os.trim() : null;
+    typeof body?.os === "string" && body.os.trim() ? body.os.trim() : null;
   const normalizedRunnerPlatform =
-    typeof req.body?.platform === "string" && req.body.platform.trim()
-      ? req.body.platform.trim()
+    typeof body?.platform === "string" && body.platform.trim()
+      ? body.platform.trim()
       : null;
   const normalizedRunnerArch =
-    typeof req.body?.arch === "string" && req.body.arch.trim() ? req.body.arch.trim() : null;
-  const parsedUptime = Number.parseInt(req.body?.uptime, 10);
+    typeof body?.arch === "string" && body.arch.trim() ? body.arch.trim() : null;
+  const parsedUptime = Number.parseInt(body?.uptime, 10);
   const normalizedRunnerUptime =
     Number.isFinite(parsedUptime) && parsedUptime >= 0 ? parsedUptime : null;
-  const normalizedRuntimes = normalizeRunnerRuntimesPayload(req.body?.runtimes);
+  const normalizedRuntimes = normalizeRunnerRuntimesPayload(body?.runtimes);
 
-  const now = new Date().toISOString();
+  const updated = await db.updateRunnerHostStatus(hostId, {
+    status: RUNNER_STATUS.HEALTHY,
+    statusMessage: message,
+    endpoint,
+    connectionMode,
+    lastSeenAt: new Date().toISOString(),
+    maxConcurrency: normalizedConcurrency,
+    timeoutMs: normalizedTimeout,
+    runnerVersion: normalizedRunnerVersion,
+    runnerOs: normalizedRunnerOs,
+    runnerPlatform: normalizedRunnerPlatform,
+    runnerArch: normalizedRunnerArch,
+    runnerUptime: normalizedRunnerUptime,
+    runnerRuntimes: normalizedRuntimes,
+    runnerCertificate: normalizeRunnerCertificatePayload(body?.certificate),
+    minimumHostVersion: normalizedMinimumHostVersion,
+    clearDisabledAt: true,
+  });
+
+  if (!updated) {
+    const err = new Error("Runner host not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const runnerConfig = {
+    id: hostId,
+    name: updated.name,
+    labels: updated.labels,
+    adminOnly: updated.adminOnly,
+  };
+  if (normalizedConcurrency !== null) {
+    runnerConfig.maxConcurrency = normalizedConcurrency;
+  }
+  if (normalizedTimeout !== null) {
+    runnerConfig.timeoutMs = normalizedTimeout;
+  }
+
+  return { runnerHost: updated, runnerConfig, signingKey };
+}
+
+function buildRunnerRegistrationResponse(runnerHost) {
+  return {
+    runnerHost: sanitizeRunnerHost(runnerHost),
+    registered: true,
+    hostVersion: HOST_VERSION,
+    minimumRunnerVersion: MINIMUM_RUNNER_VERSION,
+  };
+}
+
+app.post("/api/settings/runner-hosts/:id/register", async (req, res) => {
+  const hostId = typeof req.params.id === "string" ? req.params.id.trim() : "";
+  if (!hostId) {
+    res.status(400).json({ error: "Runner host id is required" });
+    return;
+  }
 
-  let updated;
+  const secretInput = typeof req.body?.secret === "string" ? req.body.secret.trim() : "";
+  const endpointInput =
+    typeof req.body?.endpoint === "string" ? req.body.endpoint.trim() : "";
+  if (!endpointInput) {
+    res.status(400).json({ error: "Runner endpoint is required" });
+    return;
+  }
+
+  let normalizedEndpoint;
   try {
-    updated = await db.updateRunnerHostStatus(hostId, {
-      status: RUNNER_STATUS.HEALTHY,
-      statusMessage: message,
-      endpoint: normalizedEndpoint,
-      lastSeenAt: now,
-      maxConcurrency: normalizedConcurrency,
-      timeoutMs: normalizedTimeout,
-      runnerVersion: normalizedRunnerVersion,
-      runnerOs: normalizedRunnerOs,
-      runnerPlatform: normalizedRunnerPlatform,
-      runnerArch: normalizedRunnerArch,
-      runnerUptime: normalizedRunnerUptime,
-      runnerRuntimes: normalizedRuntimes,
-      minimumHostVersion: normalizedMinimumHostVersion,
-      clearDisabledAt: true,
-    });
+    const parsed = new URL(endpointInput);
+    if (!parsed.protocol || !parsed.host) {
+      throw new Error("Invalid runner endpoint");
+    }
+    if (!parsed.protocol.startsWith("http")) {
+      throw new Error("Invalid protocol");
+    }
+    normalizedEndpoint = parsed.toString();
   } catch (err) {
-    console.error("Failed to update runner host", err);
-    res.status(500).json({ error: "Failed to register runner host" });
+    res.status(400).json({ error: "Runner endpoint must be a valid http(s) URL" });
     return;
   }
 
-  if (!updated) {
-    res.status(404).json({ error: "Runner host not found" });
+  let heartbeat;
+  try {
+    heartbeat = await recordRunnerHeartbeat(hostId, req.body, {
+      credentials: {
+        purpose: "register",
+        headers: req.headers,
+        rawBody: req.rawBody,
+        secret: secretInput,
+      },
+      clientIp: extractClientIp(req),
+      endpoint: normalizedEndpoint,
+    });
+  } catch (err) {
+    if (err.status) {
+      res
+        .status(err.status)
+        .json(err.code ? { error: err.message, code: err.code } : { error: err.message });
+      return;
+    }
+    console.error("Failed to register runner host", err);
+    res.status(500).json({ error: "Failed to register runner host" });
     return;
   }
 
-  const runnerConfig = {
-    id: hostId,
+  // A runner that switched from pull to push mode leaves its old connection behind.
+  closeRunnerConnection(hostId, "Runner registered over HTTP");
+  registerRunnerHost({
+    ...heartbeat.runnerConfig,
     endpoint: normalizedEndpoint,
     headers: {
       "x-automn-runner-id": hostId,
-      "x-automn-runner-name": updated?.name || hostId,
-      "x-automn-runner-secret": secretInput,
+      "x-automn-runner-name": heartbeat.runnerHost?.name || hostId,
     },
+    signingKey: heartbeat.signingKey,
+    tls: buildRunnerTlsConfig(heartbeat.runnerHost),
+  });
+  replayPendingQueuedJobs().catch((err) => {
+    console.error("Failed to replay queued runs after runner registration", err);
+  });
+
+  res.json(buildRunnerRegistrationResponse(heartbeat.runnerHost));
+});
+
+// Pull-mode runners connect out to the host and keep this socket open. They
+// send a register frame on connect and at every heartbeat; once registered,
+// runs, log/result frames and cancel/package requests share the connection.
+async function handleRunnerConnection(ws, req, hostId) {
+  const clientIp = extractClientIp(req);
+  const channel = createRunnerChannel(ws);
+  let registered = false;
+  let alive = true;
+
+  const sendFrame = (payload) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
   };
 
-  if (normalizedConcurrency !== null) {
-    runnerConfig.maxConcurrency = normalizedConcurrency;
-  }
-  if (normalizedTimeout !== null) {
-    runnerConfig.timeoutMs = normalizedTimeout;
-  }
+  const rejectConnection = (err, reason) => {
+    if (!err.status) {
+      console.error("Failed to register runner host", err);
+    }
+    sendFrame({
+      type: "error",
+      error: err.status ? err.message : "Failed to register runner host",
+      code: err.code || null,
+    });
+    ws.close(1008, reason);
+  };
 
-  registerRunnerHost(runnerConfig);
+  // The upgrade request is signed over an empty body. Frames on the
+  // connection are trusted once it has been authenticated.
+  const authentication = loadRegisteringRunnerHost(hostId).then((runnerHost) =>
+    authenticateRunnerRequest(runnerHost, {
+      purpose: "connect",
+      headers: req.headers,
+      rawBody: "",
+      secret: normalizeHeaderValue(req.headers["x-automn-runner-secret"]),
+    }),
+  );
+  authentication.catch((err) => {
+    rejectConnection(err, "Runner authentication failed");
+  });
 
-  const sanitized = sanitizeRunnerHost(updated);
+  const handleRegister = async (message) => {
+    try {
+      await authentication;
+    } catch (err) {
+      return;
+    }
 
-  res.json({
-    runnerHost: sanitized,
-    registered: true,
-    hostVersion: HOST_VERSION,
-    minimumRunnerVersion: MINIMUM_RUNNER_VERSION,
+    let heartbeat;
+    try {
+      heartbeat = await recordRunnerHeartbeat(hostId, message, {
+        clientIp,
+        connectionMode: "pull",
+      });
+    } catch (err) {
+      rejectConnection(err, "Runner registration failed");
+      return;
+    }
+
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (!registered) {
+      registered = true;
+      const previous = runnerConnections.get(hostId);
+      runnerConnections.set(hostId, { socket: ws, channel });
+      if (previous) {
+        previous.channel.close("Runner reconnected");
+        previous.socket.terminate();
+      }
+      console.log(`[runner] ${hostId} connected from ${clientIp || "unknown address"}`);
+    }
+
+    registerRunnerHost({ ...heartbeat.runnerConfig, channel });
+    replayPendingQueuedJobs().catch((err) => {
+      console.error("Failed to replay queued runs after runner registration", err);
+    });
+    sendFrame({ type: "registered", ...buildRunnerRegistrationResponse(heartbeat.runnerHost) });
+  };
+
+  ws.on("message", (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (err) {
+      return;
+    }
+    if (message?.type === "register") {
+      handleRegister(message);
+      return;
+    }
+    if (registered) {
+      channel.handleMessage(message);
+    }
   });
-});
+
+  ws.on("pong", () => {
+    alive = true;
+  });
+
+  const pingTimer = setInterval(() => {
+    if (!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, RUNNER_CONNECTION_PING_INTERVAL_MS);
+
+  ws.on("close", () => {
+    clearInterval(pingTimer);
+    const current = runnerConnections.get(hostId);
+    if (current?.socket !== ws) {
+      channel.close("Runner disconnected");
+      return;
+    }
+    runnerConnections.delete(hostId);
+    unregisterRunnerHost(hostId);
+    channel.close("Runner disconnected");
+    console.log(`[runner] ${hostId} disconnected`);
+    db.updateRunnerHostStatus(hostId, {
+      status: RUNNER_STATUS.PENDING,
+      statusMessage: "Runner connection closed",
+    }).catch((err) => {
+      console.error("Failed to update runner host status", err);
+    });
+  });
+
+  ws.on("error", (err) => {
+    console.error(`Runner connection error for ${hostId}`, err);
+  });
+}
 
 app.get("/api/data/backup", requireAdmin, async (req, res) => {
   const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
@@ -5410,6 +11714,13 @@ app.get("/api/data/backup", requireAdmin, async (req, res) => {
     const filename = `automn-backup-${timestamp}${filenameSuffix}`;
 
     await notifyAdminsOfBackup(req.user);
+    await recordAuditEvent({
+      req,
+      action: "data.backup_created",
+      targetType: "system",
+      targetLabel: filename,
+      details: { encrypted: filenameSuffix !== ".db" },
+    });
 
     res.setHeader("Content-Type", "application/octet-stream");
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
@@ -5465,6 +11776,13 @@ app.post("/api/data/restore", requireAdmin, async (req, res) => {
     await fsp.writeFile(tempPath, buffer);
     await restoreDatabaseFromFile(tempPath);
     refreshScriptRoutes();
+    // Recorded after the restore so the event survives the table being replaced.
+    await recordAuditEvent({
+      req,
+      action: "data.restored",
+      targetType: "system",
+      details: { sizeBytes: buffer.length },
+    });
     res.json({ restored: true });
   } catch (err) {
     console.error("Restore failed", err);
@@ -5476,6 +11794,7 @@ app.post("/api/data/restore", requireAdmin, async (req, res) => {
 
 app.use("/api/scripts", requireAuthenticated);
 app.use("/api/logs", requireAuthenticated);
+app.use("/api/runs", requireAuthenticated);
 app.use("/api/system", requireAuthenticated);
 app.use("/api/notifications", requireAuthenticated);
 app.use("/api/categories", requireAuthenticated);
@@ -5523,6 +11842,36 @@ async function generateRestoredEndpoint(baseEndpoint, scriptId = null) {
 // ─────────────────────────────────────────────
 // Register a single dynamic endpoint (hot reload safe)
 // ─────────────────────────────────────────────
+function auditScriptSnapshot(row) {
+  if (!row) return null;
+  return {
+    name: row.name,
+    endpoint: row.endpoint,
+    language: row.language,
+    code: row.code || "",
+    timeout: row.timeout ?? null,
+    categoryId: row.category_id || DEFAULT_CATEGORY_ID,
+    inheritCategoryPermissions: row.inherit_category_permissions !== 0,
+    inheritCategoryRunner: row.inherit_category_runner !== 0,
+    runnerHostId: row.runner_host_id || null,
+    runnerSelector: parseRunnerLabels(row.runner_selector),
+    fallbackRunnerHostIds: parseFallbackRunnerIds(row.fallback_runner_host_ids),
+    runMethod: row.run_method || "POST",
+    acceptedMethods: normalizeAcceptedMethods(row.allowed_methods, {
+      ensure: [row.run_method || "POST"],
+    }),
+    runHeaders: row.run_headers || "{}",
+    runBody: row.run_body || "",
+    includeAutomnResponseData: row.expose_automn_response !== 0,
+    includeRunIdInResponse: row.expose_run_id !== 0,
+    retryPolicy: parseRetryPolicy(row.retry_policy_json),
+  };
+}
+
+async function loadScriptRowForAudit(scriptId) {
+  return dbGet("SELECT * FROM scripts WHERE id=?", [scriptId]);
+}
+
 function registerScriptRoute(script) {
   if (!script) return;
 
@@ -5586,9 +11935,9 @@ function registerScriptRoute(script) {
         triggeredByUserId = user.id || null;
       } else {
         try {
-          const tokenAccess = evaluateScriptTokenAccess(req, script, null);
-          if (tokenAccess?.used && tokenAccess?.masked) {
-            triggeredByLabel = `Token ${tokenAccess.masked}`;
+          const tokenAccess = await evaluateScriptTokenAccess(req, script, null);
+          if (tokenAccess?.used && tokenAccess?.label) {
+            triggeredByLabel = tokenAccess.label;
           }
         } catch (tokenErr) {
           // Ignore token validation errors for unsupported method logging.
@@ -5732,9 +12081,9 @@ function registerScriptRoute(script) {
 
       let tokenAccess;
       try {
-        tokenAccess = evaluateScriptTokenAccess(req, latest, user);
+        tokenAccess = await evaluateScriptTokenAccess(req, latest, user);
         if (tokenAccess.used) {
-          triggeredByLabel = `Token ${tokenAccess.masked}`;
+          triggeredByLabel = tokenAccess.label;
         }
       } catch (tokenErr) {
         const failureError = normalizeRunFailureError(tokenErr);
@@ -6027,9 +12376,9 @@ function registerScriptRoute(script) {
 
       let tokenAccess;
       try {
-        tokenAccess = evaluateScriptTokenAccess(req, latest, user);
+        tokenAccess = await evaluateScriptTokenAccess(req, latest, user);
         if (tokenAccess.used) {
-          triggeredByLabel = `Token ${tokenAccess.masked}`;
+          triggeredByLabel = tokenAccess.label;
         }
       } catch (tokenErr) {
         const failureError = normalizeRunFailureError(tokenErr);
@@ -6069,6 +12418,7 @@ function registerScriptRoute(script) {
           input,
           httpMethod,
           codeVersion,
+          retry: { policy: parseRetryPolicy(latest.retry_policy_json), jobContext },
         });
       } catch (trackerErr) {
         console.error(`Failed to initialize run ${runId} tracker:`, trackerErr);
@@ -6399,6 +12749,8 @@ function mapCollectionRowForApi(row, user, permissionRow = null) {
     defaultLanguage: row.default_language || null,
     defaultRunnerHostId,
     defaultRunner,
+    defaultRunnerSelector: parseRunnerLabels(row.default_runner_selector),
+    defaultFallbackRunnerHostIds: parseFallbackRunnerIds(row.default_fallback_runner_host_ids),
     isSystem: normalizeDbBoolean(row.is_system),
     createdAt: row.created_at || null,
     updatedAt: row.updated_at || null,
@@ -6424,6 +12776,12 @@ async function handleListCollections(req, res) {
       `SELECT c.*, perms.can_read AS perm_can_read, perms.can_write AS perm_can_write,
               perms.can_delete AS perm_can_delete, perms.can_run AS perm_can_run,
               perms.can_clear_logs AS perm_can_clear_logs,
+              prole.can_read AS perm_role_can_read, prole.can_write AS perm_role_can_write,
+              prole.can_delete AS perm_role_can_delete, prole.can_run AS perm_role_can_run,
+              prole.can_clear_logs AS perm_role_can_clear_logs,
+              gperms.can_read AS perm_group_can_read, gperms.can_write AS perm_group_can_write,
+              gperms.can_delete AS perm_group_can_delete, gperms.can_run AS perm_group_can_run,
+              gperms.can_clear_logs AS perm_group_can_clear_logs,
               dr.name AS default_runner_name,
               dr.status AS default_runner_status,
               dr.status_message AS default_runner_status_message,
@@ -6431,9 +12789,11 @@ async function handleListCollections(req, res) {
               (SELECT COUNT(*) FROM scripts s WHERE s.category_id = c.id) AS script_count
          FROM categories c
          LEFT JOIN category_permissions perms ON perms.category_id = c.id AND perms.user_id = ?
+         LEFT JOIN roles prole ON prole.id = perms.role_id
+         ${groupPermissionGrantsJoin("group_category_permissions", "category_id", "gperms", "c.id")}
          LEFT JOIN runner_hosts dr ON dr.id = c.default_runner_host_id
         ORDER BY c.is_system DESC, c.name COLLATE NOCASE ASC`,
-      [user.id],
+      [user.id, user.id],
     );
 
     const categories = [];
@@ -6444,6 +12804,16 @@ async function handleListCollections(req, res) {
         can_delete: row.perm_can_delete,
         can_run: row.perm_can_run,
         can_clear_logs: row.perm_can_clear_logs,
+        role_can_read: row.perm_role_can_read,
+        role_can_write: row.perm_role_can_write,
+        role_can_delete: row.perm_role_can_delete,
+        role_can_run: row.perm_role_can_run,
+        role_can_clear_logs: row.perm_role_can_clear_logs,
+        group_can_read: row.perm_group_can_read,
+        group_can_write: row.perm_group_can_write,
+        group_can_delete: row.perm_group_can_delete,
+        group_can_run: row.perm_group_can_run,
+        group_can_clear_logs: row.perm_group_can_clear_logs,
       });
       if (!category) continue;
       const hasAccess =
@@ -6466,9 +12836,27 @@ async function handleListCollections(req, res) {
   }
 }
 
+function auditCollectionSnapshot(row) {
+  if (!row) return null;
+  return {
+    name: row.name,
+    description: row.description || "",
+    defaultLanguage: row.default_language || null,
+    defaultRunnerHostId: row.default_runner_host_id || null,
+    defaultRunnerSelector: parseRunnerLabels(row.default_runner_selector),
+    defaultFallbackRunnerHostIds: parseFallbackRunnerIds(row.default_fallback_runner_host_ids),
+  };
+}
+
 async function handleCreateCollection(req, res) {
-  const { name, description, defaultLanguage, defaultRunnerHostId } =
-    req.body || {};
+  const {
+    name,
+    description,
+    defaultLanguage,
+    defaultRunnerHostId,
+    defaultRunnerSelector,
+    defaultFallbackRunnerHostIds,
+  } = req.body || {};
   const trimmedName = typeof name === "string" ? name.trim() : "";
   if (!trimmedName) {
     res.status(400).json({ error: "Collection name is required" });
@@ -6510,16 +12898,35 @@ async function handleCreateCollection(req, res) {
       }
     }
 
+    const { selector: defaultSelector, error: selectorError } =
+      parseRunnerSelectorInput(defaultRunnerSelector);
+    if (selectorError) {
+      res.status(400).json({ error: selectorError });
+      return;
+    }
+
+    // Fallbacks only back up a default runner, never a label selector.
+    const fallbackInput = await parseFallbackRunnerInput(
+      normalizedDefaultRunnerId ? defaultFallbackRunnerHostIds : null,
+      { primaryRunnerId: normalizedDefaultRunnerId },
+    );
+    if (fallbackInput.error) {
+      res.status(fallbackInput.status).json({ error: fallbackInput.error });
+      return;
+    }
+
     const id = uuidv4();
     await dbRun(
-      `INSERT INTO categories (id, name, description, default_language, default_runner_host_id, is_system)
-       VALUES (?, ?, ?, ?, ?, 0)`,
+      `INSERT INTO categories (id, name, description, default_language, default_runner_host_id, default_runner_selector, default_fallback_runner_host_ids, is_system)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 0)`,
       [
         id,
         trimmedName,
         trimmedDescription,
         normalizedLanguage,
         normalizedDefaultRunnerId,
+        normalizedDefaultRunnerId ? null : serializeRunnerLabels(defaultSelector),
+        serializeFallbackRunnerIds(fallbackInput.ids),
       ],
     );
 
@@ -6535,6 +12942,15 @@ async function handleCreateCollection(req, res) {
       [id],
     );
 
+    await recordAuditEvent({
+      req,
+      action: "collection.created",
+      targetType: "collection",
+      targetId: id,
+      targetLabel: trimmedName,
+      before: null,
+      after: auditCollectionSnapshot(row),
+    });
     res.status(201).json({
       category: mapCategoryRowForApi(row, req.user, null),
       collection: mapCollectionRowForApi(row, req.user, null),
@@ -6643,6 +13059,12 @@ async function handleCreateCollectionVariable(req, res) {
 
     const row = await loadCategoryVariableById(category.id, id);
     const count = await countCategoryVariables(category.id);
+    await recordVariableAuditEvent(req, "variable.created", {
+      scope: "collection",
+      ownerId: category.id,
+      before: null,
+      after: row,
+    });
     const variable = sanitizeVariableApiRow(row, {
       envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
       scope: "category",
@@ -6747,6 +13169,12 @@ async function handleUpdateCollectionVariable(req, res) {
 
     const updated = await loadCategoryVariableById(category.id, existing.id);
     const count = await countCategoryVariables(category.id);
+    await recordVariableAuditEvent(req, "variable.updated", {
+      scope: "collection",
+      ownerId: category.id,
+      before: existing,
+      after: updated,
+    });
     const variable = sanitizeVariableApiRow(updated, {
       envPrefix: CATEGORY_VARIABLE_ENV_PREFIX,
       scope: "category",
@@ -6773,16 +13201,23 @@ async function handleDeleteCollectionVariable(req, res) {
       return;
     }
 
-    const result = await dbRun(
-      "DELETE FROM category_variables WHERE id=? AND category_id=?",
-      [req.params.variableId, category.id],
-    );
-
-    if (!result?.changes) {
+    const existing = await loadCategoryVariableById(category.id, req.params.variableId);
+    if (!existing) {
       res.status(404).json({ error: "Variable not found" });
       return;
     }
 
+    await dbRun("DELETE FROM category_variables WHERE id=? AND category_id=?", [
+      existing.id,
+      category.id,
+    ]);
+    await recordVariableAuditEvent(req, "variable.deleted", {
+      scope: "collection",
+      ownerId: category.id,
+      before: existing,
+      after: null,
+    });
+
     const count = await countCategoryVariables(category.id);
     res.json({ deleted: true, count });
   } catch (err) {
@@ -6893,6 +13328,8 @@ async function handleUpdateCollection(req, res) {
       params.push(normalizedLanguage);
     }
 
+    let assignsDefaultRunner = false;
+    let effectiveDefaultRunnerId = category.default_runner_host_id || null;
     if (Object.prototype.hasOwnProperty.call(body, "defaultRunnerHostId")) {
       const rawRunnerId =
         typeof body.defaultRunnerHostId === "string"
@@ -6908,6 +13345,40 @@ async function handleUpdateCollection(req, res) {
       }
       updates.push("default_runner_host_id=?");
       params.push(normalizedRunnerId);
+      assignsDefaultRunner = Boolean(normalizedRunnerId);
+      effectiveDefaultRunnerId = normalizedRunnerId;
+    }
+
+    // Fallbacks only back up a default runner, so they go when it does.
+    if (!effectiveDefaultRunnerId) {
+      if (category.default_fallback_runner_host_ids) {
+        updates.push("default_fallback_runner_host_ids=NULL");
+      }
+    } else if (Object.prototype.hasOwnProperty.call(body, "defaultFallbackRunnerHostIds")) {
+      const fallbackInput = await parseFallbackRunnerInput(body.defaultFallbackRunnerHostIds, {
+        primaryRunnerId: effectiveDefaultRunnerId,
+      });
+      if (fallbackInput.error) {
+        res.status(fallbackInput.status).json({ error: fallbackInput.error });
+        return;
+      }
+      updates.push("default_fallback_runner_host_ids=?");
+      params.push(serializeFallbackRunnerIds(fallbackInput.ids));
+    }
+
+    // A default runner replaces any default label selector.
+    if (assignsDefaultRunner) {
+      updates.push("default_runner_selector=NULL");
+    } else if (Object.prototype.hasOwnProperty.call(body, "defaultRunnerSelector")) {
+      const { selector, error: selectorError } = parseRunnerSelectorInput(
+        body.defaultRunnerSelector,
+      );
+      if (selectorError) {
+        res.status(400).json({ error: selectorError });
+        return;
+      }
+      updates.push("default_runner_selector=?");
+      params.push(serializeRunnerLabels(selector));
     }
 
     if (updates.length === 0) {
@@ -6949,6 +13420,15 @@ async function handleUpdateCollection(req, res) {
       [id],
     );
 
+    await recordAuditEvent({
+      req,
+      action: "collection.updated",
+      targetType: "collection",
+      targetId: id,
+      targetLabel: updated?.name || category.name,
+      before: auditCollectionSnapshot(category),
+      after: auditCollectionSnapshot(updated),
+    });
     res.json({
       category: mapCategoryRowForApi(updated, req.user, null),
       collection: mapCollectionRowForApi(updated, req.user, null),
@@ -6986,8 +13466,20 @@ async function handleDeleteCollection(req, res) {
     await dbRun(`DELETE FROM category_permissions WHERE category_id=?`, [
       category.id,
     ]);
+    await dbRun(`DELETE FROM group_category_permissions WHERE category_id=?`, [
+      category.id,
+    ]);
     await dbRun(`DELETE FROM categories WHERE id=?`, [category.id]);
 
+    await recordAuditEvent({
+      req,
+      action: "collection.deleted",
+      targetType: "collection",
+      targetId: category.id,
+      targetLabel: category.name,
+      before: auditCollectionSnapshot(category),
+      after: null,
+    });
     res.json({ deleted: true });
   } catch (err) {
     console.error("Failed to delete collection", err);
@@ -6998,6 +13490,190 @@ async function handleDeleteCollection(req, res) {
 app.delete("/api/categories/:id", requireAdmin, handleDeleteCollection);
 app.delete("/api/collections/:id", requireAdmin, handleDeleteCollection);
 
+function mapPermissionEntryRow(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    isAdmin: normalizeDbBoolean(row.is_admin),
+    canRead: normalizeDbBoolean(row.can_read),
+    canWrite: normalizeDbBoolean(row.can_write),
+    canDelete: normalizeDbBoolean(row.can_delete),
+    canRun: normalizeDbBoolean(row.can_run),
+    canClearLogs: normalizeDbBoolean(row.can_clear_logs),
+    roleId: row.role_id || null,
+    roleName: row.role_name || null,
+  };
+}
+
+// Normalizes one entry of a permissions payload, keyed by user or group id.
+// An entry either names a role or lists flags directly; a role replaces the
+// flags.
+function normalizePermissionEntryInput(entry, { readFromRun = true, idField = "userId" } = {}) {
+  const subjectId = typeof entry?.[idField] === "string" ? entry[idField].trim() : "";
+  if (!subjectId) return null;
+  const roleId = typeof entry?.roleId === "string" && entry.roleId.trim() ? entry.roleId.trim() : null;
+  if (roleId) {
+    return {
+      [idField]: subjectId,
+      roleId,
+      canRead: false,
+      canWrite: false,
+      canDelete: false,
+      canRun: false,
+      canClearLogs: false,
+    };
+  }
+  const canWrite = Boolean(entry?.canWrite);
+  const canDelete = Boolean(entry?.canDelete);
+  const canRun = Boolean(entry?.canRun);
+  const canClearLogs = Boolean(entry?.canClearLogs);
+  const canRead =
+    Boolean(entry?.canRead) || canWrite || canDelete || canClearLogs || (readFromRun && canRun);
+  return { [idField]: subjectId, roleId: null, canRead, canWrite, canDelete, canRun, canClearLogs };
+}
+
+async function ensurePermissionRolesExist(entries) {
+  const roleIds = [...new Set(entries.map((entry) => entry.roleId).filter(Boolean))];
+  if (!roleIds.length) return;
+  const rows = await dbAll(
+    `SELECT id FROM roles WHERE id IN (${roleIds.map(() => "?").join(",")})`,
+    roleIds,
+  );
+  if (rows.length !== roleIds.length) {
+    const err = new Error("Unknown role");
+    err.status = 400;
+    throw err;
+  }
+}
+
+function mapGroupPermissionEntryRow(row) {
+  return {
+    groupId: row.group_id,
+    groupName: row.group_name,
+    canRead: normalizeDbBoolean(row.can_read),
+    canWrite: normalizeDbBoolean(row.can_write),
+    canDelete: normalizeDbBoolean(row.can_delete),
+    canRun: normalizeDbBoolean(row.can_run),
+    canClearLogs: normalizeDbBoolean(row.can_clear_logs),
+    roleId: row.role_id || null,
+    roleName: row.role_name || null,
+  };
+}
+
+async function loadGroupPermissionEntries(table, column, targetId) {
+  const rows = await dbAll(
+    `SELECT gp.group_id, g.name AS group_name, gp.can_read, gp.can_write, gp.can_delete, gp.can_run, gp.can_clear_logs,
+            gp.role_id, r.name AS role_name
+       FROM ${table} gp
+       JOIN user_groups g ON g.id = gp.group_id
+       LEFT JOIN roles r ON r.id = gp.role_id
+      WHERE gp.${column}=?
+      ORDER BY g.name COLLATE NOCASE ASC`,
+    [targetId],
+  );
+  return rows.map(mapGroupPermissionEntryRow);
+}
+
+async function loadUserPermissionEntries(table, column, targetId) {
+  const rows = await dbAll(
+    `SELECT p.user_id, u.username, u.is_admin, p.can_read, p.can_write, p.can_delete, p.can_run, p.can_clear_logs,
+            p.role_id, r.name AS role_name
+       FROM ${table} p
+       LEFT JOIN roles r ON r.id = p.role_id
+       JOIN users u ON u.id = p.user_id AND u.deleted_at IS NULL
+      WHERE p.${column}=?
+      ORDER BY u.username COLLATE NOCASE ASC`,
+    [targetId],
+  );
+  return rows.map(mapPermissionEntryRow);
+}
+
+function describePermissionGrant(entry) {
+  if (entry.roleId) {
+    return `role ${entry.roleName || entry.roleId}`;
+  }
+  const flags = [
+    entry.canRead && "read",
+    entry.canWrite && "write",
+    entry.canDelete && "delete",
+    entry.canRun && "run",
+    entry.canClearLogs && "clear logs",
+  ].filter(Boolean);
+  return flags.length ? flags.join(", ") : "none";
+}
+
+// Keys grants by subject so the audit diff names exactly which user or group
+// gained or lost access.
+function auditPermissionSnapshot(userEntries, groupEntries, settings = {}) {
+  const snapshot = { ...settings };
+  for (const entry of userEntries) {
+    snapshot[`user:${entry.username}`] = describePermissionGrant(entry);
+  }
+  for (const entry of groupEntries) {
+    snapshot[`group:${entry.groupName}`] = describePermissionGrant(entry);
+  }
+  return snapshot;
+}
+
+async function loadGroupOptions() {
+  const rows = await dbAll(
+    "SELECT id, name FROM user_groups ORDER BY name COLLATE NOCASE ASC",
+  );
+  return rows.map((row) => ({ id: row.id, name: row.name }));
+}
+
+// Replaces every group grant on a script or collection with the payload's
+// entries. Unknown groups are dropped the same way unknown users are.
+async function replaceGroupPermissions(table, column, targetId, entriesInput, options = {}) {
+  if (!Array.isArray(entriesInput)) {
+    const err = new Error("Group permissions payload must be an array");
+    err.status = 400;
+    throw err;
+  }
+
+  const normalized = new Map();
+  for (const entry of entriesInput) {
+    const normalizedEntry = normalizePermissionEntryInput(entry, {
+      ...options,
+      idField: "groupId",
+    });
+    if (!normalizedEntry) continue;
+    normalized.set(normalizedEntry.groupId, normalizedEntry);
+  }
+  await ensurePermissionRolesExist(Array.from(normalized.values()));
+
+  const groupIds = Array.from(normalized.keys());
+  if (groupIds.length) {
+    const existingGroups = await dbAll(
+      `SELECT id FROM user_groups WHERE id IN (${groupIds.map(() => "?").join(",")})`,
+      groupIds,
+    );
+    const validIds = new Set(existingGroups.map((row) => row.id));
+    for (const groupId of groupIds) {
+      if (!validIds.has(groupId)) normalized.delete(groupId);
+    }
+  }
+
+  await dbRun(`DELETE FROM ${table} WHERE ${column}=?`, [targetId]);
+  for (const { groupId, roleId, canRead, canWrite, canDelete, canRun, canClearLogs } of normalized.values()) {
+    await dbRun(
+      `INSERT INTO ${table} (id, ${column}, group_id, can_read, can_write, can_delete, can_run, can_clear_logs, role_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [
+        uuidv4(),
+        targetId,
+        groupId,
+        canRead ? 1 : 0,
+        canWrite ? 1 : 0,
+        canDelete ? 1 : 0,
+        canRun ? 1 : 0,
+        canClearLogs ? 1 : 0,
+        roleId,
+      ],
+    );
+  }
+}
+
 async function handleGetCollectionPermissions(req, res) {
   const { id } = req.params;
   try {
@@ -7008,8 +13684,10 @@ async function handleGetCollectionPermissions(req, res) {
     }
 
     const rows = await dbAll(
-      `SELECT cp.user_id, u.username, u.is_admin, cp.can_read, cp.can_write, cp.can_delete, cp.can_run, cp.can_clear_logs
+      `SELECT cp.user_id, u.username, u.is_admin, cp.can_read, cp.can_write, cp.can_delete, cp.can_run, cp.can_clear_logs,
+              cp.role_id, r.name AS role_name
          FROM category_permissions cp
+         LEFT JOIN roles r ON r.id = cp.role_id
          JOIN users u ON u.id = cp.user_id AND u.deleted_at IS NULL
         WHERE cp.category_id=?
         ORDER BY u.username COLLATE NOCASE ASC`,
@@ -7034,21 +13712,18 @@ async function handleGetCollectionPermissions(req, res) {
     res.json({
       category: info,
       collection: info,
-      permissions: rows.map((row) => ({
-        userId: row.user_id,
-        username: row.username,
-        isAdmin: normalizeDbBoolean(row.is_admin),
-        canRead: normalizeDbBoolean(row.can_read),
-        canWrite: normalizeDbBoolean(row.can_write),
-        canDelete: normalizeDbBoolean(row.can_delete),
-        canRun: normalizeDbBoolean(row.can_run),
-        canClearLogs: normalizeDbBoolean(row.can_clear_logs),
-      })),
+      permissions: rows.map(mapPermissionEntryRow),
+      groupPermissions: await loadGroupPermissionEntries(
+        "group_category_permissions",
+        "category_id",
+        category.id,
+      ),
       users: users.map((user) => ({
         id: user.id,
         username: user.username,
         isAdmin: normalizeDbBoolean(user.is_admin),
       })),
+      groups: await loadGroupOptions(),
     });
   } catch (err) {
     console.error("Failed to load collection permissions", err);
@@ -7057,7 +13732,7 @@ async function handleGetCollectionPermissions(req, res) {
 }
 
 async function handleUpdateCollectionPermissions(req, res) {
-  const { permissions: entriesInput } = req.body || {};
+  const { permissions: entriesInput, groupPermissions } = req.body || {};
   if (entriesInput !== undefined && !Array.isArray(entriesInput)) {
     res.status(400).json({ error: "Permissions payload must be an array" });
     return;
@@ -7080,24 +13755,18 @@ async function handleUpdateCollectionPermissions(req, res) {
       return;
     }
 
+    const before = auditPermissionSnapshot(
+      await loadUserPermissionEntries("category_permissions", "category_id", category.id),
+      await loadGroupPermissionEntries("group_category_permissions", "category_id", category.id),
+    );
+
     const normalized = new Map();
     for (const entry of entries) {
-      const userId = typeof entry?.userId === "string" ? entry.userId.trim() : "";
-      if (!userId) continue;
-      const canWrite = Boolean(entry?.canWrite);
-      const canDelete = Boolean(entry?.canDelete);
-      const canRun = Boolean(entry?.canRun);
-      const canClearLogs = Boolean(entry?.canClearLogs);
-      const canRead = Boolean(entry?.canRead) || canWrite || canDelete || canRun || canClearLogs;
-      normalized.set(userId, {
-        userId,
-        canRead,
-        canWrite,
-        canDelete,
-        canRun,
-        canClearLogs,
-      });
+      const normalizedEntry = normalizePermissionEntryInput(entry);
+      if (!normalizedEntry) continue;
+      normalized.set(normalizedEntry.userId, normalizedEntry);
     }
+    await ensurePermissionRolesExist(Array.from(normalized.values()));
 
     const userIds = Array.from(normalized.keys());
     if (userIds.length) {
@@ -7127,6 +13796,7 @@ async function handleUpdateCollectionPermissions(req, res) {
       );
       for (const {
         userId,
+        roleId,
         canRead,
         canWrite,
         canDelete,
@@ -7134,14 +13804,15 @@ async function handleUpdateCollectionPermissions(req, res) {
         canClearLogs,
       } of normalized.values()) {
         await dbRun(
-          `INSERT INTO category_permissions (id, category_id, user_id, can_read, can_write, can_delete, can_run, can_clear_logs, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          `INSERT INTO category_permissions (id, category_id, user_id, can_read, can_write, can_delete, can_run, can_clear_logs, role_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
            ON CONFLICT(category_id, user_id) DO UPDATE SET
              can_read=excluded.can_read,
              can_write=excluded.can_write,
              can_delete=excluded.can_delete,
              can_run=excluded.can_run,
              can_clear_logs=excluded.can_clear_logs,
+             role_id=excluded.role_id,
              updated_at=CURRENT_TIMESTAMP`,
           [
             uuidv4(),
@@ -7152,14 +13823,26 @@ async function handleUpdateCollectionPermissions(req, res) {
             canDelete ? 1 : 0,
             canRun ? 1 : 0,
             canClearLogs ? 1 : 0,
+            roleId,
           ],
         );
       }
     }
 
+    if (groupPermissions !== undefined) {
+      await replaceGroupPermissions(
+        "group_category_permissions",
+        "category_id",
+        category.id,
+        groupPermissions,
+      );
+    }
+
     const rows = await dbAll(
-      `SELECT cp.user_id, u.username, u.is_admin, cp.can_read, cp.can_write, cp.can_delete, cp.can_run, cp.can_clear_logs
+      `SELECT cp.user_id, u.username, u.is_admin, cp.can_read, cp.can_write, cp.can_delete, cp.can_run, cp.can_clear_logs,
+              cp.role_id, r.name AS role_name
          FROM category_permissions cp
+         LEFT JOIN roles r ON r.id = cp.role_id
          JOIN users u ON u.id = cp.user_id AND u.deleted_at IS NULL
         WHERE cp.category_id=?
         ORDER BY u.username COLLATE NOCASE ASC`,
@@ -7174,22 +13857,34 @@ async function handleUpdateCollectionPermissions(req, res) {
       isSystem: normalizeDbBoolean(category.is_system),
     };
 
+    const updatedPermissions = rows.map(mapPermissionEntryRow);
+    const updatedGroupPermissions = await loadGroupPermissionEntries(
+      "group_category_permissions",
+      "category_id",
+      category.id,
+    );
+    await recordAuditEvent({
+      req,
+      action: "collection.permissions.updated",
+      targetType: "collection",
+      targetId: category.id,
+      targetLabel: category.name,
+      before,
+      after: auditPermissionSnapshot(updatedPermissions, updatedGroupPermissions),
+    });
+
     res.json({
       updated: true,
       category: info,
       collection: info,
-      permissions: rows.map((row) => ({
-        userId: row.user_id,
-        username: row.username,
-        isAdmin: normalizeDbBoolean(row.is_admin),
-        canRead: normalizeDbBoolean(row.can_read),
-        canWrite: normalizeDbBoolean(row.can_write),
-        canDelete: normalizeDbBoolean(row.can_delete),
-        canRun: normalizeDbBoolean(row.can_run),
-        canClearLogs: normalizeDbBoolean(row.can_clear_logs),
-      })),
+      permissions: updatedPermissions,
+      groupPermissions: updatedGroupPermissions,
     });
   } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
     console.error("Failed to update collection permissions", err);
     res.status(500).json({ error: "Failed to update collection permissions" });
   }
@@ -7387,11 +14082,13 @@ app.delete("/api/scripts/:id/draft", async (req, res) => {
       return;
     }
 
+    cancelPendingRetriesForScript(script.id);
     await dbRun("DELETE FROM logs WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM runs WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM script_versions WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM script_variables WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM script_permissions WHERE script_id=?", [script.id]);
+    await dbRun("DELETE FROM group_script_permissions WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM scripts WHERE id=?", [script.id]);
     unregisterScriptRoute(script.endpoint);
     res.json({ deleted: true });
@@ -7423,10 +14120,13 @@ app.post("/api/scripts", async (req, res) => {
     runBody: inputRunBody,
     acceptedMethods: inputAcceptedMethods,
     runnerHostId: inputRunnerHostId,
+    runnerSelector: inputRunnerSelector,
+    fallbackRunnerHostIds: inputFallbackRunnerHostIds,
     inheritCategoryRunner: inputInheritCategoryRunner,
     inheritCollectionRunner: inputInheritCollectionRunner,
     includeAutomnResponseData: inputIncludeAutomnResponseData,
     includeRunIdInResponse: inputIncludeRunIdInResponse,
+    retryPolicy: inputRetryPolicy,
   } = requestBody;
 
   const name =
@@ -7477,6 +14177,10 @@ app.post("/api/scripts", async (req, res) => {
     requestBody,
     "includeRunIdInResponse",
   );
+  const bodyHasRetryPolicy = Object.prototype.hasOwnProperty.call(
+    requestBody,
+    "retryPolicy",
+  );
 
   const trimmedCategoryId =
     typeof inputCategoryId === "string" && inputCategoryId.trim()
@@ -7510,6 +14214,15 @@ app.post("/api/scripts", async (req, res) => {
       return;
     }
 
+    if (
+      bodyHasRetryPolicy &&
+      inputRetryPolicy !== null &&
+      !normalizeRetryPolicy(inputRetryPolicy)
+    ) {
+      res.status(400).json({ error: "Invalid retry policy" });
+      return;
+    }
+
     const bodyHasRunnerHostId = Object.prototype.hasOwnProperty.call(
       requestBody,
       "runnerHostId",
@@ -7517,6 +14230,31 @@ app.post("/api/scripts", async (req, res) => {
     const bodyHasInheritCategoryRunner =
       Object.prototype.hasOwnProperty.call(requestBody, "inheritCategoryRunner") ||
       Object.prototype.hasOwnProperty.call(requestBody, "inheritCollectionRunner");
+    const bodyHasRunnerSelector = Object.prototype.hasOwnProperty.call(
+      requestBody,
+      "runnerSelector",
+    );
+    const { selector: inputSelector, error: selectorError } = parseRunnerSelectorInput(
+      bodyHasRunnerSelector ? inputRunnerSelector : null,
+    );
+    if (selectorError) {
+      res.status(400).json({ error: selectorError });
+      return;
+    }
+    const bodyRunnerHostId =
+      bodyHasRunnerHostId && typeof inputRunnerHostId === "string"
+        ? inputRunnerHostId.trim()
+        : "";
+    if (bodyRunnerHostId && inputSelector.length) {
+      res.status(400).json({
+        error: "Choose either a runner host or runner labels, not both",
+      });
+      return;
+    }
+    const bodyHasFallbackRunnerHostIds = Object.prototype.hasOwnProperty.call(
+      requestBody,
+      "fallbackRunnerHostIds",
+    );
 
     if (id) {
       const { script: existing } = await ensureScriptAccess({
@@ -7526,6 +14264,8 @@ app.post("/api/scripts", async (req, res) => {
         allowRecycled: true,
         allowDraft: true,
       });
+      const wasDraft = normalizeDbBoolean(existing.is_draft);
+      const auditBefore = wasDraft ? null : auditScriptSnapshot(existing);
 
       const existingNameNormalized =
         typeof existing.name === "string" ? existing.name.trim() : "";
@@ -7617,21 +14357,49 @@ app.post("/api/scripts", async (req, res) => {
         }
       }
 
+      let runnerSelectorToPersist = bodyHasRunnerSelector
+        ? inputSelector
+        : parseRunnerLabels(existing.runner_selector);
+      if (bodyHasRunnerSelector && inputSelector.length && !bodyHasRunnerHostId) {
+        runnerHostIdToPersist = null;
+      }
+
       if (runnerHostIdToPersist) {
         inheritCategoryRunner = false;
+        runnerSelectorToPersist = [];
+      } else if (runnerSelectorToPersist.length) {
+        inheritCategoryRunner = false;
+      }
+
+      // A script's fallback runners only back up its own runner.
+      let fallbackRunnerIdsToPersist = runnerHostIdToPersist
+        ? parseFallbackRunnerIds(existing.fallback_runner_host_ids)
+        : [];
+      if (runnerHostIdToPersist && bodyHasFallbackRunnerHostIds) {
+        const fallbackInput = await parseFallbackRunnerInput(inputFallbackRunnerHostIds, {
+          primaryRunnerId: runnerHostIdToPersist,
+          allowAdminOnly: Boolean(req.user?.isAdmin),
+        });
+        if (fallbackInput.error) {
+          res.status(fallbackInput.status).json({ error: fallbackInput.error });
+          return;
+        }
+        fallbackRunnerIdsToPersist = fallbackInput.ids;
       }
 
-      const effectiveRunnerHostId =
-        runnerHostIdToPersist ||
-        (inheritCategoryRunner
-          ? categoryRecord?.default_runner_host_id || null
-          : null) ||
-        null;
+      const runnerTarget = resolveRunnerTarget({
+        runnerHostId: runnerHostIdToPersist,
+        runnerSelector: runnerSelectorToPersist,
+        inheritCategoryRunner,
+        categoryDefaultRunnerHostId: categoryRecord?.default_runner_host_id || null,
+        categoryDefaultRunnerSelector: categoryRecord?.default_runner_selector || null,
+      });
+      const effectiveRunnerHostId = runnerTarget.runnerId;
 
-      if (!effectiveRunnerHostId && inheritCategoryRunner) {
+      if (!effectiveRunnerHostId && !runnerTarget.selector && inheritCategoryRunner) {
         res.status(400).json({
           error:
-            "Scripts must be assigned to a runner host, inherit one from their category, or explicitly disable runner inheritance.",
+            "Scripts must be assigned to a runner host or runner labels, inherit one from their category, or explicitly disable runner inheritance.",
         });
         return;
       }
@@ -7724,6 +14492,9 @@ app.post("/api/scripts", async (req, res) => {
       const includeRunId = bodyHasIncludeRunIdInResponse
         ? Boolean(inputIncludeRunIdInResponse)
         : existing.expose_run_id !== 0;
+      const retryPolicyJson = bodyHasRetryPolicy
+        ? serializeRetryPolicy(inputRetryPolicy)
+        : existing.retry_policy_json || null;
 
       const ownerId = existing.owner_id || req.user?.id || null;
       const versionAuthorId =
@@ -7733,7 +14504,7 @@ app.post("/api/scripts", async (req, res) => {
         : lastVersionUserId || ownerId || versionAuthorId || null;
 
       await dbRun(
-        `UPDATE scripts SET name=?, endpoint=?, language=?, code=?, timeout=?, project_name=?, category_id=?, inherit_category_permissions=?, inherit_category_runner=?, runner_host_id=?, owner_id=?, last_version_user_id=?, is_recycled=0, recycled_at=NULL, recycled_from_endpoint=NULL, run_method=?, allowed_methods=?, run_headers=?, run_body=?, expose_automn_response=?, expose_run_id=?, is_draft=0 WHERE id=?`,
+        `UPDATE scripts SET name=?, endpoint=?, language=?, code=?, timeout=?, project_name=?, category_id=?, inherit_category_permissions=?, inherit_category_runner=?, runner_host_id=?, runner_selector=?, fallback_runner_host_ids=?, owner_id=?, last_version_user_id=?, is_recycled=0, recycled_at=NULL, recycled_from_endpoint=NULL, run_method=?, allowed_methods=?, run_headers=?, run_body=?, expose_automn_response=?, expose_run_id=?, retry_policy_json=?, is_draft=0 WHERE id=?`,
         [
           name,
           endpoint,
@@ -7745,6 +14516,8 @@ app.post("/api/scripts", async (req, res) => {
           inheritCategoryPermissions ? 1 : 0,
           inheritCategoryRunner ? 1 : 0,
           runnerHostIdToPersist,
+          serializeRunnerLabels(runnerSelectorToPersist),
+          serializeFallbackRunnerIds(fallbackRunnerIdsToPersist),
           ownerId,
           persistedVersionAuthorId,
           effectiveRunMethod,
@@ -7753,12 +14526,14 @@ app.post("/api/scripts", async (req, res) => {
           effectiveRunBody,
           includeAutomnResponse ? 1 : 0,
           includeRunId ? 1 : 0,
+          retryPolicyJson,
           id,
         ],
       );
 
       existing.expose_automn_response = includeAutomnResponse ? 1 : 0;
       existing.expose_run_id = includeRunId ? 1 : 0;
+      existing.retry_policy_json = retryPolicyJson;
       existing.is_draft = 0;
 
       let responseVersion = baseVersion;
@@ -7775,6 +14550,8 @@ app.post("/api/scripts", async (req, res) => {
       }
 
       existing.runner_host_id = runnerHostIdToPersist;
+      existing.runner_selector = serializeRunnerLabels(runnerSelectorToPersist);
+      existing.fallback_runner_host_ids = serializeFallbackRunnerIds(fallbackRunnerIdsToPersist);
       existing.inherit_category_runner = inheritCategoryRunner ? 1 : 0;
       existing.allowed_methods = serializedAcceptedMethods;
       existing.acceptedMethods = acceptedMethodsToPersist;
@@ -7808,11 +14585,24 @@ app.post("/api/scripts", async (req, res) => {
         language,
         code: nextCode,
         runnerHostId: runnerHostIdToPersist,
+        runnerSelector: runnerSelectorToPersist,
         inheritCategoryRunner,
         categoryDefaultRunnerHostId: categoryRecord?.default_runner_host_id || null,
+        categoryDefaultRunnerSelector: categoryRecord?.default_runner_selector || null,
         installMissing: false,
       });
 
+      await recordAuditEvent({
+        req,
+        action: wasDraft ? "script.created" : "script.updated",
+        targetType: "script",
+        targetId: id,
+        targetLabel: name,
+        details: { version: responseVersion },
+        before: auditBefore,
+        after: auditScriptSnapshot(await loadScriptRowForAudit(id)),
+      });
+
       res.json({
         updated: true,
         id,
@@ -7825,6 +14615,7 @@ app.post("/api/scripts", async (req, res) => {
         runBody: effectiveRunBody,
         includeAutomnResponseData: includeAutomnResponse,
         includeRunIdInResponse: includeRunId,
+        retryPolicy: parseRetryPolicy(retryPolicyJson),
         hasApiToken: Boolean(existing.run_token),
         apiTokenPreview: existing.run_token
           ? sanitizeScriptToken(existing.run_token)
@@ -7835,8 +14626,11 @@ app.post("/api/scripts", async (req, res) => {
         inheritCategoryPermissions,
         inheritCategoryRunner,
         runnerHostId: runnerHostIdToPersist,
+        runnerSelector: runnerSelectorToPersist,
+        fallbackRunnerHostIds: fallbackRunnerIdsToPersist,
         categoryDefaultRunnerHostId:
           categoryRecord?.default_runner_host_id || null,
+        categoryDefaultRunnerSelector: parseRunnerLabels(categoryRecord?.default_runner_selector),
         packageCount: packageResult.packageCount,
         packages: packageResult.packages,
         packageCheckError: packageResult.checkError,
@@ -7899,20 +14693,39 @@ app.post("/api/scripts", async (req, res) => {
       }
     }
 
-    if (runnerHostIdToPersist) {
-      inheritCategoryRunner = false;
-    }
-
-    const effectiveRunnerHostId =
-      runnerHostIdToPersist ||
-      (inheritCategoryRunner
-        ? selectedCategory?.default_runner_host_id || null
-        : null) ||
-      null;
-    if (!effectiveRunnerHostId && inheritCategoryRunner) {
+    let runnerSelectorToPersist = inputSelector;
+    if (runnerHostIdToPersist) {
+      inheritCategoryRunner = false;
+      runnerSelectorToPersist = [];
+    } else if (runnerSelectorToPersist.length) {
+      inheritCategoryRunner = false;
+    }
+
+    let fallbackRunnerIdsToPersist = [];
+    if (runnerHostIdToPersist && bodyHasFallbackRunnerHostIds) {
+      const fallbackInput = await parseFallbackRunnerInput(inputFallbackRunnerHostIds, {
+        primaryRunnerId: runnerHostIdToPersist,
+        allowAdminOnly: Boolean(req.user?.isAdmin),
+      });
+      if (fallbackInput.error) {
+        res.status(fallbackInput.status).json({ error: fallbackInput.error });
+        return;
+      }
+      fallbackRunnerIdsToPersist = fallbackInput.ids;
+    }
+
+    const runnerTarget = resolveRunnerTarget({
+      runnerHostId: runnerHostIdToPersist,
+      runnerSelector: runnerSelectorToPersist,
+      inheritCategoryRunner,
+      categoryDefaultRunnerHostId: selectedCategory?.default_runner_host_id || null,
+      categoryDefaultRunnerSelector: selectedCategory?.default_runner_selector || null,
+    });
+    const effectiveRunnerHostId = runnerTarget.runnerId;
+    if (!effectiveRunnerHostId && !runnerTarget.selector && inheritCategoryRunner) {
       res.status(400).json({
         error:
-          "Scripts must be assigned to a runner host, inherit one from their category, or explicitly disable runner inheritance.",
+          "Scripts must be assigned to a runner host or runner labels, inherit one from their category, or explicitly disable runner inheritance.",
       });
       return;
     }
@@ -7939,6 +14752,9 @@ app.post("/api/scripts", async (req, res) => {
     const includeRunId = bodyHasIncludeRunIdInResponse
       ? Boolean(inputIncludeRunIdInResponse)
       : true;
+    const retryPolicyJson = bodyHasRetryPolicy
+      ? serializeRetryPolicy(inputRetryPolicy)
+      : null;
 
     const defaultAcceptedMethods = normalizeAcceptedMethods(
       bodyHasAcceptedMethods ? inputAcceptedMethods : DEFAULT_ACCEPTED_METHODS,
@@ -7952,8 +14768,8 @@ app.post("/api/scripts", async (req, res) => {
     const initialCode = typeof code === "string" ? code : "";
     const runToken = generateScriptToken();
     await dbRun(
-      `INSERT INTO scripts (id,name,endpoint,language,code,timeout,project_name,category_id,inherit_category_permissions,inherit_category_runner,runner_host_id,owner_id,last_version_user_id,is_recycled,recycled_at,run_method,allowed_methods,run_headers,run_body,run_token,require_authentication,expose_automn_response,expose_run_id)
-       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+      `INSERT INTO scripts (id,name,endpoint,language,code,timeout,project_name,category_id,inherit_category_permissions,inherit_category_runner,runner_host_id,runner_selector,fallback_runner_host_ids,owner_id,last_version_user_id,is_recycled,recycled_at,run_method,allowed_methods,run_headers,run_body,run_token,require_authentication,expose_automn_response,expose_run_id,retry_policy_json)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
       [
         newId,
         name,
@@ -7966,6 +14782,8 @@ app.post("/api/scripts", async (req, res) => {
         inheritCategoryPermissions ? 1 : 0,
         inheritCategoryRunner ? 1 : 0,
         runnerHostIdToPersist,
+        serializeRunnerLabels(runnerSelectorToPersist),
+        serializeFallbackRunnerIds(fallbackRunnerIdsToPersist),
         ownerId,
         initialVersionAuthorId,
         0,
@@ -7978,6 +14796,7 @@ app.post("/api/scripts", async (req, res) => {
         1,
         includeAutomnResponse ? 1 : 0,
         includeRunId ? 1 : 0,
+        retryPolicyJson,
       ],
     );
 
@@ -7999,6 +14818,8 @@ app.post("/api/scripts", async (req, res) => {
       inherit_category_permissions: inheritCategoryPermissions,
       inherit_category_runner: inheritCategoryRunner ? 1 : 0,
       runner_host_id: runnerHostIdToPersist,
+      runner_selector: serializeRunnerLabels(runnerSelectorToPersist),
+      fallback_runner_host_ids: serializeFallbackRunnerIds(fallbackRunnerIdsToPersist),
       owner_id: ownerId,
       last_version_user_id: initialVersionAuthorId,
       is_recycled: 0,
@@ -8018,12 +14839,25 @@ app.post("/api/scripts", async (req, res) => {
       language,
       code: initialCode,
       runnerHostId: runnerHostIdToPersist,
+      runnerSelector: runnerSelectorToPersist,
       inheritCategoryRunner,
       categoryDefaultRunnerHostId:
         selectedCategory?.default_runner_host_id || null,
+      categoryDefaultRunnerSelector: selectedCategory?.default_runner_selector || null,
       installMissing: false,
     });
 
+    await recordAuditEvent({
+      req,
+      action: "script.created",
+      targetType: "script",
+      targetId: newId,
+      targetLabel: name,
+      details: { version: 1 },
+      before: null,
+      after: auditScriptSnapshot(await loadScriptRowForAudit(newId)),
+    });
+
     res.status(201).json({
       id: newId,
       name,
@@ -8035,6 +14869,7 @@ app.post("/api/scripts", async (req, res) => {
       runBody: defaultRunBody,
       includeAutomnResponseData: includeAutomnResponse,
       includeRunIdInResponse: includeRunId,
+      retryPolicy: parseRetryPolicy(retryPolicyJson),
       hasApiToken: true,
       apiTokenPreview: sanitizeScriptToken(runToken),
       variableCount: 0,
@@ -8043,8 +14878,11 @@ app.post("/api/scripts", async (req, res) => {
       inheritCategoryPermissions: Boolean(inheritCategoryPermissions),
       inheritCategoryRunner,
       runnerHostId: runnerHostIdToPersist,
+      runnerSelector: runnerSelectorToPersist,
+      fallbackRunnerHostIds: fallbackRunnerIdsToPersist,
       categoryDefaultRunnerHostId:
         selectedCategory?.default_runner_host_id || null,
+      categoryDefaultRunnerSelector: parseRunnerLabels(selectedCategory?.default_runner_selector),
       collectionId: selectedCategory?.id || DEFAULT_CATEGORY_ID,
       collectionName: selectedCategory?.name || "",
       inheritCollectionPermissions: Boolean(inheritCategoryPermissions),
@@ -8184,6 +15022,12 @@ app.post("/api/scripts/:id/variables", async (req, res) => {
 
     const row = await loadScriptVariableById(script.id, id);
     const count = await countScriptVariables(script.id);
+    await recordVariableAuditEvent(req, "variable.created", {
+      scope: "script",
+      ownerId: script.id,
+      before: null,
+      after: row,
+    });
     res.status(201).json({
       variable: sanitizeVariableApiRow(row),
       count,
@@ -8286,6 +15130,12 @@ app.put("/api/scripts/:id/variables/:variableId", async (req, res) => {
 
     const updated = await loadScriptVariableById(script.id, existing.id);
     const count = await countScriptVariables(script.id);
+    await recordVariableAuditEvent(req, "variable.updated", {
+      scope: "script",
+      ownerId: script.id,
+      before: existing,
+      after: updated,
+    });
     res.json({
       variable: sanitizeVariableApiRow(updated),
       count,
@@ -8309,16 +15159,23 @@ app.delete("/api/scripts/:id/variables/:variableId", async (req, res) => {
       allowDraft: true,
     });
 
-    const result = await dbRun(
-      "DELETE FROM script_variables WHERE id=? AND script_id=?",
-      [req.params.variableId, script.id],
-    );
-
-    if (!result?.changes) {
+    const existing = await loadScriptVariableById(script.id, req.params.variableId);
+    if (!existing) {
       res.status(404).json({ error: "Variable not found" });
       return;
     }
 
+    await dbRun("DELETE FROM script_variables WHERE id=? AND script_id=?", [
+      existing.id,
+      script.id,
+    ]);
+    await recordVariableAuditEvent(req, "variable.deleted", {
+      scope: "script",
+      ownerId: script.id,
+      before: existing,
+      after: null,
+    });
+
     const count = await countScriptVariables(script.id);
     res.json({ deleted: true, count });
   } catch (err) {
@@ -8352,8 +15209,8 @@ app.get("/api/scripts/:id/packages", async (req, res) => {
     const runnerHostId = script.runner_host_id || null;
     const categoryDefaultRunnerHostId =
       script.category_default_runner_host_id || null;
-    const effectiveRunnerHostId =
-      runnerHostId || (inheritCategoryRunner ? categoryDefaultRunnerHostId : null) || null;
+    const { runnerId: effectiveRunnerHostId, selector: effectiveRunnerSelector } =
+      resolveRunnerTarget(script);
     const checkError =
       packages.find((pkg) => pkg.status === "error" && pkg.message)?.message ||
       null;
@@ -8364,9 +15221,11 @@ app.get("/api/scripts/:id/packages", async (req, res) => {
       packages,
       packageCount,
       runnerHostId,
+      runnerSelector: parseRunnerLabels(script.runner_selector),
       inheritCategoryRunner,
       categoryDefaultRunnerHostId,
       effectiveRunnerHostId,
+      effectiveRunnerSelector: effectiveRunnerSelector || [],
       checkError,
     });
   } catch (err) {
@@ -8404,8 +15263,10 @@ app.post("/api/scripts/:id/packages/check", async (req, res) => {
       language: script.language,
       code: script.code || "",
       runnerHostId: script.runner_host_id || null,
+      runnerSelector: script.runner_selector || null,
       inheritCategoryRunner,
       categoryDefaultRunnerHostId,
+      categoryDefaultRunnerSelector: script.category_default_runner_selector || null,
       installMissing,
     });
 
@@ -8473,6 +15334,13 @@ app.post("/api/scripts/:id/token/rotate", requireAdmin, async (req, res) => {
     ]);
 
     registerScriptRoute({ ...scriptRow, run_token: newToken });
+    await recordAuditEvent({
+      req,
+      action: "script.token_rotated",
+      targetType: "script",
+      targetId: scriptRow.id,
+      targetLabel: scriptRow.name,
+    });
 
     res.json({
       hasToken: true,
@@ -8485,6 +15353,338 @@ app.post("/api/scripts/:id/token/rotate", requireAdmin, async (req, res) => {
     res.status(500).json({ error: "Failed to rotate script token" });
   }
 });
+
+function sanitizeScriptTokenRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    preview: row.token_preview || null,
+    allowedMethods: parseScriptTokenList(row.allowed_methods_json),
+    ipAllowlist: parseScriptTokenList(row.ip_allowlist_json),
+    expiresAt: row.expires_at || null,
+    isExpired: Boolean(row.expires_at && Date.parse(row.expires_at) <= Date.now()),
+    lastUsedAt: row.last_used_at || null,
+    lastUsedIp: row.last_used_ip || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function auditScriptTokenSnapshot(row) {
+  const token = sanitizeScriptTokenRow(row);
+  if (!token) return null;
+  return {
+    name: token.name,
+    allowedMethods: token.allowedMethods,
+    ipAllowlist: token.ipAllowlist,
+    expiresAt: token.expiresAt,
+  };
+}
+
+function createScriptTokenValidationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Builds the column values for a named token from a create or update body.
+// Fields missing from an update body are left out of the result.
+function resolveScriptTokenPayload(body, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      throw createScriptTokenValidationError("Token name is required");
+    }
+    if (name.length > SCRIPT_TOKEN_NAME_MAX_LENGTH) {
+      throw createScriptTokenValidationError(
+        `Token names are limited to ${SCRIPT_TOKEN_NAME_MAX_LENGTH} characters`,
+      );
+    }
+    values.name = name;
+  }
+
+  if (!partial || body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === undefined || body.expiresAt === "") {
+      values.expires_at = null;
+    } else {
+      const expiresAt = Date.parse(body.expiresAt);
+      if (!Number.isFinite(expiresAt)) {
+        throw createScriptTokenValidationError("Token expiry must be a valid date");
+      }
+      if (expiresAt <= Date.now()) {
+        throw createScriptTokenValidationError("Token expiry must be in the future");
+      }
+      values.expires_at = new Date(expiresAt).toISOString();
+    }
+  }
+
+  if (!partial || body.allowedMethods !== undefined) {
+    const requested = Array.isArray(body.allowedMethods) ? body.allowedMethods : [];
+    const methods = new Set();
+    for (const entry of requested) {
+      const method = typeof entry === "string" ? entry.trim().toUpperCase() : "";
+      if (!SUPPORTED_HTTP_METHODS.includes(method)) {
+        throw createScriptTokenValidationError(`Unsupported HTTP method "${entry}"`);
+      }
+      methods.add(method);
+    }
+    values.allowed_methods_json = methods.size
+      ? JSON.stringify(SUPPORTED_HTTP_METHODS.filter((method) => methods.has(method)))
+      : null;
+  }
+
+  if (!partial || body.ipAllowlist !== undefined) {
+    const requested = Array.isArray(body.ipAllowlist) ? body.ipAllowlist : [];
+    const entries = [];
+    for (const entry of requested) {
+      const trimmed = typeof entry === "string" ? entry.trim() : "";
+      if (!trimmed) continue;
+      if (!parseIpAllowlistEntry(trimmed)) {
+        throw createScriptTokenValidationError(`"${trimmed}" is not an IP address or CIDR range`);
+      }
+      if (!entries.includes(trimmed)) {
+        entries.push(trimmed);
+      }
+    }
+    values.ip_allowlist_json = entries.length ? JSON.stringify(entries) : null;
+  }
+
+  return values;
+}
+
+async function ensureScriptTokenNameAvailable(scriptId, name, tokenId = null) {
+  const existing = await dbGet(
+    "SELECT id FROM script_tokens WHERE script_id=? AND lower(name)=lower(?) AND id<>?",
+    [scriptId, name, tokenId || ""],
+  );
+  if (existing) {
+    const err = new Error(`A token named "${name}" already exists for this script`);
+    err.status = 409;
+    throw err;
+  }
+}
+
+app.get("/api/scripts/:id/tokens", requireAdmin, async (req, res) => {
+  try {
+    const scriptRow = await dbGet("SELECT id FROM scripts WHERE id=?", [req.params.id]);
+    if (!scriptRow) {
+      res.status(404).json({ error: "Script not found" });
+      return;
+    }
+
+    const rows = await dbAll(
+      "SELECT * FROM script_tokens WHERE script_id=? ORDER BY created_at ASC",
+      [scriptRow.id],
+    );
+    res.json({ tokens: rows.map(sanitizeScriptTokenRow) });
+  } catch (err) {
+    console.error("Failed to load script tokens", err);
+    res.status(500).json({ error: "Failed to load script tokens" });
+  }
+});
+
+app.post("/api/scripts/:id/tokens", requireAdmin, async (req, res) => {
+  try {
+    const scriptRow = await dbGet("SELECT id, name FROM scripts WHERE id=?", [req.params.id]);
+    if (!scriptRow) {
+      res.status(404).json({ error: "Script not found" });
+      return;
+    }
+
+    const values = resolveScriptTokenPayload(req.body || {});
+    await ensureScriptTokenNameAvailable(scriptRow.id, values.name);
+
+    const id = uuidv4();
+    const token = generateScriptToken();
+    const now = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO script_tokens (id, script_id, name, token_hash, token_preview, allowed_methods_json, ip_allowlist_json, expires_at, created_by_user_id, created_at, updated_at)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+      [
+        id,
+        scriptRow.id,
+        values.name,
+        hashScriptToken(token),
+        sanitizeScriptToken(token),
+        values.allowed_methods_json,
+        values.ip_allowlist_json,
+        values.expires_at,
+        req.user?.id || null,
+        now,
+        now,
+      ],
+    );
+
+    const row = await dbGet("SELECT * FROM script_tokens WHERE id=?", [id]);
+    await recordAuditEvent({
+      req,
+      action: "script.api_token.created",
+      targetType: "script",
+      targetId: scriptRow.id,
+      targetLabel: scriptRow.name,
+      details: { tokenId: id, tokenPreview: row?.token_preview || null },
+      before: null,
+      after: auditScriptTokenSnapshot(row),
+    });
+    // The token value is only returned here; just its hash is stored.
+    res.status(201).json({ token: sanitizeScriptTokenRow(row), value: token });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to create script token", err);
+    res.status(500).json({ error: "Failed to create script token" });
+  }
+});
+
+app.patch("/api/scripts/:id/tokens/:tokenId", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM script_tokens WHERE id=? AND script_id=?", [
+      req.params.tokenId,
+      req.params.id,
+    ]);
+    if (!existing) {
+      res.status(404).json({ error: "Token not found" });
+      return;
+    }
+
+    const values = resolveScriptTokenPayload(req.body || {}, { partial: true });
+    if (values.name) {
+      await ensureScriptTokenNameAvailable(existing.script_id, values.name, existing.id);
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length) {
+      await dbRun(
+        `UPDATE script_tokens SET ${columns.map((column) => `${column}=?`).join(", ")}, updated_at=? WHERE id=?`,
+        [...columns.map((column) => values[column]), new Date().toISOString(), existing.id],
+      );
+    }
+
+    const row = await dbGet("SELECT * FROM script_tokens WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "script.api_token.updated",
+      targetType: "script",
+      targetId: existing.script_id,
+      details: { tokenId: existing.id },
+      before: auditScriptTokenSnapshot(existing),
+      after: auditScriptTokenSnapshot(row),
+    });
+    res.json({ token: sanitizeScriptTokenRow(row) });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error("Failed to update script token", err);
+    res.status(500).json({ error: "Failed to update script token" });
+  }
+});
+
+app.delete("/api/scripts/:id/tokens/:tokenId", requireAdmin, async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM script_tokens WHERE id=? AND script_id=?", [
+      req.params.tokenId,
+      req.params.id,
+    ]);
+    if (!existing) {
+      res.status(404).json({ error: "Token not found" });
+      return;
+    }
+    await dbRun("DELETE FROM script_tokens WHERE id=?", [existing.id]);
+    await recordAuditEvent({
+      req,
+      action: "script.api_token.revoked",
+      targetType: "script",
+      targetId: existing.script_id,
+      details: { tokenId: existing.id },
+      before: auditScriptTokenSnapshot(existing),
+      after: null,
+    });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Failed to delete script token", err);
+    res.status(500).json({ error: "Failed to delete script token" });
+  }
+});
+
+function describeWebhookAuth(config) {
+  if (!config) {
+    return { mode: "none", signatureHeader: null, timestampHeader: null, toleranceSeconds: null, secret: null };
+  }
+  return {
+    mode: config.mode,
+    signatureHeader: config.signatureHeader,
+    timestampHeader: config.timestampHeader,
+    toleranceSeconds: config.toleranceSeconds,
+    secret: config.secret,
+  };
+}
+
+app.get("/api/scripts/:id/webhook", requireAdmin, async (req, res) => {
+  try {
+    const scriptRow = await dbGet("SELECT id, webhook_auth_json FROM scripts WHERE id=?", [
+      req.params.id,
+    ]);
+    if (!scriptRow) {
+      res.status(404).json({ error: "Script not found" });
+      return;
+    }
+
+    res.json({ webhook: describeWebhookAuth(parseWebhookAuthConfig(scriptRow.webhook_auth_json)) });
+  } catch (err) {
+    console.error("Failed to load script webhook settings", err);
+    res.status(500).json({ error: "Failed to load webhook settings" });
+  }
+});
+
+app.put("/api/scripts/:id/webhook", requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const scriptRow = await dbGet("SELECT * FROM scripts WHERE id=?", [req.params.id]);
+    if (!scriptRow) {
+      res.status(404).json({ error: "Script not found" });
+      return;
+    }
+
+    let nextConfig = null;
+    if (body.mode && body.mode !== "none") {
+      if (!WEBHOOK_AUTH_ALGORITHMS[body.mode]) {
+        res.status(400).json({ error: "Unsupported webhook signature mode" });
+        return;
+      }
+      const existing = parseWebhookAuthConfig(scriptRow.webhook_auth_json);
+      const providedSecret = typeof body.secret === "string" ? body.secret.trim() : "";
+      const secret =
+        providedSecret ||
+        (body.rotateSecret || !existing ? generateScriptToken() : existing.secret);
+      nextConfig = normalizeWebhookAuthConfig({ ...body, secret });
+    }
+
+    await dbRun("UPDATE scripts SET webhook_auth_json=? WHERE id=?", [
+      nextConfig ? JSON.stringify(nextConfig) : null,
+      scriptRow.id,
+    ]);
+    await recordAuditEvent({
+      req,
+      action: "script.webhook.updated",
+      targetType: "script",
+      targetId: scriptRow.id,
+      targetLabel: scriptRow.name,
+      before: describeWebhookAuth(parseWebhookAuthConfig(scriptRow.webhook_auth_json)),
+      after: describeWebhookAuth(nextConfig),
+    });
+    res.json({ webhook: describeWebhookAuth(nextConfig) });
+  } catch (err) {
+    console.error("Failed to update script webhook settings", err);
+    res.status(500).json({ error: "Failed to update webhook settings" });
+  }
+});
 // ─────────────────────────────────────────────
 // CRUD helpers
 // ─────────────────────────────────────────────
@@ -8501,7 +15701,7 @@ app.get("/api/scripts", async (req, res) => {
       req.query.includeRecycled === "true" ||
       req.query.includeRecycled === "yes";
 
-    const params = [user.id, user.id];
+    const params = [user.id, user.id, user.id, user.id];
     let query = `
       SELECT s.*, owner.username AS owner_username,
              perms.can_read AS perm_can_read,
@@ -8514,10 +15714,32 @@ app.get("/api/scripts", async (req, res) => {
              cperms.can_delete AS category_perm_can_delete,
              cperms.can_run AS category_perm_can_run,
              cperms.can_clear_logs AS category_perm_can_clear_logs,
+             prole.can_read AS perm_role_can_read,
+             prole.can_write AS perm_role_can_write,
+             prole.can_delete AS perm_role_can_delete,
+             prole.can_run AS perm_role_can_run,
+             prole.can_clear_logs AS perm_role_can_clear_logs,
+             crole.can_read AS category_perm_role_can_read,
+             crole.can_write AS category_perm_role_can_write,
+             crole.can_delete AS category_perm_role_can_delete,
+             crole.can_run AS category_perm_role_can_run,
+             crole.can_clear_logs AS category_perm_role_can_clear_logs,
+             gperms.can_read AS perm_group_can_read,
+             gperms.can_write AS perm_group_can_write,
+             gperms.can_delete AS perm_group_can_delete,
+             gperms.can_run AS perm_group_can_run,
+             gperms.can_clear_logs AS perm_group_can_clear_logs,
+             gcperms.can_read AS category_perm_group_can_read,
+             gcperms.can_write AS category_perm_group_can_write,
+             gcperms.can_delete AS category_perm_group_can_delete,
+             gcperms.can_run AS category_perm_group_can_run,
+             gcperms.can_clear_logs AS category_perm_group_can_clear_logs,
              c.name AS category_name,
              c.description AS category_description,
              c.default_language AS category_default_language,
              c.default_runner_host_id AS category_default_runner_host_id,
+             c.default_runner_selector AS category_default_runner_selector,
+             c.default_fallback_runner_host_ids AS category_default_fallback_runner_host_ids,
              c.is_system AS category_is_system,
              vars.variable_count AS variable_count,
              pkgs.package_count AS package_count,
@@ -8535,6 +15757,10 @@ app.get("/api/scripts", async (req, res) => {
         LEFT JOIN script_permissions perms ON perms.script_id = s.id AND perms.user_id = ?
         LEFT JOIN categories c ON c.id = s.category_id
         LEFT JOIN category_permissions cperms ON cperms.category_id = s.category_id AND cperms.user_id = ?
+        LEFT JOIN roles prole ON prole.id = perms.role_id
+        LEFT JOIN roles crole ON crole.id = cperms.role_id
+        ${groupPermissionGrantsJoin("group_script_permissions", "script_id", "gperms", "s.id")}
+        ${groupPermissionGrantsJoin("group_category_permissions", "category_id", "gcperms", "s.category_id")}
         LEFT JOIN runner_hosts sr ON sr.id = s.runner_host_id
         LEFT JOIN runner_hosts cr ON cr.id = c.default_runner_host_id
         LEFT JOIN (
@@ -8555,9 +15781,8 @@ app.get("/api/scripts", async (req, res) => {
        WHERE s.is_draft = 0${includeRecycled ? "" : " AND s.is_recycled = 0"}
     `;
 
-    if (!user.isAdmin) {
-      query +=
-        " AND (s.owner_id = ? OR s.category_id = ? OR perms.can_read = 1 OR perms.can_write = 1 OR perms.can_delete = 1 OR perms.can_run = 1 OR perms.can_clear_logs = 1 OR (s.inherit_category_permissions <> 0 AND (cperms.can_read = 1 OR cperms.can_write = 1 OR cperms.can_delete = 1 OR cperms.can_run = 1 OR cperms.can_clear_logs = 1)))";
+    if (!user.isAdmin && !hasAnyPermissionGrant(user.roleGrants)) {
+      query += SCRIPT_VISIBILITY_CONDITION;
       params.push(user.id, DEFAULT_CATEGORY_ID);
     }
 
@@ -8569,12 +15794,32 @@ app.get("/api/scripts", async (req, res) => {
         can_delete: row.perm_can_delete,
         can_run: row.perm_can_run,
         can_clear_logs: row.perm_can_clear_logs,
+        role_can_read: row.perm_role_can_read,
+        role_can_write: row.perm_role_can_write,
+        role_can_delete: row.perm_role_can_delete,
+        role_can_run: row.perm_role_can_run,
+        role_can_clear_logs: row.perm_role_can_clear_logs,
+        group_can_read: row.perm_group_can_read,
+        group_can_write: row.perm_group_can_write,
+        group_can_delete: row.perm_group_can_delete,
+        group_can_run: row.perm_group_can_run,
+        group_can_clear_logs: row.perm_group_can_clear_logs,
       }, {
         can_read: row.category_perm_can_read,
         can_write: row.category_perm_can_write,
         can_delete: row.category_perm_can_delete,
         can_run: row.category_perm_can_run,
         can_clear_logs: row.category_perm_can_clear_logs,
+        role_can_read: row.category_perm_role_can_read,
+        role_can_write: row.category_perm_role_can_write,
+        role_can_delete: row.category_perm_role_can_delete,
+        role_can_run: row.category_perm_role_can_run,
+        role_can_clear_logs: row.category_perm_role_can_clear_logs,
+        group_can_read: row.category_perm_group_can_read,
+        group_can_write: row.category_perm_group_can_write,
+        group_can_delete: row.category_perm_group_can_delete,
+        group_can_run: row.category_perm_group_can_run,
+        group_can_clear_logs: row.category_perm_group_can_clear_logs,
       })
     );
 
@@ -8611,6 +15856,14 @@ app.delete("/api/scripts/:endpoint", async (req, res) => {
       [script.id],
     );
     unregisterScriptRoute(recycledEndpoint);
+    await recordAuditEvent({
+      req,
+      action: "script.recycled",
+      targetType: "script",
+      targetId: script.id,
+      targetLabel: script.name,
+      details: { endpoint: recycledEndpoint },
+    });
     res.json({ recycled: true, endpoint: recycledEndpoint, recycledAt });
   } catch (err) {
     if (err.status) {
@@ -8631,13 +15884,32 @@ app.delete("/api/scripts/:id/permanent", async (req, res) => {
       allowRecycled: true,
     });
 
+    cancelPendingRetriesForScript(script.id);
     await dbRun("DELETE FROM logs WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM runs WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM script_versions WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM script_variables WHERE script_id=?", [script.id]);
+    await dbRun(
+      "DELETE FROM scheduler_job_misfires WHERE job_id IN (SELECT id FROM scheduler_jobs WHERE script_id=?)",
+      [script.id],
+    );
     await dbRun("DELETE FROM scheduler_jobs WHERE script_id=?", [script.id]);
+    await dbRun("DELETE FROM script_triggers WHERE source_script_id=? OR target_script_id=?", [
+      script.id,
+      script.id,
+    ]);
+    await dbRun("DELETE FROM script_tokens WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM scripts WHERE id=?", [script.id]);
     unregisterScriptRoute(script.endpoint || script.recycled_from_endpoint);
+    await recordAuditEvent({
+      req,
+      action: "script.deleted",
+      targetType: "script",
+      targetId: script.id,
+      targetLabel: script.name,
+      before: auditScriptSnapshot(script),
+      after: null,
+    });
     res.json({ deleted: true });
   } catch (err) {
     if (err.status) {
@@ -8691,6 +15963,14 @@ app.post("/api/scripts/:id/recover", async (req, res) => {
       recycled_at: null,
       recycled_from_endpoint: null,
     });
+    await recordAuditEvent({
+      req,
+      action: "script.recovered",
+      targetType: "script",
+      targetId: script.id,
+      targetLabel: script.name,
+      details: { endpoint: restoredEndpoint },
+    });
     res.json({ recovered: true, endpoint: restoredEndpoint });
   } catch (err) {
     if (err.status) {
@@ -8711,8 +15991,16 @@ app.delete("/api/scripts/:id/logs", async (req, res) => {
       allowRecycled: true,
     });
 
+    cancelPendingRetriesForScript(script.id);
     await dbRun("DELETE FROM logs WHERE script_id=?", [script.id]);
     await dbRun("DELETE FROM runs WHERE script_id=?", [script.id]);
+    await recordAuditEvent({
+      req,
+      action: "script.logs_cleared",
+      targetType: "script",
+      targetId: script.id,
+      targetLabel: script.name,
+    });
     res.json({ cleared: true });
   } catch (err) {
     if (err.status) {
@@ -8724,6 +16012,59 @@ app.delete("/api/scripts/:id/logs", async (req, res) => {
   }
 });
 
+app.post("/api/runs/:runId/cancel", async (req, res) => {
+  const runId = typeof req.params.runId === "string" ? req.params.runId.trim() : "";
+  if (!runId) {
+    res.status(400).json({ error: "Run id is required" });
+    return;
+  }
+
+  try {
+    const run = await dbGet(`SELECT id, script_id, status, next_retry_at FROM runs WHERE id=?`, [
+      runId,
+    ]);
+    if (!run) {
+      res.status(404).json({ error: "Run not found" });
+      return;
+    }
+
+    await ensureScriptAccess({
+      scriptId: run.script_id,
+      user: req.user,
+      requiredPermission: "run",
+      allowRecycled: true,
+    });
+
+    if (run.status !== "running") {
+      if (run.next_retry_at && (await cancelPendingRunRetry(runId))) {
+        res.json({ runId, cancelled: true, stage: "retry" });
+        return;
+      }
+      res.status(409).json({ error: "Run is not in progress" });
+      return;
+    }
+
+    const outcome = await cancelRun(runId);
+    if (!outcome) {
+      res.status(409).json({ error: "Run is no longer active" });
+      return;
+    }
+
+    res.json({ runId, cancelled: true, stage: outcome.stage });
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    if (err.statusCode) {
+      res.status(502).json({ error: err.message || "Runner rejected cancellation" });
+      return;
+    }
+    console.error("Failed to cancel run", err);
+    res.status(500).json({ error: "Failed to cancel run" });
+  }
+});
+
 
 //
 // Notifications
@@ -8970,8 +16311,10 @@ app.get("/api/scripts/:id/permissions", async (req, res) => {
       (await loadCategoryById(DEFAULT_CATEGORY_ID));
 
     const rows = await dbAll(
-      `SELECT sp.user_id, u.username, u.is_admin, sp.can_read, sp.can_write, sp.can_delete, sp.can_run, sp.can_clear_logs
+      `SELECT sp.user_id, u.username, u.is_admin, sp.can_read, sp.can_write, sp.can_delete, sp.can_run, sp.can_clear_logs,
+              sp.role_id, r.name AS role_name
          FROM script_permissions sp
+         LEFT JOIN roles r ON r.id = sp.role_id
          JOIN users u ON u.id = sp.user_id AND u.deleted_at IS NULL
         WHERE sp.script_id=?
         ORDER BY u.username COLLATE NOCASE ASC`,
@@ -8999,16 +16342,12 @@ app.get("/api/scripts/:id/permissions", async (req, res) => {
         inheritCategoryPermissions:
           script.inherit_category_permissions !== 0,
       },
-      permissions: rows.map((row) => ({
-        userId: row.user_id,
-        username: row.username,
-        isAdmin: normalizeDbBoolean(row.is_admin),
-        canRead: normalizeDbBoolean(row.can_read),
-        canWrite: normalizeDbBoolean(row.can_write),
-        canDelete: normalizeDbBoolean(row.can_delete),
-        canRun: normalizeDbBoolean(row.can_run),
-        canClearLogs: normalizeDbBoolean(row.can_clear_logs),
-      })),
+      permissions: rows.map(mapPermissionEntryRow),
+      groupPermissions: await loadGroupPermissionEntries(
+        "group_script_permissions",
+        "script_id",
+        script.id,
+      ),
       users: activeUsers
         .filter((user) => user.id !== script.owner_id)
         .map((user) => ({
@@ -9016,6 +16355,7 @@ app.get("/api/scripts/:id/permissions", async (req, res) => {
           username: user.username,
           isAdmin: normalizeDbBoolean(user.is_admin),
         })),
+      groups: await loadGroupOptions(),
       category: categoryRow
         ? {
           id: categoryRow.id,
@@ -9039,6 +16379,7 @@ app.get("/api/scripts/:id/permissions", async (req, res) => {
 app.post("/api/scripts/:id/permissions", async (req, res) => {
   const {
     permissions: entriesInput,
+    groupPermissions,
     requireAuthentication,
     inheritCategoryPermissions: inheritFromCategory,
     includeAutomnResponseData,
@@ -9067,6 +16408,18 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
       return;
     }
 
+    const auditScriptPermissionSettings = () => ({
+      requireAuthentication: script.require_authentication !== 0,
+      inheritCategoryPermissions: script.inherit_category_permissions !== 0,
+      includeAutomnResponseData: script.expose_automn_response !== 0,
+      includeRunIdInResponse: script.expose_run_id !== 0,
+    });
+    const before = auditPermissionSnapshot(
+      await loadUserPermissionEntries("script_permissions", "script_id", script.id),
+      await loadGroupPermissionEntries("group_script_permissions", "script_id", script.id),
+      auditScriptPermissionSettings(),
+    );
+
     if (typeof requireAuthentication === "boolean") {
       const nextValue = requireAuthentication ? 1 : 0;
       if (nextValue !== (script.require_authentication ? 1 : 0)) {
@@ -9113,22 +16466,11 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
 
     const normalized = new Map();
     for (const entry of entries) {
-      const userId = typeof entry?.userId === "string" ? entry.userId.trim() : "";
-      if (!userId || userId === script.owner_id) continue;
-      const canWrite = Boolean(entry?.canWrite);
-      const canDelete = Boolean(entry?.canDelete);
-      const canRun = Boolean(entry?.canRun);
-      const canClearLogs = Boolean(entry?.canClearLogs);
-      const canRead = Boolean(entry?.canRead) || canWrite || canDelete || canClearLogs;
-      normalized.set(userId, {
-        userId,
-        canRead,
-        canWrite,
-        canDelete,
-        canRun,
-        canClearLogs,
-      });
+      const normalizedEntry = normalizePermissionEntryInput(entry, { readFromRun: false });
+      if (!normalizedEntry || normalizedEntry.userId === script.owner_id) continue;
+      normalized.set(normalizedEntry.userId, normalizedEntry);
     }
+    await ensurePermissionRolesExist(Array.from(normalized.values()));
 
     const userIds = Array.from(normalized.keys());
     if (userIds.length) {
@@ -9145,6 +16487,15 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
 
     if (inheritFromCategory === true) {
       normalized.clear();
+      await dbRun("DELETE FROM group_script_permissions WHERE script_id=?", [script.id]);
+    } else if (groupPermissions !== undefined) {
+      await replaceGroupPermissions(
+        "group_script_permissions",
+        "script_id",
+        script.id,
+        groupPermissions,
+        { readFromRun: false },
+      );
     }
 
     if (normalized.size === 0) {
@@ -9156,16 +16507,17 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
         `DELETE FROM script_permissions WHERE script_id=? AND user_id NOT IN (${deletePlaceholders})`,
         [script.id, ...keepIds],
       );
-      for (const { userId, canRead, canWrite, canDelete, canRun, canClearLogs } of normalized.values()) {
+      for (const { userId, roleId, canRead, canWrite, canDelete, canRun, canClearLogs } of normalized.values()) {
         await dbRun(
-          `INSERT INTO script_permissions (id, script_id, user_id, can_read, can_write, can_delete, can_run, can_clear_logs, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          `INSERT INTO script_permissions (id, script_id, user_id, can_read, can_write, can_delete, can_run, can_clear_logs, role_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
            ON CONFLICT(script_id, user_id) DO UPDATE SET
              can_read=excluded.can_read,
              can_write=excluded.can_write,
              can_delete=excluded.can_delete,
              can_run=excluded.can_run,
              can_clear_logs=excluded.can_clear_logs,
+             role_id=excluded.role_id,
              updated_at=CURRENT_TIMESTAMP`,
           [
             uuidv4(),
@@ -9176,14 +16528,17 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
             canDelete ? 1 : 0,
             canRun ? 1 : 0,
             canClearLogs ? 1 : 0,
+            roleId,
           ],
         );
       }
     }
 
     const rows = await dbAll(
-      `SELECT sp.user_id, u.username, u.is_admin, sp.can_read, sp.can_write, sp.can_delete, sp.can_run, sp.can_clear_logs
+      `SELECT sp.user_id, u.username, u.is_admin, sp.can_read, sp.can_write, sp.can_delete, sp.can_run, sp.can_clear_logs,
+              sp.role_id, r.name AS role_name
          FROM script_permissions sp
+         LEFT JOIN roles r ON r.id = sp.role_id
          JOIN users u ON u.id = sp.user_id
         WHERE sp.script_id=?
         ORDER BY u.username COLLATE NOCASE ASC`,
@@ -9195,6 +16550,26 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
       require_authentication: script.require_authentication,
     });
 
+    const updatedPermissions = rows.map(mapPermissionEntryRow);
+    const updatedGroupPermissions = await loadGroupPermissionEntries(
+      "group_script_permissions",
+      "script_id",
+      script.id,
+    );
+    await recordAuditEvent({
+      req,
+      action: "script.permissions.updated",
+      targetType: "script",
+      targetId: script.id,
+      targetLabel: script.name,
+      before,
+      after: auditPermissionSnapshot(
+        updatedPermissions,
+        updatedGroupPermissions,
+        auditScriptPermissionSettings(),
+      ),
+    });
+
     res.json({
       updated: true,
       script: {
@@ -9214,16 +16589,8 @@ app.post("/api/scripts/:id/permissions", async (req, res) => {
           { ensure: [script.run_method || "POST"] },
         ),
       },
-      permissions: rows.map((row) => ({
-        userId: row.user_id,
-        username: row.username,
-        isAdmin: normalizeDbBoolean(row.is_admin),
-        canRead: normalizeDbBoolean(row.can_read),
-        canWrite: normalizeDbBoolean(row.can_write),
-        canDelete: normalizeDbBoolean(row.can_delete),
-        canRun: normalizeDbBoolean(row.can_run),
-        canClearLogs: normalizeDbBoolean(row.can_clear_logs),
-      })),
+      permissions: updatedPermissions,
+      groupPermissions: updatedGroupPermissions,
     });
   } catch (err) {
     if (err.status) {
@@ -9259,6 +16626,38 @@ async function startServer() {
     process.exit(1);
   }
 
+  try {
+    runnerClientCertificate = loadCertificatePair({
+      certPath: process.env.AUTOMN_RUNNER_CLIENT_CERT,
+      keyPath: process.env.AUTOMN_RUNNER_CLIENT_KEY,
+      certLabel: "AUTOMN_RUNNER_CLIENT_CERT",
+      keyLabel: "AUTOMN_RUNNER_CLIENT_KEY",
+    });
+  } catch (err) {
+    console.error("Invalid runner client certificate configuration:", err.message);
+    process.exit(1);
+  }
+
+  setQueueStore({
+    save: (job) => db.insertQueuedJob(job),
+    markDispatched: (runId, runnerHostId) =>
+      Promise.all([
+        db.markQueuedJobDispatched(runId, runnerHostId),
+        // Runs remember the runner that executed them, which may be a
+        // fallback rather than the configured runner.
+        dbRun(`UPDATE runs SET runner_host_id=? WHERE id=?`, [runnerHostId || null, runId]),
+      ]),
+    remove: (runId) => db.deleteQueuedJob(runId),
+  });
+  setRunnerHealthWindow(RUNNER_HEALTH_WINDOW_MS);
+
+  try {
+    await restorePersistedRunQueue();
+  } catch (err) {
+    console.error("Failed to restore persisted run queue", err);
+  }
+  await reconcileInterruptedWorkflowRuns();
+
   await initializeSchedulerState();
 
   const server = app.listen(PORT, () =>
@@ -9266,13 +16665,29 @@ async function startServer() {
   );
 
   const wss = new WebSocket.Server({ noServer: true });
+  const runnerWss = new WebSocket.Server({ noServer: true });
 
   server.on("upgrade", (req, socket, head) => {
     const url = new URL(req.url, `http://${req.headers.host}`);
+    const runnerMatch = url.pathname.match(/^\/api\/settings\/runner-hosts\/([^/]+)\/connect$/);
     if (url.pathname === "/api/ws") {
       wss.handleUpgrade(req, socket, head, (ws) => {
         wss.emit("connection", ws, req, url);
       });
+    } else if (runnerMatch) {
+      runnerWss.handleUpgrade(req, socket, head, (ws) => {
+        let hostId = "";
+        try {
+          hostId = decodeURIComponent(runnerMatch[1]).trim();
+        } catch (err) {
+          hostId = "";
+        }
+        if (!hostId) {
+          ws.close(1008, "Runner host id is required");
+          return;
+        }
+        handleRunnerConnection(ws, req, hostId);
+      });
     } else socket.destroy();
   });
 
@@ -9341,12 +16756,11 @@ app.get("/api/logs", async (req, res) => {
     const limitParam = Number(req.query.limit);
     const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), 500) : 200;
 
-    const params = [user.id, user.id];
+    const params = [user.id, user.id, user.id, user.id];
     let whereClause = "WHERE s.is_recycled = 0 AND s.is_draft = 0";
 
-    if (!user.isAdmin) {
-      whereClause +=
-        " AND (s.owner_id = ? OR s.category_id = ? OR perms.can_read = 1 OR perms.can_write = 1 OR perms.can_delete = 1 OR perms.can_run = 1 OR perms.can_clear_logs = 1 OR (s.inherit_category_permissions <> 0 AND (cperms.can_read = 1 OR cperms.can_write = 1 OR cperms.can_delete = 1 OR cperms.can_run = 1 OR cperms.can_clear_logs = 1)))";
+    if (!user.isAdmin && !hasAnyPermissionGrant(user.roleGrants)) {
+      whereClause += SCRIPT_VISIBILITY_CONDITION;
       params.push(user.id, DEFAULT_CATEGORY_ID);
     }
 
@@ -9372,6 +16786,7 @@ app.get("/api/logs", async (req, res) => {
 
     const rows = await dbAll(
       `SELECT r.id AS run_id, r.start_time, r.status, r.http_method, r.triggered_by, r.triggered_by_user_id,
+              r.runner_host_id AS executed_runner_host_id, er.name AS executed_runner_name,
               s.id AS script_id, s.name AS script_name, s.endpoint AS script_endpoint, s.category_id,
               s.runner_host_id, s.inherit_category_runner,
               c.name AS collection_name, c.default_runner_host_id AS category_default_runner_host_id,
@@ -9383,9 +16798,14 @@ app.get("/api/logs", async (req, res) => {
          LEFT JOIN categories c ON c.id = s.category_id
          LEFT JOIN runner_hosts sr ON sr.id = s.runner_host_id
          LEFT JOIN runner_hosts cr ON cr.id = c.default_runner_host_id
+         LEFT JOIN runner_hosts er ON er.id = r.runner_host_id
          LEFT JOIN users u ON u.id = r.triggered_by_user_id
          LEFT JOIN script_permissions perms ON perms.script_id = s.id AND perms.user_id = ?
          LEFT JOIN category_permissions cperms ON cperms.category_id = s.category_id AND cperms.user_id = ?
+         LEFT JOIN roles prole ON prole.id = perms.role_id
+         LEFT JOIN roles crole ON crole.id = cperms.role_id
+         ${groupPermissionGrantsJoin("group_script_permissions", "script_id", "gperms", "s.id")}
+         ${groupPermissionGrantsJoin("group_category_permissions", "category_id", "gcperms", "s.category_id")}
          LEFT JOIN logs l ON l.run_id = r.id
         ${whereClause}
         ORDER BY r.start_time DESC
@@ -9416,9 +16836,14 @@ app.get("/api/logs", async (req, res) => {
           },
         });
 
+        // Prefer the runner that actually executed the run, which differs
+        // from the configured one after a failover or for label routing.
         const inheritCategoryRunner = row.inherit_category_runner !== 0;
         const effectiveRunnerId =
-          row.runner_host_id || (inheritCategoryRunner ? row.category_default_runner_host_id : null) || null;
+          row.executed_runner_host_id ||
+          row.runner_host_id ||
+          (inheritCategoryRunner ? row.category_default_runner_host_id : null) ||
+          null;
 
         if (runnerHostId && effectiveRunnerId !== runnerHostId) {
           return null;
@@ -9479,9 +16904,10 @@ app.get("/api/logs", async (req, res) => {
           errorTags: logTypes,
           message: normalizedLogs[0]?.message || row.stderr || "",
           runnerHostId: effectiveRunnerId,
-          runnerName:
-            (row.runner_host_id && row.script_runner_name) ||
-            (inheritCategoryRunner && row.category_runner_name)
+          runnerName: row.executed_runner_host_id
+            ? row.executed_runner_name || effectiveRunnerId
+            : (row.runner_host_id && row.script_runner_name) ||
+              (inheritCategoryRunner && row.category_runner_name)
               ? row.script_runner_name || row.category_runner_name || effectiveRunnerId
               : effectiveRunnerId,
         };
@@ -9519,6 +16945,12 @@ app.get("/api/logs/:endpoint", async (req, res) => {
          r.triggered_by,
          r.triggered_by_user_id,
          r.http_method,
+         r.attempt,
+         r.retry_of_run_id,
+         r.next_retry_at,
+         r.failure_type,
+         r.runner_host_id,
+         rh.name AS runner_name,
          l.stdout,
          l.stderr,
          l.exit_code,
@@ -9527,6 +16959,7 @@ app.get("/api/logs/:endpoint", async (req, res) => {
          l.input_json
        FROM runs r
        LEFT JOIN logs l ON l.run_id = r.id
+       LEFT JOIN runner_hosts rh ON rh.id = r.runner_host_id
        WHERE r.script_id=?
        ORDER BY r.start_time DESC
        LIMIT 20`,
@@ -9545,6 +16978,32 @@ app.get("/api/logs/:endpoint", async (req, res) => {
       return;
     }
 
+    // Load every attempt of the retry chains the listed runs belong to, even
+    // when some attempts fall outside the 20 most recent runs.
+    const chainRootIds = [...new Set(rows.map((row) => row.retry_of_run_id || row.run_id))];
+    const chainPlaceholders = chainRootIds.map(() => "?").join(",");
+    const attemptRows = await dbAll(
+      `SELECT id, status, attempt, retry_of_run_id, start_time, end_time, next_retry_at, failure_type
+         FROM runs
+        WHERE id IN (${chainPlaceholders}) OR retry_of_run_id IN (${chainPlaceholders})
+        ORDER BY attempt ASC, start_time ASC`,
+      [...chainRootIds, ...chainRootIds],
+    );
+    const attemptsByRoot = new Map();
+    for (const attemptRow of attemptRows) {
+      const rootId = attemptRow.retry_of_run_id || attemptRow.id;
+      if (!attemptsByRoot.has(rootId)) attemptsByRoot.set(rootId, []);
+      attemptsByRoot.get(rootId).push({
+        run_id: attemptRow.id,
+        attempt: Number(attemptRow.attempt) || 1,
+        status: attemptRow.status,
+        start_time: attemptRow.start_time,
+        end_time: attemptRow.end_time,
+        next_retry_at: attemptRow.next_retry_at || null,
+        failure_type: attemptRow.failure_type || null,
+      });
+    }
+
     const runs = rows.map((row) => {
       let returnValue = null;
       try {
@@ -9611,6 +17070,13 @@ app.get("/api/logs/:endpoint", async (req, res) => {
         automn_notifications: automnNotifications,
         triggered_by: row.triggered_by || null,
         triggered_by_user_id: row.triggered_by_user_id || null,
+        attempt: Number(row.attempt) || 1,
+        retry_of_run_id: row.retry_of_run_id || null,
+        next_retry_at: row.next_retry_at || null,
+        failure_type: row.failure_type || null,
+        runner_host_id: row.runner_host_id || null,
+        runner_name: row.runner_name || row.runner_host_id || null,
+        attempts: attemptsByRoot.get(row.retry_of_run_id || row.run_id) || [],
       };
     });
 
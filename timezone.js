@@ -0,0 +1,136 @@
+const HOST_TIME_ZONE = (() => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch (err) {
+    return "UTC";
+  }
+})();
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function normalizeTimeZone(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: trimmed }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+}
+
+function resolveTimeZone(value) {
+  return normalizeTimeZone(value) || HOST_TIME_ZONE;
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== "literal") {
+      parts[part.type] = Number.parseInt(part.value, 10);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+function partsToUtcMs(parts) {
+  return Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0,
+  );
+}
+
+function getTimeZoneOffsetMs(timestamp, timeZone) {
+  const wholeSecond = Math.floor(timestamp / 1000) * 1000;
+  return partsToUtcMs(getZonedParts(new Date(wholeSecond), timeZone)) - wholeSecond;
+}
+
+function isSameWallClock(date, parts, timeZone) {
+  const zoned = getZonedParts(date, timeZone);
+  return partsToUtcMs(zoned) === partsToUtcMs(parts);
+}
+
+// Returns every instant at which the zone's clock shows the given wall-clock
+// time, earliest first. Times repeated when clocks fall back yield two
+// instants; times skipped by a spring-forward gap are pushed forward by the
+// length of the gap.
+function resolveZonedTimes(parts, timeZone) {
+  const localMs = partsToUtcMs(parts);
+  const offsetBefore = getTimeZoneOffsetMs(localMs - 86400000, timeZone);
+  const offsetAfter = getTimeZoneOffsetMs(localMs + 86400000, timeZone);
+
+  const matches = [...new Set([localMs - offsetBefore, localMs - offsetAfter])]
+    .sort((a, b) => a - b)
+    .map((timestamp) => new Date(timestamp))
+    .filter((candidate) => isSameWallClock(candidate, parts, timeZone));
+  if (matches.length) {
+    return matches;
+  }
+
+  return [new Date(localMs - offsetBefore)];
+}
+
+// Returns the first whole second after `start` at which the zone's UTC offset
+// differs from the offset at `start`, or null when it does not change before
+// `end`.
+function findOffsetChange(start, end, timeZone) {
+  const startOffset = getTimeZoneOffsetMs(start.getTime(), timeZone);
+  let low = Math.floor(start.getTime() / 1000);
+  let high = Math.ceil(end.getTime() / 1000);
+  if (getTimeZoneOffsetMs(high * 1000, timeZone) === startOffset) {
+    return null;
+  }
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (getTimeZoneOffsetMs(middle * 1000, timeZone) === startOffset) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return new Date(high * 1000);
+}
+
+function zonedTimeToDate(parts, timeZone) {
+  return resolveZonedTimes(parts, timeZone)[0];
+}
+
+module.exports = {
+  HOST_TIME_ZONE,
+  normalizeTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  findOffsetChange,
+  resolveZonedTimes,
+  zonedTimeToDate,
+};
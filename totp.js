@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords with the parameters every
+// authenticator app supports: SHA-1, 6 digits, 30 second steps.
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_SECRET_BYTES = 20;
+const TOTP_DEFAULT_WINDOW = 1;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+const RECOVERY_CODE_COUNT = 10;
+
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function decodeBase32(text) {
+  const cleaned = String(text || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Secret is not valid base32");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return encodeBase32(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+function computeCounter(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+}
+
+function generateTotpCode(secret, counter = computeCounter()) {
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 2 ** 32), 0);
+  message.writeUInt32BE(counter >>> 0, 4);
+  const digest = crypto.createHmac("sha1", decodeBase32(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Returns the matching time step so callers can refuse to accept the same
+// code twice, or null when the code does not match. Steps at or before
+// lastCounter are skipped.
+function verifyTotpCode(secret, code, { window = TOTP_DEFAULT_WINDOW, lastCounter = null } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = computeCounter();
+  for (let counter = current - window; counter <= current + window; counter += 1) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+    const expected = generateTotpCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri({ issuer, accountName, secret }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let index = 0; index < count; index += 1) {
+    const bytes = crypto.randomBytes(10);
+    const chars = Array.from(bytes, (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    codes.push(`${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`);
+  }
+  return codes;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -1,6 +1,11 @@
+const crypto = require("crypto");
 const http = require("http");
 const https = require("https");
+const net = require("net");
+const tls = require("tls");
 const { URL } = require("url");
+const { signRequest } = require("./runner/request-signing");
+const { normalizeFingerprint } = require("./runner/tls");
 
 function normalizeHeaders(headers = {}) {
   const normalized = {};
@@ -11,10 +16,69 @@ function normalizeHeaders(headers = {}) {
   return normalized;
 }
 
+// Opens the TLS connection to a runner pinned by certificate fingerprint. The
+// fingerprint is checked before the socket is handed to the request, so
+// nothing is sent to a runner presenting a different certificate. Chain and
+// hostname validation still apply when a CA is pinned as well.
+function connectWithPinnedFingerprint(options, fingerprint, callback) {
+  let settled = false;
+  const settle = (err, socket) => {
+    if (settled) return;
+    settled = true;
+    callback(err, socket);
+  };
+
+  const socket = tls.connect({
+    ...options,
+    servername: options.servername || (net.isIP(options.host) ? undefined : options.host),
+    rejectUnauthorized: Boolean(options.ca),
+  });
+  socket.once("secureConnect", () => {
+    const presented = socket.getPeerCertificate()?.fingerprint256 || "";
+    if (normalizeFingerprint(presented) !== fingerprint) {
+      const error = new Error(
+        `Runner certificate fingerprint ${presented || "(none)"} does not match the pinned fingerprint`,
+      );
+      error.code = "ERR_RUNNER_FINGERPRINT_MISMATCH";
+      socket.destroy();
+      settle(error);
+      return;
+    }
+    settle(null, socket);
+  });
+  socket.once("error", (err) => settle(err));
+}
+
+// Extra request options for an https runner: its pinned CA and/or certificate
+// fingerprint, and the client certificate the host presents for mutual TLS.
+function buildRunnerTlsOptions(targetUrl, tlsConfig) {
+  if (targetUrl.protocol !== "https:" || !tlsConfig) {
+    return {};
+  }
+  const options = {};
+  if (tlsConfig.ca) {
+    options.ca = tlsConfig.ca;
+  }
+  if (tlsConfig.cert && tlsConfig.key) {
+    options.cert = tlsConfig.cert;
+    options.key = tlsConfig.key;
+  }
+  if (tlsConfig.fingerprint) {
+    // Requests with their own connection bypass the agent, so the default
+    // port has to be given explicitly.
+    options.defaultPort = 443;
+    options.createConnection = (connectOptions, callback) =>
+      connectWithPinnedFingerprint(connectOptions, tlsConfig.fingerprint, callback);
+  }
+  return options;
+}
+
 function dispatchRemoteRun({
   endpoint,
   job,
   headers = {},
+  signingKey,
+  tls: tlsConfig,
   timeoutMs,
   onLog,
   onResult,
@@ -42,6 +106,7 @@ function dispatchRemoteRun({
     accept: "application/json",
     "content-length": Buffer.byteLength(payload),
     ...normalizeHeaders(headers),
+    ...(signingKey ? signRequest(signingKey, "run", payload) : {}),
   };
 
   const requestOptions = {
@@ -51,6 +116,7 @@ function dispatchRemoteRun({
     path: `${targetUrl.pathname}${targetUrl.search}`,
     method: "POST",
     headers: requestHeaders,
+    ...buildRunnerTlsOptions(targetUrl, tlsConfig),
   };
 
   const transport = targetUrl.protocol === "https:" ? https : http;
@@ -178,7 +244,9 @@ function dispatchRemoteRun({
 
   if (typeof timeoutMs === "number" && timeoutMs > 0) {
     request.setTimeout(timeoutMs, () => {
-      finishWithError(new Error("Runner request timed out"));
+      const timeoutError = new Error("Runner request timed out");
+      timeoutError.code = "RUNNER_TIMEOUT";
+      finishWithError(timeoutError);
       request.destroy();
     });
   }
@@ -197,6 +265,310 @@ function dispatchRemoteRun({
   };
 }
 
+function buildCancelUrl(endpoint, runId) {
+  const targetUrl = new URL(endpoint);
+  const basePath = targetUrl.pathname.replace(/\/+$/, "");
+  targetUrl.pathname = `${basePath}/${encodeURIComponent(runId)}/cancel`;
+  return targetUrl;
+}
+
+function postRunnerJson({ targetUrl, payload, headers, tlsConfig, timeoutMs, timeoutMessage }) {
+  const requestHeaders = {
+    "content-type": "application/json",
+    accept: "application/json",
+    "content-length": Buffer.byteLength(payload),
+    ...headers,
+  };
+
+  const transport = targetUrl.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      {
+        protocol: targetUrl.protocol,
+        hostname: targetUrl.hostname,
+        port: targetUrl.port || undefined,
+        path: `${targetUrl.pathname}${targetUrl.search}`,
+        method: "POST",
+        headers: requestHeaders,
+        ...buildRunnerTlsOptions(targetUrl, tlsConfig),
+      },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () => {
+          resolve({
+            statusCode: response.statusCode,
+            body: Buffer.concat(chunks).toString("utf8"),
+          });
+        });
+      },
+    );
+
+    request.on("error", reject);
+
+    if (typeof timeoutMs === "number" && timeoutMs > 0) {
+      request.setTimeout(timeoutMs, () => {
+        request.destroy(new Error(timeoutMessage));
+      });
+    }
+
+    request.write(payload);
+    request.end();
+  });
+}
+
+async function requestRemoteCancel({
+  endpoint,
+  runId,
+  headers = {},
+  signingKey,
+  tls: tlsConfig,
+  timeoutMs,
+}) {
+  if (!endpoint) {
+    throw new Error("Runner endpoint is required");
+  }
+  if (!runId) {
+    throw new Error("A run id is required to cancel a run");
+  }
+
+  const payload = JSON.stringify({ runId });
+  const { statusCode, body } = await postRunnerJson({
+    targetUrl: buildCancelUrl(endpoint, runId),
+    payload,
+    headers: {
+      ...normalizeHeaders(headers),
+      ...(signingKey ? signRequest(signingKey, "cancel", payload) : {}),
+    },
+    tlsConfig,
+    timeoutMs,
+    timeoutMessage: "Runner cancellation request timed out",
+  });
+
+  let parsed = null;
+  try {
+    parsed = body ? JSON.parse(body) : null;
+  } catch (err) {
+    parsed = null;
+  }
+  if (statusCode && statusCode >= 400) {
+    const message = parsed?.error || body || `${statusCode}`;
+    const error = new Error(`Runner rejected cancellation: ${message}`);
+    error.statusCode = statusCode;
+    throw error;
+  }
+  return parsed || {};
+}
+
+// Resolves with the raw status code and body; callers interpret the response.
+function requestRemotePackageStatus({
+  endpoint,
+  body,
+  headers = {},
+  signingKey,
+  tls: tlsConfig,
+  timeoutMs,
+}) {
+  const payload = JSON.stringify(body || {});
+  return postRunnerJson({
+    targetUrl: new URL("/api/packages/status", endpoint),
+    payload,
+    headers: {
+      ...normalizeHeaders(headers),
+      ...(signingKey ? signRequest(signingKey, "packages.status", payload) : {}),
+    },
+    tlsConfig,
+    timeoutMs,
+    timeoutMessage: "Runner package status request timed out",
+  });
+}
+
+// Pull-mode runners keep a WebSocket open to the host instead of accepting
+// inbound HTTP. The channel multiplexes runs and request/response calls over
+// that socket using the same log/result frames as the HTTP stream, tagged
+// with a runId or requestId.
+function createRunnerChannel(socket) {
+  const runs = new Map();
+  const requests = new Map();
+  let closed = false;
+
+  const send = (payload) => {
+    if (closed) {
+      const error = new Error("Runner connection closed");
+      error.code = "RUNNER_DISCONNECTED";
+      throw error;
+    }
+    socket.send(JSON.stringify(payload));
+  };
+
+  const request = (action, body = {}, timeoutMs) =>
+    new Promise((resolve, reject) => {
+      const requestId = crypto.randomUUID();
+      const entry = { resolve, reject, timer: null };
+      if (typeof timeoutMs === "number" && timeoutMs > 0) {
+        entry.timer = setTimeout(() => {
+          requests.delete(requestId);
+          const error = new Error("Runner request timed out");
+          error.code = "RUNNER_TIMEOUT";
+          reject(error);
+        }, timeoutMs);
+      }
+      requests.set(requestId, entry);
+      try {
+        send({ type: "request", requestId, action, body });
+      } catch (err) {
+        clearTimeout(entry.timer);
+        requests.delete(requestId);
+        reject(err);
+      }
+    });
+
+  function dispatchRun({ job, timeoutMs, onLog, onResult, onEvent, onError, onRequestStart }) {
+    if (!job || !job.id) {
+      throw new Error("A job with an id is required to dispatch to a runner");
+    }
+
+    const runId = job.id;
+    const entry = { onLog, onResult, onEvent, onError, timer: null };
+
+    const finish = (callback, value) => {
+      if (runs.get(runId) !== entry) return;
+      runs.delete(runId);
+      clearTimeout(entry.timer);
+      if (typeof callback === "function") {
+        callback(value);
+      }
+    };
+    entry.finish = finish;
+
+    if (typeof onRequestStart === "function") {
+      try {
+        onRequestStart();
+      } catch (err) {
+        // Ignore logging callback errors to avoid breaking dispatch
+      }
+    }
+
+    runs.set(runId, entry);
+    if (typeof timeoutMs === "number" && timeoutMs > 0) {
+      entry.timer = setTimeout(() => {
+        const timeoutError = new Error("Runner request timed out");
+        timeoutError.code = "RUNNER_TIMEOUT";
+        finish(onError, timeoutError);
+      }, timeoutMs);
+    }
+
+    try {
+      send({ type: "run", runId, script: job.script, reqBody: job.reqBody });
+    } catch (err) {
+      finish(onError, err);
+    }
+
+    return {
+      abort(reason) {
+        const error =
+          reason instanceof Error ? reason : new Error(String(reason || "Runner aborted"));
+        finish(onError, error);
+      },
+    };
+  }
+
+  async function cancelRun({ runId, timeoutMs }) {
+    if (!runId) {
+      throw new Error("A run id is required to cancel a run");
+    }
+    const response = await request("cancel", { runId }, timeoutMs);
+    if (response.status >= 400) {
+      const message = response.body?.error || `${response.status}`;
+      const error = new Error(`Runner rejected cancellation: ${message}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response.body || {};
+  }
+
+  // Returns true when the frame belonged to a run or request on this channel.
+  function handleMessage(message) {
+    if (!message || typeof message !== "object") {
+      return false;
+    }
+
+    if (message.type === "response") {
+      const entry = requests.get(message.requestId);
+      if (!entry) return false;
+      requests.delete(message.requestId);
+      clearTimeout(entry.timer);
+      const status = Number.isFinite(message.status) ? message.status : 200;
+      entry.resolve({ status, body: message.body ?? null });
+      return true;
+    }
+
+    const entry = message.runId ? runs.get(message.runId) : null;
+    if (!entry) {
+      return false;
+    }
+
+    if (message.type === "log") {
+      if (typeof entry.onLog === "function" && typeof message.line === "string") {
+        entry.onLog(message.line);
+      }
+      return true;
+    }
+
+    if (message.type === "result") {
+      entry.finish(entry.onResult, message.data);
+      return true;
+    }
+
+    if (message.type === "rejected") {
+      const status = Number.isFinite(message.status) ? message.status : 500;
+      const error = new Error(
+        `Runner responded with status ${status}: ${message.error || "Run rejected"}`,
+      );
+      error.statusCode = status;
+      entry.finish(entry.onError, error);
+      return true;
+    }
+
+    if (typeof entry.onEvent === "function") {
+      entry.onEvent(message);
+    }
+    return true;
+  }
+
+  // Fails every run and request still waiting on this connection.
+  function close(reason = "Runner connection closed") {
+    if (closed) return;
+    closed = true;
+    const makeError = () => {
+      const error = new Error(reason);
+      error.code = "RUNNER_DISCONNECTED";
+      return error;
+    };
+    for (const entry of Array.from(runs.values())) {
+      entry.finish(entry.onError, makeError());
+    }
+    for (const entry of requests.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(makeError());
+    }
+    requests.clear();
+  }
+
+  return {
+    dispatchRun,
+    cancelRun,
+    request,
+    handleMessage,
+    close,
+  };
+}
+
 module.exports = {
   dispatchRemoteRun,
+  requestRemoteCancel,
+  requestRemotePackageStatus,
+  createRunnerChannel,
 };
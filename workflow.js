@@ -0,0 +1,254 @@
+const WORKFLOW_MAX_STEPS = 50;
+const WORKFLOW_STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const WORKFLOW_JOIN_MODES = ["all", "any"];
+const WORKFLOW_CONDITION_SOURCES = ["exit_code", "return"];
+const WORKFLOW_CONDITION_OPERATORS = [
+  "equals",
+  "not_equals",
+  "greater_than",
+  "less_than",
+  "exists",
+  "truthy",
+];
+
+function createWorkflowError(message) {
+  const err = new Error(message);
+  err.code = "invalid_workflow";
+  return err;
+}
+
+// Conditions compare a finished run's exit code or a field of its AutomnReturn
+// value. They are shared by workflow branches and script triggers.
+function normalizeOutcomeCondition(raw, label = "Condition") {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw createWorkflowError(`${label} has an invalid condition`);
+  }
+
+  const source = WORKFLOW_CONDITION_SOURCES.includes(raw.source) ? raw.source : "exit_code";
+  const operator = WORKFLOW_CONDITION_OPERATORS.includes(raw.operator) ? raw.operator : "equals";
+  const path = typeof raw.path === "string" ? raw.path.trim() : "";
+  if (source === "return" && !path) {
+    throw createWorkflowError(`${label} needs a return field to compare`);
+  }
+
+  return {
+    source,
+    path: source === "return" ? path : "",
+    operator,
+    value: raw.value === undefined ? null : raw.value,
+  };
+}
+
+function normalizeStepCondition(raw, step) {
+  if (raw === null || raw === undefined) return null;
+  const label = `Step "${step.id}"`;
+  const condition = normalizeOutcomeCondition(raw, label);
+
+  const target = typeof raw.step === "string" ? raw.step.trim() : "";
+  if (!step.dependsOn.includes(target)) {
+    throw createWorkflowError(`${label} can only branch on a step it depends on`);
+  }
+
+  return { step: target, ...condition };
+}
+
+// Kahn's algorithm; any step left over sits on a cycle.
+function orderWorkflowSteps(steps) {
+  const remaining = new Map(steps.map((step) => [step.id, new Set(step.dependsOn)]));
+  const ordered = [];
+  while (remaining.size) {
+    const ready = [...remaining.entries()]
+      .filter(([, dependencies]) => dependencies.size === 0)
+      .map(([id]) => id);
+    if (!ready.length) {
+      throw createWorkflowError(`Workflow contains a cycle through "${[...remaining.keys()][0]}"`);
+    }
+    for (const id of ready) {
+      remaining.delete(id);
+      ordered.push(id);
+      for (const dependencies of remaining.values()) {
+        dependencies.delete(id);
+      }
+    }
+  }
+  return ordered;
+}
+
+function normalizeWorkflowDefinition(value) {
+  const rawSteps = Array.isArray(value?.steps) ? value.steps : null;
+  if (!rawSteps || rawSteps.length === 0) {
+    throw createWorkflowError("Workflows need at least one step");
+  }
+  if (rawSteps.length > WORKFLOW_MAX_STEPS) {
+    throw createWorkflowError(`Workflows are limited to ${WORKFLOW_MAX_STEPS} steps`);
+  }
+
+  const ids = new Set();
+  const steps = rawSteps.map((raw, index) => {
+    const id = typeof raw?.id === "string" ? raw.id.trim() : "";
+    if (!WORKFLOW_STEP_ID_PATTERN.test(id)) {
+      throw createWorkflowError(
+        `Step ${index + 1} needs an id made of letters, numbers, "-" or "_"`,
+      );
+    }
+    if (ids.has(id)) {
+      throw createWorkflowError(`Step id "${id}" is used more than once`);
+    }
+    ids.add(id);
+
+    const scriptId = typeof raw.scriptId === "string" ? raw.scriptId.trim() : "";
+    if (!scriptId) {
+      throw createWorkflowError(`Step "${id}" needs a script`);
+    }
+
+    const dependsOn = Array.isArray(raw.dependsOn)
+      ? [...new Set(raw.dependsOn.filter((entry) => typeof entry === "string").map((entry) => entry.trim()))]
+      : [];
+
+    return {
+      id,
+      name: typeof raw.name === "string" ? raw.name.trim() : "",
+      scriptId,
+      dependsOn,
+      join: WORKFLOW_JOIN_MODES.includes(raw.join) ? raw.join : "all",
+      rawCondition: raw.when,
+    };
+  });
+
+  for (const step of steps) {
+    for (const dependency of step.dependsOn) {
+      if (dependency === step.id) {
+        throw createWorkflowError(`Step "${step.id}" cannot depend on itself`);
+      }
+      if (!ids.has(dependency)) {
+        throw createWorkflowError(`Step "${step.id}" depends on unknown step "${dependency}"`);
+      }
+    }
+    step.when = normalizeStepCondition(step.rawCondition, step);
+    delete step.rawCondition;
+  }
+
+  orderWorkflowSteps(steps);
+  return { steps };
+}
+
+function readReturnField(value, path) {
+  let current = value;
+  for (const segment of path.split(".")) {
+    if (current === null || current === undefined || typeof current !== "object") {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function evaluateOutcomeCondition(condition, outcome) {
+  const subject =
+    condition.source === "exit_code"
+      ? outcome.exitCode
+      : readReturnField(outcome.returnData, condition.path);
+
+  switch (condition.operator) {
+    case "exists":
+      return subject !== undefined && subject !== null;
+    case "truthy":
+      return Boolean(subject);
+    case "greater_than":
+      return Number(subject) > Number(condition.value);
+    case "less_than":
+      return Number(subject) < Number(condition.value);
+    case "not_equals":
+      return String(subject) !== String(condition.value);
+    default:
+      return String(subject) === String(condition.value);
+  }
+}
+
+// Decides whether a pending step can start. Steps wait for every dependency
+// to settle; a failed dependency only counts when the step branches on it.
+function resolveStepDecision(step, outcomes) {
+  const dependencyOutcomes = step.dependsOn.map((id) => outcomes.get(id));
+  if (dependencyOutcomes.some((outcome) => !outcome)) {
+    return "wait";
+  }
+
+  const isSatisfied = (id, outcome) =>
+    outcome.status === "success" || (step.when?.step === id && outcome.status === "error");
+  const satisfied = step.dependsOn.map((id, index) => isSatisfied(id, dependencyOutcomes[index]));
+  const joined = step.join === "any" ? satisfied.some(Boolean) : satisfied.every(Boolean);
+  if (!joined && step.dependsOn.length) {
+    return "skip";
+  }
+
+  if (step.when) {
+    const target = outcomes.get(step.when.step);
+    if (!isSatisfied(step.when.step, target) || !evaluateOutcomeCondition(step.when, target)) {
+      return "skip";
+    }
+  }
+
+  return "run";
+}
+
+// Root steps receive the workflow input, single-parent steps their parent's
+// return value, and fan-in steps an object keyed by parent step id.
+function buildStepInput(step, outcomes, workflowInput) {
+  if (!step.dependsOn.length) {
+    return workflowInput;
+  }
+  if (step.dependsOn.length === 1) {
+    return outcomes.get(step.dependsOn[0])?.returnData ?? null;
+  }
+  const merged = {};
+  for (const id of step.dependsOn) {
+    const outcome = outcomes.get(id);
+    if (outcome && outcome.status !== "skipped") {
+      merged[id] = outcome.returnData ?? null;
+    }
+  }
+  return merged;
+}
+
+function summarizeWorkflowOutcome(definition, outcomes) {
+  const handledSteps = new Set(
+    definition.steps.filter((step) => step.when).map((step) => step.when.step),
+  );
+  const settled = definition.steps.map((step) => ({ step, outcome: outcomes.get(step.id) }));
+
+  const unhandled = settled.find(
+    ({ step, outcome }) => outcome?.status === "error" && !handledSteps.has(step.id),
+  );
+  let status = "success";
+  if (settled.some(({ outcome }) => outcome?.status === "cancelled")) {
+    status = "cancelled";
+  } else if (unhandled) {
+    status = "error";
+  }
+
+  const dependedOn = new Set(definition.steps.flatMap((step) => step.dependsOn));
+  const leaves = settled.filter(
+    ({ step, outcome }) => !dependedOn.has(step.id) && outcome && outcome.status !== "skipped",
+  );
+  let output = null;
+  if (leaves.length === 1) {
+    output = leaves[0].outcome.returnData ?? null;
+  } else if (leaves.length > 1) {
+    output = {};
+    for (const { step, outcome } of leaves) {
+      output[step.id] = outcome.returnData ?? null;
+    }
+  }
+
+  return { status, output, failedStepId: unhandled ? unhandled.step.id : null };
+}
+
+module.exports = {
+  normalizeOutcomeCondition,
+  evaluateOutcomeCondition,
+  normalizeWorkflowDefinition,
+  resolveStepDecision,
+  buildStepInput,
+  summarizeWorkflowOutcome,
+};